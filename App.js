@@ -1,11 +1,19 @@
 import { StatusBar } from 'expo-status-bar';
-import { StyleSheet, Text, View, ScrollView, TouchableOpacity, Modal, Platform } from 'react-native';
-import { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, ScrollView, TouchableOpacity, Modal, Platform, AppState, DeviceEventEmitter } from 'react-native';
+import { useState, useEffect, useRef } from 'react';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
+import Toast from 'react-native-toast-message';
 import MoodScreen from './src/screens/MoodScreen';
 import FoodScreen from './src/screens/FoodScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
 import GlossarScreen from './src/screens/GlossarScreen';
+import LockScreen from './src/screens/LockScreen';
+import TimelineScreen from './src/screens/TimelineScreen';
+import MemoriesScreen from './src/screens/MemoriesScreen';
+import DiaryScreen from './src/screens/DiaryScreen';
+import HealthScreen from './src/screens/HealthScreen';
+import PursuitsScreen from './src/screens/PursuitsScreen';
+import BiographyScreen from './src/screens/BiographyScreen';
 import { LanguageProvider } from './src/context/LanguageContext';
 import { VisualStyleProvider } from './src/context/VisualStyleContext';
 import { PeopleProvider } from './src/context/PeopleContext';
@@ -13,7 +21,14 @@ import { MemoriesProvider } from './src/context/MemoriesContext';
 import { MoodsProvider } from './src/context/MoodsContext';
 import { PlacesProvider } from './src/context/PlacesContext';
 import { FoodProvider } from './src/context/FoodContext';
-import { initDatabase, cleanupDuplicatePlaces } from './src/services/DatabaseService';
+import { initDatabase, cleanupDuplicatePlaces, resumeKeyRotation, lockDatabase } from './src/services/DatabaseService';
+import { isEncryptionEnabled, isUnlocked } from './src/services/EncryptionService';
+import { getAutoLockMinutes } from './src/services/AppLockService';
+import { runScheduledBackupIfDue } from './src/services/BackupService';
+import { syncNow } from './src/services/SyncService';
+
+// How often to check whether the app has been idle long enough to lock
+const IDLE_CHECK_INTERVAL_MS = 15 * 1000;
 
 export default function App() {
   const [selectedSection, setSelectedSection] = useState(null);
@@ -22,11 +37,21 @@ export default function App() {
   const [activeTab, setActiveTab] = useState('you');
   const [isLoading, setIsLoading] = useState(true);
   const [initError, setInitError] = useState(null);
+  const [isLocked, setIsLocked] = useState(false);
+  const isInitializedRef = useRef(false);
+  const lastActivityRef = useRef(Date.now());
 
-  // Initialize databases when app starts
-  useEffect(() => {
-    async function initializeApp() {
-      try {
+  async function initializeApp() {
+    setIsLoading(true);
+    setInitError(null);
+    try {
+      // Encrypted data can only be read after the passphrase has been entered
+      if (await isEncryptionEnabled() && !isUnlocked()) {
+        setIsLocked(true);
+        return;
+      }
+
+      if (!isInitializedRef.current) {
         console.log('Initializing database...');
         await initDatabase();
         console.log('Database initialized successfully');
@@ -34,17 +59,100 @@ export default function App() {
         // Clean up duplicate places
         await cleanupDuplicatePlaces();
         console.log('Cleaned up duplicate places');
-      } catch (error) {
-        console.error('Error initializing app:', error);
-        setInitError(error.message);
-      } finally {
-        setIsLoading(false);
+        isInitializedRef.current = true;
       }
+    } catch (error) {
+      console.error('Error initializing app:', error);
+      setInitError(error.message);
+    } finally {
+      setIsLoading(false);
     }
-    
-    initializeApp();
+  }
+
+  // Pull and push changes if sync is set up, and refresh the screens if anything arrived
+  async function syncInBackground() {
+    const result = await syncNow();
+    if (result && result.applied > 0) {
+      DeviceEventEmitter.emit('DATA_IMPORTED');
+    }
+  }
+
+  // Initialize databases when app starts
+  useEffect(() => {
+    initializeApp().then(async () => {
+      // Encrypted apps sync after unlocking instead
+      if (!(await isEncryptionEnabled())) {
+        syncInBackground().catch(() => {
+          // Already logged; retried on the next start
+        });
+      }
+    });
   }, []);
 
+  // Lock the app after the configured idle time, including time spent in the background
+  useEffect(() => {
+    if (isLocked) {
+      return undefined;
+    }
+
+    const checkIdle = async () => {
+      const autoLockMinutes = await getAutoLockMinutes();
+      if (autoLockMinutes === 0 || !(await isEncryptionEnabled())) {
+        return;
+      }
+      if (Date.now() - lastActivityRef.current >= autoLockMinutes * 60 * 1000) {
+        lockApp();
+      }
+    };
+
+    const interval = setInterval(checkIdle, IDLE_CHECK_INTERVAL_MS);
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        checkIdle();
+      }
+    });
+
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [isLocked]);
+
+  const recordActivity = () => {
+    lastActivityRef.current = Date.now();
+  };
+
+  const lockApp = () => {
+    lockDatabase();
+    setIsAppSettingsVisible(false);
+    setIsLocked(true);
+  };
+
+  const handleUnlock = async () => {
+    recordActivity();
+    setIsLocked(false);
+    await initializeApp();
+
+    // Finish re-encrypting if a passphrase change was interrupted, then
+    // take a scheduled backup if one is due and sync
+    resumeKeyRotation()
+      .then(() => runScheduledBackupIfDue())
+      .then(() => syncInBackground())
+      .catch(() => {
+        // Already logged; retried after the next unlock
+      });
+  };
+
+  // Start over with an empty database after a panic wipe
+  const handleDataWiped = () => {
+    isInitializedRef.current = false;
+    setIsAppSettingsVisible(false);
+    setIsLocked(false);
+    setActiveScreen(null);
+    setSelectedSection(null);
+    initializeApp();
+  };
+
   const sections = [
     { id: 'memories', title: 'Memories', color: '#FF8A65' },
     { id: 'diary', title: 'Diary', color: '#64B5F6' },
@@ -63,6 +171,18 @@ export default function App() {
       setActiveScreen('mood');
     } else if (sectionId === 'food') {
       setActiveScreen('food');
+    } else if (sectionId === 'memories') {
+      setActiveScreen('memories');
+    } else if (sectionId === 'diary') {
+      setActiveScreen('diary');
+    } else if (sectionId === 'health') {
+      setActiveScreen('health');
+    } else if (sectionId === 'hobbies') {
+      setActiveScreen('hobbies');
+    } else if (sectionId === 'skills') {
+      setActiveScreen('skills');
+    } else if (sectionId === 'biography') {
+      setActiveScreen('biography');
     } else {
       setActiveScreen(null);
       console.log(`Navigating to ${sectionId}`);
@@ -111,8 +231,8 @@ export default function App() {
               </TouchableOpacity>
             </View>
             
-            <ScrollView style={styles.scrollView}>
-              <View style={styles.sectionsGrid}>
+            <View>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.sectionsRow}>
                 {sections.map((section) => (
                   <TouchableOpacity
                     key={section.id}
@@ -122,10 +242,12 @@ export default function App() {
                     <Text style={styles.sectionButtonText}>{section.title}</Text>
                   </TouchableOpacity>
                 ))}
-              </View>
-              
-              {renderPlaceholderContent()}
-            </ScrollView>
+              </ScrollView>
+            </View>
+            
+            {renderPlaceholderContent()}
+            
+            <TimelineScreen />
           </View>
         );
       case 'world':
@@ -176,6 +298,96 @@ export default function App() {
           <FoodScreen />
         </View>
       );
+    } else if (activeScreen === 'memories') {
+      return (
+        <View style={styles.screenContainer}>
+          <View style={[styles.screenHeader, { backgroundColor: '#FF8A65' }]}>
+            <TouchableOpacity onPress={handleBack} style={styles.backButton}>
+              <Text style={styles.backButtonText}>← Back</Text>
+            </TouchableOpacity>
+            <Text style={styles.screenTitle}>Memories</Text>
+            <TouchableOpacity onPress={handleOpenSettings} style={styles.settingsButton}>
+              <Text style={styles.settingsIcon}>⚙️</Text>
+            </TouchableOpacity>
+          </View>
+          <MemoriesScreen />
+        </View>
+      );
+    } else if (activeScreen === 'diary') {
+      return (
+        <View style={styles.screenContainer}>
+          <View style={[styles.screenHeader, { backgroundColor: '#64B5F6' }]}>
+            <TouchableOpacity onPress={handleBack} style={styles.backButton}>
+              <Text style={styles.backButtonText}>← Back</Text>
+            </TouchableOpacity>
+            <Text style={styles.screenTitle}>Diary</Text>
+            <TouchableOpacity onPress={handleOpenSettings} style={styles.settingsButton}>
+              <Text style={styles.settingsIcon}>⚙️</Text>
+            </TouchableOpacity>
+          </View>
+          <DiaryScreen />
+        </View>
+      );
+    } else if (activeScreen === 'health') {
+      return (
+        <View style={styles.screenContainer}>
+          <View style={[styles.screenHeader, { backgroundColor: '#BA68C8' }]}>
+            <TouchableOpacity onPress={handleBack} style={styles.backButton}>
+              <Text style={styles.backButtonText}>← Back</Text>
+            </TouchableOpacity>
+            <Text style={styles.screenTitle}>Health</Text>
+            <TouchableOpacity onPress={handleOpenSettings} style={styles.settingsButton}>
+              <Text style={styles.settingsIcon}>⚙️</Text>
+            </TouchableOpacity>
+          </View>
+          <HealthScreen />
+        </View>
+      );
+    } else if (activeScreen === 'hobbies') {
+      return (
+        <View style={styles.screenContainer}>
+          <View style={[styles.screenHeader, { backgroundColor: '#4DD0E1' }]}>
+            <TouchableOpacity onPress={handleBack} style={styles.backButton}>
+              <Text style={styles.backButtonText}>← Back</Text>
+            </TouchableOpacity>
+            <Text style={styles.screenTitle}>Hobbies</Text>
+            <TouchableOpacity onPress={handleOpenSettings} style={styles.settingsButton}>
+              <Text style={styles.settingsIcon}>⚙️</Text>
+            </TouchableOpacity>
+          </View>
+          <PursuitsScreen kind="hobby" />
+        </View>
+      );
+    } else if (activeScreen === 'skills') {
+      return (
+        <View style={styles.screenContainer}>
+          <View style={[styles.screenHeader, { backgroundColor: '#F06292' }]}>
+            <TouchableOpacity onPress={handleBack} style={styles.backButton}>
+              <Text style={styles.backButtonText}>← Back</Text>
+            </TouchableOpacity>
+            <Text style={styles.screenTitle}>Skills</Text>
+            <TouchableOpacity onPress={handleOpenSettings} style={styles.settingsButton}>
+              <Text style={styles.settingsIcon}>⚙️</Text>
+            </TouchableOpacity>
+          </View>
+          <PursuitsScreen kind="skill" />
+        </View>
+      );
+    } else if (activeScreen === 'biography') {
+      return (
+        <View style={styles.screenContainer}>
+          <View style={[styles.screenHeader, { backgroundColor: '#9575CD' }]}>
+            <TouchableOpacity onPress={handleBack} style={styles.backButton}>
+              <Text style={styles.backButtonText}>← Back</Text>
+            </TouchableOpacity>
+            <Text style={styles.screenTitle}>Biography</Text>
+            <TouchableOpacity onPress={handleOpenSettings} style={styles.settingsButton}>
+              <Text style={styles.settingsIcon}>⚙️</Text>
+            </TouchableOpacity>
+          </View>
+          <BiographyScreen />
+        </View>
+      );
     }
     
     return (
@@ -221,6 +433,17 @@ export default function App() {
     );
   }
 
+  if (isLocked) {
+    return (
+      <SafeAreaProvider>
+        <LanguageProvider>
+          <LockScreen onUnlock={handleUnlock} onWiped={handleDataWiped} />
+          <StatusBar style="light" />
+        </LanguageProvider>
+      </SafeAreaProvider>
+    );
+  }
+
   return (
     <SafeAreaProvider>
       <LanguageProvider>
@@ -230,7 +453,7 @@ export default function App() {
               <MoodsProvider>
                 <PlacesProvider>
                   <FoodProvider>
-                    <View style={styles.mainContainer}>
+                    <View style={styles.mainContainer} onTouchStart={recordActivity}>
                       {renderScreen()}
                       <StatusBar style="auto" />
                       
@@ -244,9 +467,12 @@ export default function App() {
                         >
                           <SettingsScreen 
                             onClose={handleCloseSettings}
+                            onLockApp={lockApp}
+                            onDataWiped={handleDataWiped}
                           />
                         </Modal>
                       )}
+                      <Toast />
                     </View>
                   </FoodProvider>
                 </PlacesProvider>
@@ -284,21 +510,14 @@ const styles = StyleSheet.create({
     color: 'rgba(255, 255, 255, 0.8)',
     marginTop: 4,
   },
-  scrollView: {
-    flex: 1,
-  },
-  sectionsGrid: {
-    flexDirection: 'row',
-    flexWrap: 'wrap',
-    justifyContent: 'space-between',
-    padding: 16,
+  sectionsRow: {
+    padding: 12,
   },
   sectionButton: {
-    width: '48%',
-    height: 100,
+    height: 56,
     borderRadius: 12,
-    marginBottom: 16,
-    padding: 16,
+    marginRight: 8,
+    paddingHorizontal: 16,
     justifyContent: 'center',
     alignItems: 'center',
     elevation: 3,
@@ -309,7 +528,7 @@ const styles = StyleSheet.create({
   },
   sectionButtonText: {
     color: 'white',
-    fontSize: 18,
+    fontSize: 16,
     fontWeight: 'bold',
     textAlign: 'center',
   },
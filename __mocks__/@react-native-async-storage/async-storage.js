@@ -0,0 +1 @@
+module.exports = require('@react-native-async-storage/async-storage/jest/async-storage-mock');
@@ -0,0 +1,6 @@
+// expo-crypto for tests, using Node's random number generator
+const { randomBytes } = require('crypto');
+
+module.exports = {
+  getRandomBytes: (byteCount) => new Uint8Array(randomBytes(byteCount))
+};
@@ -0,0 +1,99 @@
+/**
+ * expo-file-system for tests: files live in memory for the lifetime of a
+ * test file. Contents are stored as Buffers.
+ */
+
+const files = new Map();
+const directories = new Set();
+
+const documentDirectory = 'file:///document/';
+const cacheDirectory = 'file:///cache/';
+const EncodingType = { UTF8: 'utf8', Base64: 'base64' };
+
+const asDirectory = (uri) => (uri.endsWith('/') ? uri : `${uri}/`);
+
+const getInfoAsync = async (uri) => {
+  if (files.has(uri)) {
+    return { exists: true, isDirectory: false, size: files.get(uri).length, uri };
+  }
+  const directory = asDirectory(uri);
+  if (directories.has(directory) || [...files.keys()].some(path => path.startsWith(directory))) {
+    return { exists: true, isDirectory: true, uri };
+  }
+  return { exists: false, isDirectory: false, uri };
+};
+
+const readAsStringAsync = async (uri, { encoding = EncodingType.UTF8 } = {}) => {
+  if (!files.has(uri)) {
+    throw new Error(`File '${uri}' does not exist`);
+  }
+  return files.get(uri).toString(encoding === EncodingType.Base64 ? 'base64' : 'utf8');
+};
+
+const writeAsStringAsync = async (uri, contents, { encoding = EncodingType.UTF8, append = false } = {}) => {
+  const data = Buffer.from(contents, encoding === EncodingType.Base64 ? 'base64' : 'utf8');
+  files.set(uri, append && files.has(uri) ? Buffer.concat([files.get(uri), data]) : data);
+};
+
+const deleteAsync = async (uri, { idempotent = false } = {}) => {
+  const directory = asDirectory(uri);
+  const matches = [...files.keys()].filter(path => path === uri || path.startsWith(directory));
+  const matchedDirectories = [...directories].filter(path => path.startsWith(directory));
+  if (matches.length === 0 && matchedDirectories.length === 0 && !idempotent) {
+    throw new Error(`File '${uri}' does not exist`);
+  }
+  matches.forEach(path => files.delete(path));
+  matchedDirectories.forEach(path => directories.delete(path));
+};
+
+const moveAsync = async ({ from, to }) => {
+  const directory = asDirectory(from);
+  if (directories.delete(directory)) {
+    directories.add(asDirectory(to));
+  }
+  for (const path of [...files.keys()]) {
+    if (path === from || path.startsWith(directory)) {
+      files.set(to + path.slice(from.length), files.get(path));
+      files.delete(path);
+    }
+  }
+};
+
+const copyAsync = async ({ from, to }) => {
+  const directory = asDirectory(from);
+  for (const path of [...files.keys()]) {
+    if (path === from || path.startsWith(directory)) {
+      files.set(to + path.slice(from.length), files.get(path));
+    }
+  }
+};
+
+const makeDirectoryAsync = async (uri) => {
+  directories.add(asDirectory(uri));
+};
+
+const readDirectoryAsync = async (uri) => {
+  const directory = asDirectory(uri);
+  const names = new Set();
+  for (const path of files.keys()) {
+    if (path.startsWith(directory)) {
+      names.add(path.slice(directory.length).split('/')[0]);
+    }
+  }
+  return [...names];
+};
+
+module.exports = {
+  documentDirectory,
+  cacheDirectory,
+  EncodingType,
+  getInfoAsync,
+  readAsStringAsync,
+  writeAsStringAsync,
+  deleteAsync,
+  moveAsync,
+  copyAsync,
+  makeDirectoryAsync,
+  readDirectoryAsync,
+  __files: files
+};
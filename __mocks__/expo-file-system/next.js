@@ -0,0 +1,68 @@
+/**
+ * expo-file-system/next for tests: the File API the app uses, over the
+ * same in-memory files as the expo-file-system mock.
+ */
+
+const { __files: files } = require('expo-file-system');
+
+class FileHandle {
+  constructor(uri) {
+    this.uri = uri;
+    this.offset = 0;
+  }
+
+  readBytes(length) {
+    if (this.uri === null) {
+      throw new Error('File handle is closed');
+    }
+    const bytes = new Uint8Array(files.get(this.uri).subarray(this.offset, this.offset + length));
+    this.offset += bytes.length;
+    return bytes;
+  }
+
+  writeBytes(bytes) {
+    if (this.uri === null) {
+      throw new Error('File handle is closed');
+    }
+    const contents = files.get(this.uri);
+    const data = Buffer.from(bytes);
+    files.set(this.uri, Buffer.concat([contents.subarray(0, this.offset), data, contents.subarray(this.offset + data.length)]));
+    this.offset += data.length;
+  }
+
+  close() {
+    this.uri = null;
+  }
+}
+
+class File {
+  constructor(uri) {
+    this.uri = uri;
+  }
+
+  get exists() {
+    return files.has(this.uri);
+  }
+
+  create() {
+    if (this.exists) {
+      throw new Error(`File '${this.uri}' already exists`);
+    }
+    files.set(this.uri, Buffer.alloc(0));
+  }
+
+  delete() {
+    if (!files.delete(this.uri)) {
+      throw new Error(`File '${this.uri}' does not exist`);
+    }
+  }
+
+  open() {
+    if (!this.exists) {
+      throw new Error(`File '${this.uri}' does not exist`);
+    }
+    return new FileHandle(this.uri);
+  }
+}
+
+module.exports = { File };
@@ -0,0 +1,103 @@
+/**
+ * expo-sqlite for tests: the async API the app uses, backed by sql.js.
+ * Database files live in the in-memory expo-file-system mock, under
+ * SQLite/ in the document directory. An open database is written back to
+ * its file when closed, and VACUUM INTO writes a copy there too.
+ */
+
+// The asm.js build, as the WebAssembly one fails to open databases under Jest
+const initSqlJs = require('sql.js/dist/sql-asm.js');
+const FileSystem = require('expo-file-system');
+
+let sqlJs = null;
+// Open databases by file URI
+const databases = new Map();
+
+const getDatabaseUri = (name, directory) =>
+  `${directory ? `file://${directory.replace(/^file:\/\//, '')}` : `${FileSystem.documentDirectory}SQLite`}/${name}`;
+
+// Write a database to a file; exporting resets the connection's pragmas
+const saveDatabase = (raw, uri) => {
+  const [{ values }] = raw.exec('PRAGMA foreign_keys');
+  FileSystem.__files.set(uri, Buffer.from(raw.export()));
+  raw.exec(`PRAGMA foreign_keys = ${values[0][0]}`);
+};
+
+// sql.js only binds numbers, strings, null and byte arrays
+const toParams = (params = []) => params.map(param => {
+  if (param === undefined) {
+    return null;
+  }
+  return typeof param === 'boolean' ? Number(param) : param;
+});
+
+const createConnection = (raw, uri) => {
+  const getAll = (sql, params) => {
+    const statement = raw.prepare(sql);
+    try {
+      statement.bind(toParams(params));
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  };
+
+  return {
+    execAsync: async (sql) => {
+      raw.exec(sql);
+    },
+    runAsync: async (sql, params) => {
+      // sql.js keeps its files to itself, so copy the database by hand
+      if (/^\s*VACUUM\s+INTO\s+\?\s*$/i.test(sql)) {
+        saveDatabase(raw, `file://${params[0]}`);
+        return { changes: 0, lastInsertRowId: 0 };
+      }
+      raw.run(sql, toParams(params));
+      return {
+        changes: raw.getRowsModified(),
+        lastInsertRowId: raw.exec('SELECT last_insert_rowid()')[0].values[0][0]
+      };
+    },
+    getAllAsync: async (sql, params) => getAll(sql, params),
+    getFirstAsync: async (sql, params) => getAll(sql, params)[0] ?? null,
+    withTransactionAsync: async (task) => {
+      raw.exec('BEGIN');
+      try {
+        await task();
+        raw.exec('COMMIT');
+      } catch (error) {
+        raw.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    closeAsync: async () => {
+      if (databases.get(uri) === raw) {
+        saveDatabase(raw, uri);
+        databases.delete(uri);
+      }
+    }
+  };
+};
+
+const openDatabaseAsync = async (name, options, directory) => {
+  if (!sqlJs) {
+    sqlJs = await initSqlJs();
+  }
+  const uri = getDatabaseUri(name, directory);
+  const file = FileSystem.__files.get(uri);
+  // Deleting the file of an open database starts it over, as on a device
+  if (!databases.has(uri) || !file) {
+    const raw = file ? new sqlJs.Database(file) : new sqlJs.Database();
+    databases.set(uri, raw);
+    if (!file) {
+      saveDatabase(raw, uri);
+    }
+  }
+  return createConnection(databases.get(uri), uri);
+};
+
+module.exports = { openDatabaseAsync };
@@ -0,0 +1,4 @@
+// jest-expo stubs expo-file-system with a file system where every file
+// exists; use the in-memory one in __mocks__ instead
+jest.mock('expo-file-system', () => jest.requireActual('./__mocks__/expo-file-system'));
+jest.mock('expo-file-system/next', () => jest.requireActual('./__mocks__/expo-file-system/next'));
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * mock-weather-server.js - Local stand-in for the Open-Meteo API
+ *
+ * Answers the hourly forecast and archive requests the app's Open-Meteo
+ * provider makes with made-up but deterministic weather: the same place
+ * and hour always gets the same weather. Meant for development and tests,
+ * so the app never needs the network or a real weather service.
+ *
+ * Usage: node server/mock-weather-server.js [--port 8788]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEATHER_PATHS = ['/v1/forecast', '/v1/archive'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// WMO weather codes the mock picks from, clear and cloudy most often
+const WEATHER_CODES = [0, 0, 1, 2, 3, 3, 45, 51, 61, 63, 71, 80, 95];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Numbers in [0, 1) derived from a place and hour
+const randomValues = (latitude, longitude, hour) => {
+  const digest = crypto.createHash('sha256')
+    .update(`${latitude.toFixed(2)},${longitude.toFixed(2)}@${hour}`)
+    .digest();
+  return [0, 4, 8, 12].map(offset => digest.readUInt32BE(offset) / 0x100000000);
+};
+
+/**
+ * Make up the weather of a place at an hour
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {string} hour - UTC hour as 'YYYY-MM-DDTHH:00'
+ * @returns {Object} { temperature, apparentTemperature, humidity, weatherCode, windSpeed, isDay }
+ */
+function getMockHour(latitude, longitude, hour) {
+  const [codeValue, temperatureValue, humidityValue, windValue] = randomValues(latitude, longitude, hour);
+  // Local solar time from the longitude, warmest in the afternoon
+  const localHour = (new Date(`${hour}:00Z`).getUTCHours() + longitude / 15 + 24) % 24;
+  const base = 25 - Math.abs(latitude) * 0.4;
+  const temperature = base + 5 * Math.sin(((localHour - 9) / 24) * 2 * Math.PI) + (temperatureValue - 0.5) * 6;
+  const windSpeed = windValue * 10;
+
+  return {
+    temperature: Math.round(temperature * 10) / 10,
+    apparentTemperature: Math.round((temperature - windSpeed * 0.3) * 10) / 10,
+    humidity: Math.round(40 + humidityValue * 55),
+    weatherCode: WEATHER_CODES[Math.floor(codeValue * WEATHER_CODES.length)],
+    windSpeed: Math.round(windSpeed * 10) / 10,
+    isDay: localHour >= 6 && localHour < 20 ? 1 : 0
+  };
+}
+
+/**
+ * Answer an hourly weather request in Open-Meteo's format
+ * @param {URLSearchParams} params - latitude, longitude, start_date and end_date
+ * @returns {Object} Response body
+ */
+function getHourlyResponse(params) {
+  const latitude = parseFloat(params.get('latitude'));
+  const longitude = parseFloat(params.get('longitude'));
+  if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+    throw new HttpError(400, 'Invalid latitude or longitude');
+  }
+
+  const startDate = params.get('start_date');
+  const endDate = params.get('end_date') || startDate;
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate)) {
+    throw new HttpError(400, 'start_date and end_date must be YYYY-MM-DD');
+  }
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+  const days = (Date.parse(`${endDate}T00:00:00Z`) - start) / DAY_MS + 1;
+  if (!(days >= 1 && days <= MAX_DAYS)) {
+    throw new HttpError(400, `Ask for 1 to ${MAX_DAYS} days`);
+  }
+
+  const hourly = {
+    time: [],
+    temperature_2m: [],
+    apparent_temperature: [],
+    relative_humidity_2m: [],
+    weather_code: [],
+    wind_speed_10m: [],
+    is_day: []
+  };
+  for (let index = 0; index < days * 24; index++) {
+    const hour = new Date(start + index * 60 * 60 * 1000).toISOString().slice(0, 16);
+    const weather = getMockHour(latitude, longitude, hour);
+    hourly.time.push(hour);
+    hourly.temperature_2m.push(weather.temperature);
+    hourly.apparent_temperature.push(weather.apparentTemperature);
+    hourly.relative_humidity_2m.push(weather.humidity);
+    hourly.weather_code.push(weather.weatherCode);
+    hourly.wind_speed_10m.push(weather.windSpeed);
+    hourly.is_day.push(weather.isDay);
+  }
+
+  return {
+    latitude,
+    longitude,
+    timezone: 'UTC',
+    hourly_units: {
+      time: 'iso8601',
+      temperature_2m: '°C',
+      apparent_temperature: '°C',
+      relative_humidity_2m: '%',
+      weather_code: 'wmo code',
+      wind_speed_10m: 'm/s',
+      is_day: ''
+    },
+    hourly
+  };
+}
+
+/**
+ * Create the HTTP server
+ * @returns {http.Server} Server, not yet listening
+ */
+function createMockWeatherServer() {
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (!WEATHER_PATHS.includes(url.pathname)) {
+        throw new HttpError(404, 'Not found');
+      }
+      if (req.method !== 'GET') {
+        throw new HttpError(405, 'Method not allowed');
+      }
+      send(200, getHourlyResponse(url.searchParams));
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('Mock weather server error:', error);
+      }
+      // Open-Meteo reports errors as { error: true, reason }
+      send(error.status || 500, { error: true, reason: error instanceof HttpError ? error.message : 'Internal error' });
+    }
+  });
+}
+
+module.exports = { getMockHour, createMockWeatherServer };
+
+if (require.main === module) {
+  const argument = (name, fallback) => {
+    const index = process.argv.indexOf(name);
+    return index >= 0 ? process.argv[index + 1] : fallback;
+  };
+
+  const port = parseInt(argument('--port', process.env.PORT || '8788'), 10);
+
+  createMockWeatherServer().listen(port, () => {
+    console.log(`Memoria mock weather server listening on http://localhost:${port}`);
+  });
+}
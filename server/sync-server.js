@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * sync-server.js - Reference server for Memoria sync
+ *
+ * A small, dependency-free implementation of the protocol in README.md,
+ * meant for running locally and for tests. It stores only what devices
+ * send: opaque record keys, logical clocks, device IDs and ciphertext.
+ *
+ * Usage: node server/sync-server.js [--port 8787] [--data sync-data.json]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_PAGE_SIZE = 200;
+
+const ACCOUNT_PATH = /^\/v1\/accounts\/([^/]+)\/changes$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Same ordering as the app: higher clock wins, then higher device ID
+const isNewer = (change, existing) =>
+  change.clock > existing.clock ||
+  (change.clock === existing.clock && change.deviceId > existing.deviceId);
+
+/**
+ * Create a sync store
+ * @param {Object} saved - Previously saved state, from toJSON()
+ * @returns {Object} Store
+ */
+function createStore(saved = { accounts: {} }) {
+  // accountId -> { tokenHash, seq, records: { key -> { seq, key, clock, deviceId, payload } } }
+  const accounts = saved.accounts;
+
+  // The first token an account is used with registers it
+  const authenticate = (accountId, token) => {
+    if (!token) {
+      throw new HttpError(401, 'Missing token');
+    }
+
+    const tokenHash = hashToken(token);
+    if (!accounts[accountId]) {
+      accounts[accountId] = { tokenHash, seq: 0, records: {} };
+    }
+
+    const expected = Buffer.from(accounts[accountId].tokenHash, 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(tokenHash, 'hex'))) {
+      throw new HttpError(401, 'Invalid token');
+    }
+    return accounts[accountId];
+  };
+
+  const pull = (account, since, limit) => {
+    const changes = Object.values(account.records)
+      .filter(record => record.seq > since)
+      .sort((a, b) => a.seq - b.seq);
+    const page = changes.slice(0, limit);
+
+    return {
+      changes: page,
+      cursor: page.length > 0 ? page[page.length - 1].seq : Math.max(since, 0),
+      hasMore: changes.length > limit
+    };
+  };
+
+  // Keeps the newest version of each record; older versions are dropped
+  const push = (account, changes) => {
+    let accepted = 0;
+    for (const change of changes) {
+      const existing = account.records[change.key];
+      if (existing && !isNewer(change, existing)) {
+        continue;
+      }
+
+      account.seq += 1;
+      account.records[change.key] = {
+        seq: account.seq,
+        key: change.key,
+        clock: change.clock,
+        deviceId: change.deviceId,
+        payload: change.payload
+      };
+      accepted++;
+    }
+    return { accepted, cursor: account.seq };
+  };
+
+  return { authenticate, pull, push, toJSON: () => ({ accounts }) };
+}
+
+const validateChanges = (body) => {
+  if (!body || !Array.isArray(body.changes)) {
+    throw new HttpError(400, 'Expected { changes: [...] }');
+  }
+  for (const change of body.changes) {
+    if (
+      !change ||
+      typeof change.key !== 'string' ||
+      !Number.isInteger(change.clock) ||
+      typeof change.deviceId !== 'string' ||
+      typeof change.payload !== 'string'
+    ) {
+      throw new HttpError(400, 'Invalid change');
+    }
+  }
+  return body.changes;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new HttpError(413, 'Request too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(new HttpError(400, 'Invalid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Create the HTTP server
+ * @param {Object} options - { dataFile } to persist the store as JSON after every push
+ * @returns {http.Server} Server, not yet listening
+ */
+function createSyncServer({ dataFile = null } = {}) {
+  const saved = dataFile && fs.existsSync(dataFile)
+    ? JSON.parse(fs.readFileSync(dataFile, 'utf8'))
+    : undefined;
+  const store = createStore(saved);
+
+  const save = () => {
+    if (dataFile) {
+      fs.writeFileSync(`${dataFile}.tmp`, JSON.stringify(store));
+      fs.renameSync(`${dataFile}.tmp`, dataFile);
+    }
+  };
+
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const match = url.pathname.match(ACCOUNT_PATH);
+      if (!match) {
+        throw new HttpError(404, 'Not found');
+      }
+
+      const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+      const account = store.authenticate(decodeURIComponent(match[1]), token);
+
+      if (req.method === 'GET') {
+        const since = Math.max(parseInt(url.searchParams.get('since'), 10) || 0, 0);
+        const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        send(200, store.pull(account, since, limit));
+      } else if (req.method === 'POST') {
+        const result = store.push(account, validateChanges(await readBody(req)));
+        save();
+        send(200, result);
+      } else {
+        throw new HttpError(405, 'Method not allowed');
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('Sync server error:', error);
+      }
+      send(error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal error' });
+    }
+  });
+}
+
+module.exports = { createStore, createSyncServer };
+
+if (require.main === module) {
+  const argument = (name, fallback) => {
+    const index = process.argv.indexOf(name);
+    return index >= 0 ? process.argv[index + 1] : fallback;
+  };
+
+  const port = parseInt(argument('--port', process.env.PORT || '8787'), 10);
+  const dataFile = argument('--data', null);
+
+  createSyncServer({ dataFile }).listen(port, () => {
+    console.log(`Memoria sync server listening on http://localhost:${port}${dataFile ? `, saving to ${dataFile}` : ''}`);
+  });
+}
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, ScrollView, Alert, ActivityIndicator } from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+import {
+  addBiographyChapter,
+  updateBiographyChapter,
+  deleteBiographyChapter
+} from '../database/BiographyDB';
+import MarkdownEditor from './MarkdownEditor';
+
+// Write a chapter of the biography or edit a generated one
+const BiographyChapterForm = ({ chapter = null, onClose, topInset = 0, bottomInset = 0 }) => {
+  const { t } = useLanguage();
+  const [title, setTitle] = useState(chapter?.title || '');
+  const [body, setBody] = useState(chapter?.body || '');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    if (!title.trim()) {
+      Alert.alert(t('error'), t('chapterTitleRequired'));
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const chapterData = {
+        title: title.trim(),
+        body,
+        period_start: chapter?.period_start || null,
+        period_end: chapter?.period_end || null
+      };
+      if (chapter) {
+        await updateBiographyChapter(chapter.id, chapterData);
+      } else {
+        await addBiographyChapter(chapterData);
+      }
+      onClose(true);
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingChapter'));
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      t('deleteChapter'),
+      chapter.generated_key ? t('deleteGeneratedChapterConfirmation') : t('deleteChapterConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteBiographyChapter(chapter.id);
+              onClose(true);
+            } catch (error) {
+              Alert.alert(t('error'), t('errorDeletingChapter'));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: 16 + topInset }]}>
+        <TouchableOpacity onPress={() => onClose(false)} disabled={isSaving}>
+          <Text style={styles.headerButtonText}>{t('cancel')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{chapter ? t('editChapter') : t('newChapter')}</Text>
+        <TouchableOpacity onPress={handleSave} disabled={isSaving}>
+          {isSaving
+            ? <ActivityIndicator color="#333" />
+            : <Text style={[styles.headerButtonText, styles.saveText]}>{t('save')}</Text>}
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: Math.max(24, bottomInset) }}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('chapterTitle')} *</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={t('chapterTitlePlaceholder')}
+            value={title}
+            onChangeText={setTitle}
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          {chapter?.generated_key && !chapter.is_edited && (
+            <Text style={styles.hintText}>{t('generatedChapterHint')}</Text>
+          )}
+          <MarkdownEditor
+            value={body}
+            onChangeText={setBody}
+            placeholder={t('chapterBodyPlaceholder')}
+            minHeight={320}
+          />
+        </View>
+
+        {chapter && (
+          <TouchableOpacity style={styles.deleteButton} onPress={handleDelete} disabled={isSaving}>
+            <Text style={styles.deleteButtonText}>{t('deleteChapter')}</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: '#9575CD',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerButtonText: {
+    fontSize: 16,
+  },
+  saveText: {
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#888',
+    marginBottom: 8,
+  },
+  deleteButton: {
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#FFEBEE',
+    alignItems: 'center',
+  },
+  deleteButtonText: {
+    fontSize: 16,
+    color: '#D32F2F',
+    fontWeight: 'bold',
+  },
+});
+
+export default BiographyChapterForm;
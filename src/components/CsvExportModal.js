@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useLanguage } from '../context/LanguageContext';
+import { CSV_COLUMNS, CSV_TRACKERS, exportTrackerCsv } from '../services/CsvExportService';
+import { shareFile } from '../utils/files';
+
+// Default range: the last 30 days
+const DEFAULT_RANGE_DAYS = 30;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+const CsvExportModal = ({ visible, initialTracker = 'mood', onClose }) => {
+  const { t } = useLanguage();
+  const [tracker, setTracker] = useState(initialTracker);
+  const [selectedColumns, setSelectedColumns] = useState(CSV_COLUMNS[initialTracker].map(column => column.key));
+  const [startDate, setStartDate] = useState(() => {
+    const date = new Date();
+    date.setDate(date.getDate() - DEFAULT_RANGE_DAYS);
+    return startOfDay(date);
+  });
+  const [endDate, setEndDate] = useState(() => endOfDay(new Date()));
+  const [pickerField, setPickerField] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Start from the requested tracker with all columns each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      handleTrackerChange(initialTracker);
+    }
+  }, [visible, initialTracker]);
+
+  const handleTrackerChange = (nextTracker) => {
+    setTracker(nextTracker);
+    setSelectedColumns(CSV_COLUMNS[nextTracker].map(column => column.key));
+  };
+
+  const toggleColumn = (key) => {
+    setSelectedColumns(selectedColumns.includes(key)
+      ? selectedColumns.filter(column => column !== key)
+      : [...selectedColumns, key]);
+  };
+
+  const handleDateChange = (event, date) => {
+    const field = pickerField;
+    setPickerField(null);
+    if (!date) {
+      return;
+    }
+    if (field === 'start') {
+      setStartDate(startOfDay(date));
+    } else {
+      setEndDate(endOfDay(date));
+    }
+  };
+
+  const handleExport = async () => {
+    if (selectedColumns.length === 0) {
+      Alert.alert(t('error'), t('selectAtLeastOneColumn'), [{ text: t('ok') }]);
+      return;
+    }
+    if (startDate > endDate) {
+      Alert.alert(t('error'), t('invalidDateRange'), [{ text: t('ok') }]);
+      return;
+    }
+
+    setIsExporting(true);
+    try {
+      const { fileUri, rowCount } = await exportTrackerCsv(tracker, {
+        columns: selectedColumns,
+        startDate,
+        endDate
+      });
+
+      if (!(await shareFile(fileUri, 'text/csv'))) {
+        Alert.alert(
+          t('success'),
+          `${t('csvExportedRows').replace('{count}', rowCount)} ${t('exportSavedTo')} ${fileUri}`,
+          [{ text: t('ok') }]
+        );
+      }
+      onClose();
+    } catch (error) {
+      console.error('Error exporting CSV:', error);
+      Alert.alert(t('error'), t('exportDataError'), [{ text: t('ok') }]);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>{t('exportCsv')}</Text>
+
+          <ScrollView>
+            <Text style={styles.label}>{t('tracker')}</Text>
+            <View style={styles.chips}>
+              {CSV_TRACKERS.map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.chip, tracker === option && styles.selectedChip]}
+                  onPress={() => handleTrackerChange(option)}
+                >
+                  <Text style={[styles.chipText, tracker === option && styles.selectedChipText]}>
+                    {t(`csvTracker_${option}`)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.label}>{t('dateRange')}</Text>
+            <View style={styles.dateRow}>
+              <TouchableOpacity style={styles.dateButton} onPress={() => setPickerField('start')}>
+                <Text style={styles.dateButtonText}>{startDate.toLocaleDateString()}</Text>
+              </TouchableOpacity>
+              <Text style={styles.dateSeparator}>–</Text>
+              <TouchableOpacity style={styles.dateButton} onPress={() => setPickerField('end')}>
+                <Text style={styles.dateButtonText}>{endDate.toLocaleDateString()}</Text>
+              </TouchableOpacity>
+            </View>
+
+            {pickerField && (
+              <DateTimePicker
+                value={pickerField === 'start' ? startDate : endDate}
+                mode="date"
+                display="default"
+                onChange={handleDateChange}
+              />
+            )}
+
+            <Text style={styles.label}>{t('columns')}</Text>
+            <View style={styles.chips}>
+              {CSV_COLUMNS[tracker].map(column => {
+                const isSelected = selectedColumns.includes(column.key);
+                return (
+                  <TouchableOpacity
+                    key={column.key}
+                    style={[styles.chip, isSelected && styles.selectedChip]}
+                    onPress={() => toggleColumn(column.key)}
+                  >
+                    <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>
+                      {column.key}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </ScrollView>
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onClose} disabled={isExporting}>
+              <Text style={styles.cancelButtonText}>{t('cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.exportButton} onPress={handleExport} disabled={isExporting}>
+              {isExporting ? (
+                <ActivityIndicator color="white" />
+              ) : (
+                <Text style={styles.exportButtonText}>{t('exportData')}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 12,
+    borderTopRightRadius: 12,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    backgroundColor: '#3F51B5',
+    borderColor: '#3F51B5',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  selectedChipText: {
+    color: 'white',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dateButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    alignItems: 'center',
+  },
+  dateButtonText: {
+    fontSize: 14,
+  },
+  dateSeparator: {
+    marginHorizontal: 8,
+    fontSize: 16,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  cancelButton: {
+    padding: 12,
+    marginRight: 8,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  exportButton: {
+    backgroundColor: '#3F51B5',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    minWidth: 80,
+    alignItems: 'center',
+  },
+  exportButtonText: {
+    fontSize: 16,
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default CsvExportModal;
@@ -0,0 +1,164 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+import { toDiaryDate } from '../database/DiaryDB';
+
+const LOCALES = { english: 'en-US', german: 'de-DE' };
+
+// A Monday, to name the days of the week from
+const REFERENCE_MONDAY = new Date(2024, 0, 1);
+
+// Days shown for a month, in weeks starting on Monday; null pads the first and last week
+const getMonthDays = (month) => {
+  const year = month.getFullYear();
+  const monthIndex = month.getMonth();
+  const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+  const leadingBlanks = (new Date(year, monthIndex, 1).getDay() + 6) % 7;
+
+  const days = Array(leadingBlanks).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    days.push(new Date(year, monthIndex, day));
+  }
+  while (days.length % 7 !== 0) {
+    days.push(null);
+  }
+  return days;
+};
+
+// Month grid with the selected day highlighted and days that have an entry marked
+const DiaryCalendar = ({ month, selectedDate, markedDates = [], onSelectDate, onChangeMonth }) => {
+  const { language } = useLanguage();
+  const locale = LOCALES[language] || LOCALES.english;
+  const selectedKey = toDiaryDate(selectedDate);
+  const todayKey = toDiaryDate(new Date());
+  const marked = new Set(markedDates);
+
+  const weekdays = Array.from({ length: 7 }, (_, index) => {
+    const day = new Date(REFERENCE_MONDAY);
+    day.setDate(day.getDate() + index);
+    return day.toLocaleDateString(locale, { weekday: 'narrow' });
+  });
+
+  const changeMonth = (offset) => {
+    onChangeMonth(new Date(month.getFullYear(), month.getMonth() + offset, 1));
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.navButton} onPress={() => changeMonth(-1)}>
+          <Text style={styles.navText}>‹</Text>
+        </TouchableOpacity>
+        <Text style={styles.monthTitle}>
+          {month.toLocaleDateString(locale, { month: 'long', year: 'numeric' })}
+        </Text>
+        <TouchableOpacity style={styles.navButton} onPress={() => changeMonth(1)}>
+          <Text style={styles.navText}>›</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.week}>
+        {weekdays.map((weekday, index) => (
+          <Text key={index} style={styles.weekday}>{weekday}</Text>
+        ))}
+      </View>
+
+      <View style={styles.grid}>
+        {getMonthDays(month).map((day, index) => {
+          if (!day) {
+            return <View key={index} style={styles.day} />;
+          }
+
+          const key = toDiaryDate(day);
+          const isSelected = key === selectedKey;
+          return (
+            <TouchableOpacity key={index} style={styles.day} onPress={() => onSelectDate(day)}>
+              <View style={[styles.dayCircle, isSelected && styles.selectedDay, key === todayKey && !isSelected && styles.today]}>
+                <Text style={[styles.dayText, isSelected && styles.selectedDayText]}>{day.getDate()}</Text>
+              </View>
+              <View style={[styles.marker, marked.has(key) && styles.visibleMarker]} />
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  navButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+  },
+  navText: {
+    fontSize: 24,
+    color: '#333',
+  },
+  monthTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  week: {
+    flexDirection: 'row',
+  },
+  weekday: {
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 4,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  day: {
+    width: `${100 / 7}%`,
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  dayCircle: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  selectedDay: {
+    backgroundColor: '#64B5F6',
+  },
+  today: {
+    borderWidth: 1,
+    borderColor: '#64B5F6',
+  },
+  dayText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  selectedDayText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  marker: {
+    width: 5,
+    height: 5,
+    borderRadius: 2.5,
+    marginTop: 2,
+  },
+  visibleMarker: {
+    backgroundColor: '#1E88E5',
+  },
+});
+
+export default DiaryCalendar;
@@ -5,6 +5,7 @@ import { useFood } from '../context/FoodContext';
 import { usePeople } from '../context/PeopleContext';
 import { usePlaces } from '../context/PlacesContext';
 import { MaterialIcons } from '@expo/vector-icons';
+import { showUndoToast } from '../utils/undoToast';
 
 const FoodEntryDetail = ({ 
   entry, 
@@ -52,8 +53,9 @@ const FoodEntryDetail = ({
     return d.toLocaleDateString() + ' ' + d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
-  // Get people names from IDs
+  // Get people from the resolved entry, falling back to IDs
   const getPeople = () => {
+    if (entry.peopleData) return entry.peopleData;
     if (!entry.people || !entry.people.length) return [];
     return getPeopleById(entry.people);
   };
@@ -62,6 +64,7 @@ const FoodEntryDetail = ({
   const handleDelete = async () => {
     try {
       await deleteFoodEntry(entry.id);
+      showUndoToast('food', entry.id, { message: t('movedToTrash'), undoHint: t('tapToUndo') });
       if (onDelete) {
         onDelete(entry.id);
       }
@@ -79,7 +82,7 @@ const FoodEntryDetail = ({
   const confirmDelete = () => {
     Alert.alert(
       t('confirmDelete') || 'Confirm Delete',
-      t('deleteEntryConfirmation') || 'Are you sure you want to delete this entry? This cannot be undone.',
+      t('deleteEntryConfirmation') || 'Are you sure you want to delete this entry? You can restore it from the trash.',
       [
         { text: t('cancel') || 'Cancel', style: 'cancel' },
         { 
@@ -10,15 +10,9 @@ import * as ImagePicker from 'expo-image-picker';
 import * as Location from 'expo-location';
 import { useNavigation } from '@react-navigation/native';
 import { MaterialIcons, FontAwesome, AntDesign } from '@expo/vector-icons';
-
-// Define meal types
-const MEAL_TYPES = [
-  { value: 'breakfast', label: 'Breakfast', emoji: '🍳' },
-  { value: 'lunch', label: 'Lunch', emoji: '🥪' },
-  { value: 'dinner', label: 'Dinner', emoji: '🍲' },
-  { value: 'snack', label: 'Snack', emoji: '🍎' },
-  { value: 'drink', label: 'Drink', emoji: '🥤' },
-];
+import { MEAL_TYPES } from '../data/models';
+import { reverseGeocode } from '../services/GeocodingService';
+import { pickAddressFields, formatAddress } from '../utils/address';
 
 const FoodEntryForm = ({ route = {}, onClose }) => {
   const { editEntry } = route.params || {};
@@ -297,29 +291,16 @@ const FoodEntryForm = ({ route = {}, onClose }) => {
       const { latitude, longitude } = location.coords;
       
       // Reverse geocode to get address
-      const geocodeResult = await Location.reverseGeocodeAsync({
-        latitude,
-        longitude
-      });
-      
-      let address = '';
-      if (geocodeResult && geocodeResult.length > 0) {
-        const addressData = geocodeResult[0];
-        const parts = [
-          addressData.street,
-          addressData.city,
-          addressData.region,
-          addressData.country
-        ].filter(Boolean);
-        address = parts.join(', ');
-      }
+      const addressFields = pickAddressFields(await reverseGeocode(latitude, longitude));
+      const address = formatAddress(addressFields);
 
       setCurrentLocation({
         coords: {
           latitude,
           longitude
         },
-        address
+        address,
+        addressFields
       });
       
       // Automatically set new place name to the address
@@ -349,7 +330,7 @@ const FoodEntryForm = ({ route = {}, onClose }) => {
     try {
       const newPlace = {
         name: newPlaceName,
-        address: currentLocation.address,
+        ...currentLocation.addressFields,
         latitude: currentLocation.coords.latitude,
         longitude: currentLocation.coords.longitude,
         emoji: newPlaceEmoji
@@ -0,0 +1,376 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, ScrollView, Alert, ActivityIndicator } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useLanguage } from '../context/LanguageContext';
+import { addHealthEntry, updateHealthEntry, deleteHealthEntry, WORKOUT_INTENSITIES } from '../database/HealthDB';
+import { showUndoToast } from '../utils/undoToast';
+
+const QUALITY_RATINGS = [1, 2, 3, 4, 5];
+
+// Label of the time of an entry, by kind
+const TIME_LABELS = { sleep: 'wokeUpAt', workout: 'startedAt' };
+
+// Parse a number typed in either locale's decimal notation; null if empty or invalid
+const parseNumber = (text) => {
+  const value = parseFloat(String(text).replace(',', '.'));
+  return Number.isFinite(value) ? value : null;
+};
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Add or edit a health entry of one kind
+const HealthEntryForm = ({ kind, entry = null, medications = [], onClose, topInset = 0, bottomInset = 0 }) => {
+  const { t } = useLanguage();
+
+  const [recordedAt, setRecordedAt] = useState(entry ? new Date(entry.recorded_at) : new Date());
+  const [pickerMode, setPickerMode] = useState(null);
+  const [sleepHours, setSleepHours] = useState(entry?.duration_minutes ? toText(Math.round(entry.duration_minutes / 6) / 10) : '');
+  const [quality, setQuality] = useState(entry?.quality || null);
+  const [activity, setActivity] = useState(entry?.activity || '');
+  const [duration, setDuration] = useState(toText(entry?.duration_minutes));
+  const [intensity, setIntensity] = useState(entry?.intensity || null);
+  const [medicationId, setMedicationId] = useState(entry?.medication_id || null);
+  const [dose, setDose] = useState(entry?.dose || '');
+  const [weight, setWeight] = useState(toText(entry?.weight));
+  const [systolic, setSystolic] = useState(toText(entry?.systolic));
+  const [diastolic, setDiastolic] = useState(toText(entry?.diastolic));
+  const [pulse, setPulse] = useState(toText(entry?.pulse));
+  const [notes, setNotes] = useState(entry?.notes || '');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handlePickerChange = (event, selectedDate) => {
+    setPickerMode(null);
+    if (selectedDate) {
+      setRecordedAt(selectedDate);
+    }
+  };
+
+  const selectMedication = (medication) => {
+    setMedicationId(medication.id);
+    if (!dose) {
+      setDose(medication.dose || '');
+    }
+  };
+
+  // Columns of the entry for its kind, or null if a required value is missing
+  const getValues = () => {
+    switch (kind) {
+      case 'sleep': {
+        const hours = parseNumber(sleepHours);
+        return hours || quality
+          ? { duration_minutes: hours ? Math.round(hours * 60) : null, quality }
+          : null;
+      }
+      case 'workout':
+        return activity.trim()
+          ? { activity: activity.trim(), duration_minutes: parseNumber(duration), intensity }
+          : null;
+      case 'medication':
+        return medicationId ? { medication_id: medicationId, dose: dose.trim() || null } : null;
+      case 'weight': {
+        const value = parseNumber(weight);
+        return value ? { weight: value } : null;
+      }
+      case 'blood_pressure': {
+        const values = { systolic: parseNumber(systolic), diastolic: parseNumber(diastolic), pulse: parseNumber(pulse) };
+        return values.systolic && values.diastolic ? values : null;
+      }
+      default:
+        return null;
+    }
+  };
+
+  const handleSave = async () => {
+    const values = getValues();
+    if (!values) {
+      Alert.alert(t('error'), t(`healthRequired_${kind}`));
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const entryData = { ...values, recorded_at: recordedAt.toISOString(), notes: notes.trim() || null };
+      if (entry) {
+        await updateHealthEntry(entry.id, entryData);
+      } else {
+        await addHealthEntry({ ...entryData, kind });
+      }
+      onClose(true);
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingHealthEntry'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteHealthEntry(entry.id);
+      showUndoToast('health', entry.id, { message: t('movedToTrash'), undoHint: t('tapToUndo') });
+      onClose(true);
+    } catch (error) {
+      Alert.alert(t('error'), t('errorDeletingHealthEntry'));
+    }
+  };
+
+  const renderNumberInput = (label, value, onChangeText, placeholder) => (
+    <View style={styles.inputContainer}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={value}
+        onChangeText={onChangeText}
+        placeholder={placeholder}
+        keyboardType="decimal-pad"
+      />
+    </View>
+  );
+
+  const renderChips = (options, selected, onSelect, getLabel) => (
+    <View style={styles.chips}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.chip, selected === option && styles.selectedChip]}
+          onPress={() => onSelect(selected === option ? null : option)}
+        >
+          <Text style={styles.chipText}>{getLabel(option)}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderFields = () => {
+    switch (kind) {
+      case 'sleep':
+        return (
+          <>
+            {renderNumberInput(t('sleepHours'), sleepHours, setSleepHours, '7.5')}
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>{t('sleepQuality')}</Text>
+              {renderChips(QUALITY_RATINGS, quality, setQuality, rating => `${rating} ★`)}
+            </View>
+          </>
+        );
+      case 'workout':
+        return (
+          <>
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>{t('workoutActivity')} *</Text>
+              <TextInput
+                style={styles.input}
+                value={activity}
+                onChangeText={setActivity}
+                placeholder={t('workoutActivityPlaceholder')}
+              />
+            </View>
+            {renderNumberInput(t('durationMinutes'), duration, setDuration, '30')}
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>{t('workoutIntensity')}</Text>
+              {renderChips(WORKOUT_INTENSITIES, intensity, setIntensity, level => t(`intensity_${level}`))}
+            </View>
+          </>
+        );
+      case 'medication':
+        return (
+          <>
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>{t('medication')} *</Text>
+              {medications.length > 0 ? (
+                <View style={styles.chips}>
+                  {medications.map(medication => (
+                    <TouchableOpacity
+                      key={medication.id}
+                      style={[styles.chip, medicationId === medication.id && styles.selectedChip]}
+                      onPress={() => selectMedication(medication)}
+                    >
+                      <Text style={styles.chipText}>{medication.name}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              ) : (
+                <Text style={styles.emptyText}>{t('noMedicationsYet')}</Text>
+              )}
+            </View>
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>{t('dose')}</Text>
+              <TextInput style={styles.input} value={dose} onChangeText={setDose} placeholder={t('dosePlaceholder')} />
+            </View>
+          </>
+        );
+      case 'weight':
+        return renderNumberInput(`${t('weightKg')} *`, weight, setWeight, '70.5');
+      case 'blood_pressure':
+        return (
+          <View style={styles.row}>
+            <View style={styles.rowItem}>
+              {renderNumberInput(`${t('systolic')} *`, systolic, setSystolic, '120')}
+            </View>
+            <View style={styles.rowItem}>
+              {renderNumberInput(`${t('diastolic')} *`, diastolic, setDiastolic, '80')}
+            </View>
+            <View style={styles.rowItem}>
+              {renderNumberInput(t('pulse'), pulse, setPulse, '70')}
+            </View>
+          </View>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: 16 + topInset }]}>
+        <TouchableOpacity onPress={() => onClose(false)} disabled={isSaving}>
+          <Text style={styles.headerButtonText}>{t('cancel')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{t(`healthKind_${kind}`)}</Text>
+        <TouchableOpacity onPress={handleSave} disabled={isSaving}>
+          {isSaving
+            ? <ActivityIndicator color="#333" />
+            : <Text style={[styles.headerButtonText, styles.saveText]}>{t('save')}</Text>}
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: Math.max(24, bottomInset) }}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t(TIME_LABELS[kind] || 'healthTime')}</Text>
+          <View style={styles.row}>
+            <TouchableOpacity style={[styles.input, styles.rowItem]} onPress={() => setPickerMode('date')}>
+              <Text style={styles.dateText}>{recordedAt.toLocaleDateString()}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.input, styles.rowItem]} onPress={() => setPickerMode('time')}>
+              <Text style={styles.dateText}>
+                {recordedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          {pickerMode && (
+            <DateTimePicker
+              value={recordedAt}
+              mode={pickerMode}
+              display="default"
+              onChange={handlePickerChange}
+            />
+          )}
+        </View>
+
+        {renderFields()}
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('notes')}</Text>
+          <TextInput
+            style={[styles.input, styles.notesInput]}
+            value={notes}
+            onChangeText={setNotes}
+            placeholder={t('healthNotesPlaceholder')}
+            multiline
+            textAlignVertical="top"
+          />
+        </View>
+
+        {entry && (
+          <TouchableOpacity style={styles.deleteButton} onPress={handleDelete} disabled={isSaving}>
+            <Text style={styles.deleteButtonText}>{t('delete')}</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: '#BA68C8',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerButtonText: {
+    fontSize: 16,
+  },
+  saveText: {
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  notesInput: {
+    minHeight: 80,
+  },
+  dateText: {
+    fontSize: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    marginHorizontal: -4,
+  },
+  rowItem: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    backgroundColor: '#E1BEE7',
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  emptyText: {
+    color: '#999',
+  },
+  deleteButton: {
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#FFEBEE',
+    alignItems: 'center',
+  },
+  deleteButtonText: {
+    fontSize: 16,
+    color: '#D32F2F',
+    fontWeight: 'bold',
+  },
+});
+
+export default HealthEntryForm;
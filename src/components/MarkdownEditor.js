@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+import { applyMarkdownFormat } from '../utils/markdown';
+import MarkdownText from './MarkdownText';
+
+// Toolbar buttons, in order
+const FORMATS = [
+  { format: 'bold', label: 'B', style: 'boldLabel' },
+  { format: 'italic', label: 'I', style: 'italicLabel' },
+  { format: 'heading', label: 'H' },
+  { format: 'bullet', label: '•' },
+  { format: 'numbered', label: '1.' },
+  { format: 'quote', label: '❝' }
+];
+
+// Markdown text input with a formatting toolbar and a preview
+const MarkdownEditor = ({ value, onChangeText, placeholder, minHeight = 240 }) => {
+  const { t } = useLanguage();
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
+  const [isPreview, setIsPreview] = useState(false);
+
+  const handleFormat = (format) => {
+    const result = applyMarkdownFormat(value, selection, format);
+    onChangeText(result.text);
+    setSelection(result.selection);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.toolbar}>
+        {FORMATS.map(({ format, label, style }) => (
+          <TouchableOpacity
+            key={format}
+            style={[styles.toolbarButton, isPreview && styles.disabledButton]}
+            onPress={() => handleFormat(format)}
+            disabled={isPreview}
+          >
+            <Text style={[styles.toolbarText, style && styles[style]]}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          style={[styles.previewButton, isPreview && styles.activePreviewButton]}
+          onPress={() => setIsPreview(!isPreview)}
+        >
+          <Text style={styles.previewButtonText}>{isPreview ? t('diaryEdit') : t('diaryPreview')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {isPreview ? (
+        <View style={[styles.editor, { minHeight }]}>
+          {value.trim()
+            ? <MarkdownText text={value} />
+            : <Text style={styles.placeholderText}>{placeholder}</Text>}
+        </View>
+      ) : (
+        <TextInput
+          style={[styles.editor, styles.input, { minHeight }]}
+          value={value}
+          onChangeText={onChangeText}
+          selection={selection}
+          onSelectionChange={event => setSelection(event.nativeEvent.selection)}
+          placeholder={placeholder}
+          multiline
+          textAlignVertical="top"
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    backgroundColor: 'white',
+    overflow: 'hidden',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    backgroundColor: '#fafafa',
+  },
+  toolbarButton: {
+    width: 36,
+    height: 32,
+    borderRadius: 6,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 4,
+  },
+  disabledButton: {
+    opacity: 0.3,
+  },
+  toolbarText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  boldLabel: {
+    fontWeight: 'bold',
+  },
+  italicLabel: {
+    fontStyle: 'italic',
+  },
+  previewButton: {
+    marginLeft: 'auto',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+  },
+  activePreviewButton: {
+    backgroundColor: '#BBDEFB',
+  },
+  previewButtonText: {
+    fontSize: 14,
+  },
+  editor: {
+    padding: 12,
+  },
+  input: {
+    fontSize: 16,
+    lineHeight: 24,
+  },
+  placeholderText: {
+    fontSize: 16,
+    color: '#999',
+  },
+});
+
+export default MarkdownEditor;
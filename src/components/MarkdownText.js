@@ -0,0 +1,115 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { parseMarkdown } from '../utils/markdown';
+
+const HEADING_STYLES = { 1: 'heading1', 2: 'heading2', 3: 'heading3' };
+
+const renderSpans = (spans) => spans.map((span, index) => (
+  <Text
+    key={index}
+    style={[span.bold && styles.bold, span.italic && styles.italic]}
+  >
+    {span.text}
+  </Text>
+));
+
+// Read-only rendering of the markdown written by MarkdownEditor
+const MarkdownText = ({ text, style }) => {
+  const blocks = parseMarkdown(text);
+
+  return (
+    <View style={style}>
+      {blocks.map((block, index) => {
+        switch (block.type) {
+          case 'heading':
+            return (
+              <Text key={index} style={[styles.text, styles[HEADING_STYLES[block.level]]]}>
+                {renderSpans(block.spans)}
+              </Text>
+            );
+          case 'bullet':
+          case 'numbered':
+            return (
+              <View key={index} style={styles.listItem}>
+                <Text style={[styles.text, styles.listMarker]}>
+                  {block.type === 'bullet' ? '•' : `${block.number}.`}
+                </Text>
+                <Text style={[styles.text, styles.listText]}>{renderSpans(block.spans)}</Text>
+              </View>
+            );
+          case 'quote':
+            return (
+              <View key={index} style={styles.quote}>
+                <Text style={[styles.text, styles.quoteText]}>{renderSpans(block.spans)}</Text>
+              </View>
+            );
+          default:
+            return (
+              <Text key={index} style={[styles.text, styles.paragraph]}>
+                {renderSpans(block.spans)}
+              </Text>
+            );
+        }
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  text: {
+    fontSize: 16,
+    lineHeight: 24,
+    color: '#333',
+  },
+  bold: {
+    fontWeight: 'bold',
+  },
+  italic: {
+    fontStyle: 'italic',
+  },
+  heading1: {
+    fontSize: 24,
+    lineHeight: 32,
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  heading2: {
+    fontSize: 20,
+    lineHeight: 28,
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  heading3: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    marginTop: 6,
+    marginBottom: 4,
+  },
+  paragraph: {
+    marginBottom: 12,
+  },
+  listItem: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  listMarker: {
+    width: 24,
+  },
+  listText: {
+    flex: 1,
+  },
+  quote: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#64B5F6',
+    paddingLeft: 12,
+    marginBottom: 12,
+  },
+  quoteText: {
+    fontStyle: 'italic',
+    color: '#555',
+  },
+});
+
+export default MarkdownText;
@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, ScrollView, Switch, Alert, ActivityIndicator } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useLanguage } from '../context/LanguageContext';
+import { addMedication, updateMedication, deleteMedication } from '../database/HealthDB';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// A dose time for the picker, on today's date
+const toPickerDate = (time = '08:00') => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+// Add or edit a medication and the times of day its doses are due
+const MedicationForm = ({ medication = null, onClose, topInset = 0, bottomInset = 0 }) => {
+  const { t } = useLanguage();
+
+  const [name, setName] = useState(medication?.name || '');
+  const [dose, setDose] = useState(medication?.dose || '');
+  const [schedule, setSchedule] = useState(medication?.schedule || []);
+  const [isActive, setIsActive] = useState(medication ? medication.is_active : true);
+  const [notes, setNotes] = useState(medication?.notes || '');
+  const [showTimePicker, setShowTimePicker] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleTimeChange = (event, selectedDate) => {
+    setShowTimePicker(false);
+    if (selectedDate) {
+      const time = `${pad(selectedDate.getHours())}:${pad(selectedDate.getMinutes())}`;
+      setSchedule(current => (current.includes(time) ? current : [...current, time].sort()));
+    }
+  };
+
+  const removeTime = (time) => {
+    setSchedule(current => current.filter(scheduled => scheduled !== time));
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert(t('error'), t('medicationNameRequired'));
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const medicationData = {
+        name: name.trim(),
+        dose: dose.trim(),
+        schedule,
+        is_active: isActive,
+        notes: notes.trim()
+      };
+      if (medication) {
+        await updateMedication(medication.id, medicationData);
+      } else {
+        await addMedication(medicationData);
+      }
+      onClose(true);
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingMedication'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteMedication(medication.id);
+      onClose(true);
+    } catch (error) {
+      Alert.alert(t('error'), t('errorDeletingMedication'));
+    }
+  };
+
+  // Deleting also deletes the doses logged, so offer to deactivate instead
+  const confirmDelete = () => {
+    Alert.alert(
+      t('deleteMedication'),
+      t('deleteMedicationConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        { text: t('delete'), onPress: handleDelete, style: 'destructive' }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: 16 + topInset }]}>
+        <TouchableOpacity onPress={() => onClose(false)} disabled={isSaving}>
+          <Text style={styles.headerButtonText}>{t('cancel')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{medication ? t('editMedication') : t('newMedication')}</Text>
+        <TouchableOpacity onPress={handleSave} disabled={isSaving}>
+          {isSaving
+            ? <ActivityIndicator color="#333" />
+            : <Text style={[styles.headerButtonText, styles.saveText]}>{t('save')}</Text>}
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: Math.max(24, bottomInset) }}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('medicationName')} *</Text>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder={t('medicationNamePlaceholder')}
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('dose')}</Text>
+          <TextInput style={styles.input} value={dose} onChangeText={setDose} placeholder={t('dosePlaceholder')} />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('doseSchedule')}</Text>
+          <View style={styles.chips}>
+            {schedule.map(time => (
+              <TouchableOpacity key={time} style={styles.chip} onPress={() => removeTime(time)}>
+                <Text style={styles.chipText}>{time}  ✕</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity style={[styles.chip, styles.addChip]} onPress={() => setShowTimePicker(true)}>
+              <Text style={styles.chipText}>+ {t('addDoseTime')}</Text>
+            </TouchableOpacity>
+          </View>
+          {schedule.length === 0 && <Text style={styles.hintText}>{t('doseScheduleHint')}</Text>}
+          {showTimePicker && (
+            <DateTimePicker
+              value={toPickerDate(schedule[schedule.length - 1])}
+              mode="time"
+              display="default"
+              onChange={handleTimeChange}
+            />
+          )}
+        </View>
+
+        <View style={[styles.inputContainer, styles.switchRow]}>
+          <Text style={styles.label}>{t('medicationActive')}</Text>
+          <Switch value={isActive} onValueChange={setIsActive} />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('notes')}</Text>
+          <TextInput
+            style={[styles.input, styles.notesInput]}
+            value={notes}
+            onChangeText={setNotes}
+            placeholder={t('healthNotesPlaceholder')}
+            multiline
+            textAlignVertical="top"
+          />
+        </View>
+
+        {medication && (
+          <TouchableOpacity style={styles.deleteButton} onPress={confirmDelete} disabled={isSaving}>
+            <Text style={styles.deleteButtonText}>{t('deleteMedication')}</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: '#BA68C8',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerButtonText: {
+    fontSize: 16,
+  },
+  saveText: {
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  notesInput: {
+    minHeight: 80,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  addChip: {
+    backgroundColor: '#E1BEE7',
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#999',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  deleteButton: {
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#FFEBEE',
+    alignItems: 'center',
+  },
+  deleteButtonText: {
+    fontSize: 16,
+    color: '#D32F2F',
+    fontWeight: 'bold',
+  },
+});
+
+export default MedicationForm;
@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Image, Alert, ActivityIndicator, useWindowDimensions } from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+import { useMemories } from '../context/MemoriesContext';
+import { getMoodsAndFoodForMemory } from '../database/UnifiedDB';
+import { EMOTIONS, MEAL_TYPES } from '../data/models';
+import { showUndoToast } from '../utils/undoToast';
+
+const MemoryDetail = ({ memory, onClose, onEdit, topInset = 0, bottomInset = 0 }) => {
+  const { t } = useLanguage();
+  const { deleteMemory } = useMemories();
+  const { width } = useWindowDimensions();
+  const [linked, setLinked] = useState({ moods: [], foods: [] });
+  const [loadingLinked, setLoadingLinked] = useState(true);
+
+  // Reload linked entries when the memory changes, e.g. after editing its date
+  useEffect(() => {
+    if (!memory) {
+      return;
+    }
+
+    let cancelled = false;
+    setLoadingLinked(true);
+    getMoodsAndFoodForMemory(memory)
+      .then(result => {
+        if (!cancelled) setLinked(result);
+      })
+      .catch(() => {
+        if (!cancelled) setLinked({ moods: [], foods: [] });
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingLinked(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [memory]);
+
+  if (!memory) {
+    return null;
+  }
+
+  const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  const handleDelete = async () => {
+    try {
+      await deleteMemory(memory.id);
+      showUndoToast('memory', memory.id, { message: t('movedToTrash'), undoHint: t('tapToUndo') });
+      onClose();
+    } catch (error) {
+      Alert.alert(t('error'), t('errorDeletingMemory'));
+    }
+  };
+
+  const confirmDelete = () => {
+    Alert.alert(
+      t('deleteMemory'),
+      t('deleteMemoryConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        { text: t('delete'), onPress: handleDelete, style: 'destructive' }
+      ]
+    );
+  };
+
+  const renderMood = (mood) => {
+    const emotion = EMOTIONS.find(e => e.value === mood.emotion);
+    return (
+      <View key={mood.id} style={styles.linkedRow}>
+        <Text style={styles.linkedEmoji}>{emotion ? emotion.emoji : '📋'}</Text>
+        <Text style={styles.linkedText}>
+          {emotion ? t(emotion.value) : t('entityType_survey')}
+          {mood.rating ? ` · ${mood.rating}/5` : ''}
+        </Text>
+        <Text style={styles.linkedTime}>{formatTime(mood.entry_time)}</Text>
+      </View>
+    );
+  };
+
+  const renderFood = (food) => {
+    const mealType = MEAL_TYPES.find(m => m.value === food.meal_type);
+    return (
+      <View key={food.id} style={styles.linkedRow}>
+        <Text style={styles.linkedEmoji}>{mealType ? mealType.emoji : '🍽️'}</Text>
+        <Text style={styles.linkedText}>{food.name}</Text>
+        {food.date && <Text style={styles.linkedTime}>{formatTime(food.date)}</Text>}
+      </View>
+    );
+  };
+
+  const photoWidth = width - 32;
+  const hasLinked = linked.moods.length > 0 || linked.foods.length > 0;
+
+  return (
+    <View style={[styles.container, { paddingTop: topInset }]}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>✕</Text>
+        </TouchableOpacity>
+        <Text style={styles.title} numberOfLines={1}>{t('memoryDetails')}</Text>
+        <TouchableOpacity style={styles.editButton} onPress={() => onEdit(memory)}>
+          <Text style={styles.editButtonText}>{t('editMemory')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={[styles.contentContainer, { paddingBottom: bottomInset + 20 }]}
+      >
+        {memory.photos && memory.photos.length > 0 && (
+          <ScrollView
+            horizontal
+            pagingEnabled
+            showsHorizontalScrollIndicator={false}
+            style={styles.gallery}
+          >
+            {memory.photos.map(uri => (
+              <Image
+                key={uri}
+                source={{ uri }}
+                style={[styles.galleryPhoto, { width: photoWidth }]}
+                resizeMode="cover"
+              />
+            ))}
+          </ScrollView>
+        )}
+
+        <View style={styles.card}>
+          <Text style={styles.memoryTitle}>{memory.title}</Text>
+          {memory.date && <Text style={styles.memoryDate}>{memory.date.toLocaleDateString()}</Text>}
+          {!!memory.description && <Text style={styles.story}>{memory.description}</Text>}
+        </View>
+
+        {memory.placeData && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>{t('places')}</Text>
+            <Text style={styles.badgeText}>📍 {memory.placeData.name}</Text>
+          </View>
+        )}
+
+        {memory.peopleData && memory.peopleData.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>{t('people')}</Text>
+            <View style={styles.badges}>
+              {memory.peopleData.map(person => (
+                <View key={person.id} style={styles.badge}>
+                  <Text style={styles.badgeText}>👤 {person.name}</Text>
+                </View>
+              ))}
+            </View>
+          </View>
+        )}
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('memoryMoodsAndFood')}</Text>
+          {loadingLinked ? (
+            <ActivityIndicator color="#FF8A65" />
+          ) : hasLinked ? (
+            <>
+              {linked.moods.map(renderMood)}
+              {linked.foods.map(renderFood)}
+            </>
+          ) : (
+            <Text style={styles.emptyText}>{t('noMoodsOrFoodForMemory')}</Text>
+          )}
+        </View>
+
+        <TouchableOpacity style={styles.deleteButton} onPress={confirmDelete}>
+          <Text style={styles.deleteButtonText}>{t('deleteMemory')}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeButtonText: {
+    fontSize: 20,
+    color: '#666',
+  },
+  title: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  editButton: {
+    padding: 8,
+  },
+  editButtonText: {
+    fontSize: 16,
+    color: '#FF7043',
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+  },
+  contentContainer: {
+    padding: 16,
+  },
+  gallery: {
+    marginBottom: 16,
+    borderRadius: 8,
+  },
+  galleryPhoto: {
+    height: 240,
+    borderRadius: 8,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  memoryTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  memoryDate: {
+    fontSize: 14,
+    color: '#888',
+  },
+  story: {
+    fontSize: 16,
+    lineHeight: 24,
+    marginTop: 12,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  badges: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  badge: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  badgeText: {
+    fontSize: 14,
+  },
+  linkedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  linkedEmoji: {
+    fontSize: 20,
+    marginRight: 12,
+  },
+  linkedText: {
+    flex: 1,
+    fontSize: 15,
+  },
+  linkedTime: {
+    fontSize: 13,
+    color: '#888',
+  },
+  emptyText: {
+    color: '#999',
+  },
+  deleteButton: {
+    backgroundColor: '#F44336',
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+  },
+  deleteButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default MemoryDetail;
@@ -0,0 +1,334 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, ScrollView, Image, Alert, ActivityIndicator } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import * as ImagePicker from 'expo-image-picker';
+import { useLanguage } from '../context/LanguageContext';
+import { useMemories } from '../context/MemoriesContext';
+import { usePeople } from '../context/PeopleContext';
+import { usePlaces } from '../context/PlacesContext';
+
+const MemoryForm = ({ memory = null, onClose, topInset = 0, bottomInset = 0 }) => {
+  const { t } = useLanguage();
+  const { addMemory, updateMemory } = useMemories();
+  const { people } = usePeople();
+  const { places } = usePlaces();
+
+  const [title, setTitle] = useState(memory?.title || '');
+  const [story, setStory] = useState(memory?.description || '');
+  const [date, setDate] = useState(memory?.date ? new Date(memory.date) : new Date());
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [selectedPlace, setSelectedPlace] = useState(memory?.place || null);
+  const [selectedPeople, setSelectedPeople] = useState(memory?.people || []);
+  const [photos, setPhotos] = useState(memory?.photos || []);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleDateChange = (event, selectedDate) => {
+    setShowDatePicker(false);
+    if (selectedDate) {
+      setDate(selectedDate);
+    }
+  };
+
+  const togglePerson = (personId) => {
+    setSelectedPeople(selectedPeople.includes(personId)
+      ? selectedPeople.filter(id => id !== personId)
+      : [...selectedPeople, personId]);
+  };
+
+  const handlePickPhotos = async () => {
+    const permissionResult = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (!permissionResult.granted) {
+      Alert.alert(t('error'), t('photoPermissionRequired'));
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsMultipleSelection: true,
+      quality: 0.8,
+    });
+    if (!result.canceled) {
+      setPhotos(current => [...current, ...result.assets.map(asset => asset.uri)]);
+    }
+  };
+
+  const handleTakePhoto = async () => {
+    const permissionResult = await ImagePicker.requestCameraPermissionsAsync();
+    if (!permissionResult.granted) {
+      Alert.alert(t('error'), t('cameraPermissionRequired'));
+      return;
+    }
+
+    const result = await ImagePicker.launchCameraAsync({ quality: 0.8 });
+    if (!result.canceled) {
+      setPhotos(current => [...current, result.assets[0].uri]);
+    }
+  };
+
+  const removePhoto = (uri) => {
+    setPhotos(current => current.filter(photo => photo !== uri));
+  };
+
+  const handleSave = async () => {
+    if (!title.trim()) {
+      Alert.alert(t('error'), t('memoryTitleRequired'));
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const memoryData = {
+        title: title.trim(),
+        description: story.trim(),
+        date,
+        place: selectedPlace,
+        people: selectedPeople,
+        photos
+      };
+      if (memory) {
+        await updateMemory({ ...memoryData, id: memory.id });
+      } else {
+        await addMemory(memoryData);
+      }
+      onClose();
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingMemory'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: 16 + topInset }]}>
+        <TouchableOpacity onPress={onClose} disabled={isSaving}>
+          <Text style={styles.headerButtonText}>{t('cancel')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{memory ? t('editMemory') : t('newMemory')}</Text>
+        <TouchableOpacity onPress={handleSave} disabled={isSaving}>
+          {isSaving
+            ? <ActivityIndicator color="#333" />
+            : <Text style={[styles.headerButtonText, styles.saveText]}>{t('save')}</Text>}
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: Math.max(24, bottomInset) }}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('memoryTitle')} *</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={t('memoryTitlePlaceholder')}
+            value={title}
+            onChangeText={setTitle}
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('memoryStory')}</Text>
+          <TextInput
+            style={[styles.input, styles.storyInput]}
+            placeholder={t('memoryStoryPlaceholder')}
+            value={story}
+            onChangeText={setStory}
+            multiline
+            textAlignVertical="top"
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('memoryDate')}</Text>
+          <TouchableOpacity style={styles.input} onPress={() => setShowDatePicker(true)}>
+            <Text style={styles.dateText}>{date.toLocaleDateString()}</Text>
+          </TouchableOpacity>
+          {showDatePicker && (
+            <DateTimePicker
+              value={date}
+              mode="date"
+              display="default"
+              onChange={handleDateChange}
+            />
+          )}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('photos')}</Text>
+          <View style={styles.photoGrid}>
+            {photos.map(uri => (
+              <View key={uri} style={styles.photoWrapper}>
+                <Image source={{ uri }} style={styles.photo} />
+                <TouchableOpacity style={styles.removePhotoButton} onPress={() => removePhoto(uri)}>
+                  <Text style={styles.removePhotoText}>✕</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+          <View style={styles.photoButtons}>
+            <TouchableOpacity style={styles.photoButton} onPress={handlePickPhotos}>
+              <Text style={styles.photoButtonText}>🖼️ {t('addPhotos')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.photoButton} onPress={handleTakePhoto}>
+              <Text style={styles.photoButtonText}>📷 {t('takePhoto')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('places')}</Text>
+          {places.length === 0 ? (
+            <Text style={styles.emptyText}>{t('noPlacesYet')}</Text>
+          ) : (
+            <View style={styles.chips}>
+              {places.map(place => (
+                <TouchableOpacity
+                  key={place.id}
+                  style={[styles.chip, selectedPlace === place.id && styles.selectedChip]}
+                  onPress={() => setSelectedPlace(selectedPlace === place.id ? null : place.id)}
+                >
+                  <Text style={styles.chipText}>📍 {place.name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('people')}</Text>
+          {people.length === 0 ? (
+            <Text style={styles.emptyText}>{t('noPeopleYet')}</Text>
+          ) : (
+            <View style={styles.chips}>
+              {people.map(person => (
+                <TouchableOpacity
+                  key={person.id}
+                  style={[styles.chip, selectedPeople.includes(person.id) && styles.selectedChip]}
+                  onPress={() => togglePerson(person.id)}
+                >
+                  <Text style={styles.chipText}>👤 {person.name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: '#FF8A65',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerButtonText: {
+    fontSize: 16,
+  },
+  saveText: {
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  storyInput: {
+    minHeight: 120,
+  },
+  dateText: {
+    fontSize: 16,
+  },
+  photoGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  photoWrapper: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  photo: {
+    width: 96,
+    height: 96,
+    borderRadius: 8,
+  },
+  removePhotoButton: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  removePhotoText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  photoButtons: {
+    flexDirection: 'row',
+  },
+  photoButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#f0f0f0',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  photoButtonText: {
+    fontSize: 14,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    backgroundColor: '#FFCCBC',
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  emptyText: {
+    color: '#999',
+  },
+});
+
+export default MemoryForm;
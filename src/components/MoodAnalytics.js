@@ -1,8 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Dimensions, ActivityIndicator } from 'react-native';
 import { getMoodEntries, getDatabaseStats } from '../database/MoodsDB';
+import { getMoodHealthCorrelations } from '../database/HealthDB';
 import { EMOTIONS, ACTIVITY_CATEGORIES } from '../data/models';
 import { useLanguage } from '../context/LanguageContext';
+import MoodMap from './MoodMap';
+import { isMockWeather } from '../utils/weather';
 
 /**
  * MoodAnalytics component for visualizing mood data and providing insights
@@ -15,7 +18,8 @@ const MoodAnalytics = ({ navigation, timeRange = 'week' }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [activeTimeRange, setActiveTimeRange] = useState(timeRange);
   const [insights, setInsights] = useState([]);
-  const [activeView, setActiveView] = useState('overview'); // 'overview', 'mood', 'survey', 'calendar'
+  const [activeView, setActiveView] = useState('overview'); // 'overview', 'mood', 'survey', 'calendar', 'health', 'map'
+  const [healthCorrelations, setHealthCorrelations] = useState(null);
   
   // Screen dimensions for charts
   const screenWidth = Dimensions.get('window').width;
@@ -36,8 +40,12 @@ const MoodAnalytics = ({ navigation, timeRange = 'week' }) => {
       // Get general database stats
       const dbStats = await getDatabaseStats();
       
+      // Moods compared with the sleep and workouts before them
+      const correlations = await getMoodHealthCorrelations(getStartDateForTimeRange(activeTimeRange));
+      
       setMoodData(entries);
       setStats(dbStats);
+      setHealthCorrelations(correlations);
       
       // Generate insights from the data
       const generatedInsights = generateInsights(entries, dbStats);
@@ -61,6 +69,15 @@ const MoodAnalytics = ({ navigation, timeRange = 'week' }) => {
     }
   };
   
+  // Get the start of a time range, counted back from now; null for all time
+  const getStartDateForTimeRange = (range) => {
+    const days = { day: 1, week: 7, month: 30, year: 365 }[range];
+    return days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+  };
+  
+  // Start of the active time range for the mood map, kept stable between renders
+  const mapSince = useMemo(() => getStartDateForTimeRange(activeTimeRange), [activeTimeRange]);
+  
   // Generate insights based on mood data
   const generateInsights = (entries, dbStats) => {
     if (!entries || entries.length === 0) {
@@ -187,8 +204,8 @@ const MoodAnalytics = ({ navigation, timeRange = 'week' }) => {
       }
     }
     
-    // Weather correlations (if at least 5 entries with weather)
-    const entriesWithWeather = entries.filter(entry => entry.weather);
+    // Weather correlations (if at least 5 entries with weather), leaving out mock weather
+    const entriesWithWeather = entries.filter(entry => entry.weather && !isMockWeather(entry.weatherData));
     if (entriesWithWeather.length >= 5) {
       // Find weather conditions that correlate with higher/lower mood
       const weatherStats = {};
@@ -455,6 +472,73 @@ const MoodAnalytics = ({ navigation, timeRange = 'week' }) => {
     );
   };
   
+  // Describe a correlation between a health measure and mood
+  const describeCorrelation = (correlation) => {
+    if (correlation === null) return t('notEnoughHealthData');
+    if (correlation >= 0.3) return t('correlationPositive');
+    if (correlation <= -0.3) return t('correlationNegative');
+    return t('correlationNone');
+  };
+  
+  // Render how mood relates to sleep and exercise
+  const renderHealthCorrelations = () => {
+    if (!healthCorrelations) {
+      return null;
+    }
+    
+    const { sleepDuration, sleepQuality, workout } = healthCorrelations;
+    const sleepRows = [
+      { label: t('sleepHours'), ...sleepDuration },
+      { label: t('sleepQuality'), ...sleepQuality }
+    ];
+    
+    return (
+      <>
+        <View style={styles.chartContainer}>
+          <Text style={styles.chartTitle}>{t('moodAndSleep')}</Text>
+          {sleepRows.map(row => (
+            <View key={row.label} style={styles.correlationRow}>
+              <Text style={styles.correlationLabel}>{row.label}</Text>
+              <Text style={styles.correlationValue}>
+                {row.correlation !== null ? row.correlation.toFixed(2) : '-'}
+              </Text>
+              <Text style={styles.correlationText}>
+                {describeCorrelation(row.correlation)} ({row.count} {t('nights')})
+              </Text>
+            </View>
+          ))}
+        </View>
+        
+        <View style={styles.chartContainer}>
+          <Text style={styles.chartTitle}>{t('moodAndExercise')}</Text>
+          {[
+            { label: t('afterWorkout'), average: workout.averageWith, count: workout.countWith },
+            { label: t('withoutWorkout'), average: workout.averageWithout, count: workout.countWithout }
+          ].map(row => (
+            <View key={row.label} style={styles.barChartRow}>
+              <Text style={styles.correlationLabel}>{row.label}</Text>
+              <View style={styles.barContainer}>
+                <View
+                  style={[
+                    styles.bar,
+                    {
+                      width: row.average !== null ? `${(row.average / 5) * 70}%` : 0,
+                      backgroundColor: getMoodColor(Math.round(row.average))
+                    }
+                  ]}
+                />
+                <Text style={styles.barText}>
+                  {row.average !== null ? row.average.toFixed(1) : '-'} ({row.count})
+                </Text>
+              </View>
+            </View>
+          ))}
+          {workout.countWith === 0 && <Text style={styles.placeholderText}>{t('notEnoughHealthData')}</Text>}
+        </View>
+      </>
+    );
+  };
+  
   // Get emoji for mood rating
   const getMoodEmoji = (rating) => {
     const emojis = {
@@ -561,6 +645,20 @@ const MoodAnalytics = ({ navigation, timeRange = 'week' }) => {
         >
           <Text style={styles.viewTabText}>{t('calendar')}</Text>
         </TouchableOpacity>
+        
+        <TouchableOpacity
+          style={[styles.viewTab, activeView === 'health' && styles.activeViewTab]}
+          onPress={() => setActiveView('health')}
+        >
+          <Text style={styles.viewTabText}>{t('health')}</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity
+          style={[styles.viewTab, activeView === 'map' && styles.activeViewTab]}
+          onPress={() => setActiveView('map')}
+        >
+          <Text style={styles.viewTabText}>{t('moodMapTab')}</Text>
+        </TouchableOpacity>
       </View>
       
       {/* Main content based on active view */}
@@ -623,6 +721,14 @@ const MoodAnalytics = ({ navigation, timeRange = 'week' }) => {
           {renderCalendarView()}
         </>
       )}
+      
+      {activeView === 'health' && (
+        <>
+          {renderHealthCorrelations()}
+        </>
+      )}
+      
+      {activeView === 'map' && <MoodMap since={mapSince} />}
     </ScrollView>
   );
 };
@@ -791,6 +897,26 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#666',
   },
+  correlationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  correlationLabel: {
+    width: 110,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  correlationValue: {
+    width: 48,
+    fontSize: 14,
+  },
+  correlationText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+  },
   lineChartPlaceholder: {
     height: 200,
     backgroundColor: '#f5f5f5',
@@ -32,7 +32,9 @@ const MoodEntryDetail = ({ entry, onClose, bottomInset = 0, topInset = 0, getTra
 
   useEffect(() => {
     // Load associated people
-    if (entry && entry.people && Array.isArray(entry.people) && entry.people.length > 0) {
+    if (entry && entry.peopleData) {
+      setAssociatedPeople(entry.peopleData);
+    } else if (entry && entry.people && Array.isArray(entry.people) && entry.people.length > 0) {
       if (getPeopleById) {
         // Use the context function if available
         const peopleData = getPeopleById(entry.people);
@@ -8,7 +8,10 @@ import { useLanguage } from '../context/LanguageContext';
 import { useVisualStyle, VISUAL_STYLES, getRatingColor } from '../context/VisualStyleContext';
 import { usePeople } from '../context/PeopleContext';
 import * as Location from 'expo-location';
-import { fetchWeatherData } from '../utils/weather';
+import { getWeather as fetchWeather } from '../services/WeatherService';
+import { reverseGeocode } from '../services/GeocodingService';
+import { formatAddress, SHORT_ADDRESS_FIELDS } from '../utils/address';
+import { isMockWeather } from '../utils/weather';
 
 const MoodEntryForm = ({ onSave, onCancel, initialRating = 3, initialEmotion = null, visualStyle, getMoodIcon }) => {
   const { t } = useLanguage();
@@ -116,25 +119,16 @@ const MoodEntryForm = ({ onSave, onCancel, initialRating = 3, initialEmotion = n
       let weatherString = null;
       let weatherData = null;
       
-      if (selectedWeather) {
-        // Store readable weather in main entry
-        weatherString = `${selectedWeather}, 20°C`;
+      // A condition picked by hand is kept in weather together with the fetched details
+      if (weather) {
+        const condition = selectedWeather || weather.condition;
         
-        // Store full weather data for metadata
-        weatherData = {
-          condition: selectedWeather,
-          temperature: 20,
-          description: selectedWeather,
-          timestamp: new Date().toISOString(),
-          source: 'manual'
-        };
-      } else if (weather) {
         // Store readable weather in main entry
-        weatherString = `${weather.condition}, ${weather.temperature}°C`;
+        weatherString = `${condition}, ${weather.temperature}°C`;
         
         // Store full weather data for metadata
         weatherData = {
-          condition: weather.condition,
+          condition,
           description: weather.description,
           temperature: weather.temperature,
           feelsLike: weather.feelsLike,
@@ -144,7 +138,9 @@ const MoodEntryForm = ({ onSave, onCancel, initialRating = 3, initialEmotion = n
           locationName: weather.locationName,
           country: weather.country,
           timestamp: Date.now(),
-          source: weather.source || 'api'
+          source: weather.source || 'api',
+          // Kept so analytics can leave made-up weather out
+          isMockData: !!weather.isMockData
         };
       }
       
@@ -410,38 +406,14 @@ const MoodEntryForm = ({ onSave, onCancel, initialRating = 3, initialEmotion = n
 
       let location = await Location.getCurrentPositionAsync({});
       
-      // Get readable address
-      const addressResponse = await Location.reverseGeocodeAsync({
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude
-      });
-
-      let address = '';
-      if (addressResponse && addressResponse.length > 0) {
-        const addressData = addressResponse[0];
-        address = [
-          addressData.name,
-          addressData.street,
-          addressData.city,
-          addressData.region,
-          addressData.country
-        ]
-          .filter(part => part)
-          .join(', ');
-
-        // Simplify to just city and country if available
-        if (addressData.city) {
-          address = addressData.city;
-          if (addressData.country) {
-            address += `, ${addressData.country}`;
-          }
-        }
-      }
+      // Get readable address, offline from the cache or the gazetteer
+      const addressFields = await reverseGeocode(location.coords.latitude, location.coords.longitude);
 
       setSelectedLocation({
+        ...addressFields,
         latitude: location.coords.latitude,
         longitude: location.coords.longitude,
-        address: address || t('unknownLocation'),
+        address: formatAddress(addressFields, SHORT_ADDRESS_FIELDS) || t('unknownLocation'),
         locationType: 'gps'
       });
     } catch (error) {
@@ -475,27 +447,13 @@ const MoodEntryForm = ({ onSave, onCancel, initialRating = 3, initialEmotion = n
           });
           
           // Get readable address for the coordinates
-          const addressResponse = await Location.reverseGeocodeAsync({
-            latitude: coords.latitude,
-            longitude: coords.longitude
-          });
-
-          let address = t('currentLocation');
-          if (addressResponse && addressResponse.length > 0) {
-            const addressData = addressResponse[0];
-            // Simplify to just city and country if available
-            if (addressData.city) {
-              address = addressData.city;
-              if (addressData.country) {
-                address += `, ${addressData.country}`;
-              }
-            }
-          }
+          const addressFields = await reverseGeocode(coords.latitude, coords.longitude);
           
           locationToUse = {
+            ...addressFields,
             latitude: coords.latitude,
             longitude: coords.longitude,
-            address: address,
+            address: formatAddress(addressFields, SHORT_ADDRESS_FIELDS) || t('currentLocation'),
             locationType: 'gps'
           };
           
@@ -511,19 +469,11 @@ const MoodEntryForm = ({ onSave, onCancel, initialRating = 3, initialEmotion = n
       }
       
       // Get weather from API
-      const weatherData = await fetchWeatherData(locationToUse.latitude, locationToUse.longitude);
-      if (weatherData) {
-        // Mark the weather data as coming from the API
-        const apiWeatherData = {
-          ...weatherData,
-          source: 'api'
-        };
-        
-        setWeather(apiWeatherData);
-        // Automatically select the weather condition
-        setSelectedWeather(apiWeatherData.condition);
-        setWeatherEnabled(true);
-      }
+      const weatherData = await fetchWeather(locationToUse.latitude, locationToUse.longitude);
+      setWeather(weatherData);
+      // Automatically select the weather condition
+      setSelectedWeather(weatherData.condition);
+      setWeatherEnabled(true);
     } catch (error) {
       console.error('Error fetching weather data:', error);
       setWeatherError(error.message || t('weatherFetchError') || 'Error fetching weather data');
@@ -615,6 +565,9 @@ const MoodEntryForm = ({ onSave, onCancel, initialRating = 3, initialEmotion = n
     );
   };
 
+  // Weather from a provider rather than picked by hand or made up
+  const hasProviderWeather = !!weather && weather.source !== 'manual' && !isMockWeather(weather);
+
   return (
     <KeyboardAvoidingView 
       style={styles.keyboardAvoidingView} 
@@ -814,7 +767,7 @@ const MoodEntryForm = ({ onSave, onCancel, initialRating = 3, initialEmotion = n
                 <TouchableOpacity
                   style={[
                     styles.optionButton, 
-                    weather && weather.source === 'api' ? styles.selectedOption : styles.specialOption
+                    hasProviderWeather ? styles.selectedOption : styles.specialOption
                   ]}
                   onPress={() => getWeather()}
                   disabled={weatherLoading}
@@ -822,10 +775,7 @@ const MoodEntryForm = ({ onSave, onCancel, initialRating = 3, initialEmotion = n
                   {weatherLoading ? (
                     <ActivityIndicator size="small" color="#333" />
                   ) : (
-                    <Text style={[
-                      styles.optionText,
-                      weather && weather.source === 'api' ? { color: 'white' } : { color: 'white' }
-                    ]}>🌤️ {t('currentWeather')}</Text>
+                    <Text style={[styles.optionText, { color: 'white' }]}>🌤️ {t('currentWeather')}</Text>
                   )}
                 </TouchableOpacity>
               </View>
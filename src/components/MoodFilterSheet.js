@@ -0,0 +1,377 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, TextInput, Modal } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useLanguage } from '../context/LanguageContext';
+import { usePeople } from '../context/PeopleContext';
+import { usePlaces } from '../context/PlacesContext';
+import { getMoodFilterOptions } from '../database/MoodsDB';
+import {
+  DATE_RANGES,
+  getDateRangeStart,
+  isCustomDateRange,
+  toRangeDay,
+  fromRangeDay
+} from '../services/MoodViewsService';
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+const MoodFilterSheet = ({ visible, filters, onApply, onSaveView, onClose, getTranslatedEmotion }) => {
+  const { t } = useLanguage();
+  const { people } = usePeople();
+  const { places } = usePlaces();
+  const insets = useSafeAreaInsets();
+  const [draft, setDraft] = useState(filters);
+  const [options, setOptions] = useState(null);
+  const [viewName, setViewName] = useState('');
+  const [pickerField, setPickerField] = useState(null);
+
+  // Start from the applied filters and current values every time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setDraft(filters);
+      setViewName('');
+      setPickerField(null);
+      getMoodFilterOptions()
+        .then(setOptions)
+        .catch(() => setOptions({ emotions: [], tags: [], activityTypes: [], socialContexts: [], weather: [] }));
+    }
+  }, [visible]);
+
+  const setFilter = (name, value) => setDraft(current => ({ ...current, [name]: value }));
+
+  const toggleValue = (name, value) => {
+    const selected = draft[name] || [];
+    setFilter(name, selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value]);
+  };
+
+  const renderChip = (key, label, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isSelected && styles.selectedChip]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  // A section of chips where any number of values can be selected
+  const renderMultiSelect = (title, name, values, getLabel = value => value, getValue = value => value) => {
+    if (!values || values.length === 0) {
+      return null;
+    }
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{title}</Text>
+        <View style={styles.chips}>
+          {values.map(item => {
+            const value = getValue(item);
+            return renderChip(value, getLabel(item), (draft[name] || []).includes(value), () => toggleValue(name, value));
+          })}
+        </View>
+      </View>
+    );
+  };
+
+  // A section of chips where at most one value can be selected
+  const renderSingleSelect = (title, name, values, getLabel) => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      <View style={styles.chips}>
+        {renderChip('any', t('any'), !draft[name], () => setFilter(name, null))}
+        {values.map(value => renderChip(
+          value,
+          getLabel(value),
+          draft[name] === value,
+          () => setFilter(name, value)
+        ))}
+      </View>
+    </View>
+  );
+
+  const customRange = isCustomDateRange(draft.dateRange) ? draft.dateRange : null;
+
+  // A custom range starts out as the last 30 days
+  const handleCustomRange = () => {
+    if (!customRange) {
+      setFilter('dateRange', {
+        start: toRangeDay(getDateRangeStart('last30Days')),
+        end: toRangeDay(new Date())
+      });
+    }
+  };
+
+  // Moving one end of the range past the other moves both
+  const handleDateChange = (event, date) => {
+    const field = pickerField;
+    setPickerField(null);
+    if (!date || !customRange) {
+      return;
+    }
+    const day = toRangeDay(date);
+    if (field === 'start') {
+      setFilter('dateRange', { start: day, end: day > customRange.end ? day : customRange.end });
+    } else {
+      setFilter('dateRange', { start: day < customRange.start ? day : customRange.start, end: day });
+    }
+  };
+
+  const renderDateRange = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{t('dateRange')}</Text>
+      <View style={styles.chips}>
+        {renderChip('any', t('any'), !draft.dateRange, () => setFilter('dateRange', null))}
+        {DATE_RANGES.map(range => renderChip(
+          range,
+          t(`dateRange_${range}`),
+          draft.dateRange === range,
+          () => setFilter('dateRange', range)
+        ))}
+        {renderChip('custom', t('dateRange_custom'), !!customRange, handleCustomRange)}
+      </View>
+      {customRange && (
+        <View style={styles.dateRow}>
+          <TouchableOpacity style={styles.dateButton} onPress={() => setPickerField('start')}>
+            <Text style={styles.dateButtonText}>{fromRangeDay(customRange.start).toLocaleDateString()}</Text>
+          </TouchableOpacity>
+          <Text style={styles.dateSeparator}>–</Text>
+          <TouchableOpacity style={styles.dateButton} onPress={() => setPickerField('end')}>
+            <Text style={styles.dateButtonText}>{fromRangeDay(customRange.end).toLocaleDateString()}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      {customRange && pickerField && (
+        <DateTimePicker
+          value={fromRangeDay(pickerField === 'start' ? customRange.start : customRange.end)}
+          mode="date"
+          display="default"
+          onChange={handleDateChange}
+        />
+      )}
+    </View>
+  );
+
+  const handleSaveView = () => {
+    if (viewName.trim()) {
+      onSaveView(viewName.trim(), draft);
+      onApply(draft);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={[styles.sheet, { paddingBottom: Math.max(16, insets.bottom) }]}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{t('filterMoods')}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Text style={styles.closeButtonText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+            {renderDateRange()}
+            {renderSingleSelect(t('minRating'), 'minRating', RATINGS, String)}
+            {renderSingleSelect(t('maxRating'), 'maxRating', RATINGS, String)}
+            {options && (
+              <>
+                {renderMultiSelect(t('emotions'), 'emotions', options.emotions,
+                  value => (getTranslatedEmotion ? getTranslatedEmotion(value) : t(value)))}
+                {renderMultiSelect(t('tags'), 'tags', options.tags)}
+                {renderMultiSelect(t('activityCategories'), 'activityTypes', options.activityTypes)}
+                {renderMultiSelect(t('socialContext'), 'socialContexts', options.socialContexts)}
+                {renderMultiSelect(t('weather'), 'weather', options.weather)}
+              </>
+            )}
+            {renderMultiSelect(t('places'), 'placeIds', places, place => place.name, place => place.id)}
+            {renderMultiSelect(t('people'), 'personIds', people, person => person.name, person => person.id)}
+
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>{t('saveAsView')}</Text>
+              <View style={styles.saveRow}>
+                <TextInput
+                  style={styles.nameInput}
+                  placeholder={t('viewName')}
+                  value={viewName}
+                  onChangeText={setViewName}
+                />
+                <TouchableOpacity
+                  style={[styles.saveButton, !viewName.trim() && styles.disabledButton]}
+                  onPress={handleSaveView}
+                  disabled={!viewName.trim()}
+                >
+                  <Text style={styles.saveButtonText}>{t('save')}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={styles.clearButton} onPress={() => setDraft({})}>
+              <Text style={styles.clearButtonText}>{t('clearFilters')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.applyButton} onPress={() => onApply(draft)}>
+              <Text style={styles.applyButtonText}>{t('applyFilters')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    maxHeight: '85%',
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  content: {
+    paddingHorizontal: 16,
+  },
+  section: {
+    marginTop: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    backgroundColor: '#FFD54F',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  selectedChipText: {
+    color: '#333',
+    fontWeight: 'bold',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  dateButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    alignItems: 'center',
+  },
+  dateButtonText: {
+    fontSize: 14,
+  },
+  dateSeparator: {
+    marginHorizontal: 8,
+    fontSize: 16,
+  },
+  saveRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  nameInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    marginRight: 8,
+  },
+  saveButton: {
+    backgroundColor: '#3F51B5',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  footer: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  clearButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  clearButtonText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  applyButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#FFD54F',
+    alignItems: 'center',
+  },
+  applyButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default MoodFilterSheet;
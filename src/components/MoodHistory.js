@@ -1,8 +1,10 @@
 import React, { useState, useMemo, useRef, useEffect } from 'react';
-import { View, Text, StyleSheet, FlatList, TouchableOpacity, RefreshControl, ActivityIndicator, Dimensions, SectionList, ScrollView, Animated, Platform } from 'react-native';
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, RefreshControl, ActivityIndicator, Dimensions, SectionList, ScrollView, Animated, Platform, Alert } from 'react-native';
 import { useLanguage } from '../context/LanguageContext';
 import { useVisualStyle } from '../context/VisualStyleContext';
 import MapView, { Marker } from 'react-native-maps';
+import MoodFilterSheet from './MoodFilterSheet';
+import { getSavedMoodViews, saveMoodView, deleteMoodView, countMoodFilters } from '../services/MoodViewsService';
 // Replace imported EMOTIONS with the one defined in MoodScreen
 // import { EMOTIONS } from '../data/models';
 
@@ -35,12 +37,16 @@ const MoodHistory = ({
   bottomInset = 0,
   getTranslatedEmotion,
   getMoodIcon,
-  visualStyle
+  visualStyle,
+  filters = {},
+  onFiltersChange
 }) => {
   const { t } = useLanguage();
   const localVisualStyle = useVisualStyle();
   const [showMap, setShowMap] = useState(false);
   const [visibleEntries, setVisibleEntries] = useState([]);
+  const [savedViews, setSavedViews] = useState([]);
+  const [isFilterSheetVisible, setIsFilterSheetVisible] = useState(false);
   const listRef = useRef(null);
   const mapHeight = useRef(new Animated.Value(0)).current;
   
@@ -127,6 +133,69 @@ const MoodHistory = ({
     return sections.filter(section => section.data.length > 0);
   }, [entries, t]);
 
+  useEffect(() => {
+    getSavedMoodViews().then(setSavedViews);
+  }, []);
+
+  const activeFilterCount = countMoodFilters(filters);
+  const isFiltered = activeFilterCount > 0;
+
+  const applyFilters = (newFilters) => {
+    setIsFilterSheetVisible(false);
+    onFiltersChange && onFiltersChange(newFilters);
+  };
+
+  const handleSaveView = async (name, viewFilters) => {
+    setSavedViews(await saveMoodView(name, viewFilters));
+  };
+
+  const handleDeleteView = (view) => {
+    Alert.alert(
+      t('deleteView'),
+      t('deleteViewConfirmation').replace('{name}', view.name),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('delete'),
+          style: 'destructive',
+          onPress: async () => setSavedViews(await deleteMoodView(view.id))
+        }
+      ]
+    );
+  };
+
+  // Saved views as chips; the selected one is the view whose filters are applied
+  const renderSavedViews = () => {
+    if (savedViews.length === 0) return null;
+
+    const appliedFilters = JSON.stringify(filters);
+    return (
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.viewsRow}
+        contentContainerStyle={styles.viewsRowContent}
+      >
+        <TouchableOpacity
+          style={[styles.viewChip, !isFiltered && styles.viewChipActive]}
+          onPress={() => applyFilters({})}
+        >
+          <Text style={styles.viewChipText}>{t('allEntries')}</Text>
+        </TouchableOpacity>
+        {savedViews.map(view => (
+          <TouchableOpacity
+            key={view.id}
+            style={[styles.viewChip, JSON.stringify(view.filters) === appliedFilters && styles.viewChipActive]}
+            onPress={() => applyFilters(view.filters)}
+            onLongPress={() => handleDeleteView(view)}
+          >
+            <Text style={styles.viewChipText}>{view.name}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    );
+  };
+
   // Add memory management optimization
   useEffect(() => {
     return () => {
@@ -246,8 +315,14 @@ const MoodHistory = ({
 
   const renderEmptyState = () => (
     <View style={styles.emptyContainer}>
-      <Text style={styles.emptyText}>{t('noMoodEntries')}</Text>
-      <Text style={styles.emptySubtext}>{t('moodHistoryAppearHere')}</Text>
+      {isFiltered ? (
+        <Text style={styles.emptyText}>{t('noMatchingMoodEntries')}</Text>
+      ) : (
+        <>
+          <Text style={styles.emptyText}>{t('noMoodEntries')}</Text>
+          <Text style={styles.emptySubtext}>{t('moodHistoryAppearHere')}</Text>
+        </>
+      )}
     </View>
   );
 
@@ -489,15 +564,38 @@ const MoodHistory = ({
     <View style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.title}>{t('moodHistory')}</Text>
-        {hasLocationData && (
-          <TouchableOpacity
-            style={[styles.mapToggle, showMap && styles.mapToggleActive]}
-            onPress={toggleMap}
-          >
-            <Text style={styles.mapToggleText}>{showMap ? t('hideMap') : t('showMap')} 🗺️</Text>
-          </TouchableOpacity>
-        )}
+        <View style={styles.headerButtons}>
+          {onFiltersChange && (
+            <TouchableOpacity
+              style={[styles.mapToggle, isFiltered && styles.mapToggleActive]}
+              onPress={() => setIsFilterSheetVisible(true)}
+            >
+              <Text style={styles.mapToggleText}>
+                {t('filters')}{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {hasLocationData && (
+            <TouchableOpacity
+              style={[styles.mapToggle, styles.headerButtonSpacing, showMap && styles.mapToggleActive]}
+              onPress={toggleMap}
+            >
+              <Text style={styles.mapToggleText}>{showMap ? t('hideMap') : t('showMap')} 🗺️</Text>
+            </TouchableOpacity>
+          )}
+        </View>
       </View>
+
+      {onFiltersChange && renderSavedViews()}
+
+      <MoodFilterSheet
+        visible={isFilterSheetVisible}
+        filters={filters}
+        onApply={applyFilters}
+        onSaveView={handleSaveView}
+        onClose={() => setIsFilterSheetVisible(false)}
+        getTranslatedEmotion={getTranslatedEmotion}
+      />
       
       <View style={styles.contentContainer}>
         {/* Map View */}
@@ -576,6 +674,33 @@ const styles = StyleSheet.create({
     fontSize: 24,
     fontWeight: 'bold',
   },
+  headerButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerButtonSpacing: {
+    marginLeft: 8,
+  },
+  viewsRow: {
+    flexGrow: 0,
+    marginBottom: 8,
+  },
+  viewsRowContent: {
+    paddingHorizontal: 16,
+  },
+  viewChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    backgroundColor: '#f0f0f0',
+    borderRadius: 16,
+    marginRight: 8,
+  },
+  viewChipActive: {
+    backgroundColor: '#FFD54F',
+  },
+  viewChipText: {
+    fontWeight: '500',
+  },
   mapToggle: {
     paddingHorizontal: 12,
     paddingVertical: 6,
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, ActivityIndicator, DeviceEventEmitter } from 'react-native';
+import MapView, { Polygon } from 'react-native-maps';
+import { getMoodMapSources } from '../database/PlaceVisitsDB';
+import { getRatingColor } from '../context/VisualStyleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { filterMapPoints, binMapPoints, getRegionForBins } from '../utils/moodMap';
+
+// Hex alpha appended to the rating colours of the average mood layer
+const MOOD_FILL_ALPHA = 'A0';
+
+/**
+ * Map of the areas where moods were logged: the average mood of each
+ * area, or how often places there were visited
+ * @param {Date|null} since - Start of the time range, null for all time
+ */
+const MoodMap = ({ since = null }) => {
+  const { t } = useLanguage();
+  const [sources, setSources] = useState({ moods: [], visits: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [layer, setLayer] = useState('mood'); // 'mood' or 'visits'
+  const [shape, setShape] = useState('hex'); // 'hex' or 'square'
+  const [selectedEmotions, setSelectedEmotions] = useState([]);
+  const [selectedBin, setSelectedBin] = useState(null);
+
+  const loadSources = async () => {
+    try {
+      setSources(await getMoodMapSources());
+    } catch (error) {
+      console.error('Error loading mood map:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSources();
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', loadSources);
+    return () => subscription.remove();
+  }, []);
+
+  // Emotions of the geotagged moods, most frequent first
+  const emotions = useMemo(() => {
+    const counts = {};
+    sources.moods.forEach(mood => {
+      if (mood.emotion) {
+        counts[mood.emotion] = (counts[mood.emotion] || 0) + 1;
+      }
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  }, [sources.moods]);
+
+  // Visits have no emotion, so the emotion filter only applies to moods
+  const bins = useMemo(() => {
+    const points = layer === 'mood'
+      ? filterMapPoints(sources.moods, { since, emotions: selectedEmotions })
+      : filterMapPoints(sources.visits, { since });
+    return binMapPoints(points, { shape });
+  }, [sources, layer, shape, since, selectedEmotions]);
+
+  const region = useMemo(() => getRegionForBins(bins), [bins]);
+  const maxCount = bins.length > 0 ? bins[0].count : 0;
+
+  useEffect(() => {
+    setSelectedBin(null);
+  }, [bins]);
+
+  const countLabel = (key, count) => t(count === 1 ? `${key}_one` : `${key}_other`).replace('{count}', count);
+
+  const toggleEmotion = (emotion) => {
+    setSelectedEmotions(current =>
+      current.includes(emotion) ? current.filter(value => value !== emotion) : [...current, emotion]
+    );
+  };
+
+  const getFillColor = (bin) => {
+    if (layer === 'mood') {
+      return `${getRatingColor(bin.averageRating ?? 3)}${MOOD_FILL_ALPHA}`;
+    }
+    return `rgba(63, 81, 181, ${(0.15 + 0.65 * (bin.count / maxCount)).toFixed(2)})`;
+  };
+
+  const renderChip = (key, label, isActive, onPress) => (
+    <TouchableOpacity key={key} style={[styles.chip, isActive && styles.activeChip]} onPress={onPress}>
+      <Text style={styles.chipText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#FFD54F" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{t('moodMap')}</Text>
+
+      <View style={styles.chipRow}>
+        {renderChip('mood', t('moodMapAverageMood'), layer === 'mood', () => setLayer('mood'))}
+        {renderChip('visits', t('moodMapVisitDensity'), layer === 'visits', () => setLayer('visits'))}
+        {renderChip('hex', t('moodMapHexagons'), shape === 'hex', () => setShape('hex'))}
+        {renderChip('square', t('moodMapGrid'), shape === 'square', () => setShape('square'))}
+      </View>
+
+      {layer === 'mood' && emotions.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.emotionRow}>
+          {renderChip('all', t('moodMapAllEmotions'), selectedEmotions.length === 0, () => setSelectedEmotions([]))}
+          {emotions.map(emotion =>
+            renderChip(emotion, t(emotion) || emotion, selectedEmotions.includes(emotion), () => toggleEmotion(emotion))
+          )}
+        </ScrollView>
+      )}
+
+      {region ? (
+        <View style={styles.mapContainer}>
+          <MapView style={styles.map} initialRegion={region} key={`${layer}:${shape}`} rotateEnabled={false}>
+            {bins.map(bin => (
+              <Polygon
+                key={bin.id}
+                coordinates={bin.polygon}
+                fillColor={getFillColor(bin)}
+                strokeColor={selectedBin?.id === bin.id ? '#333' : 'rgba(255, 255, 255, 0.8)'}
+                strokeWidth={selectedBin?.id === bin.id ? 2 : 1}
+                tappable
+                onPress={() => setSelectedBin(bin)}
+              />
+            ))}
+          </MapView>
+        </View>
+      ) : (
+        <Text style={styles.placeholderText}>
+          {layer === 'mood' ? t('moodMapNoMoods') : t('moodMapNoVisits')}
+        </Text>
+      )}
+
+      {region && (
+        <Text style={styles.detailText}>
+          {!selectedBin
+            ? t('moodMapTapArea')
+            : layer === 'mood'
+              ? [
+                countLabel('moodMapAreaMoods', selectedBin.count),
+                selectedBin.averageRating !== null && t('moodMapAverage').replace('{average}', selectedBin.averageRating.toFixed(1))
+              ].filter(Boolean).join(' · ')
+              : countLabel('moodMapAreaVisits', selectedBin.count)}
+        </Text>
+      )}
+
+      {layer === 'mood' && region && (
+        <View style={styles.legend}>
+          {[1, 2, 3, 4, 5].map(rating => (
+            <View key={rating} style={styles.legendItem}>
+              <View style={[styles.legendSwatch, { backgroundColor: getRatingColor(rating) }]} />
+              <Text style={styles.legendText}>{rating}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+  },
+  loadingContainer: {
+    padding: 32,
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  emotionRow: {
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    backgroundColor: '#eee',
+    borderRadius: 16,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  activeChip: {
+    backgroundColor: '#FFD54F',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  mapContainer: {
+    height: 320,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  map: {
+    flex: 1,
+  },
+  placeholderText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 24,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 12,
+  },
+  legend: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 12,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 6,
+  },
+  legendSwatch: {
+    width: 14,
+    height: 14,
+    borderRadius: 3,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#666',
+  },
+});
+
+export default MoodMap;
@@ -10,7 +10,8 @@ import {
   Alert
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { addMoodEntry } from '../utils/database';
+import { saveMoodEntry } from '../database/MoodsDB';
+import { saveSleepQuality } from '../database/HealthDB';
 
 const MoodSurvey = ({ isVisible, onClose }) => {
   // Survey questions for different aspects of wellbeing
@@ -133,20 +134,24 @@ const MoodSurvey = ({ isVisible, onClose }) => {
 
     setSubmitting(true);
     try {
+      // Last night's sleep; saved first so the check-in below is related to it.
+      // Checking in again the same day updates the same night.
+      if (answers.sleep !== undefined) {
+        await saveSleepQuality(new Date(), toFivePointScale(answers.sleep));
+      }
+
       // Convert survey answers to a mood entry
       const moodEntry = {
-        date: new Date().toISOString(),
-        surveyData: answers,
+        entry_time: Date.now(),
         // Use overall mood as the main rating
-        rating: answers.overall,
+        rating: toFivePointScale(answers.overall),
         // Derive emotion from energy and stress levels
         emotion: deriveEmotionFromAnswers(answers),
         notes: `Highlight: ${answers.highlight || 'None'}\nChallenge: ${answers.challenge || 'None'}`,
-        tags: ['survey'],
-        isSurvey: true
+        tags: ['survey']
       };
 
-      await addMoodEntry(moodEntry);
+      await saveMoodEntry(moodEntry);
       Alert.alert(
         'Survey Complete',
         'Thank you for completing your mood check-in!',
@@ -171,6 +176,9 @@ const MoodSurvey = ({ isVisible, onClose }) => {
     onClose();
   };
 
+  // Survey ratings are 1-10; mood ratings and sleep quality are 1-5
+  const toFivePointScale = (rating) => Math.ceil(rating / 2);
+
   // Derive emotion from answers (simplified algorithm)
   const deriveEmotionFromAnswers = (answers) => {
     const energy = answers.energy || 5;
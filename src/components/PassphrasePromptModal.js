@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator
+} from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+
+// Asks for an existing passphrase or recovery code.
+// onSubmit(secret) may return false to report that the secret was wrong.
+const PassphrasePromptModal = ({ visible, title, message, onSubmit, onCancel }) => {
+  const { t } = useLanguage();
+  const [secret, setSecret] = useState('');
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleCancel = () => {
+    setSecret('');
+    setErrorMessage(null);
+    onCancel();
+  };
+
+  const handleSubmit = async () => {
+    if (!secret) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrorMessage(null);
+    try {
+      const accepted = await onSubmit(secret);
+      setSecret('');
+      if (accepted === false) {
+        setErrorMessage(t('wrongPassphrase'));
+      }
+    } catch (error) {
+      console.error('Error submitting passphrase:', error);
+      setErrorMessage(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={handleCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>{title}</Text>
+          {message && <Text style={styles.message}>{message}</Text>}
+
+          <TextInput
+            style={styles.input}
+            value={secret}
+            onChangeText={setSecret}
+            placeholder={`${t('passphrase')} / ${t('recoveryCode')}`}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isSubmitting}
+            onSubmitEditing={handleSubmit}
+          />
+
+          {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={handleCancel} disabled={isSubmitting}>
+              <Text style={styles.cancelButtonText}>{t('cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.submitButton} onPress={handleSubmit} disabled={isSubmitting}>
+              {isSubmitting ? (
+                <ActivityIndicator color="white" />
+              ) : (
+                <Text style={styles.submitButtonText}>{t('ok')}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  errorText: {
+    color: '#F44336',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  cancelButton: {
+    padding: 12,
+    marginRight: 8,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  submitButton: {
+    backgroundColor: '#3F51B5',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    minWidth: 80,
+    alignItems: 'center',
+  },
+  submitButtonText: {
+    fontSize: 16,
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default PassphrasePromptModal;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator
+} from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+
+// Shorter passphrases are too easy to guess offline
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// onSubmit(passphrase, currentPassphrase) may return false to report a wrong current passphrase
+const PassphraseSetupModal = ({ visible, title, requireCurrent = false, onSubmit, onCancel }) => {
+  const { t } = useLanguage();
+  const [currentPassphrase, setCurrentPassphrase] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const resetForm = () => {
+    setCurrentPassphrase('');
+    setPassphrase('');
+    setConfirmation('');
+    setErrorMessage(null);
+  };
+
+  const handleCancel = () => {
+    resetForm();
+    onCancel();
+  };
+
+  const handleSubmit = async () => {
+    if (requireCurrent && !currentPassphrase) {
+      setErrorMessage(t('wrongPassphrase'));
+      return;
+    }
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setErrorMessage(t('passphraseTooShort').replace('{count}', MIN_PASSPHRASE_LENGTH));
+      return;
+    }
+    if (passphrase !== confirmation) {
+      setErrorMessage(t('passphrasesDoNotMatch'));
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const accepted = await onSubmit(passphrase, currentPassphrase);
+      if (accepted === false) {
+        setCurrentPassphrase('');
+        setErrorMessage(t('wrongPassphrase'));
+        return;
+      }
+      resetForm();
+    } catch (error) {
+      console.error('Error saving passphrase:', error);
+      setErrorMessage(t('passphraseSaveError'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={handleCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.warning}>{t('passphraseWarning')}</Text>
+
+          {requireCurrent && (
+            <TextInput
+              style={styles.input}
+              value={currentPassphrase}
+              onChangeText={setCurrentPassphrase}
+              placeholder={t('currentPassphrase')}
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!isSaving}
+            />
+          )}
+          <TextInput
+            style={styles.input}
+            value={passphrase}
+            onChangeText={setPassphrase}
+            placeholder={requireCurrent ? t('newPassphrase') : t('passphrase')}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isSaving}
+          />
+          <TextInput
+            style={styles.input}
+            value={confirmation}
+            onChangeText={setConfirmation}
+            placeholder={t('confirmPassphrase')}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isSaving}
+          />
+
+          {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={handleCancel} disabled={isSaving}>
+              <Text style={styles.cancelButtonText}>{t('cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.saveButton} onPress={handleSubmit} disabled={isSaving}>
+              {isSaving ? (
+                <ActivityIndicator color="white" />
+              ) : (
+                <Text style={styles.saveButtonText}>{t('save')}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  warning: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  errorText: {
+    color: '#F44336',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  cancelButton: {
+    padding: 12,
+    marginRight: 8,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  saveButton: {
+    backgroundColor: '#3F51B5',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    minWidth: 80,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    fontSize: 16,
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default PassphraseSetupModal;
@@ -0,0 +1,309 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, ScrollView, Alert, ActivityIndicator } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useLanguage } from '../context/LanguageContext';
+import { usePeople } from '../context/PeopleContext';
+import { usePlaces } from '../context/PlacesContext';
+import { savePracticeSessionWithReferences } from '../database/UnifiedDB';
+import { deletePracticeSession } from '../database/PursuitsDB';
+import { showUndoToast } from '../utils/undoToast';
+
+const DURATION_PRESETS = [15, 30, 45, 60, 90];
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+// Log or edit a practice session of a hobby or skill
+const PracticeSessionForm = ({ pursuit, session = null, color, onClose, topInset = 0, bottomInset = 0 }) => {
+  const { t } = useLanguage();
+  const { people } = usePeople();
+  const { places } = usePlaces();
+
+  const [practicedAt, setPracticedAt] = useState(session ? new Date(session.practiced_at) : new Date());
+  const [pickerMode, setPickerMode] = useState(null);
+  const [duration, setDuration] = useState(session ? String(session.duration_minutes) : '');
+  const [rating, setRating] = useState(session?.rating || null);
+  const [notes, setNotes] = useState(session?.notes || '');
+  const [selectedPlace, setSelectedPlace] = useState(session?.place || null);
+  const [selectedPeople, setSelectedPeople] = useState(session?.people || []);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handlePickerChange = (event, selectedDate) => {
+    setPickerMode(null);
+    if (selectedDate) {
+      setPracticedAt(selectedDate);
+    }
+  };
+
+  const togglePerson = (personId) => {
+    setSelectedPeople(selectedPeople.includes(personId)
+      ? selectedPeople.filter(id => id !== personId)
+      : [...selectedPeople, personId]);
+  };
+
+  const handleSave = async () => {
+    const minutes = parseInt(duration, 10);
+    if (!minutes || minutes <= 0) {
+      Alert.alert(t('error'), t('sessionDurationRequired'));
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await savePracticeSessionWithReferences({
+        id: session?.id,
+        pursuit_id: pursuit.id,
+        practiced_at: practicedAt,
+        duration_minutes: minutes,
+        rating,
+        notes: notes.trim(),
+        people: selectedPeople,
+        place: selectedPlace
+      });
+      onClose(true);
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingSession'));
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deletePracticeSession(session.id);
+      showUndoToast('session', session.id, { message: t('movedToTrash'), undoHint: t('tapToUndo') });
+      onClose(true);
+    } catch (error) {
+      Alert.alert(t('error'), t('errorDeletingSession'));
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: 16 + topInset, backgroundColor: color }]}>
+        <TouchableOpacity onPress={() => onClose(false)} disabled={isSaving}>
+          <Text style={styles.headerButtonText}>{t('cancel')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title} numberOfLines={1}>{pursuit.name}</Text>
+        <TouchableOpacity onPress={handleSave} disabled={isSaving}>
+          {isSaving
+            ? <ActivityIndicator color="#333" />
+            : <Text style={[styles.headerButtonText, styles.saveText]}>{t('save')}</Text>}
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: Math.max(24, bottomInset) }}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('practicedAt')}</Text>
+          <View style={styles.row}>
+            <TouchableOpacity style={[styles.input, styles.rowItem]} onPress={() => setPickerMode('date')}>
+              <Text style={styles.dateText}>{practicedAt.toLocaleDateString()}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.input, styles.rowItem]} onPress={() => setPickerMode('time')}>
+              <Text style={styles.dateText}>
+                {practicedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          {pickerMode && (
+            <DateTimePicker
+              value={practicedAt}
+              mode={pickerMode}
+              display="default"
+              onChange={handlePickerChange}
+            />
+          )}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('durationMinutes')} *</Text>
+          <View style={styles.chips}>
+            {DURATION_PRESETS.map(minutes => (
+              <TouchableOpacity
+                key={minutes}
+                style={[styles.chip, duration === String(minutes) && styles.selectedChip]}
+                onPress={() => setDuration(String(minutes))}
+              >
+                <Text style={styles.chipText}>{minutes} {t('minutesShort')}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={styles.input}
+            value={duration}
+            onChangeText={setDuration}
+            placeholder="30"
+            keyboardType="number-pad"
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('sessionRating')}</Text>
+          <View style={styles.chips}>
+            {RATINGS.map(value => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.chip, rating === value && styles.selectedChip]}
+                onPress={() => setRating(rating === value ? null : value)}
+              >
+                <Text style={styles.chipText}>{value} ★</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('notes')}</Text>
+          <TextInput
+            style={[styles.input, styles.notesInput]}
+            value={notes}
+            onChangeText={setNotes}
+            placeholder={t('sessionNotesPlaceholder')}
+            multiline
+            textAlignVertical="top"
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('places')}</Text>
+          {places.length > 0 ? (
+            <View style={styles.chips}>
+              {places.map(place => (
+                <TouchableOpacity
+                  key={place.id}
+                  style={[styles.chip, selectedPlace === place.id && styles.selectedChip]}
+                  onPress={() => setSelectedPlace(selectedPlace === place.id ? null : place.id)}
+                >
+                  <Text style={styles.chipText}>{place.name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ) : (
+            <Text style={styles.emptyText}>{t('noPlacesYet')}</Text>
+          )}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('people')}</Text>
+          {people.length > 0 ? (
+            <View style={styles.chips}>
+              {people.map(person => (
+                <TouchableOpacity
+                  key={person.id}
+                  style={[styles.chip, selectedPeople.includes(person.id) && styles.selectedChip]}
+                  onPress={() => togglePerson(person.id)}
+                >
+                  <Text style={styles.chipText}>{person.name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ) : (
+            <Text style={styles.emptyText}>{t('noPeopleYet')}</Text>
+          )}
+        </View>
+
+        {session && (
+          <TouchableOpacity style={styles.deleteButton} onPress={handleDelete} disabled={isSaving}>
+            <Text style={styles.deleteButtonText}>{t('delete')}</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginHorizontal: 12,
+  },
+  headerButtonText: {
+    fontSize: 16,
+  },
+  saveText: {
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  notesInput: {
+    minHeight: 80,
+  },
+  dateText: {
+    fontSize: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    marginHorizontal: -4,
+  },
+  rowItem: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    backgroundColor: '#d0d0d0',
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  emptyText: {
+    color: '#999',
+  },
+  deleteButton: {
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#FFEBEE',
+    alignItems: 'center',
+  },
+  deleteButtonText: {
+    fontSize: 16,
+    color: '#D32F2F',
+    fontWeight: 'bold',
+  },
+});
+
+export default PracticeSessionForm;
@@ -0,0 +1,536 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  DeviceEventEmitter
+} from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+import {
+  getPracticeSessions,
+  getPursuitGoals,
+  getWeeklyPractice,
+  addPursuitGoal,
+  setPursuitGoalCompleted,
+  deletePursuitGoal,
+  deletePursuit
+} from '../database/PursuitsDB';
+import { getPeopleWithHobby } from '../database/PeopleDB';
+import { showUndoToast } from '../utils/undoToast';
+import PracticeSessionForm from './PracticeSessionForm';
+
+const CHART_HEIGHT = 120;
+
+const formatHours = (minutes) => (minutes / 60).toFixed(minutes < 600 ? 1 : 0);
+
+// A hobby or skill with its stats, weekly progress, goals and sessions
+const PursuitDetail = ({ pursuit, color, onClose, onEdit, onChanged, topInset = 0, bottomInset = 0 }) => {
+  const { t } = useLanguage();
+  const [sessions, setSessions] = useState([]);
+  const [goals, setGoals] = useState([]);
+  const [weeks, setWeeks] = useState([]);
+  const [sharedWith, setSharedWith] = useState([]);
+  const [goalTitle, setGoalTitle] = useState('');
+  const [goalHours, setGoalHours] = useState('');
+
+  // The session being logged or edited: { session } with null for a new one, or null
+  const [sessionForm, setSessionForm] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [pursuitSessions, pursuitGoals, weeklyPractice, peopleWithHobby] = await Promise.all([
+        getPracticeSessions(pursuit.id),
+        getPursuitGoals(pursuit.id),
+        getWeeklyPractice(pursuit.id),
+        pursuit.kind === 'hobby' ? getPeopleWithHobby(pursuit.name) : []
+      ]);
+      setSessions(pursuitSessions);
+      setGoals(pursuitGoals);
+      setWeeks(weeklyPractice);
+      setSharedWith(peopleWithHobby);
+    } catch (error) {
+      console.error('Error loading pursuit details:', error);
+    }
+  }, [pursuit.id, pursuit.kind, pursuit.name]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    // Sessions can change elsewhere, e.g. after an import, restore or sync
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', load);
+    return () => subscription.remove();
+  }, [load]);
+
+  // Reload after anything changed that the list of hobbies or skills shows too
+  const handleChanged = () => {
+    load();
+    onChanged();
+  };
+
+  const handleCloseSessionForm = (saved) => {
+    setSessionForm(null);
+    if (saved) {
+      handleChanged();
+    }
+  };
+
+  const handleAddGoal = async () => {
+    if (!goalTitle.trim()) {
+      Alert.alert(t('error'), t('goalTitleRequired'));
+      return;
+    }
+
+    const hours = parseFloat(goalHours.replace(',', '.'));
+    try {
+      await addPursuitGoal(pursuit.id, {
+        title: goalTitle.trim(),
+        target_minutes: hours > 0 ? Math.round(hours * 60) : null
+      });
+      setGoalTitle('');
+      setGoalHours('');
+      load();
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingGoal'));
+    }
+  };
+
+  const handleToggleGoal = async (goal) => {
+    try {
+      await setPursuitGoalCompleted(goal.id, !goal.completed_at);
+      load();
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingGoal'));
+    }
+  };
+
+  const confirmDeleteGoal = (goal) => {
+    Alert.alert(t('deleteGoal'), goal.title, [
+      { text: t('cancel'), style: 'cancel' },
+      {
+        text: t('delete'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deletePursuitGoal(goal.id);
+            load();
+          } catch (error) {
+            Alert.alert(t('error'), t('errorSavingGoal'));
+          }
+        }
+      }
+    ]);
+  };
+
+  const handleDeletePursuit = async () => {
+    try {
+      await deletePursuit(pursuit.id);
+      showUndoToast('pursuit', pursuit.id, { message: t('movedToTrash'), undoHint: t('tapToUndo') });
+      onChanged();
+      onClose();
+    } catch (error) {
+      Alert.alert(t('error'), t('errorDeletingPursuit'));
+    }
+  };
+
+  const confirmDeletePursuit = () => {
+    Alert.alert(t(`delete_${pursuit.kind}`), t('deletePursuitConfirmation'), [
+      { text: t('cancel'), style: 'cancel' },
+      { text: t('delete'), onPress: handleDeletePursuit, style: 'destructive' }
+    ]);
+  };
+
+  if (sessionForm) {
+    return (
+      <PracticeSessionForm
+        pursuit={pursuit}
+        session={sessionForm.session}
+        color={color}
+        onClose={handleCloseSessionForm}
+        topInset={topInset}
+        bottomInset={bottomInset}
+      />
+    );
+  }
+
+  const maxWeekMinutes = Math.max(...weeks.map(week => week.minutes), 1);
+
+  const renderStat = (value, label) => (
+    <View style={styles.stat}>
+      <Text style={styles.statValue}>{value}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+
+  const renderGoal = (goal) => {
+    const progress = goal.target_minutes ? Math.min(goal.progress_minutes / goal.target_minutes, 1) : null;
+    return (
+      <TouchableOpacity
+        key={goal.id}
+        style={styles.goal}
+        onPress={() => handleToggleGoal(goal)}
+        onLongPress={() => confirmDeleteGoal(goal)}
+      >
+        <Text style={styles.goalCheck}>{goal.completed_at ? '☑' : '☐'}</Text>
+        <View style={styles.goalInfo}>
+          <Text style={[styles.goalTitle, goal.completed_at && styles.completedGoal]}>{goal.title}</Text>
+          {progress !== null && (
+            <>
+              <View style={styles.progressTrack}>
+                <View style={[styles.progressBar, { width: `${progress * 100}%`, backgroundColor: color }]} />
+              </View>
+              <Text style={styles.goalProgress}>
+                {formatHours(Math.min(goal.progress_minutes, goal.target_minutes))} / {formatHours(goal.target_minutes)} {t('hoursShort')}
+              </Text>
+            </>
+          )}
+          {!!goal.completed_at && (
+            <Text style={styles.goalProgress}>
+              {t('goalReachedOn')} {new Date(goal.completed_at).toLocaleDateString()}
+            </Text>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderSession = (session) => {
+    const withWhom = [session.placeData?.name, ...(session.peopleData || []).map(person => person.name)]
+      .filter(Boolean)
+      .join(' · ');
+    return (
+      <TouchableOpacity key={session.id} style={styles.session} onPress={() => setSessionForm({ session })}>
+        <View style={styles.sessionHeader}>
+          <Text style={styles.sessionDate}>{new Date(session.practiced_at).toLocaleDateString()}</Text>
+          <Text style={styles.sessionDuration}>
+            {session.duration_minutes} {t('minutesShort')}{session.rating ? `  ${'★'.repeat(session.rating)}` : ''}
+          </Text>
+        </View>
+        {!!withWhom && <Text style={styles.sessionMeta}>{withWhom}</Text>}
+        {!!session.notes && <Text style={styles.sessionNotes} numberOfLines={3}>{session.notes}</Text>}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: 16 + topInset, backgroundColor: color }]}>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.headerButtonText}>← {t('back')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title} numberOfLines={1}>{pursuit.name}</Text>
+        <TouchableOpacity onPress={onEdit}>
+          <Text style={styles.headerButtonText}>{t('editPursuit')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.content} contentContainerStyle={{ paddingBottom: Math.max(24, bottomInset) }}>
+        {!!pursuit.description && <Text style={styles.description}>{pursuit.description}</Text>}
+        {sharedWith.length > 0 && (
+          <Text style={styles.sharedWith}>
+            {t('sharedHobbyWith')} {sharedWith.map(person => person.name).join(', ')}
+          </Text>
+        )}
+
+        <View style={styles.stats}>
+          {renderStat(formatHours(pursuit.total_minutes), t('hoursPracticed'))}
+          {renderStat(pursuit.session_count, t('sessions'))}
+          {renderStat(`🔥 ${pursuit.streaks.current}`, t('currentStreak'))}
+          {renderStat(pursuit.streaks.longest, t('longestStreak'))}
+        </View>
+
+        <TouchableOpacity
+          style={[styles.logButton, { backgroundColor: color }]}
+          onPress={() => setSessionForm({ session: null })}
+        >
+          <Text style={styles.logButtonText}>+ {t('logSession')}</Text>
+        </TouchableOpacity>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('weeklyPractice')}</Text>
+          <View style={styles.chart}>
+            {weeks.map(week => (
+              <View key={week.weekStart.toISOString()} style={styles.chartColumn}>
+                <Text style={styles.chartValue}>{week.minutes > 0 ? formatHours(week.minutes) : ''}</Text>
+                <View
+                  style={[
+                    styles.chartBar,
+                    { height: (week.minutes / maxWeekMinutes) * CHART_HEIGHT, backgroundColor: color }
+                  ]}
+                />
+                <Text style={styles.chartLabel}>
+                  {week.weekStart.getDate()}.{week.weekStart.getMonth() + 1}.
+                </Text>
+                <Text style={styles.chartRating}>
+                  {week.averageRating !== null ? `${week.averageRating.toFixed(1)}★` : ''}
+                </Text>
+              </View>
+            ))}
+          </View>
+          <Text style={styles.chartHint}>{t('weeklyPracticeHint')}</Text>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('goals')}</Text>
+          {goals.length === 0 && <Text style={styles.emptyText}>{t('noGoalsYet')}</Text>}
+          {goals.map(renderGoal)}
+          <View style={styles.goalInputRow}>
+            <TextInput
+              style={[styles.input, styles.goalTitleInput]}
+              value={goalTitle}
+              onChangeText={setGoalTitle}
+              placeholder={t(`goalPlaceholder_${pursuit.kind}`)}
+            />
+            <TextInput
+              style={[styles.input, styles.goalHoursInput]}
+              value={goalHours}
+              onChangeText={setGoalHours}
+              placeholder={t('goalHours')}
+              keyboardType="decimal-pad"
+            />
+            <TouchableOpacity style={[styles.addGoalButton, { backgroundColor: color }]} onPress={handleAddGoal}>
+              <Text style={styles.logButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.chartHint}>{t('goalHint')}</Text>
+        </View>
+
+        <Text style={styles.sectionTitle}>{t('sessions')}</Text>
+        {sessions.length === 0 && <Text style={styles.emptyText}>{t('noSessionsYet')}</Text>}
+        {sessions.map(renderSession)}
+
+        <TouchableOpacity style={styles.deleteButton} onPress={confirmDeletePursuit}>
+          <Text style={styles.deleteButtonText}>{t(`delete_${pursuit.kind}`)}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginHorizontal: 12,
+  },
+  headerButtonText: {
+    fontSize: 16,
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  description: {
+    fontSize: 15,
+    color: '#555',
+    marginBottom: 16,
+  },
+  sharedWith: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
+  stats: {
+    flexDirection: 'row',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingVertical: 12,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  logButton: {
+    padding: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  logButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  chartColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  chartValue: {
+    fontSize: 10,
+    color: '#666',
+    marginBottom: 2,
+  },
+  chartBar: {
+    width: '60%',
+    minHeight: 2,
+    borderRadius: 3,
+  },
+  chartLabel: {
+    fontSize: 10,
+    color: '#888',
+    marginTop: 4,
+  },
+  chartRating: {
+    fontSize: 10,
+    color: '#888',
+  },
+  chartHint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  goal: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 12,
+  },
+  goalCheck: {
+    fontSize: 20,
+    marginRight: 10,
+  },
+  goalInfo: {
+    flex: 1,
+  },
+  goalTitle: {
+    fontSize: 16,
+  },
+  completedGoal: {
+    textDecorationLine: 'line-through',
+    color: '#888',
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#eee',
+    marginTop: 6,
+    overflow: 'hidden',
+  },
+  progressBar: {
+    height: 6,
+  },
+  goalProgress: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  goalInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+  },
+  goalTitleInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  goalHoursInput: {
+    width: 72,
+    marginRight: 8,
+  },
+  addGoalButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  session: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    elevation: 2,
+  },
+  sessionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  sessionDate: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  sessionDuration: {
+    fontSize: 14,
+    color: '#555',
+  },
+  sessionMeta: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 4,
+  },
+  sessionNotes: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginBottom: 12,
+  },
+  deleteButton: {
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#FFEBEE',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  deleteButtonText: {
+    fontSize: 16,
+    color: '#D32F2F',
+    fontWeight: 'bold',
+  },
+});
+
+export default PursuitDetail;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, ScrollView, Alert, ActivityIndicator } from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+import { addPursuit, updatePursuit } from '../database/PursuitsDB';
+import { getPeopleHobbies } from '../database/PeopleDB';
+
+// Add or rename a hobby or skill; new hobbies can start from the hobbies of people
+const PursuitForm = ({ kind, pursuit = null, color, existingNames = [], onClose, topInset = 0, bottomInset = 0 }) => {
+  const { t } = useLanguage();
+  const [name, setName] = useState(pursuit?.name || '');
+  const [description, setDescription] = useState(pursuit?.description || '');
+  const [suggestions, setSuggestions] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (kind !== 'hobby' || pursuit) {
+      return;
+    }
+
+    const taken = new Set(existingNames.map(existing => existing.trim().toLowerCase()));
+    getPeopleHobbies()
+      .then(hobbies => setSuggestions(hobbies.filter(hobby => !taken.has(hobby.name.trim().toLowerCase()))))
+      .catch(error => console.error('Error loading hobby suggestions:', error));
+  }, [kind, pursuit]);
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert(t('error'), t('pursuitNameRequired'));
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const pursuitData = { name: name.trim(), description: description.trim() };
+      if (pursuit) {
+        await updatePursuit(pursuit.id, pursuitData);
+        onClose(pursuit.id);
+      } else {
+        onClose(await addPursuit({ ...pursuitData, kind }));
+      }
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingPursuit'));
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: 16 + topInset, backgroundColor: color }]}>
+        <TouchableOpacity onPress={() => onClose(null)} disabled={isSaving}>
+          <Text style={styles.headerButtonText}>{t('cancel')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{pursuit ? t(`edit_${kind}`) : t(`new_${kind}`)}</Text>
+        <TouchableOpacity onPress={handleSave} disabled={isSaving}>
+          {isSaving
+            ? <ActivityIndicator color="#333" />
+            : <Text style={[styles.headerButtonText, styles.saveText]}>{t('save')}</Text>}
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: Math.max(24, bottomInset) }}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('pursuitName')} *</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={t(`pursuitNamePlaceholder_${kind}`)}
+            value={name}
+            onChangeText={setName}
+          />
+          {suggestions.length > 0 && (
+            <>
+              <Text style={styles.hintText}>{t('hobbiesOfPeople')}</Text>
+              <View style={styles.chips}>
+                {suggestions.map(suggestion => (
+                  <TouchableOpacity key={suggestion.name} style={styles.chip} onPress={() => setName(suggestion.name)}>
+                    <Text style={styles.chipText}>{suggestion.name} · {suggestion.count}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('pursuitDescription')}</Text>
+          <TextInput
+            style={[styles.input, styles.descriptionInput]}
+            placeholder={t('pursuitDescriptionPlaceholder')}
+            value={description}
+            onChangeText={setDescription}
+            multiline
+            textAlignVertical="top"
+          />
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerButtonText: {
+    fontSize: 16,
+  },
+  saveText: {
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  descriptionInput: {
+    minHeight: 100,
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 14,
+  },
+});
+
+export default PursuitForm;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator
+} from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+
+// Asks for the sync server, account and sync passphrase.
+// onSubmit({ serverUrl, accountId, passphrase }) may throw to show an error.
+const SyncSetupModal = ({ visible, onSubmit, onCancel }) => {
+  const { t } = useLanguage();
+  const [serverUrl, setServerUrl] = useState('');
+  const [accountId, setAccountId] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const reset = () => {
+    setPassphrase('');
+    setErrorMessage(null);
+  };
+
+  const handleCancel = () => {
+    reset();
+    onCancel();
+  };
+
+  const handleSubmit = async () => {
+    if (!/^https?:\/\/\S+$/.test(serverUrl.trim())) {
+      setErrorMessage(t('invalidServerUrl'));
+      return;
+    }
+    if (!accountId.trim() || !passphrase) {
+      setErrorMessage(t('syncFieldsRequired'));
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrorMessage(null);
+    try {
+      await onSubmit({ serverUrl, accountId, passphrase });
+      reset();
+    } catch (error) {
+      setErrorMessage(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={handleCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>{t('setUpSync')}</Text>
+          <Text style={styles.message}>{t('syncSetupInfo')}</Text>
+
+          <TextInput
+            style={styles.input}
+            value={serverUrl}
+            onChangeText={setServerUrl}
+            placeholder={t('syncServerUrl')}
+            keyboardType="url"
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isSubmitting}
+          />
+          <TextInput
+            style={styles.input}
+            value={accountId}
+            onChangeText={setAccountId}
+            placeholder={t('syncAccount')}
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isSubmitting}
+          />
+          <TextInput
+            style={styles.input}
+            value={passphrase}
+            onChangeText={setPassphrase}
+            placeholder={t('syncPassphrase')}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isSubmitting}
+            onSubmitEditing={handleSubmit}
+          />
+
+          {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={handleCancel} disabled={isSubmitting}>
+              <Text style={styles.cancelButtonText}>{t('cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.submitButton} onPress={handleSubmit} disabled={isSubmitting}>
+              {isSubmitting ? (
+                <ActivityIndicator color="white" />
+              ) : (
+                <Text style={styles.submitButtonText}>{t('connect')}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  errorText: {
+    color: '#F44336',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  cancelButton: {
+    padding: 12,
+    marginRight: 8,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  submitButton: {
+    backgroundColor: '#3F51B5',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    minWidth: 80,
+    alignItems: 'center',
+  },
+  submitButtonText: {
+    fontSize: 16,
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default SyncSetupModal;
@@ -5,6 +5,10 @@ import {
   addFood,
   getFoodsWithRelated
 } from '../services/DatabaseService';
+import {
+  updateFoodEntry as dbUpdateFoodEntry,
+  deleteFoodEntry as dbDeleteFoodEntry
+} from '../database/FoodDB';
 
 const FoodContext = createContext();
 
@@ -47,6 +51,17 @@ export const FoodProvider = ({ children }) => {
       subscription.remove();
     };
   }, []);
+  
+  // Entries show linked people and places, so reload when those change or data is imported
+  useEffect(() => {
+    const subscriptions = ['PEOPLE_UPDATED', 'PLACES_UPDATED', 'DATA_IMPORTED'].map(eventName =>
+      DeviceEventEmitter.addListener(eventName, () => loadFoodEntries())
+    );
+    
+    return () => {
+      subscriptions.forEach(subscription => subscription.remove());
+    };
+  }, []);
 
   // Load food entries from database
   const loadFoodEntries = async (refresh = false) => {
@@ -125,7 +140,7 @@ export const FoodProvider = ({ children }) => {
       
       // We would ideally use an updateFood method from DatabaseService here
       // For now, we'll reload food entries after the operation to ensure all relationships are fetched
-      await updateFoodEntry(updatedEntry);
+      await dbUpdateFoodEntry(updatedEntry);
       
       // Reload food entries to get the updated data with relationships
       await loadFoodEntries();
@@ -141,7 +156,7 @@ export const FoodProvider = ({ children }) => {
   const deleteFoodEntry = async (entryId) => {
     try {
       // We would ideally use a deleteFood method from DatabaseService here
-      await deleteFoodEntry(entryId);
+      await dbDeleteFoodEntry(entryId);
       
       // Reload food entries to get the updated data
       await loadFoodEntries();
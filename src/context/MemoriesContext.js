@@ -1,5 +1,24 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { getAllMemories } from '../database/MemoriesDB';
+import { DeviceEventEmitter } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import {
+  getAllMemories,
+  addMemory as dbAddMemory,
+  updateMemory as dbUpdateMemory,
+  deleteMemory as dbDeleteMemory
+} from '../database/MemoriesDB';
+import { saveMediaFile, deleteMediaFile } from '../database/MoodsDB';
+
+const MEDIA_DIR = FileSystem.documentDirectory + 'media/';
+
+// Copy photos that are not in the media directory yet, e.g. from the image picker cache
+const storePhotos = async (photos = []) => {
+  const stored = [];
+  for (const uri of photos) {
+    stored.push(uri.startsWith(MEDIA_DIR) ? uri : await saveMediaFile(uri, 'images'));
+  }
+  return stored;
+};
 
 const MemoriesContext = createContext();
 
@@ -11,6 +30,17 @@ export const MemoriesProvider = ({ children }) => {
     loadMemories();
   }, []);
 
+  // Memories show linked people and places, so reload when those change or data is imported
+  useEffect(() => {
+    const subscriptions = ['PEOPLE_UPDATED', 'PLACES_UPDATED', 'DATA_IMPORTED'].map(eventName =>
+      DeviceEventEmitter.addListener(eventName, () => loadMemories())
+    );
+
+    return () => {
+      subscriptions.forEach(subscription => subscription.remove());
+    };
+  }, []);
+
   const loadMemories = async () => {
     try {
       const loadedMemories = await getAllMemories();
@@ -22,10 +52,56 @@ export const MemoriesProvider = ({ children }) => {
     }
   };
 
+  // Add a memory; returns its ID
+  const addMemory = async (memoryData) => {
+    try {
+      const photos = await storePhotos(memoryData.photos);
+      const memoryId = await dbAddMemory({ ...memoryData, photos });
+      await loadMemories();
+      return memoryId;
+    } catch (error) {
+      console.error('Error adding memory:', error);
+      throw error;
+    }
+  };
+
+  // Update a memory; photos removed from it are deleted from the media directory
+  const updateMemory = async (memory) => {
+    try {
+      const previous = memories.find(existing => existing.id === memory.id);
+      const photos = await storePhotos(memory.photos);
+      await dbUpdateMemory({ ...memory, photos });
+
+      const removedPhotos = (previous?.photos || []).filter(uri => !photos.includes(uri) && uri.startsWith(MEDIA_DIR));
+      for (const uri of removedPhotos) {
+        await deleteMediaFile(uri);
+      }
+
+      await loadMemories();
+    } catch (error) {
+      console.error('Error updating memory:', error);
+      throw error;
+    }
+  };
+
+  // Move a memory to the trash; its photos stay so it can be restored
+  const deleteMemory = async (memoryId) => {
+    try {
+      await dbDeleteMemory(memoryId);
+      await loadMemories();
+    } catch (error) {
+      console.error('Error deleting memory:', error);
+      throw error;
+    }
+  };
+
   const value = {
     memories,
     loading,
-    loadMemories
+    loadMemories,
+    addMemory,
+    updateMemory,
+    deleteMemory
   };
 
   return (
@@ -30,6 +30,17 @@ export const MoodsProvider = ({ children }) => {
       subscription.remove();
     };
   }, []);
+  
+  // Entries show linked people and places, so reload when those change or data is imported
+  useEffect(() => {
+    const subscriptions = ['PEOPLE_UPDATED', 'PLACES_UPDATED', 'DATA_IMPORTED'].map(eventName =>
+      DeviceEventEmitter.addListener(eventName, () => loadMoods())
+    );
+    
+    return () => {
+      subscriptions.forEach(subscription => subscription.remove());
+    };
+  }, []);
 
   const loadMoods = async () => {
     try {
@@ -1,4 +1,5 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import { DeviceEventEmitter } from 'react-native';
 import { initPeopleDB, addPerson, updatePerson, deletePerson, getAllPeople } from '../database/PeopleDB';
 
 const PeopleContext = createContext();
@@ -23,11 +24,28 @@ export const PeopleProvider = ({ children }) => {
     initializeDB();
   }, []);
 
+  // Reload after a data import
+  useEffect(() => {
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', async () => {
+      try {
+        setPeople(await getAllPeople());
+      } catch (error) {
+        console.error('Error reloading people:', error);
+      }
+    });
+
+    return () => {
+      subscription.remove();
+    };
+  }, []);
+
   const handleAddPerson = async (person) => {
     try {
-      await addPerson(person);
+      const personId = await addPerson(person);
       const updatedPeople = await getAllPeople();
       setPeople(updatedPeople);
+      DeviceEventEmitter.emit('PEOPLE_UPDATED');
+      return personId;
     } catch (error) {
       console.error('Error adding person:', error);
       throw error;
@@ -39,6 +57,7 @@ export const PeopleProvider = ({ children }) => {
       await updatePerson(person);
       const updatedPeople = await getAllPeople();
       setPeople(updatedPeople);
+      DeviceEventEmitter.emit('PEOPLE_UPDATED');
     } catch (error) {
       console.error('Error updating person:', error);
       throw error;
@@ -50,6 +69,7 @@ export const PeopleProvider = ({ children }) => {
       await deletePerson(personId);
       const updatedPeople = await getAllPeople();
       setPeople(updatedPeople);
+      DeviceEventEmitter.emit('PEOPLE_UPDATED');
     } catch (error) {
       console.error('Error deleting person:', error);
       throw error;
@@ -1,4 +1,5 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { DeviceEventEmitter } from 'react-native';
 import { 
   getPlacesGlossary, 
   getPlaceDetails 
@@ -15,7 +16,8 @@ export const PlacesProvider = ({ children }) => {
   const [places, setPlaces] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  const loadPlaces = async () => {
+  // Stable, so screens can depend on refreshPlaces in their effects
+  const loadPlaces = useCallback(async () => {
     try {
       setLoading(true);
       // Use the enhanced function that fetches places with related entities
@@ -26,7 +28,7 @@ export const PlacesProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
 
   useEffect(() => {
     // Initial load of places
@@ -42,6 +44,15 @@ export const PlacesProvider = ({ children }) => {
     });
   }, []);
 
+  // Reload after a data import
+  useEffect(() => {
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', () => loadPlaces());
+
+    return () => {
+      subscription.remove();
+    };
+  }, []);
+
   const addPlace = async (place) => {
     try {
       // Ensure ID is generated if not provided
@@ -53,8 +64,10 @@ export const PlacesProvider = ({ children }) => {
       };
       
       // Use the enhanced function that maintains cross-database references
-      await dbAddPlace(placeWithId);
+      const placeId = await dbAddPlace(placeWithId);
       await loadPlaces();
+      DeviceEventEmitter.emit('PLACES_UPDATED');
+      return placeId;
     } catch (error) {
       console.error('Error adding place:', error);
       throw error;
@@ -72,6 +85,7 @@ export const PlacesProvider = ({ children }) => {
       // Use the original PlacesDB update function for now
       await PlacesDB.updatePlace(updatedPlace);
       await loadPlaces();
+      DeviceEventEmitter.emit('PLACES_UPDATED');
     } catch (error) {
       console.error('Error updating place:', error);
       throw error;
@@ -83,6 +97,7 @@ export const PlacesProvider = ({ children }) => {
       // Use the original PlacesDB delete function for now
       await PlacesDB.deletePlace(placeId);
       await loadPlaces();
+      DeviceEventEmitter.emit('PLACES_UPDATED');
     } catch (error) {
       console.error('Error deleting place:', error);
       throw error;
@@ -0,0 +1,301 @@
+/**
+ * Offline gazetteer: a bundled list of cities that reverse geocoding falls
+ * back to when no provider can be reached. It only resolves a coordinate
+ * to the nearest city and its country, without street or neighbourhood.
+ */
+
+import { findNearby } from '../utils/geo';
+
+// Coordinates further than this many metres from every listed city stay unresolved
+export const GAZETTEER_RADIUS_METERS = 50000;
+
+// [city, country, latitude, longitude]
+const CITIES = [
+  // Germany
+  ['Berlin', 'Germany', 52.5200, 13.4050],
+  ['Hamburg', 'Germany', 53.5511, 9.9937],
+  ['Munich', 'Germany', 48.1351, 11.5820],
+  ['Cologne', 'Germany', 50.9375, 6.9603],
+  ['Frankfurt', 'Germany', 50.1109, 8.6821],
+  ['Stuttgart', 'Germany', 48.7758, 9.1829],
+  ['Düsseldorf', 'Germany', 51.2277, 6.7735],
+  ['Leipzig', 'Germany', 51.3397, 12.3731],
+  ['Dortmund', 'Germany', 51.5136, 7.4653],
+  ['Essen', 'Germany', 51.4556, 7.0116],
+  ['Bremen', 'Germany', 53.0793, 8.8017],
+  ['Dresden', 'Germany', 51.0504, 13.7373],
+  ['Hanover', 'Germany', 52.3759, 9.7320],
+  ['Nuremberg', 'Germany', 49.4521, 11.0767],
+  ['Duisburg', 'Germany', 51.4344, 6.7623],
+  ['Bochum', 'Germany', 51.4818, 7.2162],
+  ['Wuppertal', 'Germany', 51.2562, 7.1508],
+  ['Bielefeld', 'Germany', 52.0302, 8.5325],
+  ['Bonn', 'Germany', 50.7374, 7.0982],
+  ['Münster', 'Germany', 51.9607, 7.6261],
+  ['Mannheim', 'Germany', 49.4875, 8.4660],
+  ['Karlsruhe', 'Germany', 49.0069, 8.4037],
+  ['Augsburg', 'Germany', 48.3705, 10.8978],
+  ['Wiesbaden', 'Germany', 50.0782, 8.2398],
+  ['Mönchengladbach', 'Germany', 51.1805, 6.4428],
+  ['Aachen', 'Germany', 50.7753, 6.0839],
+  ['Kiel', 'Germany', 54.3233, 10.1228],
+  ['Rostock', 'Germany', 54.0924, 12.0991],
+  ['Lübeck', 'Germany', 53.8655, 10.6866],
+  ['Halle', 'Germany', 51.4970, 11.9688],
+  ['Magdeburg', 'Germany', 52.1205, 11.6276],
+  ['Freiburg', 'Germany', 47.9990, 7.8421],
+  ['Erfurt', 'Germany', 50.9848, 11.0299],
+  ['Mainz', 'Germany', 49.9929, 8.2473],
+  ['Kassel', 'Germany', 51.3127, 9.4797],
+  ['Saarbrücken', 'Germany', 49.2402, 6.9969],
+  ['Potsdam', 'Germany', 52.3906, 13.0645],
+  ['Oldenburg', 'Germany', 53.1435, 8.2146],
+  ['Osnabrück', 'Germany', 52.2799, 8.0472],
+  ['Heidelberg', 'Germany', 49.3988, 8.6724],
+  ['Regensburg', 'Germany', 49.0134, 12.1016],
+  ['Würzburg', 'Germany', 49.7913, 9.9534],
+  ['Ulm', 'Germany', 48.4011, 9.9876],
+  ['Göttingen', 'Germany', 51.5413, 9.9158],
+  ['Braunschweig', 'Germany', 52.2689, 10.5268],
+  ['Chemnitz', 'Germany', 50.8278, 12.9214],
+  ['Jena', 'Germany', 50.9271, 11.5892],
+  ['Schwerin', 'Germany', 53.6355, 11.4012],
+  ['Trier', 'Germany', 49.7490, 6.6371],
+  ['Passau', 'Germany', 48.5665, 13.4312],
+  ['Konstanz', 'Germany', 47.6779, 9.1732],
+  ['Flensburg', 'Germany', 54.7937, 9.4470],
+  ['Cottbus', 'Germany', 51.7563, 14.3329],
+  ['Ingolstadt', 'Germany', 48.7665, 11.4258],
+  ['Koblenz', 'Germany', 50.3569, 7.5890],
+  ['Bayreuth', 'Germany', 49.9456, 11.5713],
+  ['Garmisch-Partenkirchen', 'Germany', 47.4921, 11.0958],
+  ['Stralsund', 'Germany', 54.3091, 13.0818],
+  // Austria
+  ['Vienna', 'Austria', 48.2082, 16.3738],
+  ['Graz', 'Austria', 47.0707, 15.4395],
+  ['Linz', 'Austria', 48.3069, 14.2858],
+  ['Salzburg', 'Austria', 47.8095, 13.0550],
+  ['Innsbruck', 'Austria', 47.2692, 11.4041],
+  ['Klagenfurt', 'Austria', 46.6247, 14.3053],
+  ['Villach', 'Austria', 46.6103, 13.8558],
+  ['St. Pölten', 'Austria', 48.2047, 15.6256],
+  ['Bregenz', 'Austria', 47.5031, 9.7471],
+  ['Wels', 'Austria', 48.1575, 14.0289],
+  ['Eisenstadt', 'Austria', 47.8457, 16.5233],
+  ['Lienz', 'Austria', 46.8289, 12.7693],
+  // Switzerland and Liechtenstein
+  ['Zurich', 'Switzerland', 47.3769, 8.5417],
+  ['Geneva', 'Switzerland', 46.2044, 6.1432],
+  ['Basel', 'Switzerland', 47.5596, 7.5886],
+  ['Bern', 'Switzerland', 46.9480, 7.4474],
+  ['Lausanne', 'Switzerland', 46.5197, 6.6323],
+  ['Lucerne', 'Switzerland', 47.0502, 8.3093],
+  ['St. Gallen', 'Switzerland', 47.4245, 9.3767],
+  ['Lugano', 'Switzerland', 46.0037, 8.9511],
+  ['Winterthur', 'Switzerland', 47.5001, 8.7502],
+  ['Chur', 'Switzerland', 46.8508, 9.5320],
+  ['Sion', 'Switzerland', 46.2331, 7.3606],
+  ['Interlaken', 'Switzerland', 46.6863, 7.8632],
+  ['Vaduz', 'Liechtenstein', 47.1410, 9.5209],
+  // Rest of Europe
+  ['Amsterdam', 'Netherlands', 52.3676, 4.9041],
+  ['Rotterdam', 'Netherlands', 51.9244, 4.4777],
+  ['Utrecht', 'Netherlands', 52.0907, 5.1214],
+  ['Eindhoven', 'Netherlands', 51.4416, 5.4697],
+  ['Groningen', 'Netherlands', 53.2194, 6.5665],
+  ['Brussels', 'Belgium', 50.8503, 4.3517],
+  ['Antwerp', 'Belgium', 51.2194, 4.4025],
+  ['Ghent', 'Belgium', 51.0543, 3.7174],
+  ['Liège', 'Belgium', 50.6326, 5.5797],
+  ['Luxembourg', 'Luxembourg', 49.6116, 6.1319],
+  ['Paris', 'France', 48.8566, 2.3522],
+  ['Lyon', 'France', 45.7640, 4.8357],
+  ['Marseille', 'France', 43.2965, 5.3698],
+  ['Toulouse', 'France', 43.6047, 1.4442],
+  ['Nice', 'France', 43.7102, 7.2620],
+  ['Nantes', 'France', 47.2184, -1.5536],
+  ['Strasbourg', 'France', 48.5734, 7.7521],
+  ['Bordeaux', 'France', 44.8378, -0.5792],
+  ['Lille', 'France', 50.6292, 3.0573],
+  ['Montpellier', 'France', 43.6108, 3.8767],
+  ['Rennes', 'France', 48.1173, -1.6778],
+  ['Monaco', 'Monaco', 43.7384, 7.4246],
+  ['London', 'United Kingdom', 51.5074, -0.1278],
+  ['Manchester', 'United Kingdom', 53.4808, -2.2426],
+  ['Birmingham', 'United Kingdom', 52.4862, -1.8904],
+  ['Liverpool', 'United Kingdom', 53.4084, -2.9916],
+  ['Leeds', 'United Kingdom', 53.8008, -1.5491],
+  ['Bristol', 'United Kingdom', 51.4545, -2.5879],
+  ['Newcastle', 'United Kingdom', 54.9783, -1.6178],
+  ['Edinburgh', 'United Kingdom', 55.9533, -3.1883],
+  ['Glasgow', 'United Kingdom', 55.8642, -4.2518],
+  ['Cardiff', 'United Kingdom', 51.4816, -3.1791],
+  ['Belfast', 'United Kingdom', 54.5973, -5.9301],
+  ['Dublin', 'Ireland', 53.3498, -6.2603],
+  ['Cork', 'Ireland', 51.8985, -8.4756],
+  ['Madrid', 'Spain', 40.4168, -3.7038],
+  ['Barcelona', 'Spain', 41.3874, 2.1686],
+  ['Valencia', 'Spain', 39.4699, -0.3763],
+  ['Seville', 'Spain', 37.3891, -5.9845],
+  ['Málaga', 'Spain', 36.7213, -4.4214],
+  ['Bilbao', 'Spain', 43.2630, -2.9350],
+  ['Palma', 'Spain', 39.5696, 2.6502],
+  ['Las Palmas', 'Spain', 28.1235, -15.4363],
+  ['Santa Cruz de Tenerife', 'Spain', 28.4636, -16.2518],
+  ['Lisbon', 'Portugal', 38.7223, -9.1393],
+  ['Porto', 'Portugal', 41.1579, -8.6291],
+  ['Faro', 'Portugal', 37.0194, -7.9304],
+  ['Rome', 'Italy', 41.9028, 12.4964],
+  ['Milan', 'Italy', 45.4642, 9.1900],
+  ['Naples', 'Italy', 40.8518, 14.2681],
+  ['Turin', 'Italy', 45.0703, 7.6869],
+  ['Florence', 'Italy', 43.7696, 11.2558],
+  ['Bologna', 'Italy', 44.4949, 11.3426],
+  ['Venice', 'Italy', 45.4408, 12.3155],
+  ['Verona', 'Italy', 45.4384, 10.9916],
+  ['Genoa', 'Italy', 44.4056, 8.9463],
+  ['Bolzano', 'Italy', 46.4983, 11.3548],
+  ['Palermo', 'Italy', 38.1157, 13.3615],
+  ['Bari', 'Italy', 41.1171, 16.8719],
+  ['Copenhagen', 'Denmark', 55.6761, 12.5683],
+  ['Aarhus', 'Denmark', 56.1629, 10.2039],
+  ['Stockholm', 'Sweden', 59.3293, 18.0686],
+  ['Gothenburg', 'Sweden', 57.7089, 11.9746],
+  ['Malmö', 'Sweden', 55.6050, 13.0038],
+  ['Oslo', 'Norway', 59.9139, 10.7522],
+  ['Bergen', 'Norway', 60.3913, 5.3221],
+  ['Helsinki', 'Finland', 60.1699, 24.9384],
+  ['Reykjavik', 'Iceland', 64.1466, -21.9426],
+  ['Tallinn', 'Estonia', 59.4370, 24.7536],
+  ['Riga', 'Latvia', 56.9496, 24.1052],
+  ['Vilnius', 'Lithuania', 54.6872, 25.2797],
+  ['Warsaw', 'Poland', 52.2297, 21.0122],
+  ['Kraków', 'Poland', 50.0647, 19.9450],
+  ['Wrocław', 'Poland', 51.1079, 17.0385],
+  ['Gdańsk', 'Poland', 54.3520, 18.6466],
+  ['Poznań', 'Poland', 52.4064, 16.9252],
+  ['Szczecin', 'Poland', 53.4285, 14.5528],
+  ['Prague', 'Czechia', 50.0755, 14.4378],
+  ['Brno', 'Czechia', 49.1951, 16.6068],
+  ['Bratislava', 'Slovakia', 48.1486, 17.1077],
+  ['Budapest', 'Hungary', 47.4979, 19.0402],
+  ['Ljubljana', 'Slovenia', 46.0569, 14.5058],
+  ['Zagreb', 'Croatia', 45.8150, 15.9819],
+  ['Split', 'Croatia', 43.5081, 16.4402],
+  ['Dubrovnik', 'Croatia', 42.6507, 18.0944],
+  ['Belgrade', 'Serbia', 44.7866, 20.4489],
+  ['Sarajevo', 'Bosnia and Herzegovina', 43.8563, 18.4131],
+  ['Podgorica', 'Montenegro', 42.4304, 19.2594],
+  ['Tirana', 'Albania', 41.3275, 19.8187],
+  ['Skopje', 'North Macedonia', 41.9981, 21.4254],
+  ['Sofia', 'Bulgaria', 42.6977, 23.3219],
+  ['Bucharest', 'Romania', 44.4268, 26.1025],
+  ['Cluj-Napoca', 'Romania', 46.7712, 23.6236],
+  ['Chișinău', 'Moldova', 47.0105, 28.8638],
+  ['Athens', 'Greece', 37.9838, 23.7275],
+  ['Thessaloniki', 'Greece', 40.6401, 22.9444],
+  ['Heraklion', 'Greece', 35.3387, 25.1442],
+  ['Nicosia', 'Cyprus', 35.1856, 33.3823],
+  ['Valletta', 'Malta', 35.8989, 14.5146],
+  ['Istanbul', 'Turkey', 41.0082, 28.9784],
+  ['Ankara', 'Turkey', 39.9334, 32.8597],
+  ['Antalya', 'Turkey', 36.8969, 30.7133],
+  ['Izmir', 'Turkey', 38.4237, 27.1428],
+  ['Kyiv', 'Ukraine', 50.4501, 30.5234],
+  ['Lviv', 'Ukraine', 49.8397, 24.0297],
+  ['Odesa', 'Ukraine', 46.4825, 30.7233],
+  ['Minsk', 'Belarus', 53.9006, 27.5590],
+  ['Moscow', 'Russia', 55.7558, 37.6173],
+  ['Saint Petersburg', 'Russia', 59.9311, 30.3609],
+  // Rest of the world
+  ['New York', 'United States', 40.7128, -74.0060],
+  ['Los Angeles', 'United States', 34.0522, -118.2437],
+  ['Chicago', 'United States', 41.8781, -87.6298],
+  ['Houston', 'United States', 29.7604, -95.3698],
+  ['Phoenix', 'United States', 33.4484, -112.0740],
+  ['Philadelphia', 'United States', 39.9526, -75.1652],
+  ['San Francisco', 'United States', 37.7749, -122.4194],
+  ['Seattle', 'United States', 47.6062, -122.3321],
+  ['Denver', 'United States', 39.7392, -104.9903],
+  ['Boston', 'United States', 42.3601, -71.0589],
+  ['Washington', 'United States', 38.9072, -77.0369],
+  ['Atlanta', 'United States', 33.7490, -84.3880],
+  ['Miami', 'United States', 25.7617, -80.1918],
+  ['Dallas', 'United States', 32.7767, -96.7970],
+  ['Las Vegas', 'United States', 36.1699, -115.1398],
+  ['New Orleans', 'United States', 29.9511, -90.0715],
+  ['Honolulu', 'United States', 21.3069, -157.8583],
+  ['Anchorage', 'United States', 61.2181, -149.9003],
+  ['Toronto', 'Canada', 43.6532, -79.3832],
+  ['Montreal', 'Canada', 45.5017, -73.5673],
+  ['Vancouver', 'Canada', 49.2827, -123.1207],
+  ['Calgary', 'Canada', 51.0447, -114.0719],
+  ['Ottawa', 'Canada', 45.4215, -75.6972],
+  ['Mexico City', 'Mexico', 19.4326, -99.1332],
+  ['Cancún', 'Mexico', 21.1619, -86.8515],
+  ['Havana', 'Cuba', 23.1136, -82.3666],
+  ['Bogotá', 'Colombia', 4.7110, -74.0721],
+  ['Lima', 'Peru', -12.0464, -77.0428],
+  ['Santiago', 'Chile', -33.4489, -70.6693],
+  ['Buenos Aires', 'Argentina', -34.6037, -58.3816],
+  ['São Paulo', 'Brazil', -23.5505, -46.6333],
+  ['Rio de Janeiro', 'Brazil', -22.9068, -43.1729],
+  ['Cairo', 'Egypt', 30.0444, 31.2357],
+  ['Marrakesh', 'Morocco', 31.6295, -7.9811],
+  ['Casablanca', 'Morocco', 33.5731, -7.5898],
+  ['Tunis', 'Tunisia', 36.8065, 10.1815],
+  ['Lagos', 'Nigeria', 6.5244, 3.3792],
+  ['Nairobi', 'Kenya', -1.2921, 36.8219],
+  ['Addis Ababa', 'Ethiopia', 8.9806, 38.7578],
+  ['Cape Town', 'South Africa', -33.9249, 18.4241],
+  ['Johannesburg', 'South Africa', -26.2041, 28.0473],
+  ['Dubai', 'United Arab Emirates', 25.2048, 55.2708],
+  ['Abu Dhabi', 'United Arab Emirates', 24.4539, 54.3773],
+  ['Doha', 'Qatar', 25.2854, 51.5310],
+  ['Tel Aviv', 'Israel', 32.0853, 34.7818],
+  ['Jerusalem', 'Israel', 31.7683, 35.2137],
+  ['Amman', 'Jordan', 31.9454, 35.9284],
+  ['Beirut', 'Lebanon', 33.8938, 35.5018],
+  ['Tehran', 'Iran', 35.6892, 51.3890],
+  ['Mumbai', 'India', 19.0760, 72.8777],
+  ['Delhi', 'India', 28.7041, 77.1025],
+  ['Bengaluru', 'India', 12.9716, 77.5946],
+  ['Kathmandu', 'Nepal', 27.7172, 85.3240],
+  ['Colombo', 'Sri Lanka', 6.9271, 79.8612],
+  ['Bangkok', 'Thailand', 13.7563, 100.5018],
+  ['Phuket', 'Thailand', 7.8804, 98.3923],
+  ['Hanoi', 'Vietnam', 21.0278, 105.8342],
+  ['Ho Chi Minh City', 'Vietnam', 10.8231, 106.6297],
+  ['Kuala Lumpur', 'Malaysia', 3.1390, 101.6869],
+  ['Singapore', 'Singapore', 1.3521, 103.8198],
+  ['Jakarta', 'Indonesia', -6.2088, 106.8456],
+  ['Denpasar', 'Indonesia', -8.6705, 115.2126],
+  ['Manila', 'Philippines', 14.5995, 120.9842],
+  ['Hong Kong', 'China', 22.3193, 114.1694],
+  ['Shanghai', 'China', 31.2304, 121.4737],
+  ['Beijing', 'China', 39.9042, 116.4074],
+  ['Taipei', 'Taiwan', 25.0330, 121.5654],
+  ['Seoul', 'South Korea', 37.5665, 126.9780],
+  ['Tokyo', 'Japan', 35.6762, 139.6503],
+  ['Osaka', 'Japan', 34.6937, 135.5023],
+  ['Kyoto', 'Japan', 35.0116, 135.7681],
+  ['Sydney', 'Australia', -33.8688, 151.2093],
+  ['Melbourne', 'Australia', -37.8136, 144.9631],
+  ['Brisbane', 'Australia', -27.4698, 153.0251],
+  ['Perth', 'Australia', -31.9505, 115.8605],
+  ['Auckland', 'New Zealand', -36.8485, 174.7633],
+  ['Wellington', 'New Zealand', -41.2865, 174.7762]
+].map(([city, country, latitude, longitude]) => ({ city, country, latitude, longitude }));
+
+/**
+ * Find the nearest listed city to a coordinate
+ *
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} [radiusMeters] - Largest distance to the city
+ * @returns {Object|null} { city, country }, or null if no listed city is in range
+ */
+export function findNearestCity(latitude, longitude, radiusMeters = GAZETTEER_RADIUS_METERS) {
+  const [nearest] = findNearby(CITIES, latitude, longitude, radiusMeters);
+  return nearest ? { city: nearest.item.city, country: nearest.item.country } : null;
+}
@@ -63,6 +63,17 @@ export const EMOTIONS = [
   { value: "tired", label: "Tired", emoji: "😴" },
 ];
 
+/**
+ * Meal types for the food tracker
+ */
+export const MEAL_TYPES = [
+  { value: "breakfast", label: "Breakfast", emoji: "🍳" },
+  { value: "lunch", label: "Lunch", emoji: "🥪" },
+  { value: "dinner", label: "Dinner", emoji: "🍲" },
+  { value: "snack", label: "Snack", emoji: "🍎" },
+  { value: "drink", label: "Drink", emoji: "🥤" },
+];
+
 /**
  * Common activity categories for mood tracking
  */
@@ -74,4 +85,21 @@ export const ACTIVITY_CATEGORIES = {
   SELF_CARE: "Self Care",
   FOOD: "Food & Drink",
   SLEEP: "Sleep",
-}; 
\ No newline at end of file
+}; 
+/**
+ * Writing prompts for the diary, translated as diaryPrompt_<value>
+ */
+export const DIARY_PROMPTS = [
+  "gratitude",
+  "smallJoy",
+  "learned",
+  "proudOf",
+  "conversation",
+  "differently",
+  "energy",
+  "tomorrow",
+  "surprise",
+  "kindness",
+  "worry",
+  "place",
+];
@@ -107,6 +107,453 @@ export const translations = {
     allDatabasesResetSuccess: 'All databases have been successfully reset.',
     allDatabasesResetError: 'There was an error resetting all databases. Please try again.',
     
+    // Privacy and app lock
+    setPassphrase: 'Set Passphrase',
+    passphrase: 'Passphrase',
+    confirmPassphrase: 'Confirm passphrase',
+    passphraseWarning: 'Your data will be encrypted with this passphrase. If you forget it, your data cannot be recovered.',
+    passphraseTooShort: 'The passphrase must be at least {count} characters long.',
+    passphrasesDoNotMatch: 'The passphrases do not match.',
+    passphraseSaveError: 'There was an error setting the passphrase. Please try again.',
+    encryptionEnabledSuccess: 'Your data is now encrypted.',
+    autoLock: 'Auto-lock after inactivity',
+    never: 'Never',
+    lockNow: 'Lock Now',
+    enterPassphrase: 'Enter your passphrase to unlock',
+    unlock: 'Unlock',
+    wrongPassphrase: 'Wrong passphrase.',
+    attemptsRemaining: 'Attempts remaining',
+    tooManyAttempts: 'Too many failed attempts.',
+    tryAgainIn: 'Try again in',
+    unlockError: 'There was an error unlocking. Please try again.',
+    lockoutHint: 'After {count} wrong attempts, unlocking is paused for a while.',
+    panicWipe: 'Erase All Data',
+    panicWipeConfirmation: 'This will immediately and permanently erase all entries, photos and settings on this device. This cannot be undone.',
+    eraseEverything: 'Erase Everything',
+    panicWipeError: 'There was an error erasing your data.',
+    changePassphrase: 'Change Passphrase',
+    currentPassphrase: 'Current passphrase',
+    newPassphrase: 'New passphrase',
+    setNewPassphrase: 'Choose a New Passphrase',
+    passphraseChangedSuccess: 'Your passphrase was changed and your data re-encrypted with a new key.',
+    createRecoveryCode: 'Create Recovery Code',
+    createRecoveryCodeConfirmation: 'A recovery code unlocks your data if you forget your passphrase. Creating a new one replaces any previous code.',
+    create: 'Create',
+    recoveryCode: 'Recovery code',
+    recoveryCodeInstructions: 'Write this code down and keep it somewhere safe. It will not be shown again.',
+    recoveryCodeError: 'There was an error creating the recovery code.',
+    share: 'Share',
+    useRecoveryCode: 'Forgot your passphrase? Use a recovery code',
+    usePassphrase: 'Use passphrase instead',
+    enterRecoveryCode: 'Enter your recovery code',
+    invalidRecoveryCode: 'Invalid recovery code.',
+
+    // Data export and import
+    exportData: 'Export Data',
+    importData: 'Import Data',
+    import: 'Import',
+    exportSavedTo: 'Your data was exported to',
+    exportDataError: 'There was an error exporting your data.',
+    importDataConfirmation: 'Entries from the file will be merged into your data. Entries you already have are only replaced by newer versions. Continue?',
+    importDataSuccess: '{count} entries were imported.',
+    importDataError: 'The file could not be imported.',
+    exportCsv: 'Export CSV',
+    tracker: 'Tracker',
+    dateRange: 'Date range',
+    columns: 'Columns',
+    csvTracker_mood: 'Moods',
+    csvTracker_food: 'Food',
+    csvTracker_people: 'People',
+    selectAtLeastOneColumn: 'Select at least one column.',
+    invalidDateRange: 'The start date must be before the end date.',
+    csvExportedRows: '{count} rows exported.',
+
+    // Backups
+    backups: 'Backups',
+    automaticBackups: 'Automatic backups',
+    backupEvery_1: 'Daily',
+    backupEvery_7: 'Weekly',
+    backupEvery_30: 'Monthly',
+    backupsToKeep: 'Backups to keep',
+    lastBackup: 'Last backup',
+    backUpNow: 'Back Up Now',
+    backupCreated: 'Backup created with {count} media files. Share it to keep a copy off this device.',
+    backupError: 'There was an error creating the backup.',
+    backupsRequirePassphrase: 'Set a passphrase to create encrypted backups.',
+    restoreBackup: 'Restore Backup',
+    restore: 'Restore',
+    restoreBackupConfirmation: 'All current data and media will be replaced by the backup. Continue?',
+    backupPassphrasePrompt: 'Enter the passphrase or recovery code that was in use when the backup was made.',
+    restoreSuccess: 'The backup was restored.',
+    restoreError: 'The backup could not be restored.',
+
+    // Sync
+    sync: 'Sync',
+    setUpSync: 'Set Up Sync',
+    syncSetupInfo: 'Use the same server, account and sync passphrase on all your devices. Data is encrypted with the sync passphrase before it leaves this device.',
+    syncServerUrl: 'Server URL (https://…)',
+    syncAccount: 'Account',
+    syncPassphrase: 'Sync passphrase',
+    invalidServerUrl: 'Enter a server URL starting with http:// or https://.',
+    syncFieldsRequired: 'Enter an account and a sync passphrase.',
+    connect: 'Connect',
+    syncNow: 'Sync Now',
+    lastSync: 'Last sync',
+    syncFinished: 'Sync finished: {received} changes received, {sent} sent.',
+    syncError: 'Sync failed.',
+    turnOffSync: 'Turn Off Sync',
+    turnOffSyncConfirmation: 'This device will stop syncing. Data on this device and on the server is kept.',
+    turnOff: 'Turn Off',
+
+    // Trash
+    trash: 'Trash',
+    trashEmpty: 'The trash is empty.',
+    trashInfo: 'Deleted items can be restored with their links until they are removed for good.',
+    keepDeletedFor: 'Keep deleted items for',
+    keepDeletedFor_7: '7 days',
+    keepDeletedFor_30: '30 days',
+    keepDeletedFor_90: '90 days',
+    deletedOn: 'Deleted',
+    deleteForever: 'Delete Forever',
+    deleteForeverConfirmation: 'This item will be deleted for good. This cannot be undone.',
+    emptyTrash: 'Empty Trash',
+    emptyTrashConfirmation: 'All items in the trash will be deleted for good. This cannot be undone.',
+    trashError: 'There was an error updating the trash.',
+    movedToTrash: 'Moved to trash',
+    tapToUndo: 'Tap to undo',
+    deleteEntryConfirmation: 'Are you sure you want to delete this entry? You can restore it from the trash.',
+    entityType_mood: 'Mood',
+    entityType_food: 'Food',
+    entityType_person: 'Person',
+    entityType_place: 'Place',
+    entityType_memory: 'Memory',
+    entityType_health: 'Health entry',
+    entityType_pursuit: 'Hobby or skill',
+    entityType_session: 'Practice session',
+    entityType_survey: 'Survey',
+
+    // Timeline
+    timelineEmpty: 'Nothing here yet. Entries from all trackers will show up here.',
+
+    // Search
+    search: 'Search',
+    searchPlaceholder: 'Search moods, food, memories, people and places',
+    searchNoResults: 'No results',
+    searchError: 'Search failed',
+    searchResultMissing: 'This entry no longer exists.',
+
+    // Mood filters
+    filters: 'Filters',
+    filterMoods: 'Filter moods',
+    any: 'Any',
+    minRating: 'Lowest rating',
+    maxRating: 'Highest rating',
+    emotions: 'Emotions',
+    activityCategories: 'Activity categories',
+    people: 'People',
+    places: 'Places',
+    dateRange_last7Days: 'Last 7 days',
+    dateRange_last30Days: 'Last 30 days',
+    dateRange_thisMonth: 'This month',
+    dateRange_thisQuarter: 'This quarter',
+    dateRange_thisYear: 'This year',
+    dateRange_custom: 'Custom',
+    saveAsView: 'Save as view',
+    viewName: 'View name',
+    allEntries: 'All entries',
+    clearFilters: 'Clear',
+    applyFilters: 'Apply',
+    deleteView: 'Delete view',
+    deleteViewConfirmation: 'Delete the saved view "{name}"?',
+    noMatchingMoodEntries: 'No entries match these filters',
+
+    // Memories
+    newMemory: 'New Memory',
+    editMemory: 'Edit',
+    memoryDetails: 'Memory',
+    memoryTitle: 'Title',
+    memoryTitlePlaceholder: 'What happened?',
+    memoryStory: 'Story',
+    memoryStoryPlaceholder: 'Tell the story of this memory',
+    memoryDate: 'Date',
+    photos: 'Photos',
+    addPhotos: 'Add Photos',
+    takePhoto: 'Take Photo',
+    photoPermissionRequired: 'Permission to access your photos is required.',
+    cameraPermissionRequired: 'Permission to access the camera is required.',
+    noPlacesYet: 'No places added yet',
+    noPeopleYet: 'No people added yet',
+    memoryTitleRequired: 'Please give the memory a title.',
+    errorSavingMemory: 'There was an error saving the memory.',
+    errorDeletingMemory: 'There was an error deleting the memory.',
+    deleteMemory: 'Delete Memory',
+    deleteMemoryConfirmation: 'Are you sure you want to delete this memory? You can restore it from the trash.',
+    memoryMoodsAndFood: 'Moods and food that day',
+    noMoodsOrFoodForMemory: 'No moods or meals were recorded that day.',
+    noMemoriesYet: 'No memories yet',
+    noMemoriesHint: 'Tap + to capture a moment with its story, photos, people and place.',
+
+    // Diary
+    diaryPlaceholder: 'How was your day?',
+    diaryPreview: 'Preview',
+    diaryEdit: 'Edit',
+    diaryToday: 'Today',
+    diaryThatDay: 'Moods and meals that day',
+    diaryNoMoodsOrFood: 'No moods or meals were recorded that day.',
+    diaryHighlight: 'Highlight',
+    diaryChallenge: 'Challenge',
+    diarySeededFromCheckIn: 'Started from your check-in answers of this day.',
+    diarySaving: 'Saving…',
+    diaryUnsaved: 'Unsaved changes',
+    diarySaved: 'Saved',
+    diaryUsePrompt: 'Write about this',
+    diaryAnotherPrompt: 'Another prompt',
+    diaryShowPrompts: 'Show prompts',
+    diaryHidePrompts: 'Hide prompts',
+    deleteDiaryEntry: 'Delete Entry',
+    deleteDiaryEntryConfirmation: 'Delete the diary entry of this day? This cannot be undone.',
+    errorLoadingDiary: 'There was an error loading the diary.',
+    errorSavingDiary: 'There was an error saving the diary entry.',
+    diaryPrompt_gratitude: 'What are you grateful for today?',
+    diaryPrompt_smallJoy: 'What small thing made you smile?',
+    diaryPrompt_learned: 'What did you learn today?',
+    diaryPrompt_proudOf: 'What are you proud of today?',
+    diaryPrompt_conversation: 'Which conversation stayed with you?',
+    diaryPrompt_differently: 'What would you do differently?',
+    diaryPrompt_energy: 'What gave you energy, and what took it away?',
+    diaryPrompt_tomorrow: 'What are you looking forward to tomorrow?',
+    diaryPrompt_surprise: 'What surprised you today?',
+    diaryPrompt_kindness: 'What kindness did you give or receive?',
+    diaryPrompt_worry: 'What is on your mind right now?',
+    diaryPrompt_place: 'Where did you feel most at ease today?',
+
+    // Health
+    healthToday: 'Today',
+    healthKind_sleep: 'Sleep',
+    healthKind_workout: 'Workout',
+    healthKind_medication: 'Medication',
+    healthKind_weight: 'Weight',
+    healthKind_blood_pressure: 'Blood pressure',
+    healthEmpty_sleep: 'No sleep logged yet',
+    healthEmpty_workout: 'No workouts logged yet',
+    healthEmpty_medication: 'No doses logged yet',
+    healthEmpty_weight: 'No weight logged yet',
+    healthEmpty_blood_pressure: 'No blood pressure logged yet',
+    healthRequired_sleep: 'Please enter how long or how well you slept.',
+    healthRequired_workout: 'Please enter an activity.',
+    healthRequired_medication: 'Please choose a medication.',
+    healthRequired_weight: 'Please enter your weight.',
+    healthRequired_blood_pressure: 'Please enter the systolic and diastolic pressure.',
+    errorSavingHealthEntry: 'Failed to save the entry',
+    errorDeletingHealthEntry: 'Failed to delete the entry',
+    healthTime: 'Time',
+    wokeUpAt: 'Woke up at',
+    startedAt: 'Started at',
+    sleepHours: 'Hours slept',
+    sleepQuality: 'Sleep quality',
+    workoutActivity: 'Activity',
+    workoutActivityPlaceholder: 'e.g. Running, Yoga, Cycling',
+    durationMinutes: 'Duration (minutes)',
+    workoutIntensity: 'Intensity',
+    intensity_light: 'Light',
+    intensity_moderate: 'Moderate',
+    intensity_hard: 'Hard',
+    medication: 'Medication',
+    medications: 'Medications',
+    newMedication: 'New medication',
+    editMedication: 'Edit medication',
+    medicationName: 'Name',
+    medicationNamePlaceholder: 'e.g. Vitamin D',
+    medicationNameRequired: 'Please enter a name for the medication.',
+    dose: 'Dose',
+    dosePlaceholder: 'e.g. 1 tablet, 10 mg',
+    doseSchedule: 'Dose times',
+    addDoseTime: 'Add time',
+    doseScheduleHint: 'Without dose times the medication is taken as needed.',
+    medicationActive: 'Currently taking',
+    medicationInactive: 'Not taking anymore',
+    asNeeded: 'As needed',
+    deleteMedication: 'Delete Medication',
+    deleteMedicationConfirmation: 'This also deletes all doses logged for it. To keep them, turn off "Currently taking" instead.',
+    errorSavingMedication: 'Failed to save the medication',
+    errorDeletingMedication: 'Failed to delete the medication',
+    noMedicationsYet: 'No medications added yet',
+    unknownMedication: 'Deleted medication',
+    dosesToday: 'Doses today',
+    noDosesToday: 'No doses due today',
+    takeDose: 'Take',
+    doseHistory: 'Doses taken',
+    latestReadings: 'Latest',
+    weightKg: 'Weight (kg)',
+    systolic: 'Systolic',
+    diastolic: 'Diastolic',
+    pulse: 'Pulse',
+    healthNotesPlaceholder: 'Anything worth noting?',
+    hoursShort: 'h',
+    minutesShort: 'min',
+    moodAndSleep: 'Mood and sleep',
+    moodAndExercise: 'Mood and exercise',
+    nights: 'nights',
+    afterWorkout: 'After a workout',
+    withoutWorkout: 'Other moods',
+    correlationPositive: 'Higher tends to go with a better mood',
+    correlationNegative: 'Higher tends to go with a worse mood',
+    correlationNone: 'No clear link to your mood',
+    notEnoughHealthData: 'Log more sleep and workouts to see how they relate to your mood.',
+
+    // Hobbies and skills
+    new_hobby: 'New hobby',
+    new_skill: 'New skill',
+    edit_hobby: 'Edit hobby',
+    edit_skill: 'Edit skill',
+    delete_hobby: 'Delete hobby',
+    delete_skill: 'Delete skill',
+    editPursuit: 'Edit',
+    pursuitName: 'Name',
+    pursuitNamePlaceholder_hobby: 'e.g. Climbing',
+    pursuitNamePlaceholder_skill: 'e.g. Spanish',
+    pursuitDescription: 'Description',
+    pursuitDescriptionPlaceholder: 'What is it about and why do you do it?',
+    pursuitNameRequired: 'Please enter a name',
+    errorSavingPursuit: 'Failed to save',
+    errorDeletingPursuit: 'Failed to delete',
+    deletePursuitConfirmation: 'Its sessions and goals go to the trash with it.',
+    hobbiesOfPeople: 'Hobbies of your people',
+    sharedHobbyWith: 'Shared with',
+    noPursuitsYet_hobby: 'No hobbies yet. Tap + to add one.',
+    noPursuitsYet_skill: 'No skills yet. Tap + to add one.',
+    lastPracticed: 'Last practiced',
+    notPracticedYet: 'Not practiced yet',
+    hoursPracticed: 'Hours',
+    sessions: 'Sessions',
+    currentStreak: 'Day streak',
+    longestStreak: 'Longest streak',
+    logSession: 'Log session',
+    practicedAt: 'When',
+    sessionRating: 'How did it go?',
+    sessionNotesPlaceholder: 'What did you work on?',
+    sessionDurationRequired: 'Please enter how long you practiced',
+    errorSavingSession: 'Failed to save session',
+    errorDeletingSession: 'Failed to delete session',
+    noSessionsYet: 'No sessions logged yet',
+    weeklyPractice: 'Weekly practice',
+    weeklyPracticeHint: 'Hours per week, with the average rating',
+    goals: 'Goals',
+    noGoalsYet: 'No goals yet',
+    goalPlaceholder_hobby: 'e.g. Climb a 6a route',
+    goalPlaceholder_skill: 'e.g. Hold a conversation',
+    goalHours: 'Hours',
+    goalHint: 'Goals with hours are reached by practicing. Tap a goal to tick it off, long-press to delete it.',
+    goalTitleRequired: 'Please enter a goal',
+    errorSavingGoal: 'Failed to save goal',
+    goalReachedOn: 'Reached on',
+    deleteGoal: 'Delete goal',
+
+    // Biography
+    biographyTitle: 'My life',
+    buildBiography: 'Build from my data',
+    exportBiography: 'Export',
+    exportBiographyFormat: 'Choose a format',
+    biographyEmpty: 'Build your biography from your memories, people, places and moods, or write a chapter yourself.',
+    biographyHint: 'Building again refreshes the generated chapters. Chapters you edited or wrote stay as they are.',
+    biographyUpdated: '{added} new, {updated} refreshed, {kept} edited chapters kept',
+    errorGeneratingBiography: 'Failed to build the biography',
+    newChapter: 'New chapter',
+    editChapter: 'Edit chapter',
+    chapterTitle: 'Title',
+    chapterTitlePlaceholder: 'e.g. Growing up',
+    chapterBodyPlaceholder: 'Tell this part of your story...',
+    chapterTitleRequired: 'Please enter a title',
+    chapterEdited: 'Edited',
+    chapterOwn: 'Written by you',
+    generatedChapterHint: 'Once you edit this chapter it is no longer refreshed from your data.',
+    deleteChapter: 'Delete chapter',
+    deleteChapterConfirmation: 'This chapter will be deleted.',
+    deleteGeneratedChapterConfirmation: 'The chapter comes back the next time you build the biography.',
+    errorSavingChapter: 'Failed to save chapter',
+    errorDeletingChapter: 'Failed to delete chapter',
+    bioChapterPeople: 'The people in my life',
+    bioChapterPlaces: 'Places that mattered',
+    bioOtherPeople: 'Others',
+    bioBorn: 'born {date}',
+    bioDied: 'died {date}',
+    bioMentions_one: 'in 1 entry',
+    bioMentions_other: 'in {count} entries',
+    bioPlaceMemories_one: '1 memory',
+    bioPlaceMemories_other: '{count} memories',
+    bioPersonBorn: '{name} was born on {date}.',
+    bioPersonDied: '{name} died on {date}.',
+    bioWith: 'with {names}',
+    bioAt: 'at {place}',
+    bioPhase_high: 'From {start} to {end} I was mostly in good spirits (average mood {average} of 5).',
+    bioPhase_steady: 'From {start} to {end} my mood was steady (average mood {average} of 5).',
+    bioPhase_low: 'From {start} to {end} I went through a harder time (average mood {average} of 5).',
+
+    // Suggested places and visits
+    suggestedPlaces: 'Suggested places',
+    suggestedPlacesHint: 'Found where your mood entries were recorded. Confirm them to save them as places.',
+    suggestedPlaceMoods_one: '1 mood entry',
+    suggestedPlaceMoods_other: '{count} mood entries',
+    placeVisitCount_one: '1 visit',
+    placeVisitCount_other: '{count} visits',
+    confirmPlace: 'Save place',
+    mergeIntoPlace: 'Merge',
+    mergeSuggestedPlace: 'Merge "{name}" into',
+    ignore: 'Ignore',
+    ignoreSuggestedPlace: 'Ignore place',
+    ignoreSuggestedPlaceConfirmation: 'This place will no longer be suggested. Its mood entries stay linked to it.',
+    placeName: 'Name of the place',
+    placeNameRequired: 'Please enter a name for the place',
+    errorUpdatingSuggestedPlace: 'Failed to update the suggested place',
+    duplicatePlaces: 'Possible duplicates',
+    duplicatePlacesHint: 'These places have similar names and are close together. Merge them or keep both.',
+    duplicatePlaceOf: 'Looks like "{name}"',
+    keepBothPlaces: 'Keep both',
+    mergeDuplicatePlace: 'Merge places',
+    mergeDuplicatePlaceConfirmation: 'Move everything linked to "{name}" to "{other}" and remove the duplicate? This cannot be undone.',
+    errorMergingPlaces: 'Failed to update the places',
+    placeVisits: 'Visits',
+    visitEntries_one: '1 entry',
+    visitEntries_other: '{count} entries',
+
+    // Mood map
+    moodMapTab: 'Map',
+    moodMap: 'Mood map',
+    moodMapAverageMood: 'Average mood',
+    moodMapVisitDensity: 'Visit density',
+    moodMapHexagons: 'Hexagons',
+    moodMapGrid: 'Grid',
+    moodMapAllEmotions: 'All emotions',
+    moodMapNoMoods: 'No moods with a location in this time range.',
+    moodMapNoVisits: 'No place visits in this time range.',
+    moodMapTapArea: 'Tap an area to see its details.',
+    moodMapAreaMoods_one: '1 mood entry',
+    moodMapAreaMoods_other: '{count} mood entries',
+    moodMapAreaVisits_one: '1 visit',
+    moodMapAreaVisits_other: '{count} visits',
+    moodMapAverage: 'average mood {average}',
+
+    // Weather
+    weatherSource: 'Weather source',
+    'weatherProvider_open-meteo': 'Open-Meteo',
+    weatherProvider_openweathermap: 'OpenWeatherMap',
+    backfillWeather: 'Fill In Past Weather',
+    backfillWeatherFinished: 'Weather filled in for {filled} entries, {failed} failed. {remaining} entries still have no weather.',
+    backfillWeatherNone: 'All entries with a location already have weather.',
+    backfillWeatherError: 'Could not fill in the weather:',
+
+    // Data integrity
+    checkIntegrity: 'Check Data Integrity',
+    integrityOk: 'No problems were found.',
+    integrityProblemsFound: 'Some links between entries are broken:',
+    integrity_danglingRelationships: 'Links to missing items',
+    integrity_selfRelationships: 'Items linked to themselves',
+    integrity_duplicateRelationships: 'Duplicate links',
+    integrity_danglingEntryLinks: 'People and places of missing entries',
+    repair: 'Repair',
+    integrityRepaired: '{count} broken links were removed.',
+    integrityError: 'There was an error checking the data.',
+    
     // Surveys
     psychologicalSurveys: 'Psychological Surveys',
     surveyInsights: 'Get deeper insights into your well-being',
@@ -266,6 +713,453 @@ export const translations = {
     allDatabasesResetSuccess: 'Alle Datenbanken wurden erfolgreich zurückgesetzt.',
     allDatabasesResetError: 'Beim Zurücksetzen aller Datenbanken ist ein Fehler aufgetreten. Bitte versuche es erneut.',
     
+    // Privacy and app lock
+    setPassphrase: 'Passphrase festlegen',
+    passphrase: 'Passphrase',
+    confirmPassphrase: 'Passphrase bestätigen',
+    passphraseWarning: 'Deine Daten werden mit dieser Passphrase verschlüsselt. Wenn du sie vergisst, können deine Daten nicht wiederhergestellt werden.',
+    passphraseTooShort: 'Die Passphrase muss mindestens {count} Zeichen lang sein.',
+    passphrasesDoNotMatch: 'Die Passphrasen stimmen nicht überein.',
+    passphraseSaveError: 'Beim Festlegen der Passphrase ist ein Fehler aufgetreten. Bitte versuche es erneut.',
+    encryptionEnabledSuccess: 'Deine Daten sind jetzt verschlüsselt.',
+    autoLock: 'Automatisch sperren bei Inaktivität',
+    never: 'Nie',
+    lockNow: 'Jetzt sperren',
+    enterPassphrase: 'Gib deine Passphrase ein, um zu entsperren',
+    unlock: 'Entsperren',
+    wrongPassphrase: 'Falsche Passphrase.',
+    attemptsRemaining: 'Verbleibende Versuche',
+    tooManyAttempts: 'Zu viele Fehlversuche.',
+    tryAgainIn: 'Erneut versuchen in',
+    unlockError: 'Beim Entsperren ist ein Fehler aufgetreten. Bitte versuche es erneut.',
+    lockoutHint: 'Nach {count} falschen Versuchen wird das Entsperren für eine Weile pausiert.',
+    panicWipe: 'Alle Daten löschen',
+    panicWipeConfirmation: 'Dadurch werden alle Einträge, Fotos und Einstellungen auf diesem Gerät sofort und dauerhaft gelöscht. Dies kann nicht rückgängig gemacht werden.',
+    eraseEverything: 'Alles löschen',
+    panicWipeError: 'Beim Löschen deiner Daten ist ein Fehler aufgetreten.',
+    changePassphrase: 'Passphrase ändern',
+    currentPassphrase: 'Aktuelle Passphrase',
+    newPassphrase: 'Neue Passphrase',
+    setNewPassphrase: 'Neue Passphrase wählen',
+    passphraseChangedSuccess: 'Deine Passphrase wurde geändert und deine Daten mit einem neuen Schlüssel verschlüsselt.',
+    createRecoveryCode: 'Wiederherstellungscode erstellen',
+    createRecoveryCodeConfirmation: 'Ein Wiederherstellungscode entsperrt deine Daten, falls du deine Passphrase vergisst. Ein neuer Code ersetzt jeden bisherigen.',
+    create: 'Erstellen',
+    recoveryCode: 'Wiederherstellungscode',
+    recoveryCodeInstructions: 'Schreibe diesen Code auf und bewahre ihn sicher auf. Er wird nicht erneut angezeigt.',
+    recoveryCodeError: 'Beim Erstellen des Wiederherstellungscodes ist ein Fehler aufgetreten.',
+    share: 'Teilen',
+    useRecoveryCode: 'Passphrase vergessen? Wiederherstellungscode verwenden',
+    usePassphrase: 'Stattdessen Passphrase verwenden',
+    enterRecoveryCode: 'Gib deinen Wiederherstellungscode ein',
+    invalidRecoveryCode: 'Ungültiger Wiederherstellungscode.',
+
+    // Data export and import
+    exportData: 'Daten exportieren',
+    importData: 'Daten importieren',
+    import: 'Importieren',
+    exportSavedTo: 'Deine Daten wurden exportiert nach',
+    exportDataError: 'Beim Exportieren deiner Daten ist ein Fehler aufgetreten.',
+    importDataConfirmation: 'Einträge aus der Datei werden mit deinen Daten zusammengeführt. Vorhandene Einträge werden nur durch neuere Versionen ersetzt. Fortfahren?',
+    importDataSuccess: '{count} Einträge wurden importiert.',
+    importDataError: 'Die Datei konnte nicht importiert werden.',
+    exportCsv: 'CSV exportieren',
+    tracker: 'Tracker',
+    dateRange: 'Zeitraum',
+    columns: 'Spalten',
+    csvTracker_mood: 'Stimmungen',
+    csvTracker_food: 'Essen',
+    csvTracker_people: 'Personen',
+    selectAtLeastOneColumn: 'Wähle mindestens eine Spalte aus.',
+    invalidDateRange: 'Das Startdatum muss vor dem Enddatum liegen.',
+    csvExportedRows: '{count} Zeilen exportiert.',
+
+    // Backups
+    backups: 'Sicherungen',
+    automaticBackups: 'Automatische Sicherungen',
+    backupEvery_1: 'Täglich',
+    backupEvery_7: 'Wöchentlich',
+    backupEvery_30: 'Monatlich',
+    backupsToKeep: 'Aufzubewahrende Sicherungen',
+    lastBackup: 'Letzte Sicherung',
+    backUpNow: 'Jetzt sichern',
+    backupCreated: 'Sicherung mit {count} Mediendateien erstellt. Teile sie, um eine Kopie außerhalb dieses Geräts aufzubewahren.',
+    backupError: 'Beim Erstellen der Sicherung ist ein Fehler aufgetreten.',
+    backupsRequirePassphrase: 'Lege eine Passphrase fest, um verschlüsselte Sicherungen zu erstellen.',
+    restoreBackup: 'Sicherung wiederherstellen',
+    restore: 'Wiederherstellen',
+    restoreBackupConfirmation: 'Alle aktuellen Daten und Medien werden durch die Sicherung ersetzt. Fortfahren?',
+    backupPassphrasePrompt: 'Gib die Passphrase oder den Wiederherstellungscode ein, die beim Erstellen der Sicherung galten.',
+    restoreSuccess: 'Die Sicherung wurde wiederhergestellt.',
+    restoreError: 'Die Sicherung konnte nicht wiederhergestellt werden.',
+
+    // Sync
+    sync: 'Synchronisierung',
+    setUpSync: 'Synchronisierung einrichten',
+    syncSetupInfo: 'Verwende auf allen Geräten denselben Server, dasselbe Konto und dieselbe Sync-Passphrase. Daten werden mit der Sync-Passphrase verschlüsselt, bevor sie dieses Gerät verlassen.',
+    syncServerUrl: 'Server-URL (https://…)',
+    syncAccount: 'Konto',
+    syncPassphrase: 'Sync-Passphrase',
+    invalidServerUrl: 'Gib eine Server-URL ein, die mit http:// oder https:// beginnt.',
+    syncFieldsRequired: 'Gib ein Konto und eine Sync-Passphrase ein.',
+    connect: 'Verbinden',
+    syncNow: 'Jetzt synchronisieren',
+    lastSync: 'Letzte Synchronisierung',
+    syncFinished: 'Synchronisierung abgeschlossen: {received} Änderungen empfangen, {sent} gesendet.',
+    syncError: 'Synchronisierung fehlgeschlagen.',
+    turnOffSync: 'Synchronisierung ausschalten',
+    turnOffSyncConfirmation: 'Dieses Gerät wird nicht mehr synchronisiert. Die Daten auf diesem Gerät und auf dem Server bleiben erhalten.',
+    turnOff: 'Ausschalten',
+
+    // Trash
+    trash: 'Papierkorb',
+    trashEmpty: 'Der Papierkorb ist leer.',
+    trashInfo: 'Gelöschte Einträge können mit ihren Verknüpfungen wiederhergestellt werden, bis sie endgültig entfernt werden.',
+    keepDeletedFor: 'Gelöschte Einträge aufbewahren für',
+    keepDeletedFor_7: '7 Tage',
+    keepDeletedFor_30: '30 Tage',
+    keepDeletedFor_90: '90 Tage',
+    deletedOn: 'Gelöscht',
+    deleteForever: 'Endgültig löschen',
+    deleteForeverConfirmation: 'Dieser Eintrag wird endgültig gelöscht. Das kann nicht rückgängig gemacht werden.',
+    emptyTrash: 'Papierkorb leeren',
+    emptyTrashConfirmation: 'Alle Einträge im Papierkorb werden endgültig gelöscht. Das kann nicht rückgängig gemacht werden.',
+    trashError: 'Beim Aktualisieren des Papierkorbs ist ein Fehler aufgetreten.',
+    movedToTrash: 'In den Papierkorb verschoben',
+    tapToUndo: 'Tippe zum Rückgängigmachen',
+    deleteEntryConfirmation: 'Möchtest du diesen Eintrag wirklich löschen? Du kannst ihn aus dem Papierkorb wiederherstellen.',
+    entityType_mood: 'Stimmung',
+    entityType_food: 'Essen',
+    entityType_person: 'Person',
+    entityType_place: 'Ort',
+    entityType_memory: 'Erinnerung',
+    entityType_health: 'Gesundheitseintrag',
+    entityType_pursuit: 'Hobby oder Fähigkeit',
+    entityType_session: 'Übungseinheit',
+    entityType_survey: 'Umfrage',
+
+    // Timeline
+    timelineEmpty: 'Noch nichts hier. Einträge aus allen Trackern erscheinen hier.',
+
+    // Search
+    search: 'Suche',
+    searchPlaceholder: 'Stimmungen, Essen, Erinnerungen, Personen und Orte durchsuchen',
+    searchNoResults: 'Keine Ergebnisse',
+    searchError: 'Suche fehlgeschlagen',
+    searchResultMissing: 'Dieser Eintrag existiert nicht mehr.',
+
+    // Mood filters
+    filters: 'Filter',
+    filterMoods: 'Stimmungen filtern',
+    any: 'Alle',
+    minRating: 'Niedrigste Bewertung',
+    maxRating: 'Höchste Bewertung',
+    emotions: 'Emotionen',
+    activityCategories: 'Aktivitätskategorien',
+    people: 'Personen',
+    places: 'Orte',
+    dateRange_last7Days: 'Letzte 7 Tage',
+    dateRange_last30Days: 'Letzte 30 Tage',
+    dateRange_thisMonth: 'Dieser Monat',
+    dateRange_thisQuarter: 'Dieses Quartal',
+    dateRange_thisYear: 'Dieses Jahr',
+    dateRange_custom: 'Benutzerdefiniert',
+    saveAsView: 'Als Ansicht speichern',
+    viewName: 'Name der Ansicht',
+    allEntries: 'Alle Einträge',
+    clearFilters: 'Zurücksetzen',
+    applyFilters: 'Anwenden',
+    deleteView: 'Ansicht löschen',
+    deleteViewConfirmation: 'Die gespeicherte Ansicht „{name}“ löschen?',
+    noMatchingMoodEntries: 'Keine Einträge passen zu diesen Filtern',
+
+    // Memories
+    newMemory: 'Neue Erinnerung',
+    editMemory: 'Bearbeiten',
+    memoryDetails: 'Erinnerung',
+    memoryTitle: 'Titel',
+    memoryTitlePlaceholder: 'Was ist passiert?',
+    memoryStory: 'Geschichte',
+    memoryStoryPlaceholder: 'Erzähl die Geschichte dieser Erinnerung',
+    memoryDate: 'Datum',
+    photos: 'Fotos',
+    addPhotos: 'Fotos hinzufügen',
+    takePhoto: 'Foto aufnehmen',
+    photoPermissionRequired: 'Der Zugriff auf deine Fotos ist erforderlich.',
+    cameraPermissionRequired: 'Der Zugriff auf die Kamera ist erforderlich.',
+    noPlacesYet: 'Noch keine Orte hinzugefügt',
+    noPeopleYet: 'Noch keine Personen hinzugefügt',
+    memoryTitleRequired: 'Bitte gib der Erinnerung einen Titel.',
+    errorSavingMemory: 'Beim Speichern der Erinnerung ist ein Fehler aufgetreten.',
+    errorDeletingMemory: 'Beim Löschen der Erinnerung ist ein Fehler aufgetreten.',
+    deleteMemory: 'Erinnerung löschen',
+    deleteMemoryConfirmation: 'Möchtest du diese Erinnerung wirklich löschen? Du kannst sie aus dem Papierkorb wiederherstellen.',
+    memoryMoodsAndFood: 'Stimmungen und Essen an diesem Tag',
+    noMoodsOrFoodForMemory: 'An diesem Tag wurden keine Stimmungen oder Mahlzeiten erfasst.',
+    noMemoriesYet: 'Noch keine Erinnerungen',
+    noMemoriesHint: 'Tippe auf +, um einen Moment mit Geschichte, Fotos, Personen und Ort festzuhalten.',
+
+    // Diary
+    diaryPlaceholder: 'Wie war dein Tag?',
+    diaryPreview: 'Vorschau',
+    diaryEdit: 'Bearbeiten',
+    diaryToday: 'Heute',
+    diaryThatDay: 'Stimmungen und Mahlzeiten an diesem Tag',
+    diaryNoMoodsOrFood: 'An diesem Tag wurden keine Stimmungen oder Mahlzeiten erfasst.',
+    diaryHighlight: 'Highlight',
+    diaryChallenge: 'Herausforderung',
+    diarySeededFromCheckIn: 'Beginnt mit deinen Check-in-Antworten von diesem Tag.',
+    diarySaving: 'Wird gespeichert…',
+    diaryUnsaved: 'Nicht gespeicherte Änderungen',
+    diarySaved: 'Gespeichert',
+    diaryUsePrompt: 'Darüber schreiben',
+    diaryAnotherPrompt: 'Andere Frage',
+    diaryShowPrompts: 'Fragen anzeigen',
+    diaryHidePrompts: 'Fragen ausblenden',
+    deleteDiaryEntry: 'Eintrag löschen',
+    deleteDiaryEntryConfirmation: 'Den Tagebucheintrag dieses Tages löschen? Das kann nicht rückgängig gemacht werden.',
+    errorLoadingDiary: 'Beim Laden des Tagebuchs ist ein Fehler aufgetreten.',
+    errorSavingDiary: 'Beim Speichern des Tagebucheintrags ist ein Fehler aufgetreten.',
+    diaryPrompt_gratitude: 'Wofür bist du heute dankbar?',
+    diaryPrompt_smallJoy: 'Welche Kleinigkeit hat dich zum Lächeln gebracht?',
+    diaryPrompt_learned: 'Was hast du heute gelernt?',
+    diaryPrompt_proudOf: 'Worauf bist du heute stolz?',
+    diaryPrompt_conversation: 'Welches Gespräch ist dir im Kopf geblieben?',
+    diaryPrompt_differently: 'Was würdest du anders machen?',
+    diaryPrompt_energy: 'Was hat dir Energie gegeben, und was hat sie dir genommen?',
+    diaryPrompt_tomorrow: 'Worauf freust du dich morgen?',
+    diaryPrompt_surprise: 'Was hat dich heute überrascht?',
+    diaryPrompt_kindness: 'Welche Freundlichkeit hast du geschenkt oder erfahren?',
+    diaryPrompt_worry: 'Was beschäftigt dich gerade?',
+    diaryPrompt_place: 'Wo hast du dich heute am wohlsten gefühlt?',
+
+    // Health
+    healthToday: 'Heute',
+    healthKind_sleep: 'Schlaf',
+    healthKind_workout: 'Training',
+    healthKind_medication: 'Medikament',
+    healthKind_weight: 'Gewicht',
+    healthKind_blood_pressure: 'Blutdruck',
+    healthEmpty_sleep: 'Noch kein Schlaf eingetragen',
+    healthEmpty_workout: 'Noch kein Training eingetragen',
+    healthEmpty_medication: 'Noch keine Einnahmen eingetragen',
+    healthEmpty_weight: 'Noch kein Gewicht eingetragen',
+    healthEmpty_blood_pressure: 'Noch kein Blutdruck eingetragen',
+    healthRequired_sleep: 'Bitte gib ein, wie lange oder wie gut du geschlafen hast.',
+    healthRequired_workout: 'Bitte gib eine Aktivität ein.',
+    healthRequired_medication: 'Bitte wähle ein Medikament.',
+    healthRequired_weight: 'Bitte gib dein Gewicht ein.',
+    healthRequired_blood_pressure: 'Bitte gib den systolischen und diastolischen Wert ein.',
+    errorSavingHealthEntry: 'Eintrag konnte nicht gespeichert werden',
+    errorDeletingHealthEntry: 'Eintrag konnte nicht gelöscht werden',
+    healthTime: 'Zeit',
+    wokeUpAt: 'Aufgewacht um',
+    startedAt: 'Begonnen um',
+    sleepHours: 'Geschlafene Stunden',
+    sleepQuality: 'Schlafqualität',
+    workoutActivity: 'Aktivität',
+    workoutActivityPlaceholder: 'z.B. Laufen, Yoga, Radfahren',
+    durationMinutes: 'Dauer (Minuten)',
+    workoutIntensity: 'Intensität',
+    intensity_light: 'Leicht',
+    intensity_moderate: 'Mittel',
+    intensity_hard: 'Hart',
+    medication: 'Medikament',
+    medications: 'Medikamente',
+    newMedication: 'Neues Medikament',
+    editMedication: 'Medikament bearbeiten',
+    medicationName: 'Name',
+    medicationNamePlaceholder: 'z.B. Vitamin D',
+    medicationNameRequired: 'Bitte gib einen Namen für das Medikament ein.',
+    dose: 'Dosis',
+    dosePlaceholder: 'z.B. 1 Tablette, 10 mg',
+    doseSchedule: 'Einnahmezeiten',
+    addDoseTime: 'Zeit hinzufügen',
+    doseScheduleHint: 'Ohne Einnahmezeiten wird das Medikament bei Bedarf genommen.',
+    medicationActive: 'Nehme ich aktuell',
+    medicationInactive: 'Nehme ich nicht mehr',
+    asNeeded: 'Bei Bedarf',
+    deleteMedication: 'Medikament löschen',
+    deleteMedicationConfirmation: 'Dabei werden auch alle eingetragenen Einnahmen gelöscht. Um sie zu behalten, schalte stattdessen "Nehme ich aktuell" aus.',
+    errorSavingMedication: 'Medikament konnte nicht gespeichert werden',
+    errorDeletingMedication: 'Medikament konnte nicht gelöscht werden',
+    noMedicationsYet: 'Noch keine Medikamente hinzugefügt',
+    unknownMedication: 'Gelöschtes Medikament',
+    dosesToday: 'Einnahmen heute',
+    noDosesToday: 'Heute sind keine Einnahmen fällig',
+    takeDose: 'Nehmen',
+    doseHistory: 'Eingenommen',
+    latestReadings: 'Zuletzt',
+    weightKg: 'Gewicht (kg)',
+    systolic: 'Systolisch',
+    diastolic: 'Diastolisch',
+    pulse: 'Puls',
+    healthNotesPlaceholder: 'Gibt es etwas zu notieren?',
+    hoursShort: 'Std.',
+    minutesShort: 'Min.',
+    moodAndSleep: 'Stimmung und Schlaf',
+    moodAndExercise: 'Stimmung und Bewegung',
+    nights: 'Nächte',
+    afterWorkout: 'Nach dem Training',
+    withoutWorkout: 'Andere Stimmungen',
+    correlationPositive: 'Höher geht meist mit besserer Stimmung einher',
+    correlationNegative: 'Höher geht meist mit schlechterer Stimmung einher',
+    correlationNone: 'Kein klarer Zusammenhang mit deiner Stimmung',
+    notEnoughHealthData: 'Trage mehr Schlaf und Training ein, um zu sehen, wie sie mit deiner Stimmung zusammenhängen.',
+
+    // Hobbies and skills
+    new_hobby: 'Neues Hobby',
+    new_skill: 'Neue Fähigkeit',
+    edit_hobby: 'Hobby bearbeiten',
+    edit_skill: 'Fähigkeit bearbeiten',
+    delete_hobby: 'Hobby löschen',
+    delete_skill: 'Fähigkeit löschen',
+    editPursuit: 'Bearbeiten',
+    pursuitName: 'Name',
+    pursuitNamePlaceholder_hobby: 'z.B. Klettern',
+    pursuitNamePlaceholder_skill: 'z.B. Spanisch',
+    pursuitDescription: 'Beschreibung',
+    pursuitDescriptionPlaceholder: 'Worum geht es und warum machst du es?',
+    pursuitNameRequired: 'Bitte gib einen Namen ein',
+    errorSavingPursuit: 'Speichern fehlgeschlagen',
+    errorDeletingPursuit: 'Löschen fehlgeschlagen',
+    deletePursuitConfirmation: 'Die Einheiten und Ziele landen mit im Papierkorb.',
+    hobbiesOfPeople: 'Hobbys deiner Personen',
+    sharedHobbyWith: 'Gemeinsam mit',
+    noPursuitsYet_hobby: 'Noch keine Hobbys. Tippe auf +, um eins hinzuzufügen.',
+    noPursuitsYet_skill: 'Noch keine Fähigkeiten. Tippe auf +, um eine hinzuzufügen.',
+    lastPracticed: 'Zuletzt geübt',
+    notPracticedYet: 'Noch nicht geübt',
+    hoursPracticed: 'Stunden',
+    sessions: 'Einheiten',
+    currentStreak: 'Tage in Folge',
+    longestStreak: 'Längste Serie',
+    logSession: 'Einheit eintragen',
+    practicedAt: 'Wann',
+    sessionRating: 'Wie lief es?',
+    sessionNotesPlaceholder: 'Woran hast du gearbeitet?',
+    sessionDurationRequired: 'Bitte gib ein, wie lange du geübt hast',
+    errorSavingSession: 'Einheit konnte nicht gespeichert werden',
+    errorDeletingSession: 'Einheit konnte nicht gelöscht werden',
+    noSessionsYet: 'Noch keine Einheiten eingetragen',
+    weeklyPractice: 'Übung pro Woche',
+    weeklyPracticeHint: 'Stunden pro Woche, mit der durchschnittlichen Bewertung',
+    goals: 'Ziele',
+    noGoalsYet: 'Noch keine Ziele',
+    goalPlaceholder_hobby: 'z.B. Eine 6a-Route klettern',
+    goalPlaceholder_skill: 'z.B. Ein Gespräch führen',
+    goalHours: 'Stunden',
+    goalHint: 'Ziele mit Stunden erreichst du durchs Üben. Tippe auf ein Ziel, um es abzuhaken, halte es gedrückt, um es zu löschen.',
+    goalTitleRequired: 'Bitte gib ein Ziel ein',
+    errorSavingGoal: 'Ziel konnte nicht gespeichert werden',
+    goalReachedOn: 'Erreicht am',
+    deleteGoal: 'Ziel löschen',
+
+    // Biography
+    biographyTitle: 'Mein Leben',
+    buildBiography: 'Aus meinen Daten erstellen',
+    exportBiography: 'Exportieren',
+    exportBiographyFormat: 'Wähle ein Format',
+    biographyEmpty: 'Erstelle deine Biografie aus deinen Erinnerungen, Personen, Orten und Stimmungen oder schreib selbst ein Kapitel.',
+    biographyHint: 'Erneutes Erstellen aktualisiert die erzeugten Kapitel. Kapitel, die du bearbeitet oder geschrieben hast, bleiben unverändert.',
+    biographyUpdated: '{added} neu, {updated} aktualisiert, {kept} bearbeitete Kapitel behalten',
+    errorGeneratingBiography: 'Biografie konnte nicht erstellt werden',
+    newChapter: 'Neues Kapitel',
+    editChapter: 'Kapitel bearbeiten',
+    chapterTitle: 'Titel',
+    chapterTitlePlaceholder: 'z.B. Kindheit',
+    chapterBodyPlaceholder: 'Erzähl diesen Teil deiner Geschichte...',
+    chapterTitleRequired: 'Bitte gib einen Titel ein',
+    chapterEdited: 'Bearbeitet',
+    chapterOwn: 'Von dir geschrieben',
+    generatedChapterHint: 'Sobald du dieses Kapitel bearbeitest, wird es nicht mehr aus deinen Daten aktualisiert.',
+    deleteChapter: 'Kapitel löschen',
+    deleteChapterConfirmation: 'Dieses Kapitel wird gelöscht.',
+    deleteGeneratedChapterConfirmation: 'Das Kapitel kommt beim nächsten Erstellen der Biografie zurück.',
+    errorSavingChapter: 'Kapitel konnte nicht gespeichert werden',
+    errorDeletingChapter: 'Kapitel konnte nicht gelöscht werden',
+    bioChapterPeople: 'Die Menschen in meinem Leben',
+    bioChapterPlaces: 'Orte, die mir wichtig waren',
+    bioOtherPeople: 'Andere',
+    bioBorn: 'geboren am {date}',
+    bioDied: 'gestorben am {date}',
+    bioMentions_one: 'in 1 Eintrag',
+    bioMentions_other: 'in {count} Einträgen',
+    bioPlaceMemories_one: '1 Erinnerung',
+    bioPlaceMemories_other: '{count} Erinnerungen',
+    bioPersonBorn: '{name} wurde am {date} geboren.',
+    bioPersonDied: '{name} ist am {date} gestorben.',
+    bioWith: 'mit {names}',
+    bioAt: 'in {place}',
+    bioPhase_high: 'Von {start} bis {end} ging es mir meistens gut (Stimmung im Schnitt {average} von 5).',
+    bioPhase_steady: 'Von {start} bis {end} war meine Stimmung ausgeglichen (im Schnitt {average} von 5).',
+    bioPhase_low: 'Von {start} bis {end} hatte ich eine schwerere Zeit (Stimmung im Schnitt {average} von 5).',
+
+    // Suggested places and visits
+    suggestedPlaces: 'Vorgeschlagene Orte',
+    suggestedPlacesHint: 'Gefunden, wo du Stimmungen eingetragen hast. Bestätige sie, um sie als Orte zu speichern.',
+    suggestedPlaceMoods_one: '1 Stimmungseintrag',
+    suggestedPlaceMoods_other: '{count} Stimmungseinträge',
+    placeVisitCount_one: '1 Besuch',
+    placeVisitCount_other: '{count} Besuche',
+    confirmPlace: 'Ort speichern',
+    mergeIntoPlace: 'Zusammenführen',
+    mergeSuggestedPlace: '"{name}" zusammenführen mit',
+    ignore: 'Ignorieren',
+    ignoreSuggestedPlace: 'Ort ignorieren',
+    ignoreSuggestedPlaceConfirmation: 'Dieser Ort wird nicht mehr vorgeschlagen. Seine Stimmungseinträge bleiben mit ihm verknüpft.',
+    placeName: 'Name des Ortes',
+    placeNameRequired: 'Bitte gib einen Namen für den Ort ein',
+    errorUpdatingSuggestedPlace: 'Der vorgeschlagene Ort konnte nicht aktualisiert werden',
+    duplicatePlaces: 'Mögliche Duplikate',
+    duplicatePlacesHint: 'Diese Orte haben ähnliche Namen und liegen nah beieinander. Führe sie zusammen oder behalte beide.',
+    duplicatePlaceOf: 'Ähnlich wie „{name}“',
+    keepBothPlaces: 'Beide behalten',
+    mergeDuplicatePlace: 'Orte zusammenführen',
+    mergeDuplicatePlaceConfirmation: 'Alles, was mit „{name}“ verknüpft ist, zu „{other}“ verschieben und das Duplikat entfernen? Das kann nicht rückgängig gemacht werden.',
+    errorMergingPlaces: 'Die Orte konnten nicht aktualisiert werden',
+    placeVisits: 'Besuche',
+    visitEntries_one: '1 Eintrag',
+    visitEntries_other: '{count} Einträge',
+
+    // Mood map
+    moodMapTab: 'Karte',
+    moodMap: 'Stimmungskarte',
+    moodMapAverageMood: 'Durchschnittliche Stimmung',
+    moodMapVisitDensity: 'Besuchsdichte',
+    moodMapHexagons: 'Sechsecke',
+    moodMapGrid: 'Raster',
+    moodMapAllEmotions: 'Alle Emotionen',
+    moodMapNoMoods: 'Keine Stimmungen mit Standort in diesem Zeitraum.',
+    moodMapNoVisits: 'Keine Ortsbesuche in diesem Zeitraum.',
+    moodMapTapArea: 'Tippe auf ein Gebiet, um Details zu sehen.',
+    moodMapAreaMoods_one: '1 Stimmungseintrag',
+    moodMapAreaMoods_other: '{count} Stimmungseinträge',
+    moodMapAreaVisits_one: '1 Besuch',
+    moodMapAreaVisits_other: '{count} Besuche',
+    moodMapAverage: 'Stimmung im Schnitt {average}',
+
+    // Weather
+    weatherSource: 'Wetterquelle',
+    'weatherProvider_open-meteo': 'Open-Meteo',
+    weatherProvider_openweathermap: 'OpenWeatherMap',
+    backfillWeather: 'Vergangenes Wetter ergänzen',
+    backfillWeatherFinished: 'Wetter für {filled} Einträge ergänzt, {failed} fehlgeschlagen. {remaining} Einträge haben noch kein Wetter.',
+    backfillWeatherNone: 'Alle Einträge mit Ort haben bereits Wetter.',
+    backfillWeatherError: 'Das Wetter konnte nicht ergänzt werden:',
+
+    // Data integrity
+    checkIntegrity: 'Datenintegrität prüfen',
+    integrityOk: 'Es wurden keine Probleme gefunden.',
+    integrityProblemsFound: 'Einige Verknüpfungen zwischen Einträgen sind fehlerhaft:',
+    integrity_danglingRelationships: 'Verknüpfungen zu fehlenden Einträgen',
+    integrity_selfRelationships: 'Mit sich selbst verknüpfte Einträge',
+    integrity_duplicateRelationships: 'Doppelte Verknüpfungen',
+    integrity_danglingEntryLinks: 'Personen und Orte fehlender Einträge',
+    repair: 'Reparieren',
+    integrityRepaired: '{count} fehlerhafte Verknüpfungen wurden entfernt.',
+    integrityError: 'Beim Prüfen der Daten ist ein Fehler aufgetreten.',
+    
     // Surveys
     psychologicalSurveys: 'Psychologische Umfragen',
     surveyInsights: 'Erhalte tiefere Einblicke in dein Wohlbefinden',
@@ -0,0 +1,241 @@
+/**
+ * BiographyDB.js - Chapters of the biography and the data they are built from
+ *
+ * The biography is an ordered list of markdown chapters. Generated chapters
+ * (services/BiographyService.js) carry a generated_key such as 'people' or
+ * 'year:2024', so building the biography again refreshes them in place.
+ * Chapters the user edited or added are never overwritten.
+ */
+
+import { getDatabase } from './Database';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { getAllMemories } from './MemoriesDB';
+import { getAllPeople } from './PeopleDB';
+import { getAllPlaces } from './PlacesDB';
+
+const generateId = () => Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+
+const toIsoDate = (date) => date ? new Date(date).toISOString() : null;
+
+const mapChapter = (row) => ({
+  ...row,
+  period_start: row.period_start ? new Date(row.period_start) : null,
+  period_end: row.period_end ? new Date(row.period_end) : null,
+  is_edited: row.is_edited === 1
+});
+
+const insertChapter = async (db, chapter, position, now) => {
+  const id = chapter.id || generateId();
+  const { title, body } = await encryptColumns('biography_chapters', {
+    title: chapter.title,
+    body: chapter.body || null
+  });
+  await db.runAsync(
+    `INSERT INTO biography_chapters
+       (id, position, title, body, period_start, period_end, generated_key, is_edited, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+    [
+      id,
+      position,
+      title,
+      body,
+      toIsoDate(chapter.period_start),
+      toIsoDate(chapter.period_end),
+      chapter.generated_key || null,
+      now,
+      now
+    ]
+  );
+  return id;
+};
+
+/**
+ * Get the chapters in reading order
+ * @returns {Promise<Array>} [{ id, position, title, body, period_start, period_end, generated_key, is_edited }]
+ */
+export async function getBiographyChapters() {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync('SELECT * FROM biography_chapters ORDER BY position ASC, created_at ASC');
+    return decryptRows('biography_chapters', rows).map(mapChapter);
+  } catch (error) {
+    console.error('Error getting biography chapters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a chapter of the user's own after the last one
+ * @param {Object} chapter - { title, body, period_start, period_end }
+ * @returns {Promise<string>} ID of the chapter
+ */
+export async function addBiographyChapter(chapter) {
+  const db = await getDatabase();
+  try {
+    const [{ next }] = await db.getAllAsync('SELECT COALESCE(MAX(position) + 1, 0) AS next FROM biography_chapters');
+    return await insertChapter(db, { ...chapter, generated_key: null }, next, new Date().toISOString());
+  } catch (error) {
+    console.error('Error adding biography chapter:', error);
+    throw error;
+  }
+}
+
+/**
+ * Change a chapter. Edited chapters are kept as they are when the
+ * biography is built again.
+ * @param {string} id - Chapter ID
+ * @param {Object} chapter - { title, body, period_start, period_end }
+ * @returns {Promise<boolean>} Whether a chapter was updated
+ */
+export async function updateBiographyChapter(id, chapter) {
+  const db = await getDatabase();
+  try {
+    const { title, body } = await encryptColumns('biography_chapters', {
+      title: chapter.title,
+      body: chapter.body || null
+    });
+    const result = await db.runAsync(
+      `UPDATE biography_chapters
+       SET title = ?, body = ?, period_start = ?, period_end = ?, is_edited = 1, updated_at = ?
+       WHERE id = ?`,
+      [title, body, toIsoDate(chapter.period_start), toIsoDate(chapter.period_end), new Date().toISOString(), id]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error updating biography chapter:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a chapter. A deleted generated chapter comes back the next time
+ * the biography is built.
+ * @param {string} id - Chapter ID
+ * @returns {Promise<boolean>} Whether a chapter was deleted
+ */
+export async function deleteBiographyChapter(id) {
+  const db = await getDatabase();
+  try {
+    const result = await db.runAsync('DELETE FROM biography_chapters WHERE id = ?', [id]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error deleting biography chapter:', error);
+    throw error;
+  }
+}
+
+/**
+ * Put the chapters in a new order
+ * @param {Array<string>} ids - All chapter IDs in reading order
+ * @returns {Promise<void>}
+ */
+export async function reorderBiographyChapters(ids) {
+  const db = await getDatabase();
+  try {
+    const now = new Date().toISOString();
+    await db.withTransactionAsync(async () => {
+      for (let position = 0; position < ids.length; position++) {
+        await db.runAsync(
+          'UPDATE biography_chapters SET position = ?, updated_at = ? WHERE id = ? AND position != ?',
+          [position, now, ids[position], position]
+        );
+      }
+    });
+  } catch (error) {
+    console.error('Error reordering biography chapters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save freshly generated chapters. Unedited chapters of the same key are
+ * replaced, edited ones are kept, and unedited ones that were not generated
+ * again (their data is gone) are removed. New chapters go after the last
+ * chapter, or in generated order when the biography is empty.
+ * @param {Array<Object>} chapters - [{ generated_key, title, body, period_start, period_end }] in order
+ * @returns {Promise<Object>} { added, updated, kept, removed } chapter counts
+ */
+export async function saveGeneratedChapters(chapters) {
+  const db = await getDatabase();
+  try {
+    const counts = { added: 0, updated: 0, kept: 0, removed: 0 };
+    const now = new Date().toISOString();
+
+    await db.withTransactionAsync(async () => {
+      const existing = await db.getAllAsync(
+        'SELECT id, position, generated_key, is_edited FROM biography_chapters WHERE generated_key IS NOT NULL'
+      );
+      const existingByKey = new Map(existing.map(row => [row.generated_key, row]));
+      const generatedKeys = new Set(chapters.map(chapter => chapter.generated_key));
+
+      for (const row of existing) {
+        if (!generatedKeys.has(row.generated_key) && row.is_edited === 0) {
+          await db.runAsync('DELETE FROM biography_chapters WHERE id = ?', [row.id]);
+          counts.removed++;
+        }
+      }
+
+      const [{ next }] = await db.getAllAsync('SELECT COALESCE(MAX(position) + 1, 0) AS next FROM biography_chapters');
+      let position = next;
+      for (const chapter of chapters) {
+        const row = existingByKey.get(chapter.generated_key);
+        if (!row) {
+          await insertChapter(db, chapter, position++, now);
+          counts.added++;
+        } else if (row.is_edited === 1) {
+          counts.kept++;
+        } else {
+          const { title, body } = await encryptColumns('biography_chapters', {
+            title: chapter.title,
+            body: chapter.body || null
+          });
+          await db.runAsync(
+            `UPDATE biography_chapters
+             SET title = ?, body = ?, period_start = ?, period_end = ?, updated_at = ?
+             WHERE id = ?`,
+            [title, body, toIsoDate(chapter.period_start), toIsoDate(chapter.period_end), now, row.id]
+          );
+          counts.updated++;
+        }
+      }
+    });
+
+    return counts;
+  } catch (error) {
+    console.error('Error saving generated biography chapters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load what the biography is built from
+ * @returns {Promise<Object>} { memories, people, places, moods: [{ entry_time, rating }] oldest first,
+ *   mentions: { person: { id: count }, place: { id: count } } } where mentions count linked entries
+ */
+export async function getBiographySources() {
+  const db = await getDatabase();
+  try {
+    const [memories, people, places, moods, personLinks, placeLinks] = await Promise.all([
+      getAllMemories(),
+      getAllPeople(),
+      getAllPlaces(),
+      db.getAllAsync(
+        'SELECT entry_time, rating FROM mood_entries WHERE deleted_at IS NULL AND rating IS NOT NULL ORDER BY entry_time ASC'
+      ),
+      db.getAllAsync('SELECT person_id AS id, COUNT(*) AS count FROM entry_people GROUP BY person_id'),
+      db.getAllAsync('SELECT place_id AS id, COUNT(*) AS count FROM entry_places GROUP BY place_id')
+    ]);
+
+    const toCounts = (rows) => Object.fromEntries(rows.map(row => [row.id, row.count]));
+    return {
+      memories,
+      people,
+      places,
+      moods,
+      mentions: { person: toCounts(personLinks), place: toCounts(placeLinks) }
+    };
+  } catch (error) {
+    console.error('Error loading biography sources:', error);
+    throw error;
+  }
+}
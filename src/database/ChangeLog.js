@@ -0,0 +1,242 @@
+/**
+ * ChangeLog.js - Per-record change log used by sync
+ *
+ * Triggers created by the migrations record the latest change of every
+ * synced record in sync_changes: whether it was created, updated or
+ * deleted, the logical (Lamport) clock value of the change and the
+ * device that made it. Local changes stay pending until they are pushed.
+ *
+ * Versions are ordered by clock, then by device ID, so every device
+ * picks the same winner for concurrent changes to a record.
+ */
+
+import { getDatabase } from './Database';
+import { invalidateSearchIndex } from './SearchIndex';
+
+/**
+ * Run a task without logging changes to one record, e.g. while applying
+ * a remote change to it or re-encrypting it without changing its content.
+ * Changes to other records, such as rows deleted by a cascade, are still
+ * logged. Must be called inside a transaction so the pause is never left behind.
+ * @param {Object} db - Database connection
+ * @param {string} table - Table of the record
+ * @param {string} recordId - Record ID as written by the triggers
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ */
+export async function withChangeLogPaused(db, table, recordId, task) {
+  await db.runAsync('UPDATE sync_state SET paused_record = ?', [`${table}:${recordId}`]);
+  try {
+    return await task();
+  } finally {
+    await db.runAsync('UPDATE sync_state SET paused_record = NULL');
+  }
+}
+
+/**
+ * Compare two record versions
+ * @param {Object} a - { clock, deviceId }
+ * @param {Object} b - { clock, deviceId }
+ * @returns {number} Positive if a is newer, negative if b is newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+  if (a.clock !== b.clock) {
+    return a.clock - b.clock;
+  }
+  return a.deviceId < b.deviceId ? -1 : a.deviceId > b.deviceId ? 1 : 0;
+}
+
+/**
+ * Get the primary key columns of a table, in key order
+ * @param {Object} db - Database connection
+ * @param {string} table - Table name
+ * @returns {Promise<Array<string>>} Column names
+ */
+export async function getPrimaryKey(db, table) {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  return columns
+    .filter(column => column.pk > 0)
+    .sort((a, b) => a.pk - b.pk)
+    .map(column => column.name);
+}
+
+// Values of the primary key columns, from a record ID written by the triggers
+const parseRecordId = (primaryKey, recordId) =>
+  primaryKey.length === 1 ? [recordId] : JSON.parse(recordId);
+
+/**
+ * Get the current sync position
+ * @returns {Promise<Object>} { clock, pullCursor }
+ */
+export async function getSyncState() {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync('SELECT clock, pull_cursor FROM sync_state');
+  return { clock: rows[0].clock, pullCursor: rows[0].pull_cursor };
+}
+
+/**
+ * Start over with a different server: pull everything again and
+ * push every known record, including those received from other devices
+ * @returns {Promise<void>}
+ */
+export async function resetSyncState() {
+  const db = await getDatabase();
+  await db.withTransactionAsync(async () => {
+    await db.runAsync('UPDATE sync_state SET pull_cursor = 0');
+    await db.runAsync('UPDATE sync_changes SET pushed = 0');
+  });
+}
+
+/**
+ * Get changes that have not been pushed yet, oldest first, with the
+ * current row of each created or updated record
+ * @param {number} limit - Maximum number of changes
+ * @returns {Promise<Array>} [{ table, recordId, operation, clock, deviceId, row }]
+ */
+export async function getPendingChanges(limit) {
+  const db = await getDatabase();
+  const changes = await db.getAllAsync(
+    'SELECT * FROM sync_changes WHERE pushed = 0 ORDER BY clock LIMIT ?',
+    [limit]
+  );
+
+  const primaryKeys = {};
+  const pending = [];
+  for (const change of changes) {
+    const table = change.table_name;
+    primaryKeys[table] = primaryKeys[table] || await getPrimaryKey(db, table);
+
+    let row = null;
+    if (change.operation !== 'deleted') {
+      const rows = await db.getAllAsync(
+        `SELECT * FROM ${table} WHERE ${primaryKeys[table].map(column => `${column} = ?`).join(' AND ')}`,
+        parseRecordId(primaryKeys[table], change.record_id)
+      );
+      row = rows[0] || null;
+    }
+
+    pending.push({
+      table,
+      recordId: change.record_id,
+      // A row that is gone without a logged delete is pushed as deleted
+      operation: change.operation !== 'deleted' && !row ? 'deleted' : change.operation,
+      clock: change.clock,
+      deviceId: change.device_id,
+      row
+    });
+  }
+
+  return pending;
+}
+
+/**
+ * Mark pushed changes as done. Records changed again while the push
+ * was in flight have a newer clock and stay pending.
+ * @param {Array} changes - Changes returned by getPendingChanges
+ * @param {string} deviceId - ID of this device
+ * @returns {Promise<void>}
+ */
+export async function markChangesPushed(changes, deviceId) {
+  const db = await getDatabase();
+  await db.withTransactionAsync(async () => {
+    for (const change of changes) {
+      await db.runAsync(
+        `UPDATE sync_changes SET pushed = 1, device_id = COALESCE(device_id, ?)
+         WHERE table_name = ? AND record_id = ? AND clock = ?`,
+        [deviceId, change.table, change.recordId, change.clock]
+      );
+    }
+  });
+}
+
+/**
+ * Apply changes pulled from the server in one transaction. A change is
+ * only applied if it is newer than the version this device has; older
+ * changes are skipped, and a newer local change is pushed later.
+ * The logical clock moves past every clock seen, so later local changes
+ * order after them.
+ * @param {Array} changes - [{ table, recordId, operation, clock, deviceId, row }], rows as stored at rest
+ * @param {string} deviceId - ID of this device
+ * @param {number} pullCursor - Server position to continue from next time
+ * @returns {Promise<number>} Number of changes applied
+ */
+export async function applyRemoteChanges(changes, deviceId, pullCursor) {
+  const db = await getDatabase();
+  const tableColumns = {};
+  const primaryKeys = {};
+  let appliedCount = 0;
+
+  // Applies one change; returns false if it could not be applied
+  const applyChange = async (change) => {
+    const { table } = change;
+    const primaryKey = primaryKeys[table];
+    try {
+      if (change.operation === 'deleted') {
+        await db.runAsync(
+          `DELETE FROM ${table} WHERE ${primaryKey.map(column => `${column} = ?`).join(' AND ')}`,
+          parseRecordId(primaryKey, change.recordId)
+        );
+      } else {
+        // Ignore columns this schema does not have, e.g. from a newer app version
+        const columns = tableColumns[table].filter(column => column in change.row);
+        const updates = columns.filter(column => !primaryKey.includes(column));
+        await db.runAsync(
+          `INSERT INTO ${table} (${columns.join(', ')})
+           VALUES (${columns.map(() => '?').join(', ')})
+           ON CONFLICT (${primaryKey.join(', ')}) DO ${updates.length > 0
+             ? `UPDATE SET ${updates.map(column => `${column} = excluded.${column}`).join(', ')}`
+             : 'NOTHING'}`,
+          columns.map(column => change.row[column] ?? null)
+        );
+      }
+      return true;
+    } catch (error) {
+      // E.g. a link whose person was deleted on this device in the meantime
+      console.log(`Sync note: skipping ${change.operation} of ${table} ${change.recordId}:`, error.message);
+      return false;
+    }
+  };
+
+  await db.withTransactionAsync(async () => {
+    for (const change of changes) {
+      const { table, recordId } = change;
+      if (!tableColumns[table]) {
+        tableColumns[table] = (await db.getAllAsync(`PRAGMA table_info(${table})`)).map(column => column.name);
+        primaryKeys[table] = await getPrimaryKey(db, table);
+      }
+
+      const local = await db.getAllAsync(
+        'SELECT clock, device_id FROM sync_changes WHERE table_name = ? AND record_id = ?',
+        [table, recordId]
+      );
+      if (local.length > 0) {
+        const localVersion = { clock: local[0].clock, deviceId: local[0].device_id ?? deviceId };
+        if (compareVersions(change, localVersion) <= 0) {
+          continue;
+        }
+      }
+
+      if (!(await withChangeLogPaused(db, table, recordId, () => applyChange(change)))) {
+        continue;
+      }
+
+      await db.runAsync(
+        `INSERT OR REPLACE INTO sync_changes (table_name, record_id, operation, clock, device_id, pushed)
+         VALUES (?, ?, ?, ?, ?, 1)`,
+        [table, recordId, change.operation, change.clock, change.deviceId]
+      );
+      appliedCount++;
+    }
+
+    const maxClock = Math.max(0, ...changes.map(change => change.clock));
+    await db.runAsync(
+      'UPDATE sync_state SET clock = MAX(clock, ?), pull_cursor = ?',
+      [maxClock, pullCursor]
+    );
+  });
+
+  if (appliedCount > 0) {
+    invalidateSearchIndex();
+  }
+  return appliedCount;
+}
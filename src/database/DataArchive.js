@@ -0,0 +1,163 @@
+/**
+ * DataArchive.js - Versioned JSON archive of all user data
+ *
+ * An archive holds the rows of every entity and link table, with
+ * sensitive columns decrypted, so it can be read back on any device.
+ * Importing merges rows by primary key: new rows are added, existing
+ * rows are only overwritten by a newer version (later updated_at), and
+ * nothing is deleted.
+ */
+
+import { getDatabase } from './Database';
+import { MIGRATIONS } from './Migrations';
+import { SENSITIVE_COLUMNS, encryptColumns, decryptRows } from './EncryptedColumns';
+import { invalidateSearchIndex } from './SearchIndex';
+
+export const ARCHIVE_FORMAT = 'memoria-archive';
+
+// Bump when the archive layout changes; older versions need an upgrade step in importArchive
+export const ARCHIVE_VERSION = 1;
+
+// Tables in the archive, parents before the tables that reference them
+export const ARCHIVE_TABLES = [
+  'mood_entries',
+  'mood_tags',
+  'mood_activities',
+  'mood_entry_metadata',
+  'food_entries',
+  'people',
+  'person_tags',
+  'places',
+  'place_visits',
+  'memories',
+  'memory_photos',
+  'diary_entries',
+  'medications',
+  'health_entries',
+  'pursuits',
+  'practice_sessions',
+  'pursuit_goals',
+  'biography_chapters',
+  'entry_people',
+  'entry_places',
+  'entity_relationships'
+];
+
+const getTableColumns = async (db, table) => {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  return columns.map(column => ({ name: column.name, isPrimaryKey: column.pk > 0 }));
+};
+
+/**
+ * Build an archive of all user data
+ * @returns {Promise<Object>} Archive object, ready for JSON.stringify
+ */
+export async function buildArchive() {
+  const db = await getDatabase();
+  const tables = {};
+
+  for (const table of ARCHIVE_TABLES) {
+    const rows = await db.getAllAsync(`SELECT * FROM ${table}`);
+    tables[table] = SENSITIVE_COLUMNS[table] ? decryptRows(table, rows) : rows;
+  }
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    schemaVersion: MIGRATIONS[MIGRATIONS.length - 1].version,
+    exportedAt: new Date().toISOString(),
+    tables
+  };
+}
+
+/**
+ * Check that an object is an archive this version of the app can import
+ * @param {Object} archive - Parsed archive
+ * @throws {Error} If the archive is not valid
+ */
+export function validateArchive(archive) {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a Memoria archive');
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    throw new Error('Archive has no valid version');
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${archive.version} is newer than supported version ${ARCHIVE_VERSION}`);
+  }
+  if (!archive.tables || typeof archive.tables !== 'object') {
+    throw new Error('Archive has no tables');
+  }
+
+  for (const [table, rows] of Object.entries(archive.tables)) {
+    if (!ARCHIVE_TABLES.includes(table)) {
+      throw new Error(`Unknown table in archive: ${table}`);
+    }
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+      throw new Error(`Invalid rows for table ${table}`);
+    }
+  }
+}
+
+/**
+ * Merge an archive into the database in a single transaction
+ * @param {Object} archive - Parsed archive
+ * @returns {Promise<Object>} Number of rows added or updated per table
+ */
+export async function importArchive(archive) {
+  validateArchive(archive);
+
+  const db = await getDatabase();
+  const counts = {};
+
+  await db.withTransactionAsync(async () => {
+    for (const table of ARCHIVE_TABLES) {
+      const rows = archive.tables[table] || [];
+      const tableColumns = await getTableColumns(db, table);
+      const primaryKey = tableColumns.filter(column => column.isPrimaryKey).map(column => column.name);
+      const hasUpdatedAt = tableColumns.some(column => column.name === 'updated_at');
+      counts[table] = 0;
+
+      for (const row of rows) {
+        // Ignore columns this schema does not have, e.g. from a newer app version
+        const columns = tableColumns.map(column => column.name).filter(column => column in row);
+        if (primaryKey.some(column => row[column] === null || row[column] === undefined)) {
+          continue;
+        }
+
+        const values = SENSITIVE_COLUMNS[table] ? await encryptColumns(table, row) : row;
+        const keyCondition = primaryKey.map(column => `${column} = ?`).join(' AND ');
+        const keyValues = primaryKey.map(column => row[column]);
+
+        // Plain UPDATE and INSERT rather than an upsert or INSERT OR IGNORE: a conflict
+        // clause on the statement would override the one in the change log triggers.
+        // Rows with a modification time take the newer version, others are only added.
+        // Some stores write datetime('now') and others ISO strings, so times are compared
+        // as Julian days; text is only compared if a value is not a valid time.
+        if (hasUpdatedAt && columns.includes('updated_at')) {
+          const updated = await db.runAsync(
+            `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')}
+             WHERE ${keyCondition}
+             AND COALESCE(julianday(?) > julianday(updated_at), ? > updated_at)`,
+            [...columns.map(column => values[column] ?? null), ...keyValues, row.updated_at, row.updated_at]
+          );
+          if (updated.changes > 0) {
+            counts[table] += updated.changes;
+            continue;
+          }
+        }
+
+        const result = await db.runAsync(
+          `INSERT INTO ${table} (${columns.join(', ')})
+           SELECT ${columns.map(() => '?').join(', ')}
+           WHERE NOT EXISTS (SELECT 1 FROM ${table} WHERE ${keyCondition})`,
+          [...columns.map(column => values[column] ?? null), ...keyValues]
+        );
+        counts[table] += result.changes;
+      }
+    }
+  });
+
+  invalidateSearchIndex();
+  return counts;
+}
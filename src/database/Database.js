@@ -0,0 +1,244 @@
+/**
+ * Database.js - Shared SQLite connection for all entity stores
+ *
+ * Every entity (moods, food, places, people, memories and their
+ * relationships) lives in a single memoria.db file so that data can be
+ * joined and kept consistent. The schema is built by the numbered
+ * migrations in Migrations.js.
+ */
+
+import * as SQLite from 'expo-sqlite';
+import * as FileSystem from 'expo-file-system';
+import { MIGRATIONS } from './Migrations';
+import {
+  getPendingLegacyDatabases,
+  importLegacyDatabases,
+  deleteLegacyDatabases,
+  LEGACY_DATABASE_FILES
+} from './LegacyImporter';
+
+export const DATABASE_NAME = 'memoria.db';
+
+// Database connection
+let db = null;
+
+// Pending open, so concurrent callers share one connection
+let openPromise = null;
+
+// Schema version the legacy per-entity files correspond to
+const LEGACY_SCHEMA_VERSION = 1;
+
+/**
+ * Apply every migration newer than the current schema version
+ * @param {Object} database - Database connection
+ * @param {number} [targetVersion] - Stop after this version
+ * @param {Object} [options] - { inTransaction: true when the caller already
+ *   opened a transaction, so migrations are not committed one by one }
+ * @returns {Promise<number>} Schema version after migrating
+ */
+export async function runMigrations(database, targetVersion = Infinity, { inTransaction = false } = {}) {
+  await database.execAsync(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );
+  `);
+
+  const result = await database.getAllAsync('SELECT MAX(version) as version FROM schema_migrations');
+  let currentVersion = result[0]?.version || 0;
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= currentVersion) {
+      continue;
+    }
+    if (migration.version > targetVersion) {
+      break;
+    }
+
+    console.log(`Applying migration ${migration.version}: ${migration.name}`);
+    const applyMigration = async () => {
+      await migration.up(database);
+      await database.runAsync(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    };
+    if (inTransaction) {
+      await applyMigration();
+    } else {
+      await database.withTransactionAsync(applyMigration);
+    }
+    currentVersion = migration.version;
+  }
+
+  return currentVersion;
+}
+
+async function openDatabase() {
+  console.log("Opening database...");
+  const connection = await SQLite.openDatabaseAsync(DATABASE_NAME);
+  console.log("Database connection established");
+
+  try {
+    // Legacy files are imported into the schema they were written for,
+    // so later migrations transform their data like everything else
+    const legacyVersion = await runMigrations(connection, LEGACY_SCHEMA_VERSION);
+    const pendingFiles = await getPendingLegacyDatabases(connection);
+    if (pendingFiles.length > 0 && legacyVersion > LEGACY_SCHEMA_VERSION) {
+      // Importing into a newer schema would drop the columns migrations moved
+      console.warn(`Leaving legacy databases ${pendingFiles.join(', ')}: schema is past version ${LEGACY_SCHEMA_VERSION}`);
+    } else if (pendingFiles.length > 0) {
+      // All or nothing: a failed import must not leave the schema migrated past it
+      await connection.withTransactionAsync(async () => {
+        await importLegacyDatabases(connection, pendingFiles);
+        await runMigrations(connection, Infinity, { inTransaction: true });
+      });
+      await deleteLegacyDatabases(pendingFiles);
+    }
+
+    const version = await runMigrations(connection);
+    console.log(`Database schema at version ${version}`);
+
+    // Must be enabled per connection and outside a transaction
+    await connection.execAsync('PRAGMA foreign_keys = ON;');
+  } catch (error) {
+    console.error('Error preparing database:', error);
+    await connection.closeAsync();
+    throw error;
+  }
+
+  db = connection;
+  return db;
+}
+
+/**
+ * Get the shared database connection, opening and migrating it if needed
+ * @returns {Promise<Object>} Database connection
+ */
+export async function getDatabase() {
+  if (db !== null) {
+    return db;
+  }
+
+  if (openPromise === null) {
+    openPromise = openDatabase().finally(() => {
+      openPromise = null;
+    });
+  }
+
+  return await openPromise;
+}
+
+/**
+ * Close the shared database connection
+ * @returns {Promise<void>}
+ */
+export async function closeDatabase() {
+  if (openPromise !== null) {
+    await openPromise.catch(() => {});
+  }
+
+  if (db !== null) {
+    console.log("Closing database connection");
+    await db.closeAsync();
+    db = null;
+  }
+}
+
+/**
+ * Close the connection and delete memoria.db along with any
+ * legacy per-entity files that were never imported
+ * @returns {Promise<void>}
+ */
+export async function deleteDatabase() {
+  await closeDatabase();
+
+  for (const fileName of [DATABASE_NAME, ...Object.keys(LEGACY_DATABASE_FILES)]) {
+    try {
+      const dbPath = FileSystem.documentDirectory + 'SQLite/' + fileName;
+      const fileInfo = await FileSystem.getInfoAsync(dbPath);
+
+      if (fileInfo.exists) {
+        console.log(`Deleting database file: ${fileName}`);
+        await FileSystem.deleteAsync(dbPath, { idempotent: true });
+      }
+    } catch (error) {
+      console.error(`Error deleting database file ${fileName}:`, error);
+      // Continue with other files even if one fails
+    }
+  }
+}
+
+/**
+ * Write a consistent copy of memoria.db to another file
+ * @param {string} targetUri - file:// URI of the copy; must not exist yet
+ * @returns {Promise<void>}
+ */
+export async function snapshotDatabase(targetUri) {
+  const connection = await getDatabase();
+  await connection.runAsync('VACUUM INTO ?', [targetUri.replace(/^file:\/\//, '')]);
+}
+
+/**
+ * Replace memoria.db with another database file. The connection is
+ * closed first and reopened (and migrated) by the next getDatabase().
+ * @param {string} sourceUri - file:// URI of the replacement database
+ * @returns {Promise<void>}
+ */
+export async function replaceDatabase(sourceUri) {
+  await closeDatabase();
+
+  const dbPath = FileSystem.documentDirectory + 'SQLite/' + DATABASE_NAME;
+  for (const suffix of ['', '-wal', '-shm', '-journal']) {
+    await FileSystem.deleteAsync(dbPath + suffix, { idempotent: true });
+  }
+  await FileSystem.copyAsync({ from: sourceUri, to: dbPath });
+}
+
+/**
+ * Bring another database file in the SQLite directory up to the current
+ * schema, e.g. a backup before it replaces memoria.db
+ * @param {string} fileName - Database file name, next to memoria.db
+ * @returns {Promise<number>} Schema version after migrating
+ * @throws {Error} If the file has a newer schema than this app knows
+ */
+export async function migrateDatabaseFile(fileName) {
+  const connection = await SQLite.openDatabaseAsync(fileName);
+  try {
+    const result = await connection.getAllAsync(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`
+    );
+    const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+    if (result.length > 0) {
+      const [{ version }] = await connection.getAllAsync('SELECT MAX(version) as version FROM schema_migrations');
+      if (version > latestVersion) {
+        throw new Error(`Database schema version ${version} is newer than supported version ${latestVersion}`);
+      }
+    }
+    return await runMigrations(connection);
+  } finally {
+    await connection.closeAsync();
+  }
+}
+
+// Keep IN (...) lists well below SQLite's bound parameter limit
+const MAX_IDS_PER_QUERY = 500;
+
+/**
+ * Run a query for a list of IDs in chunks and combine the rows
+ * @param {Object} connection - Database connection
+ * @param {Function} buildQuery - Gets the placeholders for one chunk, e.g. '?, ?, ?', and returns the SQL
+ * @param {string[]} ids - IDs to bind after params
+ * @param {Array} [params] - Parameters bound before the IDs
+ * @returns {Promise<Array>} Rows of all chunks
+ */
+export async function getAllByIds(connection, buildQuery, ids, params = []) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += MAX_IDS_PER_QUERY) {
+    const chunk = ids.slice(i, i + MAX_IDS_PER_QUERY);
+    const placeholders = chunk.map(() => '?').join(', ');
+    rows.push(...await connection.getAllAsync(buildQuery(placeholders), [...params, ...chunk]));
+  }
+  return rows;
+}
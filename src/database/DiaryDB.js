@@ -0,0 +1,158 @@
+/**
+ * DiaryDB.js - One diary entry per day
+ *
+ * Entries are keyed by their local date (YYYY-MM-DD), which is also the
+ * row ID, so there is at most one entry per day and saving a day simply
+ * replaces its text. The text is markdown and is encrypted at rest.
+ * Clearing the text of a day deletes its entry.
+ */
+
+import { getDatabase } from './Database';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { SURVEY_TAG } from './MoodsDB';
+
+// Answers of the daily check-in (MoodSurvey), stored in the notes of a mood entry tagged SURVEY_TAG
+const SURVEY_ANSWER_PATTERNS = {
+  highlight: /^Highlight: (.*)$/m,
+  challenge: /^Challenge: (.*)$/m
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the key of the local day a point in time falls on
+ * @param {Date} date - Any time on the day
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function toDiaryDate(date) {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+}
+
+/**
+ * Get the start of the local day of a key
+ * @param {string} diaryDate - Date as YYYY-MM-DD
+ * @returns {Date} Local midnight of the day
+ */
+export function fromDiaryDate(diaryDate) {
+  const [year, month, day] = diaryDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+const mapDiaryEntry = (row) => ({
+  ...row,
+  date: fromDiaryDate(row.id)
+});
+
+/**
+ * Get the entry of a day
+ * @param {Date} date - Any time on the day
+ * @returns {Promise<Object|null>} { id, date, content, prompt, created_at, updated_at } or null
+ */
+export async function getDiaryEntry(date) {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync('SELECT * FROM diary_entries WHERE id = ?', [toDiaryDate(date)]);
+    return rows.length > 0 ? mapDiaryEntry(decryptRows('diary_entries', rows)[0]) : null;
+  } catch (error) {
+    console.error('Error getting diary entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save the entry of a day, replacing its text. Empty text deletes the entry.
+ * @param {Date} date - Any time on the day
+ * @param {string} content - Markdown text
+ * @param {string|null} [prompt] - ID of the writing prompt the entry answers
+ * @returns {Promise<string|null>} ID of the entry, or null if it was deleted
+ */
+export async function saveDiaryEntry(date, content, prompt = null) {
+  if (!content || !content.trim()) {
+    await deleteDiaryEntry(date);
+    return null;
+  }
+
+  const db = await getDatabase();
+  try {
+    const id = toDiaryDate(date);
+    const now = new Date().toISOString();
+    const values = await encryptColumns('diary_entries', { content });
+
+    // Not an upsert: its conflict handling would override the INSERT OR REPLACE of the sync triggers
+    const result = await db.runAsync(
+      'UPDATE diary_entries SET content = ?, prompt = ?, updated_at = ? WHERE id = ?',
+      [values.content, prompt, now, id]
+    );
+    if (result.changes === 0) {
+      await db.runAsync(
+        'INSERT INTO diary_entries (id, content, prompt, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+        [id, values.content, prompt, now, now]
+      );
+    }
+    return id;
+  } catch (error) {
+    console.error('Error saving diary entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the entry of a day
+ * @param {Date} date - Any time on the day
+ * @returns {Promise<boolean>} Whether an entry was deleted
+ */
+export async function deleteDiaryEntry(date) {
+  const db = await getDatabase();
+  try {
+    const result = await db.runAsync('DELETE FROM diary_entries WHERE id = ?', [toDiaryDate(date)]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error deleting diary entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the days in a range that have an entry, e.g. to mark them in a calendar
+ * @param {Date} startDate - First day of the range
+ * @param {Date} endDate - Last day of the range
+ * @returns {Promise<string[]>} Dates as YYYY-MM-DD, in order
+ */
+export async function getDiaryDates(startDate, endDate) {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync(
+      'SELECT id FROM diary_entries WHERE id BETWEEN ? AND ? ORDER BY id',
+      [toDiaryDate(startDate), toDiaryDate(endDate)]
+    );
+    return rows.map(row => row.id);
+  } catch (error) {
+    console.error('Error getting diary dates:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the latest check-in answers to "highlight" and "challenge" among a
+ * day's mood entries, to start the diary entry of that day with
+ * @param {Array} moods - Mood entries with tags and notes
+ * @returns {Object} { highlight, challenge }, each null if not answered
+ */
+export function getSurveyReflections(moods) {
+  const reflections = { highlight: null, challenge: null };
+  const surveys = moods
+    .filter(mood => (mood.tags || []).includes(SURVEY_TAG) && mood.notes)
+    .sort((a, b) => a.entry_time - b.entry_time);
+
+  for (const survey of surveys) {
+    for (const [answer, pattern] of Object.entries(SURVEY_ANSWER_PATTERNS)) {
+      const match = survey.notes.match(pattern);
+      const text = match ? match[1].trim() : '';
+      if (text && text !== 'None') {
+        reflections[answer] = text;
+      }
+    }
+  }
+  return reflections;
+}
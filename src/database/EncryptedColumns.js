@@ -0,0 +1,142 @@
+/**
+ * EncryptedColumns.js - Sensitive columns that are encrypted at rest
+ *
+ * Entity stores pass values through encryptColumns() before writing and
+ * rows through decryptRows() after reading. Until a passphrase has been
+ * set up both are no-ops, so stores work the same with or without
+ * encryption. Encrypted columns cannot be filtered or sorted in SQL.
+ */
+
+import { getDatabase } from './Database';
+import { withChangeLogPaused } from './ChangeLog';
+import {
+  isEncryptionEnabled,
+  isUnlocked,
+  getActiveKeyId,
+  getEncryptedValuePrefix,
+  encryptValue,
+  decryptValue
+} from '../services/EncryptionService';
+
+// Table -> columns holding notes, descriptions, names, contact details or coordinates
+export const SENSITIVE_COLUMNS = {
+  mood_entries: ['notes', 'location'],
+  mood_entry_metadata: ['metadata_value'],
+  food_entries: ['notes'],
+  people: ['name', 'context', 'phoneNumber', 'email', 'socials'],
+  places: ['name', 'address', 'street', 'neighbourhood', 'city', 'country', 'latitude', 'longitude', 'notes'],
+  geocode_cache: ['street', 'neighbourhood', 'city', 'country'],
+  weather_cache: ['data'],
+  memories: ['title', 'description'],
+  diary_entries: ['content'],
+  medications: ['name', 'dose', 'notes'],
+  health_entries: ['notes'],
+  pursuits: ['description'],
+  practice_sessions: ['notes'],
+  pursuit_goals: ['title'],
+  biography_chapters: ['title', 'body']
+};
+
+// Rows re-encrypted per transaction during setup and key rotation
+const REENCRYPT_BATCH_SIZE = 100;
+
+/**
+ * Encrypt the sensitive columns of a table in a set of values
+ * @param {string} table - Table the values are written to
+ * @param {Object} values - Values keyed by column name
+ * @returns {Promise<Object>} Copy of the values with sensitive columns encrypted
+ */
+export async function encryptColumns(table, values) {
+  if (!(await isEncryptionEnabled())) {
+    return values;
+  }
+
+  const encrypted = { ...values };
+  for (const column of SENSITIVE_COLUMNS[table]) {
+    if (column in encrypted) {
+      encrypted[column] = encryptValue(encrypted[column]);
+    }
+  }
+  return encrypted;
+}
+
+/**
+ * Decrypt the sensitive columns of rows read from a table
+ * @param {string} table - Table the rows were read from
+ * @param {Array} rows - Rows keyed by column name
+ * @returns {Array} Rows with sensitive columns decrypted
+ */
+export function decryptRows(table, rows) {
+  return rows.map(row => {
+    const decrypted = { ...row };
+    for (const column of SENSITIVE_COLUMNS[table]) {
+      if (column in decrypted) {
+        decrypted[column] = decryptValue(decrypted[column]);
+      }
+    }
+    return decrypted;
+  });
+}
+
+/**
+ * Re-encrypt up to batchSize rows of one table whose sensitive values are
+ * plaintext or encrypted with a retired key. Each batch is committed on its
+ * own, so an interrupted run simply continues where it stopped.
+ * @param {string} table - Table to process
+ * @param {number} batchSize - Maximum number of rows to update
+ * @returns {Promise<number>} Number of rows updated
+ */
+async function reencryptBatch(table, batchSize) {
+  const db = await getDatabase();
+  const columns = SENSITIVE_COLUMNS[table];
+  const activePrefix = `${getEncryptedValuePrefix(getActiveKeyId())}%`;
+
+  const rows = await db.getAllAsync(
+    `SELECT id, ${columns.join(', ')} FROM ${table}
+     WHERE ${columns.map(column => `(${column} IS NOT NULL AND ${column} NOT LIKE ?)`).join(' OR ')}
+     LIMIT ?`,
+    [...columns.map(() => activePrefix), batchSize]
+  );
+
+  // The values themselves do not change, so there is nothing to sync
+  await db.withTransactionAsync(async () => {
+    for (const row of rows) {
+      await withChangeLogPaused(db, table, row.id, async () => {
+        await db.runAsync(
+          `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(column => encryptValue(decryptValue(row[column]))), row.id]
+        );
+      });
+    }
+  });
+
+  return rows.length;
+}
+
+/**
+ * Bring every sensitive value onto the active key: plaintext values are
+ * encrypted and values under retired keys are re-encrypted. Used after
+ * encryption is set up and after a key rotation; safe to run again after
+ * an interruption.
+ * @param {Function} onProgress - Optional callback receiving the number of rows updated so far
+ * @returns {Promise<number>} Number of rows updated
+ */
+export async function reencryptAllRows(onProgress) {
+  if (!isUnlocked()) {
+    throw new Error('Cannot re-encrypt while locked');
+  }
+
+  let rowCount = 0;
+  for (const table of Object.keys(SENSITIVE_COLUMNS)) {
+    let updated;
+    do {
+      updated = await reencryptBatch(table, REENCRYPT_BATCH_SIZE);
+      rowCount += updated;
+      if (updated > 0 && onProgress) {
+        onProgress(rowCount);
+      }
+    } while (updated === REENCRYPT_BATCH_SIZE);
+  }
+
+  return rowCount;
+}
@@ -0,0 +1,152 @@
+/**
+ * EntryLinksDB.js - People and places linked to mood, food, memory and practice session entries
+ *
+ * Links live in the entry_people and entry_places join tables and reference
+ * people and places by ID, so renaming a person or place never breaks them.
+ * Deleting a person or place removes its links through foreign keys;
+ * deleting an entry removes its links through triggers.
+ */
+
+import { getDatabase, getAllByIds } from './Database';
+import { decryptRows } from './EncryptedColumns';
+
+/**
+ * Replace the people linked to an entry
+ * Unknown person IDs are skipped rather than failing the save
+ * @param {string} entryType - 'mood', 'food', 'memory' or 'session'
+ * @param {string} entryId - Entry ID
+ * @param {string[]} personIds - IDs of the linked people
+ * @returns {Promise<void>}
+ */
+export async function setEntryPeople(entryType, entryId, personIds = []) {
+  const db = await getDatabase();
+  try {
+    await db.runAsync(
+      'DELETE FROM entry_people WHERE entry_type = ? AND entry_id = ?',
+      [entryType, entryId]
+    );
+
+    for (const personId of new Set(personIds.filter(Boolean))) {
+      await db.runAsync(
+        `INSERT OR IGNORE INTO entry_people (entry_type, entry_id, person_id, created_at)
+         SELECT ?, ?, id, ? FROM people WHERE id = ?`,
+        [entryType, entryId, new Date().toISOString(), personId]
+      );
+    }
+  } catch (error) {
+    console.error('Error setting entry people:', error);
+    throw error;
+  }
+}
+
+/**
+ * Link a place to an entry, keeping any places already linked
+ * @param {string} entryType - 'mood', 'food', 'memory' or 'session'
+ * @param {string} entryId - Entry ID
+ * @param {string} placeId - Place ID
+ * @returns {Promise<void>}
+ */
+export async function addEntryPlace(entryType, entryId, placeId) {
+  const db = await getDatabase();
+  try {
+    await db.runAsync(
+      `INSERT OR IGNORE INTO entry_places (entry_type, entry_id, place_id, created_at)
+       SELECT ?, ?, id, ? FROM places WHERE id = ?`,
+      [entryType, entryId, new Date().toISOString(), placeId]
+    );
+  } catch (error) {
+    console.error('Error adding entry place:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the place linked to an entry
+ * @param {string} entryType - 'mood', 'food', 'memory' or 'session'
+ * @param {string} entryId - Entry ID
+ * @param {string|null} placeId - Place ID, or null to unlink
+ * @returns {Promise<void>}
+ */
+export async function setEntryPlace(entryType, entryId, placeId) {
+  const db = await getDatabase();
+  try {
+    await db.runAsync(
+      'DELETE FROM entry_places WHERE entry_type = ? AND entry_id = ?',
+      [entryType, entryId]
+    );
+
+    if (placeId) {
+      await addEntryPlace(entryType, entryId, placeId);
+    }
+  } catch (error) {
+    console.error('Error setting entry place:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the linked rows for a list of entries in a few batched queries
+ * @returns {Promise<Object>} Map of entry ID -> array of joined rows
+ */
+async function getLinkedRows(db, joinTable, entityTable, foreignKey, entryType, entryIds) {
+  const rowsByEntry = {};
+  const rows = await getAllByIds(db, placeholders => `
+    SELECT l.entry_id as link_entry_id, e.*
+    FROM ${joinTable} l
+    JOIN ${entityTable} e ON e.id = l.${foreignKey}
+    WHERE l.entry_type = ? AND l.entry_id IN (${placeholders}) AND e.deleted_at IS NULL
+    ORDER BY l.created_at ASC
+  `, entryIds, [entryType]);
+
+  for (const { link_entry_id, ...entity } of rows) {
+    if (!rowsByEntry[link_entry_id]) {
+      rowsByEntry[link_entry_id] = [];
+    }
+    rowsByEntry[link_entry_id].push(entity);
+  }
+
+  return rowsByEntry;
+}
+
+/**
+ * Add linked people and place to a list of entries.
+ * Each entry gets `people` (person IDs), `peopleData` (person objects),
+ * `place` (place ID or null) and `placeData` (place object or null).
+ * @param {string} entryType - 'mood', 'food', 'memory' or 'session'
+ * @param {Array} entries - Entries with an id field
+ * @returns {Promise<Array>} Entries with resolved links
+ */
+export async function withEntryLinks(entryType, entries) {
+  if (entries.length === 0) {
+    return entries;
+  }
+
+  const db = await getDatabase();
+  try {
+    const entryIds = entries.map(entry => entry.id);
+    const [peopleByEntry, placesByEntry] = await Promise.all([
+      getLinkedRows(db, 'entry_people', 'people', 'person_id', entryType, entryIds),
+      getLinkedRows(db, 'entry_places', 'places', 'place_id', entryType, entryIds)
+    ]);
+
+    return entries.map(entry => {
+      const peopleData = decryptRows('people', peopleByEntry[entry.id] || []).map(person => ({
+        ...person,
+        birthDate: person.birthDate ? new Date(person.birthDate) : null,
+        isDeceased: person.isDeceased === 1
+      }));
+      const placeData = decryptRows('places', placesByEntry[entry.id] || [])[0] || null;
+
+      return {
+        ...entry,
+        people: peopleData.map(person => person.id),
+        peopleData,
+        place: placeData ? placeData.id : null,
+        placeData
+      };
+    });
+  } catch (error) {
+    console.error('Error resolving entry links:', error);
+    throw error;
+  }
+}
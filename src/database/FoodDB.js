@@ -1,142 +1,74 @@
-import * as SQLite from 'expo-sqlite';
+import { getDatabase, getAllByIds } from './Database';
+import { setEntryPeople, setEntryPlace, withEntryLinks } from './EntryLinksDB';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { moveToTrash } from './TrashDB';
+import { updateSearchIndex, invalidateSearchIndex } from './SearchIndex';
 
 // Import the UnifiedDB functions
 import { saveFoodEntryWithReferences, createRelationship, getMoodHistoryForFood } from './UnifiedDB';
 
-// Database connection
-let db = null;
-
 export async function initFoodDB() {
-  if (db !== null) {
-    return;
-  }
-  
   try {
-    console.log("Opening food database...");
-    db = await SQLite.openDatabaseAsync('food.db');
-    console.log("Food database connection established");
-    
-    try {
-      console.log("Creating food table...");
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS food_entries (
-          id TEXT PRIMARY KEY,
-          name TEXT NOT NULL,
-          calories INTEGER,
-          protein REAL,
-          carbs REAL,
-          fat REAL,
-          meal_type TEXT,
-          date TEXT NOT NULL,
-          notes TEXT,
-          image_uri TEXT,
-          people TEXT,
-          place TEXT,
-          mood_rating INTEGER,
-          mood_emotion TEXT,
-          food_rating INTEGER,
-          is_restaurant INTEGER,
-          restaurant_name TEXT,
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL
-        );
-      `);
-      
-      // Check if people column exists and add it if not
-      try {
-        console.log("Checking for missing columns...");
-        // Add all potentially missing columns - will fail silently if they already exist
-        const missingColumns = [
-          "ALTER TABLE food_entries ADD COLUMN people TEXT;",
-          "ALTER TABLE food_entries ADD COLUMN place TEXT;",
-          "ALTER TABLE food_entries ADD COLUMN mood_rating INTEGER;",
-          "ALTER TABLE food_entries ADD COLUMN mood_emotion TEXT;",
-          "ALTER TABLE food_entries ADD COLUMN food_rating INTEGER;",
-          "ALTER TABLE food_entries ADD COLUMN is_restaurant INTEGER;",
-          "ALTER TABLE food_entries ADD COLUMN restaurant_name TEXT;"
-        ];
-        
-        for (const alterStatement of missingColumns) {
-          try {
-            await db.execAsync(alterStatement);
-            console.log("Migration completed:", alterStatement);
-          } catch (columnError) {
-            // Column might already exist, which is fine
-            console.log("Migration note:", columnError.message);
-          }
-        }
-      } catch (migrationError) {
-        // Log the overall migration error but continue
-        console.log("Migration warning:", migrationError.message);
-      }
-      
-      console.log('Food database initialized successfully');
-    } catch (tableError) {
-      console.error('Error creating food table:', tableError);
-      throw tableError;
-    }
+    await getDatabase();
+    console.log('Food database initialized successfully');
   } catch (error) {
     console.error('Error initializing food database:', error);
     throw error;
   }
 }
 
-// Ensure database is initialized before any operation
-const ensureDatabase = async () => {
-  if (db === null) {
-    await initFoodDB();
-  }
-};
-
 // Reset food database
 export async function resetFoodDB() {
   try {
-    // First close the database if it's open
-    if (db) {
-      console.log("Closing food database connection");
-      await db.closeAsync();
-      db = null;
-    }
+    const db = await getDatabase();
     
-    // Try to delete the database file
-    try {
-      const { FileSystem } = await import('expo-file-system');
-      const dbPath = FileSystem.documentDirectory + 'SQLite/food.db';
-      const fileInfo = await FileSystem.getInfoAsync(dbPath);
-      
-      if (fileInfo.exists) {
-        console.log("Food database file exists, deleting it");
-        await FileSystem.deleteAsync(dbPath, { idempotent: true });
-        console.log("Food database file deleted");
-      } else {
-        console.log("Food database file does not exist at:", dbPath);
-      }
-    } catch (deleteError) {
-      console.log("Error deleting food database file:", deleteError);
-      // Continue anyway
-    }
-    
-    // Reinitialize the database
-    console.log("Reinitializing food database");
-    await initFoodDB();
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(
+        `DELETE FROM entity_relationships WHERE source_type = 'food' OR target_type = 'food'`
+      );
+      await db.runAsync('DELETE FROM food_entries');
+    });
+    invalidateSearchIndex();
     console.log("Food database reset completed");
   } catch (error) {
     console.error("Failed to reset food database:", error);
   }
 }
 
+// Convert a food_entries row into the shape used by the app
+const mapFoodEntry = (entry) => ({
+  ...entry,
+  date: entry.date ? new Date(entry.date) : null,
+  calories: entry.calories || 0,
+  protein: entry.protein || 0,
+  carbs: entry.carbs || 0,
+  fat: entry.fat || 0,
+  mood_rating: entry.mood_rating || null,
+  mood_emotion: entry.mood_emotion || null,
+  food_rating: entry.food_rating || 0,
+  is_restaurant: entry.is_restaurant === 1,
+  restaurant_name: entry.restaurant_name || null
+});
+
+/**
+ * Add a food entry
+ * `people` is a list of person IDs and `place` a place ID
+ * @returns {Promise<string>} ID of the new entry
+ */
 export const addFoodEntry = async (foodEntry) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
-    const result = await db.runAsync(
+    const foodId = foodEntry.id || Math.random().toString(36).substr(2, 9);
+    const { notes } = await encryptColumns('food_entries', { notes: foodEntry.notes });
+    await db.runAsync(
       `INSERT INTO food_entries (
         id, name, calories, protein, carbs, fat, meal_type, date, 
-        notes, image_uri, people, place, mood_rating, mood_emotion,
+        notes, image_uri, mood_rating, mood_emotion,
         food_rating, is_restaurant, restaurant_name, created_at, updated_at
       )
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
       [
-        foodEntry.id || Math.random().toString(36).substr(2, 9),
+        foodId,
         foodEntry.name,
         foodEntry.calories,
         foodEntry.protein,
@@ -144,10 +76,8 @@ export const addFoodEntry = async (foodEntry) => {
         foodEntry.fat,
         foodEntry.meal_type,
         foodEntry.date?.toISOString(),
-        foodEntry.notes,
+        notes,
         foodEntry.image_uri,
-        JSON.stringify(foodEntry.people || []),
-        foodEntry.place,
         foodEntry.mood_rating,
         foodEntry.mood_emotion,
         foodEntry.food_rating,
@@ -155,7 +85,12 @@ export const addFoodEntry = async (foodEntry) => {
         foodEntry.restaurant_name
       ]
     );
-    return result.lastInsertRowId;
+    
+    await setEntryPeople('food', foodId, foodEntry.people || []);
+    await setEntryPlace('food', foodId, foodEntry.place || null);
+    await updateSearchIndex('food', foodId);
+    
+    return foodId;
   } catch (error) {
     console.error('Error adding food entry:', error);
     throw error;
@@ -163,12 +98,13 @@ export const addFoodEntry = async (foodEntry) => {
 };
 
 export const updateFoodEntry = async (foodEntry) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
+    const { notes } = await encryptColumns('food_entries', { notes: foodEntry.notes });
     await db.runAsync(
       `UPDATE food_entries 
        SET name = ?, calories = ?, protein = ?, carbs = ?, fat = ?, meal_type = ?, 
-           date = ?, notes = ?, image_uri = ?, people = ?, place = ?, 
+           date = ?, notes = ?, image_uri = ?,
            mood_rating = ?, mood_emotion = ?, food_rating = ?,
            is_restaurant = ?, restaurant_name = ?, updated_at = datetime('now')
        WHERE id = ?`,
@@ -180,10 +116,8 @@ export const updateFoodEntry = async (foodEntry) => {
         foodEntry.fat,
         foodEntry.meal_type,
         foodEntry.date?.toISOString(),
-        foodEntry.notes,
+        notes,
         foodEntry.image_uri,
-        JSON.stringify(foodEntry.people || []),
-        foodEntry.place,
         foodEntry.mood_rating,
         foodEntry.mood_emotion,
         foodEntry.food_rating,
@@ -192,16 +126,20 @@ export const updateFoodEntry = async (foodEntry) => {
         foodEntry.id
       ]
     );
+    
+    await setEntryPeople('food', foodEntry.id, foodEntry.people || []);
+    await setEntryPlace('food', foodEntry.id, foodEntry.place || null);
+    await updateSearchIndex('food', foodEntry.id);
   } catch (error) {
     console.error('Error updating food entry:', error);
     throw error;
   }
 };
 
+// Moves the entry to the trash; see TrashDB.js
 export const deleteFoodEntry = async (foodEntryId) => {
-  await ensureDatabase();
   try {
-    await db.runAsync('DELETE FROM food_entries WHERE id = ?', [foodEntryId]);
+    await moveToTrash('food', foodEntryId);
   } catch (error) {
     console.error('Error deleting food entry:', error);
     throw error;
@@ -209,29 +147,17 @@ export const deleteFoodEntry = async (foodEntryId) => {
 };
 
 export const getAllFoodEntries = async (limit = 100, offset = 0, descending = true) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
     const orderDir = descending ? 'DESC' : 'ASC';
     const result = await db.getAllAsync(`
       SELECT * FROM food_entries
+      WHERE deleted_at IS NULL
       ORDER BY date ${orderDir}
       LIMIT ? OFFSET ?
     `, [limit, offset]);
 
-    return result.map(entry => ({
-      ...entry,
-      date: entry.date ? new Date(entry.date) : null,
-      calories: entry.calories || 0,
-      protein: entry.protein || 0,
-      carbs: entry.carbs || 0,
-      fat: entry.fat || 0,
-      people: entry.people ? JSON.parse(entry.people) : [],
-      mood_rating: entry.mood_rating || null,
-      mood_emotion: entry.mood_emotion || null,
-      food_rating: entry.food_rating || 0,
-      is_restaurant: entry.is_restaurant === 1,
-      restaurant_name: entry.restaurant_name || null
-    }));
+    return await withEntryLinks('food', decryptRows('food_entries', result).map(mapFoodEntry));
   } catch (error) {
     console.error('Error getting all food entries:', error);
     throw error;
@@ -239,34 +165,46 @@ export const getAllFoodEntries = async (limit = 100, offset = 0, descending = tr
 };
 
 export const getFoodEntriesByDate = async (startDate, endDate) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
     const result = await db.getAllAsync(`
       SELECT * FROM food_entries
-      WHERE date BETWEEN ? AND ?
+      WHERE date BETWEEN ? AND ? AND deleted_at IS NULL
       ORDER BY date DESC
     `, [startDate.toISOString(), endDate.toISOString()]);
 
-    return result.map(entry => ({
-      ...entry,
-      date: entry.date ? new Date(entry.date) : null,
-      calories: entry.calories || 0,
-      protein: entry.protein || 0,
-      carbs: entry.carbs || 0,
-      fat: entry.fat || 0,
-      people: entry.people ? JSON.parse(entry.people) : [],
-      mood_rating: entry.mood_rating || null,
-      mood_emotion: entry.mood_emotion || null,
-      food_rating: entry.food_rating || 0,
-      is_restaurant: entry.is_restaurant === 1,
-      restaurant_name: entry.restaurant_name || null
-    }));
+    return await withEntryLinks('food', decryptRows('food_entries', result).map(mapFoodEntry));
   } catch (error) {
     console.error('Error getting food entries by date:', error);
     throw error;
   }
 };
 
+// Unknown and trashed IDs are left out; the order is not defined
+export const getFoodEntriesByIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const db = await getDatabase();
+  try {
+    const result = await getAllByIds(db, placeholders => `
+      SELECT * FROM food_entries
+      WHERE id IN (${placeholders}) AND deleted_at IS NULL
+    `, ids);
+
+    return await withEntryLinks('food', decryptRows('food_entries', result).map(mapFoodEntry));
+  } catch (error) {
+    console.error('Error getting food entries by ids:', error);
+    throw error;
+  }
+};
+
+export const getFoodEntryById = async (id) => {
+  const [foodEntry] = await getFoodEntriesByIds([id]);
+  return foodEntry || null;
+};
+
 // Enhanced version of addFoodEntry that maintains cross-database references
 export const addFoodEntryWithReferences = async (foodEntry) => {
   return await saveFoodEntryWithReferences(foodEntry);
@@ -0,0 +1,83 @@
+/**
+ * GeocodeCacheDB.js - Reverse geocoding results of coordinates already resolved
+ *
+ * Coordinates are rounded to four decimals (about 11 m) and stored only
+ * as a SHA-256 hash, so the cache does not keep a readable list of the
+ * spots the user has been to. The cache is local to the device and is
+ * rebuilt as entries are geotagged (see services/GeocodingService.js).
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { getDatabase } from './Database';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { pickAddressFields } from '../utils/address';
+
+const getCacheKey = (latitude, longitude) =>
+  bytesToHex(sha256(utf8ToBytes(`${latitude.toFixed(4)},${longitude.toFixed(4)}`)));
+
+/**
+ * Get the cached address of a coordinate
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<Object|null>} { street, neighbourhood, city, country, source, resolved_at }, or null if not cached
+ */
+export async function getCachedAddress(latitude, longitude) {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync(
+      'SELECT street, neighbourhood, city, country, source, resolved_at FROM geocode_cache WHERE id = ?',
+      [getCacheKey(latitude, longitude)]
+    );
+    const [row] = decryptRows('geocode_cache', rows);
+    return row || null;
+  } catch (error) {
+    console.error('Error getting cached address:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cache the address of a coordinate, replacing an earlier result
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Object} address - { street, neighbourhood, city, country }
+ * @param {string} source - Name of the provider that resolved it
+ * @returns {Promise<void>}
+ */
+export async function saveCachedAddress(latitude, longitude, address, source) {
+  const db = await getDatabase();
+  try {
+    const values = await encryptColumns('geocode_cache', pickAddressFields(address));
+    await db.runAsync(
+      `INSERT OR REPLACE INTO geocode_cache (id, street, neighbourhood, city, country, source, resolved_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        getCacheKey(latitude, longitude),
+        values.street,
+        values.neighbourhood,
+        values.city,
+        values.country,
+        source,
+        new Date().toISOString()
+      ]
+    );
+  } catch (error) {
+    console.error('Error saving cached address:', error);
+    throw error;
+  }
+}
+
+/**
+ * Empty the cache, e.g. after switching to a more detailed provider
+ * @returns {Promise<void>}
+ */
+export async function clearGeocodeCache() {
+  const db = await getDatabase();
+  try {
+    await db.runAsync('DELETE FROM geocode_cache');
+  } catch (error) {
+    console.error('Error clearing geocode cache:', error);
+    throw error;
+  }
+}
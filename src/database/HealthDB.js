@@ -0,0 +1,540 @@
+/**
+ * HealthDB.js - Sleep, workouts, medications and vitals
+ *
+ * Everything logged is a row of health_entries with a kind: a night's
+ * sleep, a workout, a dose taken, a weight or a blood pressure reading.
+ * Medications hold the times of day their doses are due.
+ *
+ * Sleep and workouts are related to the moods logged after them on the
+ * same day through entity_relationships. The links are refreshed whenever
+ * either side is saved, so MoodAnalytics can compare moods with how the
+ * day started.
+ */
+
+import { getDatabase, getAllByIds } from './Database';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { moveToTrash } from './TrashDB';
+
+export const HEALTH_KINDS = ['sleep', 'workout', 'medication', 'weight', 'blood_pressure'];
+
+export const WORKOUT_INTENSITIES = ['light', 'moderate', 'hard'];
+
+// Kinds related to the moods logged after them on the same day
+const MOOD_RELATED_KINDS = ['sleep', 'workout'];
+
+// Relationship types of health entry -> mood and mood -> health entry
+const BEFORE_MOOD = 'before_mood';
+const AFTER_HEALTH = 'after_health';
+
+// Columns of health_entries taken from the values passed in when saving
+const ENTRY_COLUMNS = [
+  'kind', 'recorded_at', 'duration_minutes', 'quality', 'activity', 'intensity',
+  'medication_id', 'dose', 'weight', 'systolic', 'diastolic', 'pulse', 'notes'
+];
+
+// Fewest sleeps needed before a correlation is reported
+const MIN_CORRELATION_SAMPLES = 3;
+
+const generateId = () => Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+
+const startOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const mapMedication = (row) => ({
+  ...row,
+  schedule: JSON.parse(row.schedule || '[]'),
+  is_active: row.is_active === 1
+});
+
+// Insert both directions of the relationship between a health entry and a mood
+const insertMoodRelationship = async (db, healthId, moodId) => {
+  const now = new Date().toISOString();
+  await db.runAsync(
+    `INSERT INTO entity_relationships (id, source_type, source_id, target_type, target_id, relationship_type, created_at)
+     VALUES (?, 'health', ?, 'mood', ?, ?, ?), (?, 'mood', ?, 'health', ?, ?, ?)`,
+    [generateId(), healthId, moodId, BEFORE_MOOD, now, generateId(), moodId, healthId, AFTER_HEALTH, now]
+  );
+};
+
+// Relate a health entry to the moods from its time to the end of that day
+const relateEntryToMoods = async (db, id) => {
+  await db.runAsync(
+    `DELETE FROM entity_relationships
+     WHERE (source_type = 'health' AND source_id = ? AND relationship_type = ?)
+     OR (target_type = 'health' AND target_id = ? AND relationship_type = ?)`,
+    [id, BEFORE_MOOD, id, AFTER_HEALTH]
+  );
+
+  const [entry] = await db.getAllAsync('SELECT kind, recorded_at FROM health_entries WHERE id = ?', [id]);
+  if (!entry || !MOOD_RELATED_KINDS.includes(entry.kind)) {
+    return;
+  }
+
+  // Trashed moods are included so restoring one brings its links back, as with other relationships
+  const recordedAt = new Date(entry.recorded_at);
+  const moods = await db.getAllAsync(
+    'SELECT id FROM mood_entries WHERE entry_time BETWEEN ? AND ?',
+    [recordedAt.getTime(), endOfDay(recordedAt).getTime()]
+  );
+  for (const mood of moods) {
+    await insertMoodRelationship(db, id, mood.id);
+  }
+};
+
+/**
+ * Relate a mood to the sleep and workouts logged earlier on its day,
+ * replacing its earlier health relationships. Called when a mood is saved
+ * or its time changes.
+ * @param {string} moodId - Mood entry ID
+ * @returns {Promise<void>}
+ */
+export async function relateMoodToHealth(moodId) {
+  const db = await getDatabase();
+  try {
+    await db.runAsync(
+      `DELETE FROM entity_relationships
+       WHERE (source_type = 'mood' AND source_id = ? AND relationship_type = ?)
+       OR (target_type = 'mood' AND target_id = ? AND relationship_type = ?)`,
+      [moodId, AFTER_HEALTH, moodId, BEFORE_MOOD]
+    );
+
+    const [mood] = await db.getAllAsync('SELECT entry_time FROM mood_entries WHERE id = ?', [moodId]);
+    if (!mood) {
+      return;
+    }
+
+    const entries = await db.getAllAsync(
+      `SELECT id FROM health_entries
+       WHERE kind IN (${MOOD_RELATED_KINDS.map(() => '?').join(', ')})
+       AND recorded_at BETWEEN ? AND ?`,
+      [...MOOD_RELATED_KINDS, startOfDay(mood.entry_time).toISOString(), new Date(mood.entry_time).toISOString()]
+    );
+    for (const entry of entries) {
+      await insertMoodRelationship(db, entry.id, moodId);
+    }
+  } catch (error) {
+    console.error('Error relating mood to health entries:', error);
+    throw error;
+  }
+}
+
+// HEALTH ENTRIES
+
+/**
+ * Log a health entry
+ * @param {Object} entry - { kind, recorded_at, ... } with the columns its kind uses:
+ *   sleep: duration_minutes, quality (1-5); workout: activity, duration_minutes, intensity;
+ *   medication: medication_id, dose; weight: weight (kg); blood_pressure: systolic, diastolic, pulse
+ * @returns {Promise<string>} ID of the entry
+ */
+export async function addHealthEntry(entry) {
+  if (!HEALTH_KINDS.includes(entry.kind)) {
+    throw new Error(`Unknown health entry kind: ${entry.kind}`);
+  }
+
+  const db = await getDatabase();
+  try {
+    const id = entry.id || generateId();
+    const now = new Date().toISOString();
+    const values = await encryptColumns('health_entries', {
+      ...Object.fromEntries(ENTRY_COLUMNS.map(column => [column, entry[column] ?? null])),
+      recorded_at: entry.recorded_at || now
+    });
+
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(
+        `INSERT INTO health_entries (id, ${ENTRY_COLUMNS.join(', ')}, created_at, updated_at)
+         VALUES (?, ${ENTRY_COLUMNS.map(() => '?').join(', ')}, ?, ?)`,
+        [id, ...ENTRY_COLUMNS.map(column => values[column]), now, now]
+      );
+      await relateEntryToMoods(db, id);
+    });
+    return id;
+  } catch (error) {
+    console.error('Error adding health entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a health entry. Its kind cannot change.
+ * @param {string} id - Entry ID
+ * @param {Object} changes - Columns to change, as taken by addHealthEntry
+ * @returns {Promise<boolean>} Whether an entry was updated
+ */
+export async function updateHealthEntry(id, changes) {
+  const db = await getDatabase();
+  try {
+    const columns = ENTRY_COLUMNS.filter(column => column !== 'kind' && changes[column] !== undefined);
+    if (columns.length === 0) {
+      return false;
+    }
+
+    const values = await encryptColumns('health_entries', Object.fromEntries(columns.map(column => [column, changes[column]])));
+    let updated = false;
+    await db.withTransactionAsync(async () => {
+      const result = await db.runAsync(
+        `UPDATE health_entries SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ?
+         WHERE id = ? AND deleted_at IS NULL`,
+        [...columns.map(column => values[column]), new Date().toISOString(), id]
+      );
+      updated = result.changes > 0;
+      if (updated && columns.includes('recorded_at')) {
+        await relateEntryToMoods(db, id);
+      }
+    });
+    return updated;
+  } catch (error) {
+    console.error('Error updating health entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move a health entry to the trash
+ * @param {string} id - Entry ID
+ * @returns {Promise<boolean>} Whether an entry was moved
+ */
+export async function deleteHealthEntry(id) {
+  try {
+    return await moveToTrash('health', id);
+  } catch (error) {
+    console.error('Error deleting health entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the entries of one kind, newest first
+ * @param {string} kind - One of HEALTH_KINDS
+ * @param {Object} [range] - { startDate, endDate } limiting recorded_at
+ * @param {number} [limit] - Maximum number of entries
+ * @returns {Promise<Array>} Entries
+ */
+export async function getHealthEntries(kind, { startDate = null, endDate = null } = {}, limit = 100) {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync(
+      `SELECT * FROM health_entries
+       WHERE kind = ? AND deleted_at IS NULL
+       AND recorded_at >= ? AND recorded_at <= ?
+       ORDER BY recorded_at DESC
+       LIMIT ?`,
+      [
+        kind,
+        startDate ? startDate.toISOString() : '',
+        endDate ? endDate.toISOString() : '9999',
+        limit
+      ]
+    );
+    return decryptRows('health_entries', rows);
+  } catch (error) {
+    console.error('Error getting health entries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record how well the night before a day was slept. Sleep is recorded at
+ * wake-up, so a sleep entry on that day is the night's and gets the
+ * quality; without one, an entry is added at the start of the day.
+ * @param {Date|number} day - Any time on the day the night ended
+ * @param {number} quality - Sleep quality, 1-5
+ * @returns {Promise<string>} ID of the night's sleep entry
+ */
+export async function saveSleepQuality(day, quality) {
+  try {
+    const [night] = await getHealthEntries('sleep', { startDate: startOfDay(day), endDate: endOfDay(day) }, 1);
+    if (night) {
+      await updateHealthEntry(night.id, { quality });
+      return night.id;
+    }
+    return await addHealthEntry({ kind: 'sleep', recorded_at: startOfDay(day).toISOString(), quality });
+  } catch (error) {
+    console.error('Error saving sleep quality:', error);
+    throw error;
+  }
+}
+
+// Unknown and trashed IDs are left out; the order is not defined
+export async function getHealthEntriesByIds(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const db = await getDatabase();
+  try {
+    const rows = await getAllByIds(db, placeholders => `
+      SELECT * FROM health_entries
+      WHERE id IN (${placeholders}) AND deleted_at IS NULL
+    `, ids);
+    return decryptRows('health_entries', rows);
+  } catch (error) {
+    console.error('Error getting health entries by ids:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the latest entry of each kind, e.g. for a summary
+ * @returns {Promise<Object>} Kind -> latest entry, for kinds that have one
+ */
+export async function getLatestHealthEntries() {
+  const db = await getDatabase();
+  try {
+    const rows = decryptRows('health_entries', await db.getAllAsync(`
+      SELECT * FROM health_entries AS e
+      WHERE deleted_at IS NULL AND id = (
+        SELECT id FROM health_entries
+        WHERE kind = e.kind AND deleted_at IS NULL
+        ORDER BY recorded_at DESC
+        LIMIT 1
+      )
+    `));
+    return Object.fromEntries(rows.map(row => [row.kind, row]));
+  } catch (error) {
+    console.error('Error getting latest health entries:', error);
+    throw error;
+  }
+}
+
+// MEDICATIONS
+
+/**
+ * Get the medications, active ones first, each in order of name
+ * @returns {Promise<Array>} [{ id, name, dose, schedule: ['HH:MM'], is_active, notes, ... }]
+ */
+export async function getMedications() {
+  const db = await getDatabase();
+  try {
+    const rows = decryptRows('medications', await db.getAllAsync('SELECT * FROM medications'));
+    return rows
+      .map(mapMedication)
+      .sort((a, b) => (b.is_active - a.is_active) || a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error getting medications:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a medication
+ * @param {Object} medication - { name, dose, schedule: ['HH:MM'], is_active, notes }
+ * @returns {Promise<string>} ID of the medication
+ */
+export async function addMedication(medication) {
+  const db = await getDatabase();
+  try {
+    const id = medication.id || generateId();
+    const now = new Date().toISOString();
+    const values = await encryptColumns('medications', {
+      name: medication.name,
+      dose: medication.dose || null,
+      notes: medication.notes || null
+    });
+
+    await db.runAsync(
+      `INSERT INTO medications (id, name, dose, schedule, is_active, notes, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        values.name,
+        values.dose,
+        JSON.stringify([...(medication.schedule || [])].sort()),
+        medication.is_active === false ? 0 : 1,
+        values.notes,
+        now,
+        now
+      ]
+    );
+    return id;
+  } catch (error) {
+    console.error('Error adding medication:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a medication
+ * @param {string} id - Medication ID
+ * @param {Object} medication - { name, dose, schedule, is_active, notes }
+ * @returns {Promise<boolean>} Whether a medication was updated
+ */
+export async function updateMedication(id, medication) {
+  const db = await getDatabase();
+  try {
+    const values = await encryptColumns('medications', {
+      name: medication.name,
+      dose: medication.dose || null,
+      notes: medication.notes || null
+    });
+
+    const result = await db.runAsync(
+      `UPDATE medications SET name = ?, dose = ?, schedule = ?, is_active = ?, notes = ?, updated_at = ?
+       WHERE id = ?`,
+      [
+        values.name,
+        values.dose,
+        JSON.stringify([...(medication.schedule || [])].sort()),
+        medication.is_active === false ? 0 : 1,
+        values.notes,
+        new Date().toISOString(),
+        id
+      ]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error updating medication:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a medication together with the doses logged for it. To stop
+ * taking a medication but keep its history, set is_active to false instead.
+ * @param {string} id - Medication ID
+ * @returns {Promise<boolean>} Whether a medication was deleted
+ */
+export async function deleteMedication(id) {
+  const db = await getDatabase();
+  try {
+    const result = await db.runAsync('DELETE FROM medications WHERE id = ?', [id]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error deleting medication:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the doses of active medications due on a day and whether they were
+ * taken. The doses logged for a medication that day fill its scheduled
+ * times in order.
+ * @param {Date} date - Any time on the day
+ * @returns {Promise<Array>} [{ medication, time: 'HH:MM', taken: entry|null }] in order of time
+ */
+export async function getMedicationDoses(date) {
+  const db = await getDatabase();
+  try {
+    const medications = (await getMedications()).filter(medication => medication.is_active);
+    const taken = await db.getAllAsync(
+      `SELECT * FROM health_entries
+       WHERE kind = 'medication' AND deleted_at IS NULL
+       AND recorded_at BETWEEN ? AND ?
+       ORDER BY recorded_at`,
+      [startOfDay(date).toISOString(), endOfDay(date).toISOString()]
+    );
+
+    const doses = [];
+    for (const medication of medications) {
+      const takenDoses = decryptRows('health_entries', taken.filter(entry => entry.medication_id === medication.id));
+      medication.schedule.forEach((time, index) => {
+        doses.push({ medication, time, taken: takenDoses[index] || null });
+      });
+    }
+    return doses.sort((a, b) => a.time.localeCompare(b.time));
+  } catch (error) {
+    console.error('Error getting medication doses:', error);
+    throw error;
+  }
+}
+
+// MOOD CORRELATIONS
+
+// Pearson correlation of [x, y] pairs; null without enough pairs or variation
+const correlate = (pairs) => {
+  if (pairs.length < MIN_CORRELATION_SAMPLES) {
+    return null;
+  }
+
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+  return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : null;
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Compare moods with the sleep and workouts before them, using the
+ * relationships between them
+ * @param {Date|null} [startDate] - Only moods from this time on; null for all
+ * @returns {Promise<Object>} {
+ *   sleepDuration: { correlation, count } - hours slept vs. the average mood of the day after,
+ *   sleepQuality: { correlation, count } - sleep quality vs. the same,
+ *   workout: { averageWith, averageWithout, countWith, countWithout } - moods after a workout vs. all others
+ * }
+ *   correlation is between -1 and 1, or null when there is too little data
+ */
+export async function getMoodHealthCorrelations(startDate = null) {
+  const db = await getDatabase();
+  try {
+    const since = startDate ? startDate.getTime() : 0;
+    const moods = await db.getAllAsync(
+      'SELECT id, rating FROM mood_entries WHERE deleted_at IS NULL AND entry_time >= ?',
+      [since]
+    );
+    const links = await db.getAllAsync(
+      `SELECT h.id AS health_id, h.kind, h.duration_minutes, h.quality, m.id AS mood_id, m.rating
+       FROM entity_relationships AS r
+       JOIN health_entries AS h ON h.id = r.source_id
+       JOIN mood_entries AS m ON m.id = r.target_id
+       WHERE r.source_type = 'health' AND r.target_type = 'mood' AND r.relationship_type = ?
+       AND h.deleted_at IS NULL AND m.deleted_at IS NULL AND m.entry_time >= ?`,
+      [BEFORE_MOOD, since]
+    );
+
+    // Each sleep with the ratings of the moods after it
+    const sleeps = new Map();
+    const moodsAfterWorkout = new Set();
+    for (const link of links) {
+      if (link.kind === 'sleep') {
+        if (!sleeps.has(link.health_id)) {
+          sleeps.set(link.health_id, { ...link, ratings: [] });
+        }
+        sleeps.get(link.health_id).ratings.push(link.rating);
+      } else if (link.kind === 'workout') {
+        moodsAfterWorkout.add(link.mood_id);
+      }
+    }
+
+    const sleepPairs = (column, scale) => [...sleeps.values()]
+      .filter(sleep => sleep[column] !== null)
+      .map(sleep => [sleep[column] / scale, average(sleep.ratings)]);
+    const durationPairs = sleepPairs('duration_minutes', 60);
+    const qualityPairs = sleepPairs('quality', 1);
+
+    const withWorkout = moods.filter(mood => moodsAfterWorkout.has(mood.id)).map(mood => mood.rating);
+    const withoutWorkout = moods.filter(mood => !moodsAfterWorkout.has(mood.id)).map(mood => mood.rating);
+
+    return {
+      sleepDuration: { correlation: correlate(durationPairs), count: durationPairs.length },
+      sleepQuality: { correlation: correlate(qualityPairs), count: qualityPairs.length },
+      workout: {
+        averageWith: average(withWorkout),
+        averageWithout: average(withoutWorkout),
+        countWith: withWorkout.length,
+        countWithout: withoutWorkout.length
+      }
+    };
+  } catch (error) {
+    console.error('Error getting mood and health correlations:', error);
+    throw error;
+  }
+}
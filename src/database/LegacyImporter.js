@@ -0,0 +1,149 @@
+/**
+ * LegacyImporter.js - One-time import of the old per-entity database files
+ *
+ * Before the schema was consolidated, every entity store opened its own
+ * SQLite file. On first open of memoria.db each of those files is copied
+ * into the shared schema and then deleted. Imports are recorded in the
+ * legacy_imports table so a file is never imported twice.
+ *
+ * The files match schema version 1, so the import and the migrations
+ * after it are applied together: if any of it fails, memoria.db stays at
+ * version 1 and the import is retried on the next launch.
+ */
+
+import * as SQLite from 'expo-sqlite';
+import * as FileSystem from 'expo-file-system';
+
+// Legacy file name -> tables to copy ({ source table: target table })
+export const LEGACY_DATABASE_FILES = {
+  'food.db': { food_entries: 'food_entries' },
+  'places.db': { places: 'places', place_moods: 'place_moods' },
+  'people.db': { people: 'people', tags: 'person_tags' },
+  'memories.db': { memories: 'memories' },
+  'relationships.db': { entity_relationships: 'entity_relationships' }
+};
+
+/**
+ * Get the column names of a table, or an empty array if it does not exist
+ * @param {Object} db - Database connection
+ * @param {string} table - Table name
+ * @returns {Promise<string[]>} Column names
+ */
+async function getTableColumns(db, table) {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  return columns.map(column => column.name);
+}
+
+/**
+ * Copy all rows of one legacy table into the shared schema.
+ * Only columns present on both sides are copied, so files created
+ * before later columns were added still import cleanly. Row numbers are
+ * kept because some old rows reference others by row number.
+ * @returns {Promise<number>} Number of rows copied
+ */
+async function copyTable(legacyDb, sourceTable, db, targetTable) {
+  const sourceColumns = await getTableColumns(legacyDb, sourceTable);
+  const targetColumns = await getTableColumns(db, targetTable);
+  const columns = sourceColumns.filter(column => targetColumns.includes(column));
+  if (columns.length === 0) {
+    return 0;
+  }
+
+  const rows = await legacyDb.getAllAsync(`SELECT rowid, ${columns.join(', ')} FROM ${sourceTable}`);
+  const insertColumns = ['rowid', ...columns];
+  const placeholders = insertColumns.map(() => '?').join(', ');
+
+  for (const row of rows) {
+    await db.runAsync(
+      `INSERT OR IGNORE INTO ${targetTable} (${insertColumns.join(', ')}) VALUES (${placeholders})`,
+      insertColumns.map(column => row[column])
+    );
+  }
+
+  return rows.length;
+}
+
+const getLegacyPath = (fileName) => FileSystem.documentDirectory + 'SQLite/' + fileName;
+
+/**
+ * Copy the tables of a single legacy database file
+ * @param {Object} db - Connection to memoria.db
+ * @param {string} fileName - Legacy database file name
+ * @returns {Promise<void>}
+ */
+async function importLegacyFile(db, fileName) {
+  console.log(`Importing legacy database ${fileName}...`);
+  const legacyDb = await SQLite.openDatabaseAsync(fileName);
+  let rowCount = 0;
+
+  try {
+    for (const [sourceTable, targetTable] of Object.entries(LEGACY_DATABASE_FILES[fileName])) {
+      rowCount += await copyTable(legacyDb, sourceTable, db, targetTable);
+    }
+  } finally {
+    await legacyDb.closeAsync();
+  }
+
+  await db.runAsync(
+    'INSERT INTO legacy_imports (file_name, row_count, imported_at) VALUES (?, ?, ?)',
+    [fileName, rowCount, new Date().toISOString()]
+  );
+  console.log(`Imported ${rowCount} rows from ${fileName}`);
+}
+
+/**
+ * Get the legacy database files that exist and have not been imported yet
+ * @param {Object} db - Connection to memoria.db
+ * @returns {Promise<string[]>} Legacy database file names
+ */
+export async function getPendingLegacyDatabases(db) {
+  await db.execAsync(`
+    CREATE TABLE IF NOT EXISTS legacy_imports (
+      file_name TEXT PRIMARY KEY,
+      row_count INTEGER NOT NULL,
+      imported_at TEXT NOT NULL
+    );
+  `);
+
+  const imported = await db.getAllAsync('SELECT file_name FROM legacy_imports');
+  const importedFiles = imported.map(row => row.file_name);
+
+  const pending = [];
+  for (const fileName of Object.keys(LEGACY_DATABASE_FILES)) {
+    if (!importedFiles.includes(fileName) && (await FileSystem.getInfoAsync(getLegacyPath(fileName))).exists) {
+      pending.push(fileName);
+    }
+  }
+  return pending;
+}
+
+/**
+ * Import legacy database files. Must run inside a transaction: any error
+ * is thrown, so the caller can roll back and retry on the next launch.
+ * The files are left in place; delete them with deleteLegacyDatabases()
+ * once the transaction has been committed.
+ * @param {Object} db - Connection to memoria.db
+ * @param {string[]} fileNames - Files from getPendingLegacyDatabases()
+ * @returns {Promise<void>}
+ */
+export async function importLegacyDatabases(db, fileNames) {
+  for (const fileName of fileNames) {
+    await importLegacyFile(db, fileName);
+  }
+}
+
+/**
+ * Delete imported legacy database files
+ * @param {string[]} fileNames - Legacy database file names
+ * @returns {Promise<void>}
+ */
+export async function deleteLegacyDatabases(fileNames) {
+  for (const fileName of fileNames) {
+    try {
+      await FileSystem.deleteAsync(getLegacyPath(fileName), { idempotent: true });
+    } catch (deleteError) {
+      console.log(`Error deleting legacy database ${fileName}:`, deleteError);
+      // Continue anyway - legacy_imports prevents a second import
+    }
+  }
+}
@@ -1,69 +1,58 @@
-import * as SQLite from 'expo-sqlite';
-
-// Database connection
-let db = null;
+import { getDatabase, getAllByIds } from './Database';
+import { setEntryPeople, setEntryPlace, withEntryLinks } from './EntryLinksDB';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { moveToTrash } from './TrashDB';
+import { updateSearchIndex } from './SearchIndex';
 
 export async function initMemoriesDB() {
-  if (db !== null) {
-    return;
-  }
-  
   try {
-    console.log("Opening memories database...");
-    db = await SQLite.openDatabaseAsync('memories.db');
-    console.log("Memories database connection established");
-    
-    try {
-      console.log("Creating memories table...");
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS memories (
-          id TEXT PRIMARY KEY,
-          title TEXT NOT NULL,
-          description TEXT,
-          date TEXT NOT NULL,
-          location TEXT,
-          people TEXT,
-          photos TEXT,
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL
-        );
-      `);
-      
-      console.log('Memories database initialized successfully');
-    } catch (tableError) {
-      console.error('Error creating memories table:', tableError);
-      throw tableError;
-    }
+    await getDatabase();
+    console.log('Memories database initialized successfully');
   } catch (error) {
     console.error('Error initializing memories database:', error);
     throw error;
   }
 }
 
-// Ensure database is initialized before any operation
-const ensureDatabase = async () => {
-  if (db === null) {
-    await initMemoriesDB();
+// Replace the photos of a memory, keeping their order
+const setMemoryPhotos = async (db, memoryId, photos) => {
+  await db.runAsync('DELETE FROM memory_photos WHERE memory_id = ?', [memoryId]);
+  
+  for (let position = 0; position < photos.length; position++) {
+    await db.runAsync(
+      'INSERT INTO memory_photos (id, memory_id, uri, position) VALUES (?, ?, ?, ?)',
+      [Math.random().toString(36).substr(2, 9), memoryId, photos[position], position]
+    );
   }
 };
 
+/**
+ * Add a memory
+ * `people` is a list of person IDs, `place` a place ID and `photos` a list of URIs
+ * @returns {Promise<string>} ID of the new memory
+ */
 export const addMemory = async (memory) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
-    const result = await db.runAsync(
-      `INSERT INTO memories (id, title, description, date, location, people, photos, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+    const memoryId = memory.id || Math.random().toString(36).substr(2, 9);
+    const { title, description } = await encryptColumns('memories', memory);
+    await db.runAsync(
+      `INSERT INTO memories (id, title, description, date, created_at, updated_at)
+       VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))`,
       [
-        memory.id || Math.random().toString(36).substr(2, 9),
-        memory.title,
-        memory.description,
-        memory.date?.toISOString(),
-        memory.location,
-        JSON.stringify(memory.people || []),
-        JSON.stringify(memory.photos || [])
+        memoryId,
+        title,
+        description,
+        memory.date?.toISOString()
       ]
     );
-    return result.lastInsertRowId;
+    
+    await setMemoryPhotos(db, memoryId, memory.photos || []);
+    await setEntryPeople('memory', memoryId, memory.people || []);
+    await setEntryPlace('memory', memoryId, memory.place || null);
+    await updateSearchIndex('memory', memoryId);
+    
+    return memoryId;
   } catch (error) {
     console.error('Error adding memory:', error);
     throw error;
@@ -71,54 +60,100 @@ export const addMemory = async (memory) => {
 };
 
 export const updateMemory = async (memory) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
+    const { title, description } = await encryptColumns('memories', memory);
     await db.runAsync(
       `UPDATE memories 
-       SET title = ?, description = ?, date = ?, location = ?, people = ?, photos = ?, updated_at = datetime('now')
+       SET title = ?, description = ?, date = ?, updated_at = datetime('now')
        WHERE id = ?`,
       [
-        memory.title,
-        memory.description,
+        title,
+        description,
         memory.date?.toISOString(),
-        memory.location,
-        JSON.stringify(memory.people || []),
-        JSON.stringify(memory.photos || []),
         memory.id
       ]
     );
+    
+    await setMemoryPhotos(db, memory.id, memory.photos || []);
+    await setEntryPeople('memory', memory.id, memory.people || []);
+    await setEntryPlace('memory', memory.id, memory.place || null);
+    await updateSearchIndex('memory', memory.id);
   } catch (error) {
     console.error('Error updating memory:', error);
     throw error;
   }
 };
 
+// Moves the memory to the trash; see TrashDB.js
 export const deleteMemory = async (memoryId) => {
-  await ensureDatabase();
   try {
-    await db.runAsync('DELETE FROM memories WHERE id = ?', [memoryId]);
+    await moveToTrash('memory', memoryId);
   } catch (error) {
     console.error('Error deleting memory:', error);
     throw error;
   }
 };
 
+// Turns memories rows into memories with photos, people and place
+const loadMemories = async (db, rows) => {
+  const photoRows = await getAllByIds(db, placeholders => `
+    SELECT memory_id, uri FROM memory_photos
+    WHERE memory_id IN (${placeholders})
+    ORDER BY memory_id, position ASC
+  `, rows.map(row => row.id));
+  const photosByMemory = {};
+  for (const photo of photoRows) {
+    if (!photosByMemory[photo.memory_id]) {
+      photosByMemory[photo.memory_id] = [];
+    }
+    photosByMemory[photo.memory_id].push(photo.uri);
+  }
+
+  return await withEntryLinks('memory', decryptRows('memories', rows).map(memory => ({
+    ...memory,
+    date: memory.date ? new Date(memory.date) : null,
+    photos: photosByMemory[memory.id] || []
+  })));
+};
+
 export const getAllMemories = async () => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
     const result = await db.getAllAsync(`
       SELECT * FROM memories
+      WHERE deleted_at IS NULL
       ORDER BY date DESC
     `);
 
-    return result.map(memory => ({
-      ...memory,
-      date: memory.date ? new Date(memory.date) : null,
-      people: memory.people ? JSON.parse(memory.people) : [],
-      photos: memory.photos ? JSON.parse(memory.photos) : []
-    }));
+    return await loadMemories(db, result);
   } catch (error) {
     console.error('Error getting all memories:', error);
     throw error;
   }
+};
+
+// Unknown and trashed IDs are left out; the order is not defined
+export const getMemoriesByIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const db = await getDatabase();
+  try {
+    const result = await getAllByIds(db, placeholders => `
+      SELECT * FROM memories
+      WHERE id IN (${placeholders}) AND deleted_at IS NULL
+    `, ids);
+
+    return await loadMemories(db, result);
+  } catch (error) {
+    console.error('Error getting memories by ids:', error);
+    throw error;
+  }
+};
+
+export const getMemoryById = async (id) => {
+  const [memory] = await getMemoriesByIds([id]);
+  return memory || null;
 }; 
\ No newline at end of file
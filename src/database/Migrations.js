@@ -0,0 +1,814 @@
+/**
+ * Migrations.js - Numbered, forward-only schema migrations for memoria.db
+ *
+ * Each migration runs exactly once, in order, inside a transaction.
+ * Never edit a migration that has shipped - add a new one with the
+ * next version number instead. Migrations must not import the entity
+ * stores, so any helpers they need are defined in this file.
+ */
+
+/**
+ * Generates a unique ID
+ * @returns {string} Unique ID
+ */
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+}
+
+/**
+ * Parse a JSON array column, tolerating empty or malformed values
+ * @param {string|null} value - Stored JSON text
+ * @returns {Array} Parsed array (empty if not an array)
+ */
+function parseJsonArray(value) {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.log('Migration note: could not parse JSON value', value);
+    return [];
+  }
+}
+
+/**
+ * Build a resolver for legacy person/place references.
+ * Older rows reference people and places by ID, by row number (from a bug
+ * where the insert row ID was returned instead of the entity ID), by name,
+ * or as { id, name } objects. The old save path already created a row for
+ * every new name, so references that match nothing are dropped.
+ * @param {Array} rows - Existing rows with rowid, id and name
+ * @returns {Function} Function mapping a reference to an ID (or null)
+ */
+function createReferenceResolver(rows) {
+  const ids = new Set(rows.map(row => row.id));
+  const idsByRowId = new Map(rows.map(row => [String(row.rowid), row.id]));
+  const idsByName = new Map(rows.map(row => [row.name.toLowerCase().trim(), row.id]));
+
+  return (reference) => {
+    let value = reference;
+    if (value && typeof value === 'object') {
+      value = ids.has(value.id) ? value.id : value.name;
+    }
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return null;
+    }
+
+    const key = String(value).trim();
+    if (ids.has(key)) {
+      return key;
+    }
+    if (idsByRowId.has(key)) {
+      return idsByRowId.get(key);
+    }
+    if (idsByName.has(key.toLowerCase())) {
+      return idsByName.get(key.toLowerCase());
+    }
+
+    console.log('Migration note: dropping unresolved reference', key);
+    return null;
+  };
+}
+
+/**
+ * Re-point references stored as row numbers to the entity ID
+ * @param {Object} db - Database connection
+ * @param {string} table - Table holding the reference
+ * @param {string} column - Referencing column
+ * @param {string} targetTable - Referenced table
+ * @param {string} [where] - Extra condition limiting the rows to fix
+ */
+async function repairRowIdReferences(db, table, column, targetTable, where = '1 = 1') {
+  await db.runAsync(`
+    UPDATE ${table}
+    SET ${column} = (
+      SELECT id FROM ${targetTable} WHERE CAST(${targetTable}.rowid AS TEXT) = ${table}.${column}
+    )
+    WHERE ${where}
+    AND ${column} NOT IN (SELECT id FROM ${targetTable})
+    AND ${column} IN (SELECT CAST(rowid AS TEXT) FROM ${targetTable})
+  `);
+}
+
+/**
+ * Create the triggers that record every insert, update and delete of a
+ * table in sync_changes, except for the record the change log is paused
+ * for (while a remote change to it is applied). Each record keeps only its
+ * latest change, stamped with the next value of the logical clock in sync_state.
+ * @param {Object} db - Database connection
+ * @param {string} table - Table to track
+ */
+async function createChangeLogTriggers(db, table) {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  const primaryKey = columns
+    .filter(column => column.pk > 0)
+    .sort((a, b) => a.pk - b.pk)
+    .map(column => column.name);
+
+  // Single keys are stored as-is, composite keys as a JSON array of their values
+  const recordId = (alias) => primaryKey.length === 1
+    ? `${alias}.${primaryKey[0]}`
+    : `json_array(${primaryKey.map(column => `${alias}.${column}`).join(', ')})`;
+
+  const events = [
+    ['insert', 'INSERT', 'created', 'NEW'],
+    ['update', 'UPDATE', 'updated', 'NEW'],
+    ['delete', 'DELETE', 'deleted', 'OLD']
+  ];
+
+  for (const [suffix, event, operation, alias] of events) {
+    await db.execAsync(`
+      CREATE TRIGGER IF NOT EXISTS sync_${table}_${suffix} AFTER ${event} ON ${table}
+      WHEN (SELECT paused_record FROM sync_state) IS NOT '${table}:' || ${recordId(alias)}
+      BEGIN
+        UPDATE sync_state SET clock = clock + 1;
+        INSERT OR REPLACE INTO sync_changes (table_name, record_id, operation, clock, device_id, pushed)
+        VALUES ('${table}', ${recordId(alias)}, '${operation}', (SELECT clock FROM sync_state), NULL, 0);
+      END;
+    `);
+  }
+
+  // Rows that existed before tracking started are logged as created
+  await db.runAsync(`
+    INSERT OR IGNORE INTO sync_changes (table_name, record_id, operation, clock, device_id, pushed)
+    SELECT '${table}', ${recordId(table)}, 'created', (SELECT clock FROM sync_state), NULL, 0 FROM ${table}
+  `);
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    // Uses IF NOT EXISTS so the mood tables of an existing memoria.db are adopted as-is
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS user_profile (
+          id TEXT PRIMARY KEY,
+          name TEXT,
+          birthdate TEXT,
+          profile_image TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS mood_entries (
+          id TEXT PRIMARY KEY,
+          entry_time INTEGER NOT NULL,
+          rating INTEGER NOT NULL,
+          emotion TEXT NOT NULL,
+          notes TEXT,
+          location TEXT,
+          social_context TEXT,
+          weather TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS mood_tags (
+          id TEXT PRIMARY KEY,
+          mood_id TEXT NOT NULL,
+          tag_name TEXT NOT NULL,
+          FOREIGN KEY (mood_id) REFERENCES mood_entries (id)
+            ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS mood_entry_metadata (
+          id TEXT PRIMARY KEY,
+          mood_id TEXT NOT NULL,
+          metadata_type TEXT NOT NULL,
+          metadata_value TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          FOREIGN KEY (mood_id) REFERENCES mood_entries (id)
+            ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS mood_activities (
+          id TEXT PRIMARY KEY,
+          mood_id TEXT NOT NULL,
+          activity_type TEXT NOT NULL,
+          activity_name TEXT NOT NULL,
+          FOREIGN KEY (mood_id) REFERENCES mood_entries (id)
+            ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS mood_entries_timestamp
+        ON mood_entries (entry_time);
+
+        CREATE TABLE IF NOT EXISTS food_entries (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          calories INTEGER,
+          protein REAL,
+          carbs REAL,
+          fat REAL,
+          meal_type TEXT,
+          date TEXT NOT NULL,
+          notes TEXT,
+          image_uri TEXT,
+          people TEXT,
+          place TEXT,
+          mood_rating INTEGER,
+          mood_emotion TEXT,
+          food_rating INTEGER,
+          is_restaurant INTEGER,
+          restaurant_name TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS food_entries_date
+        ON food_entries (date);
+
+        CREATE TABLE IF NOT EXISTS places (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          address TEXT,
+          latitude REAL,
+          longitude REAL,
+          notes TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS place_moods (
+          id TEXT PRIMARY KEY,
+          place_id TEXT NOT NULL,
+          mood_id TEXT NOT NULL,
+          FOREIGN KEY (place_id) REFERENCES places (id) ON DELETE CASCADE,
+          FOREIGN KEY (mood_id) REFERENCES mood_entries (id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS people (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          context TEXT,
+          status TEXT,
+          birthDate TEXT,
+          isDeceased INTEGER,
+          deceasedDate TEXT,
+          phoneNumber TEXT,
+          email TEXT,
+          socials TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS person_tags (
+          id TEXT PRIMARY KEY,
+          person_id TEXT NOT NULL,
+          type TEXT NOT NULL,
+          value TEXT NOT NULL,
+          FOREIGN KEY (person_id) REFERENCES people (id)
+            ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS memories (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL,
+          description TEXT,
+          date TEXT NOT NULL,
+          location TEXT,
+          people TEXT,
+          photos TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS entity_relationships (
+          id TEXT PRIMARY KEY,
+          source_type TEXT NOT NULL,
+          source_id TEXT NOT NULL,
+          target_type TEXT NOT NULL,
+          target_id TEXT NOT NULL,
+          relationship_type TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_source ON entity_relationships (source_type, source_id);
+        CREATE INDEX IF NOT EXISTS idx_target ON entity_relationships (target_type, target_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'entry_people_and_places',
+    // Replaces name strings and JSON arrays with join tables keyed by person/place ID
+    up: async (db) => {
+      const now = new Date().toISOString();
+
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS entry_people (
+          entry_type TEXT NOT NULL,
+          entry_id TEXT NOT NULL,
+          person_id TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (entry_type, entry_id, person_id),
+          FOREIGN KEY (person_id) REFERENCES people (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS entry_people_person ON entry_people (person_id);
+
+        CREATE TABLE IF NOT EXISTS entry_places (
+          entry_type TEXT NOT NULL,
+          entry_id TEXT NOT NULL,
+          place_id TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (entry_type, entry_id, place_id),
+          FOREIGN KEY (place_id) REFERENCES places (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS entry_places_place ON entry_places (place_id);
+
+        CREATE TABLE IF NOT EXISTS memory_photos (
+          id TEXT PRIMARY KEY,
+          memory_id TEXT NOT NULL,
+          uri TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          FOREIGN KEY (memory_id) REFERENCES memories (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS memory_photos_memory ON memory_photos (memory_id);
+
+        CREATE TRIGGER IF NOT EXISTS mood_entries_delete_links AFTER DELETE ON mood_entries
+        BEGIN
+          DELETE FROM entry_people WHERE entry_type = 'mood' AND entry_id = OLD.id;
+          DELETE FROM entry_places WHERE entry_type = 'mood' AND entry_id = OLD.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS food_entries_delete_links AFTER DELETE ON food_entries
+        BEGIN
+          DELETE FROM entry_people WHERE entry_type = 'food' AND entry_id = OLD.id;
+          DELETE FROM entry_places WHERE entry_type = 'food' AND entry_id = OLD.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memories_delete_links AFTER DELETE ON memories
+        BEGIN
+          DELETE FROM entry_people WHERE entry_type = 'memory' AND entry_id = OLD.id;
+          DELETE FROM entry_places WHERE entry_type = 'memory' AND entry_id = OLD.id;
+        END;
+      `);
+
+      // Hobby/interest tags and relationships were written with row numbers instead of IDs
+      await repairRowIdReferences(db, 'person_tags', 'person_id', 'people');
+      await db.runAsync('DELETE FROM person_tags WHERE person_id NOT IN (SELECT id FROM people)');
+
+      const entityTables = { person: 'people', place: 'places', food: 'food_entries', memory: 'memories' };
+      for (const [entityType, table] of Object.entries(entityTables)) {
+        await repairRowIdReferences(db, 'entity_relationships', 'source_id', table, `source_type = '${entityType}'`);
+        await repairRowIdReferences(db, 'entity_relationships', 'target_id', table, `target_type = '${entityType}'`);
+      }
+
+      const resolvePerson = createReferenceResolver(
+        await db.getAllAsync('SELECT rowid, id, name FROM people')
+      );
+      const resolvePlace = createReferenceResolver(
+        await db.getAllAsync('SELECT rowid, id, name FROM places')
+      );
+
+      const linkPeople = async (entryType, entryId, references) => {
+        for (const reference of references) {
+          const personId = resolvePerson(reference);
+          if (personId) {
+            await db.runAsync(
+              `INSERT OR IGNORE INTO entry_people (entry_type, entry_id, person_id, created_at) VALUES (?, ?, ?, ?)`,
+              [entryType, entryId, personId, now]
+            );
+          }
+        }
+      };
+
+      const linkPlace = async (entryType, entryId, reference) => {
+        const placeId = resolvePlace(reference);
+        if (placeId) {
+          await db.runAsync(
+            `INSERT OR IGNORE INTO entry_places (entry_type, entry_id, place_id, created_at) VALUES (?, ?, ?, ?)`,
+            [entryType, entryId, placeId, now]
+          );
+        }
+      };
+
+      const foodEntries = await db.getAllAsync('SELECT id, people, place FROM food_entries');
+      for (const entry of foodEntries) {
+        await linkPeople('food', entry.id, parseJsonArray(entry.people));
+        await linkPlace('food', entry.id, entry.place);
+      }
+
+      const memories = await db.getAllAsync('SELECT id, people, photos, location FROM memories');
+      for (const memory of memories) {
+        await linkPeople('memory', memory.id, parseJsonArray(memory.people));
+        await linkPlace('memory', memory.id, memory.location);
+
+        const photos = parseJsonArray(memory.photos).filter(uri => typeof uri === 'string');
+        for (let position = 0; position < photos.length; position++) {
+          await db.runAsync(
+            'INSERT INTO memory_photos (id, memory_id, uri, position) VALUES (?, ?, ?, ?)',
+            [generateId(), memory.id, photos[position], position]
+          );
+        }
+      }
+
+      const moodPeople = await db.getAllAsync(
+        `SELECT mood_id, metadata_value FROM mood_entry_metadata WHERE metadata_type = 'people_data'`
+      );
+      for (const row of moodPeople) {
+        await linkPeople('mood', row.mood_id, parseJsonArray(row.metadata_value));
+      }
+      await db.runAsync(`DELETE FROM mood_entry_metadata WHERE metadata_type = 'people_data'`);
+
+      await db.runAsync(`
+        INSERT OR IGNORE INTO entry_places (entry_type, entry_id, place_id, created_at)
+        SELECT 'mood', mood_id, place_id, ? FROM place_moods
+        WHERE place_id IN (SELECT id FROM places)
+      `, [now]);
+
+      await db.execAsync(`
+        DROP TABLE place_moods;
+        ALTER TABLE food_entries DROP COLUMN people;
+        ALTER TABLE food_entries DROP COLUMN place;
+        ALTER TABLE memories DROP COLUMN people;
+        ALTER TABLE memories DROP COLUMN photos;
+        ALTER TABLE memories DROP COLUMN location;
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'encryption_keys',
+    up: async (db) => {
+      // Data keys wrapped with a key derived from the user's passphrase.
+      // The data keys themselves are only ever held in memory.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS encryption_keys (
+          id TEXT PRIMARY KEY,
+          kdf TEXT NOT NULL,
+          salt TEXT NOT NULL,
+          iterations INTEGER NOT NULL,
+          wrapped_key TEXT NOT NULL,
+          is_active INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'vault_key_wrappings',
+    up: async (db) => {
+      // Data keys are wrapped by a random vault key, which in turn is wrapped
+      // once by the passphrase and once by the recovery code. Changing the
+      // passphrase then only re-wraps the vault key. Keys left in
+      // encryption_keys by version 3 are moved over on the next unlock,
+      // because unwrapping them needs the passphrase.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS key_wrappings (
+          kind TEXT PRIMARY KEY,
+          kdf TEXT NOT NULL,
+          salt TEXT NOT NULL,
+          iterations INTEGER NOT NULL,
+          wrapped_key TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS data_keys (
+          id TEXT PRIMARY KEY,
+          wrapped_key TEXT NOT NULL,
+          is_active INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'sync_change_log',
+    up: async (db) => {
+      // Latest change of every synced record, and the device's logical clock.
+      // Changes made on this device have no device_id until they are pushed.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS sync_state (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          clock INTEGER NOT NULL,
+          paused_record TEXT,
+          pull_cursor INTEGER NOT NULL DEFAULT 0
+        );
+
+        INSERT OR IGNORE INTO sync_state (id, clock, paused_record, pull_cursor) VALUES (1, 1, NULL, 0);
+
+        CREATE TABLE IF NOT EXISTS sync_changes (
+          table_name TEXT NOT NULL,
+          record_id TEXT NOT NULL,
+          operation TEXT NOT NULL,
+          clock INTEGER NOT NULL,
+          device_id TEXT,
+          pushed INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (table_name, record_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS sync_changes_pending ON sync_changes (pushed, clock);
+      `);
+
+      const syncedTables = [
+        'mood_entries',
+        'mood_tags',
+        'mood_activities',
+        'mood_entry_metadata',
+        'food_entries',
+        'people',
+        'person_tags',
+        'places',
+        'memories',
+        'memory_photos',
+        'entry_people',
+        'entry_places',
+        'entity_relationships'
+      ];
+      for (const table of syncedTables) {
+        await createChangeLogTriggers(db, table);
+      }
+    }
+  },
+  {
+    version: 6,
+    name: 'soft_delete',
+    up: async (db) => {
+      // Deleted entities stay in their table with deleted_at set until they
+      // are purged from the trash. Purging deletes the row, which also
+      // removes its entity_relationships rows.
+      const entityTables = { mood: 'mood_entries', food: 'food_entries', person: 'people', place: 'places', memory: 'memories' };
+
+      for (const [entityType, table] of Object.entries(entityTables)) {
+        await db.execAsync(`
+          ALTER TABLE ${table} ADD COLUMN deleted_at TEXT;
+
+          CREATE INDEX IF NOT EXISTS ${table}_deleted_at ON ${table} (deleted_at);
+
+          CREATE TRIGGER IF NOT EXISTS ${table}_delete_relationships AFTER DELETE ON ${table}
+          BEGIN
+            DELETE FROM entity_relationships
+            WHERE (source_type = '${entityType}' AND source_id = OLD.id)
+            OR (target_type = '${entityType}' AND target_id = OLD.id);
+          END;
+        `);
+
+        // Relationships left behind by earlier hard deletes
+        await db.runAsync(`
+          DELETE FROM entity_relationships
+          WHERE (source_type = '${entityType}' AND source_id NOT IN (SELECT id FROM ${table}))
+          OR (target_type = '${entityType}' AND target_id NOT IN (SELECT id FROM ${table}))
+        `);
+      }
+    }
+  },
+  {
+    version: 7,
+    name: 'diary_entries',
+    up: async (db) => {
+      // One diary entry per local day. The ID is the date (YYYY-MM-DD), so
+      // entries written for the same day on two devices sync into one.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS diary_entries (
+          id TEXT PRIMARY KEY,
+          content TEXT NOT NULL,
+          prompt TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `);
+
+      await createChangeLogTriggers(db, 'diary_entries');
+    }
+  },
+  {
+    version: 8,
+    name: 'health',
+    up: async (db) => {
+      // Medications with the times of day their doses are due (a JSON
+      // array of 'HH:MM'), and one table for everything logged: sleep,
+      // workouts, doses taken, weight and blood pressure. Each kind only
+      // uses some of the columns. recorded_at is the wake-up time of a
+      // sleep and the start time of a workout.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS medications (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          dose TEXT,
+          schedule TEXT NOT NULL DEFAULT '[]',
+          is_active INTEGER NOT NULL DEFAULT 1,
+          notes TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS health_entries (
+          id TEXT PRIMARY KEY,
+          kind TEXT NOT NULL,
+          recorded_at TEXT NOT NULL,
+          duration_minutes INTEGER,
+          quality INTEGER,
+          activity TEXT,
+          intensity TEXT,
+          medication_id TEXT,
+          dose TEXT,
+          weight REAL,
+          systolic INTEGER,
+          diastolic INTEGER,
+          pulse INTEGER,
+          notes TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          deleted_at TEXT,
+          FOREIGN KEY (medication_id) REFERENCES medications (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS health_entries_kind_recorded_at ON health_entries (kind, recorded_at);
+        CREATE INDEX IF NOT EXISTS health_entries_medication_id ON health_entries (medication_id);
+        CREATE INDEX IF NOT EXISTS health_entries_deleted_at ON health_entries (deleted_at);
+
+        CREATE TRIGGER IF NOT EXISTS health_entries_delete_relationships AFTER DELETE ON health_entries
+        BEGIN
+          DELETE FROM entity_relationships
+          WHERE (source_type = 'health' AND source_id = OLD.id)
+          OR (target_type = 'health' AND target_id = OLD.id);
+        END;
+      `);
+
+      await createChangeLogTriggers(db, 'medications');
+      await createChangeLogTriggers(db, 'health_entries');
+    }
+  },
+  {
+    version: 9,
+    name: 'pursuits',
+    up: async (db) => {
+      // Hobbies and skills (kind 'hobby' or 'skill'), the sessions they
+      // were practiced in and their goals. Sessions link people and places
+      // like other entries do.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS pursuits (
+          id TEXT PRIMARY KEY,
+          kind TEXT NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          deleted_at TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS practice_sessions (
+          id TEXT PRIMARY KEY,
+          pursuit_id TEXT NOT NULL,
+          practiced_at TEXT NOT NULL,
+          duration_minutes INTEGER NOT NULL,
+          rating INTEGER,
+          notes TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          deleted_at TEXT,
+          FOREIGN KEY (pursuit_id) REFERENCES pursuits (id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS pursuit_goals (
+          id TEXT PRIMARY KEY,
+          pursuit_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          target_minutes INTEGER,
+          target_date TEXT,
+          completed_at TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          FOREIGN KEY (pursuit_id) REFERENCES pursuits (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS pursuits_kind ON pursuits (kind);
+        CREATE INDEX IF NOT EXISTS pursuits_deleted_at ON pursuits (deleted_at);
+        CREATE INDEX IF NOT EXISTS practice_sessions_pursuit ON practice_sessions (pursuit_id, practiced_at);
+        CREATE INDEX IF NOT EXISTS practice_sessions_deleted_at ON practice_sessions (deleted_at);
+        CREATE INDEX IF NOT EXISTS pursuit_goals_pursuit ON pursuit_goals (pursuit_id);
+
+        CREATE TRIGGER IF NOT EXISTS pursuits_delete_relationships AFTER DELETE ON pursuits
+        BEGIN
+          DELETE FROM entity_relationships
+          WHERE (source_type = 'pursuit' AND source_id = OLD.id)
+          OR (target_type = 'pursuit' AND target_id = OLD.id);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS practice_sessions_delete_relationships AFTER DELETE ON practice_sessions
+        BEGIN
+          DELETE FROM entity_relationships
+          WHERE (source_type = 'session' AND source_id = OLD.id)
+          OR (target_type = 'session' AND target_id = OLD.id);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS practice_sessions_delete_links AFTER DELETE ON practice_sessions
+        BEGIN
+          DELETE FROM entry_people WHERE entry_type = 'session' AND entry_id = OLD.id;
+          DELETE FROM entry_places WHERE entry_type = 'session' AND entry_id = OLD.id;
+        END;
+      `);
+
+      for (const table of ['pursuits', 'practice_sessions', 'pursuit_goals']) {
+        await createChangeLogTriggers(db, table);
+      }
+    }
+  },
+  {
+    version: 10,
+    name: 'biography',
+    up: async (db) => {
+      // generated_key names the generated chapter a row came from, NULL for chapters the user added
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS biography_chapters (
+          id TEXT PRIMARY KEY,
+          position INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          body TEXT,
+          period_start TEXT,
+          period_end TEXT,
+          generated_key TEXT,
+          is_edited INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS biography_chapters_position ON biography_chapters (position);
+      `);
+
+      await createChangeLogTriggers(db, 'biography_chapters');
+    }
+  },
+  {
+    version: 11,
+    name: 'place_visits',
+    up: async (db) => {
+      // status is 'confirmed' for places the user saved, 'suggested' for ones clustered
+      // from geotagged entries and 'ignored' for suggestions the user turned down.
+      // Visits are derived from entry times (services/PlaceClusteringService.js).
+      await db.execAsync(`
+        ALTER TABLE places ADD COLUMN status TEXT NOT NULL DEFAULT 'confirmed';
+
+        CREATE TABLE IF NOT EXISTS place_visits (
+          id TEXT PRIMARY KEY,
+          place_id TEXT NOT NULL,
+          arrived_at TEXT NOT NULL,
+          departed_at TEXT NOT NULL,
+          dwell_minutes INTEGER NOT NULL,
+          entry_count INTEGER NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          FOREIGN KEY (place_id) REFERENCES places (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS places_status ON places (status);
+        CREATE INDEX IF NOT EXISTS place_visits_place ON place_visits (place_id, arrived_at);
+      `);
+
+      await createChangeLogTriggers(db, 'place_visits');
+    }
+  },
+  {
+    version: 12,
+    name: 'geocoding',
+    up: async (db) => {
+      // address stays as the one-line text shown and searched, formatted from the
+      // fields when they are set (utils/address.js). geocode_cache holds reverse
+      // geocoding results keyed by a hash of the rounded coordinates; it can be
+      // rebuilt on every device, so it is neither synced nor archived.
+      await db.execAsync(`
+        ALTER TABLE places ADD COLUMN street TEXT;
+        ALTER TABLE places ADD COLUMN neighbourhood TEXT;
+        ALTER TABLE places ADD COLUMN city TEXT;
+        ALTER TABLE places ADD COLUMN country TEXT;
+
+        CREATE TABLE IF NOT EXISTS geocode_cache (
+          id TEXT PRIMARY KEY,
+          street TEXT,
+          neighbourhood TEXT,
+          city TEXT,
+          country TEXT,
+          source TEXT NOT NULL,
+          resolved_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'weather_cache',
+    up: async (db) => {
+      // Weather by place and hour, keyed by a hash of the rounded coordinates and
+      // the hour (database/WeatherCacheDB.js). Like geocode_cache it is local to
+      // the device, so it is neither synced nor archived.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS weather_cache (
+          id TEXT PRIMARY KEY,
+          data TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          fetched_at TEXT NOT NULL
+        );
+      `);
+    }
+  }
+];
@@ -5,52 +5,49 @@
  * storage and retrieval of large amounts of data.
  */
 
-import * as SQLite from 'expo-sqlite';
 import * as FileSystem from 'expo-file-system';
 import { Asset } from 'expo-asset';
+import { getDatabase, getAllByIds } from './Database';
+import { setEntryPeople, withEntryLinks } from './EntryLinksDB';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { moveToTrash } from './TrashDB';
+import { updateSearchIndex, invalidateSearchIndex } from './SearchIndex';
+import { relateMoodToHealth } from './HealthDB';
+import { isMockWeather } from '../utils/weather';
+import { toCoordinate } from '../utils/geo';
 
 // Import the UnifiedDB functions
 import { saveMoodEntryWithReferences as saveMoodWithRefs, getFoodHistoryForMood } from './UnifiedDB';
 
-// Database connection
-let db = null;
+// Whether the first-launch checks have run
+let isInitialized = false;
+
+// Check-ins from MoodSurvey and ScientificSurvey are mood entries with this tag
+export const SURVEY_TAG = 'survey';
 
 /**
- * Reset the database by closing it and deleting the file
- * Sometimes necessary when schema changes cause conflicts
+ * Reset the mood data by clearing all mood tables
+ * Relationships pointing at mood entries are removed as well
  * @returns {Promise<void>}
  */
 export async function resetDatabase() {
-  console.log("Attempting to reset database...");
+  console.log("Attempting to reset mood data...");
   try {
-    // First close the database if it's open
-    if (db) {
-      console.log("Closing database connection");
-      await db.closeAsync();
-      db = null;
-    }
+    const db = await getDatabase();
     
-    // Try to delete the database file
-    try {
-      const dbPath = FileSystem.documentDirectory + 'SQLite/memoria.db';
-      const fileInfo = await FileSystem.getInfoAsync(dbPath);
-      
-      if (fileInfo.exists) {
-        console.log("Database file exists, deleting it");
-        await FileSystem.deleteAsync(dbPath, { idempotent: true });
-        console.log("Database file deleted");
-      } else {
-        console.log("Database file does not exist at:", dbPath);
-      }
-    } catch (deleteError) {
-      console.log("Error deleting database file:", deleteError);
-      // Continue anyway
-    }
-    
-    // Reinitialize the database
-    console.log("Reinitializing database");
-    await initDatabase();
-    console.log("Database reset completed");
+    await db.withTransactionAsync(async () => {
+      await db.runAsync('DELETE FROM mood_tags');
+      await db.runAsync('DELETE FROM mood_activities');
+      await db.runAsync('DELETE FROM mood_entry_metadata');
+      await db.runAsync(`DELETE FROM entry_people WHERE entry_type = 'mood'`);
+      await db.runAsync(`DELETE FROM entry_places WHERE entry_type = 'mood'`);
+      await db.runAsync(
+        `DELETE FROM entity_relationships WHERE source_type = 'mood' OR target_type = 'mood'`
+      );
+      await db.runAsync('DELETE FROM mood_entries');
+    });
+    invalidateSearchIndex();
+    console.log("Mood data reset completed");
     
     // Generate mock data after reset
     await generateMockData();
@@ -61,114 +58,24 @@ export async function resetDatabase() {
 
 /**
  * Initialize the database
+ * The schema itself is created by the migrations in Database.js
  * @returns {Promise<void>}
  */
 export async function initDatabase() {
-  if (db !== null) {
+  if (isInitialized) {
     return;
   }
   
   try {
-    console.log("Opening database...");
-    // Open database
-    db = await SQLite.openDatabaseAsync('memoria.db');
-    console.log("Database connection established");
+    await getDatabase();
+    isInitialized = true;
+    console.log('Database initialized successfully');
     
-    // Create tables if they don't exist
-    try {
-      console.log("Creating user profile table...");
-      // Create user profile table
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS user_profile (
-          id TEXT PRIMARY KEY,
-          name TEXT,
-          birthdate TEXT,
-          profile_image TEXT,
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL
-        );
-      `);
-      
-      console.log("Creating mood entries table...");
-      // Create mood entries table
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS mood_entries (
-          id TEXT PRIMARY KEY,
-          entry_time INTEGER NOT NULL,
-          rating INTEGER NOT NULL,
-          emotion TEXT NOT NULL,
-          notes TEXT,
-          location TEXT,
-          social_context TEXT,
-          weather TEXT,
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL
-        );
-      `);
-      
-      console.log("Creating tags table...");
-      // Create tags for mood entries (many-to-many)
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS mood_tags (
-          id TEXT PRIMARY KEY,
-          mood_id TEXT NOT NULL,
-          tag_name TEXT NOT NULL,
-          FOREIGN KEY (mood_id) REFERENCES mood_entries (id) 
-            ON DELETE CASCADE
-        );
-      `);
-      
-      console.log("Creating metadata table for extended mood data...");
-      // Create metadata table for extended data (location coords, weather details, etc.)
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS mood_entry_metadata (
-          id TEXT PRIMARY KEY,
-          mood_id TEXT NOT NULL,
-          metadata_type TEXT NOT NULL,
-          metadata_value TEXT NOT NULL,
-          created_at TEXT NOT NULL,
-          FOREIGN KEY (mood_id) REFERENCES mood_entries (id) 
-            ON DELETE CASCADE
-        );
-      `);
-      
-      console.log("Creating activities table...");
-      // Create activities for mood entries (many-to-many)
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS mood_activities (
-          id TEXT PRIMARY KEY,
-          mood_id TEXT NOT NULL,
-          activity_type TEXT NOT NULL,
-          activity_name TEXT NOT NULL,
-          FOREIGN KEY (mood_id) REFERENCES mood_entries (id) 
-            ON DELETE CASCADE
-        );
-      `);
-      
-      console.log("Creating indexes...");
-      // Create indexes for better performance
-      await db.execAsync(`
-        CREATE INDEX IF NOT EXISTS mood_entries_timestamp 
-        ON mood_entries (entry_time);
-      `);
-      
-      console.log('Database initialized successfully');
-      
-      // Check if we need to generate mock data (if no entries exist)
-      const entriesCount = await getDatabaseStats();
-      if (!entriesCount.moodEntries || entriesCount.moodEntries === 0) {
-        console.log('No entries found, generating mock data...');
-        await generateMockData();
-      }
-    } catch (tableError) {
-      console.error('Error creating tables:', tableError);
-      if (tableError.message) {
-        console.error('Error message:', tableError.message);
-      }
-      if (tableError.cause) {
-        console.error('Error cause:', tableError.cause);
-      }
-      throw tableError;
+    // Check if we need to generate mock data (if no entries exist)
+    const entriesCount = await getDatabaseStats();
+    if (!entriesCount.moodEntries || entriesCount.moodEntries === 0) {
+      console.log('No entries found, generating mock data...');
+      await generateMockData();
     }
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -189,10 +96,6 @@ export async function initDatabase() {
  * @returns {Promise<void>}
  */
 export async function generateMockData() {
-  if (!db) {
-    await initDatabase();
-  }
-
   try {
     console.log("Generating mock mood entries...");
     
@@ -495,7 +398,7 @@ function validateMoodEntry(entry) {
  * @returns {Promise<Object>} Saved mood entry object
  */
 export async function saveMoodEntry(moodEntry) {
-  await initDatabase();
+  const db = await getDatabase();
   
   try {
     // Validate the entry
@@ -518,6 +421,8 @@ export async function saveMoodEntry(moodEntry) {
       updated_at: currentTime
     };
     
+    const { notes, location } = await encryptColumns('mood_entries', entryData);
+    
     // Insert the mood entry
     await db.runAsync(
       `INSERT INTO mood_entries (
@@ -529,8 +434,8 @@ export async function saveMoodEntry(moodEntry) {
         entryData.entry_time,
         entryData.rating,
         entryData.emotion,
-        entryData.notes,
-        entryData.location,
+        notes,
+        location,
         entryData.social_context,
         entryData.weather,
         entryData.created_at,
@@ -584,15 +489,13 @@ export async function saveMoodEntry(moodEntry) {
       );
     }
     
-    // Save people data if provided
+    // Link people if provided
     if (moodEntry.people && Array.isArray(moodEntry.people) && moodEntry.people.length > 0) {
-      await saveMetadata(
-        entryData.id,
-        'people_data',
-        JSON.stringify(moodEntry.people)
-      );
+      await setEntryPeople('mood', entryData.id, moodEntry.people);
     }
     
+    await relateToHealthSafely(entryData.id);
+    await updateSearchIndex('mood', entryData.id);
     return entryData.id;
   } catch (error) {
     console.error('Error saving mood entry:', error);
@@ -600,9 +503,22 @@ export async function saveMoodEntry(moodEntry) {
   }
 }
 
+// Relate a mood to the sleep and workouts before it; the mood is saved even if this fails
+async function relateToHealthSafely(moodId) {
+  try {
+    await relateMoodToHealth(moodId);
+  } catch (error) {
+    console.error('Error relating mood entry to health entries:', error);
+  }
+}
+
 // Helper function to save metadata
 async function saveMetadata(moodId, metadataType, metadataValue) {
   try {
+    const db = await getDatabase();
+    const { metadata_value: storedValue } = await encryptColumns('mood_entry_metadata', {
+      metadata_value: metadataValue
+    });
     await db.runAsync(
       `INSERT INTO mood_entry_metadata (id, mood_id, metadata_type, metadata_value, created_at)
        VALUES (?, ?, ?, ?, ?)`,
@@ -610,7 +526,7 @@ async function saveMetadata(moodId, metadataType, metadataValue) {
         generateId(),
         moodId,
         metadataType,
-        metadataValue,
+        storedValue,
         new Date().toISOString()
       ]
     );
@@ -621,20 +537,151 @@ async function saveMetadata(moodId, metadataType, metadataValue) {
 }
 
 /**
- * Get mood entries with pagination
+ * Load tags, activities and metadata for mood entry rows
+ * @param {Object} db - Database connection
+ * @param {Array} rows - Rows from mood_entries
+ * @returns {Promise<Array>} Mood entries without people/place links
+ */
+async function loadEntryDetails(db, rows) {
+  const entryIds = rows.map(row => row.id);
+  const [tagRows, activityRows, metadataRows] = await Promise.all([
+    getAllByIds(db, placeholders =>
+      `SELECT mood_id, tag_name FROM mood_tags WHERE mood_id IN (${placeholders})`, entryIds),
+    getAllByIds(db, placeholders =>
+      `SELECT mood_id, activity_type, activity_name FROM mood_activities WHERE mood_id IN (${placeholders})`, entryIds),
+    getAllByIds(db, placeholders =>
+      `SELECT mood_id, metadata_type, metadata_value FROM mood_entry_metadata WHERE mood_id IN (${placeholders})`, entryIds)
+  ]);
+
+  const groupByEntry = (detailRows) => {
+    const rowsByEntry = {};
+    for (const row of detailRows) {
+      if (!rowsByEntry[row.mood_id]) {
+        rowsByEntry[row.mood_id] = [];
+      }
+      rowsByEntry[row.mood_id].push(row);
+    }
+    return rowsByEntry;
+  };
+  const tagsByEntry = groupByEntry(tagRows);
+  const activitiesByEntry = groupByEntry(activityRows);
+  const metadataByEntry = groupByEntry(decryptRows('mood_entry_metadata', metadataRows));
+
+  return decryptRows('mood_entries', rows).map(entry => {
+    const tags = (tagsByEntry[entry.id] || []).map(row => row.tag_name);
+
+    const activities = {};
+    for (const item of activitiesByEntry[entry.id] || []) {
+      activities[item.activity_type] = item.activity_name;
+    }
+
+    let weatherData = null;
+    let locationData = null;
+
+    // Parse metadata items; saveMoodEntry writes the *_data types
+    for (const metadata of metadataByEntry[entry.id] || []) {
+      try {
+        if (metadata.metadata_type === 'weather_data' || metadata.metadata_type === 'weather') {
+          weatherData = JSON.parse(metadata.metadata_value);
+        } else if (metadata.metadata_type === 'location_data' || metadata.metadata_type === 'location') {
+          locationData = JSON.parse(metadata.metadata_value);
+        }
+      } catch (parseError) {
+        console.error('Error parsing metadata:', parseError);
+      }
+    }
+
+    return {
+      id: entry.id,
+      entry_time: entry.entry_time,
+      rating: entry.rating,
+      emotion: entry.emotion,
+      notes: entry.notes,
+      location: entry.location,
+      socialContext: entry.socialContext,
+      weather: entry.weather,
+      tags,
+      activities,
+      weatherData,
+      locationData
+    };
+  });
+}
+
+// Weather is stored as "Condition, 20°C"; filters match the condition only
+const weatherCondition = (column) => `trim(substr(${column}, 1, instr(${column} || ',', ',') - 1))`;
+
+// Filter -> SQL condition on mood_entries e, with one ? per value
+const inList = (values) => values.map(() => '?').join(', ');
+const MOOD_FILTERS = {
+  minRating: () => 'e.rating >= ?',
+  maxRating: () => 'e.rating <= ?',
+  startDate: () => 'e.entry_time >= ?',
+  endDate: () => 'e.entry_time <= ?',
+  emotions: (values) => `e.emotion IN (${inList(values)})`,
+  socialContexts: (values) => `e.social_context IN (${inList(values)})`,
+  weather: (values) => `${weatherCondition('e.weather')} IN (${inList(values)})`,
+  tags: (values) =>
+    `EXISTS (SELECT 1 FROM mood_tags t WHERE t.mood_id = e.id AND t.tag_name IN (${inList(values)}))`,
+  activityTypes: (values) =>
+    `EXISTS (SELECT 1 FROM mood_activities a WHERE a.mood_id = e.id AND a.activity_type IN (${inList(values)}))`,
+  placeIds: (values) =>
+    `EXISTS (SELECT 1 FROM entry_places l WHERE l.entry_type = 'mood' AND l.entry_id = e.id AND l.place_id IN (${inList(values)}))`,
+  personIds: (values) =>
+    `EXISTS (SELECT 1 FROM entry_people l WHERE l.entry_type = 'mood' AND l.entry_id = e.id AND l.person_id IN (${inList(values)}))`
+};
+
+/**
+ * Turn mood filters into a WHERE clause. Unset filters and empty lists are ignored.
+ * @param {Object} filters - See queryMoodEntries
+ * @returns {Object} { where, params }
+ */
+function buildMoodFilter(filters) {
+  const conditions = ['e.deleted_at IS NULL'];
+  const params = [];
+
+  for (const [name, buildCondition] of Object.entries(MOOD_FILTERS)) {
+    let value = filters[name];
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+    if (value instanceof Date) {
+      value = value.getTime();
+    }
+
+    conditions.push(buildCondition(value));
+    params.push(...(Array.isArray(value) ? value : [value]));
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Get mood entries matching filters, with pagination.
+ * A list filter matches entries with any of its values; an entry must
+ * match every filter that is set.
+ * @param {Object} filters
+ * @param {number} [filters.minRating] - Lowest rating, inclusive
+ * @param {number} [filters.maxRating] - Highest rating, inclusive
+ * @param {string[]} [filters.emotions] - Emotion values
+ * @param {string[]} [filters.tags] - Tag names
+ * @param {string[]} [filters.activityTypes] - Activity categories
+ * @param {string[]} [filters.socialContexts] - Social contexts
+ * @param {string[]} [filters.weather] - Weather conditions, such as 'Clear'
+ * @param {string[]} [filters.placeIds] - Linked places
+ * @param {string[]} [filters.personIds] - Linked people
+ * @param {Date|number} [filters.startDate] - Earliest entry time, inclusive
+ * @param {Date|number} [filters.endDate] - Latest entry time, inclusive
  * @param {number} limit - Maximum number of entries to return
  * @param {number} offset - Number of entries to skip
  * @param {boolean} newestFirst - Sort by entry_time DESC (true) or ASC (false)
  * @returns {Promise<Array>} Array of mood entries
  */
-export async function getMoodEntries(limit = 20, offset = 0, newestFirst = true) {
-  if (!db) {
-    await initDatabase();
-  }
-  
+export async function queryMoodEntries(filters = {}, limit = 20, offset = 0, newestFirst = true) {
+  const db = await getDatabase();
+
   try {
-    console.log(`Fetching mood entries with limit ${limit}, offset ${offset}`);
-    // Get entries with tags and activities
+    const { where, params } = buildMoodFilter(filters);
     const result = await db.getAllAsync(`
       SELECT 
         e.id, e.entry_time, e.rating, e.emotion, e.notes,
@@ -642,96 +689,164 @@ export async function getMoodEntries(limit = 20, offset = 0, newestFirst = true)
         e.created_at, e.updated_at
       FROM 
         mood_entries e
+      WHERE 
+        ${where}
       ORDER BY 
         e.entry_time ${newestFirst ? 'DESC' : 'ASC'}
       LIMIT ? OFFSET ?
-    `, [limit, offset]);
-    
-    console.log(`Database returned ${result.length} entries`);
-    
-    const entries = [];
-    
-    for (const entry of result) {
-      // Get tags for this entry
-      const tagResult = await db.getAllAsync(
-        `SELECT tag_name FROM mood_tags
-        WHERE mood_id = ?;`,
-        [entry.id]
-      );
-      
-      const tags = tagResult.map(row => row.tag_name);
-      
-      // Get activities for this entry
-      const activityResult = await db.getAllAsync(
-        `SELECT activity_type, activity_name FROM mood_activities
-        WHERE mood_id = ?;`,
-        [entry.id]
-      );
-      
-      const activities = {};
-      for (const item of activityResult) {
-        activities[item.activity_type] = item.activity_name;
-      }
-      
-      // Get metadata for this entry (location, weather details)
-      const metadataResult = await db.getAllAsync(
-        `SELECT metadata_type, metadata_value FROM mood_entry_metadata
-        WHERE mood_id = ?;`,
-        [entry.id]
-      );
-      
-      let weatherData = null;
-      let locationData = null;
-      
-      // Parse metadata items
-      for (const metadata of metadataResult) {
-        try {
-          if (metadata.metadata_type === 'weather') {
-            weatherData = JSON.parse(metadata.metadata_value);
-          } else if (metadata.metadata_type === 'location') {
-            locationData = JSON.parse(metadata.metadata_value);
-          }
-        } catch (parseError) {
-          console.error('Error parsing metadata:', parseError);
-        }
-      }
-      
-      // Combine data and add to entries
-      entries.push({
-        id: entry.id,
-        entry_time: entry.entry_time,
-        rating: entry.rating,
-        emotion: entry.emotion,
-        notes: entry.notes,
-        location: entry.location,
-        socialContext: entry.socialContext,
-        weather: entry.weather,
-        tags,
-        activities,
-        weatherData,
-        locationData
-      });
-    }
-    
-    return entries;
+    `, [...params, limit, offset]);
+
+    return await withEntryLinks('mood', await loadEntryDetails(db, result));
+  } catch (error) {
+    console.error("Error querying mood entries:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the values mood entries can be filtered by that are not
+ * stored elsewhere: emotions, tags, activity categories, social contexts and weather conditions
+ * @returns {Promise<Object>} { emotions, tags, activityTypes, socialContexts, weather }, each sorted
+ */
+export async function getMoodFilterOptions() {
+  const db = await getDatabase();
+
+  try {
+    const distinct = async (sql) => (await db.getAllAsync(sql)).map(row => row.value);
+    const activeEntries = 'SELECT id FROM mood_entries WHERE deleted_at IS NULL';
+    return {
+      emotions: await distinct(
+        `SELECT DISTINCT emotion AS value FROM mood_entries
+         WHERE deleted_at IS NULL AND emotion != 'survey' ORDER BY value`
+      ),
+      tags: await distinct(
+        `SELECT DISTINCT tag_name AS value FROM mood_tags
+         WHERE mood_id IN (${activeEntries}) AND tag_name != '${SURVEY_TAG}' ORDER BY value`
+      ),
+      activityTypes: await distinct(
+        `SELECT DISTINCT activity_type AS value FROM mood_activities
+         WHERE mood_id IN (${activeEntries}) ORDER BY value`
+      ),
+      socialContexts: await distinct(
+        `SELECT DISTINCT social_context AS value FROM mood_entries
+         WHERE deleted_at IS NULL AND social_context IS NOT NULL AND social_context != '' ORDER BY value`
+      ),
+      weather: await distinct(
+        `SELECT DISTINCT value FROM (
+           SELECT ${weatherCondition('weather')} AS value FROM mood_entries
+           WHERE deleted_at IS NULL AND weather IS NOT NULL
+         ) WHERE value != '' ORDER BY value`
+      )
+    };
+  } catch (error) {
+    console.error("Error getting mood filter options:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get mood entries with pagination
+ * @param {number} limit - Maximum number of entries to return
+ * @param {number} offset - Number of entries to skip
+ * @param {boolean} newestFirst - Sort by entry_time DESC (true) or ASC (false)
+ * @returns {Promise<Array>} Array of mood entries
+ */
+export async function getMoodEntries(limit = 20, offset = 0, newestFirst = true) {
+  try {
+    console.log(`Fetching mood entries with limit ${limit}, offset ${offset}`);
+    return await queryMoodEntries({}, limit, offset, newestFirst);
   } catch (error) {
     console.error("Error getting mood entries:", error);
     return [];
   }
 }
 
+/**
+ * Get mood entries within a time range, oldest first
+ * @param {Date} startDate - Start of the range (inclusive)
+ * @param {Date} endDate - End of the range (inclusive)
+ * @returns {Promise<Array>} Array of mood entries
+ */
+export async function getMoodEntriesByDate(startDate, endDate) {
+  const db = await getDatabase();
+
+  try {
+    const result = await db.getAllAsync(`
+      SELECT 
+        e.id, e.entry_time, e.rating, e.emotion, e.notes,
+        e.location, e.social_context as socialContext, e.weather,
+        e.created_at, e.updated_at
+      FROM 
+        mood_entries e
+      WHERE 
+        e.entry_time BETWEEN ? AND ? AND e.deleted_at IS NULL
+      ORDER BY 
+        e.entry_time ASC
+    `, [startDate.getTime(), endDate.getTime()]);
+
+    return await withEntryLinks('mood', await loadEntryDetails(db, result));
+  } catch (error) {
+    console.error("Error getting mood entries by date:", error);
+    throw error;
+  }
+}
+
 /**
  * Get a specific mood entry by id
  * @param {string} id - Entry ID
  * @returns {Promise<Object|null>} Mood entry or null if not found
  */
 export async function getMoodEntryById(id) {
-  if (!db) {
-    await initDatabase();
+  try {
+    const [entry] = await getMoodEntriesByIds([id]);
+    return entry || null;
+  } catch (error) {
+    console.error("Error getting mood entry by id:", error);
+    return null;
   }
-  
+}
+
+/**
+ * Get mood entries by ID, in no particular order.
+ * Unknown and trashed IDs are left out.
+ * @param {string[]} ids - Entry IDs
+ * @returns {Promise<Array>} Array of mood entries
+ */
+export async function getMoodEntriesByIds(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const db = await getDatabase();
+  try {
+    const result = await getAllByIds(db, placeholders => `
+      SELECT 
+        e.id, e.entry_time, e.rating, e.emotion, e.notes,
+        e.location, e.social_context as socialContext, e.weather,
+        e.created_at, e.updated_at
+      FROM 
+        mood_entries e
+      WHERE 
+        e.id IN (${placeholders}) AND e.deleted_at IS NULL
+    `, ids);
+
+    return await withEntryLinks('mood', await loadEntryDetails(db, result));
+  } catch (error) {
+    console.error("Error getting mood entries by ids:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get geotagged mood entries whose weather is missing or made up, for
+ * filling in the weather of past entries (services/WeatherService.js).
+ * Weather the user picked by hand is left alone.
+ * @returns {Promise<Array>} Mood entries with locationData and weatherData, newest first
+ */
+export async function getMoodEntriesWithoutWeather() {
+  const db = await getDatabase();
+
   try {
-    // Get the entry
     const result = await db.getAllAsync(`
       SELECT 
         e.id, e.entry_time, e.rating, e.emotion, e.notes,
@@ -740,90 +855,34 @@ export async function getMoodEntryById(id) {
       FROM 
         mood_entries e
       WHERE 
-        e.id = ?
-    `, [id]);
-    
-    if (result.length === 0) {
-      return null;
-    }
-    
-    const entry = result[0];
-    
-    // Get tags for this entry
-    const tagResult = await db.getAllAsync(
-      `SELECT tag_name FROM mood_tags
-      WHERE mood_id = ?;`,
-      [id]
-    );
-    
-    const tags = tagResult.map(row => row.tag_name);
-    
-    // Get activities for this entry
-    const activityResult = await db.getAllAsync(
-      `SELECT activity_type, activity_name FROM mood_activities
-      WHERE mood_id = ?;`,
-      [id]
-    );
-    
-    const activities = {};
-    for (const item of activityResult) {
-      activities[item.activity_type] = item.activity_name;
-    }
-    
-    // Get metadata for this entry
-    const metadataResult = await db.getAllAsync(
-      `SELECT metadata_type, metadata_value FROM mood_entry_metadata
-      WHERE mood_id = ?;`,
-      [id]
+        e.deleted_at IS NULL
+        AND EXISTS (
+          SELECT 1 FROM mood_entry_metadata md
+          WHERE md.mood_id = e.id AND md.metadata_type IN ('location_data', 'location')
+        )
+      ORDER BY 
+        e.entry_time DESC
+    `);
+
+    return (await loadEntryDetails(db, result)).filter(entry =>
+      toCoordinate(entry.locationData?.latitude) !== null &&
+      toCoordinate(entry.locationData?.longitude) !== null &&
+      (!entry.weatherData || isMockWeather(entry.weatherData))
     );
-    
-    let weatherData = null;
-    let locationData = null;
-    
-    // Parse metadata items
-    for (const metadata of metadataResult) {
-      try {
-        if (metadata.metadata_type === 'weather') {
-          weatherData = JSON.parse(metadata.metadata_value);
-        } else if (metadata.metadata_type === 'location') {
-          locationData = JSON.parse(metadata.metadata_value);
-        }
-      } catch (parseError) {
-        console.error('Error parsing metadata:', parseError);
-      }
-    }
-    
-    // Combine data and return
-    return {
-      id: entry.id,
-      entry_time: entry.entry_time,
-      rating: entry.rating,
-      emotion: entry.emotion,
-      notes: entry.notes,
-      location: entry.location,
-      socialContext: entry.socialContext,
-      weather: entry.weather,
-      tags,
-      activities,
-      weatherData,
-      locationData
-    };
   } catch (error) {
-    console.error("Error getting mood entry by id:", error);
-    return null;
+    console.error("Error getting mood entries without weather:", error);
+    throw error;
   }
 }
 
 /**
  * Update a mood entry
  * @param {string} id - Entry ID
- * @param {Object} updatedData - Updated entry data
+ * @param {Object} updatedData - Updated entry data; weatherData replaces the stored weather details
  * @returns {Promise<Object>} Updated entry
  */
 export async function updateMoodEntry(id, updatedData) {
-  if (!db) {
-    await initDatabase();
-  }
+  const db = await getDatabase();
   
   try {
     // First get the current entry
@@ -838,9 +897,13 @@ export async function updateMoodEntry(id, updatedData) {
     
     const currentEntry = result[0];
     const entry_time = updatedData.entry_time ?? currentEntry.entry_time;
+    const { notes, location } = await encryptColumns('mood_entries', {
+      notes: updatedData.notes ?? currentEntry.notes,
+      location: updatedData.location ?? currentEntry.location
+    });
     
     // Update the mood entry
-    await db.execAsync(
+    await db.runAsync(
       `UPDATE mood_entries
       SET entry_time = ?, rating = ?, emotion = ?, notes = ?, location = ?, social_context = ?, weather = ?, updated_at = ?
       WHERE id = ?;`,
@@ -848,8 +911,8 @@ export async function updateMoodEntry(id, updatedData) {
         entry_time,
         updatedData.rating ?? currentEntry.rating,
         updatedData.emotion ?? currentEntry.emotion,
-        updatedData.notes ?? currentEntry.notes,
-        updatedData.location ?? currentEntry.location,
+        notes,
+        location,
         updatedData.socialContext ?? currentEntry.social_context,
         updatedData.weather ?? currentEntry.weather,
         getTimestamp(),
@@ -860,14 +923,14 @@ export async function updateMoodEntry(id, updatedData) {
     // If updating tags
     if (updatedData.tags) {
       // Delete existing tags
-      await db.execAsync(
+      await db.runAsync(
         `DELETE FROM mood_tags WHERE mood_id = ?;`,
         [id]
       );
       
       // Insert new tags
       for (const tag of updatedData.tags) {
-        await db.execAsync(
+        await db.runAsync(
           `INSERT INTO mood_tags (id, mood_id, tag_name)
           VALUES (?, ?, ?);`,
           [generateId(), id, tag]
@@ -878,14 +941,14 @@ export async function updateMoodEntry(id, updatedData) {
     // If updating activities
     if (updatedData.activities) {
       // Delete existing activities
-      await db.execAsync(
+      await db.runAsync(
         `DELETE FROM mood_activities WHERE mood_id = ?;`,
         [id]
       );
       
       // Insert new activities
       for (const [type, name] of Object.entries(updatedData.activities)) {
-        await db.execAsync(
+        await db.runAsync(
           `INSERT INTO mood_activities (id, mood_id, activity_type, activity_name)
           VALUES (?, ?, ?, ?);`,
           [generateId(), id, type, name]
@@ -893,6 +956,25 @@ export async function updateMoodEntry(id, updatedData) {
       }
     }
     
+    // If updating weather details
+    if (updatedData.weatherData) {
+      await db.runAsync(
+        `DELETE FROM mood_entry_metadata WHERE mood_id = ? AND metadata_type IN ('weather_data', 'weather');`,
+        [id]
+      );
+      await saveMetadata(id, 'weather_data', JSON.stringify(updatedData.weatherData));
+    }
+    
+    // If updating people
+    if (updatedData.people) {
+      await setEntryPeople('mood', id, updatedData.people);
+    }
+    
+    if (updatedData.entry_time !== undefined) {
+      await relateToHealthSafely(id);
+    }
+    await updateSearchIndex('mood', id);
+    
     // Return the updated entry
     return await getMoodEntryById(id);
   } catch (error) {
@@ -902,24 +984,14 @@ export async function updateMoodEntry(id, updatedData) {
 }
 
 /**
- * Delete a mood entry
+ * Move a mood entry to the trash. Its tags, activities and links are
+ * kept until the trash is purged (see TrashDB.js).
  * @param {string} id - Entry ID to delete
  * @returns {Promise<boolean>} Success status
  */
 export async function deleteMoodEntry(id) {
-  if (!db) {
-    await initDatabase();
-  }
-  
   try {
-    // Delete the mood entry
-    const result = await db.execAsync(
-      `DELETE FROM mood_entries WHERE id = ?;`,
-      [id]
-    );
-    
-    // Related tags and activities will be deleted via ON DELETE CASCADE
-    return result.changes > 0;
+    return await moveToTrash('mood', id);
   } catch (error) {
     console.error('Error deleting mood entry:', error);
     throw error;
@@ -985,28 +1057,26 @@ export async function deleteMediaFile(filePath) {
  * @returns {Promise<Object>} Statistics about the database
  */
 export async function getDatabaseStats() {
-  if (!db) {
-    await initDatabase();
-  }
+  const db = await getDatabase();
   
   try {
     const stats = {};
     
     // Count mood entries
     const moodEntriesResult = await db.getAllAsync(
-      `SELECT COUNT(*) as count FROM mood_entries;`
+      `SELECT COUNT(*) as count FROM mood_entries WHERE deleted_at IS NULL;`
     );
     stats.moodEntries = moodEntriesResult[0].count;
     
     // Get oldest entry date
     const oldestResult = await db.getAllAsync(
-      `SELECT MIN(entry_time) as oldest FROM mood_entries;`
+      `SELECT MIN(entry_time) as oldest FROM mood_entries WHERE deleted_at IS NULL;`
     );
     stats.oldestEntry = oldestResult[0].oldest ? new Date(oldestResult[0].oldest) : null;
     
     // Get newest entry date
     const newestResult = await db.getAllAsync(
-      `SELECT MAX(entry_time) as newest FROM mood_entries;`
+      `SELECT MAX(entry_time) as newest FROM mood_entries WHERE deleted_at IS NULL;`
     );
     stats.newestEntry = newestResult[0].newest ? new Date(newestResult[0].newest) : null;
     
@@ -1043,10 +1113,13 @@ export async function saveMoodEntryWithReferences(moodEntry) {
  * @param {number} limit - Maximum number of entries to retrieve
  * @param {number} offset - Starting offset for pagination
  * @param {boolean} newestFirst - Sort by newest first
+ * @param {Object} [filters] - Filters as taken by queryMoodEntries
  * @returns {Promise<Array>} Mood entries with related entities
  */
-export async function getMoodEntriesWithRelated(limit = 20, offset = 0, newestFirst = true) {
-  const moodEntries = await getMoodEntries(limit, offset, newestFirst);
+export async function getMoodEntriesWithRelated(limit = 20, offset = 0, newestFirst = true, filters = null) {
+  const moodEntries = filters
+    ? await queryMoodEntries(filters, limit, offset, newestFirst)
+    : await getMoodEntries(limit, offset, newestFirst);
   
   // For each mood entry, enhance with related entities and metadata
   const enhancedEntries = await Promise.all(moodEntries.map(async (entry) => {
@@ -1054,33 +1127,15 @@ export async function getMoodEntriesWithRelated(limit = 20, offset = 0, newestFi
       // Get related food entries
       const relatedFoods = await getFoodHistoryForMood(entry.id);
       
-      // Get people data from metadata
-      let people = [];
-      try {
-        const peopleMetadata = await db.getAllAsync(
-          `SELECT metadata_value FROM mood_entry_metadata 
-           WHERE mood_id = ? AND metadata_type = 'people_data'`,
-          [entry.id]
-        );
-        
-        if (peopleMetadata && peopleMetadata.length > 0) {
-          people = JSON.parse(peopleMetadata[0].metadata_value);
-        }
-      } catch (peopleError) {
-        console.error('Error fetching people data for mood entry:', peopleError);
-      }
-      
       return {
         ...entry,
-        relatedFoods,
-        people: people || []
+        relatedFoods
       };
     } catch (error) {
       console.error('Error enhancing mood entry with related data:', error);
       return {
         ...entry,
-        relatedFoods: [],
-        people: []
+        relatedFoods: []
       };
     }
   }));
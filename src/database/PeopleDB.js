@@ -1,113 +1,51 @@
-import * as SQLite from 'expo-sqlite';
-import * as FileSystem from 'expo-file-system';
-
-// Database connection
-let db = null;
+import { getDatabase, getAllByIds } from './Database';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { moveToTrash } from './TrashDB';
+import { updateSearchIndex } from './SearchIndex';
 
 /**
  * Initialize the database
  * @returns {Promise<void>}
  */
 export async function initPeopleDB() {
-  if (db !== null) {
-    return;
-  }
-  
   try {
-    console.log("Opening people database...");
-    // Open database
-    db = await SQLite.openDatabaseAsync('people.db');
-    console.log("People database connection established");
-    
-    // Create tables if they don't exist
-    try {
-      console.log("Creating people table...");
-      // Create people table
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS people (
-          id TEXT PRIMARY KEY,
-          name TEXT NOT NULL,
-          context TEXT,
-          status TEXT,
-          birthDate TEXT,
-          isDeceased INTEGER,
-          deceasedDate TEXT,
-          phoneNumber TEXT,
-          email TEXT,
-          socials TEXT,
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL
-        );
-      `);
-      
-      // Add deceasedDate column if it doesn't exist
-      try {
-        await db.execAsync('ALTER TABLE people ADD COLUMN deceasedDate TEXT');
-        console.log("Added deceasedDate column to people table");
-      } catch (error) {
-        // Column might already exist, which is fine
-        console.log("deceasedDate column already exists or error adding it:", error);
-      }
-      
-      console.log("Creating tags table...");
-      // Create tags table
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS tags (
-          id TEXT PRIMARY KEY,
-          person_id TEXT NOT NULL,
-          type TEXT NOT NULL,
-          value TEXT NOT NULL,
-          FOREIGN KEY (person_id) REFERENCES people (id) 
-            ON DELETE CASCADE
-        );
-      `);
-      
-      console.log('People database initialized successfully');
-    } catch (tableError) {
-      console.error('Error creating tables:', tableError);
-      throw tableError;
-    }
+    await getDatabase();
+    console.log('People database initialized successfully');
   } catch (error) {
     console.error('Error initializing people database:', error);
     throw error;
   }
 }
 
-// Ensure database is initialized before any operation
-const ensureDatabase = async () => {
-  if (db === null) {
-    await initPeopleDB();
-  }
-};
-
 export const addPerson = async (person) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
+    const personId = person.id || Math.random().toString(36).substr(2, 9);
+    const values = await encryptColumns('people', person);
+    
     // Insert person
-    const result = await db.runAsync(
+    await db.runAsync(
       `INSERT INTO people (id, name, context, status, birthDate, isDeceased, deceasedDate, phoneNumber, email, socials, created_at, updated_at)
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
       [
-        person.id || Math.random().toString(36).substr(2, 9),
-        person.name,
-        person.context,
+        personId,
+        values.name,
+        values.context,
         person.status,
         person.birthDate?.toISOString(),
         person.isDeceased ? 1 : 0,
         person.deceasedDate?.toISOString(),
-        person.phoneNumber,
-        person.email,
-        person.socials
+        values.phoneNumber,
+        values.email,
+        values.socials
       ]
     );
-    
-    const personId = result.lastInsertRowId;
 
     // Add hobbies
     if (person.hobbies) {
       for (const hobby of person.hobbies) {
         await db.runAsync(
-          'INSERT INTO tags (id, person_id, type, value) VALUES (?, ?, ?, ?)',
+          'INSERT INTO person_tags (id, person_id, type, value) VALUES (?, ?, ?, ?)',
           [Math.random().toString(36).substr(2, 9), personId, 'hobby', hobby]
         );
       }
@@ -117,12 +55,13 @@ export const addPerson = async (person) => {
     if (person.interests) {
       for (const interest of person.interests) {
         await db.runAsync(
-          'INSERT INTO tags (id, person_id, type, value) VALUES (?, ?, ?, ?)',
+          'INSERT INTO person_tags (id, person_id, type, value) VALUES (?, ?, ?, ?)',
           [Math.random().toString(36).substr(2, 9), personId, 'interest', interest]
         );
       }
     }
 
+    await updateSearchIndex('person', personId);
     return personId;
   } catch (error) {
     console.error('Error adding person:', error);
@@ -131,8 +70,10 @@ export const addPerson = async (person) => {
 };
 
 export const updatePerson = async (person) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
+    const values = await encryptColumns('people', person);
+    
     // Update person
     await db.runAsync(
       `UPDATE people 
@@ -140,27 +81,27 @@ export const updatePerson = async (person) => {
            deceasedDate = ?, phoneNumber = ?, email = ?, socials = ?, updated_at = datetime('now')
        WHERE id = ?`,
       [
-        person.name,
-        person.context,
+        values.name,
+        values.context,
         person.status,
         person.birthDate?.toISOString(),
         person.isDeceased ? 1 : 0,
         person.isDeceased ? person.deceasedDate?.toISOString() : null,
-        person.phoneNumber,
-        person.email,
-        person.socials,
+        values.phoneNumber,
+        values.email,
+        values.socials,
         person.id
       ]
     );
 
     // Delete existing tags
-    await db.runAsync('DELETE FROM tags WHERE person_id = ?', [person.id]);
+    await db.runAsync('DELETE FROM person_tags WHERE person_id = ?', [person.id]);
 
     // Add updated hobbies
     if (person.hobbies) {
       for (const hobby of person.hobbies) {
         await db.runAsync(
-          'INSERT INTO tags (id, person_id, type, value) VALUES (?, ?, ?, ?)',
+          'INSERT INTO person_tags (id, person_id, type, value) VALUES (?, ?, ?, ?)',
           [Math.random().toString(36).substr(2, 9), person.id, 'hobby', hobby]
         );
       }
@@ -170,49 +111,126 @@ export const updatePerson = async (person) => {
     if (person.interests) {
       for (const interest of person.interests) {
         await db.runAsync(
-          'INSERT INTO tags (id, person_id, type, value) VALUES (?, ?, ?, ?)',
+          'INSERT INTO person_tags (id, person_id, type, value) VALUES (?, ?, ?, ?)',
           [Math.random().toString(36).substr(2, 9), person.id, 'interest', interest]
         );
       }
     }
+
+    await updateSearchIndex('person', person.id);
   } catch (error) {
     console.error('Error updating person:', error);
     throw error;
   }
 };
 
+// Moves the person to the trash; see TrashDB.js
 export const deletePerson = async (personId) => {
-  await ensureDatabase();
   try {
-    await db.runAsync('DELETE FROM people WHERE id = ?', [personId]);
+    await moveToTrash('person', personId);
   } catch (error) {
     console.error('Error deleting person:', error);
     throw error;
   }
 };
 
+// Selects people with their hobbies and interests; append WHERE, GROUP BY p.id
+const SELECT_PEOPLE = `
+  SELECT p.*, 
+         GROUP_CONCAT(CASE WHEN t.type = 'hobby' THEN t.value END) as hobbies,
+         GROUP_CONCAT(CASE WHEN t.type = 'interest' THEN t.value END) as interests
+  FROM people p
+  LEFT JOIN person_tags t ON p.id = t.person_id
+`;
+
+const mapPeople = (rows) => decryptRows('people', rows).map(person => ({
+  ...person,
+  birthDate: person.birthDate ? new Date(person.birthDate) : null,
+  isDeceased: person.isDeceased === 1,
+  hobbies: person.hobbies ? person.hobbies.split(',') : [],
+  interests: person.interests ? person.interests.split(',') : []
+}));
+
 export const getAllPeople = async () => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
     const result = await db.getAllAsync(`
-      SELECT p.*, 
-             GROUP_CONCAT(CASE WHEN t.type = 'hobby' THEN t.value END) as hobbies,
-             GROUP_CONCAT(CASE WHEN t.type = 'interest' THEN t.value END) as interests
-      FROM people p
-      LEFT JOIN tags t ON p.id = t.person_id
+      ${SELECT_PEOPLE}
+      WHERE p.deleted_at IS NULL
       GROUP BY p.id
       ORDER BY p.created_at DESC
     `);
 
-    return result.map(person => ({
-      ...person,
-      birthDate: person.birthDate ? new Date(person.birthDate) : null,
-      isDeceased: person.isDeceased === 1,
-      hobbies: person.hobbies ? person.hobbies.split(',') : [],
-      interests: person.interests ? person.interests.split(',') : []
-    }));
+    return mapPeople(result);
   } catch (error) {
     console.error('Error getting all people:', error);
     throw error;
   }
+};
+
+// Unknown and trashed IDs are left out; the order is not defined
+export const getPeopleByIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const db = await getDatabase();
+  try {
+    const result = await getAllByIds(db, placeholders => `
+      ${SELECT_PEOPLE}
+      WHERE p.id IN (${placeholders}) AND p.deleted_at IS NULL
+      GROUP BY p.id
+    `, ids);
+
+    return mapPeople(result);
+  } catch (error) {
+    console.error('Error getting people by ids:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the hobbies people have, most common first, e.g. to suggest when adding a hobby
+ * @returns {Promise<Array>} [{ name, count }] where count is the number of people
+ */
+export const getPeopleHobbies = async () => {
+  const db = await getDatabase();
+  try {
+    return await db.getAllAsync(`
+      SELECT MIN(t.value) AS name, COUNT(DISTINCT t.person_id) AS count
+      FROM person_tags t
+      JOIN people p ON p.id = t.person_id AND p.deleted_at IS NULL
+      WHERE t.type = 'hobby' AND TRIM(t.value) != ''
+      GROUP BY LOWER(TRIM(t.value))
+      ORDER BY count DESC, name
+    `);
+  } catch (error) {
+    console.error('Error getting people hobbies:', error);
+    throw error;
+  }
+};
+
+// People with a hobby, matched ignoring case and surrounding spaces
+export const getPeopleWithHobby = async (hobby) => {
+  const db = await getDatabase();
+  try {
+    const result = await db.getAllAsync(`
+      ${SELECT_PEOPLE}
+      WHERE p.deleted_at IS NULL AND p.id IN (
+        SELECT person_id FROM person_tags
+        WHERE type = 'hobby' AND LOWER(TRIM(value)) = LOWER(TRIM(?))
+      )
+      GROUP BY p.id
+    `, [hobby]);
+
+    return mapPeople(result);
+  } catch (error) {
+    console.error('Error getting people with hobby:', error);
+    throw error;
+  }
+};
+
+export const getPersonById = async (id) => {
+  const [person] = await getPeopleByIds([id]);
+  return person || null;
 }; 
\ No newline at end of file
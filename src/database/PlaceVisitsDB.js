@@ -0,0 +1,233 @@
+/**
+ * PlaceVisitsDB.js - Visits to places and the entries they are derived from
+ *
+ * A visit is a stretch of time with entries at one place (see
+ * utils/placeClustering.js). Visits are recomputed from the entries by
+ * services/PlaceClusteringService.js; their IDs are built from the place
+ * and the arrival time, so recomputing only touches visits that changed.
+ */
+
+import { getDatabase } from './Database';
+import { decryptRows } from './EncryptedColumns';
+import { toCoordinate } from '../utils/geo';
+
+// Entry types whose entry times mark a visit, with the column holding the time
+const VISIT_ENTRY_SOURCES = [
+  { entryType: 'mood', table: 'mood_entries', timeColumn: 'entry_time' },
+  { entryType: 'food', table: 'food_entries', timeColumn: 'date' }
+];
+
+const parseLocationData = (value) => {
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Coordinates of moods from their location metadata; a mood can have both
+// metadata types, the first usable one counts
+const readMoodLocations = (rows) => {
+  const seenMoods = new Set();
+  const moods = [];
+  for (const mood of decryptRows('mood_entry_metadata', decryptRows('mood_entries', rows))) {
+    const locationData = parseLocationData(mood.metadata_value);
+    const latitude = toCoordinate(locationData?.latitude);
+    const longitude = toCoordinate(locationData?.longitude);
+    if (latitude === null || longitude === null || seenMoods.has(mood.id)) {
+      continue;
+    }
+    seenMoods.add(mood.id);
+    moods.push({ mood, locationData, latitude, longitude });
+  }
+  return moods;
+};
+
+const getVisitId = (visit) => `${visit.placeId}:${visit.arrivedAt.getTime().toString(36)}`;
+
+const mapVisit = (row) => ({
+  ...row,
+  arrived_at: new Date(row.arrived_at),
+  departed_at: new Date(row.departed_at)
+});
+
+/**
+ * Load what place clustering works on
+ * @returns {Promise<Object>} {
+ *   places: [{ id, latitude, longitude, status }] places with coordinates, of any status,
+ *   unplacedMoods: [{ id, latitude, longitude, label }] geotagged moods without a place, oldest first,
+ *   placedEntries: [{ placeId, time }] times of mood and food entries linked to a place
+ * }
+ */
+export async function getClusteringSources() {
+  const db = await getDatabase();
+  try {
+    const [placeRows, locationRows, ...linkedRows] = await Promise.all([
+      db.getAllAsync(
+        'SELECT id, latitude, longitude, status FROM places WHERE deleted_at IS NULL AND latitude IS NOT NULL AND longitude IS NOT NULL'
+      ),
+      db.getAllAsync(`
+        SELECT m.id, m.entry_time, m.location, md.metadata_value
+        FROM mood_entries m
+        JOIN mood_entry_metadata md ON md.mood_id = m.id AND md.metadata_type IN ('location_data', 'location')
+        WHERE m.deleted_at IS NULL
+        AND NOT EXISTS (SELECT 1 FROM entry_places ep WHERE ep.entry_type = 'mood' AND ep.entry_id = m.id)
+        ORDER BY m.entry_time ASC
+      `),
+      ...VISIT_ENTRY_SOURCES.map(source => db.getAllAsync(`
+        SELECT ep.place_id, e.${source.timeColumn} AS time
+        FROM entry_places ep
+        JOIN ${source.table} e ON e.id = ep.entry_id AND e.deleted_at IS NULL
+        JOIN places p ON p.id = ep.place_id AND p.deleted_at IS NULL
+        WHERE ep.entry_type = ?
+      `, [source.entryType]))
+    ]);
+
+    const places = decryptRows('places', placeRows)
+      .map(place => ({
+        id: place.id,
+        latitude: toCoordinate(place.latitude),
+        longitude: toCoordinate(place.longitude),
+        status: place.status
+      }))
+      .filter(place => place.latitude !== null && place.longitude !== null);
+
+    const unplacedMoods = readMoodLocations(locationRows).map(({ mood, locationData, latitude, longitude }) => ({
+      id: mood.id,
+      latitude,
+      longitude,
+      label: locationData.name || locationData.address || mood.location || null
+    }));
+
+    const placedEntries = linkedRows.flat().map(row => ({ placeId: row.place_id, time: row.time }));
+
+    return { places, unplacedMoods, placedEntries };
+  } catch (error) {
+    console.error('Error loading place clustering sources:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the stored visits with freshly computed ones. Visits that are
+ * gone are deleted, new ones inserted and changed ones updated.
+ * @param {Array<Object>} visits - [{ placeId, arrivedAt, departedAt, dwellMinutes, entryCount }]
+ * @returns {Promise<Object>} { added, updated, removed } visit counts
+ */
+export async function savePlaceVisits(visits) {
+  const db = await getDatabase();
+  try {
+    const counts = { added: 0, updated: 0, removed: 0 };
+    const now = new Date().toISOString();
+
+    await db.withTransactionAsync(async () => {
+      const existing = await db.getAllAsync('SELECT id, departed_at, dwell_minutes, entry_count FROM place_visits');
+      const existingById = new Map(existing.map(row => [row.id, row]));
+      const visitIds = new Set();
+
+      for (const visit of visits) {
+        const id = getVisitId(visit);
+        visitIds.add(id);
+        const departedAt = visit.departedAt.toISOString();
+        const row = existingById.get(id);
+        if (!row) {
+          await db.runAsync(
+            `INSERT INTO place_visits
+               (id, place_id, arrived_at, departed_at, dwell_minutes, entry_count, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, visit.placeId, visit.arrivedAt.toISOString(), departedAt, visit.dwellMinutes, visit.entryCount, now, now]
+          );
+          counts.added++;
+        } else if (row.departed_at !== departedAt || row.dwell_minutes !== visit.dwellMinutes || row.entry_count !== visit.entryCount) {
+          await db.runAsync(
+            'UPDATE place_visits SET departed_at = ?, dwell_minutes = ?, entry_count = ?, updated_at = ? WHERE id = ?',
+            [departedAt, visit.dwellMinutes, visit.entryCount, now, id]
+          );
+          counts.updated++;
+        }
+      }
+
+      for (const row of existing) {
+        if (!visitIds.has(row.id)) {
+          await db.runAsync('DELETE FROM place_visits WHERE id = ?', [row.id]);
+          counts.removed++;
+        }
+      }
+    });
+
+    return counts;
+  } catch (error) {
+    console.error('Error saving place visits:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the visits to a place
+ * @param {string} placeId - Place ID
+ * @returns {Promise<Array>} [{ id, place_id, arrived_at, departed_at, dwell_minutes, entry_count }] newest first
+ */
+export async function getPlaceVisits(placeId) {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync(
+      'SELECT * FROM place_visits WHERE place_id = ? ORDER BY arrived_at DESC',
+      [placeId]
+    );
+    return rows.map(mapVisit);
+  } catch (error) {
+    console.error('Error getting place visits:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load what the mood map aggregates (see utils/moodMap.js)
+ * @returns {Promise<Object>} {
+ *   moods: [{ id, time, rating, emotion, latitude, longitude }] geotagged moods,
+ *   visits: [{ id, time, dwellMinutes, latitude, longitude }] visits to places with coordinates
+ * }
+ */
+export async function getMoodMapSources() {
+  const db = await getDatabase();
+  try {
+    const [locationRows, visitRows] = await Promise.all([
+      db.getAllAsync(`
+        SELECT m.id, m.entry_time, m.rating, m.emotion, md.metadata_value
+        FROM mood_entries m
+        JOIN mood_entry_metadata md ON md.mood_id = m.id AND md.metadata_type IN ('location_data', 'location')
+        WHERE m.deleted_at IS NULL
+      `),
+      db.getAllAsync(`
+        SELECT v.id, v.arrived_at, v.dwell_minutes, p.latitude, p.longitude
+        FROM place_visits v
+        JOIN places p ON p.id = v.place_id AND p.deleted_at IS NULL
+        WHERE p.latitude IS NOT NULL AND p.longitude IS NOT NULL
+      `)
+    ]);
+
+    const moods = readMoodLocations(locationRows).map(({ mood, latitude, longitude }) => ({
+      id: mood.id,
+      time: mood.entry_time,
+      rating: mood.rating,
+      emotion: mood.emotion,
+      latitude,
+      longitude
+    }));
+
+    const visits = decryptRows('places', visitRows)
+      .map(visit => ({
+        id: visit.id,
+        time: visit.arrived_at,
+        dwellMinutes: visit.dwell_minutes,
+        latitude: toCoordinate(visit.latitude),
+        longitude: toCoordinate(visit.longitude)
+      }))
+      .filter(visit => visit.latitude !== null && visit.longitude !== null);
+
+    return { moods, visits };
+  } catch (error) {
+    console.error('Error loading mood map sources:', error);
+    throw error;
+  }
+}
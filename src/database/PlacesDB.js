@@ -1,96 +1,69 @@
-import * as SQLite from 'expo-sqlite';
-import * as FileSystem from 'expo-file-system';
+import { getDatabase, getAllByIds } from './Database';
+import { addEntryPlace } from './EntryLinksDB';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { moveToTrash } from './TrashDB';
+import { updateSearchIndex } from './SearchIndex';
+import { findNearby } from '../utils/geo';
+import { pickAddressFields, hasAddressFields, formatAddress } from '../utils/address';
 
 // Import the UnifiedDB functions
 import { getPlaceDetails, findAndMergeDuplicatePlaces, createRelationship } from './UnifiedDB';
 
-// Database connection
-let db = null;
-
 export async function initPlacesDB() {
-  if (db !== null) {
-    return;
-  }
-  
   try {
-    console.log("Opening places database...");
-    // Open database
-    db = await SQLite.openDatabaseAsync('places.db');
-    console.log("Places database connection established");
-    
-    // Create tables if they don't exist
-    try {
-      console.log("Creating places table...");
-      // Create places table
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS places (
-          id TEXT PRIMARY KEY,
-          name TEXT NOT NULL,
-          address TEXT,
-          latitude REAL,
-          longitude REAL,
-          notes TEXT,
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL
-        );
-      `);
-      
-      console.log("Creating place_moods table...");
-      // Create place_moods table to track which moods are associated with which places
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS place_moods (
-          id TEXT PRIMARY KEY,
-          place_id TEXT NOT NULL,
-          mood_id TEXT NOT NULL,
-          FOREIGN KEY (place_id) REFERENCES places (id) ON DELETE CASCADE,
-          FOREIGN KEY (mood_id) REFERENCES moods (id) ON DELETE CASCADE
-        );
-      `);
-      
-      console.log('Places database initialized successfully');
-    } catch (tableError) {
-      console.error('Error creating tables:', tableError);
-      throw tableError;
-    }
+    await getDatabase();
+    console.log('Places database initialized successfully');
   } catch (error) {
     console.error('Error initializing places database:', error);
     throw error;
   }
 }
 
-// Ensure database is initialized before any operation
-const ensureDatabase = async () => {
-  if (db === null) {
-    await initPlacesDB();
-  }
+// The address fields of a place, with address formatted from them; places
+// without fields keep their free-text address from before the fields existed
+const withAddressFields = (place) => {
+  const fields = pickAddressFields(place);
+  return {
+    ...place,
+    ...fields,
+    address: hasAddressFields(fields) ? formatAddress(fields) : place.address || null
+  };
 };
 
 export const addPlace = async (place) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
-    const result = await db.runAsync(
-      `INSERT INTO places (id, name, address, latitude, longitude, notes, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    const placeId = place.id || Math.random().toString(36).substr(2, 9);
+    const values = await encryptColumns('places', withAddressFields(place));
+    await db.runAsync(
+      `INSERT INTO places (id, name, address, street, neighbourhood, city, country, latitude, longitude, notes, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        place.id || Math.random().toString(36).substr(2, 9),
-        place.name,
-        place.address || null,
-        place.latitude || null,
-        place.longitude || null,
-        place.notes || null,
+        placeId,
+        values.name,
+        values.address || null,
+        values.street,
+        values.neighbourhood,
+        values.city,
+        values.country,
+        values.latitude || null,
+        values.longitude || null,
+        values.notes || null,
+        place.status || 'confirmed',
         place.created_at || new Date().toISOString(),
         place.updated_at || new Date().toISOString()
       ]
     );
     
-    // If there are associated mood IDs, add them to place_moods
+    // If there are associated mood IDs, link them to the place
     if (place.mood_ids && Array.isArray(place.mood_ids) && place.mood_ids.length > 0) {
       for (const moodId of place.mood_ids) {
-        await addPlaceMood(place.id, moodId);
+        await addPlaceMood(placeId, moodId);
       }
     }
     
-    return result.lastInsertRowId;
+    await updateSearchIndex('place', placeId);
+    return placeId;
   } catch (error) {
     console.error('Error adding place:', error);
     throw error;
@@ -98,18 +71,24 @@ export const addPlace = async (place) => {
 };
 
 export const updatePlace = async (place) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
+    const values = await encryptColumns('places', withAddressFields(place));
     await db.runAsync(
       `UPDATE places 
-       SET name = ?, address = ?, latitude = ?, longitude = ?, notes = ?, updated_at = ?
+       SET name = ?, address = ?, street = ?, neighbourhood = ?, city = ?, country = ?,
+           latitude = ?, longitude = ?, notes = ?, updated_at = ?
        WHERE id = ?`,
       [
-        place.name,
-        place.address || null,
-        place.latitude || null,
-        place.longitude || null,
-        place.notes || null,
+        values.name,
+        values.address || null,
+        values.street,
+        values.neighbourhood,
+        values.city,
+        values.country,
+        values.latitude || null,
+        values.longitude || null,
+        values.notes || null,
         place.updated_at || new Date().toISOString(),
         place.id
       ]
@@ -117,79 +96,127 @@ export const updatePlace = async (place) => {
     
     // If there are associated mood IDs to update, we could implement that here
     // For now, we'll just leave existing associations as is
+    
+    await updateSearchIndex('place', place.id);
   } catch (error) {
     console.error('Error updating place:', error);
     throw error;
   }
 };
 
+// Moves the place to the trash; links from entries stay for a restore (see TrashDB.js)
 export const deletePlace = async (placeId) => {
-  await ensureDatabase();
   try {
-    await db.runAsync('DELETE FROM places WHERE id = ?', [placeId]);
-    // Associated place_moods will be deleted automatically due to CASCADE
+    await moveToTrash('place', placeId);
   } catch (error) {
     console.error('Error deleting place:', error);
     throw error;
   }
 };
 
+// Saved places only; places suggested by clustering are listed by getSuggestedPlaces
 export const getAllPlaces = async () => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
     const result = await db.getAllAsync(`
       SELECT p.*, 
-             COUNT(pm.mood_id) as mood_count
+             COUNT(m.id) as mood_count
       FROM places p
-      LEFT JOIN place_moods pm ON p.id = pm.place_id
+      LEFT JOIN entry_places ep ON p.id = ep.place_id AND ep.entry_type = 'mood'
+      LEFT JOIN mood_entries m ON m.id = ep.entry_id AND m.deleted_at IS NULL
+      WHERE p.deleted_at IS NULL AND p.status = 'confirmed'
       GROUP BY p.id
       ORDER BY p.created_at DESC
     `);
-    return result;
+    return decryptRows('places', result);
   } catch (error) {
     console.error('Error getting all places:', error);
     throw error;
   }
 };
 
-export const getPlaceById = async (placeId) => {
-  await ensureDatabase();
+// Places clustered from geotagged entries that the user has not confirmed or ignored yet
+export const getSuggestedPlaces = async () => {
+  const db = await getDatabase();
   try {
-    // Use getAllAsync instead of getAsync, and take the first result if available
-    const results = await db.getAllAsync(`
+    const result = await db.getAllAsync(`
       SELECT p.*, 
-             GROUP_CONCAT(pm.mood_id) as mood_ids
+             COUNT(m.id) as mood_count,
+             (SELECT COUNT(*) FROM place_visits v WHERE v.place_id = p.id) as visit_count
       FROM places p
-      LEFT JOIN place_moods pm ON p.id = pm.place_id
-      WHERE p.id = ?
+      LEFT JOIN entry_places ep ON p.id = ep.place_id AND ep.entry_type = 'mood'
+      LEFT JOIN mood_entries m ON m.id = ep.entry_id AND m.deleted_at IS NULL
+      WHERE p.deleted_at IS NULL AND p.status = 'suggested'
       GROUP BY p.id
-    `, [placeId]);
-    
-    // Return the first result or null if no results
-    return results && results.length > 0 ? results[0] : null;
+      ORDER BY mood_count DESC, p.created_at DESC
+    `);
+    return decryptRows('places', result);
+  } catch (error) {
+    console.error('Error getting suggested places:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm or ignore a suggested place, optionally renaming it
+ * @param {string} placeId - Place ID
+ * @param {string} status - 'confirmed', 'suggested' or 'ignored'
+ * @param {string|null} name - New name, or null to keep the current one
+ * @returns {Promise<void>}
+ */
+export const setPlaceStatus = async (placeId, status, name = null) => {
+  const db = await getDatabase();
+  try {
+    const values = name ? await encryptColumns('places', { name }) : { name: null };
+    await db.runAsync(
+      'UPDATE places SET status = ?, name = COALESCE(?, name), updated_at = ? WHERE id = ?',
+      [status, values.name, new Date().toISOString(), placeId]
+    );
+    await updateSearchIndex('place', placeId);
+  } catch (error) {
+    console.error('Error setting place status:', error);
+    throw error;
+  }
+};
+
+export const getPlaceById = async (placeId) => {
+  try {
+    const [place] = await getPlacesByIds([placeId]);
+    return place || null;
   } catch (error) {
     console.error('Error getting place by id:', error);
     return null; // Return null instead of throwing to avoid app crashes
   }
 };
 
+// Unknown and trashed IDs are left out; the order is not defined
+export const getPlacesByIds = async (placeIds) => {
+  if (placeIds.length === 0) {
+    return [];
+  }
+
+  const db = await getDatabase();
+  try {
+    const results = await getAllByIds(db, placeholders => `
+      SELECT p.*, 
+             GROUP_CONCAT(m.id) as mood_ids
+      FROM places p
+      LEFT JOIN entry_places ep ON p.id = ep.place_id AND ep.entry_type = 'mood'
+      LEFT JOIN mood_entries m ON m.id = ep.entry_id AND m.deleted_at IS NULL
+      WHERE p.id IN (${placeholders}) AND p.deleted_at IS NULL
+      GROUP BY p.id
+    `, placeIds);
+    return decryptRows('places', results);
+  } catch (error) {
+    console.error('Error getting places by ids:', error);
+    throw error;
+  }
+};
+
 export const addPlaceMood = async (placeId, moodId) => {
-  await ensureDatabase();
   try {
-    // Instead of checking for existing relationship, just try to insert
-    // SQLite will fail silently if there's a unique constraint violation
-    try {
-      await db.runAsync(
-        'INSERT INTO place_moods (id, place_id, mood_id) VALUES (?, ?, ?)',
-        [Math.random().toString(36).substr(2, 9), placeId, moodId]
-      );
-      console.log(`Successfully added place-mood relationship: ${placeId} -> ${moodId}`);
-    } catch (insertError) {
-      // If insert fails, it's likely because the relationship already exists
-      // or there's a foreign key constraint violation
-      console.log(`Insert failed, relationship may already exist: ${placeId} -> ${moodId}`);
-      console.log('Insert error:', insertError);
-    }
+    await addEntryPlace('mood', moodId, placeId);
+    console.log(`Successfully added place-mood relationship: ${placeId} -> ${moodId}`);
   } catch (error) {
     console.error('Error in addPlaceMood:', error);
     // Don't throw the error - just log it and continue
@@ -198,51 +225,38 @@ export const addPlaceMood = async (placeId, moodId) => {
 };
 
 export const getPlaceMoods = async (placeId) => {
-  await ensureDatabase();
+  const db = await getDatabase();
   try {
     const result = await db.getAllAsync(`
-      SELECT m.*
-      FROM moods m
-      JOIN place_moods pm ON m.id = pm.mood_id
-      WHERE pm.place_id = ?
-      ORDER BY m.date DESC
+      SELECT 
+        m.id, m.entry_time, m.rating, m.emotion, m.notes,
+        m.location, m.social_context as socialContext, m.weather,
+        m.created_at, m.updated_at
+      FROM mood_entries m
+      JOIN entry_places ep ON m.id = ep.entry_id AND ep.entry_type = 'mood'
+      WHERE ep.place_id = ? AND m.deleted_at IS NULL
+      ORDER BY m.entry_time DESC
     `, [placeId]);
-    return result;
+    return decryptRows('mood_entries', result);
   } catch (error) {
     console.error('Error getting place moods:', error);
     throw error;
   }
 };
 
-// Function to get places near a location
-export const getNearbyPlaces = async (latitude, longitude, radiusKm = 5) => {
-  await ensureDatabase();
+/**
+ * Get the saved places near a location, nearest first
+ * Coordinates may be encrypted, so the filtering happens after decrypting (see utils/geo.js)
+ * @param {number} latitude - Latitude of the location
+ * @param {number} longitude - Longitude of the location
+ * @param {number} radiusMeters - Largest distance of a place
+ * @returns {Promise<Array>} Places with their great-circle distance in metres as distance
+ */
+export const getNearbyPlaces = async (latitude, longitude, radiusMeters = 5000) => {
   try {
-    // Simple proximity calculation based on latitude/longitude
-    // Convert radius to approx. degrees (very simplified)
-    const approxDegreesPerKm = 0.01; // Very rough approximation
-    const radiusDegrees = radiusKm * approxDegreesPerKm;
-    
-    const result = await db.getAllAsync(`
-      SELECT p.*, 
-             COUNT(pm.mood_id) as mood_count,
-             (p.latitude - ?) * (p.latitude - ?) + 
-             (p.longitude - ?) * (p.longitude - ?) as distance_squared
-      FROM places p
-      LEFT JOIN place_moods pm ON p.id = pm.place_id
-      WHERE p.latitude IS NOT NULL AND p.longitude IS NOT NULL
-      AND p.latitude BETWEEN ? - ? AND ? + ?
-      AND p.longitude BETWEEN ? - ? AND ? + ?
-      GROUP BY p.id
-      ORDER BY distance_squared ASC
-    `, [
-      latitude, latitude, 
-      longitude, longitude,
-      latitude, radiusDegrees, latitude, radiusDegrees,
-      longitude, radiusDegrees, longitude, radiusDegrees
-    ]);
-    
-    return result;
+    const places = await getAllPlaces();
+    return findNearby(places, latitude, longitude, radiusMeters)
+      .map(({ item, distance }) => ({ ...item, distance }));
   } catch (error) {
     console.error('Error getting nearby places:', error);
     throw error;
@@ -253,8 +267,6 @@ export const getNearbyPlaces = async (latitude, longitude, radiusKm = 5) => {
  * Add a place with cross-database references
  */
 export const addPlaceWithReferences = async (place) => {
-  await ensureDatabase();
-  
   try {
     // First check if this place already exists to avoid duplicates
     const existingPlaces = await getAllPlaces();
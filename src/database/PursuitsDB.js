@@ -0,0 +1,490 @@
+/**
+ * PursuitsDB.js - Hobbies and skills, their practice sessions and goals
+ *
+ * A pursuit is a hobby or a skill. Each time it is practiced a session
+ * records when, for how long and how it went, with the people and place
+ * linked through entry links (entry type 'session'). Goals are either a
+ * target of total practice time, which completes itself once reached, or
+ * a milestone that is checked off by hand. Streaks and weekly progress are
+ * computed from the sessions.
+ */
+
+import { getDatabase, getAllByIds } from './Database';
+import { setEntryPeople, setEntryPlace, withEntryLinks } from './EntryLinksDB';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { moveToTrash } from './TrashDB';
+
+export const PURSUIT_KINDS = ['hobby', 'skill'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const generateId = () => Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+
+const startOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Monday of the week a time falls in
+const startOfWeek = (time) => {
+  const day = startOfDay(time);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+};
+
+// Whole local days from one day to another, ignoring daylight saving shifts
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+/**
+ * Get the current and longest streak of consecutive days practiced. The
+ * current streak still counts if the last session was yesterday, so it
+ * does not break before today's practice.
+ * @param {Array<Date|string>} times - Times of the sessions, in any order
+ * @param {Date} [today] - Day to count the current streak up to
+ * @returns {Object} { current, longest } in days
+ */
+export function getPracticeStreaks(times, today = new Date()) {
+  const days = [...new Set(times.map(time => startOfDay(time).getTime()))].sort((a, b) => a - b);
+
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < days.length; i++) {
+    run = i > 0 && daysBetween(days[i - 1], days[i]) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const sinceLast = days.length > 0 ? daysBetween(days[days.length - 1], today) : null;
+  const current = sinceLast === 0 || sinceLast === 1 ? run : 0;
+  return { current, longest };
+}
+
+const mapPursuit = (row, sessionTimes) => ({
+  ...row,
+  total_minutes: row.total_minutes || 0,
+  session_count: row.session_count || 0,
+  streaks: getPracticeStreaks(sessionTimes.get(row.id) || [])
+});
+
+// Selects pursuits with their practice totals; append WHERE, GROUP BY p.id
+const SELECT_PURSUITS = `
+  SELECT p.*,
+         SUM(s.duration_minutes) AS total_minutes,
+         COUNT(s.id) AS session_count,
+         MAX(s.practiced_at) AS last_practiced_at
+  FROM pursuits p
+  LEFT JOIN practice_sessions s ON s.pursuit_id = p.id AND s.deleted_at IS NULL
+`;
+
+// Load session times per pursuit, for streaks
+const getSessionTimes = async (db, pursuitIds) => {
+  const rows = await getAllByIds(db, placeholders => `
+    SELECT pursuit_id, practiced_at FROM practice_sessions
+    WHERE pursuit_id IN (${placeholders}) AND deleted_at IS NULL
+  `, pursuitIds);
+
+  const times = new Map();
+  for (const row of rows) {
+    if (!times.has(row.pursuit_id)) {
+      times.set(row.pursuit_id, []);
+    }
+    times.get(row.pursuit_id).push(row.practiced_at);
+  }
+  return times;
+};
+
+const loadPursuits = async (db, rows) => {
+  const pursuits = decryptRows('pursuits', rows);
+  const sessionTimes = await getSessionTimes(db, pursuits.map(pursuit => pursuit.id));
+  return pursuits.map(pursuit => mapPursuit(pursuit, sessionTimes));
+};
+
+/**
+ * Get the hobbies or the skills with their total practice time, session
+ * count, last session and streaks, most recently practiced first
+ * @param {string} kind - 'hobby' or 'skill'
+ * @returns {Promise<Array>} Pursuits
+ */
+export async function getPursuits(kind) {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync(`
+      ${SELECT_PURSUITS}
+      WHERE p.kind = ? AND p.deleted_at IS NULL
+      GROUP BY p.id
+      ORDER BY COALESCE(MAX(s.practiced_at), p.created_at) DESC
+    `, [kind]);
+    return await loadPursuits(db, rows);
+  } catch (error) {
+    console.error('Error getting pursuits:', error);
+    throw error;
+  }
+}
+
+// Unknown and trashed IDs are left out; the order is not defined
+export async function getPursuitsByIds(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const db = await getDatabase();
+  try {
+    const rows = await getAllByIds(db, placeholders => `
+      ${SELECT_PURSUITS}
+      WHERE p.id IN (${placeholders}) AND p.deleted_at IS NULL
+      GROUP BY p.id
+    `, ids);
+    return await loadPursuits(db, rows);
+  } catch (error) {
+    console.error('Error getting pursuits by ids:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a hobby or skill
+ * @param {Object} pursuit - { kind, name, description }
+ * @returns {Promise<string>} ID of the pursuit
+ */
+export async function addPursuit(pursuit) {
+  if (!PURSUIT_KINDS.includes(pursuit.kind)) {
+    throw new Error(`Unknown pursuit kind: ${pursuit.kind}`);
+  }
+
+  const db = await getDatabase();
+  try {
+    const id = pursuit.id || generateId();
+    const now = new Date().toISOString();
+    const { description } = await encryptColumns('pursuits', { description: pursuit.description || null });
+    await db.runAsync(
+      `INSERT INTO pursuits (id, kind, name, description, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, pursuit.kind, pursuit.name, description, now, now]
+    );
+    return id;
+  } catch (error) {
+    console.error('Error adding pursuit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rename a hobby or skill or change its description
+ * @param {string} id - Pursuit ID
+ * @param {Object} pursuit - { name, description }
+ * @returns {Promise<boolean>} Whether a pursuit was updated
+ */
+export async function updatePursuit(id, pursuit) {
+  const db = await getDatabase();
+  try {
+    const { description } = await encryptColumns('pursuits', { description: pursuit.description || null });
+    const result = await db.runAsync(
+      'UPDATE pursuits SET name = ?, description = ?, updated_at = ? WHERE id = ? AND deleted_at IS NULL',
+      [pursuit.name, description, new Date().toISOString(), id]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error updating pursuit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move a hobby or skill to the trash. Its sessions and goals stay with it
+ * and are deleted when it is purged.
+ * @param {string} id - Pursuit ID
+ * @returns {Promise<boolean>} Whether a pursuit was moved
+ */
+export async function deletePursuit(id) {
+  try {
+    return await moveToTrash('pursuit', id);
+  } catch (error) {
+    console.error('Error deleting pursuit:', error);
+    throw error;
+  }
+}
+
+// PRACTICE SESSIONS
+
+// Selects sessions with the name and kind of their pursuit, leaving out those of trashed pursuits
+const SELECT_SESSIONS = `
+  SELECT s.*, p.name AS pursuit_name, p.kind AS pursuit_kind
+  FROM practice_sessions s
+  JOIN pursuits p ON p.id = s.pursuit_id AND p.deleted_at IS NULL
+  WHERE s.deleted_at IS NULL
+`;
+
+const loadSessions = async (rows) => withEntryLinks('session', decryptRows('practice_sessions', rows));
+
+// Mark the time goals of a pursuit reached by its total practice time as completed
+const completeReachedGoals = async (db, pursuitId) => {
+  const now = new Date().toISOString();
+  await db.runAsync(
+    `UPDATE pursuit_goals SET completed_at = ?, updated_at = ?
+     WHERE pursuit_id = ? AND completed_at IS NULL AND target_minutes IS NOT NULL
+     AND target_minutes <= (
+       SELECT COALESCE(SUM(duration_minutes), 0) FROM practice_sessions
+       WHERE pursuit_id = ? AND deleted_at IS NULL
+     )`,
+    [now, now, pursuitId, pursuitId]
+  );
+};
+
+/**
+ * Get the sessions of a hobby or skill, newest first, with their linked
+ * people and place
+ * @param {string} pursuitId - Pursuit ID
+ * @returns {Promise<Array>} Sessions
+ */
+export async function getPracticeSessions(pursuitId) {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync(
+      `${SELECT_SESSIONS} AND s.pursuit_id = ? ORDER BY s.practiced_at DESC`,
+      [pursuitId]
+    );
+    return await loadSessions(rows);
+  } catch (error) {
+    console.error('Error getting practice sessions:', error);
+    throw error;
+  }
+}
+
+// Unknown and trashed IDs are left out; the order is not defined
+export async function getPracticeSessionsByIds(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const db = await getDatabase();
+  try {
+    const rows = await getAllByIds(db, placeholders => `${SELECT_SESSIONS} AND s.id IN (${placeholders})`, ids);
+    return await loadSessions(rows);
+  } catch (error) {
+    console.error('Error getting practice sessions by ids:', error);
+    throw error;
+  }
+}
+
+/**
+ * Log a practice session. Time goals it reaches are completed.
+ * @param {Object} session - { pursuit_id, practiced_at, duration_minutes, rating (1-5), notes, people: [IDs], place: ID }
+ * @returns {Promise<string>} ID of the session
+ */
+export async function addPracticeSession(session) {
+  const db = await getDatabase();
+  try {
+    const id = session.id || generateId();
+    const now = new Date().toISOString();
+    const { notes } = await encryptColumns('practice_sessions', { notes: session.notes || null });
+
+    await db.runAsync(
+      `INSERT INTO practice_sessions (id, pursuit_id, practiced_at, duration_minutes, rating, notes, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        session.pursuit_id,
+        new Date(session.practiced_at || now).toISOString(),
+        session.duration_minutes,
+        session.rating || null,
+        notes,
+        now,
+        now
+      ]
+    );
+
+    await setEntryPeople('session', id, session.people || []);
+    await setEntryPlace('session', id, session.place || null);
+    await completeReachedGoals(db, session.pursuit_id);
+    return id;
+  } catch (error) {
+    console.error('Error adding practice session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a practice session, replacing its linked people and place
+ * @param {string} id - Session ID
+ * @param {Object} session - As taken by addPracticeSession, without pursuit_id
+ * @returns {Promise<boolean>} Whether a session was updated
+ */
+export async function updatePracticeSession(id, session) {
+  const db = await getDatabase();
+  try {
+    const { notes } = await encryptColumns('practice_sessions', { notes: session.notes || null });
+    const result = await db.runAsync(
+      `UPDATE practice_sessions SET practiced_at = ?, duration_minutes = ?, rating = ?, notes = ?, updated_at = ?
+       WHERE id = ? AND deleted_at IS NULL`,
+      [
+        new Date(session.practiced_at).toISOString(),
+        session.duration_minutes,
+        session.rating || null,
+        notes,
+        new Date().toISOString(),
+        id
+      ]
+    );
+    if (result.changes === 0) {
+      return false;
+    }
+
+    await setEntryPeople('session', id, session.people || []);
+    await setEntryPlace('session', id, session.place || null);
+    const [{ pursuit_id: pursuitId }] = await db.getAllAsync('SELECT pursuit_id FROM practice_sessions WHERE id = ?', [id]);
+    await completeReachedGoals(db, pursuitId);
+    return true;
+  } catch (error) {
+    console.error('Error updating practice session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move a practice session to the trash. Goals it completed stay completed.
+ * @param {string} id - Session ID
+ * @returns {Promise<boolean>} Whether a session was moved
+ */
+export async function deletePracticeSession(id) {
+  try {
+    return await moveToTrash('session', id);
+  } catch (error) {
+    console.error('Error deleting practice session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the practice time and average rating of a hobby or skill per week,
+ * for a progress chart
+ * @param {string} pursuitId - Pursuit ID
+ * @param {number} [weeks] - Number of weeks, ending with the current one
+ * @returns {Promise<Array>} [{ weekStart, minutes, sessions, averageRating }], oldest first
+ */
+export async function getWeeklyPractice(pursuitId, weeks = 8) {
+  const db = await getDatabase();
+  try {
+    const firstWeek = startOfWeek(new Date());
+    firstWeek.setDate(firstWeek.getDate() - (weeks - 1) * 7);
+
+    const rows = await db.getAllAsync(
+      `SELECT practiced_at, duration_minutes, rating FROM practice_sessions
+       WHERE pursuit_id = ? AND deleted_at IS NULL AND practiced_at >= ?`,
+      [pursuitId, firstWeek.toISOString()]
+    );
+
+    const result = Array.from({ length: weeks }, (_, index) => {
+      const weekStart = new Date(firstWeek);
+      weekStart.setDate(weekStart.getDate() + index * 7);
+      return { weekStart, minutes: 0, sessions: 0, ratings: [] };
+    });
+    for (const row of rows) {
+      const week = result[Math.floor(daysBetween(firstWeek, row.practiced_at) / 7)];
+      if (week) {
+        week.minutes += row.duration_minutes;
+        week.sessions += 1;
+        if (row.rating) {
+          week.ratings.push(row.rating);
+        }
+      }
+    }
+
+    return result.map(({ ratings, ...week }) => ({
+      ...week,
+      averageRating: ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null
+    }));
+  } catch (error) {
+    console.error('Error getting weekly practice:', error);
+    throw error;
+  }
+}
+
+// GOALS
+
+/**
+ * Get the goals of a hobby or skill, open ones first, with the progress
+ * of time goals
+ * @param {string} pursuitId - Pursuit ID
+ * @returns {Promise<Array>} Goals with progress_minutes
+ */
+export async function getPursuitGoals(pursuitId) {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync(
+      `SELECT g.*, (
+         SELECT COALESCE(SUM(duration_minutes), 0) FROM practice_sessions
+         WHERE pursuit_id = g.pursuit_id AND deleted_at IS NULL
+       ) AS progress_minutes
+       FROM pursuit_goals g
+       WHERE g.pursuit_id = ?
+       ORDER BY g.completed_at IS NOT NULL, COALESCE(g.target_date, '9999'), g.created_at`,
+      [pursuitId]
+    );
+    return decryptRows('pursuit_goals', rows);
+  } catch (error) {
+    console.error('Error getting pursuit goals:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a goal to a hobby or skill
+ * @param {string} pursuitId - Pursuit ID
+ * @param {Object} goal - { title, target_minutes (total practice time, or null for a milestone), target_date }
+ * @returns {Promise<string>} ID of the goal
+ */
+export async function addPursuitGoal(pursuitId, goal) {
+  const db = await getDatabase();
+  try {
+    const id = generateId();
+    const now = new Date().toISOString();
+    const { title } = await encryptColumns('pursuit_goals', { title: goal.title });
+    await db.runAsync(
+      `INSERT INTO pursuit_goals (id, pursuit_id, title, target_minutes, target_date, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, pursuitId, title, goal.target_minutes || null, goal.target_date || null, now, now]
+    );
+    await completeReachedGoals(db, pursuitId);
+    return id;
+  } catch (error) {
+    console.error('Error adding pursuit goal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check off a goal or open it again
+ * @param {string} id - Goal ID
+ * @param {boolean} completed - Whether the goal is completed
+ * @returns {Promise<boolean>} Whether a goal was updated
+ */
+export async function setPursuitGoalCompleted(id, completed) {
+  const db = await getDatabase();
+  try {
+    const now = new Date().toISOString();
+    const result = await db.runAsync(
+      'UPDATE pursuit_goals SET completed_at = ?, updated_at = ? WHERE id = ?',
+      [completed ? now : null, now, id]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error updating pursuit goal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a goal
+ * @param {string} id - Goal ID
+ * @returns {Promise<boolean>} Whether a goal was deleted
+ */
+export async function deletePursuitGoal(id) {
+  const db = await getDatabase();
+  try {
+    const result = await db.runAsync('DELETE FROM pursuit_goals WHERE id = ?', [id]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error deleting pursuit goal:', error);
+    throw error;
+  }
+}
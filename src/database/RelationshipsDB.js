@@ -0,0 +1,182 @@
+/**
+ * RelationshipsDB.js - Referential integrity of entity_relationships and entry links
+ *
+ * entity_relationships refers to entities by type and ID, so SQLite cannot
+ * enforce it with foreign keys. Instead:
+ * - Purging an entity deletes its relationships (triggers from migration 6);
+ *   entities in the trash keep theirs so they can be restored
+ * - Merging an entity into another moves its relationships and entry links
+ *   over with mergeEntity()
+ * - checkIntegrity() and repairIntegrity() find and remove whatever is
+ *   still left dangling, e.g. after a sync change that could not be applied
+ */
+
+import { getDatabase } from './Database';
+import { updateSearchIndex } from './SearchIndex';
+
+// Entity type -> table, using the entity types of entity_relationships
+export const ENTITY_TABLES = {
+  mood: 'mood_entries',
+  food: 'food_entries',
+  person: 'people',
+  place: 'places',
+  memory: 'memories',
+  health: 'health_entries',
+  pursuit: 'pursuits',
+  session: 'practice_sessions'
+};
+
+// Entry link tables and the entity each one links entries to
+const ENTRY_LINK_TABLES = [
+  { table: 'entry_people', column: 'person_id', entityType: 'person' },
+  { table: 'entry_places', column: 'place_id', entityType: 'place' }
+];
+
+// Entry types that can have people and places linked
+const ENTRY_TYPES = ['mood', 'food', 'memory', 'session'];
+
+// SQL condition: the entity named by a type column and an ID column exists, trashed or not
+const entityExists = (typeColumn, idColumn, entityTypes = Object.keys(ENTITY_TABLES)) =>
+  `(${entityTypes
+    .map(type => `(${typeColumn} = '${type}' AND ${idColumn} IN (SELECT id FROM ${ENTITY_TABLES[type]}))`)
+    .join(' OR ')})`;
+
+// Problems checked for, as SQL conditions on entity_relationships or an entry link table
+const RELATIONSHIP_PROBLEMS = {
+  danglingRelationships: `NOT ${entityExists('source_type', 'source_id')} OR NOT ${entityExists('target_type', 'target_id')}`,
+  selfRelationships: 'source_type = target_type AND source_id = target_id',
+  duplicateRelationships: `rowid NOT IN (
+    SELECT MIN(rowid) FROM entity_relationships
+    GROUP BY source_type, source_id, target_type, target_id, relationship_type
+  )`
+};
+
+const danglingEntryLink = ({ column, entityType }) =>
+  `NOT ${entityExists('entry_type', 'entry_id', ENTRY_TYPES)}
+   OR ${column} NOT IN (SELECT id FROM ${ENTITY_TABLES[entityType]})`;
+
+const getTable = (entityType) => {
+  const table = ENTITY_TABLES[entityType];
+  if (!table) {
+    throw new Error(`Unknown entity type: ${entityType}`);
+  }
+  return table;
+};
+
+/**
+ * Merge a duplicate entity into another one of the same type. Relationships
+ * and entry links of the duplicate move to the kept entity, without creating
+ * duplicate or self relationships, and the duplicate is deleted.
+ * @param {string} entityType - One of the entity types of ENTITY_TABLES, e.g. 'mood'
+ * @param {string} duplicateId - ID of the entity to merge away
+ * @param {string} keptId - ID of the entity to keep
+ * @returns {Promise<void>}
+ */
+export async function mergeEntity(entityType, duplicateId, keptId) {
+  const table = getTable(entityType);
+  if (duplicateId === keptId) {
+    throw new Error(`Cannot merge ${entityType} ${keptId} into itself`);
+  }
+
+  const db = await getDatabase();
+  try {
+    await db.withTransactionAsync(async () => {
+      // Relationships between the two would point from the kept entity to itself
+      await db.runAsync(
+        `DELETE FROM entity_relationships
+         WHERE (source_type = ? AND source_id = ? AND target_type = ? AND target_id = ?)
+         OR (source_type = ? AND source_id = ? AND target_type = ? AND target_id = ?)`,
+        [entityType, duplicateId, entityType, keptId, entityType, keptId, entityType, duplicateId]
+      );
+      await db.runAsync(
+        'UPDATE entity_relationships SET source_id = ? WHERE source_type = ? AND source_id = ?',
+        [keptId, entityType, duplicateId]
+      );
+      await db.runAsync(
+        'UPDATE entity_relationships SET target_id = ? WHERE target_type = ? AND target_id = ?',
+        [keptId, entityType, duplicateId]
+      );
+      // Relationships both entities had are now duplicates of each other
+      await db.runAsync(
+        `DELETE FROM entity_relationships
+         WHERE ((source_type = ? AND source_id = ?) OR (target_type = ? AND target_id = ?))
+         AND ${RELATIONSHIP_PROBLEMS.duplicateRelationships}`,
+        [entityType, keptId, entityType, keptId]
+      );
+
+      // Entries linked to both keep a single link
+      for (const link of ENTRY_LINK_TABLES.filter(link => link.entityType === entityType)) {
+        await db.runAsync(
+          `UPDATE OR IGNORE ${link.table} SET ${link.column} = ? WHERE ${link.column} = ?`,
+          [keptId, duplicateId]
+        );
+      }
+
+      // Cascades remove the links that were not moved
+      await db.runAsync(`DELETE FROM ${table} WHERE id = ?`, [duplicateId]);
+    });
+    await updateSearchIndex(entityType, duplicateId);
+    console.log(`Merged ${entityType} ${duplicateId} into ${keptId}`);
+  } catch (error) {
+    console.error('Error merging entity:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count relationships and entry links that point to missing entities,
+ * relate an entity to itself or repeat another relationship
+ * @returns {Promise<Object>} { danglingRelationships, selfRelationships, duplicateRelationships, danglingEntryLinks, total }
+ */
+export async function checkIntegrity() {
+  const db = await getDatabase();
+  try {
+    const report = {};
+    for (const [problem, condition] of Object.entries(RELATIONSHIP_PROBLEMS)) {
+      const rows = await db.getAllAsync(`SELECT COUNT(*) AS count FROM entity_relationships WHERE ${condition}`);
+      report[problem] = rows[0].count;
+    }
+
+    report.danglingEntryLinks = 0;
+    for (const link of ENTRY_LINK_TABLES) {
+      const rows = await db.getAllAsync(`SELECT COUNT(*) AS count FROM ${link.table} WHERE ${danglingEntryLink(link)}`);
+      report.danglingEntryLinks += rows[0].count;
+    }
+
+    report.total = Object.values(report).reduce((sum, count) => sum + count, 0);
+    return report;
+  } catch (error) {
+    console.error('Error checking integrity:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete everything checkIntegrity() reports
+ * @returns {Promise<Object>} Number of rows deleted per problem, as returned by checkIntegrity()
+ */
+export async function repairIntegrity() {
+  const db = await getDatabase();
+  try {
+    const report = {};
+    await db.withTransactionAsync(async () => {
+      for (const [problem, condition] of Object.entries(RELATIONSHIP_PROBLEMS)) {
+        const result = await db.runAsync(`DELETE FROM entity_relationships WHERE ${condition}`);
+        report[problem] = result.changes;
+      }
+
+      report.danglingEntryLinks = 0;
+      for (const link of ENTRY_LINK_TABLES) {
+        const result = await db.runAsync(`DELETE FROM ${link.table} WHERE ${danglingEntryLink(link)}`);
+        report.danglingEntryLinks += result.changes;
+      }
+    });
+
+    report.total = Object.values(report).reduce((sum, count) => sum + count, 0);
+    console.log(`Repaired ${report.total} integrity problems`);
+    return report;
+  } catch (error) {
+    console.error('Error repairing integrity:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * SearchIndex.js - Full-text search over moods, food, memories, people and places
+ *
+ * Most searchable text is encrypted at rest, so SQL triggers only ever see
+ * ciphertext and a plaintext index must not be written to memoria.db.
+ * The FTS5 index therefore lives in a TEMP table, kept in memory for the
+ * lifetime of the connection. It is built from decrypted rows on the first
+ * search after the database is opened and updated by the stores after every
+ * save, update and delete. Bulk changes (import, sync, resets) invalidate it
+ * so the next search rebuilds it.
+ */
+
+import { getDatabase, getAllByIds } from './Database';
+import { decryptRows } from './EncryptedColumns';
+
+// Marks matched terms in search results
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+// Words shown around a match in a result snippet
+const SNIPPET_WORDS = 12;
+
+// Connection whose TEMP table holds an up-to-date index, or null
+let indexedConnection = null;
+
+const joinText = (...parts) => parts.filter(Boolean).join(' ');
+
+// Entity type -> document loader. Loads { id, title, body } for the given IDs,
+// or for every entity when ids is null. Entities in the trash are left out.
+const DOCUMENT_SOURCES = {
+  mood: {
+    table: 'mood_entries',
+    query: `SELECT e.id, e.emotion, e.notes, e.location,
+                   (SELECT GROUP_CONCAT(tag_name, ' ') FROM mood_tags WHERE mood_id = e.id) AS tags,
+                   (SELECT GROUP_CONCAT(activity_name, ' ') FROM mood_activities WHERE mood_id = e.id) AS activities
+            FROM mood_entries e WHERE e.deleted_at IS NULL`,
+    toDocument: row => ({
+      title: row.emotion,
+      body: joinText(row.notes, row.tags, row.activities, row.location)
+    })
+  },
+  food: {
+    table: 'food_entries',
+    query: `SELECT e.id, e.name, e.notes, e.restaurant_name, e.meal_type
+            FROM food_entries e WHERE e.deleted_at IS NULL`,
+    toDocument: row => ({
+      title: row.name,
+      body: joinText(row.notes, row.restaurant_name, row.meal_type)
+    })
+  },
+  memory: {
+    table: 'memories',
+    query: `SELECT e.id, e.title, e.description
+            FROM memories e WHERE e.deleted_at IS NULL`,
+    toDocument: row => ({ title: row.title, body: row.description })
+  },
+  person: {
+    table: 'people',
+    query: `SELECT e.id, e.name, e.context,
+                   (SELECT GROUP_CONCAT(value, ' ') FROM person_tags WHERE person_id = e.id) AS tags
+            FROM people e WHERE e.deleted_at IS NULL`,
+    toDocument: row => ({ title: row.name, body: joinText(row.tags, row.context) })
+  },
+  place: {
+    table: 'places',
+    query: `SELECT e.id, e.name, e.address, e.notes
+            FROM places e WHERE e.deleted_at IS NULL AND e.status = 'confirmed'`,
+    toDocument: row => ({ title: row.name, body: joinText(row.address, row.notes) })
+  }
+};
+
+const loadDocuments = async (db, entityType, ids = null) => {
+  const source = DOCUMENT_SOURCES[entityType];
+  const rows = ids === null
+    ? await db.getAllAsync(source.query)
+    : await getAllByIds(db, placeholders => `${source.query} AND e.id IN (${placeholders})`, ids);
+  return decryptRows(source.table, rows).map(row => ({ id: row.id, ...source.toDocument(row) }));
+};
+
+const insertDocuments = async (db, entityType, documents) => {
+  for (const document of documents) {
+    await db.runAsync(
+      'INSERT INTO temp.search_index (entity_type, entity_id, title, body) VALUES (?, ?, ?, ?)',
+      [entityType, document.id, document.title || '', document.body || '']
+    );
+  }
+};
+
+/**
+ * Build the index if this connection does not have an up-to-date one
+ * @returns {Promise<Object>} Database connection holding the index
+ */
+async function ensureSearchIndex() {
+  const db = await getDatabase();
+  if (indexedConnection === db) {
+    return db;
+  }
+
+  await db.execAsync(`
+    PRAGMA temp_store = MEMORY;
+    DROP TABLE IF EXISTS temp.search_index;
+    CREATE VIRTUAL TABLE temp.search_index USING fts5(
+      entity_type UNINDEXED,
+      entity_id UNINDEXED,
+      title,
+      body,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+  `);
+  await db.withTransactionAsync(async () => {
+    for (const entityType of Object.keys(DOCUMENT_SOURCES)) {
+      await insertDocuments(db, entityType, await loadDocuments(db, entityType));
+    }
+  });
+
+  indexedConnection = db;
+  return db;
+}
+
+/**
+ * Re-index one entity after it was saved, updated, deleted, trashed or restored.
+ * Does nothing until the index has been built. Never throws, so a failure
+ * here cannot fail the save; the index is rebuilt on the next search instead.
+ * @param {string} entityType - 'mood', 'food', 'memory', 'person' or 'place'
+ * @param {string} id - Entity ID
+ * @returns {Promise<void>}
+ */
+export async function updateSearchIndex(entityType, id) {
+  try {
+    const db = await getDatabase();
+    if (indexedConnection !== db || !DOCUMENT_SOURCES[entityType]) {
+      return;
+    }
+
+    await db.runAsync(
+      'DELETE FROM temp.search_index WHERE entity_type = ? AND entity_id = ?',
+      [entityType, id]
+    );
+    await insertDocuments(db, entityType, await loadDocuments(db, entityType, [id]));
+  } catch (error) {
+    console.error('Error updating search index:', error);
+    indexedConnection = null;
+  }
+}
+
+/**
+ * Rebuild the index on the next search, e.g. after rows were changed in bulk
+ */
+export function invalidateSearchIndex() {
+  indexedConnection = null;
+}
+
+/**
+ * Drop the index, e.g. when the app locks, so no decrypted text stays in
+ * memory. The next search after unlocking rebuilds it. Never throws.
+ * @returns {Promise<void>}
+ */
+export async function clearSearchIndex() {
+  invalidateSearchIndex();
+  try {
+    const db = await getDatabase();
+    await db.execAsync('DROP TABLE IF EXISTS temp.search_index');
+  } catch (error) {
+    console.error('Error clearing search index:', error);
+  }
+}
+
+/**
+ * Turn user input into an FTS5 query: every word must match, as a prefix
+ * @param {string} text - Search text
+ * @returns {string|null} MATCH expression, or null if there is nothing to search for
+ */
+function toMatchExpression(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map(word => `"${word}"*`).join(' ') : null;
+}
+
+/**
+ * Search all entities, best matches first. Titles weigh more than other text.
+ * @param {string} text - Search text
+ * @param {number} [limit] - Maximum number of results
+ * @returns {Promise<Array>} [{ entityType, id, title, snippet }] with matches
+ *   wrapped in HIGHLIGHT_START and HIGHLIGHT_END
+ */
+export async function searchEntities(text, limit = 50) {
+  const match = toMatchExpression(text);
+  if (!match) {
+    return [];
+  }
+
+  try {
+    const db = await ensureSearchIndex();
+    const rows = await db.getAllAsync(`
+      SELECT entity_type, entity_id,
+             highlight(search_index, 2, ?, ?) AS title,
+             snippet(search_index, 3, ?, ?, '…', ${SNIPPET_WORDS}) AS snippet
+      FROM temp.search_index
+      WHERE search_index MATCH ?
+      ORDER BY bm25(search_index, 0, 0, 10, 1)
+      LIMIT ?
+    `, [HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, match, limit]);
+
+    return rows.map(row => ({
+      entityType: row.entity_type,
+      id: row.entity_id,
+      title: row.title,
+      snippet: row.snippet
+    }));
+  } catch (error) {
+    console.error('Error searching:', error);
+    throw error;
+  }
+}
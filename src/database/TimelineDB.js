@@ -0,0 +1,80 @@
+/**
+ * TimelineDB.js - One chronological feed across trackers
+ *
+ * Mood entries, food entries, memories and survey results (mood entries
+ * tagged SURVEY_TAG) are merged by time in a single UNION ALL query,
+ * one page at a time. Only the IDs of a page are selected; the entries
+ * themselves are then fetched with one lookup per type.
+ */
+
+import { getDatabase } from './Database';
+import { resolveEntities } from './UnifiedDB';
+import { SURVEY_TAG } from './MoodsDB';
+
+export const TIMELINE_TYPES = ['mood', 'food', 'memory', 'survey'];
+
+// Milliseconds since the epoch from an ISO date column, matching mood entry_time
+const isoToMs = (column) => `CAST(ROUND((julianday(${column}) - 2440587.5) * 86400000) AS INTEGER)`;
+
+const isSurvey = `id IN (SELECT mood_id FROM mood_tags WHERE tag_name = '${SURVEY_TAG}')`;
+
+// Type -> SELECT of (type, id, time) for entries that are not in the trash
+const TIMELINE_SOURCES = {
+  mood: `SELECT 'mood' AS type, id, entry_time AS time FROM mood_entries
+         WHERE deleted_at IS NULL AND NOT ${isSurvey}`,
+  survey: `SELECT 'survey' AS type, id, entry_time AS time FROM mood_entries
+           WHERE deleted_at IS NULL AND ${isSurvey}`,
+  food: `SELECT 'food' AS type, id, ${isoToMs('date')} AS time FROM food_entries
+         WHERE deleted_at IS NULL AND date IS NOT NULL`,
+  memory: `SELECT 'memory' AS type, id, ${isoToMs('date')} AS time FROM memories
+           WHERE deleted_at IS NULL AND date IS NOT NULL`
+};
+
+// Surveys are stored as mood entries
+const ENTITY_TYPES = { mood: 'mood', survey: 'mood', food: 'food', memory: 'memory' };
+
+/**
+ * Get one page of the timeline, newest first
+ * @param {Object} options
+ * @param {string[]} [options.types] - Types to include, defaults to TIMELINE_TYPES
+ * @param {Object} [options.cursor] - nextCursor of the previous page; null for the first page
+ * @param {number} [options.limit] - Maximum number of items
+ * @returns {Promise<Object>} { items: [{ type, id, time, data }], nextCursor } with nextCursor null after the last page
+ */
+export async function getTimelinePage({ types = TIMELINE_TYPES, cursor = null, limit = 30 } = {}) {
+  const sources = types.filter(type => TIMELINE_SOURCES[type]).map(type => TIMELINE_SOURCES[type]);
+  if (sources.length === 0) {
+    return { items: [], nextCursor: null };
+  }
+
+  const db = await getDatabase();
+  try {
+    // Items with the same time are ordered by type and ID, so pages never overlap
+    const rows = await db.getAllAsync(`
+      SELECT type, id, time, type || ':' || id AS item_key
+      FROM (${sources.join(' UNION ALL ')})
+      ${cursor ? 'WHERE time < ? OR (time = ? AND item_key < ?)' : ''}
+      ORDER BY time DESC, item_key DESC
+      LIMIT ?
+    `, cursor ? [cursor.time, cursor.time, cursor.key, limit] : [limit]);
+
+    const entities = await resolveEntities(rows.map(row => ({ type: ENTITY_TYPES[row.type], id: row.id })));
+    const items = rows
+      .map(row => ({
+        type: row.type,
+        id: row.id,
+        time: row.time,
+        data: entities.get(`${ENTITY_TYPES[row.type]}:${row.id}`)
+      }))
+      .filter(item => item.data);
+
+    const last = rows[rows.length - 1];
+    return {
+      items,
+      nextCursor: rows.length === limit ? { time: last.time, key: last.item_key } : null
+    };
+  } catch (error) {
+    console.error('Error getting timeline page:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * TrashDB.js - Deleted entities awaiting purge
+ *
+ * Deleting an entity of ENTITY_TABLES (moods, food entries, people,
+ * places, memories, health entries, hobbies and skills and their practice
+ * sessions) only sets its deleted_at column. Its links and relationships
+ * stay in place, so restoring it brings everything back. Stores leave trashed rows out of
+ * their queries. Purging deletes the row for good; cascades and triggers
+ * then remove its tags, links and relationships.
+ */
+
+import { getDatabase } from './Database';
+import { decryptRows } from './EncryptedColumns';
+import { ENTITY_TABLES } from './RelationshipsDB';
+import { updateSearchIndex } from './SearchIndex';
+
+// Entity type -> [title column, date column] shown in the trash
+const TRASH_LIST_COLUMNS = {
+  mood: ['emotion', 'entry_time'],
+  food: ['name', 'date'],
+  person: ['name', 'created_at'],
+  place: ['name', 'created_at'],
+  memory: ['title', 'date'],
+  health: ['kind', 'recorded_at'],
+  pursuit: ['name', 'created_at'],
+  session: ['notes', 'practiced_at']
+};
+
+const getTable = (entityType) => {
+  const table = ENTITY_TABLES[entityType];
+  if (!table) {
+    throw new Error(`Unknown entity type: ${entityType}`);
+  }
+  return table;
+};
+
+/**
+ * Move an entity to the trash
+ * @param {string} entityType - One of the entity types of ENTITY_TABLES, e.g. 'mood'
+ * @param {string} id - Entity ID
+ * @returns {Promise<boolean>} Whether an entity was moved
+ */
+export async function moveToTrash(entityType, id) {
+  const db = await getDatabase();
+  try {
+    const now = new Date().toISOString();
+    const result = await db.runAsync(
+      `UPDATE ${getTable(entityType)} SET deleted_at = ?, updated_at = ? WHERE id = ? AND deleted_at IS NULL`,
+      [now, now, id]
+    );
+    await updateSearchIndex(entityType, id);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error moving to trash:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore an entity from the trash, with its links and relationships
+ * @param {string} entityType - One of the entity types of ENTITY_TABLES, e.g. 'mood'
+ * @param {string} id - Entity ID
+ * @returns {Promise<boolean>} Whether an entity was restored
+ */
+export async function restoreFromTrash(entityType, id) {
+  const db = await getDatabase();
+  try {
+    const result = await db.runAsync(
+      `UPDATE ${getTable(entityType)} SET deleted_at = NULL, updated_at = ? WHERE id = ? AND deleted_at IS NOT NULL`,
+      [new Date().toISOString(), id]
+    );
+    await updateSearchIndex(entityType, id);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    throw error;
+  }
+}
+
+/**
+ * List everything in the trash, most recently deleted first
+ * @returns {Promise<Array>} [{ entityType, id, title, date, deletedAt }]
+ */
+export async function getTrashItems() {
+  const db = await getDatabase();
+  try {
+    const items = [];
+    for (const [entityType, [titleColumn, dateColumn]] of Object.entries(TRASH_LIST_COLUMNS)) {
+      const table = ENTITY_TABLES[entityType];
+      const rows = decryptRows(table, await db.getAllAsync(
+        `SELECT id, ${titleColumn}, ${dateColumn}, deleted_at FROM ${table} WHERE deleted_at IS NOT NULL`
+      ));
+
+      for (const row of rows) {
+        items.push({
+          entityType,
+          id: row.id,
+          title: row[titleColumn],
+          date: row[dateColumn] !== null ? new Date(row[dateColumn]) : null,
+          deletedAt: row.deleted_at
+        });
+      }
+    }
+
+    return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  } catch (error) {
+    console.error('Error getting trash items:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete an entity that is in the trash
+ * @param {string} entityType - One of the entity types of ENTITY_TABLES, e.g. 'mood'
+ * @param {string} id - Entity ID
+ * @returns {Promise<boolean>} Whether an entity was deleted
+ */
+export async function purgeFromTrash(entityType, id) {
+  const db = await getDatabase();
+  try {
+    const result = await db.runAsync(
+      `DELETE FROM ${getTable(entityType)} WHERE id = ? AND deleted_at IS NOT NULL`,
+      [id]
+    );
+    await updateSearchIndex(entityType, id);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error purging from trash:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete everything that was moved to the trash before a point in time
+ * @param {Date} cutoff - Purge entities deleted before this; null purges the whole trash
+ * @returns {Promise<number>} Number of entities deleted
+ */
+export async function purgeTrash(cutoff = null) {
+  const db = await getDatabase();
+  let purgedCount = 0;
+  try {
+    await db.withTransactionAsync(async () => {
+      for (const table of Object.values(ENTITY_TABLES)) {
+        const result = cutoff
+          ? await db.runAsync(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ?`, [cutoff.toISOString()])
+          : await db.runAsync(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL`);
+        purgedCount += result.changes;
+      }
+    });
+    return purgedCount;
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    throw error;
+  }
+}
@@ -1,55 +1,30 @@
 /**
- * UnifiedDB.js - Cross-database integration layer for Memoria
+ * UnifiedDB.js - Cross-entity integration layer for Memoria
  * 
  * This module provides:
- * 1. Cross-database references and relationships
+ * 1. Cross-entity references and relationships
  * 2. Unified query interface for entity history
  * 3. Relationship maintenance functions
  */
 
-import * as SQLite from 'expo-sqlite';
-import * as FileSystem from 'expo-file-system';
-import { initDatabase as initMoodsDB, saveMoodEntry, getMoodEntries, getMoodEntryById } from './MoodsDB';
-import { initFoodDB, addFoodEntry, updateFoodEntry, getAllFoodEntries } from './FoodDB';
-import { initPlacesDB, addPlace, updatePlace, getAllPlaces, getPlaceById, addPlaceMood } from './PlacesDB';
-import { initPeopleDB, addPerson, updatePerson, getAllPeople } from './PeopleDB';
-import { initMemoriesDB, addMemory, updateMemory, getAllMemories } from './MemoriesDB';
-
-// Database connection for relationships
-let relationshipsDB = null;
+import { getDatabase } from './Database';
+import { initDatabase as initMoodsDB, saveMoodEntry, getMoodEntries, getMoodEntriesByIds, getMoodEntriesByDate } from './MoodsDB';
+import { initFoodDB, addFoodEntry, updateFoodEntry, getFoodEntriesByIds, getFoodEntriesByDate } from './FoodDB';
+import { initPlacesDB, addPlace, getAllPlaces, getPlaceById, getPlacesByIds, addPlaceMood } from './PlacesDB';
+import { initPeopleDB, addPerson, updatePerson, getPeopleByIds } from './PeopleDB';
+import { initMemoriesDB, addMemory, updateMemory, getMemoriesByIds } from './MemoriesDB';
+import { getHealthEntriesByIds } from './HealthDB';
+import { addPracticeSession, updatePracticeSession, getPursuitsByIds, getPracticeSessionsByIds } from './PursuitsDB';
+import { mergeEntity } from './RelationshipsDB';
+import { toCoordinate } from '../utils/geo';
+import { findDuplicatePlaces, DUPLICATE_RADIUS_METERS } from '../utils/placeClustering';
 
 /**
  * Initialize the relationships database
  */
 export async function initRelationshipsDB() {
-  if (relationshipsDB !== null) {
-    return;
-  }
-  
   try {
-    console.log("Opening relationships database...");
-    relationshipsDB = await SQLite.openDatabaseAsync('relationships.db');
-    console.log("Relationships database connection established");
-    
-    // Create tables for cross-entity relationships
-    await relationshipsDB.execAsync(`
-      CREATE TABLE IF NOT EXISTS entity_relationships (
-        id TEXT PRIMARY KEY,
-        source_type TEXT NOT NULL,
-        source_id TEXT NOT NULL,
-        target_type TEXT NOT NULL,
-        target_id TEXT NOT NULL,
-        relationship_type TEXT NOT NULL,
-        created_at TEXT NOT NULL
-      );
-    `);
-    
-    // Create indexes for faster lookups
-    await relationshipsDB.execAsync(`
-      CREATE INDEX IF NOT EXISTS idx_source ON entity_relationships (source_type, source_id);
-      CREATE INDEX IF NOT EXISTS idx_target ON entity_relationships (target_type, target_id);
-    `);
-    
+    await getDatabase();
     console.log('Relationships database initialized successfully');
   } catch (error) {
     console.error('Error initializing relationships database:', error);
@@ -61,6 +36,9 @@ export async function initRelationshipsDB() {
  * Initialize all databases
  */
 export async function initAllDatabases() {
+  // Open (and migrate) the shared database once before the stores touch it
+  await getDatabase();
+  
   await Promise.all([
     initMoodsDB(),
     initFoodDB(),
@@ -93,11 +71,11 @@ export function generatePlaceId() {
  * Create a relationship between two entities
  */
 export async function createRelationship(sourceType, sourceId, targetType, targetId, relationshipType) {
-  await initRelationshipsDB();
+  const db = await getDatabase();
   
   try {
     // Check if relationship already exists
-    const existing = await relationshipsDB.getAllAsync(
+    const existing = await db.getAllAsync(
       `SELECT id FROM entity_relationships 
        WHERE source_type = ? AND source_id = ? 
        AND target_type = ? AND target_id = ?
@@ -107,7 +85,7 @@ export async function createRelationship(sourceType, sourceId, targetType, targe
     
     if (existing.length === 0) {
       // Create new relationship
-      await relationshipsDB.runAsync(
+      await db.runAsync(
         `INSERT INTO entity_relationships (
           id, source_type, source_id, target_type, target_id, relationship_type, created_at
         ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
@@ -160,61 +138,23 @@ export async function saveFoodEntryWithReferences(foodEntry) {
       await saveMoodEntry(moodEntry);
       
       // Create bidirectional relationships
-      await createRelationship('food', foodEntry.id, 'mood', virtualMoodId, 'has_mood');
-      await createRelationship('mood', virtualMoodId, 'food', foodEntry.id, 'associated_with_food');
+      await createRelationship('food', foodId, 'mood', virtualMoodId, 'has_mood');
+      await createRelationship('mood', virtualMoodId, 'food', foodId, 'associated_with_food');
     }
     
     // If place is associated, create relationship
+    // The entry stores the place ID, linked by addFoodEntry
     if (foodEntry.place) {
-      // Try to get place by name to avoid duplicates
-      const places = await getAllPlaces();
-      const existingPlace = places.find(p => p.name.toLowerCase() === foodEntry.place.toLowerCase());
-      
-      let placeId;
-      if (existingPlace) {
-        placeId = existingPlace.id;
-      } else {
-        // Create a new place with minimal data
-        const placeEntry = {
-          id: generatePlaceId(),
-          name: foodEntry.place,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        };
-        
-        placeId = await addPlace(placeEntry);
-      }
-      
-      // Create bidirectional relationships
-      await createRelationship('food', foodEntry.id, 'place', placeId, 'at_place');
-      await createRelationship('place', placeId, 'food', foodEntry.id, 'has_food');
+      await createRelationship('food', foodId, 'place', foodEntry.place, 'at_place');
+      await createRelationship('place', foodEntry.place, 'food', foodId, 'has_food');
     }
     
     // If people are associated, create relationships
     if (foodEntry.people && foodEntry.people.length > 0) {
-      const allPeople = await getAllPeople();
-      
-      for (const personName of foodEntry.people) {
-        let personId;
-        const existingPerson = allPeople.find(p => p.name.toLowerCase() === personName.toLowerCase());
-        
-        if (existingPerson) {
-          personId = existingPerson.id;
-        } else {
-          // Create a new person with minimal data
-          const personEntry = {
-            id: generateId(),
-            name: personName,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          };
-          
-          personId = await addPerson(personEntry);
-        }
-        
+      for (const personId of foodEntry.people) {
         // Create bidirectional relationships
-        await createRelationship('food', foodEntry.id, 'person', personId, 'with_person');
-        await createRelationship('person', personId, 'food', foodEntry.id, 'ate_food');
+        await createRelationship('food', foodId, 'person', personId, 'with_person');
+        await createRelationship('person', personId, 'food', foodId, 'ate_food');
       }
     }
   } catch (error) {
@@ -332,78 +272,122 @@ export async function saveMoodEntryWithReferences(moodEntry) {
 }
 
 /**
- * Get entity history - returns all related entities for a given entity
+ * Save a practice session, new or existing, with relationships to its
+ * people and place so it shows up in their histories
+ * @param {Object} session - Session as taken by addPracticeSession; with an id to update it
+ * @returns {Promise<string>} ID of the session
  */
-export async function getEntityHistory(entityType, entityId) {
-  await initRelationshipsDB();
+export async function savePracticeSessionWithReferences(session) {
+  let sessionId = session.id;
+  if (sessionId) {
+    await updatePracticeSession(sessionId, session);
+  } else {
+    sessionId = await addPracticeSession(session);
+  }
   
   try {
-    // Get all relationships where this entity is the source
-    const sourceRelationships = await relationshipsDB.getAllAsync(
-      `SELECT * FROM entity_relationships WHERE source_type = ? AND source_id = ?`,
-      [entityType, entityId]
+    // Replace the relationships of an edited session rather than adding to them
+    const db = await getDatabase();
+    await db.runAsync(
+      `DELETE FROM entity_relationships
+       WHERE (source_type = 'session' AND source_id = ? AND target_type IN ('person', 'place'))
+       OR (target_type = 'session' AND target_id = ? AND source_type IN ('person', 'place'))`,
+      [sessionId, sessionId]
     );
     
-    // Get all relationships where this entity is the target
-    const targetRelationships = await relationshipsDB.getAllAsync(
-      `SELECT * FROM entity_relationships WHERE target_type = ? AND target_id = ?`,
-      [entityType, entityId]
+    for (const personId of session.people || []) {
+      await createRelationship('session', sessionId, 'person', personId, 'with_person');
+      await createRelationship('person', personId, 'session', sessionId, 'practiced_with');
+    }
+    if (session.place) {
+      await createRelationship('session', sessionId, 'place', session.place, 'at_place');
+      await createRelationship('place', session.place, 'session', sessionId, 'has_session');
+    }
+  } catch (error) {
+    console.error('Error creating relationships for practice session:', error);
+    // The session was saved, so we don't throw here
+  }
+  
+  return sessionId;
+}
+
+// Entity type -> getter for a list of IDs
+const ENTITY_GETTERS = {
+  mood: getMoodEntriesByIds,
+  food: getFoodEntriesByIds,
+  place: getPlacesByIds,
+  person: getPeopleByIds,
+  memory: getMemoriesByIds,
+  health: getHealthEntriesByIds,
+  pursuit: getPursuitsByIds,
+  session: getPracticeSessionsByIds
+};
+
+/**
+ * Fetch the entities behind a list of references with one lookup per entity type
+ * @param {Array} references - [{ type, id }]
+ * @returns {Promise<Map>} 'type:id' -> entity, for entities that exist and are not in the trash
+ */
+export async function resolveEntities(references) {
+  const idsByType = {};
+  for (const { type, id } of references) {
+    if (!ENTITY_GETTERS[type]) {
+      continue;
+    }
+    if (!idsByType[type]) {
+      idsByType[type] = new Set();
+    }
+    idsByType[type].add(id);
+  }
+
+  const entities = new Map();
+  await Promise.all(Object.entries(idsByType).map(async ([type, ids]) => {
+    try {
+      for (const entity of await ENTITY_GETTERS[type]([...ids])) {
+        entities.set(`${type}:${entity.id}`, entity);
+      }
+    } catch (error) {
+      console.error(`Error fetching ${type} entities:`, error);
+    }
+  }));
+
+  return entities;
+}
+
+/**
+ * Get entity history - returns all related entities for a given entity
+ */
+export async function getEntityHistory(entityType, entityId) {
+  const db = await getDatabase();
+  
+  try {
+    const relationships = await db.getAllAsync(
+      `SELECT * FROM entity_relationships
+       WHERE (source_type = ? AND source_id = ?) OR (target_type = ? AND target_id = ?)
+       ORDER BY created_at DESC`,
+      [entityType, entityId, entityType, entityId]
     );
     
-    // Combine all relationships
-    const allRelationships = [...sourceRelationships, ...targetRelationships];
+    // The other side of each relationship
+    const related = relationships.map(rel => ({
+      rel,
+      ...(rel.source_id === entityId && rel.source_type === entityType
+        ? { type: rel.target_type, id: rel.target_id, direction: 'outgoing' }
+        : { type: rel.source_type, id: rel.source_id, direction: 'incoming' })
+    }));
+    const entities = await resolveEntities(related);
     
-    // Fetch actual entity data for each relationship
-    const relatedEntities = await Promise.all(allRelationships.map(async rel => {
-      // Determine which side of the relationship to fetch
-      const fetchType = rel.source_id === entityId && rel.source_type === entityType 
-        ? { type: rel.target_type, id: rel.target_id, direction: 'outgoing' } 
-        : { type: rel.source_type, id: rel.source_id, direction: 'incoming' };
-      
-      // Fetch the actual entity data
-      let entityData = null;
-      try {
-        switch(fetchType.type) {
-          case 'mood':
-            entityData = await getMoodEntryById(fetchType.id);
-            break;
-          case 'food':
-            const foodEntries = await getAllFoodEntries();
-            entityData = foodEntries.find(f => f.id === fetchType.id);
-            break;
-          case 'place':
-            entityData = await getPlaceById(fetchType.id);
-            break;
-          case 'person':
-            const people = await getAllPeople();
-            entityData = people.find(p => p.id === fetchType.id);
-            break;
-          case 'memory':
-            const memories = await getAllMemories();
-            entityData = memories.find(m => m.id === fetchType.id);
-            break;
-        }
-      } catch (error) {
-        console.error(`Error fetching ${fetchType.type} entity:`, error);
-      }
-      
-      return {
+    // Entities that could not be fetched or are in the trash are left out
+    return related
+      .filter(({ type, id }) => entities.has(`${type}:${id}`))
+      .map(({ rel, type, id, direction }) => ({
         relationship: rel.relationship_type,
-        direction: fetchType.direction,
-        entityType: fetchType.type,
-        entityId: fetchType.id,
-        entityData,
+        direction,
+        entityType: type,
+        entityId: id,
+        entityData: entities.get(`${type}:${id}`),
         createdAt: rel.created_at
-      };
-    }));
-    
-    // Filter out any null entities (in case of fetch errors)
-    const validEntities = relatedEntities.filter(entity => entity.entityData !== null);
-    
-    // Sort by creation date, newest first
-    validEntities.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    return validEntities;
+      }));
   } catch (error) {
     console.error('Error getting entity history:', error);
     throw error;
@@ -440,91 +424,58 @@ export async function getPlaceDetails(placeId) {
   };
 }
 
+// Places with coordinates are kept over places without, older places over newer ones
+const getPlacesByPreference = async () => {
+  const places = await getAllPlaces();
+  const hasCoordinates = (place) => toCoordinate(place.latitude) !== null && toCoordinate(place.longitude) !== null;
+  return [...places].sort((a, b) =>
+    (hasCoordinates(b) - hasCoordinates(a)) || String(a.created_at).localeCompare(String(b.created_at))
+  );
+};
+
 /**
- * Find and merge duplicate places
+ * Find and merge exact duplicate places: places with the same name
+ * (ignoring case, accents and punctuation) within DUPLICATE_RADIUS_METERS
+ * of each other, or when one has no coordinates. Places whose names are
+ * only similar are left to the user, see findDuplicatePlaceSuggestions().
+ * @returns {Promise<number>} Number of places merged into another
  */
 export async function findAndMergeDuplicatePlaces() {
-  const places = await getAllPlaces();
-  const processedPlaces = {};
-  const duplicates = [];
+  const preferred = await getPlacesByPreference();
+  let mergedCount = 0;
   
-  // Find potential duplicates by name similarity and proximity
-  for (const place of places) {
-    const placeName = place.name.toLowerCase().trim();
+  for (const { keep, duplicates } of findDuplicatePlaces(preferred, DUPLICATE_RADIUS_METERS, 1)) {
+    console.log(`Found ${duplicates.length} duplicates for place: ${keep.name}`);
     
-    if (!processedPlaces[placeName]) {
-      processedPlaces[placeName] = [place];
-    } else {
-      processedPlaces[placeName].push(place);
-      duplicates.push(placeName);
+    // Move relationships and entries of the duplicates to the kept place
+    for (const duplicate of duplicates) {
+      await mergeEntity('place', duplicate.id, keep.id);
+      mergedCount++;
     }
   }
   
-  // Process each set of duplicates
-  for (const duplicateName of duplicates) {
-    const dupes = processedPlaces[duplicateName];
-    console.log(`Found ${dupes.length} duplicates for place: ${duplicateName}`);
-    
-    // Keep the first one as primary
-    const primaryPlace = dupes[0];
-    
-    // Merge all relationships from other duplicates to the primary
-    for (let i = 1; i < dupes.length; i++) {
-      const duplicatePlace = dupes[i];
-      
-      // Get all relationships for the duplicate
-      const duplicateRelationships = await relationshipsDB.getAllAsync(
-        `SELECT * FROM entity_relationships 
-         WHERE (source_type = 'place' AND source_id = ?) 
-         OR (target_type = 'place' AND target_id = ?)`,
-        [duplicatePlace.id, duplicatePlace.id]
-      );
-      
-      // Transfer each relationship to the primary place
-      for (const rel of duplicateRelationships) {
-        if (rel.source_type === 'place' && rel.source_id === duplicatePlace.id) {
-          // Update source ID to primary place
-          await relationshipsDB.runAsync(
-            `UPDATE entity_relationships 
-             SET source_id = ? 
-             WHERE id = ?`,
-            [primaryPlace.id, rel.id]
-          );
-        } else if (rel.target_type === 'place' && rel.target_id === duplicatePlace.id) {
-          // Update target ID to primary place
-          await relationshipsDB.runAsync(
-            `UPDATE entity_relationships 
-             SET target_id = ? 
-             WHERE id = ?`,
-            [primaryPlace.id, rel.id]
-          );
-        }
-      }
-      
-      // Set the duplicate as deleted or mark it somehow
-      // For now, we'll just add a "merged" flag to the notes
-      const updatedNotes = `[MERGED into ${primaryPlace.id}] ${duplicatePlace.notes || ''}`;
-      await updatePlace({
-        ...duplicatePlace,
-        notes: updatedNotes
-      });
-      
-      console.log(`Merged place ${duplicatePlace.id} into ${primaryPlace.id}`);
-    }
-  }
-  
-  return duplicates.length;
+  return mergedCount;
+}
+
+/**
+ * Find places that are probably duplicates of another one: similar names
+ * close to each other (see findDuplicatePlaces() in utils/placeClustering.js).
+ * Nothing is merged; merging is up to the user.
+ * @returns {Promise<Array>} [{ keep, duplicates }] with the place to keep first
+ */
+export async function findDuplicatePlaceSuggestions() {
+  return findDuplicatePlaces(await getPlacesByPreference());
 }
 
 /**
  * Get food history for a mood
  */
 export async function getFoodHistoryForMood(moodId) {
-  await initRelationshipsDB();
+  const db = await getDatabase();
   
   try {
     // Get all food entries related to this mood
-    const relationships = await relationshipsDB.getAllAsync(
+    const relationships = await db.getAllAsync(
       `SELECT * FROM entity_relationships 
        WHERE (source_type = 'mood' AND source_id = ? AND target_type = 'food')
        OR (target_type = 'mood' AND target_id = ? AND source_type = 'food')`,
@@ -536,11 +487,9 @@ export async function getFoodHistoryForMood(moodId) {
       rel.source_type === 'food' ? rel.source_id : rel.target_id
     );
     
-    // Fetch all food entries
-    const allFoodEntries = await getAllFoodEntries();
-    
-    // Filter to only include related foods
-    return allFoodEntries.filter(food => foodIds.includes(food.id));
+    // Fetch the related food entries, newest first
+    const foodEntries = await getFoodEntriesByIds([...new Set(foodIds)]);
+    return foodEntries.sort((a, b) => b.date - a.date);
   } catch (error) {
     console.error('Error getting food history for mood:', error);
     return [];
@@ -551,11 +500,11 @@ export async function getFoodHistoryForMood(moodId) {
  * Get mood history for a food entry
  */
 export async function getMoodHistoryForFood(foodId) {
-  await initRelationshipsDB();
+  const db = await getDatabase();
   
   try {
     // Get all mood entries related to this food
-    const relationships = await relationshipsDB.getAllAsync(
+    const relationships = await db.getAllAsync(
       `SELECT * FROM entity_relationships 
        WHERE (source_type = 'food' AND source_id = ? AND target_type = 'mood')
        OR (target_type = 'food' AND target_id = ? AND source_type = 'mood')`,
@@ -567,14 +516,70 @@ export async function getMoodHistoryForFood(foodId) {
       rel.source_type === 'mood' ? rel.source_id : rel.target_id
     );
     
-    // Fetch mood entries
-    const moodPromises = moodIds.map(id => getMoodEntryById(id));
-    const moods = await Promise.all(moodPromises);
-    
-    // Filter out any nulls
-    return moods.filter(mood => mood !== null);
+    // Fetch the related mood entries, newest first
+    const moods = await getMoodEntriesByIds([...new Set(moodIds)]);
+    return moods.sort((a, b) => b.entry_time - a.entry_time);
   } catch (error) {
     console.error('Error getting mood history for food:', error);
     return [];
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Get the moods and food entries recorded on a local day
+ * @param {Date} date - Any time on the day
+ * @returns {Promise<Object>} { moods, foods }, each newest first
+ */
+export async function getMoodsAndFoodForDay(date) {
+  try {
+    const dayStart = new Date(date);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(date);
+    dayEnd.setHours(23, 59, 59, 999);
+
+    const moods = await getMoodEntriesByDate(dayStart, dayEnd);
+    const foods = await getFoodEntriesByDate(dayStart, dayEnd);
+    return {
+      moods: moods.sort((a, b) => b.entry_time - a.entry_time),
+      foods: foods.sort((a, b) => b.date - a.date)
+    };
+  } catch (error) {
+    console.error('Error getting moods and food for day:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the moods and food entries of a memory: those related to it and
+ * those recorded on the day of the memory
+ * @param {Object} memory - Memory with id and date
+ * @returns {Promise<Object>} { moods, foods }, each newest first
+ */
+export async function getMoodsAndFoodForMemory(memory) {
+  try {
+    const history = await getEntityHistory('memory', memory.id);
+    const moods = new Map();
+    const foods = new Map();
+    for (const item of history) {
+      if (item.entityType === 'mood') {
+        moods.set(item.entityId, item.entityData);
+      } else if (item.entityType === 'food') {
+        foods.set(item.entityId, item.entityData);
+      }
+    }
+
+    if (memory.date) {
+      const day = await getMoodsAndFoodForDay(memory.date);
+      day.moods.forEach(mood => moods.set(mood.id, mood));
+      day.foods.forEach(food => foods.set(food.id, food));
+    }
+
+    return {
+      moods: [...moods.values()].sort((a, b) => b.entry_time - a.entry_time),
+      foods: [...foods.values()].sort((a, b) => b.date - a.date)
+    };
+  } catch (error) {
+    console.error('Error getting moods and food for memory:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * WeatherCacheDB.js - Weather already fetched, by place and hour
+ *
+ * Coordinates are rounded to two decimals (about 1 km, finer than weather
+ * models resolve) and, together with the start of the hour, stored only as
+ * a SHA-256 hash like in GeocodeCacheDB.js. Providers often return a whole
+ * day at once, so one request fills the cache for the neighbouring hours.
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { getDatabase } from './Database';
+import { encryptColumns, decryptRows } from './EncryptedColumns';
+import { getHourStart } from '../utils/weather';
+
+const getCacheKey = (latitude, longitude, time) =>
+  bytesToHex(sha256(utf8ToBytes(
+    `${latitude.toFixed(2)},${longitude.toFixed(2)}@${getHourStart(time).toISOString()}`
+  )));
+
+/**
+ * Get the cached weather of a place at a time
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Date|string|number} time - Any time within the hour
+ * @returns {Promise<Object|null>} Weather observation with its provider, or null if not cached
+ */
+export async function getCachedWeather(latitude, longitude, time) {
+  const db = await getDatabase();
+  try {
+    const rows = await db.getAllAsync(
+      'SELECT data, provider FROM weather_cache WHERE id = ?',
+      [getCacheKey(latitude, longitude, time)]
+    );
+    const [row] = decryptRows('weather_cache', rows);
+    return row ? { ...JSON.parse(row.data), source: row.provider } : null;
+  } catch (error) {
+    console.error('Error getting cached weather:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cache hourly weather observations of a place, replacing earlier ones
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Array<Object>} observations - Observations with their hour as time
+ * @param {string} provider - Name of the provider they came from
+ * @returns {Promise<void>}
+ */
+export async function saveCachedWeather(latitude, longitude, observations, provider) {
+  const db = await getDatabase();
+  try {
+    const fetchedAt = new Date().toISOString();
+    await db.withTransactionAsync(async () => {
+      for (const observation of observations) {
+        const { data } = await encryptColumns('weather_cache', { data: JSON.stringify(observation) });
+        await db.runAsync(
+          'INSERT OR REPLACE INTO weather_cache (id, data, provider, fetched_at) VALUES (?, ?, ?, ?)',
+          [getCacheKey(latitude, longitude, observation.time), data, provider, fetchedAt]
+        );
+      }
+    });
+  } catch (error) {
+    console.error('Error saving cached weather:', error);
+    throw error;
+  }
+}
+
+/**
+ * Empty the cache, e.g. after switching providers
+ * @returns {Promise<void>}
+ */
+export async function clearWeatherCache() {
+  const db = await getDatabase();
+  try {
+    await db.runAsync('DELETE FROM weather_cache');
+  } catch (error) {
+    console.error('Error clearing weather cache:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,66 @@
+import { getDatabase } from '../Database';
+import { addFoodEntry } from '../FoodDB';
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION, importArchive } from '../DataArchive';
+
+const archiveOf = (tables) => ({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, tables });
+
+const getFood = async (id) => {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync('SELECT name, updated_at FROM food_entries WHERE id = ?', [id]);
+  return rows[0];
+};
+
+describe('importArchive', () => {
+  beforeEach(async () => {
+    const db = await getDatabase();
+    await db.runAsync('DELETE FROM food_entries');
+    await addFoodEntry({ id: 'f1', name: 'Local soup', date: new Date('2026-10-19T08:00:00Z') });
+    // FoodDB writes datetime('now'): "YYYY-MM-DD HH:MM:SS"
+    await db.runAsync(`UPDATE food_entries SET updated_at = '2026-10-19 10:00:00' WHERE id = 'f1'`);
+  });
+
+  const importedFood = (name, updatedAt) => archiveOf({
+    food_entries: [{
+      id: 'f1',
+      name,
+      date: '2026-10-19T08:00:00.000Z',
+      created_at: '2026-10-19T08:00:00.000Z',
+      updated_at: updatedAt
+    }]
+  });
+
+  it('keeps a newer local row over an older imported ISO time', async () => {
+    const counts = await importArchive(importedFood('Older soup', '2026-10-19T09:00:00.000Z'));
+
+    expect(counts.food_entries).toBe(0);
+    expect((await getFood('f1')).name).toBe('Local soup');
+  });
+
+  it('takes an imported row with a later time in the other format', async () => {
+    const counts = await importArchive(importedFood('Newer soup', '2026-10-19T11:00:00.000Z'));
+
+    expect(counts.food_entries).toBe(1);
+    expect(await getFood('f1')).toEqual({ name: 'Newer soup', updated_at: '2026-10-19T11:00:00.000Z' });
+
+    // The change is logged for sync like any other update
+    const db = await getDatabase();
+    const changes = await db.getAllAsync(
+      `SELECT operation FROM sync_changes WHERE table_name = 'food_entries' AND record_id = 'f1'`
+    );
+    expect(changes).toEqual([{ operation: 'updated' }]);
+  });
+
+  it('keeps the local row when both times are equal', async () => {
+    await importArchive(importedFood('Same time soup', '2026-10-19T10:00:00Z'));
+    expect((await getFood('f1')).name).toBe('Local soup');
+  });
+
+  it('adds rows that do not exist yet', async () => {
+    const counts = await importArchive(archiveOf({
+      food_entries: [{ id: 'f2', name: 'Bread', date: '2026-10-18T08:00:00.000Z', created_at: '2026-10-18 08:00:00', updated_at: '2026-10-18 08:00:00' }]
+    }));
+
+    expect(counts.food_entries).toBe(1);
+    expect((await getFood('f2')).name).toBe('Bread');
+  });
+});
@@ -0,0 +1,77 @@
+import * as SQLite from 'expo-sqlite';
+import * as FileSystem from 'expo-file-system';
+import { getDatabase, closeDatabase } from '../Database';
+import { MIGRATIONS } from '../Migrations';
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const legacyPath = (fileName) => FileSystem.documentDirectory + 'SQLite/' + fileName;
+
+// Create a legacy per-entity file as the old stores wrote it
+const createLegacyDatabase = async (fileName, sql) => {
+  const legacyDb = await SQLite.openDatabaseAsync(fileName);
+  await legacyDb.execAsync(sql);
+  await legacyDb.closeAsync();
+};
+
+const getSchemaVersion = async () => {
+  const connection = await SQLite.openDatabaseAsync('memoria.db');
+  const rows = await connection.getAllAsync('SELECT MAX(version) as version FROM schema_migrations');
+  return rows[0].version;
+};
+
+describe('legacy import', () => {
+  beforeAll(async () => {
+    await createLegacyDatabase('places.db', `
+      CREATE TABLE places (id TEXT PRIMARY KEY, name TEXT NOT NULL, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+      CREATE TABLE place_moods (id TEXT PRIMARY KEY, place_id TEXT NOT NULL, mood_id TEXT NOT NULL);
+      INSERT INTO places VALUES ('p1', 'Park', '2020-01-01T00:00:00Z', '2020-01-01T00:00:00Z');
+      INSERT INTO place_moods VALUES ('pm1', 'p1', 'm1');
+    `);
+    // Rows of a WITHOUT ROWID table cannot be copied, so this import fails
+    await createLegacyDatabase('relationships.db', `
+      CREATE TABLE entity_relationships (id TEXT PRIMARY KEY, source_type TEXT) WITHOUT ROWID;
+    `);
+  });
+
+  afterEach(async () => {
+    await closeDatabase();
+  });
+
+  it('stays at the legacy schema and keeps the files when an import fails', async () => {
+    await expect(getDatabase()).rejects.toThrow();
+
+    expect(await getSchemaVersion()).toBe(1);
+    const connection = await SQLite.openDatabaseAsync('memoria.db');
+    expect(await connection.getAllAsync('SELECT * FROM legacy_imports')).toEqual([]);
+    expect(await connection.getAllAsync('SELECT id FROM places')).toEqual([]);
+    expect((await FileSystem.getInfoAsync(legacyPath('places.db'))).exists).toBe(true);
+    expect((await FileSystem.getInfoAsync(legacyPath('relationships.db'))).exists).toBe(true);
+  });
+
+  it('imports and migrates everything once the import succeeds', async () => {
+    const legacyDb = await SQLite.openDatabaseAsync('relationships.db');
+    await legacyDb.execAsync(`
+      DROP TABLE entity_relationships;
+      CREATE TABLE entity_relationships (id TEXT PRIMARY KEY, source_type TEXT);
+    `);
+
+    const db = await getDatabase();
+
+    expect(await getSchemaVersion()).toBe(LATEST_VERSION);
+    expect(await db.getAllAsync('SELECT id, name FROM places')).toEqual([{ id: 'p1', name: 'Park' }]);
+    // Migration 2 moved place_moods into entry_places
+    expect(await db.getAllAsync('SELECT entry_type, entry_id, place_id FROM entry_places')).toEqual([
+      { entry_type: 'mood', entry_id: 'm1', place_id: 'p1' }
+    ]);
+    expect((await db.getAllAsync('SELECT file_name FROM legacy_imports ORDER BY file_name')).map(row => row.file_name))
+      .toEqual(['places.db', 'relationships.db']);
+    expect((await FileSystem.getInfoAsync(legacyPath('places.db'))).exists).toBe(false);
+    expect((await FileSystem.getInfoAsync(legacyPath('relationships.db'))).exists).toBe(false);
+  });
+
+  it('opens without importing again', async () => {
+    await getDatabase();
+    expect(await getSchemaVersion()).toBe(LATEST_VERSION);
+  });
+});
@@ -0,0 +1,28 @@
+import { addHealthEntry, getHealthEntries, saveSleepQuality } from '../HealthDB';
+
+const DAY = new Date(2026, 9, 19, 8, 30);
+
+const getNights = async () => getHealthEntries('sleep', {
+  startDate: new Date(2026, 9, 19),
+  endDate: new Date(2026, 9, 19, 23, 59, 59, 999)
+});
+
+describe('saveSleepQuality', () => {
+  it('adds one entry at the start of the day, then updates it', async () => {
+    const id = await saveSleepQuality(DAY, 2);
+    expect(await saveSleepQuality(DAY, 4)).toBe(id);
+
+    const nights = await getNights();
+    expect(nights).toHaveLength(1);
+    expect(nights[0]).toMatchObject({ id, quality: 4, recorded_at: new Date(2026, 9, 19).toISOString() });
+  });
+
+  it('updates a sleep logged at wake-up on another day', async () => {
+    const wakeUp = new Date(2026, 9, 20, 7, 15);
+    const id = await addHealthEntry({ kind: 'sleep', recorded_at: wakeUp.toISOString(), duration_minutes: 450 });
+
+    expect(await saveSleepQuality(new Date(2026, 9, 20, 9, 0), 5)).toBe(id);
+    const [night] = await getHealthEntries('sleep', { startDate: new Date(2026, 9, 20) });
+    expect(night).toMatchObject({ recorded_at: wakeUp.toISOString(), duration_minutes: 450, quality: 5 });
+  });
+});
@@ -0,0 +1,31 @@
+import { getDatabase } from '../Database';
+import { getMoodFilterOptions, queryMoodEntries } from '../MoodsDB';
+
+const insertMood = async (id, weather) => {
+  const db = await getDatabase();
+  const now = new Date().toISOString();
+  await db.runAsync(
+    'INSERT INTO mood_entries (id, entry_time, rating, emotion, weather, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [id, Date.now(), 3, 'calm', weather, now, now]
+  );
+};
+
+beforeAll(async () => {
+  await insertMood('warm', 'Clear, 25°C');
+  await insertMood('mild', 'Clear, 18°C');
+  await insertMood('wet', 'Rain');
+  await insertMood('grey', 'Clouds, 12°C');
+  await insertMood('none', null);
+});
+
+describe('weather filter', () => {
+  it('lists each condition once, without temperatures', async () => {
+    const { weather } = await getMoodFilterOptions();
+    expect(weather).toEqual(['Clear', 'Clouds', 'Rain']);
+  });
+
+  it('matches entries by condition whatever the temperature', async () => {
+    const entries = await queryMoodEntries({ weather: ['Clear', 'Rain'] });
+    expect(entries.map(entry => entry.id).sort()).toEqual(['mild', 'warm', 'wet']);
+  });
+});
@@ -0,0 +1,39 @@
+import { getDatabase } from '../Database';
+import { SURVEY_TAG } from '../MoodsDB';
+import { getTimelinePage } from '../TimelineDB';
+
+const insertMood = async (id, entryTime, emotion, tags = []) => {
+  const db = await getDatabase();
+  const now = new Date().toISOString();
+  await db.runAsync(
+    'INSERT INTO mood_entries (id, entry_time, rating, emotion, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, entryTime, 3, emotion, now, now]
+  );
+  for (const tag of tags) {
+    await db.runAsync('INSERT INTO mood_tags (id, mood_id, tag_name) VALUES (?, ?, ?)', [`${id}-${tag}`, id, tag]);
+  }
+};
+
+beforeAll(async () => {
+  await insertMood('quick', 1000, 'calm');
+  // MoodSurvey saves the emotion derived from the answers
+  await insertMood('check-in', 2000, 'happy', [SURVEY_TAG]);
+  // ScientificSurvey saves 'survey' as the emotion
+  await insertMood('scale', 3000, 'survey', [SURVEY_TAG, 'panas']);
+});
+
+describe('getTimelinePage', () => {
+  it('lists both kinds of surveys as surveys by their tag', async () => {
+    const { items } = await getTimelinePage({ types: ['mood', 'survey'] });
+    expect(items.map(item => [item.id, item.type])).toEqual([
+      ['scale', 'survey'],
+      ['check-in', 'survey'],
+      ['quick', 'mood']
+    ]);
+  });
+
+  it('leaves surveys out of the mood type', async () => {
+    const { items } = await getTimelinePage({ types: ['mood'] });
+    expect(items.map(item => item.id)).toEqual(['quick']);
+  });
+});
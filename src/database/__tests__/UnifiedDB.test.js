@@ -0,0 +1,96 @@
+import { getDatabase } from '../Database';
+import { addPlace, getAllPlaces } from '../PlacesDB';
+import { findAndMergeDuplicatePlaces, findDuplicatePlaceSuggestions, getEntityHistory } from '../UnifiedDB';
+
+// About 11 m per 0.0001 degrees of latitude
+const LATITUDE = 52.52;
+const LONGITUDE = 13.405;
+
+const savePlace = (id, name, latitudeOffset, createdAt) => addPlace({
+  id,
+  name,
+  latitude: LATITUDE + latitudeOffset,
+  longitude: LONGITUDE,
+  created_at: createdAt
+});
+
+describe('duplicate places', () => {
+  beforeAll(async () => {
+    await savePlace('park', 'Central Park', 0, '2026-01-01T00:00:00Z');
+    await savePlace('park-again', 'central park!', 0.0004, '2026-02-01T00:00:00Z');
+    await savePlace('parc', 'Central Parc', 0.0003, '2026-03-01T00:00:00Z');
+    await savePlace('far-park', 'Central Park', 0.01, '2026-04-01T00:00:00Z');
+  });
+
+  it('merges only places with the same name nearby', async () => {
+    expect(await findAndMergeDuplicatePlaces()).toBe(1);
+    expect((await getAllPlaces()).map(place => place.id).sort()).toEqual(['far-park', 'parc', 'park']);
+  });
+
+  it('suggests places with similar names nearby without merging them', async () => {
+    const suggestions = await findDuplicatePlaceSuggestions();
+    expect(suggestions.map(({ keep, duplicates }) => [keep.id, duplicates.map(place => place.id)]))
+      .toEqual([['park', ['parc']]]);
+    expect(await getAllPlaces()).toHaveLength(3);
+  });
+});
+
+describe('getEntityHistory with thousands of entries', () => {
+  const MOOD_COUNT = 3000;
+  const TRASHED_MOOD_COUNT = 100;
+  const FOOD_COUNT = 1000;
+  // Queries are batched by type in chunks of up to 500 IDs, not made per entry
+  const MAX_QUERIES = 60;
+
+  beforeAll(async () => {
+    const db = await getDatabase();
+    const now = new Date().toISOString();
+    await addPlace({ id: 'busy', name: 'Busy Square', latitude: 48.85, longitude: 2.35 });
+
+    await db.withTransactionAsync(async () => {
+      for (let i = 0; i < MOOD_COUNT; i++) {
+        await db.runAsync(
+          `INSERT INTO mood_entries (id, entry_time, rating, emotion, created_at, updated_at, deleted_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [`m${i}`, 1760000000000 + i * 60000, (i % 5) + 1, 'calm', now, now, i < TRASHED_MOOD_COUNT ? now : null]
+        );
+        await db.runAsync('INSERT INTO mood_tags (id, mood_id, tag_name) VALUES (?, ?, ?)', [`t${i}`, `m${i}`, `tag${i % 7}`]);
+        await db.runAsync(
+          `INSERT INTO entity_relationships (id, source_type, source_id, target_type, target_id, relationship_type, created_at)
+           VALUES (?, 'place', 'busy', 'mood', ?, 'has_mood', ?)`,
+          [`rm${i}`, `m${i}`, now]
+        );
+      }
+      for (let i = 0; i < FOOD_COUNT; i++) {
+        await db.runAsync(
+          'INSERT INTO food_entries (id, name, date, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+          [`f${i}`, `Meal ${i}`, now, now, now]
+        );
+        await db.runAsync(
+          `INSERT INTO entity_relationships (id, source_type, source_id, target_type, target_id, relationship_type, created_at)
+           VALUES (?, 'food', ?, 'place', 'busy', 'at_place', ?)`,
+          [`rf${i}`, `f${i}`, now]
+        );
+      }
+    });
+  });
+
+  it('resolves every related entry with a bounded number of batched queries', async () => {
+    const db = await getDatabase();
+    const getAll = jest.spyOn(db, 'getAllAsync');
+
+    const history = await getEntityHistory('place', 'busy');
+
+    const queryCount = getAll.mock.calls.length;
+    getAll.mockRestore();
+
+    const moods = history.filter(item => item.entityType === 'mood');
+    const foods = history.filter(item => item.entityType === 'food');
+    expect(moods).toHaveLength(MOOD_COUNT - TRASHED_MOOD_COUNT);
+    expect(foods).toHaveLength(FOOD_COUNT);
+    expect(moods.every(item => item.direction === 'outgoing' && item.entityData.tags.length === 1)).toBe(true);
+    expect(foods.every(item => item.direction === 'incoming' && item.entityData.name.startsWith('Meal'))).toBe(true);
+
+    expect(queryCount).toBeLessThanOrEqual(MAX_QUERIES);
+  });
+});
@@ -13,15 +13,32 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { usePlaces } from '../context/PlacesContext';
+import { reverseGeocode } from '../services/GeocodingService';
+import { hasAddressFields } from '../utils/address';
+
+const ADDRESS_INPUTS = [
+  { field: 'street', label: 'Street', placeholder: 'e.g. Main Street 12' },
+  { field: 'neighbourhood', label: 'Neighbourhood', placeholder: 'e.g. Mission District' },
+  { field: 'city', label: 'City', placeholder: 'e.g. San Francisco' },
+  { field: 'country', label: 'Country', placeholder: 'e.g. United States' },
+];
 
 const AddEditPlaceScreen = ({ place, onClose, readOnly = false }) => {
   const { addPlace, updatePlace } = usePlaces();
   const [name, setName] = useState(place?.name || '');
-  const [address, setAddress] = useState(place?.address || '');
+  const [addressFields, setAddressFields] = useState({
+    street: place?.street || '',
+    neighbourhood: place?.neighbourhood || '',
+    city: place?.city || '',
+    country: place?.country || '',
+  });
+  // Free-text address of places saved before the address fields existed
+  const legacyAddress = place && !hasAddressFields(place) ? place.address : null;
   const [latitude, setLatitude] = useState(place?.latitude ? String(place.latitude) : '');
   const [longitude, setLongitude] = useState(place?.longitude ? String(place.longitude) : '');
   const [notes, setNotes] = useState(place?.notes || '');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isLookingUp, setIsLookingUp] = useState(false);
   const statusBarHeight = StatusBar.currentHeight || 0;
 
   const validateCoordinate = (value, type) => {
@@ -46,6 +63,37 @@ const AddEditPlaceScreen = ({ place, onClose, readOnly = false }) => {
     return num;
   };
 
+  const setAddressField = (field, value) => {
+    setAddressFields(fields => ({ ...fields, [field]: value }));
+  };
+
+  const handleLookUpAddress = async () => {
+    const validatedLat = validateCoordinate(latitude, 'latitude');
+    const validatedLng = validateCoordinate(longitude, 'longitude');
+    if (validatedLat === false || validatedLng === false) return;
+    if (validatedLat === null || validatedLng === null) {
+      Alert.alert('Error', 'Enter latitude and longitude to look up the address');
+      return;
+    }
+
+    setIsLookingUp(true);
+    try {
+      const result = await reverseGeocode(validatedLat, validatedLng);
+      if (!result) {
+        Alert.alert('No address found', 'No address is known for these coordinates');
+        return;
+      }
+      setAddressFields({
+        street: result.street || '',
+        neighbourhood: result.neighbourhood || '',
+        city: result.city || '',
+        country: result.country || '',
+      });
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
   const handleSubmit = async () => {
     if (readOnly) return;
     
@@ -66,7 +114,11 @@ const AddEditPlaceScreen = ({ place, onClose, readOnly = false }) => {
       const placeData = {
         id: place?.id || Math.random().toString(36).substr(2, 9),
         name: name.trim(),
-        address: address.trim(),
+        street: addressFields.street.trim(),
+        neighbourhood: addressFields.neighbourhood.trim(),
+        city: addressFields.city.trim(),
+        country: addressFields.country.trim(),
+        address: legacyAddress,
         latitude: validatedLat,
         longitude: validatedLng,
         notes: notes.trim(),
@@ -128,17 +180,27 @@ const AddEditPlaceScreen = ({ place, onClose, readOnly = false }) => {
             />
           </View>
 
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Address</Text>
-            <TextInput
-              style={[styles.input, readOnly && styles.readOnlyInput]}
-              value={address}
-              onChangeText={setAddress}
-              placeholder="Enter address"
-              placeholderTextColor="#999"
-              editable={!readOnly}
-            />
-          </View>
+          {ADDRESS_INPUTS.map(({ field, label, placeholder }) => (
+            <View key={field} style={styles.inputContainer}>
+              <Text style={styles.label}>{label}</Text>
+              <TextInput
+                style={[styles.input, readOnly && styles.readOnlyInput]}
+                value={addressFields[field]}
+                onChangeText={value => setAddressField(field, value)}
+                placeholder={placeholder}
+                placeholderTextColor="#999"
+                editable={!readOnly}
+              />
+            </View>
+          ))}
+
+          {legacyAddress && (
+            <Text style={styles.hintText}>
+              {readOnly
+                ? `Address: ${legacyAddress}`
+                : `Saved address: ${legacyAddress}. It is kept until you fill in the fields above.`}
+            </Text>
+          )}
 
           <View style={styles.coordinatesContainer}>
             <View style={styles.coordinateInput}>
@@ -168,6 +230,18 @@ const AddEditPlaceScreen = ({ place, onClose, readOnly = false }) => {
             </View>
           </View>
 
+          {!readOnly && (
+            <TouchableOpacity
+              style={styles.lookUpButton}
+              onPress={handleLookUpAddress}
+              disabled={isLookingUp}
+            >
+              <Text style={styles.lookUpButtonText}>
+                {isLookingUp ? 'Looking up address...' : 'Look up address from coordinates'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
           <View style={styles.inputContainer}>
             <Text style={styles.label}>Notes</Text>
             <TextInput
@@ -182,14 +256,7 @@ const AddEditPlaceScreen = ({ place, onClose, readOnly = false }) => {
               editable={!readOnly}
             />
           </View>
-          
-          {readOnly && place?.fromMood && (
-            <View style={styles.infoContainer}>
-              <Text style={styles.infoText}>
-                This place was automatically created from a mood entry with location data.
-              </Text>
-            </View>
-          )}
+
         </ScrollView>
       </KeyboardAvoidingView>
     </SafeAreaView>
@@ -266,17 +333,22 @@ const styles = StyleSheet.create({
   notesInput: {
     height: 120,
   },
-  infoContainer: {
-    marginTop: 16,
-    padding: 12,
-    backgroundColor: '#E8F5E9',
+  hintText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
+  lookUpButton: {
+    borderWidth: 1,
+    borderColor: '#3F51B5',
     borderRadius: 8,
-    borderLeftWidth: 4,
-    borderLeftColor: '#4CAF50',
+    padding: 12,
+    alignItems: 'center',
+    marginBottom: 16,
   },
-  infoText: {
-    color: '#2E7D32',
-    fontSize: 14,
+  lookUpButtonText: {
+    fontSize: 16,
+    color: '#3F51B5',
   },
 });
 
@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  ActivityIndicator,
+  Alert,
+  DeviceEventEmitter
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useLanguage } from '../context/LanguageContext';
+import { getBiographyChapters, reorderBiographyChapters } from '../database/BiographyDB';
+import { generateBiography, exportBiography } from '../services/BiographyService';
+import { stripMarkdown } from '../utils/markdown';
+import { shareFile } from '../utils/files';
+import BiographyChapterForm from '../components/BiographyChapterForm';
+
+const BiographyScreen = () => {
+  const { t } = useLanguage();
+  const insets = useSafeAreaInsets();
+
+  const [chapters, setChapters] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  // The chapter being edited: { chapter } with null for a new one, null when closed
+  const [form, setForm] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setChapters(await getBiographyChapters());
+    } catch (error) {
+      console.error('Error loading biography:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    // Chapters can change elsewhere, e.g. after an import, restore or sync
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', load);
+    return () => subscription.remove();
+  }, [load]);
+
+  const handleCloseForm = (saved) => {
+    setForm(null);
+    if (saved) {
+      load();
+    }
+  };
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    try {
+      const { added, updated, kept } = await generateBiography(t);
+      await load();
+      if (kept > 0 || updated > 0) {
+        Alert.alert(
+          t('success'),
+          t('biographyUpdated')
+            .replace('{added}', added)
+            .replace('{updated}', updated)
+            .replace('{kept}', kept)
+        );
+      }
+    } catch (error) {
+      Alert.alert(t('error'), t('errorGeneratingBiography'));
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const { fileUri, mimeType } = await exportBiography(chapters, format, t('biographyTitle'));
+      if (!(await shareFile(fileUri, mimeType))) {
+        Alert.alert(t('success'), `${t('exportSavedTo')} ${fileUri}`, [{ text: t('ok') }]);
+      }
+    } catch (error) {
+      Alert.alert(t('error'), t('exportDataError'), [{ text: t('ok') }]);
+    }
+  };
+
+  const confirmExport = () => {
+    Alert.alert(t('exportBiography'), t('exportBiographyFormat'), [
+      { text: t('cancel'), style: 'cancel' },
+      { text: 'Markdown', onPress: () => handleExport('markdown') },
+      { text: 'HTML', onPress: () => handleExport('html') }
+    ]);
+  };
+
+  const moveChapter = async (index, offset) => {
+    const reordered = [...chapters];
+    const [chapter] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, chapter);
+    setChapters(reordered);
+    try {
+      await reorderBiographyChapters(reordered.map(item => item.id));
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingChapter'));
+      load();
+    }
+  };
+
+  const renderChapter = (chapter, index) => (
+    <View key={chapter.id} style={styles.card}>
+      <TouchableOpacity style={styles.cardInfo} onPress={() => setForm({ chapter })}>
+        <View style={styles.chapterHeader}>
+          <Text style={styles.chapterNumber}>{index + 1}</Text>
+          <Text style={styles.chapterTitle} numberOfLines={1}>{chapter.title}</Text>
+        </View>
+        {!!chapter.body && (
+          <Text style={styles.chapterPreview} numberOfLines={3}>{stripMarkdown(chapter.body)}</Text>
+        )}
+        {(!chapter.generated_key || chapter.is_edited) && (
+          <Text style={styles.chapterMeta}>
+            {chapter.generated_key ? t('chapterEdited') : t('chapterOwn')}
+          </Text>
+        )}
+      </TouchableOpacity>
+      <View style={styles.moveButtons}>
+        <TouchableOpacity onPress={() => moveChapter(index, -1)} disabled={index === 0}>
+          <Text style={[styles.moveButtonText, index === 0 && styles.disabledText]}>▲</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => moveChapter(index, 1)} disabled={index === chapters.length - 1}>
+          <Text style={[styles.moveButtonText, index === chapters.length - 1 && styles.disabledText]}>▼</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.toolbar}>
+        <TouchableOpacity style={styles.toolbarButton} onPress={handleGenerate} disabled={isGenerating}>
+          {isGenerating
+            ? <ActivityIndicator color="white" />
+            : <Text style={styles.toolbarButtonText}>{t('buildBiography')}</Text>}
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.toolbarButton, styles.secondaryButton]}
+          onPress={confirmExport}
+          disabled={chapters.length === 0}
+        >
+          <Text style={[styles.toolbarButtonText, styles.secondaryButtonText]}>{t('exportBiography')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {isLoading ? (
+        <ActivityIndicator style={styles.loading} size="large" color="#9575CD" />
+      ) : (
+        <ScrollView contentContainerStyle={[styles.content, { paddingBottom: insets.bottom + 96 }]}>
+          {chapters.length === 0 && <Text style={styles.emptyText}>{t('biographyEmpty')}</Text>}
+          {chapters.map(renderChapter)}
+          {chapters.length > 0 && <Text style={styles.hintText}>{t('biographyHint')}</Text>}
+        </ScrollView>
+      )}
+
+      <TouchableOpacity
+        style={[styles.addButton, { bottom: insets.bottom + 24 }]}
+        onPress={() => setForm({ chapter: null })}
+      >
+        <Text style={styles.addButtonText}>+</Text>
+      </TouchableOpacity>
+
+      <Modal visible={!!form} animationType="slide" onRequestClose={() => handleCloseForm(false)}>
+        {form && (
+          <BiographyChapterForm
+            chapter={form.chapter}
+            onClose={handleCloseForm}
+            topInset={insets.top}
+            bottomInset={insets.bottom}
+          />
+        )}
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  toolbarButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#9575CD',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  toolbarButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    flex: 0,
+    paddingHorizontal: 20,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#9575CD',
+    marginRight: 0,
+  },
+  secondaryButtonText: {
+    color: '#7E57C2',
+  },
+  loading: {
+    marginTop: 32,
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  chapterHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  chapterNumber: {
+    fontSize: 14,
+    color: '#9575CD',
+    fontWeight: 'bold',
+    marginRight: 8,
+  },
+  chapterTitle: {
+    flex: 1,
+    fontSize: 17,
+    fontWeight: 'bold',
+  },
+  chapterPreview: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 6,
+  },
+  chapterMeta: {
+    fontSize: 12,
+    color: '#9575CD',
+    marginTop: 6,
+  },
+  moveButtons: {
+    marginLeft: 12,
+  },
+  moveButtonText: {
+    fontSize: 18,
+    color: '#7E57C2',
+    paddingVertical: 4,
+  },
+  disabledText: {
+    color: '#ddd',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 32,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  addButton: {
+    position: 'absolute',
+    right: 24,
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: '#9575CD',
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 3,
+  },
+  addButtonText: {
+    fontSize: 32,
+    color: 'white',
+    lineHeight: 36,
+  },
+});
+
+export default BiographyScreen;
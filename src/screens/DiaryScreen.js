@@ -0,0 +1,500 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  DeviceEventEmitter
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useLanguage } from '../context/LanguageContext';
+import {
+  getDiaryEntry,
+  saveDiaryEntry,
+  deleteDiaryEntry,
+  getDiaryDates,
+  getSurveyReflections,
+  toDiaryDate
+} from '../database/DiaryDB';
+import { getMoodsAndFoodForDay } from '../database/UnifiedDB';
+import { getDailyPrompt, arePromptsEnabled, setPromptsEnabled } from '../services/DiaryPromptService';
+import { EMOTIONS, MEAL_TYPES } from '../data/models';
+import MarkdownEditor from '../components/MarkdownEditor';
+import DiaryCalendar from '../components/DiaryCalendar';
+
+// Wait for a pause in typing before saving
+const SAVE_DELAY = 1000;
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+const DiaryScreen = () => {
+  const { t } = useLanguage();
+  const insets = useSafeAreaInsets();
+
+  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [month, setMonth] = useState(startOfMonth(new Date()));
+  const [markedDates, setMarkedDates] = useState([]);
+  const [isCalendarVisible, setIsCalendarVisible] = useState(false);
+  const [content, setContent] = useState('');
+  const [prompt, setPrompt] = useState(null);
+  const [hasEntry, setHasEntry] = useState(false);
+  const [isSeeded, setIsSeeded] = useState(false);
+  const [day, setDay] = useState({ moods: [], foods: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [saveState, setSaveState] = useState('saved'); // 'saved', 'unsaved', 'saving'
+  const [promptsEnabled, setPromptsEnabledState] = useState(true);
+  const [promptSkip, setPromptSkip] = useState(0);
+
+  // Latest edit, read by the delayed save so it never saves stale text
+  const pendingRef = useRef(null);
+  const saveTimeoutRef = useRef(null);
+
+  const loadMarkedDates = async (monthStart) => {
+    try {
+      const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+      setMarkedDates(await getDiaryDates(monthStart, monthEnd));
+    } catch (error) {
+      setMarkedDates([]);
+    }
+  };
+
+  // Start a day without an entry from that day's check-in answers
+  const buildSeedContent = (reflections) => [
+    reflections.highlight && `## ${t('diaryHighlight')}\n${reflections.highlight}`,
+    reflections.challenge && `## ${t('diaryChallenge')}\n${reflections.challenge}`
+  ].filter(Boolean).join('\n\n');
+
+  const loadDay = async (date) => {
+    setIsLoading(true);
+    try {
+      const [entry, dayEntries] = await Promise.all([getDiaryEntry(date), getMoodsAndFoodForDay(date)]);
+      const seed = entry ? '' : buildSeedContent(getSurveyReflections(dayEntries.moods));
+      setDay(dayEntries);
+      setHasEntry(!!entry);
+      setContent(entry ? entry.content : seed);
+      setPrompt(entry ? entry.prompt : null);
+      setIsSeeded(!!seed);
+      setPromptSkip(0);
+      setSaveState('saved');
+    } catch (error) {
+      Alert.alert(t('error'), t('errorLoadingDiary'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const saveNow = async () => {
+    clearTimeout(saveTimeoutRef.current);
+    const pending = pendingRef.current;
+    if (!pending) {
+      return;
+    }
+
+    pendingRef.current = null;
+    setSaveState('saving');
+    try {
+      const savedId = await saveDiaryEntry(pending.date, pending.content, pending.prompt);
+      // A newer edit may have been made while saving
+      if (!pendingRef.current) {
+        setSaveState('saved');
+        setHasEntry(!!savedId);
+      }
+      await loadMarkedDates(startOfMonth(pending.date));
+    } catch (error) {
+      setSaveState('unsaved');
+      Alert.alert(t('error'), t('errorSavingDiary'));
+    }
+  };
+
+  const scheduleSave = (newContent, newPrompt) => {
+    pendingRef.current = { date: selectedDate, content: newContent, prompt: newPrompt };
+    setSaveState('unsaved');
+    clearTimeout(saveTimeoutRef.current);
+    saveTimeoutRef.current = setTimeout(saveNow, SAVE_DELAY);
+  };
+
+  useEffect(() => {
+    arePromptsEnabled().then(setPromptsEnabledState);
+    loadDay(selectedDate);
+    loadMarkedDates(month);
+
+    // Save what was typed last when leaving the diary
+    return () => {
+      saveNow();
+    };
+  }, []);
+
+  useEffect(() => {
+    // Entries can change elsewhere, e.g. after an import, restore or sync
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', () => {
+      if (!pendingRef.current) {
+        loadDay(selectedDate);
+        loadMarkedDates(month);
+      }
+    });
+    return () => subscription.remove();
+  }, [selectedDate, month]);
+
+  const selectDate = async (date) => {
+    await saveNow();
+    setSelectedDate(date);
+    if (toDiaryDate(startOfMonth(date)) !== toDiaryDate(month)) {
+      setMonth(startOfMonth(date));
+      loadMarkedDates(startOfMonth(date));
+    }
+    loadDay(date);
+  };
+
+  const moveDay = (offset) => {
+    const date = new Date(selectedDate);
+    date.setDate(date.getDate() + offset);
+    selectDate(date);
+  };
+
+  const handleChangeMonth = (monthStart) => {
+    setMonth(monthStart);
+    loadMarkedDates(monthStart);
+  };
+
+  const handleChangeText = (text) => {
+    setContent(text);
+    scheduleSave(text, prompt);
+  };
+
+  const handleUsePrompt = () => {
+    const promptId = getDailyPrompt(selectedDate, promptSkip);
+    setPrompt(promptId);
+    if (content.trim()) {
+      scheduleSave(content, promptId);
+    }
+  };
+
+  const handleTogglePrompts = async () => {
+    const enabled = !promptsEnabled;
+    setPromptsEnabledState(enabled);
+    try {
+      await setPromptsEnabled(enabled);
+    } catch (error) {
+      console.error('Error saving diary prompt setting:', error);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      t('deleteDiaryEntry'),
+      t('deleteDiaryEntryConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('delete'),
+          style: 'destructive',
+          onPress: async () => {
+            clearTimeout(saveTimeoutRef.current);
+            pendingRef.current = null;
+            try {
+              await deleteDiaryEntry(selectedDate);
+              await loadMarkedDates(month);
+              loadDay(selectedDate);
+            } catch (error) {
+              Alert.alert(t('error'), t('errorSavingDiary'));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  const renderDayEntries = () => {
+    if (day.moods.length === 0 && day.foods.length === 0) {
+      return <Text style={styles.emptyText}>{t('diaryNoMoodsOrFood')}</Text>;
+    }
+
+    return (
+      <>
+        {day.moods.map(mood => {
+          const emotion = EMOTIONS.find(e => e.value === mood.emotion);
+          return (
+            <View key={mood.id} style={styles.dayRow}>
+              <Text style={styles.dayEmoji}>{emotion ? emotion.emoji : '📋'}</Text>
+              <Text style={styles.dayText}>
+                {emotion ? t(emotion.value) : t('entityType_survey')}
+                {mood.rating ? ` · ${mood.rating}/5` : ''}
+              </Text>
+              <Text style={styles.dayTime}>{formatTime(mood.entry_time)}</Text>
+            </View>
+          );
+        })}
+        {day.foods.map(food => {
+          const mealType = MEAL_TYPES.find(m => m.value === food.meal_type);
+          return (
+            <View key={food.id} style={styles.dayRow}>
+              <Text style={styles.dayEmoji}>{mealType ? mealType.emoji : '🍽️'}</Text>
+              <Text style={styles.dayText}>{food.name}</Text>
+              {food.date && <Text style={styles.dayTime}>{formatTime(food.date)}</Text>}
+            </View>
+          );
+        })}
+      </>
+    );
+  };
+
+  const isToday = toDiaryDate(selectedDate) === toDiaryDate(new Date());
+  const suggestedPrompt = getDailyPrompt(selectedDate, promptSkip);
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <View style={styles.dateBar}>
+        <TouchableOpacity style={styles.dateNavButton} onPress={() => moveDay(-1)}>
+          <Text style={styles.dateNavText}>‹</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.dateButton} onPress={() => setIsCalendarVisible(!isCalendarVisible)}>
+          <Text style={styles.dateText}>
+            📅 {selectedDate.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.dateNavButton} onPress={() => moveDay(1)}>
+          <Text style={styles.dateNavText}>›</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: insets.bottom + 24 }}
+        keyboardShouldPersistTaps="handled"
+      >
+        {isCalendarVisible && (
+          <View style={styles.calendar}>
+            <DiaryCalendar
+              month={month}
+              selectedDate={selectedDate}
+              markedDates={markedDates}
+              onSelectDate={selectDate}
+              onChangeMonth={handleChangeMonth}
+            />
+            {!isToday && (
+              <TouchableOpacity style={styles.todayButton} onPress={() => selectDate(new Date())}>
+                <Text style={styles.todayButtonText}>{t('diaryToday')}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        {isLoading ? (
+          <ActivityIndicator style={styles.loading} size="large" color="#64B5F6" />
+        ) : (
+          <>
+            {prompt ? (
+              <View style={styles.usedPrompt}>
+                <Text style={styles.usedPromptText}>💡 {t(`diaryPrompt_${prompt}`)}</Text>
+              </View>
+            ) : promptsEnabled && (
+              <View style={styles.promptCard}>
+                <Text style={styles.promptText}>💡 {t(`diaryPrompt_${suggestedPrompt}`)}</Text>
+                <View style={styles.promptActions}>
+                  <TouchableOpacity style={styles.promptButton} onPress={handleUsePrompt}>
+                    <Text style={styles.promptButtonText}>{t('diaryUsePrompt')}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.promptButton} onPress={() => setPromptSkip(promptSkip + 1)}>
+                    <Text style={styles.promptButtonText}>{t('diaryAnotherPrompt')}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+
+            {isSeeded && saveState === 'saved' && !hasEntry && (
+              <Text style={styles.seedHint}>{t('diarySeededFromCheckIn')}</Text>
+            )}
+
+            <MarkdownEditor
+              value={content}
+              onChangeText={handleChangeText}
+              placeholder={t('diaryPlaceholder')}
+            />
+
+            <View style={styles.statusRow}>
+              <Text style={styles.statusText}>
+                {saveState === 'saving' ? t('diarySaving') : saveState === 'unsaved' ? t('diaryUnsaved') : hasEntry ? t('diarySaved') : ''}
+              </Text>
+              <TouchableOpacity onPress={handleTogglePrompts}>
+                <Text style={styles.statusText}>{promptsEnabled ? t('diaryHidePrompts') : t('diaryShowPrompts')}</Text>
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>{t('diaryThatDay')}</Text>
+              {renderDayEntries()}
+            </View>
+
+            {hasEntry && (
+              <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+                <Text style={styles.deleteButtonText}>{t('deleteDiaryEntry')}</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  dateBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 8,
+    paddingVertical: 8,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  dateNavButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 4,
+  },
+  dateNavText: {
+    fontSize: 28,
+    color: '#333',
+  },
+  dateButton: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  dateText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  calendar: {
+    marginBottom: 16,
+  },
+  todayButton: {
+    alignSelf: 'center',
+    marginTop: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#BBDEFB',
+  },
+  todayButtonText: {
+    fontSize: 14,
+  },
+  loading: {
+    marginTop: 32,
+  },
+  promptCard: {
+    backgroundColor: '#E3F2FD',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  promptText: {
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  promptActions: {
+    flexDirection: 'row',
+  },
+  promptButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'white',
+    marginRight: 8,
+  },
+  promptButtonText: {
+    fontSize: 14,
+    color: '#1E88E5',
+  },
+  usedPrompt: {
+    marginBottom: 12,
+  },
+  usedPromptText: {
+    fontSize: 15,
+    fontStyle: 'italic',
+    color: '#555',
+  },
+  seedHint: {
+    fontSize: 13,
+    color: '#888',
+    marginBottom: 8,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+    marginBottom: 16,
+  },
+  statusText: {
+    fontSize: 13,
+    color: '#888',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  dayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  dayEmoji: {
+    fontSize: 20,
+    marginRight: 12,
+  },
+  dayText: {
+    flex: 1,
+    fontSize: 15,
+  },
+  dayTime: {
+    fontSize: 13,
+    color: '#888',
+  },
+  emptyText: {
+    color: '#999',
+  },
+  deleteButton: {
+    backgroundColor: '#F44336',
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+  },
+  deleteButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default DiaryScreen;
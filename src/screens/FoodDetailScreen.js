@@ -44,6 +44,10 @@ const FoodDetailScreen = ({ route }) => {
       return 'None';
     }
     
+    if (foodEntry.peopleData) {
+      return foodEntry.peopleData.map(person => person.name).join(', ');
+    }
+    
     return foodEntry.people.map(personId => {
       const person = people.find(p => p.id === personId);
       return person ? person.name : 'Unknown';
@@ -52,6 +56,7 @@ const FoodDetailScreen = ({ route }) => {
 
   const getPlaceName = () => {
     if (!foodEntry.place) return 'None';
+    if (foodEntry.placeData) return foodEntry.placeData.name;
     
     const place = places.find(p => p.id === foodEntry.place);
     return place ? place.name : 'Unknown';
@@ -9,15 +9,7 @@ import FoodHistory from '../components/FoodHistory';
 import FoodEntryDetail from '../components/FoodEntryDetail';
 import FoodAnalytics from '../components/FoodAnalytics';
 import FoodSettingsScreen from './FoodSettingsScreen';
-
-// Define meal types for display
-const MEAL_TYPES = [
-  { value: 'breakfast', label: 'Breakfast', emoji: '🍳' },
-  { value: 'lunch', label: 'Lunch', emoji: '🥪' },
-  { value: 'dinner', label: 'Dinner', emoji: '🍲' },
-  { value: 'snack', label: 'Snack', emoji: '🍎' },
-  { value: 'drink', label: 'Drink', emoji: '🥤' },
-];
+import { MEAL_TYPES } from '../data/models';
 
 const FoodScreen = ({ navigation }) => {
   const { t } = useLanguage();
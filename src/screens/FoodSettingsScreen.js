@@ -1,7 +1,10 @@
 import React, { useState } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Switch, ScrollView, Alert, TextInput } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, Switch, ScrollView, Alert, TextInput, DeviceEventEmitter } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useLanguage } from '../context/LanguageContext';
+import { exportData, importData } from '../services/DatabaseService';
+import { shareFile, pickFile } from '../utils/files';
+import CsvExportModal from '../components/CsvExportModal';
 
 const FoodSettingsScreen = ({ onClose, topInset, bottomInset }) => {
   const { t } = useLanguage();
@@ -9,31 +12,61 @@ const FoodSettingsScreen = ({ onClose, topInset, bottomInset }) => {
   const [showNutritionGoals, setShowNutritionGoals] = useState(false);
   const [reminderEnabled, setReminderEnabled] = useState(false);
   const [exportFormat, setExportFormat] = useState('csv');
+  const [isCsvExportVisible, setIsCsvExportVisible] = useState(false);
   const insets = useSafeAreaInsets();
   
   // Use the passed insets or fall back to hooks
   const safeTopInset = topInset !== undefined ? topInset : insets.top;
   const safeBottomInset = bottomInset !== undefined ? bottomInset : insets.bottom;
 
-  // Mock function to export data
-  const handleExportData = (format) => {
-    Alert.alert(
-      t('exportData') || 'Export Data',
-      `${t('dataWillBeExportedAs') || 'Your food tracking data will be exported as'} ${format.toUpperCase()}`,
-      [
-        { text: t('ok') || 'OK' }
-      ]
-    );
+  // Export data; CSV lets the user pick columns and dates, JSON exports the full Memoria archive
+  const handleExportData = async (format) => {
+    if (format === 'csv') {
+      setIsCsvExportVisible(true);
+      return;
+    }
+
+    try {
+      const fileUri = await exportData();
+      if (!(await shareFile(fileUri, 'application/json'))) {
+        Alert.alert(t('success'), `${t('exportSavedTo')} ${fileUri}`, [{ text: t('ok') }]);
+      }
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert(t('error'), t('exportDataError'), [{ text: t('ok') }]);
+    }
   };
 
-  // Mock function to import data
-  const handleImportData = () => {
+  // Import a Memoria archive, merging it into the existing data
+  const handleImportData = async () => {
+    let fileUri;
+    try {
+      fileUri = await pickFile('application/json');
+    } catch (error) {
+      console.error('Error picking import file:', error);
+    }
+    if (!fileUri) {
+      return;
+    }
+
     Alert.alert(
       t('importData') || 'Import Data',
       t('importDataConfirmation') || 'This will add imported food entries to your database. Continue?',
       [
         { text: t('cancel') || 'Cancel', style: 'cancel' },
-        { text: t('import') || 'Import', onPress: () => console.log('Import data') }
+        {
+          text: t('import') || 'Import',
+          onPress: async () => {
+            try {
+              const rowCount = await importData(fileUri);
+              DeviceEventEmitter.emit('DATA_IMPORTED');
+              Alert.alert(t('success'), t('importDataSuccess').replace('{count}', rowCount), [{ text: t('ok') }]);
+            } catch (error) {
+              console.error('Error importing data:', error);
+              Alert.alert(t('error'), `${t('importDataError')} ${error.message}`, [{ text: t('ok') }]);
+            }
+          }
+        }
       ]
     );
   };
@@ -212,6 +245,12 @@ const FoodSettingsScreen = ({ onClose, topInset, bottomInset }) => {
           </View>
         </ScrollView>
       </View>
+
+      <CsvExportModal
+        visible={isCsvExportVisible}
+        initialTracker="food"
+        onClose={() => setIsCsvExportVisible(false)}
+      />
     </SafeAreaView>
   );
 };
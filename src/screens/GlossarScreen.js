@@ -8,6 +8,7 @@ import PlacesScreen from './PlacesScreen';
 import ContextsScreen from './ContextsScreen';
 import PersonDetailsScreen from './PersonDetailsScreen';
 import AddEditPersonScreen from './AddEditPersonScreen';
+import SearchScreen from './SearchScreen';
 import { 
   getPlacesGlossary, 
   getPeopleGlossary, 
@@ -22,6 +23,7 @@ const GlossarScreen = () => {
   const [selectedPerson, setSelectedPerson] = useState(null);
   const [showAddEditModal, setShowAddEditModal] = useState(false);
   const [editingPerson, setEditingPerson] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
   
   const [loading, setLoading] = useState(false);
   const [placesData, setPlacesData] = useState([]);
@@ -105,7 +107,9 @@ const GlossarScreen = () => {
               <Text style={styles.relatedItemText}>
                 {entity.entityType === 'mood' 
                   ? `${entity.entityData.emotion} (${entity.entityData.rating}/5)` 
-                  : entity.entityData.name}
+                  : entity.entityType === 'session'
+                    ? `${entity.entityData.pursuit_name} (${entity.entityData.duration_minutes} min)`
+                    : entity.entityData.name}
               </Text>
               <Text style={styles.relatedItemSubtext}>{entity.relationship}</Text>
             </TouchableOpacity>
@@ -121,6 +125,7 @@ const GlossarScreen = () => {
     const moods = selectedPlace.related?.mood || [];
     const foods = selectedPlace.related?.food || [];
     const people = selectedPlace.related?.person || [];
+    const sessions = selectedPlace.related?.session || [];
 
     return (
       <View style={styles.detailsContainer}>
@@ -140,6 +145,7 @@ const GlossarScreen = () => {
         {renderRelatedEntities(moods, 'Moods at this place')}
         {renderRelatedEntities(foods, 'Food at this place')}
         {renderRelatedEntities(people, 'People at this place')}
+        {renderRelatedEntities(sessions, 'Practice at this place')}
       </View>
     );
   };
@@ -242,6 +248,13 @@ const GlossarScreen = () => {
               {t('places')}
             </Text>
           </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.tab}
+            onPress={() => setShowSearch(true)}
+            accessibilityLabel={t('search')}
+          >
+            <Text style={[styles.tabText, { color: '#666' }]}>🔍</Text>
+          </TouchableOpacity>
         </View>
       </View>
 
@@ -260,6 +273,15 @@ const GlossarScreen = () => {
           onClose={handleCloseModal}
         />
       </Modal>
+
+      <Modal
+        visible={showSearch}
+        animationType="slide"
+        onRequestClose={() => setShowSearch(false)}
+        statusBarTranslucent={true}
+      >
+        <SearchScreen onClose={() => setShowSearch(false)} />
+      </Modal>
     </View>
   );
 };
@@ -0,0 +1,435 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  ActivityIndicator,
+  Alert,
+  DeviceEventEmitter
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useLanguage } from '../context/LanguageContext';
+import {
+  HEALTH_KINDS,
+  getHealthEntries,
+  getLatestHealthEntries,
+  getMedications,
+  getMedicationDoses,
+  addHealthEntry
+} from '../database/HealthDB';
+import HealthEntryForm from '../components/HealthEntryForm';
+import MedicationForm from '../components/MedicationForm';
+
+const TABS = ['today', ...HEALTH_KINDS];
+
+const KIND_EMOJIS = {
+  sleep: '😴',
+  workout: '🏃',
+  medication: '💊',
+  weight: '⚖️',
+  blood_pressure: '❤️'
+};
+
+const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const formatDateTime = (date) => `${new Date(date).toLocaleDateString()} ${formatTime(date)}`;
+
+const HealthScreen = () => {
+  const { t } = useLanguage();
+  const insets = useSafeAreaInsets();
+
+  const [activeTab, setActiveTab] = useState('today');
+  const [entries, setEntries] = useState([]);
+  const [latest, setLatest] = useState({});
+  const [medications, setMedications] = useState([]);
+  const [doses, setDoses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // The form shown in the modal: { entry: { kind, entry } } or { medication }, null when closed
+  const [form, setForm] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [latestEntries, allMedications, todaysDoses, kindEntries] = await Promise.all([
+        getLatestHealthEntries(),
+        getMedications(),
+        getMedicationDoses(new Date()),
+        activeTab === 'today' ? [] : getHealthEntries(activeTab)
+      ]);
+      setLatest(latestEntries);
+      setMedications(allMedications);
+      setDoses(todaysDoses);
+      setEntries(kindEntries);
+    } catch (error) {
+      console.error('Error loading health data:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [activeTab]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    // Entries can change elsewhere, e.g. after an import, restore or sync
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', load);
+    return () => subscription.remove();
+  }, [load]);
+
+  const handleCloseForm = (saved) => {
+    setForm(null);
+    if (saved) {
+      load();
+    }
+  };
+
+  const handleTakeDose = async (dose) => {
+    try {
+      await addHealthEntry({ kind: 'medication', medication_id: dose.medication.id, dose: dose.medication.dose });
+      load();
+    } catch (error) {
+      Alert.alert(t('error'), t('errorSavingHealthEntry'));
+    }
+  };
+
+  const getMedicationName = (id) => {
+    const medication = medications.find(candidate => candidate.id === id);
+    return medication ? medication.name : t('unknownMedication');
+  };
+
+  // One-line summary of an entry, by kind
+  const describeEntry = (entry) => {
+    switch (entry.kind) {
+      case 'sleep':
+        return [
+          entry.duration_minutes && `${(entry.duration_minutes / 60).toFixed(1)} ${t('hoursShort')}`,
+          entry.quality && '★'.repeat(entry.quality)
+        ].filter(Boolean).join(' · ');
+      case 'workout':
+        return [
+          entry.activity,
+          entry.duration_minutes && `${entry.duration_minutes} ${t('minutesShort')}`,
+          entry.intensity && t(`intensity_${entry.intensity}`)
+        ].filter(Boolean).join(' · ');
+      case 'medication':
+        return [getMedicationName(entry.medication_id), entry.dose].filter(Boolean).join(' · ');
+      case 'weight':
+        return `${entry.weight} kg`;
+      case 'blood_pressure':
+        return `${entry.systolic}/${entry.diastolic} mmHg${entry.pulse ? ` · ♥ ${entry.pulse}` : ''}`;
+      default:
+        return '';
+    }
+  };
+
+  const renderEntry = (entry) => (
+    <TouchableOpacity
+      key={entry.id}
+      style={styles.card}
+      onPress={() => setForm({ entry: { kind: entry.kind, entry } })}
+    >
+      <Text style={styles.entryEmoji}>{KIND_EMOJIS[entry.kind]}</Text>
+      <View style={styles.cardInfo}>
+        <Text style={styles.entryTitle}>{describeEntry(entry)}</Text>
+        <Text style={styles.entryDate}>{formatDateTime(entry.recorded_at)}</Text>
+        {!!entry.notes && <Text style={styles.entryNotes} numberOfLines={2}>{entry.notes}</Text>}
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderDose = (dose) => (
+    <View key={`${dose.medication.id}-${dose.time}`} style={styles.doseRow}>
+      <Text style={styles.doseTime}>{dose.time}</Text>
+      <View style={styles.cardInfo}>
+        <Text style={styles.entryTitle}>{dose.medication.name}</Text>
+        {!!dose.medication.dose && <Text style={styles.entryDate}>{dose.medication.dose}</Text>}
+      </View>
+      {dose.taken ? (
+        <TouchableOpacity onPress={() => setForm({ entry: { kind: 'medication', entry: dose.taken } })}>
+          <Text style={styles.takenText}>✓ {formatTime(dose.taken.recorded_at)}</Text>
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity style={styles.takeButton} onPress={() => handleTakeDose(dose)}>
+          <Text style={styles.takeButtonText}>{t('takeDose')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderDoses = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{t('dosesToday')}</Text>
+      {doses.length > 0
+        ? doses.map(renderDose)
+        : <Text style={styles.emptyText}>{t('noDosesToday')}</Text>}
+    </View>
+  );
+
+  const renderToday = () => (
+    <>
+      {renderDoses()}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('latestReadings')}</Text>
+        {HEALTH_KINDS.filter(kind => kind !== 'medication').map(kind => (
+          latest[kind] ? renderEntry(latest[kind]) : (
+            <TouchableOpacity key={kind} style={styles.card} onPress={() => setForm({ entry: { kind } })}>
+              <Text style={styles.entryEmoji}>{KIND_EMOJIS[kind]}</Text>
+              <Text style={styles.emptyText}>{t(`healthEmpty_${kind}`)}</Text>
+            </TouchableOpacity>
+          )
+        ))}
+      </View>
+    </>
+  );
+
+  const renderMedications = () => (
+    <View style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle}>{t('medications')}</Text>
+        <TouchableOpacity onPress={() => setForm({ medication: null })}>
+          <Text style={styles.sectionAction}>+ {t('newMedication')}</Text>
+        </TouchableOpacity>
+      </View>
+      {medications.length === 0 && <Text style={styles.emptyText}>{t('noMedicationsYet')}</Text>}
+      {medications.map(medication => (
+        <TouchableOpacity
+          key={medication.id}
+          style={[styles.card, !medication.is_active && styles.inactiveCard]}
+          onPress={() => setForm({ medication })}
+        >
+          <Text style={styles.entryEmoji}>💊</Text>
+          <View style={styles.cardInfo}>
+            <Text style={styles.entryTitle}>
+              {[medication.name, medication.dose].filter(Boolean).join(' · ')}
+            </Text>
+            <Text style={styles.entryDate}>
+              {medication.is_active
+                ? medication.schedule.join(', ') || t('asNeeded')
+                : t('medicationInactive')}
+            </Text>
+          </View>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderKind = (kind) => (
+    <>
+      {kind === 'medication' && renderMedications()}
+      {kind === 'medication' && renderDoses()}
+      <View style={styles.section}>
+        {kind === 'medication' && <Text style={styles.sectionTitle}>{t('doseHistory')}</Text>}
+        {entries.length > 0
+          ? entries.map(renderEntry)
+          : <Text style={styles.emptyText}>{t(`healthEmpty_${kind}`)}</Text>}
+      </View>
+    </>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.tabs}>
+          {TABS.map(tab => (
+            <TouchableOpacity
+              key={tab}
+              style={[styles.tab, activeTab === tab && styles.activeTab]}
+              onPress={() => setActiveTab(tab)}
+            >
+              <Text style={styles.tabText}>
+                {tab === 'today' ? t('healthToday') : `${KIND_EMOJIS[tab]} ${t(`healthKind_${tab}`)}`}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+
+      {isLoading ? (
+        <ActivityIndicator style={styles.loading} size="large" color="#BA68C8" />
+      ) : (
+        <ScrollView contentContainerStyle={[styles.content, { paddingBottom: insets.bottom + 96 }]}>
+          {activeTab === 'today' ? renderToday() : renderKind(activeTab)}
+        </ScrollView>
+      )}
+
+      {activeTab !== 'today' && (
+        <TouchableOpacity
+          style={[styles.addButton, { bottom: insets.bottom + 24 }]}
+          onPress={() => setForm({ entry: { kind: activeTab } })}
+        >
+          <Text style={styles.addButtonText}>+</Text>
+        </TouchableOpacity>
+      )}
+
+      <Modal visible={!!form} animationType="slide" onRequestClose={() => handleCloseForm(false)}>
+        {form && form.entry && (
+          <HealthEntryForm
+            kind={form.entry.kind}
+            entry={form.entry.entry}
+            medications={medications.filter(medication => medication.is_active || medication.id === form.entry.entry?.medication_id)}
+            onClose={handleCloseForm}
+            topInset={insets.top}
+            bottomInset={insets.bottom}
+          />
+        )}
+        {form && !form.entry && (
+          <MedicationForm
+            medication={form.medication}
+            onClose={handleCloseForm}
+            topInset={insets.top}
+            bottomInset={insets.bottom}
+          />
+        )}
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  tabs: {
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  tab: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+  },
+  activeTab: {
+    backgroundColor: '#E1BEE7',
+  },
+  tabText: {
+    fontSize: 14,
+  },
+  loading: {
+    marginTop: 32,
+  },
+  content: {
+    padding: 16,
+  },
+  section: {
+    marginBottom: 16,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  sectionAction: {
+    fontSize: 14,
+    color: '#8E24AA',
+    marginBottom: 8,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  inactiveCard: {
+    opacity: 0.5,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  entryEmoji: {
+    fontSize: 24,
+    marginRight: 12,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  entryDate: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 2,
+  },
+  entryNotes: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  doseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  doseTime: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    width: 60,
+  },
+  takeButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#BA68C8',
+  },
+  takeButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  takenText: {
+    fontSize: 14,
+    color: '#43A047',
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+  },
+  addButton: {
+    position: 'absolute',
+    right: 24,
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: '#BA68C8',
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 3,
+  },
+  addButtonText: {
+    fontSize: 32,
+    color: 'white',
+    lineHeight: 36,
+  },
+});
+
+export default HealthScreen;
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+import {
+  attemptUnlock,
+  attemptRecovery,
+  getLockoutState,
+  panicWipe,
+  MAX_FAILED_ATTEMPTS
+} from '../services/AppLockService';
+import { setPassphrase as saveNewPassphrase, lock } from '../services/EncryptionService';
+import PassphraseSetupModal from '../components/PassphraseSetupModal';
+
+const LockScreen = ({ onUnlock, onWiped }) => {
+  const { t } = useLanguage();
+  const [passphrase, setPassphrase] = useState('');
+  const [isRecoveryMode, setIsRecoveryMode] = useState(false);
+  const [isChoosingNewPassphrase, setIsChoosingNewPassphrase] = useState(false);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [now, setNow] = useState(Date.now());
+
+  // Restore a lockout that was still running when the app was closed
+  useEffect(() => {
+    getLockoutState().then(state => setLockedUntil(state.lockedUntil));
+  }, []);
+
+  // Tick once a second while locked out so the countdown updates
+  useEffect(() => {
+    if (lockedUntil <= Date.now()) {
+      return undefined;
+    }
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [lockedUntil]);
+
+  const isLockedOut = lockedUntil > now;
+  const secondsLeft = Math.ceil((lockedUntil - now) / 1000);
+
+  const wrongInputMessage = isRecoveryMode ? t('invalidRecoveryCode') : t('wrongPassphrase');
+
+  const toggleRecoveryMode = () => {
+    setIsRecoveryMode(!isRecoveryMode);
+    setPassphrase('');
+    setErrorMessage(null);
+  };
+
+  const handleNewPassphrase = async (newPassphrase) => {
+    await saveNewPassphrase(newPassphrase);
+    setIsChoosingNewPassphrase(false);
+    setIsRecoveryMode(false);
+    onUnlock();
+  };
+
+  // Without a new passphrase the recovery code would be needed again next time
+  const handleCancelNewPassphrase = () => {
+    lock();
+    setIsChoosingNewPassphrase(false);
+  };
+
+  const handleUnlock = async () => {
+    if (!passphrase || isLockedOut) {
+      return;
+    }
+
+    setIsUnlocking(true);
+    setErrorMessage(null);
+    try {
+      const result = isRecoveryMode
+        ? await attemptRecovery(passphrase)
+        : await attemptUnlock(passphrase);
+      if (result.success) {
+        setPassphrase('');
+        if (isRecoveryMode) {
+          // The old passphrase is presumably forgotten, so ask for a new one
+          setIsChoosingNewPassphrase(true);
+        } else {
+          onUnlock();
+        }
+        return;
+      }
+
+      setPassphrase('');
+      setLockedUntil(result.lockedUntil);
+      setNow(Date.now());
+      setErrorMessage(
+        result.remainingAttempts > 0
+          ? `${wrongInputMessage} ${t('attemptsRemaining')}: ${result.remainingAttempts}`
+          : wrongInputMessage
+      );
+    } catch (error) {
+      console.error('Error unlocking:', error);
+      setErrorMessage(t('unlockError'));
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const handlePanicWipe = () => {
+    Alert.alert(
+      t('panicWipe'),
+      t('panicWipeConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('eraseEverything'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await panicWipe();
+              onWiped();
+            } catch (error) {
+              console.error('Error wiping data:', error);
+              Alert.alert(t('error'), t('panicWipeError'), [{ text: t('ok') }]);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <Text style={styles.title}>Memoria</Text>
+      <Text style={styles.subtitle}>
+        {isRecoveryMode ? t('enterRecoveryCode') : t('enterPassphrase')}
+      </Text>
+
+      <TextInput
+        style={styles.input}
+        value={passphrase}
+        onChangeText={setPassphrase}
+        placeholder={isRecoveryMode ? t('recoveryCode') : t('passphrase')}
+        secureTextEntry={!isRecoveryMode}
+        autoCapitalize={isRecoveryMode ? 'characters' : 'none'}
+        autoCorrect={false}
+        editable={!isUnlocking && !isLockedOut}
+        onSubmitEditing={handleUnlock}
+        returnKeyType="go"
+      />
+
+      {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+      {isLockedOut && (
+        <Text style={styles.errorText}>
+          {t('tooManyAttempts')} {t('tryAgainIn')} {secondsLeft}s
+        </Text>
+      )}
+
+      <TouchableOpacity
+        style={[styles.unlockButton, (isUnlocking || isLockedOut) && styles.disabledButton]}
+        onPress={handleUnlock}
+        disabled={isUnlocking || isLockedOut}
+      >
+        {isUnlocking ? (
+          <ActivityIndicator color="white" />
+        ) : (
+          <Text style={styles.unlockButtonText}>{t('unlock')}</Text>
+        )}
+      </TouchableOpacity>
+
+      <Text style={styles.hintText}>
+        {t('lockoutHint').replace('{count}', MAX_FAILED_ATTEMPTS)}
+      </Text>
+
+      <TouchableOpacity style={styles.recoveryButton} onPress={toggleRecoveryMode}>
+        <Text style={styles.recoveryButtonText}>
+          {isRecoveryMode ? t('usePassphrase') : t('useRecoveryCode')}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.wipeButton} onPress={handlePanicWipe}>
+        <Text style={styles.wipeButtonText}>{t('panicWipe')}</Text>
+      </TouchableOpacity>
+
+      <PassphraseSetupModal
+        visible={isChoosingNewPassphrase}
+        title={t('setNewPassphrase')}
+        onSubmit={handleNewPassphrase}
+        onCancel={handleCancelNewPassphrase}
+      />
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+    backgroundColor: '#3F51B5',
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginBottom: 32,
+  },
+  input: {
+    width: '100%',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 14,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  errorText: {
+    color: '#FFCDD2',
+    fontSize: 14,
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  unlockButton: {
+    width: '100%',
+    backgroundColor: '#FFD54F',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  unlockButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  hintText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  recoveryButton: {
+    marginTop: 24,
+    padding: 8,
+  },
+  recoveryButtonText: {
+    color: 'white',
+    fontSize: 14,
+    textDecorationLine: 'underline',
+  },
+  wipeButton: {
+    position: 'absolute',
+    bottom: 48,
+    padding: 12,
+  },
+  wipeButtonText: {
+    color: '#FFCDD2',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default LockScreen;
@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, Image, Modal, ActivityIndicator } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useLanguage } from '../context/LanguageContext';
+import { useMemories } from '../context/MemoriesContext';
+import MemoryForm from '../components/MemoryForm';
+import MemoryDetail from '../components/MemoryDetail';
+
+const MemoriesScreen = () => {
+  const { t } = useLanguage();
+  const { memories, loading } = useMemories();
+  const insets = useSafeAreaInsets();
+
+  // The modal shows either the detail of the selected memory or the editor
+  const [selectedId, setSelectedId] = useState(null);
+  const [isFormVisible, setIsFormVisible] = useState(false);
+
+  // Read the selected memory from the context so the detail shows saved changes
+  const selectedMemory = memories.find(memory => memory.id === selectedId) || null;
+
+  const handleAdd = () => {
+    setSelectedId(null);
+    setIsFormVisible(true);
+  };
+
+  // Back to the detail after editing, or to the list after adding
+  const handleCloseForm = () => {
+    setIsFormVisible(false);
+  };
+
+  const handleCloseModal = () => {
+    setIsFormVisible(false);
+    setSelectedId(null);
+  };
+
+  const renderMemory = ({ item }) => (
+    <TouchableOpacity style={styles.memoryItem} onPress={() => setSelectedId(item.id)}>
+      {item.photos && item.photos.length > 0 ? (
+        <Image source={{ uri: item.photos[0] }} style={styles.thumbnail} />
+      ) : (
+        <View style={[styles.thumbnail, styles.thumbnailPlaceholder]}>
+          <Text style={styles.thumbnailEmoji}>📖</Text>
+        </View>
+      )}
+      <View style={styles.memoryInfo}>
+        <Text style={styles.memoryTitle} numberOfLines={1}>{item.title}</Text>
+        {item.date && <Text style={styles.memoryDate}>{item.date.toLocaleDateString()}</Text>}
+        {!!item.description && (
+          <Text style={styles.memoryStory} numberOfLines={2}>{item.description}</Text>
+        )}
+      </View>
+      {item.photos && item.photos.length > 1 && (
+        <Text style={styles.photoCount}>📷 {item.photos.length}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {loading ? (
+        <ActivityIndicator style={styles.loading} size="large" color="#FF8A65" />
+      ) : (
+        <FlatList
+          data={memories}
+          keyExtractor={item => item.id}
+          renderItem={renderMemory}
+          contentContainerStyle={[styles.list, { paddingBottom: insets.bottom + 96 }]}
+          ListEmptyComponent={(
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyEmoji}>📖</Text>
+              <Text style={styles.emptyTitle}>{t('noMemoriesYet')}</Text>
+              <Text style={styles.emptyText}>{t('noMemoriesHint')}</Text>
+            </View>
+          )}
+        />
+      )}
+
+      <TouchableOpacity
+        style={[styles.addButton, { bottom: insets.bottom + 24 }]}
+        onPress={handleAdd}
+      >
+        <Text style={styles.addButtonText}>+</Text>
+      </TouchableOpacity>
+
+      <Modal
+        visible={isFormVisible || !!selectedMemory}
+        animationType="slide"
+        onRequestClose={isFormVisible ? handleCloseForm : handleCloseModal}
+      >
+        {isFormVisible ? (
+          <MemoryForm
+            memory={selectedMemory}
+            onClose={handleCloseForm}
+            topInset={insets.top}
+            bottomInset={insets.bottom}
+          />
+        ) : (
+          <MemoryDetail
+            memory={selectedMemory}
+            onClose={handleCloseModal}
+            onEdit={() => setIsFormVisible(true)}
+            topInset={insets.top}
+            bottomInset={insets.bottom}
+          />
+        )}
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loading: {
+    marginTop: 32,
+  },
+  list: {
+    padding: 16,
+  },
+  memoryItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  thumbnail: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    marginRight: 12,
+  },
+  thumbnailPlaceholder: {
+    backgroundColor: '#FFCCBC',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  thumbnailEmoji: {
+    fontSize: 28,
+  },
+  memoryInfo: {
+    flex: 1,
+  },
+  memoryTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  memoryDate: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 2,
+  },
+  memoryStory: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  photoCount: {
+    fontSize: 13,
+    color: '#888',
+    marginLeft: 8,
+  },
+  emptyState: {
+    alignItems: 'center',
+    marginTop: 64,
+    paddingHorizontal: 32,
+  },
+  emptyEmoji: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+  },
+  addButton: {
+    position: 'absolute',
+    right: 24,
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: '#FF8A65',
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 3,
+  },
+  addButtonText: {
+    fontSize: 32,
+    color: 'white',
+    lineHeight: 36,
+  },
+});
+
+export default MemoriesScreen;
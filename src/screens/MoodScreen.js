@@ -12,6 +12,7 @@ import MoodEntryDetail from '../components/MoodEntryDetail';
 import MoodSettingsScreen from './MoodSettingsScreen';
 import { useLanguage } from '../context/LanguageContext';
 import { useVisualStyle } from '../context/VisualStyleContext';
+import { toMoodQuery } from '../services/MoodViewsService';
 
 // Define emotions for display
 const EMOTIONS = [
@@ -38,6 +39,7 @@ const MoodScreen = ({ navigation }) => {
   const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [page, setPage] = useState(0);
   const [hasMoreEntries, setHasMoreEntries] = useState(true);
+  const [moodFilters, setMoodFilters] = useState({});
   const [activeView, setActiveView] = useState('quick'); // 'quick', 'history', 'analytics', 'survey'
   const [selectedRating, setSelectedRating] = useState(null);
   const [activeSurvey, setActiveSurvey] = useState(null);
@@ -107,12 +109,12 @@ const MoodScreen = ({ navigation }) => {
     maybeSuggestSurvey();
   }, []);
 
-  // Reload entries when switching to history view
+  // Reload entries when switching to history view or changing its filters
   useEffect(() => {
     if (activeView === 'history') {
       loadMoodEntries(true);
     }
-  }, [activeView]);
+  }, [activeView, moodFilters]);
 
   // Handle database reset
   const handleResetDatabase = async () => {
@@ -157,7 +159,7 @@ const MoodScreen = ({ navigation }) => {
     try {
       const currentPage = refresh ? 0 : page;
       // Use the enhanced function that includes related entities like foods
-      const entries = await getMoodsWithRelated(PAGE_SIZE, currentPage * PAGE_SIZE, true);
+      const entries = await getMoodsWithRelated(PAGE_SIZE, currentPage * PAGE_SIZE, toMoodQuery(moodFilters));
       
       console.log(`Loaded ${entries.length} mood entries from database (page ${currentPage})`);
       console.log('Current total entries:', moodEntries.length);
@@ -443,6 +445,8 @@ const MoodScreen = ({ navigation }) => {
             getTranslatedEmotion={getTranslatedEmotion}
             getMoodIcon={getMoodIcon}
             visualStyle={visualStyle}
+            filters={moodFilters}
+            onFiltersChange={setMoodFilters}
           />
         );
         
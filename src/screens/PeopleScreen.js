@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, FlatList, Alert, TextInput } from 'react-native';
 import { usePeople } from '../context/PeopleContext';
+import { useLanguage } from '../context/LanguageContext';
+import { showUndoToast } from '../utils/undoToast';
 
 const PeopleScreen = ({ onPersonSelect, onAddPerson, onEditPerson }) => {
   const { people, loading, deletePerson } = usePeople();
+  const { t } = useLanguage();
   const [filteredPeople, setFilteredPeople] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
 
@@ -39,6 +42,7 @@ const PeopleScreen = ({ onPersonSelect, onAddPerson, onEditPerson }) => {
           onPress: async () => {
             try {
               await deletePerson(person.id);
+              showUndoToast('person', person.id, { message: t('movedToTrash'), undoHint: t('tapToUndo') });
             } catch (error) {
               Alert.alert('Error', 'Failed to delete person');
             }
@@ -16,11 +16,11 @@ const PersonDetailsScreen = ({ person, onBack }) => {
   const { moods } = useMoods();
 
   const personMemories = memories.filter(memory => 
-    memory.people.some(p => p.id === person.id)
+    memory.people.includes(person.id)
   );
 
   const personMoods = moods.filter(mood => 
-    mood.people.some(p => p.id === person.id)
+    (mood.people || []).includes(person.id)
   );
 
   return (
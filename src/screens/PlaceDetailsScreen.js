@@ -3,7 +3,7 @@ import { View, Text, TouchableOpacity, StyleSheet, FlatList, Dimensions, Activit
 import { SafeAreaView } from 'react-native-safe-area-context';
 import MapView, { Marker } from 'react-native-maps';
 import { usePlaces } from '../context/PlacesContext';
-import { getMoodEntries } from '../database/MoodsDB';
+import { getPlaceVisits } from '../database/PlaceVisitsDB';
 import { useLanguage } from '../context/LanguageContext';
 import { useVisualStyle } from '../context/VisualStyleContext';
 
@@ -15,6 +15,7 @@ const PlaceDetailsScreen = ({ place, onBack, onEdit, hideBackButton = false }) =
   const { getMoodIcon } = useVisualStyle();
   const { getPlaceMoods } = usePlaces();
   const [placeMoods, setPlaceMoods] = useState([]);
+  const [visits, setVisits] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [mapRegion, setMapRegion] = useState(null);
   const [selectedMood, setSelectedMood] = useState(null);
@@ -26,46 +27,12 @@ const PlaceDetailsScreen = ({ place, onBack, onEdit, hideBackButton = false }) =
     
     // Set map region based on place
     if (place && place.latitude && place.longitude) {
-      console.log('Setting up map with place:', place.name);
-      console.log('Place has locations array:', place.locations ? place.locations.length : 'none');
-      
-      if (place.locations && place.locations.length > 0) {
-        // Calculate center of all locations
-        let sumLat = 0, sumLng = 0;
-        place.locations.forEach(loc => {
-          sumLat += Number(loc.latitude);
-          sumLng += Number(loc.longitude);
-        });
-        
-        const centerLat = sumLat / place.locations.length;
-        const centerLng = sumLng / place.locations.length;
-        
-        // Calculate appropriate delta to show all markers
-        let maxLat = -90, minLat = 90, maxLng = -180, minLng = 180;
-        place.locations.forEach(loc => {
-          maxLat = Math.max(maxLat, Number(loc.latitude));
-          minLat = Math.min(minLat, Number(loc.latitude));
-          maxLng = Math.max(maxLng, Number(loc.longitude));
-          minLng = Math.min(minLng, Number(loc.longitude));
-        });
-        
-        const latDelta = Math.max(0.01, (maxLat - minLat) * 1.5);
-        const lngDelta = Math.max(0.01, (maxLng - minLng) * 1.5);
-        
-        setMapRegion({
-          latitude: centerLat,
-          longitude: centerLng,
-          latitudeDelta: latDelta,
-          longitudeDelta: lngDelta
-        });
-      } else {
-        setMapRegion({
-          latitude: Number(place.latitude),
-          longitude: Number(place.longitude),
-          latitudeDelta: 0.01,
-          longitudeDelta: 0.01
-        });
-      }
+      setMapRegion({
+        latitude: Number(place.latitude),
+        longitude: Number(place.longitude),
+        latitudeDelta: 0.01,
+        longitudeDelta: 0.01
+      });
     }
   }, [place]);
 
@@ -73,30 +40,9 @@ const PlaceDetailsScreen = ({ place, onBack, onEdit, hideBackButton = false }) =
     try {
       setIsLoading(true);
       
-      // If it's a mood place, show associated moods directly from mood_ids
-      if (place.fromMood && place.mood_ids && place.mood_ids.length > 0) {
-        // Get all moods and filter for the ones associated with this place
-        const allMoods = await getMoodEntries(1000, 0);
-        
-        // Use Set for O(1) lookup
-        const placeMoodIds = new Set(place.mood_ids);
-        
-        // Filter to only include moods that match our IDs
-        const relevantMoods = allMoods.filter(mood => placeMoodIds.has(mood.id));
-        
-        console.log(`Found ${relevantMoods.length} moods for this location out of ${place.mood_ids.length} IDs`);
-        
-        if (relevantMoods.length === 0 && place.mood_count > 0) {
-          console.log('Warning: No moods found despite mood_count > 0');
-        }
-        
-        setPlaceMoods(relevantMoods);
-      } else {
-        // Regular place, fetch moods from database
-        const moods = await getPlaceMoods(place.id);
-        console.log(`Fetched ${moods.length} moods for regular place with ID ${place.id}`);
-        setPlaceMoods(moods);
-      }
+      const [moods, placeVisits] = await Promise.all([getPlaceMoods(place.id), getPlaceVisits(place.id)]);
+      setPlaceMoods(moods);
+      setVisits(placeVisits);
       
       setIsLoading(false);
     } catch (error) {
@@ -151,6 +97,16 @@ const PlaceDetailsScreen = ({ place, onBack, onEdit, hideBackButton = false }) =
     });
   };
 
+  const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  const formatDwell = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    if (hours === 0) {
+      return `${minutes} min`;
+    }
+    return minutes % 60 === 0 ? `${hours} h` : `${hours} h ${minutes % 60} min`;
+  };
+
   // Handle mood selection
   const handleMoodPress = (mood) => {
     setSelectedMood(mood);
@@ -275,16 +231,13 @@ const PlaceDetailsScreen = ({ place, onBack, onEdit, hideBackButton = false }) =
           )}
           {hideBackButton && <View style={styles.placeholderView} />}
           <Text style={[styles.title, hideBackButton && styles.titleCentered]} numberOfLines={1}>{place.name}</Text>
-          {!place.fromMood && (
-            <TouchableOpacity 
-              style={styles.editButton} 
-              onPress={() => onEdit(place)}
-              accessibilityLabel={t('edit')}
-            >
-              <Text style={styles.editButtonText}>{t('edit')}</Text>
-            </TouchableOpacity>
-          )}
-          {place.fromMood && <View style={styles.placeholderView} />}
+          <TouchableOpacity 
+            style={styles.editButton} 
+            onPress={() => onEdit(place)}
+            accessibilityLabel={t('edit')}
+          >
+            <Text style={styles.editButtonText}>{t('edit')}</Text>
+          </TouchableOpacity>
         </View>
 
         <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
@@ -304,47 +257,6 @@ const PlaceDetailsScreen = ({ place, onBack, onEdit, hideBackButton = false }) =
                   title={place.name}
                   pinColor="#3F51B5"
                 />
-                
-                {/* Additional location markers for mood-related places */}
-                {place.locations && place.locations.map((loc, index) => {
-                  // Skip invalid coordinates
-                  if (!loc.latitude || !loc.longitude || 
-                      isNaN(Number(loc.latitude)) || isNaN(Number(loc.longitude))) {
-                    return null;
-                  }
-
-                  // Skip if this is the exact same location as the primary marker
-                  // Use small epsilon for floating point comparison
-                  const isSameAsPrimary = 
-                    Math.abs(Number(loc.latitude) - Number(place.latitude)) < 0.000001 && 
-                    Math.abs(Number(loc.longitude) - Number(place.longitude)) < 0.000001;
-                    
-                  if (isSameAsPrimary) {
-                    return null;
-                  }
-                  
-                  // Use rating-based colors for the markers
-                  let pinColor = '#888'; // Default gray
-                  
-                  if (loc.moodId && place.fromMood) {
-                    const relatedMood = placeMoods.find(m => m.id === loc.moodId);
-                    if (relatedMood && relatedMood.rating) {
-                      pinColor = getMoodColor(relatedMood.rating);
-                    }
-                  }
-                  
-                  return (
-                    <Marker
-                      key={`loc-${index}-${loc.latitude}-${loc.longitude}`}
-                      coordinate={{
-                        latitude: Number(loc.latitude),
-                        longitude: Number(loc.longitude)
-                      }}
-                      title={loc.date ? new Date(loc.date).toLocaleDateString() : 'Location'}
-                      pinColor={pinColor}
-                    />
-                  );
-                })}
               </MapView>
             </View>
           ) : (
@@ -374,6 +286,25 @@ const PlaceDetailsScreen = ({ place, onBack, onEdit, hideBackButton = false }) =
             </View>
           )}
 
+          {visits.length > 0 && (
+            <>
+              <Text style={styles.moodsTitle}>{t('placeVisits')}:</Text>
+              <View style={styles.moodsContainer}>
+                {visits.map(visit => (
+                  <View key={visit.id} style={styles.visitItem}>
+                    <Text style={styles.moodDate}>{visit.arrived_at.toLocaleDateString()}</Text>
+                    <Text style={styles.visitText}>
+                      {visit.dwell_minutes > 0
+                        ? `${formatTime(visit.arrived_at)} – ${formatTime(visit.departed_at)} · ${formatDwell(visit.dwell_minutes)}`
+                        : formatTime(visit.arrived_at)}
+                      {` · ${t(visit.entry_count === 1 ? 'visitEntries_one' : 'visitEntries_other').replace('{count}', visit.entry_count)}`}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            </>
+          )}
+
           <Text style={styles.moodsTitle}>{t('associatedMoods')}:</Text>
           {isLoading ? (
             <View style={styles.loadingContainer}>
@@ -542,6 +473,18 @@ const styles = StyleSheet.create({
     marginBottom: 12,
     borderLeftWidth: 4,
   },
+  visitItem: {
+    padding: 12,
+    backgroundColor: '#f8f8f8',
+    borderRadius: 8,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#3F51B5',
+  },
+  visitText: {
+    fontSize: 15,
+    marginTop: 4,
+  },
   moodHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,180 +1,91 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, FlatList, Alert, TextInput, Modal, ActivityIndicator, Dimensions } from 'react-native';
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, FlatList, Alert, TextInput, Modal, ActivityIndicator, Dimensions, DeviceEventEmitter } from 'react-native';
 import { usePlaces } from '../context/PlacesContext';
 import { useMoods } from '../context/MoodsContext';
+import { useLanguage } from '../context/LanguageContext';
 import AddEditPlaceScreen from './AddEditPlaceScreen';
 import PlaceDetailsScreen from './PlaceDetailsScreen';
-import { getMoodEntries } from '../database/MoodsDB';
+import { getSuggestedPlaces } from '../database/PlacesDB';
+import {
+  clusterPlaces,
+  confirmSuggestedPlace,
+  ignoreSuggestedPlace,
+  mergeSuggestedPlace,
+  getDuplicatePlaceSuggestions,
+  mergeDuplicatePlace,
+  keepPlacesApart
+} from '../services/PlaceClusteringService';
+import { getDistanceInMeters } from '../utils/geo';
 import MapView, { Marker } from 'react-native-maps';
+import { showUndoToast } from '../utils/undoToast';
 
 const { width } = Dimensions.get('window');
 const MAP_HEIGHT = 220;
 
-// Distance in kilometers to consider places as the same location
-const PROXIMITY_THRESHOLD = 0.5;
-
-// Calculate distance between two coordinates using haversine formula
-const getDistanceInKm = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Radius of the earth in km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2); 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
-  return R * c; // Distance in km
-};
-
-const deg2rad = (deg) => {
-  return deg * (Math.PI/180);
-};
+const hasCoordinates = (place) => place.latitude !== null && place.latitude !== undefined &&
+  place.longitude !== null && place.longitude !== undefined;
 
 const PlacesScreen = () => {
   const { places, loading, deletePlace, getPlaceMoods, addPlace, refreshPlaces } = usePlaces();
   const { moods } = useMoods();
+  const { t } = useLanguage();
   const [selectedPlace, setSelectedPlace] = useState(null);
   const [showAddEditModal, setShowAddEditModal] = useState(false);
   const [editingPlace, setEditingPlace] = useState(null);
   const [placeMoods, setPlaceMoods] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [filteredPlaces, setFilteredPlaces] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
-  const [moodPlaces, setMoodPlaces] = useState([]);
-  const [combinedPlaces, setCombinedPlaces] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [suggestedPlaces, setSuggestedPlaces] = useState([]);
+  // Saved places that look like duplicates: [{ keep, duplicate }]
+  const [duplicatePlaces, setDuplicatePlaces] = useState([]);
   const [mapRegion, setMapRegion] = useState(null);
 
-  // Load mood entries with location data on component mount
-  useEffect(() => {
-    const loadMoodPlaces = async () => {
-      try {
-        setIsLoading(true);
-        // Get all mood entries with location data
-        const moodEntries = await getMoodEntries(1000, 0);
-        
-        // Filter to only entries with location data
-        const entriesWithLocation = moodEntries.filter(entry => 
-          entry.locationData && 
-          entry.locationData.latitude && 
-          entry.locationData.longitude
-        );
-        
-        if (entriesWithLocation.length === 0) {
-          setIsLoading(false);
-          return;
-        }
-        
-        // Create a map to avoid duplicates and group nearby locations
-        const placeGroups = [];
-        
-        // Process each entry
-        entriesWithLocation.forEach(entry => {
-          const entryLat = entry.locationData.latitude;
-          const entryLng = entry.locationData.longitude;
-          
-          // Check if this entry is close to an existing place group
-          let foundGroup = false;
-          
-          for (const group of placeGroups) {
-            const distance = getDistanceInKm(
-              entryLat, entryLng, 
-              group.latitude, group.longitude
-            );
-            
-            // If within threshold, add to this group
-            if (distance <= PROXIMITY_THRESHOLD) {
-              group.mood_ids.push(entry.id);
-              group.mood_count = group.mood_ids.length;
-              
-              // Keep track of all locations in this group
-              group.locations.push({
-                latitude: entryLat,
-                longitude: entryLng,
-                moodId: entry.id,
-                date: entry.entry_time
-              });
-              
-              // If this entry has a proper location name and the group doesn't, use it
-              if (entry.location && (!group.address || group.address === '')) {
-                group.name = entry.location;
-                group.address = entry.location;
-              }
-              
-              foundGroup = true;
-              break;
-            }
-          }
-          
-          // If no nearby group found, create a new one
-          if (!foundGroup) {
-            const name = entry.location || `Location at ${entryLat.toFixed(4)}, ${entryLng.toFixed(4)}`;
-            
-            placeGroups.push({
-              id: `mood_place_${entry.id}`,
-              name: name,
-              address: entry.location || '',
-              latitude: entryLat,
-              longitude: entryLng,
-              notes: `From mood entries starting on ${new Date(entry.entry_time).toLocaleDateString()}`,
-              created_at: new Date(entry.entry_time).toISOString(),
-              updated_at: new Date().toISOString(),
-              fromMood: true,
-              mood_count: 1,
-              mood_ids: [entry.id],
-              locations: [{
-                latitude: entryLat,
-                longitude: entryLng,
-                moodId: entry.id,
-                date: entry.entry_time
-              }]
-            });
-          }
-        });
-        
-        setMoodPlaces(placeGroups);
-        setIsLoading(false);
-      } catch (error) {
-        console.error('Error loading mood places:', error);
-        setIsLoading(false);
+  // The suggestion being confirmed: { place, name }, null when closed
+  const [confirming, setConfirming] = useState(null);
+  // The suggestion being merged into a saved place: { place }, null when closed
+  const [merging, setMerging] = useState(null);
+
+  // Place geotagged moods, suggest places for the rest and update the visits
+  const loadSuggestedPlaces = useCallback(async () => {
+    try {
+      const { assigned, suggested } = await clusterPlaces();
+      setSuggestedPlaces(await getSuggestedPlaces());
+      setDuplicatePlaces(await getDuplicatePlaceSuggestions());
+      if (assigned > 0 || suggested > 0) {
+        refreshPlaces();
       }
-    };
-    
-    loadMoodPlaces();
-  }, []);
+    } catch (error) {
+      console.error('Error clustering places:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [refreshPlaces]);
 
-  // Combine regular places and mood places
   useEffect(() => {
-    // Filter out mood places that already exist in the places database
-    // using approximate coordinate matching
-    const existingCoords = new Set();
-    places.forEach(place => {
-      if (place.latitude && place.longitude) {
-        existingCoords.add(`${place.latitude.toFixed(3)},${place.longitude.toFixed(3)}`);
-      }
-    });
-    
-    const uniqueMoodPlaces = moodPlaces.filter(moodPlace => {
-      const coordKey = `${moodPlace.latitude.toFixed(3)},${moodPlace.longitude.toFixed(3)}`;
-      return !existingCoords.has(coordKey);
-    });
-    
-    setCombinedPlaces([...places, ...uniqueMoodPlaces]);
-  }, [places, moodPlaces]);
+    loadSuggestedPlaces();
+  }, [loadSuggestedPlaces]);
+
+  useEffect(() => {
+    // Imported, restored or synced moods may need places
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', loadSuggestedPlaces);
+    return () => subscription.remove();
+  }, [loadSuggestedPlaces]);
 
   // Update filtered places based on search query
   useEffect(() => {
     if (searchQuery.trim() === '') {
-      setFilteredPlaces(combinedPlaces);
+      setFilteredPlaces(places);
     } else {
       const query = searchQuery.toLowerCase();
-      const filtered = combinedPlaces.filter(place =>
+      const filtered = places.filter(place =>
         place.name.toLowerCase().includes(query) ||
         (place.address && place.address.toLowerCase().includes(query)) ||
         (place.notes && place.notes.toLowerCase().includes(query))
       );
       setFilteredPlaces(filtered);
     }
-  }, [searchQuery, combinedPlaces]);
+  }, [searchQuery, places]);
 
   useEffect(() => {
     if (selectedPlace) {
@@ -182,61 +93,20 @@ const PlacesScreen = () => {
       
       // Set map region based on selected place
       if (selectedPlace.latitude && selectedPlace.longitude) {
-        if (selectedPlace.locations && selectedPlace.locations.length > 0) {
-          // Calculate center of all locations
-          let sumLat = 0, sumLng = 0;
-          selectedPlace.locations.forEach(loc => {
-            sumLat += loc.latitude;
-            sumLng += loc.longitude;
-          });
-          
-          const centerLat = sumLat / selectedPlace.locations.length;
-          const centerLng = sumLng / selectedPlace.locations.length;
-          
-          // Calculate appropriate delta to show all markers
-          let maxLat = -90, minLat = 90, maxLng = -180, minLng = 180;
-          selectedPlace.locations.forEach(loc => {
-            maxLat = Math.max(maxLat, loc.latitude);
-            minLat = Math.min(minLat, loc.latitude);
-            maxLng = Math.max(maxLng, loc.longitude);
-            minLng = Math.min(minLng, loc.longitude);
-          });
-          
-          const latDelta = Math.max(0.01, (maxLat - minLat) * 1.5);
-          const lngDelta = Math.max(0.01, (maxLng - minLng) * 1.5);
-          
-          setMapRegion({
-            latitude: centerLat,
-            longitude: centerLng,
-            latitudeDelta: latDelta,
-            longitudeDelta: lngDelta
-          });
-        } else {
-          setMapRegion({
-            latitude: selectedPlace.latitude,
-            longitude: selectedPlace.longitude,
-            latitudeDelta: 0.01,
-            longitudeDelta: 0.01
-          });
-        }
+        setMapRegion({
+          latitude: selectedPlace.latitude,
+          longitude: selectedPlace.longitude,
+          latitudeDelta: 0.01,
+          longitudeDelta: 0.01
+        });
       }
     }
   }, [selectedPlace]);
 
   const loadPlaceMoods = async () => {
     try {
-      // If it's a mood place, show associated moods directly
-      if (selectedPlace.fromMood) {
-        // We already have mood IDs, but we need to fetch the full mood data
-        const allMoods = await getMoodEntries(1000, 0);
-        const placeMoodIds = new Set(selectedPlace.mood_ids);
-        const relevantMoods = allMoods.filter(mood => placeMoodIds.has(mood.id));
-        setPlaceMoods(relevantMoods);
-      } else {
-        // Regular place, fetch moods from database
-        const moods = await getPlaceMoods(selectedPlace.id);
-        setPlaceMoods(moods);
-      }
+      const moods = await getPlaceMoods(selectedPlace.id);
+      setPlaceMoods(moods);
     } catch (error) {
       console.error('Error loading place moods:', error);
     }
@@ -257,28 +127,11 @@ const PlacesScreen = () => {
   };
 
   const handleEditPlace = (place) => {
-    // For mood-generated places, we shouldn't show the modal from PlaceDetailsScreen
-    // Only show it when clicked from the places list
-    if (place.fromMood && selectedPlace) {
-      console.log('Ignoring edit request for fromMood place from details screen');
-      return;
-    }
-    
     setEditingPlace(place);
     setShowAddEditModal(true);
   };
 
   const handleDeletePlace = (place) => {
-    // Only allow deletion of database places, not mood places
-    if (place.fromMood) {
-      Alert.alert(
-        'Auto-generated Place',
-        'This place was automatically generated from mood entries and cannot be deleted directly.',
-        [{ text: 'OK', style: 'default' }]
-      );
-      return;
-    }
-    
     Alert.alert(
       'Delete Place',
       `Are you sure you want to delete ${place.name}?`,
@@ -290,6 +143,7 @@ const PlacesScreen = () => {
           onPress: async () => {
             try {
               await deletePlace(place.id);
+              showUndoToast('place', place.id, { message: t('movedToTrash'), undoHint: t('tapToUndo') });
             } catch (error) {
               Alert.alert('Error', 'Failed to delete place');
             }
@@ -304,6 +158,97 @@ const PlacesScreen = () => {
     setEditingPlace(null);
   };
 
+  // Reload the lists after a suggestion was confirmed, merged or ignored
+  const reloadAfterSuggestion = async () => {
+    setSuggestedPlaces(await getSuggestedPlaces());
+    setDuplicatePlaces(await getDuplicatePlaceSuggestions());
+    refreshPlaces();
+  };
+
+  const handleConfirmSuggestion = async () => {
+    if (!confirming.name.trim()) {
+      Alert.alert(t('error'), t('placeNameRequired'));
+      return;
+    }
+    try {
+      await confirmSuggestedPlace(confirming.place.id, confirming.name.trim());
+      setConfirming(null);
+      await reloadAfterSuggestion();
+    } catch (error) {
+      Alert.alert(t('error'), t('errorUpdatingSuggestedPlace'));
+    }
+  };
+
+  const handleMergeSuggestion = async (target) => {
+    try {
+      await mergeSuggestedPlace(merging.place.id, target.id);
+      setMerging(null);
+      await reloadAfterSuggestion();
+    } catch (error) {
+      Alert.alert(t('error'), t('errorUpdatingSuggestedPlace'));
+    }
+  };
+
+  const handleIgnoreSuggestion = (place) => {
+    Alert.alert(t('ignoreSuggestedPlace'), t('ignoreSuggestedPlaceConfirmation'), [
+      { text: t('cancel'), style: 'cancel' },
+      {
+        text: t('ignore'),
+        onPress: async () => {
+          try {
+            await ignoreSuggestedPlace(place.id);
+            await reloadAfterSuggestion();
+          } catch (error) {
+            Alert.alert(t('error'), t('errorUpdatingSuggestedPlace'));
+          }
+        }
+      }
+    ]);
+  };
+
+  // Merging cannot be undone, so it is confirmed first
+  const handleMergeDuplicate = ({ keep, duplicate }) => {
+    Alert.alert(
+      t('mergeDuplicatePlace'),
+      t('mergeDuplicatePlaceConfirmation').replace('{name}', duplicate.name).replace('{other}', keep.name),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('mergeIntoPlace'),
+          onPress: async () => {
+            try {
+              await mergeDuplicatePlace(duplicate.id, keep.id);
+              await reloadAfterSuggestion();
+            } catch (error) {
+              Alert.alert(t('error'), t('errorMergingPlaces'));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleKeepApart = async ({ keep, duplicate }) => {
+    try {
+      await keepPlacesApart(duplicate.id, keep.id);
+      setDuplicatePlaces(await getDuplicatePlaceSuggestions());
+    } catch (error) {
+      Alert.alert(t('error'), t('errorMergingPlaces'));
+    }
+  };
+
+  // Saved places to merge a suggestion into, nearest first; places without coordinates go last
+  const getMergeTargets = (suggestion) => places
+    .map(place => ({
+      ...place,
+      distance: hasCoordinates(place)
+        ? getDistanceInMeters(suggestion.latitude, suggestion.longitude, place.latitude, place.longitude)
+        : null
+    }))
+    .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+  const countLabel = (key, count) => t(`${key}_${count === 1 ? 'one' : 'other'}`).replace('{count}', count);
+
   // Get mood icon/color based on rating
   const getMoodColor = (rating) => {
     if (!rating) return '#888';
@@ -336,22 +281,91 @@ const PlacesScreen = () => {
           style={styles.actionButton}
           onPress={() => handleEditPlace(item)}
         >
-          <Text style={styles.actionButtonText}>
-            {item.fromMood ? 'View' : 'Edit'}
-          </Text>
+          <Text style={styles.actionButtonText}>Edit</Text>
         </TouchableOpacity>
-        {!item.fromMood && (
-          <TouchableOpacity
-            style={[styles.actionButton, styles.deleteButton]}
-            onPress={() => handleDeletePlace(item)}
-          >
-            <Text style={[styles.actionButtonText, styles.deleteButtonText]}>Delete</Text>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.deleteButton]}
+          onPress={() => handleDeletePlace(item)}
+        >
+          <Text style={[styles.actionButtonText, styles.deleteButtonText]}>Delete</Text>
+        </TouchableOpacity>
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderSuggestedPlace = (place) => (
+    <View key={place.id} style={styles.suggestionItem}>
+      <TouchableOpacity onPress={() => handlePlacePress(place)}>
+        <Text style={styles.placeName}>{place.name}</Text>
+        <Text style={styles.suggestionMeta}>
+          {countLabel('suggestedPlaceMoods', place.mood_count)}
+          {place.visit_count > 0 ? ` · ${countLabel('placeVisitCount', place.visit_count)}` : ''}
+        </Text>
+      </TouchableOpacity>
+      <View style={styles.suggestionActions}>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.confirmButton]}
+          onPress={() => setConfirming({ place, name: place.name })}
+        >
+          <Text style={[styles.actionButtonText, styles.confirmButtonText]}>{t('confirmPlace')}</Text>
+        </TouchableOpacity>
+        {places.length > 0 && (
+          <TouchableOpacity style={styles.actionButton} onPress={() => setMerging({ place })}>
+            <Text style={styles.actionButtonText}>{t('mergeIntoPlace')}</Text>
           </TouchableOpacity>
         )}
+        <TouchableOpacity style={styles.actionButton} onPress={() => handleIgnoreSuggestion(place)}>
+          <Text style={styles.actionButtonText}>{t('ignore')}</Text>
+        </TouchableOpacity>
       </View>
-    </TouchableOpacity>
+    </View>
+  );
+
+  const renderDuplicatePlace = (suggestion) => (
+    <View key={`${suggestion.duplicate.id}:${suggestion.keep.id}`} style={styles.suggestionItem}>
+      <Text style={styles.placeName}>{suggestion.duplicate.name}</Text>
+      <Text style={styles.suggestionMeta}>
+        {t('duplicatePlaceOf').replace('{name}', suggestion.keep.name)}
+      </Text>
+      <View style={styles.suggestionActions}>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.confirmButton]}
+          onPress={() => handleMergeDuplicate(suggestion)}
+        >
+          <Text style={[styles.actionButtonText, styles.confirmButtonText]}>{t('mergeIntoPlace')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={() => handleKeepApart(suggestion)}>
+          <Text style={styles.actionButtonText}>{t('keepBothPlaces')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
   );
 
+  // Suggestions are listed above the saved places while not searching
+  const renderSuggestedPlaces = () => {
+    if ((suggestedPlaces.length === 0 && duplicatePlaces.length === 0) || searchQuery.trim() !== '') {
+      return null;
+    }
+    return (
+      <>
+        {duplicatePlaces.length > 0 && (
+          <View style={styles.suggestionsContainer}>
+            <Text style={styles.sectionTitle}>{t('duplicatePlaces')}</Text>
+            <Text style={styles.sectionHint}>{t('duplicatePlacesHint')}</Text>
+            {duplicatePlaces.map(renderDuplicatePlace)}
+          </View>
+        )}
+        {suggestedPlaces.length > 0 && (
+          <View style={styles.suggestionsContainer}>
+            <Text style={styles.sectionTitle}>{t('suggestedPlaces')}</Text>
+            <Text style={styles.sectionHint}>{t('suggestedPlacesHint')}</Text>
+            {suggestedPlaces.map(renderSuggestedPlace)}
+          </View>
+        )}
+      </>
+    );
+  };
+
   // Render empty state when no places exist
   const renderEmptyState = () => (
     <View style={styles.emptyContainer}>
@@ -400,11 +414,12 @@ const PlacesScreen = () => {
             />
           </View>
           
-          {filteredPlaces.length > 0 ? (
+          {filteredPlaces.length > 0 || (suggestedPlaces.length > 0 && searchQuery.trim() === '') ? (
             <FlatList
               data={filteredPlaces}
               renderItem={renderPlaceItem}
               keyExtractor={(item) => item.id}
+              ListHeaderComponent={renderSuggestedPlaces()}
               contentContainerStyle={styles.listContainer}
             />
           ) : (
@@ -430,9 +445,74 @@ const PlacesScreen = () => {
         <AddEditPlaceScreen
           place={editingPlace}
           onClose={handleCloseModal}
-          readOnly={editingPlace?.fromMood} 
         />
       </Modal>
+
+      <Modal
+        visible={!!confirming}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setConfirming(null)}
+      >
+        {confirming && (
+          <View style={styles.dialogOverlay}>
+            <View style={styles.dialog}>
+              <Text style={styles.dialogTitle}>{t('confirmPlace')}</Text>
+              <TextInput
+                style={styles.dialogInput}
+                value={confirming.name}
+                onChangeText={name => setConfirming({ ...confirming, name })}
+                placeholder={t('placeName')}
+                autoFocus
+              />
+              <View style={styles.dialogActions}>
+                <TouchableOpacity style={styles.dialogButton} onPress={() => setConfirming(null)}>
+                  <Text style={styles.dialogButtonText}>{t('cancel')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.dialogButton} onPress={handleConfirmSuggestion}>
+                  <Text style={[styles.dialogButtonText, styles.dialogPrimaryText]}>{t('save')}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        )}
+      </Modal>
+
+      <Modal
+        visible={!!merging}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setMerging(null)}
+      >
+        {merging && (
+          <View style={styles.dialogOverlay}>
+            <View style={[styles.dialog, styles.mergeDialog]}>
+              <Text style={styles.dialogTitle}>
+                {t('mergeSuggestedPlace').replace('{name}', merging.place.name)}
+              </Text>
+              <FlatList
+                data={getMergeTargets(merging.place)}
+                keyExtractor={(item) => item.id}
+                renderItem={({ item }) => (
+                  <TouchableOpacity style={styles.mergeTarget} onPress={() => handleMergeSuggestion(item)}>
+                    <Text style={styles.mergeTargetName}>{item.name}</Text>
+                    {item.distance !== null && (
+                      <Text style={styles.mergeTargetDistance}>
+                        {item.distance < 1000 ? `${Math.round(item.distance)} m` : `${(item.distance / 1000).toFixed(1)} km`}
+                      </Text>
+                    )}
+                  </TouchableOpacity>
+                )}
+              />
+              <View style={styles.dialogActions}>
+                <TouchableOpacity style={styles.dialogButton} onPress={() => setMerging(null)}>
+                  <Text style={styles.dialogButtonText}>{t('cancel')}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        )}
+      </Modal>
     </View>
   );
 };
@@ -565,6 +645,100 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     fontSize: 16,
   },
+  suggestionsContainer: {
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  sectionHint: {
+    fontSize: 13,
+    color: '#888',
+    marginBottom: 12,
+  },
+  suggestionItem: {
+    backgroundColor: '#E8EAF6',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 12,
+  },
+  suggestionMeta: {
+    fontSize: 12,
+    color: '#3F51B5',
+  },
+  suggestionActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  confirmButton: {
+    backgroundColor: '#3F51B5',
+  },
+  confirmButtonText: {
+    color: 'white',
+  },
+  dialogOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 20,
+  },
+  mergeDialog: {
+    maxHeight: '70%',
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  dialogInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  dialogActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  dialogButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginLeft: 8,
+  },
+  dialogButtonText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  dialogPrimaryText: {
+    color: '#3F51B5',
+    fontWeight: 'bold',
+  },
+  mergeTarget: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  mergeTargetName: {
+    flex: 1,
+    fontSize: 16,
+  },
+  mergeTargetDistance: {
+    fontSize: 14,
+    color: '#888',
+    marginLeft: 8,
+  },
 });
 
 export default PlacesScreen; 
\ No newline at end of file
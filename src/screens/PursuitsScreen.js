@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  Modal,
+  ActivityIndicator,
+  DeviceEventEmitter
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useLanguage } from '../context/LanguageContext';
+import { getPursuits } from '../database/PursuitsDB';
+import PursuitForm from '../components/PursuitForm';
+import PursuitDetail from '../components/PursuitDetail';
+
+const KIND_COLORS = {
+  hobby: '#4DD0E1',
+  skill: '#F06292'
+};
+
+const formatHours = (minutes) => (minutes / 60).toFixed(minutes < 600 ? 1 : 0);
+
+// The hobbies or the skills, depending on kind
+const PursuitsScreen = ({ kind }) => {
+  const { t } = useLanguage();
+  const insets = useSafeAreaInsets();
+  const color = KIND_COLORS[kind];
+
+  const [pursuits, setPursuits] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+
+  // The form shown in the modal: { pursuit } with null for a new one, null when closed
+  const [form, setForm] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setPursuits(await getPursuits(kind));
+    } catch (error) {
+      console.error('Error loading pursuits:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [kind]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    // Pursuits can change elsewhere, e.g. after an import, restore or sync
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', load);
+    return () => subscription.remove();
+  }, [load]);
+
+  // A trashed pursuit drops out of the list, which closes its details too
+  const selectedPursuit = pursuits.find(pursuit => pursuit.id === selectedId);
+
+  const handleCloseForm = async (savedId) => {
+    setForm(null);
+    if (savedId) {
+      await load();
+      setSelectedId(savedId);
+    }
+  };
+
+  const closeModal = () => {
+    setForm(null);
+    setSelectedId(null);
+  };
+
+  const renderPursuit = ({ item }) => (
+    <TouchableOpacity style={styles.card} onPress={() => setSelectedId(item.id)}>
+      <View style={styles.cardInfo}>
+        <Text style={styles.name}>{item.name}</Text>
+        <Text style={styles.meta}>
+          {item.last_practiced_at
+            ? `${t('lastPracticed')} ${new Date(item.last_practiced_at).toLocaleDateString()}`
+            : t('notPracticedYet')}
+        </Text>
+      </View>
+      <View style={styles.cardStats}>
+        <Text style={styles.hours}>{formatHours(item.total_minutes)} {t('hoursShort')}</Text>
+        {item.streaks.current > 0 && <Text style={styles.streak}>🔥 {item.streaks.current}</Text>}
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {isLoading ? (
+        <ActivityIndicator style={styles.loading} size="large" color={color} />
+      ) : (
+        <FlatList
+          data={pursuits}
+          keyExtractor={item => item.id}
+          renderItem={renderPursuit}
+          contentContainerStyle={[styles.content, { paddingBottom: insets.bottom + 96 }]}
+          ListEmptyComponent={<Text style={styles.emptyText}>{t(`noPursuitsYet_${kind}`)}</Text>}
+        />
+      )}
+
+      <TouchableOpacity
+        style={[styles.addButton, { bottom: insets.bottom + 24, backgroundColor: color }]}
+        onPress={() => setForm({ pursuit: null })}
+      >
+        <Text style={styles.addButtonText}>+</Text>
+      </TouchableOpacity>
+
+      <Modal visible={!!form || !!selectedPursuit} animationType="slide" onRequestClose={closeModal}>
+        {form && (
+          <PursuitForm
+            kind={kind}
+            pursuit={form.pursuit}
+            color={color}
+            existingNames={pursuits.map(pursuit => pursuit.name)}
+            onClose={handleCloseForm}
+            topInset={insets.top}
+            bottomInset={insets.bottom}
+          />
+        )}
+        {!form && selectedPursuit && (
+          <PursuitDetail
+            pursuit={selectedPursuit}
+            color={color}
+            onClose={closeModal}
+            onEdit={() => setForm({ pursuit: selectedPursuit })}
+            onChanged={load}
+            topInset={insets.top}
+            bottomInset={insets.bottom}
+          />
+        )}
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loading: {
+    marginTop: 32,
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 17,
+    fontWeight: 'bold',
+  },
+  meta: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 4,
+  },
+  cardStats: {
+    alignItems: 'flex-end',
+  },
+  hours: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  streak: {
+    fontSize: 14,
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 32,
+  },
+  addButton: {
+    position: 'absolute',
+    right: 24,
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 3,
+  },
+  addButtonText: {
+    fontSize: 32,
+    color: 'white',
+    lineHeight: 36,
+  },
+});
+
+export default PursuitsScreen;
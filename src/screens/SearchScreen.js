@@ -0,0 +1,349 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  SectionList,
+  Modal,
+  Alert,
+  ActivityIndicator,
+  DeviceEventEmitter
+} from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useLanguage } from '../context/LanguageContext';
+import { useVisualStyle } from '../context/VisualStyleContext';
+import { searchEntities, HIGHLIGHT_START, HIGHLIGHT_END } from '../database/SearchIndex';
+import { resolveEntities } from '../database/UnifiedDB';
+import { EMOTIONS, MEAL_TYPES } from '../data/models';
+import MoodEntryDetail from '../components/MoodEntryDetail';
+import FoodEntryDetail from '../components/FoodEntryDetail';
+import PersonDetailsScreen from './PersonDetailsScreen';
+import PlaceDetailsScreen from './PlaceDetailsScreen';
+import AddEditPlaceScreen from './AddEditPlaceScreen';
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY = 250;
+
+// Group ranked results by entity type. Groups are ordered by their best
+// result and keep the ranking inside each group.
+const groupByType = (results) => {
+  const sections = [];
+  for (const result of results) {
+    let section = sections.find(s => s.entityType === result.entityType);
+    if (!section) {
+      section = { entityType: result.entityType, data: [] };
+      sections.push(section);
+    }
+    section.data.push(result);
+  }
+  return sections;
+};
+
+// Render text with matches wrapped in HIGHLIGHT_START and HIGHLIGHT_END in bold
+const HighlightedText = ({ text, style, numberOfLines }) => {
+  const parts = (text || '').split(HIGHLIGHT_START);
+  return (
+    <Text style={style} numberOfLines={numberOfLines}>
+      {parts[0]}
+      {parts.slice(1).map((part, index) => {
+        const [match, rest] = part.split(HIGHLIGHT_END);
+        return (
+          <Text key={index}>
+            <Text style={styles.highlight}>{match}</Text>
+            {rest}
+          </Text>
+        );
+      })}
+    </Text>
+  );
+};
+
+const SearchScreen = ({ onClose }) => {
+  const { t } = useLanguage();
+  const { getMoodIcon } = useVisualStyle();
+  const insets = useSafeAreaInsets();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [editingPlace, setEditingPlace] = useState(null);
+  // Ignores results of searches that were overtaken by newer input
+  const requestRef = useRef(0);
+
+  const runSearch = async (text) => {
+    const request = ++requestRef.current;
+    setIsSearching(true);
+    try {
+      const found = await searchEntities(text);
+      if (request === requestRef.current) {
+        setResults(found);
+      }
+    } catch (error) {
+      if (request === requestRef.current) {
+        Alert.alert(t('error'), t('searchError'));
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setIsSearching(false);
+      }
+    }
+  };
+
+  useEffect(() => {
+    const timeout = setTimeout(() => runSearch(query), SEARCH_DELAY);
+
+    // Results can change anywhere in the app, e.g. after an import, restore or sync
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', () => runSearch(query));
+    return () => {
+      clearTimeout(timeout);
+      subscription.remove();
+    };
+  }, [query]);
+
+  const getTranslatedEmotion = (emotionValue) => {
+    const emotion = EMOTIONS.find(e => e.value === emotionValue);
+    return emotion ? t(emotion.value) : emotionValue;
+  };
+
+  const getTranslatedMealType = (mealTypeValue) => {
+    const mealType = MEAL_TYPES.find(m => m.value === mealTypeValue);
+    return mealType ? t(mealType.value) : mealTypeValue;
+  };
+
+  const getMealTypeEmoji = (mealType) => {
+    const meal = MEAL_TYPES.find(m => m.value === mealType);
+    return meal ? meal.emoji : '🍽️';
+  };
+
+  const openResult = async (result) => {
+    try {
+      const entities = await resolveEntities([{ type: result.entityType, id: result.id }]);
+      const entity = entities.get(`${result.entityType}:${result.id}`);
+      if (!entity) {
+        Alert.alert(t('error'), t('searchResultMissing'));
+      } else if (result.entityType === 'memory') {
+        Alert.alert(entity.title, entity.description || '');
+      } else {
+        setSelected({ entityType: result.entityType, entity });
+      }
+    } catch (error) {
+      console.error('Error opening search result:', error);
+      Alert.alert(t('error'), t('searchError'));
+    }
+  };
+
+  // Back to the results, which may have changed while the entry was open
+  const handleCloseDetails = () => {
+    setSelected(null);
+    runSearch(query);
+  };
+
+  const handleCloseEditPlace = () => {
+    setEditingPlace(null);
+    handleCloseDetails();
+  };
+
+  const renderResultTitle = (result) => {
+    // Mood titles are emotion values; show them translated
+    if (result.entityType === 'mood') {
+      const emotionValue = result.title.split(HIGHLIGHT_START).join('').split(HIGHLIGHT_END).join('');
+      const emotion = EMOTIONS.find(e => e.value === emotionValue);
+      if (emotion || emotionValue === 'survey') {
+        return (
+          <Text style={styles.resultTitle}>
+            {emotion ? `${emotion.emoji} ${t(emotion.value)}` : `📋 ${t('entityType_survey')}`}
+          </Text>
+        );
+      }
+    }
+    return <HighlightedText style={styles.resultTitle} text={result.title} numberOfLines={1} />;
+  };
+
+  const renderResult = ({ item }) => (
+    <TouchableOpacity style={styles.result} onPress={() => openResult(item)}>
+      {renderResultTitle(item)}
+      {!!item.snippet && (
+        <HighlightedText style={styles.resultSnippet} text={item.snippet} numberOfLines={2} />
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderDetails = () => {
+    const { entityType, entity } = selected;
+    switch (entityType) {
+      case 'mood':
+        return (
+          <MoodEntryDetail
+            entry={entity}
+            onClose={handleCloseDetails}
+            bottomInset={insets.bottom}
+            topInset={insets.top}
+            getTranslatedEmotion={getTranslatedEmotion}
+            getMoodIcon={getMoodIcon}
+          />
+        );
+      case 'food':
+        return (
+          <FoodEntryDetail
+            entry={entity}
+            onClose={handleCloseDetails}
+            onDelete={handleCloseDetails}
+            bottomInset={insets.bottom}
+            topInset={insets.top}
+            getTranslatedMealType={getTranslatedMealType}
+            getMealTypeEmoji={getMealTypeEmoji}
+          />
+        );
+      case 'person':
+        return (
+          <View style={[styles.details, { paddingTop: insets.top }]}>
+            <PersonDetailsScreen person={entity} onBack={handleCloseDetails} />
+          </View>
+        );
+      case 'place':
+        return (
+          <View style={[styles.details, { paddingTop: insets.top }]}>
+            <PlaceDetailsScreen place={entity} onBack={handleCloseDetails} onEdit={setEditingPlace} />
+            <Modal
+              visible={!!editingPlace}
+              animationType="slide"
+              onRequestClose={handleCloseEditPlace}
+              statusBarTranslucent={true}
+            >
+              <AddEditPlaceScreen place={editingPlace} onClose={handleCloseEditPlace} />
+            </Modal>
+          </View>
+        );
+      default:
+        return null;
+    }
+  };
+
+  if (selected) {
+    return renderDetails();
+  }
+
+  return (
+    <SafeAreaView style={styles.container} edges={['left', 'right']}>
+      <View style={[styles.header, { paddingTop: insets.top }]}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder={t('searchPlaceholder')}
+          value={query}
+          onChangeText={setQuery}
+          autoFocus
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+          returnKeyType="search"
+        />
+        <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+          <Text style={styles.closeButtonText}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      {isSearching && results.length === 0 ? (
+        <ActivityIndicator style={styles.loading} size="large" color="#3F51B5" />
+      ) : (
+        <SectionList
+          sections={groupByType(results)}
+          keyExtractor={item => `${item.entityType}:${item.id}`}
+          renderItem={renderResult}
+          renderSectionHeader={({ section }) => (
+            <Text style={styles.sectionHeader}>{t(`entityType_${section.entityType}`)}</Text>
+          )}
+          stickySectionHeadersEnabled
+          keyboardShouldPersistTaps="handled"
+          ListEmptyComponent={query.trim() ? (
+            <Text style={styles.emptyText}>{t('searchNoResults')}</Text>
+          ) : null}
+          contentContainerStyle={{ paddingBottom: Math.max(20, insets.bottom) }}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    backgroundColor: '#FFD54F',
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  searchInput: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    marginRight: 12,
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: 'rgba(255, 255, 255, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  loading: {
+    marginTop: 32,
+  },
+  sectionHeader: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#3F51B5',
+    textTransform: 'uppercase',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: '#f5f5f5',
+  },
+  result: {
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  resultTitle: {
+    fontSize: 16,
+  },
+  resultSnippet: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  highlight: {
+    fontWeight: 'bold',
+    color: '#333',
+    backgroundColor: '#FFF59D',
+  },
+  details: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: 32,
+    fontSize: 16,
+  },
+});
+
+export default SearchScreen;
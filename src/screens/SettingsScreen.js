@@ -1,17 +1,69 @@
-import React, { useState } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Switch, ScrollView, Alert, DeviceEventEmitter } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Switch, ScrollView, Alert, Share, DeviceEventEmitter, Modal } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useLanguage } from '../context/LanguageContext';
 import { useVisualStyle } from '../context/VisualStyleContext';
 import { resetDatabase, generateMockData } from '../database/MoodsDB';
-import { resetAllDatabases } from '../services/DatabaseService';
+import {
+  resetAllDatabases,
+  enableEncryption,
+  changePassphrase,
+  exportData,
+  importData,
+  checkDataIntegrity,
+  repairDataIntegrity
+} from '../services/DatabaseService';
+import { isEncryptionEnabled, createRecoveryCode } from '../services/EncryptionService';
+import { getAutoLockMinutes, setAutoLockMinutes, panicWipe, AUTO_LOCK_OPTIONS } from '../services/AppLockService';
+import PassphraseSetupModal from '../components/PassphraseSetupModal';
+import CsvExportModal from '../components/CsvExportModal';
+import PassphrasePromptModal from '../components/PassphrasePromptModal';
+import {
+  createBackup,
+  restoreBackup,
+  pruneBackups,
+  getBackupSchedule,
+  setBackupSchedule,
+  BACKUP_INTERVAL_OPTIONS,
+  BACKUP_KEEP_OPTIONS
+} from '../services/BackupService';
+import { configureSync, disableSync, getSyncStatus, syncNow } from '../services/SyncService';
+import SyncSetupModal from '../components/SyncSetupModal';
+import {
+  getAvailableWeatherProviders,
+  getWeatherProviderName,
+  setWeatherProviderName,
+  backfillWeather
+} from '../services/WeatherService';
+import TrashScreen from './TrashScreen';
+import { shareFile, pickFile } from '../utils/files';
 
-const SettingsScreen = ({ onClose }) => {
+const SettingsScreen = ({ onClose, onLockApp, onDataWiped }) => {
   const { t, changeLanguage, currentLanguage } = useLanguage();
   const { visualStyle, changeVisualStyle } = useVisualStyle();
   const [isProcessing, setIsProcessing] = useState(false);
+  const [encryptionEnabled, setEncryptionEnabled] = useState(false);
+  const [autoLock, setAutoLock] = useState(null);
+  const [isPassphraseModalVisible, setIsPassphraseModalVisible] = useState(false);
+  const [isChangePassphraseVisible, setIsChangePassphraseVisible] = useState(false);
+  const [isCsvExportVisible, setIsCsvExportVisible] = useState(false);
+  const [backupSchedule, setBackupScheduleState] = useState(null);
+  const [restoreFileUri, setRestoreFileUri] = useState(null);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [isSyncSetupVisible, setIsSyncSetupVisible] = useState(false);
+  const [isTrashVisible, setIsTrashVisible] = useState(false);
+  const [weatherProvider, setWeatherProviderState] = useState(null);
   const insets = useSafeAreaInsets();
 
+  // Load the current lock settings
+  useEffect(() => {
+    isEncryptionEnabled().then(setEncryptionEnabled);
+    getAutoLockMinutes().then(setAutoLock);
+    getBackupSchedule().then(setBackupScheduleState);
+    getSyncStatus().then(setSyncStatus);
+    getWeatherProviderName().then(setWeatherProviderState);
+  }, []);
+
   // Handle language change
   const handleLanguageChange = (language) => {
     changeLanguage(language);
@@ -104,6 +156,375 @@ const SettingsScreen = ({ onClose }) => {
     );
   };
 
+  // Handle exporting all data as a JSON archive
+  const handleExportData = async () => {
+    setIsProcessing(true);
+    try {
+      const fileUri = await exportData();
+      if (!(await shareFile(fileUri, 'application/json'))) {
+        Alert.alert(t('success'), `${t('exportSavedTo')} ${fileUri}`, [{ text: t('ok') }]);
+      }
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert(t('error'), t('exportDataError'), [{ text: t('ok') }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle importing a JSON archive
+  const handleImportData = async () => {
+    let fileUri;
+    try {
+      fileUri = await pickFile('application/json');
+    } catch (error) {
+      console.error('Error picking import file:', error);
+    }
+    if (!fileUri) {
+      return;
+    }
+
+    Alert.alert(
+      t('importData'),
+      t('importDataConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('import'),
+          onPress: async () => {
+            setIsProcessing(true);
+            try {
+              const rowCount = await importData(fileUri);
+
+              // Emit an event to notify all screens to reload data
+              DeviceEventEmitter.emit('DATA_IMPORTED');
+
+              Alert.alert(
+                t('success'),
+                t('importDataSuccess').replace('{count}', rowCount),
+                [{ text: t('ok') }]
+              );
+            } catch (error) {
+              console.error('Error importing data:', error);
+              Alert.alert(t('error'), `${t('importDataError')} ${error.message}`, [{ text: t('ok') }]);
+            } finally {
+              setIsProcessing(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Handle checking relationships and links, offering to repair what is found
+  const handleCheckIntegrity = async () => {
+    setIsProcessing(true);
+    try {
+      const report = await checkDataIntegrity();
+      if (report.total === 0) {
+        Alert.alert(t('checkIntegrity'), t('integrityOk'), [{ text: t('ok') }]);
+        return;
+      }
+
+      const details = ['danglingRelationships', 'selfRelationships', 'duplicateRelationships', 'danglingEntryLinks']
+        .filter(problem => report[problem] > 0)
+        .map(problem => `${t(`integrity_${problem}`)}: ${report[problem]}`)
+        .join('\n');
+      Alert.alert(
+        t('checkIntegrity'),
+        `${t('integrityProblemsFound')}\n\n${details}`,
+        [
+          { text: t('cancel'), style: 'cancel' },
+          { text: t('repair'), onPress: handleRepairIntegrity }
+        ]
+      );
+    } catch (error) {
+      Alert.alert(t('error'), t('integrityError'), [{ text: t('ok') }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleRepairIntegrity = async () => {
+    setIsProcessing(true);
+    try {
+      const report = await repairDataIntegrity();
+      DeviceEventEmitter.emit('DATA_IMPORTED');
+      Alert.alert(t('success'), t('integrityRepaired').replace('{count}', report.total), [{ text: t('ok') }]);
+    } catch (error) {
+      Alert.alert(t('error'), t('integrityError'), [{ text: t('ok') }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle creating a backup now
+  const handleBackupNow = async () => {
+    setIsProcessing(true);
+    try {
+      const { fileUri, fileCount } = await createBackup();
+      await pruneBackups(backupSchedule.keepCount);
+      setBackupScheduleState(await getBackupSchedule());
+
+      Alert.alert(
+        t('success'),
+        t('backupCreated').replace('{count}', fileCount),
+        [
+          { text: t('share'), onPress: () => shareFile(fileUri, 'application/octet-stream') },
+          { text: t('ok') }
+        ]
+      );
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      Alert.alert(t('error'), t('backupError'), [{ text: t('ok') }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Restore the picked backup; returns false if a passphrase is needed or was wrong
+  const performRestore = async (fileUri, secret = null) => {
+    setIsProcessing(true);
+    try {
+      if (!(await restoreBackup(fileUri, secret))) {
+        return false;
+      }
+
+      setRestoreFileUri(null);
+      setEncryptionEnabled(await isEncryptionEnabled());
+      DeviceEventEmitter.emit('DATABASE_RESET');
+      DeviceEventEmitter.emit('DATA_IMPORTED');
+      Alert.alert(t('success'), t('restoreSuccess'), [{ text: t('ok') }]);
+      return true;
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle restoring a backup file
+  const handleRestoreBackup = async () => {
+    let fileUri;
+    try {
+      fileUri = await pickFile('*/*');
+    } catch (error) {
+      console.error('Error picking backup file:', error);
+    }
+    if (!fileUri) {
+      return;
+    }
+
+    Alert.alert(
+      t('restoreBackup'),
+      t('restoreBackupConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('restore'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              // Backups made with the current key open without asking
+              if (!(await performRestore(fileUri))) {
+                setRestoreFileUri(fileUri);
+              }
+            } catch (error) {
+              Alert.alert(t('error'), `${t('restoreError')} ${error.message}`, [{ text: t('ok') }]);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Handle backup schedule changes
+  const handleBackupScheduleChange = async (changes) => {
+    try {
+      await setBackupSchedule(changes);
+      setBackupScheduleState({ ...backupSchedule, ...changes });
+    } catch (error) {
+      console.error('Error saving backup schedule:', error);
+    }
+  };
+
+  // Handle syncing now
+  const handleSyncNow = async () => {
+    setIsProcessing(true);
+    try {
+      const { applied, pushed } = await syncNow();
+      setSyncStatus(await getSyncStatus());
+      if (applied > 0) {
+        DeviceEventEmitter.emit('DATA_IMPORTED');
+      }
+      Alert.alert(
+        t('success'),
+        t('syncFinished').replace('{received}', applied).replace('{sent}', pushed),
+        [{ text: t('ok') }]
+      );
+    } catch (error) {
+      Alert.alert(t('error'), `${t('syncError')} ${error.message}`, [{ text: t('ok') }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle picking the weather source
+  const handleWeatherProviderChange = async (name) => {
+    try {
+      await setWeatherProviderName(name);
+      setWeatherProviderState(name);
+    } catch (error) {
+      console.error('Error saving weather provider preference:', error);
+    }
+  };
+
+  // Handle filling in the weather of past entries
+  const handleBackfillWeather = async () => {
+    setIsProcessing(true);
+    try {
+      const { filled, failed, remaining } = await backfillWeather();
+      if (filled > 0) {
+        DeviceEventEmitter.emit('DATA_IMPORTED');
+      }
+      Alert.alert(
+        failed > 0 ? t('error') : t('success'),
+        filled + failed === 0
+          ? t('backfillWeatherNone')
+          : t('backfillWeatherFinished')
+            .replace('{filled}', filled)
+            .replace('{failed}', failed)
+            .replace('{remaining}', remaining),
+        [{ text: t('ok') }]
+      );
+    } catch (error) {
+      Alert.alert(t('error'), `${t('backfillWeatherError')} ${error.message}`, [{ text: t('ok') }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle connecting to a sync server; errors are shown in the modal
+  const handleSetUpSync = async (options) => {
+    await configureSync(options);
+    setIsSyncSetupVisible(false);
+    setSyncStatus(await getSyncStatus());
+    await handleSyncNow();
+  };
+
+  // Handle turning sync off on this device
+  const handleDisableSync = () => {
+    Alert.alert(
+      t('turnOffSync'),
+      t('turnOffSyncConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('turnOff'),
+          style: 'destructive',
+          onPress: async () => {
+            await disableSync();
+            setSyncStatus(null);
+          }
+        }
+      ]
+    );
+  };
+
+  // Handle setting up a passphrase for the first time
+  const handleSetPassphrase = async (passphrase) => {
+    setIsProcessing(true);
+    try {
+      await enableEncryption(passphrase);
+      setEncryptionEnabled(true);
+      setIsPassphraseModalVisible(false);
+      Alert.alert(t('success'), t('encryptionEnabledSuccess'), [{ text: t('ok') }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle changing the passphrase, which also rotates the data key
+  const handleChangePassphrase = async (newPassphrase, currentPassphrase) => {
+    setIsProcessing(true);
+    try {
+      const changed = await changePassphrase(currentPassphrase, newPassphrase);
+      if (!changed) {
+        return false;
+      }
+      setIsChangePassphraseVisible(false);
+      Alert.alert(t('success'), t('passphraseChangedSuccess'), [{ text: t('ok') }]);
+      return true;
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle creating a recovery code; it is only shown once
+  const handleCreateRecoveryCode = () => {
+    Alert.alert(
+      t('createRecoveryCode'),
+      t('createRecoveryCodeConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('create'),
+          onPress: async () => {
+            try {
+              const recoveryCode = await createRecoveryCode();
+              Alert.alert(
+                t('recoveryCode'),
+                `${recoveryCode}\n\n${t('recoveryCodeInstructions')}`,
+                [
+                  { text: t('share'), onPress: () => Share.share({ message: recoveryCode }) },
+                  { text: t('ok') }
+                ]
+              );
+            } catch (error) {
+              console.error('Error creating recovery code:', error);
+              Alert.alert(t('error'), t('recoveryCodeError'), [{ text: t('ok') }]);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Handle auto-lock change
+  const handleAutoLockChange = async (minutes) => {
+    try {
+      await setAutoLockMinutes(minutes);
+      setAutoLock(minutes);
+    } catch (error) {
+      console.error('Error saving auto-lock preference:', error);
+    }
+  };
+
+  // Handle panic wipe
+  const handlePanicWipe = () => {
+    Alert.alert(
+      t('panicWipe'),
+      t('panicWipeConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('eraseEverything'),
+          style: 'destructive',
+          onPress: async () => {
+            setIsProcessing(true);
+            try {
+              await panicWipe();
+              if (onDataWiped) onDataWiped();
+            } catch (error) {
+              console.error('Error wiping data:', error);
+              Alert.alert(t('error'), t('panicWipeError'), [{ text: t('ok') }]);
+            } finally {
+              setIsProcessing(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
   // Handle generating mock data
   const handleGenerateMockData = () => {
     Alert.alert(
@@ -189,6 +610,46 @@ const SettingsScreen = ({ onClose }) => {
     </TouchableOpacity>
   );
 
+  // Render auto-lock selection option
+  const renderAutoLockOption = (minutes) => (
+    <TouchableOpacity 
+      key={minutes}
+      style={[
+        styles.languageOption, 
+        autoLock === minutes && styles.selectedLanguageOption
+      ]}
+      onPress={() => handleAutoLockChange(minutes)}
+      disabled={isProcessing}
+    >
+      <Text style={[
+        styles.languageText,
+        autoLock === minutes && styles.selectedLanguageText
+      ]}>
+        {minutes === 0 ? t('never') : `${minutes} min`}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  // Render a backup schedule option
+  const renderScheduleOption = (value, isSelected, label, onPress) => (
+    <TouchableOpacity 
+      key={value}
+      style={[
+        styles.languageOption, 
+        isSelected && styles.selectedLanguageOption
+      ]}
+      onPress={onPress}
+      disabled={isProcessing}
+    >
+      <Text style={[
+        styles.languageText,
+        isSelected && styles.selectedLanguageText
+      ]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
   // Render visual style selection option
   const renderVisualStyleOption = (style, label) => (
     <TouchableOpacity 
@@ -257,13 +718,102 @@ const SettingsScreen = ({ onClose }) => {
           {renderSwitchOption(t('storeLocation'), true, () => {})}
           {renderSwitchOption(t('storeWeather'), true, () => {})}
           {renderSwitchOption(t('anonymousAnalytics'), false, () => {})}
+          {encryptionEnabled ? (
+            <>
+              <Text style={styles.optionLabel}>{t('autoLock')}</Text>
+              <View style={styles.languageOptions}>
+                {AUTO_LOCK_OPTIONS.map(renderAutoLockOption)}
+              </View>
+              {renderButtonOption(t('changePassphrase'), () => setIsChangePassphraseVisible(true))}
+              {renderButtonOption(t('createRecoveryCode'), handleCreateRecoveryCode)}
+              {renderButtonOption(t('lockNow'), () => onLockApp && onLockApp())}
+            </>
+          ) : (
+            renderButtonOption(t('setPassphrase'), () => setIsPassphraseModalVisible(true))
+          )}
+          {renderButtonOption(t('panicWipe'), handlePanicWipe, true)}
+        </View>
+
+        {/* Backup section */}
+        {renderSectionHeader(t('backups'))}
+        <View style={styles.optionGroup}>
+          {encryptionEnabled && backupSchedule ? (
+            <>
+              <Text style={styles.optionLabel}>{t('automaticBackups')}</Text>
+              <View style={styles.languageOptions}>
+                {BACKUP_INTERVAL_OPTIONS.map(days => renderScheduleOption(
+                  days,
+                  backupSchedule.intervalDays === days,
+                  days === 0 ? t('never') : t(`backupEvery_${days}`),
+                  () => handleBackupScheduleChange({ intervalDays: days })
+                ))}
+              </View>
+              <Text style={styles.optionLabel}>{t('backupsToKeep')}</Text>
+              <View style={styles.languageOptions}>
+                {BACKUP_KEEP_OPTIONS.map(count => renderScheduleOption(
+                  count,
+                  backupSchedule.keepCount === count,
+                  String(count),
+                  () => handleBackupScheduleChange({ keepCount: count })
+                ))}
+              </View>
+              {backupSchedule.lastBackupAt && (
+                <Text style={styles.optionLabel}>
+                  {t('lastBackup')}: {new Date(backupSchedule.lastBackupAt).toLocaleString()}
+                </Text>
+              )}
+              {renderButtonOption(t('backUpNow'), handleBackupNow)}
+            </>
+          ) : (
+            <Text style={styles.optionLabel}>{t('backupsRequirePassphrase')}</Text>
+          )}
+          {renderButtonOption(t('restoreBackup'), handleRestoreBackup)}
+        </View>
+
+        {/* Sync section */}
+        {renderSectionHeader(t('sync'))}
+        <View style={styles.optionGroup}>
+          {syncStatus ? (
+            <>
+              <Text style={styles.optionLabel}>
+                {t('syncAccount')}: {syncStatus.accountId} ({syncStatus.serverUrl})
+              </Text>
+              {syncStatus.lastSyncAt && (
+                <Text style={styles.optionLabel}>
+                  {t('lastSync')}: {new Date(syncStatus.lastSyncAt).toLocaleString()}
+                </Text>
+              )}
+              {renderButtonOption(t('syncNow'), handleSyncNow)}
+              {renderButtonOption(t('turnOffSync'), handleDisableSync, true)}
+            </>
+          ) : (
+            renderButtonOption(t('setUpSync'), () => setIsSyncSetupVisible(true))
+          )}
+        </View>
+
+        {/* Weather section */}
+        {renderSectionHeader(t('weather'))}
+        <View style={styles.optionGroup}>
+          <Text style={styles.optionLabel}>{t('weatherSource')}</Text>
+          <View style={styles.languageOptions}>
+            {getAvailableWeatherProviders().map(name => renderScheduleOption(
+              name,
+              weatherProvider === name,
+              t(`weatherProvider_${name}`),
+              () => handleWeatherProviderChange(name)
+            ))}
+          </View>
+          {renderButtonOption(t('backfillWeather'), handleBackfillWeather)}
         </View>
 
         {/* Data management section */}
         {renderSectionHeader(t('dataManagement'))}
         <View style={styles.optionGroup}>
-          {renderButtonOption(t('exportData'), () => {})}
-          {renderButtonOption(t('importData'), () => {})}
+          {renderButtonOption(t('exportData'), handleExportData)}
+          {renderButtonOption(t('exportCsv'), () => setIsCsvExportVisible(true))}
+          {renderButtonOption(t('importData'), handleImportData)}
+          {renderButtonOption(t('trash'), () => setIsTrashVisible(true))}
+          {renderButtonOption(t('checkIntegrity'), handleCheckIntegrity)}
           {renderButtonOption(t('generateMockData'), handleGenerateMockData)}
           {renderButtonOption(t('resetDatabase'), handleResetDatabase, true)}
           {renderButtonOption(t('resetAllDatabases') || 'Reset All Databases', handleResetAllDatabases, true)}
@@ -281,6 +831,43 @@ const SettingsScreen = ({ onClose }) => {
           <Text style={styles.versionText}>Memoria v1.0.0</Text>
         </View>
       </ScrollView>
+
+      <PassphraseSetupModal
+        visible={isPassphraseModalVisible}
+        title={t('setPassphrase')}
+        onSubmit={handleSetPassphrase}
+        onCancel={() => setIsPassphraseModalVisible(false)}
+      />
+      <PassphraseSetupModal
+        visible={isChangePassphraseVisible}
+        title={t('changePassphrase')}
+        requireCurrent
+        onSubmit={handleChangePassphrase}
+        onCancel={() => setIsChangePassphraseVisible(false)}
+      />
+      <CsvExportModal
+        visible={isCsvExportVisible}
+        onClose={() => setIsCsvExportVisible(false)}
+      />
+      <PassphrasePromptModal
+        visible={restoreFileUri !== null}
+        title={t('restoreBackup')}
+        message={t('backupPassphrasePrompt')}
+        onSubmit={secret => performRestore(restoreFileUri, secret)}
+        onCancel={() => setRestoreFileUri(null)}
+      />
+      <SyncSetupModal
+        visible={isSyncSetupVisible}
+        onSubmit={handleSetUpSync}
+        onCancel={() => setIsSyncSetupVisible(false)}
+      />
+      <Modal
+        visible={isTrashVisible}
+        animationType="slide"
+        onRequestClose={() => setIsTrashVisible(false)}
+      >
+        <TrashScreen onClose={() => setIsTrashVisible(false)} />
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -347,6 +934,11 @@ const styles = StyleSheet.create({
   optionText: {
     fontSize: 16,
   },
+  optionLabel: {
+    fontSize: 16,
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
   buttonOption: {
     padding: 16,
     borderBottomWidth: 1,
@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SectionList,
+  ActivityIndicator,
+  DeviceEventEmitter
+} from 'react-native';
+import { useLanguage } from '../context/LanguageContext';
+import { getTimelinePage, TIMELINE_TYPES } from '../database/TimelineDB';
+import { SURVEY_TAG } from '../database/MoodsDB';
+import { EMOTIONS } from '../data/models';
+
+const PAGE_SIZE = 30;
+
+const TYPE_COLORS = {
+  mood: '#FFD54F',
+  food: '#81C784',
+  memory: '#FF8A65',
+  survey: '#9575CD'
+};
+
+// Group timeline items into one section per day, keeping their order
+const groupByDay = (items) => {
+  const sections = [];
+  for (const item of items) {
+    const day = new Date(item.time).toLocaleDateString(undefined, {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+    if (sections.length === 0 || sections[sections.length - 1].title !== day) {
+      sections.push({ title: day, data: [] });
+    }
+    sections[sections.length - 1].data.push(item);
+  }
+  return sections;
+};
+
+const TimelineScreen = () => {
+  const { t } = useLanguage();
+  const [types, setTypes] = useState(TIMELINE_TYPES);
+  const [items, setItems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  // Ignores pages requested before the filters last changed
+  const requestRef = useRef(0);
+
+  const loadFirstPage = async (selectedTypes) => {
+    const request = ++requestRef.current;
+    setIsLoading(true);
+    try {
+      const page = await getTimelinePage({ types: selectedTypes, limit: PAGE_SIZE });
+      if (request === requestRef.current) {
+        setItems(page.items);
+        setNextCursor(page.nextCursor);
+      }
+    } catch (error) {
+      console.error('Error loading timeline:', error);
+    } finally {
+      if (request === requestRef.current) {
+        setIsLoading(false);
+      }
+    }
+  };
+
+  const loadMore = async () => {
+    if (!nextCursor || isLoading || isLoadingMore) {
+      return;
+    }
+
+    const request = requestRef.current;
+    setIsLoadingMore(true);
+    try {
+      const page = await getTimelinePage({ types, cursor: nextCursor, limit: PAGE_SIZE });
+      if (request === requestRef.current) {
+        setItems(current => [...current, ...page.items]);
+        setNextCursor(page.nextCursor);
+      }
+    } catch (error) {
+      console.error('Error loading more timeline items:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  useEffect(() => {
+    loadFirstPage(types);
+
+    // Entries can change anywhere in the app, e.g. after an import, restore or sync
+    const subscription = DeviceEventEmitter.addListener('DATA_IMPORTED', () => loadFirstPage(types));
+    return () => subscription.remove();
+  }, [types]);
+
+  const toggleType = (type) => {
+    if (types.includes(type)) {
+      // Keep at least one type selected
+      if (types.length > 1) {
+        setTypes(types.filter(selected => selected !== type));
+      }
+    } else {
+      setTypes(TIMELINE_TYPES.filter(selected => selected === type || types.includes(selected)));
+    }
+  };
+
+  const renderContent = (item) => {
+    const { data } = item;
+    switch (item.type) {
+      case 'mood': {
+        const emotion = EMOTIONS.find(e => e.value === data.emotion);
+        return (
+          <>
+            <Text style={styles.itemTitle}>
+              {emotion ? `${emotion.emoji} ${t(emotion.value)}` : data.emotion} · {data.rating}/5
+            </Text>
+            {!!data.notes && <Text style={styles.itemText} numberOfLines={2}>{data.notes}</Text>}
+          </>
+        );
+      }
+      case 'survey':
+        return (
+          <>
+            <Text style={styles.itemTitle}>📋 {data.tags.find(tag => tag !== SURVEY_TAG) || t('entityType_survey')}</Text>
+            {!!data.notes && <Text style={styles.itemText} numberOfLines={2}>{data.notes}</Text>}
+          </>
+        );
+      case 'food':
+        return (
+          <>
+            <Text style={styles.itemTitle}>🍽️ {data.name}</Text>
+            <Text style={styles.itemText}>{data.calories} kcal</Text>
+          </>
+        );
+      case 'memory':
+        return (
+          <>
+            <Text style={styles.itemTitle}>📖 {data.title}</Text>
+            {!!data.description && <Text style={styles.itemText} numberOfLines={2}>{data.description}</Text>}
+            {data.photos.length > 0 && (
+              <Text style={styles.itemMeta}>📷 {data.photos.length}</Text>
+            )}
+          </>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const renderItem = ({ item }) => (
+    <View style={[styles.item, { borderLeftColor: TYPE_COLORS[item.type] }]}>
+      <View style={styles.itemHeader}>
+        <Text style={styles.itemType}>{t(`entityType_${item.type}`)}</Text>
+        <Text style={styles.itemTime}>
+          {new Date(item.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </Text>
+      </View>
+      {renderContent(item)}
+      {item.data.peopleData && item.data.peopleData.length > 0 && (
+        <Text style={styles.itemMeta}>👥 {item.data.peopleData.map(person => person.name).join(', ')}</Text>
+      )}
+      {item.data.placeData && <Text style={styles.itemMeta}>📍 {item.data.placeData.name}</Text>}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.filters}>
+        {TIMELINE_TYPES.map(type => (
+          <TouchableOpacity
+            key={type}
+            style={[styles.filterChip, types.includes(type) && { backgroundColor: TYPE_COLORS[type] }]}
+            onPress={() => toggleType(type)}
+          >
+            <Text style={[styles.filterText, types.includes(type) && styles.selectedFilterText]}>
+              {t(`entityType_${type}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {isLoading ? (
+        <ActivityIndicator style={styles.loading} size="large" color="#3F51B5" />
+      ) : (
+        <SectionList
+          sections={groupByDay(items)}
+          keyExtractor={item => `${item.type}:${item.id}`}
+          renderItem={renderItem}
+          renderSectionHeader={({ section }) => (
+            <Text style={styles.sectionHeader}>{section.title}</Text>
+          )}
+          stickySectionHeadersEnabled
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={<Text style={styles.emptyText}>{t('timelineEmpty')}</Text>}
+          ListFooterComponent={isLoadingMore ? (
+            <View style={styles.loadingMore}>
+              <ActivityIndicator color="#3F51B5" />
+              <Text style={styles.loadingMoreText}>{t('loadingMore')}</Text>
+            </View>
+          ) : null}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  filters: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    padding: 12,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  filterText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  selectedFilterText: {
+    color: '#333',
+    fontWeight: 'bold',
+  },
+  loading: {
+    marginTop: 32,
+  },
+  sectionHeader: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: '#f5f5f5',
+  },
+  item: {
+    backgroundColor: 'white',
+    marginHorizontal: 12,
+    marginBottom: 8,
+    padding: 12,
+    borderRadius: 8,
+    borderLeftWidth: 4,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  itemType: {
+    fontSize: 12,
+    color: '#999',
+    textTransform: 'uppercase',
+  },
+  itemTime: {
+    fontSize: 12,
+    color: '#999',
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  itemText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  itemMeta: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: 32,
+    fontSize: 16,
+  },
+  loadingMore: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 16,
+  },
+  loadingMoreText: {
+    marginLeft: 8,
+    color: '#666',
+  },
+});
+
+export default TimelineScreen;
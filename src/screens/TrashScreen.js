@@ -0,0 +1,317 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+  ActivityIndicator,
+  DeviceEventEmitter
+} from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useLanguage } from '../context/LanguageContext';
+import { getTrashItems, restoreFromTrash, purgeFromTrash, purgeTrash } from '../database/TrashDB';
+import {
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  TRASH_RETENTION_OPTIONS
+} from '../services/TrashService';
+
+const TrashScreen = ({ onClose }) => {
+  const { t } = useLanguage();
+  const insets = useSafeAreaInsets();
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  useEffect(() => {
+    loadTrash();
+    getTrashRetentionDays().then(setRetentionDays);
+  }, []);
+
+  const loadTrash = async () => {
+    try {
+      setItems(await getTrashItems());
+    } catch (error) {
+      Alert.alert(t('error'), t('trashError'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Run a change to the trash, then reload it
+  const updateTrash = async (task) => {
+    setIsProcessing(true);
+    try {
+      await task();
+      await loadTrash();
+    } catch (error) {
+      Alert.alert(t('error'), t('trashError'));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleRestore = (item) => updateTrash(async () => {
+    await restoreFromTrash(item.entityType, item.id);
+    // Every context reloads, so the item reappears wherever it was shown
+    DeviceEventEmitter.emit('DATA_IMPORTED');
+  });
+
+  const handleDeleteForever = (item) => {
+    Alert.alert(
+      t('deleteForever'),
+      t('deleteForeverConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('delete'),
+          style: 'destructive',
+          onPress: () => updateTrash(() => purgeFromTrash(item.entityType, item.id))
+        }
+      ]
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    Alert.alert(
+      t('emptyTrash'),
+      t('emptyTrashConfirmation'),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('delete'),
+          style: 'destructive',
+          onPress: () => updateTrash(() => purgeTrash())
+        }
+      ]
+    );
+  };
+
+  const handleRetentionChange = async (days) => {
+    await setTrashRetentionDays(days);
+    setRetentionDays(days);
+  };
+
+  const renderRetentionOption = (days) => (
+    <TouchableOpacity
+      key={days}
+      style={[styles.chip, retentionDays === days && styles.selectedChip]}
+      onPress={() => handleRetentionChange(days)}
+    >
+      <Text style={[styles.chipText, retentionDays === days && styles.selectedChipText]}>
+        {t(`keepDeletedFor_${days}`)}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderItem = ({ item }) => (
+    <View style={styles.item}>
+      <View style={styles.itemInfo}>
+        <Text style={styles.itemType}>{t(`entityType_${item.entityType}`)}</Text>
+        <Text style={styles.itemTitle} numberOfLines={1}>{item.entityType === 'health' ? t(`healthKind_${item.title}`) : item.title || '—'}</Text>
+        <Text style={styles.itemDate}>
+          {t('deletedOn')}: {new Date(item.deletedAt).toLocaleString()}
+        </Text>
+      </View>
+      <TouchableOpacity
+        style={styles.restoreButton}
+        onPress={() => handleRestore(item)}
+        disabled={isProcessing}
+      >
+        <Text style={styles.restoreButtonText}>{t('restore')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.deleteButton}
+        onPress={() => handleDeleteForever(item)}
+        disabled={isProcessing}
+      >
+        <Text style={styles.deleteButtonText}>✕</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['left', 'right']}>
+      <View style={[styles.header, { paddingTop: insets.top }]}>
+        <Text style={styles.title}>{t('trash')}</Text>
+        <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+          <Text style={styles.closeButtonText}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.retention}>
+        <Text style={styles.infoText}>{t('trashInfo')}</Text>
+        <Text style={styles.retentionLabel}>{t('keepDeletedFor')}</Text>
+        <View style={styles.chips}>
+          {TRASH_RETENTION_OPTIONS.map(renderRetentionOption)}
+        </View>
+      </View>
+
+      {isLoading ? (
+        <ActivityIndicator style={styles.loading} size="large" color="#3F51B5" />
+      ) : (
+        <FlatList
+          data={items}
+          keyExtractor={item => `${item.entityType}:${item.id}`}
+          renderItem={renderItem}
+          ListEmptyComponent={<Text style={styles.emptyText}>{t('trashEmpty')}</Text>}
+          contentContainerStyle={{ paddingBottom: Math.max(20, insets.bottom) }}
+        />
+      )}
+
+      {items.length > 0 && (
+        <TouchableOpacity
+          style={[styles.emptyTrashButton, { marginBottom: Math.max(16, insets.bottom) }]}
+          onPress={handleEmptyTrash}
+          disabled={isProcessing}
+        >
+          <Text style={styles.emptyTrashButtonText}>{t('emptyTrash')}</Text>
+        </TouchableOpacity>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    backgroundColor: '#FFD54F',
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: 'rgba(255, 255, 255, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  retention: {
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  infoText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12,
+  },
+  retentionLabel: {
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+  },
+  selectedChip: {
+    backgroundColor: '#3F51B5',
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  selectedChipText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  loading: {
+    marginTop: 32,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  itemInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  itemType: {
+    fontSize: 12,
+    color: '#3F51B5',
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+  },
+  itemTitle: {
+    fontSize: 16,
+    marginVertical: 2,
+  },
+  itemDate: {
+    fontSize: 12,
+    color: '#999',
+  },
+  restoreButton: {
+    backgroundColor: '#3F51B5',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  restoreButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  deleteButton: {
+    padding: 8,
+  },
+  deleteButtonText: {
+    fontSize: 16,
+    color: '#F44336',
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: 32,
+    fontSize: 16,
+  },
+  emptyTrashButton: {
+    marginHorizontal: 16,
+    marginTop: 8,
+    padding: 14,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#F44336',
+    alignItems: 'center',
+  },
+  emptyTrashButtonText: {
+    color: '#F44336',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default TrashScreen;
@@ -0,0 +1,147 @@
+/**
+ * AppLockService.js
+ *
+ * Passphrase and recovery code unlock, failed-attempt lockout, auto-lock preference and
+ * panic wipe for the app lock screen. Lockout state is persisted so that
+ * restarting the app does not reset the attempt counter.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { deleteDatabase } from '../database/Database';
+import { unlock, unlockWithRecoveryCode, resetEncryptionState } from './EncryptionService';
+
+// Storage keys
+const AUTO_LOCK_STORAGE_KEY = 'memoria_auto_lock_minutes';
+const UNLOCK_ATTEMPTS_STORAGE_KEY = 'memoria_unlock_attempts';
+
+// Failed attempts allowed before the lock screen starts locking out
+export const MAX_FAILED_ATTEMPTS = 5;
+
+// First lockout lasts 30 seconds and doubles with every further failure
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+// Choices offered in settings (0 = never auto-lock)
+export const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 60];
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+let autoLockMinutes = null;
+
+/**
+ * Get the idle time after which the app locks itself
+ * @returns {Promise<number>} Minutes, or 0 to never auto-lock
+ */
+export const getAutoLockMinutes = async () => {
+  if (autoLockMinutes === null) {
+    try {
+      const saved = await AsyncStorage.getItem(AUTO_LOCK_STORAGE_KEY);
+      autoLockMinutes = saved !== null ? Number(saved) : DEFAULT_AUTO_LOCK_MINUTES;
+    } catch (error) {
+      console.error('Error loading auto-lock preference:', error);
+      return DEFAULT_AUTO_LOCK_MINUTES;
+    }
+  }
+  return autoLockMinutes;
+};
+
+/**
+ * Save the auto-lock idle time
+ * @param {number} minutes - Minutes, or 0 to never auto-lock
+ */
+export const setAutoLockMinutes = async (minutes) => {
+  await AsyncStorage.setItem(AUTO_LOCK_STORAGE_KEY, String(minutes));
+  autoLockMinutes = minutes;
+};
+
+const loadAttempts = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(UNLOCK_ATTEMPTS_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : { failedAttempts: 0, lockedUntil: 0 };
+  } catch (error) {
+    console.error('Error loading unlock attempts:', error);
+    return { failedAttempts: 0, lockedUntil: 0 };
+  }
+};
+
+/**
+ * Get the current lockout state
+ * @returns {Promise<Object>} { failedAttempts, lockedUntil } (lockedUntil in ms since epoch)
+ */
+export const getLockoutState = async () => {
+  return await loadAttempts();
+};
+
+// Run an unlock attempt, counting failures towards the shared lockout
+const attemptWithLockout = async (tryUnlock) => {
+  const attempts = await loadAttempts();
+
+  if (attempts.lockedUntil > Date.now()) {
+    return { success: false, lockedUntil: attempts.lockedUntil, remainingAttempts: 0 };
+  }
+
+  if (await tryUnlock()) {
+    await AsyncStorage.removeItem(UNLOCK_ATTEMPTS_STORAGE_KEY);
+    return { success: true, lockedUntil: 0, remainingAttempts: MAX_FAILED_ATTEMPTS };
+  }
+
+  const failedAttempts = attempts.failedAttempts + 1;
+  const excessAttempts = failedAttempts - MAX_FAILED_ATTEMPTS;
+  const lockedUntil = excessAttempts >= 0
+    ? Date.now() + Math.min(BASE_LOCKOUT_MS * 2 ** excessAttempts, MAX_LOCKOUT_MS)
+    : 0;
+
+  await AsyncStorage.setItem(
+    UNLOCK_ATTEMPTS_STORAGE_KEY,
+    JSON.stringify({ failedAttempts, lockedUntil })
+  );
+
+  return {
+    success: false,
+    lockedUntil,
+    remainingAttempts: Math.max(MAX_FAILED_ATTEMPTS - failedAttempts, 0)
+  };
+};
+
+/**
+ * Try to unlock the app with a passphrase
+ * @param {string} passphrase - Passphrase entered on the lock screen
+ * @returns {Promise<Object>} { success, lockedUntil, remainingAttempts }
+ */
+export const attemptUnlock = async (passphrase) => {
+  return await attemptWithLockout(() => unlock(passphrase));
+};
+
+/**
+ * Try to unlock the app with a recovery code. Failures count towards
+ * the same lockout as wrong passphrases.
+ * @param {string} recoveryCode - Recovery code entered on the lock screen
+ * @returns {Promise<Object>} { success, lockedUntil, remainingAttempts }
+ */
+export const attemptRecovery = async (recoveryCode) => {
+  return await attemptWithLockout(() => unlockWithRecoveryCode(recoveryCode));
+};
+
+/**
+ * Irreversibly erase all data: the database, media files, exports, backups and preferences
+ * @returns {Promise<void>}
+ */
+export const panicWipe = async () => {
+  console.log('Panic wipe requested');
+  resetEncryptionState();
+
+  await deleteDatabase();
+
+  // Media, unencrypted exports and local backups
+  for (const directory of ['media/', 'exports/', 'backups/']) {
+    try {
+      await FileSystem.deleteAsync(FileSystem.documentDirectory + directory, { idempotent: true });
+    } catch (error) {
+      console.error(`Error deleting ${directory}:`, error);
+      // Continue so preferences are still cleared
+    }
+  }
+
+  await AsyncStorage.clear();
+  autoLockMinutes = null;
+};
@@ -0,0 +1,652 @@
+/**
+ * BackupService.js
+ *
+ * Encrypted backup bundles of the whole app: a snapshot of memoria.db plus
+ * every media file, described by a manifest with SHA-256 checksums.
+ *
+ * A bundle is a single JSON file, written and read back entry by entry. Its key is
+ * derived from the vault key, and the vault key wrappings are stored
+ * alongside, so a bundle can be opened with the passphrase or recovery
+ * code it was made with, even on a new device. The manifest and every file are encrypted separately with
+ * AES-256-GCM. Restoring verifies every checksum and migrates the database
+ * from the bundle's schema version before anything is replaced.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { File } from 'expo-file-system/next';
+import { gcm } from '@noble/ciphers/aes';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { bytesToUtf8 } from '@noble/ciphers/utils';
+import { getRandomBytes } from 'expo-crypto';
+import { getDatabase, snapshotDatabase, replaceDatabase, migrateDatabaseFile } from '../database/Database';
+import { MIGRATIONS } from '../database/Migrations';
+import {
+  isEncryptionEnabled,
+  isUnlocked,
+  unlock,
+  unlockWithRecoveryCode,
+  getVaultKeyWrappings,
+  reloadDataKeys,
+  resetEncryptionState,
+  deriveBackupKey,
+  deriveBackupKeyFromWrappings
+} from './EncryptionService';
+import { bytesToBase64, base64ToBytes } from '../utils/base64';
+
+export const BACKUP_FORMAT = 'memoria-backup';
+export const BACKUP_VERSION = 1;
+export const BACKUP_EXTENSION = '.memoria-backup';
+
+export const BACKUP_DIR = FileSystem.documentDirectory + 'backups/';
+const MEDIA_DIR = FileSystem.documentDirectory + 'media/';
+
+// Referenced files from the cache directory are restored here
+const RESTORED_CACHE_DIR = MEDIA_DIR + 'cache/';
+
+// A restore is written here first and only then swapped in
+const RESTORE_DATABASE_NAME = 'restore.db';
+const RESTORE_STAGING_DIR = FileSystem.documentDirectory + 'restore-staging/';
+const PREVIOUS_MEDIA_DIR = FileSystem.documentDirectory + 'media-previous/';
+
+// Columns holding file URIs of photos and other media
+const MEDIA_REFERENCE_COLUMNS = [
+  ['food_entries', 'image_uri'],
+  ['memory_photos', 'uri'],
+  ['user_profile', 'profile_image']
+];
+
+// Storage keys
+const BACKUP_INTERVAL_STORAGE_KEY = 'memoria_backup_interval_days';
+const BACKUP_KEEP_STORAGE_KEY = 'memoria_backup_keep_count';
+const LAST_BACKUP_STORAGE_KEY = 'memoria_last_backup_at';
+
+// Choices offered in settings (0 = no scheduled backups)
+export const BACKUP_INTERVAL_OPTIONS = [0, 1, 7, 30];
+export const BACKUP_KEEP_OPTIONS = [3, 5, 10];
+const DEFAULT_BACKUP_INTERVAL_DAYS = 0;
+const DEFAULT_BACKUP_KEEP_COUNT = 5;
+
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bundles are read in chunks of this size; the header, with the salt and
+// key wrappings, has to fit into the first one
+const READ_CHUNK_SIZE = 256 * 1024;
+const ENTRIES_MARKER = ',"entries":{';
+const QUOTE = 0x22;
+
+// Encrypt bytes, returning "<iv hex>:<ciphertext base64>"
+const seal = (key, plaintext) => {
+  const iv = getRandomBytes(IV_LENGTH);
+  return `${bytesToHex(iv)}:${bytesToBase64(gcm(key, iv).encrypt(plaintext))}`;
+};
+
+// Reverse of seal; throws if the key is wrong or the data was altered
+const open = (key, sealed) => {
+  const [ivHex, ciphertext] = sealed.split(':');
+  return gcm(key, hexToBytes(ivHex)).decrypt(base64ToBytes(ciphertext));
+};
+
+const checksum = (bytes) => bytesToHex(sha256(bytes));
+
+const readBytes = async (uri) =>
+  base64ToBytes(await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 }));
+
+const writeBytes = async (uri, bytes) => {
+  const directory = uri.slice(0, uri.lastIndexOf('/') + 1);
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+  const file = new File(uri);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  const handle = file.open();
+  try {
+    handle.writeBytes(bytes);
+  } finally {
+    handle.close();
+  }
+};
+
+// List every file below a directory as paths relative to it
+const listFiles = async (directoryUri, prefix = '') => {
+  const info = await FileSystem.getInfoAsync(directoryUri);
+  if (!info.exists) {
+    return [];
+  }
+
+  const files = [];
+  for (const name of await FileSystem.readDirectoryAsync(directoryUri)) {
+    const childInfo = await FileSystem.getInfoAsync(directoryUri + name);
+    if (childInfo.isDirectory) {
+      files.push(...await listFiles(`${directoryUri}${name}/`, `${prefix}${name}/`));
+    } else {
+      files.push(prefix + name);
+    }
+  }
+  return files;
+};
+
+/**
+ * Collect the media files to back up: everything in the media directory
+ * plus referenced files elsewhere in the app's document or cache directory.
+ * @returns {Promise<Object>} { files: [{ root, path }], skippedCount }
+ */
+const collectMediaFiles = async () => {
+  const files = (await listFiles(MEDIA_DIR)).map(path => ({ root: 'document', path: `media/${path}` }));
+  const seen = new Set(files.map(file => `${file.root}:${file.path}`));
+  let skippedCount = 0;
+
+  const db = await getDatabase();
+  for (const [table, column] of MEDIA_REFERENCE_COLUMNS) {
+    const rows = await db.getAllAsync(`SELECT DISTINCT ${column} as uri FROM ${table} WHERE ${column} IS NOT NULL`);
+    for (const { uri } of rows) {
+      let file = null;
+      if (uri.startsWith(FileSystem.documentDirectory)) {
+        file = { root: 'document', path: uri.slice(FileSystem.documentDirectory.length) };
+      } else if (FileSystem.cacheDirectory && uri.startsWith(FileSystem.cacheDirectory)) {
+        file = { root: 'cache', path: uri.slice(FileSystem.cacheDirectory.length) };
+      }
+
+      // Remote or content:// URIs and missing files are only counted
+      if (!file || !(await FileSystem.getInfoAsync(uri)).exists) {
+        skippedCount++;
+        continue;
+      }
+
+      const key = `${file.root}:${file.path}`;
+      if (!seen.has(key)) {
+        files.push(file);
+        seen.add(key);
+      }
+    }
+  }
+
+  return { files, skippedCount };
+};
+
+const rootDirectory = (root) => root === 'cache' ? FileSystem.cacheDirectory : FileSystem.documentDirectory;
+
+const getLatestSchemaVersion = () => MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const exists = async (uri) => (await FileSystem.getInfoAsync(uri)).exists;
+
+/**
+ * Open a file for writing text piece by piece, so large bundles never
+ * have to be held in memory as a whole
+ * @param {string} fileUri - File to create or overwrite
+ * @returns {Object} { write(text), close() }
+ */
+const openTextWriter = (fileUri) => {
+  const file = new File(fileUri);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  const handle = file.open();
+  return {
+    write: (text) => handle.writeBytes(utf8ToBytes(text)),
+    close: () => handle.close()
+  };
+};
+
+/**
+ * Find the parts of a bundle without loading it: the header is parsed, the
+ * sealed entries are only located, so they can be read one at a time later.
+ * @param {Object} handle - Open handle of the bundle
+ * @returns {Object} { header, entries: { name: { offset, length } }, manifest }
+ * @throws {Error} If the file does not have the layout createBackup writes
+ */
+const indexBundle = (handle) => {
+  const notABackup = () => new Error('Not a Memoria backup');
+  const readRange = (offset, length) => {
+    handle.offset = offset;
+    return bytesToUtf8(handle.readBytes(length));
+  };
+
+  const start = readRange(0, READ_CHUNK_SIZE);
+  const headerEnd = start.indexOf(ENTRIES_MARKER);
+  if (headerEnd === -1) {
+    throw notABackup();
+  }
+  const header = JSON.parse(`${start.slice(0, headerEnd)}}`);
+
+  let chunk = new Uint8Array(0);
+  let chunkOffset = utf8ToBytes(start.slice(0, headerEnd + ENTRIES_MARKER.length)).length;
+  let index = 0;
+
+  const hasMore = () => {
+    if (index < chunk.length) {
+      return true;
+    }
+    chunkOffset += chunk.length;
+    handle.offset = chunkOffset;
+    chunk = handle.readBytes(READ_CHUNK_SIZE);
+    index = 0;
+    return chunk.length > 0;
+  };
+  const expect = (text) => {
+    for (const char of text) {
+      if (!hasMore() || String.fromCharCode(chunk[index++]) !== char) {
+        throw notABackup();
+      }
+    }
+  };
+  // Skip a string up to its closing quote; its opening quote was already read
+  const skipString = () => {
+    const offset = chunkOffset + index;
+    while (hasMore()) {
+      const end = chunk.indexOf(QUOTE, index);
+      if (end !== -1) {
+        index = end + 1;
+        return { offset, length: chunkOffset + end - offset };
+      }
+      index = chunk.length;
+    }
+    throw notABackup();
+  };
+  const readString = () => {
+    const { offset, length } = skipString();
+    return readRange(offset, length);
+  };
+
+  const entries = {};
+  while (hasMore() && chunk[index] === QUOTE) {
+    index++;
+    const name = readString();
+    expect(':"');
+    entries[name] = skipString();
+    if (hasMore() && String.fromCharCode(chunk[index]) === ',') {
+      index++;
+    }
+  }
+  expect('},"manifest":"');
+  const manifest = readString();
+  expect('}');
+
+  return { header, entries, manifest };
+};
+
+/**
+ * Create an encrypted backup bundle in the backups directory
+ * @returns {Promise<Object>} { fileUri, fileCount, skippedCount }
+ */
+export const createBackup = async () => {
+  if (!(await isEncryptionEnabled()) || !isUnlocked()) {
+    throw new Error('Backups require a passphrase and an unlocked app');
+  }
+
+  await FileSystem.makeDirectoryAsync(BACKUP_DIR, { intermediates: true });
+  const createdAt = new Date().toISOString();
+  const fileUri = `${BACKUP_DIR}memoria-backup-${createdAt.replace(/[:.]/g, '-')}${BACKUP_EXTENSION}`;
+  // Written under another name, so an interrupted backup is never listed
+  const partialUri = `${fileUri}.partial`;
+  let writer = null;
+
+  try {
+    const salt = getRandomBytes(SALT_LENGTH);
+    const key = deriveBackupKey(salt);
+
+    // Entries are written as they are sealed; the manifest with their checksums comes last
+    writer = openTextWriter(partialUri);
+    const header = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt,
+      salt: bytesToHex(salt),
+      wrappings: await getVaultKeyWrappings()
+    };
+    writer.write(`${JSON.stringify(header).slice(0, -1)},"entries":{`);
+    const writeEntry = (entry, bytes) => {
+      writer.write(`${entry === 'f0' ? '' : ','}${JSON.stringify(entry)}:${JSON.stringify(seal(key, bytes))}`);
+    };
+
+    // Snapshot the database so the copy is consistent
+    const snapshotUri = FileSystem.cacheDirectory + 'backup-snapshot.db';
+    await FileSystem.deleteAsync(snapshotUri, { idempotent: true });
+    await snapshotDatabase(snapshotUri);
+    const databaseBytes = await readBytes(snapshotUri);
+    await FileSystem.deleteAsync(snapshotUri, { idempotent: true });
+
+    writeEntry('f0', databaseBytes);
+    const manifest = {
+      createdAt,
+      schemaVersion: getLatestSchemaVersion(),
+      documentDirectory: FileSystem.documentDirectory,
+      cacheDirectory: FileSystem.cacheDirectory,
+      database: { entry: 'f0', size: databaseBytes.length, sha256: checksum(databaseBytes) },
+      files: []
+    };
+
+    const { files, skippedCount } = await collectMediaFiles();
+    for (const file of files) {
+      const bytes = await readBytes(rootDirectory(file.root) + file.path);
+      const entry = `f${manifest.files.length + 1}`;
+      writeEntry(entry, bytes);
+      manifest.files.push({ ...file, entry, size: bytes.length, sha256: checksum(bytes) });
+    }
+    manifest.skippedCount = skippedCount;
+
+    writer.write(`},"manifest":${JSON.stringify(seal(key, utf8ToBytes(JSON.stringify(manifest))))}}`);
+    writer.close();
+    writer = null;
+
+    await FileSystem.moveAsync({ from: partialUri, to: fileUri });
+    await AsyncStorage.setItem(LAST_BACKUP_STORAGE_KEY, createdAt);
+
+    console.log(`Backup created with ${manifest.files.length} media files`);
+    return { fileUri, fileCount: manifest.files.length, skippedCount };
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    if (writer) {
+      writer.close();
+    }
+    await FileSystem.deleteAsync(partialUri, { idempotent: true });
+    throw error;
+  }
+};
+
+/**
+ * Open a backup bundle and verify every file against the manifest. Entries
+ * are read, decrypted and checked one at a time and handed to onEntry, so
+ * only one of them is ever held in memory.
+ * @param {string} fileUri - URI of the bundle
+ * @param {string|null} secret - Passphrase or recovery code; without one the
+ *   bundle can only be opened if it was made with the current vault key
+ * @param {Function|null} onEntry - Called as onEntry(file, bytes) for every
+ *   verified entry, with file null for the database, which comes first
+ * @returns {Promise<Object|null>} { manifest }, or null if the key could not be derived
+ * @throws {Error} If the bundle is damaged or not a backup
+ */
+export const openBackup = async (fileUri, secret = null, onEntry = null) => {
+  let handle;
+  let bundle;
+  try {
+    handle = new File(fileUri).open();
+    bundle = indexBundle(handle);
+  } catch (error) {
+    if (handle) {
+      handle.close();
+    }
+    throw new Error('Not a Memoria backup');
+  }
+
+  try {
+    const { header } = bundle;
+    if (!header || header.format !== BACKUP_FORMAT) {
+      throw new Error('Not a Memoria backup');
+    }
+    if (header.version > BACKUP_VERSION) {
+      throw new Error(`Backup version ${header.version} is newer than supported version ${BACKUP_VERSION}`);
+    }
+
+    const salt = hexToBytes(header.salt);
+    let key = null;
+    if (secret) {
+      key = await deriveBackupKeyFromWrappings(salt, header.wrappings || [], secret);
+    } else if (isUnlocked()) {
+      key = deriveBackupKey(salt);
+    }
+    if (!key) {
+      return null;
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(bytesToUtf8(open(key, bundle.manifest)));
+    } catch (error) {
+      // Only a key from a different vault gets here
+      return null;
+    }
+
+    // Older schemas are migrated on restore, newer ones need a newer app
+    if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+      throw new Error('Backup has no valid schema version');
+    }
+    if (manifest.schemaVersion > getLatestSchemaVersion()) {
+      throw new Error(
+        `Backup schema version ${manifest.schemaVersion} is newer than supported version ${getLatestSchemaVersion()}`
+      );
+    }
+
+    const readEntry = (description) => {
+      const location = bundle.entries[description.entry];
+      if (!location) {
+        throw new Error(`Backup is missing ${description.path || 'the database'}`);
+      }
+      handle.offset = location.offset;
+      let bytes;
+      try {
+        bytes = open(key, bytesToUtf8(handle.readBytes(location.length)));
+      } catch (error) {
+        throw new Error(`Backup is damaged at ${description.path || 'the database'}`);
+      }
+      if (bytes.length !== description.size || checksum(bytes) !== description.sha256) {
+        throw new Error(`Checksum mismatch for ${description.path || 'the database'}`);
+      }
+      return bytes;
+    };
+
+    const database = readEntry(manifest.database);
+    // "SQLite format 3\0"
+    if (bytesToUtf8(database.subarray(0, 15)) !== 'SQLite format 3') {
+      throw new Error('Backup database is not a SQLite file');
+    }
+    if (onEntry) {
+      await onEntry(null, database);
+    }
+
+    for (const file of manifest.files) {
+      const bytes = readEntry(file);
+      if (onEntry) {
+        await onEntry(file, bytes);
+      }
+    }
+    return { manifest };
+  } finally {
+    handle.close();
+  }
+};
+
+/**
+ * Replace all data with a backup. Everything is verified, the database is
+ * migrated to the current schema and the media files are written to a
+ * staging directory before the current database and media are swapped out.
+ * @param {string} fileUri - URI of the bundle
+ * @param {string|null} secret - Passphrase or recovery code the backup was made with
+ * @returns {Promise<boolean>} False if a passphrase or recovery code is needed or was wrong
+ */
+export const restoreBackup = async (fileUri, secret = null) => {
+  const restoreUri = FileSystem.documentDirectory + 'SQLite/' + RESTORE_DATABASE_NAME;
+  // Paths relative to the document directory
+  const targetPath = (file) => file.root === 'cache'
+    ? RESTORED_CACHE_DIR.slice(FileSystem.documentDirectory.length) + file.path
+    : file.path;
+
+  try {
+    // Without a secret the backup shares our vault key; keep the current
+    // passphrase and recovery code rather than the ones from the backup
+    const currentWrappings = secret ? [] : await getVaultKeyWrappings();
+
+    // Prepare everything next to the current data, writing each entry as soon as it is verified
+    await FileSystem.deleteAsync(restoreUri, { idempotent: true });
+    await FileSystem.deleteAsync(RESTORE_STAGING_DIR, { idempotent: true });
+    let backup;
+    try {
+      backup = await openBackup(fileUri, secret, (file, bytes) =>
+        writeBytes(file ? RESTORE_STAGING_DIR + targetPath(file) : restoreUri, bytes)
+      );
+      if (backup) {
+        await migrateDatabaseFile(RESTORE_DATABASE_NAME);
+      }
+    } catch (error) {
+      await FileSystem.deleteAsync(restoreUri, { idempotent: true });
+      await FileSystem.deleteAsync(RESTORE_STAGING_DIR, { idempotent: true });
+      throw error;
+    }
+    if (!backup) {
+      return false;
+    }
+
+    // Swap media and database together, keeping the current media until the database is in place
+    const stagedMediaDir = RESTORE_STAGING_DIR + 'media/';
+    await FileSystem.deleteAsync(PREVIOUS_MEDIA_DIR, { idempotent: true });
+    if (await exists(MEDIA_DIR)) {
+      await FileSystem.moveAsync({ from: MEDIA_DIR, to: PREVIOUS_MEDIA_DIR });
+    }
+    try {
+      if (await exists(stagedMediaDir)) {
+        await FileSystem.moveAsync({ from: stagedMediaDir, to: MEDIA_DIR });
+      }
+      await replaceDatabase(restoreUri);
+    } catch (error) {
+      await FileSystem.deleteAsync(MEDIA_DIR, { idempotent: true });
+      if (await exists(PREVIOUS_MEDIA_DIR)) {
+        await FileSystem.moveAsync({ from: PREVIOUS_MEDIA_DIR, to: MEDIA_DIR });
+      }
+      throw error;
+    }
+    await FileSystem.deleteAsync(PREVIOUS_MEDIA_DIR, { idempotent: true });
+    await FileSystem.deleteAsync(restoreUri, { idempotent: true });
+
+    // Referenced files outside the media directory go back where they were
+    for (const file of backup.manifest.files) {
+      const path = targetPath(file);
+      if (!path.startsWith('media/')) {
+        const target = FileSystem.documentDirectory + path;
+        await FileSystem.deleteAsync(target, { idempotent: true });
+        await FileSystem.makeDirectoryAsync(target.slice(0, target.lastIndexOf('/') + 1), { intermediates: true });
+        await FileSystem.moveAsync({ from: RESTORE_STAGING_DIR + path, to: target });
+      }
+    }
+    await FileSystem.deleteAsync(RESTORE_STAGING_DIR, { idempotent: true });
+
+    // App directories differ between devices and installs, so point references at the new location
+    const db = await getDatabase();
+    const { documentDirectory, cacheDirectory } = backup.manifest;
+    for (const [table, column] of MEDIA_REFERENCE_COLUMNS) {
+      if (cacheDirectory) {
+        await db.runAsync(
+          `UPDATE ${table} SET ${column} = ? || substr(${column}, ?) WHERE substr(${column}, 1, ?) = ?`,
+          [RESTORED_CACHE_DIR, cacheDirectory.length + 1, cacheDirectory.length, cacheDirectory]
+        );
+      }
+      await db.runAsync(
+        `UPDATE ${table} SET ${column} = ? || substr(${column}, ?) WHERE substr(${column}, 1, ?) = ?`,
+        [FileSystem.documentDirectory, documentDirectory.length + 1, documentDirectory.length, documentDirectory]
+      );
+    }
+
+    if (secret) {
+      resetEncryptionState();
+      if (!(await unlock(secret))) {
+        await unlockWithRecoveryCode(secret);
+      }
+    } else {
+      for (const wrapping of currentWrappings) {
+        await db.runAsync(
+          `INSERT OR REPLACE INTO key_wrappings (kind, kdf, salt, iterations, wrapped_key, created_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [wrapping.kind, wrapping.kdf, wrapping.salt, wrapping.iterations, wrapping.wrapped_key, wrapping.created_at]
+        );
+      }
+      await reloadDataKeys();
+    }
+
+    console.log(`Restored backup from ${backup.manifest.createdAt}`);
+    return true;
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the local backups, newest first
+ * @returns {Promise<Array>} [{ fileUri, name, size, modificationTime }]
+ */
+export const listBackups = async () => {
+  const info = await FileSystem.getInfoAsync(BACKUP_DIR);
+  if (!info.exists) {
+    return [];
+  }
+
+  const names = (await FileSystem.readDirectoryAsync(BACKUP_DIR)).filter(name => name.endsWith(BACKUP_EXTENSION));
+  const backups = await Promise.all(names.map(async (name) => {
+    const fileInfo = await FileSystem.getInfoAsync(BACKUP_DIR + name);
+    return { fileUri: BACKUP_DIR + name, name, size: fileInfo.size, modificationTime: fileInfo.modificationTime };
+  }));
+
+  // Names contain the creation time, so they sort chronologically
+  return backups.sort((a, b) => b.name.localeCompare(a.name));
+};
+
+/**
+ * Delete local backups beyond the newest keepCount
+ * @param {number} keepCount - Number of backups to keep
+ * @returns {Promise<number>} Number of backups deleted
+ */
+export const pruneBackups = async (keepCount) => {
+  const backups = await listBackups();
+  const expired = backups.slice(keepCount);
+  for (const backup of expired) {
+    await FileSystem.deleteAsync(backup.fileUri, { idempotent: true });
+  }
+  return expired.length;
+};
+
+/**
+ * Get the backup schedule
+ * @returns {Promise<Object>} { intervalDays, keepCount, lastBackupAt }
+ */
+export const getBackupSchedule = async () => {
+  try {
+    const [intervalDays, keepCount, lastBackupAt] = await Promise.all([
+      AsyncStorage.getItem(BACKUP_INTERVAL_STORAGE_KEY),
+      AsyncStorage.getItem(BACKUP_KEEP_STORAGE_KEY),
+      AsyncStorage.getItem(LAST_BACKUP_STORAGE_KEY)
+    ]);
+    return {
+      intervalDays: intervalDays !== null ? Number(intervalDays) : DEFAULT_BACKUP_INTERVAL_DAYS,
+      keepCount: keepCount !== null ? Number(keepCount) : DEFAULT_BACKUP_KEEP_COUNT,
+      lastBackupAt
+    };
+  } catch (error) {
+    console.error('Error loading backup schedule:', error);
+    return { intervalDays: DEFAULT_BACKUP_INTERVAL_DAYS, keepCount: DEFAULT_BACKUP_KEEP_COUNT, lastBackupAt: null };
+  }
+};
+
+/**
+ * Save the backup schedule
+ * @param {Object} schedule - { intervalDays, keepCount }; omitted fields are left unchanged
+ */
+export const setBackupSchedule = async ({ intervalDays, keepCount }) => {
+  if (intervalDays !== undefined) {
+    await AsyncStorage.setItem(BACKUP_INTERVAL_STORAGE_KEY, String(intervalDays));
+  }
+  if (keepCount !== undefined) {
+    await AsyncStorage.setItem(BACKUP_KEEP_STORAGE_KEY, String(keepCount));
+  }
+};
+
+/**
+ * Create a local backup if the schedule says one is due, then drop old ones
+ * @returns {Promise<boolean>} Whether a backup was created
+ */
+export const runScheduledBackupIfDue = async () => {
+  const { intervalDays, keepCount, lastBackupAt } = await getBackupSchedule();
+  if (intervalDays === 0 || !(await isEncryptionEnabled()) || !isUnlocked()) {
+    return false;
+  }
+  if (lastBackupAt && Date.now() - new Date(lastBackupAt).getTime() < intervalDays * DAY_MS) {
+    return false;
+  }
+
+  await createBackup();
+  await pruneBackups(keepCount);
+  return true;
+};
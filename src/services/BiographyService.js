@@ -0,0 +1,354 @@
+/**
+ * BiographyService.js
+ *
+ * Builds a chaptered life story from what the app already tracks: the key
+ * people with their relationships, birthdays and dates of death, the places
+ * that come up most, long mood phases and the memories of each year. The
+ * chapters are markdown, so the user can edit them like diary entries, and
+ * the whole biography exports to Markdown or HTML.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import { getBiographySources, saveGeneratedChapters } from '../database/BiographyDB';
+import { escapeHtml, markdownToHtml } from '../utils/markdown';
+
+// Contexts in the order people are introduced; unknown contexts go last
+const PERSON_CONTEXTS = ['Family', 'Relationship', 'Friend', 'Colleague', 'Acquaintance', 'Other'];
+
+// Statuses of people whose birth is an event of the user's own life
+const CHILD_STATUSES = ['Child', 'Step-Child'];
+
+// People linked to at least this many entries count as key people
+const KEY_PERSON_MENTIONS = 3;
+
+// Places listed in the places chapter
+const MAX_PLACES = 10;
+
+// Months of similar mood in a row that make a phase
+const MIN_PHASE_MONTHS = 2;
+
+// Monthly average mood (1-5) at or above which a month is 'high', at or below which it is 'low'
+const HIGH_MOOD = 3.75;
+const LOW_MOOD = 2.5;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const formatMonth = (date) => date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+const fill = (text, values) => Object.entries(values)
+  .reduce((result, [key, value]) => result.replace(`{${key}}`, () => value), text);
+
+// Translation of a count, from the key's _one or _other variant
+const fillCount = (t, key, count) => fill(t(`${key}_${count === 1 ? 'one' : 'other'}`), { count });
+
+const getMoodLevel = (average) => {
+  if (average >= HIGH_MOOD) {
+    return 'high';
+  }
+  return average <= LOW_MOOD ? 'low' : 'steady';
+};
+
+/**
+ * Find long-term mood phases: runs of consecutive months whose average
+ * mood has the same level. A month without moods ends a phase.
+ * @param {Array<Object>} moods - [{ entry_time, rating }] with ratings from 1 to 5
+ * @param {number} [minMonths] - Shortest run that counts as a phase
+ * @returns {Array<Object>} [{ start, end, level, averageRating, moodCount, months }] oldest first,
+ *   where level is 'high', 'steady' or 'low' and end is the last moment of the last month
+ */
+export const getMoodPhases = (moods, minMonths = MIN_PHASE_MONTHS) => {
+  const monthsByIndex = new Map();
+  for (const mood of moods) {
+    const time = new Date(mood.entry_time);
+    const index = time.getFullYear() * 12 + time.getMonth();
+    const month = monthsByIndex.get(index) || { index, total: 0, count: 0 };
+    month.total += mood.rating;
+    month.count++;
+    monthsByIndex.set(index, month);
+  }
+
+  const phases = [];
+  let phase = null;
+  for (const month of [...monthsByIndex.values()].sort((a, b) => a.index - b.index)) {
+    const level = getMoodLevel(month.total / month.count);
+    if (phase && phase.level === level && phase.lastIndex === month.index - 1) {
+      phase.lastIndex = month.index;
+      phase.total += month.total;
+      phase.count += month.count;
+    } else {
+      phase = { level, firstIndex: month.index, lastIndex: month.index, total: month.total, count: month.count };
+      phases.push(phase);
+    }
+  }
+
+  return phases
+    .filter(({ firstIndex, lastIndex }) => lastIndex - firstIndex + 1 >= minMonths)
+    .map(({ level, firstIndex, lastIndex, total, count }) => ({
+      start: new Date(Math.floor(firstIndex / 12), firstIndex % 12, 1),
+      end: new Date(Math.floor((lastIndex + 1) / 12), (lastIndex + 1) % 12, 1, 0, 0, 0, -1),
+      level,
+      averageRating: Math.round((total / count) * 10) / 10,
+      moodCount: count,
+      months: lastIndex - firstIndex + 1
+    }));
+};
+
+const isKeyPerson = (person, mentions) =>
+  ['Family', 'Relationship'].includes(person.context) ||
+  /close|best/i.test(person.status || '') ||
+  person.isDeceased ||
+  (mentions[person.id] || 0) >= KEY_PERSON_MENTIONS;
+
+const buildPeopleChapter = (people, mentions, t) => {
+  const keyPeople = people.filter(person => isKeyPerson(person, mentions));
+  if (keyPeople.length === 0) {
+    return null;
+  }
+
+  const contextRank = (person) => {
+    const rank = PERSON_CONTEXTS.indexOf(person.context);
+    return rank === -1 ? PERSON_CONTEXTS.length : rank;
+  };
+  keyPeople.sort((a, b) =>
+    contextRank(a) - contextRank(b) ||
+    (mentions[b.id] || 0) - (mentions[a.id] || 0) ||
+    a.name.localeCompare(b.name)
+  );
+
+  const lines = [];
+  let context;
+  for (const person of keyPeople) {
+    if (person.context !== context) {
+      context = person.context;
+      lines.push('', `### ${context || t('bioOtherPeople')}`);
+    }
+    const details = [
+      person.status,
+      person.birthDate && fill(t('bioBorn'), { date: formatDate(person.birthDate) }),
+      person.isDeceased && person.deceasedDate && fill(t('bioDied'), { date: formatDate(person.deceasedDate) }),
+      mentions[person.id] && fillCount(t, 'bioMentions', mentions[person.id])
+    ].filter(Boolean);
+    lines.push(`- **${person.name}**${details.length > 0 ? ` - ${details.join(' · ')}` : ''}`);
+  }
+
+  return {
+    generated_key: 'people',
+    title: t('bioChapterPeople'),
+    body: lines.join('\n').trim()
+  };
+};
+
+const buildPlacesChapter = (places, memories, mentions, t) => {
+  const memoryCounts = {};
+  for (const memory of memories) {
+    if (memory.place) {
+      memoryCounts[memory.place] = (memoryCounts[memory.place] || 0) + 1;
+    }
+  }
+
+  // Entry links include those of memories, so mentions already count them
+  const significant = places
+    .filter(place => mentions[place.id])
+    .sort((a, b) => mentions[b.id] - mentions[a.id] || a.name.localeCompare(b.name))
+    .slice(0, MAX_PLACES);
+  if (significant.length === 0) {
+    return null;
+  }
+
+  const lines = significant.map(place => {
+    const details = [
+      place.address,
+      fillCount(t, 'bioMentions', mentions[place.id]),
+      memoryCounts[place.id] && fillCount(t, 'bioPlaceMemories', memoryCounts[place.id])
+    ].filter(Boolean);
+    return `- **${place.name}** - ${details.join(' · ')}`;
+  });
+
+  return {
+    generated_key: 'places',
+    title: t('bioChapterPlaces'),
+    body: lines.join('\n')
+  };
+};
+
+const describeMemory = (memory, t) => {
+  const context = [
+    formatDate(memory.date),
+    (memory.peopleData || []).length > 0 && fill(t('bioWith'), { names: memory.peopleData.map(person => person.name).join(', ') }),
+    memory.placeData && fill(t('bioAt'), { place: memory.placeData.name })
+  ].filter(Boolean);
+
+  return [
+    `### ${memory.title}`,
+    `*${context.join(' · ')}*`,
+    memory.description
+  ].filter(Boolean).join('\n\n');
+};
+
+/**
+ * Build the chapters of the biography: the key people, the significant
+ * places, then one chapter per year with its mood phases, births and
+ * deaths, and memories
+ * @param {Object} sources - As loaded by getBiographySources()
+ * @param {Function} t - Translation function of the app language
+ * @returns {Array<Object>} [{ generated_key, title, body, period_start, period_end }] in reading order
+ */
+export const buildBiographyChapters = ({ memories, people, places, moods, mentions }, t) => {
+  const years = new Map();
+  const getYear = (date) => {
+    const year = new Date(date).getFullYear();
+    if (!years.has(year)) {
+      years.set(year, { phases: [], events: [], memories: [] });
+    }
+    return years.get(year);
+  };
+
+  for (const phase of getMoodPhases(moods)) {
+    getYear(phase.start).phases.push(phase);
+  }
+  for (const person of people) {
+    if (person.birthDate && CHILD_STATUSES.includes(person.status)) {
+      getYear(person.birthDate).events.push({
+        date: new Date(person.birthDate),
+        text: fill(t('bioPersonBorn'), { name: person.name, date: formatDate(person.birthDate) })
+      });
+    }
+    if (person.isDeceased && person.deceasedDate) {
+      getYear(person.deceasedDate).events.push({
+        date: new Date(person.deceasedDate),
+        text: fill(t('bioPersonDied'), { name: person.name, date: formatDate(person.deceasedDate) })
+      });
+    }
+  }
+  for (const memory of memories) {
+    if (memory.date) {
+      getYear(memory.date).memories.push(memory);
+    }
+  }
+
+  const yearChapters = [...years.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([year, content]) => {
+      const sections = [
+        ...content.phases.map(phase => fill(t(`bioPhase_${phase.level}`), {
+          start: formatMonth(phase.start),
+          end: formatMonth(phase.end),
+          average: phase.averageRating
+        })),
+        ...content.events
+          .sort((a, b) => a.date - b.date)
+          .map(event => event.text),
+        ...content.memories
+          .sort((a, b) => a.date - b.date)
+          .map(memory => describeMemory(memory, t))
+      ];
+
+      return {
+        generated_key: `year:${year}`,
+        title: String(year),
+        body: sections.join('\n\n'),
+        period_start: new Date(year, 0, 1),
+        period_end: new Date(year, 11, 31, 23, 59, 59, 999)
+      };
+    });
+
+  return [
+    buildPeopleChapter(people, mentions.person, t),
+    buildPlacesChapter(places, memories, mentions.place, t),
+    ...yearChapters
+  ].filter(Boolean);
+};
+
+/**
+ * Build the biography from the current data and save it. Chapters the user
+ * edited are kept.
+ * @param {Function} t - Translation function of the app language
+ * @returns {Promise<Object>} { added, updated, kept, removed } chapter counts
+ */
+export const generateBiography = async (t) => {
+  const sources = await getBiographySources();
+  return await saveGeneratedChapters(buildBiographyChapters(sources, t));
+};
+
+/**
+ * Render the biography as one markdown document
+ * @param {Array<Object>} chapters - Chapters in reading order
+ * @param {string} title - Title of the document
+ * @returns {string} Markdown
+ */
+export const biographyToMarkdown = (chapters, title) => [
+  `# ${title}`,
+  ...chapters.map(chapter => [`## ${chapter.title}`, chapter.body].filter(Boolean).join('\n\n'))
+].join('\n\n') + '\n';
+
+/**
+ * Render the biography as a standalone HTML page
+ * @param {Array<Object>} chapters - Chapters in reading order
+ * @param {string} title - Title of the page
+ * @returns {string} HTML
+ */
+export const biographyToHtml = (chapters, title) => {
+  const escapedTitle = escapeHtml(title);
+  const body = chapters
+    .map(chapter => [
+      '<section>',
+      `<h2>${escapeHtml(chapter.title)}</h2>`,
+      markdownToHtml(chapter.body),
+      '</section>'
+    ].join('\n'))
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapedTitle}</title>
+<style>
+body { font-family: Georgia, serif; max-width: 42em; margin: 2em auto; padding: 0 1em; line-height: 1.6; color: #333; }
+h1, h2, h3 { font-family: sans-serif; }
+h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.2em; margin-top: 2em; }
+blockquote { border-left: 3px solid #9575CD; margin-left: 0; padding-left: 1em; color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapedTitle}</h1>
+${body}
+</body>
+</html>
+`;
+};
+
+// MIME type and file extension of each export format
+export const BIOGRAPHY_FORMATS = {
+  markdown: { mimeType: 'text/markdown', extension: 'md', render: biographyToMarkdown },
+  html: { mimeType: 'text/html', extension: 'html', render: biographyToHtml }
+};
+
+/**
+ * Export the biography to a file
+ * @param {Array<Object>} chapters - Chapters in reading order
+ * @param {string} format - 'markdown' or 'html'
+ * @param {string} title - Title of the document
+ * @returns {Promise<Object>} { fileUri, mimeType }
+ */
+export const exportBiography = async (chapters, format, title) => {
+  try {
+    const { mimeType, extension, render } = BIOGRAPHY_FORMATS[format];
+
+    const exportDir = FileSystem.documentDirectory + 'exports/';
+    await FileSystem.makeDirectoryAsync(exportDir, { intermediates: true });
+
+    const today = new Date();
+    const fileName = `memoria-biography-${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}.${extension}`;
+    const fileUri = exportDir + fileName;
+    await FileSystem.writeAsStringAsync(fileUri, render(chapters, title));
+
+    return { fileUri, mimeType };
+  } catch (error) {
+    console.error('Error exporting biography:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,157 @@
+/**
+ * CsvExportService.js
+ *
+ * CSV exports of single trackers for spreadsheets. Each tracker has a
+ * fixed list of columns; callers choose which of them to include and
+ * the date range to export. Nested data such as tags, activities and
+ * weather is flattened into plain columns.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import { getMoodEntriesByDate } from '../database/MoodsDB';
+import { getFoodEntriesByDate } from '../database/FoodDB';
+import { getAllPeople } from '../database/PeopleDB';
+import { toCsv } from '../utils/csv';
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Local date and time, so rows match what the app shows
+const formatDate = (date) => date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : null;
+const formatTime = (date) => date ? `${pad(date.getHours())}:${pad(date.getMinutes())}` : null;
+
+const joinList = (values) => (values || []).filter(Boolean).join('; ');
+const linkedNames = (entry) => joinList((entry.peopleData || []).map(person => person.name));
+const linkedPlace = (entry) => entry.placeData?.name ?? null;
+
+const formatActivities = (activities) => joinList(
+  Object.entries(activities || {}).map(([type, names]) =>
+    `${type}: ${Array.isArray(names) ? names.join(', ') : names}`
+  )
+);
+
+// Tracker -> columns in export order; `value` reads the column from a loaded entry
+export const CSV_COLUMNS = {
+  mood: [
+    { key: 'date', value: entry => formatDate(new Date(entry.entry_time)) },
+    { key: 'time', value: entry => formatTime(new Date(entry.entry_time)) },
+    { key: 'rating', value: entry => entry.rating },
+    { key: 'emotion', value: entry => entry.emotion },
+    { key: 'notes', value: entry => entry.notes },
+    { key: 'tags', value: entry => joinList(entry.tags) },
+    { key: 'activities', value: entry => formatActivities(entry.activities) },
+    { key: 'social_context', value: entry => entry.socialContext },
+    { key: 'location', value: entry => entry.location },
+    { key: 'place', value: linkedPlace },
+    { key: 'people', value: linkedNames },
+    { key: 'weather', value: entry => entry.weatherData?.condition ?? entry.weather },
+    { key: 'temperature', value: entry => entry.weatherData?.temperature },
+    { key: 'humidity', value: entry => entry.weatherData?.humidity },
+    { key: 'wind_speed', value: entry => entry.weatherData?.windSpeed }
+  ],
+  food: [
+    { key: 'date', value: entry => formatDate(entry.date) },
+    { key: 'time', value: entry => formatTime(entry.date) },
+    { key: 'name', value: entry => entry.name },
+    { key: 'meal_type', value: entry => entry.meal_type },
+    { key: 'calories', value: entry => entry.calories },
+    { key: 'protein', value: entry => entry.protein },
+    { key: 'carbs', value: entry => entry.carbs },
+    { key: 'fat', value: entry => entry.fat },
+    { key: 'food_rating', value: entry => entry.food_rating },
+    { key: 'mood_rating', value: entry => entry.mood_rating },
+    { key: 'mood_emotion', value: entry => entry.mood_emotion },
+    { key: 'is_restaurant', value: entry => entry.is_restaurant ? 1 : 0 },
+    { key: 'restaurant_name', value: entry => entry.restaurant_name },
+    { key: 'place', value: linkedPlace },
+    { key: 'people', value: linkedNames },
+    { key: 'notes', value: entry => entry.notes }
+  ],
+  people: [
+    { key: 'name', value: person => person.name },
+    { key: 'status', value: person => person.status },
+    { key: 'context', value: person => person.context },
+    { key: 'birth_date', value: person => formatDate(person.birthDate) },
+    { key: 'is_deceased', value: person => person.isDeceased ? 1 : 0 },
+    { key: 'deceased_date', value: person => person.deceasedDate ? formatDate(new Date(person.deceasedDate)) : null },
+    { key: 'phone_number', value: person => person.phoneNumber },
+    { key: 'email', value: person => person.email },
+    { key: 'socials', value: person => person.socials },
+    { key: 'hobbies', value: person => joinList(person.hobbies) },
+    { key: 'interests', value: person => joinList(person.interests) },
+    { key: 'added', value: person => person.created_at }
+  ]
+};
+
+export const CSV_TRACKERS = Object.keys(CSV_COLUMNS);
+
+/**
+ * Load the entries of a tracker within a date range
+ * People have no entry date, so they are filtered by the day they were added
+ */
+const loadTrackerEntries = async (tracker, startDate, endDate) => {
+  switch (tracker) {
+    case 'mood':
+      return await getMoodEntriesByDate(startDate, endDate);
+    case 'food':
+      return (await getFoodEntriesByDate(startDate, endDate)).reverse();
+    case 'people': {
+      // created_at is stored as UTC "YYYY-MM-DD HH:MM:SS"
+      const startDay = startDate.toISOString().slice(0, 10);
+      const endDay = endDate.toISOString().slice(0, 10);
+      const people = await getAllPeople();
+      return people
+        .filter(person => {
+          const addedDay = (person.created_at || '').slice(0, 10);
+          return addedDay >= startDay && addedDay <= endDay;
+        })
+        .reverse();
+    }
+    default:
+      throw new Error(`Unknown tracker: ${tracker}`);
+  }
+};
+
+/**
+ * Build the CSV text for a tracker
+ * @param {string} tracker - 'mood', 'food' or 'people'
+ * @param {Object} options - { columns, startDate, endDate }; columns are keys of CSV_COLUMNS[tracker]
+ * @returns {Promise<Object>} { csv, rowCount }
+ */
+export const buildTrackerCsv = async (tracker, { columns, startDate, endDate }) => {
+  const selectedColumns = CSV_COLUMNS[tracker].filter(column => columns.includes(column.key));
+  if (selectedColumns.length === 0) {
+    throw new Error('No columns selected');
+  }
+
+  const entries = await loadTrackerEntries(tracker, startDate, endDate);
+  const csv = toCsv(
+    selectedColumns.map(column => column.key),
+    entries.map(entry => selectedColumns.map(column => column.value(entry)))
+  );
+
+  return { csv, rowCount: entries.length };
+};
+
+/**
+ * Export a tracker to a CSV file
+ * @param {string} tracker - 'mood', 'food' or 'people'
+ * @param {Object} options - { columns, startDate, endDate }
+ * @returns {Promise<Object>} { fileUri, rowCount }
+ */
+export const exportTrackerCsv = async (tracker, options) => {
+  try {
+    const { csv, rowCount } = await buildTrackerCsv(tracker, options);
+
+    const exportDir = FileSystem.documentDirectory + 'exports/';
+    await FileSystem.makeDirectoryAsync(exportDir, { intermediates: true });
+
+    const fileName = `memoria-${tracker}-${formatDate(options.startDate)}-${formatDate(options.endDate)}.csv`;
+    const fileUri = exportDir + fileName;
+    await FileSystem.writeAsStringAsync(fileUri, csv);
+
+    return { fileUri, rowCount };
+  } catch (error) {
+    console.error('Error exporting CSV:', error);
+    throw error;
+  }
+};
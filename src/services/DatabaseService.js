@@ -6,11 +6,26 @@
  */
 
 import { initAllDatabases } from '../database/UnifiedDB';
-import { addFoodEntryWithReferences, getAllFoodEntriesWithRelated, resetFoodDB } from '../database/FoodDB';
-import { saveMoodEntryWithReferences, getMoodEntriesWithRelated, resetDatabase as resetMoodsDB } from '../database/MoodsDB';
-import { addPlaceWithReferences, getPlaceWithRelated, mergeDuplicatePlaces } from '../database/PlacesDB';
+import { deleteDatabase } from '../database/Database';
+import { addFoodEntryWithReferences, getAllFoodEntriesWithRelated } from '../database/FoodDB';
+import { saveMoodEntryWithReferences, getMoodEntriesWithRelated } from '../database/MoodsDB';
+import { addPlaceWithReferences, getPlaceWithRelated, mergeDuplicatePlaces, getAllPlaces } from '../database/PlacesDB';
 import { getAllPeople } from '../database/PeopleDB';
 import { getAllMemories } from '../database/MemoriesDB';
+import { reencryptAllRows } from '../database/EncryptedColumns';
+import { buildArchive, importArchive } from '../database/DataArchive';
+import { checkIntegrity, repairIntegrity } from '../database/RelationshipsDB';
+import { clearSearchIndex } from '../database/SearchIndex';
+import { purgeExpiredTrash } from './TrashService';
+import {
+  setupEncryption,
+  resetEncryptionState,
+  lock,
+  verifyPassphrase,
+  setPassphrase,
+  rotateDataKey,
+  deleteRetiredKeys
+} from './EncryptionService';
 import * as FileSystem from 'expo-file-system';
 
 /**
@@ -23,6 +38,7 @@ export const initDatabase = async () => {
     
     // Run initial maintenance tasks
     await cleanupDuplicatePlaces();
+    await purgeExpiredTrash();
   } catch (error) {
     console.error('Error initializing databases:', error);
     throw error;
@@ -78,11 +94,12 @@ export const getFoodsWithRelated = async (limit = 100, offset = 0) => {
 };
 
 /**
- * Get mood entries with related foods
+ * Get mood entries with related foods, newest first
+ * @param {Object} [filters] - Filters as taken by MoodsDB.queryMoodEntries
  */
-export const getMoodsWithRelated = async (limit = 20, offset = 0) => {
+export const getMoodsWithRelated = async (limit = 20, offset = 0, filters = null) => {
   try {
-    return await getMoodEntriesWithRelated(limit, offset);
+    return await getMoodEntriesWithRelated(limit, offset, true, filters);
   } catch (error) {
     console.error('Error getting moods with related entities:', error);
     throw error;
@@ -115,6 +132,30 @@ export const cleanupDuplicatePlaces = async () => {
   }
 };
 
+/**
+ * Count dangling, self-referencing and duplicate relationships and entry links
+ */
+export const checkDataIntegrity = async () => {
+  try {
+    return await checkIntegrity();
+  } catch (error) {
+    console.error('Error checking data integrity:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the problems found by checkDataIntegrity
+ */
+export const repairDataIntegrity = async () => {
+  try {
+    return await repairIntegrity();
+  } catch (error) {
+    console.error('Error repairing data integrity:', error);
+    throw error;
+  }
+};
+
 /**
  * Get all entity data (for developing the glossary view)
  */
@@ -141,6 +182,118 @@ export const getAllEntityData = async () => {
   }
 };
 
+/**
+ * Export every entity and relationship to a versioned JSON archive
+ * The file is written unencrypted, so it should be shared with care
+ * @returns {Promise<string>} URI of the archive file
+ */
+export const exportData = async () => {
+  try {
+    const archive = await buildArchive();
+
+    const exportDir = FileSystem.documentDirectory + 'exports/';
+    await FileSystem.makeDirectoryAsync(exportDir, { intermediates: true });
+
+    const fileUri = `${exportDir}memoria-export-${archive.exportedAt.slice(0, 10)}.json`;
+    await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(archive));
+    return fileUri;
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Import a JSON archive, merging it into the existing data by ID
+ * @param {string} fileUri - URI of the archive file
+ * @returns {Promise<number>} Number of rows added or updated
+ */
+export const importData = async (fileUri) => {
+  try {
+    const content = await FileSystem.readAsStringAsync(fileUri);
+
+    let archive;
+    try {
+      archive = JSON.parse(content);
+    } catch (parseError) {
+      throw new Error('Archive is not valid JSON');
+    }
+
+    const counts = await importArchive(archive);
+    return Object.values(counts).reduce((total, count) => total + count, 0);
+  } catch (error) {
+    console.error('Error importing data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Turn on at-rest encryption with a new passphrase
+ * Sensitive values that are already stored are encrypted in place
+ */
+export const enableEncryption = async (passphrase) => {
+  try {
+    await setupEncryption(passphrase);
+    const rowCount = await reencryptAllRows();
+    console.log(`Encrypted ${rowCount} existing rows`);
+  } catch (error) {
+    console.error('Error enabling encryption:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-encrypt everything onto the active key, then drop retired keys.
+ * Progress is committed in batches, so this can be interrupted at any point.
+ */
+const runKeyRotation = async () => {
+  const rowCount = await reencryptAllRows();
+  await deleteRetiredKeys();
+  console.log(`Key rotation re-encrypted ${rowCount} rows`);
+};
+
+/**
+ * Change the passphrase and rotate the data key
+ * @returns {Promise<boolean>} False if the current passphrase is wrong
+ */
+export const changePassphrase = async (currentPassphrase, newPassphrase) => {
+  try {
+    if (!(await verifyPassphrase(currentPassphrase))) {
+      return false;
+    }
+
+    await setPassphrase(newPassphrase);
+    await rotateDataKey();
+    await runKeyRotation();
+    return true;
+  } catch (error) {
+    console.error('Error changing passphrase:', error);
+    throw error;
+  }
+};
+
+/**
+ * Finish a key rotation or initial encryption that was interrupted,
+ * e.g. because the app was closed. Call after unlocking.
+ */
+export const resumeKeyRotation = async () => {
+  try {
+    await runKeyRotation();
+  } catch (error) {
+    console.error('Error resuming key rotation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Forget the keys and drop the decrypted search index until the next unlock
+ * @returns {Promise<void>}
+ */
+export const lockDatabase = async () => {
+  lock();
+  await clearSearchIndex();
+};
+
 /**
  * Reset ALL databases in the application
  * This will delete all data from all databases and reinitialize them
@@ -149,41 +302,9 @@ export const resetAllDatabases = async () => {
   try {
     console.log('Resetting all databases...');
     
-    // Close and delete all database files
-    const dbFiles = [
-      'memoria.db',     // Moods database
-      'food.db',        // Food database 
-      'places.db',      // Places database
-      'people.db',      // People database
-      'memories.db',    // Memories database
-      'relationships.db' // Relationships database
-    ];
-    
-    // Force close all database connections first
-    await Promise.all([
-      resetMoodsDB(),
-      resetFoodDB()
-      // Other reset functions as they become available
-    ]).catch(err => console.warn('Error closing some database connections:', err));
-    
-    // Small delay to ensure connections are closed
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    // Now delete the database files
-    for (const dbFile of dbFiles) {
-      try {
-        const dbPath = FileSystem.documentDirectory + 'SQLite/' + dbFile;
-        const fileInfo = await FileSystem.getInfoAsync(dbPath);
-        
-        if (fileInfo.exists) {
-          console.log(`Deleting database file: ${dbFile}`);
-          await FileSystem.deleteAsync(dbPath, { idempotent: true });
-        }
-      } catch (error) {
-        console.error(`Error deleting database file ${dbFile}:`, error);
-        // Continue with other files even if one fails
-      }
-    }
+    // Close the shared connection and delete memoria.db and any legacy files
+    await deleteDatabase();
+    resetEncryptionState();
     
     // Ensure SQLite directory exists
     const sqliteDir = FileSystem.documentDirectory + 'SQLite/';
@@ -193,12 +314,9 @@ export const resetAllDatabases = async () => {
     }
     
     // Reinitialize all databases but skip the cleanupDuplicatePlaces call
-    // This avoids the readonly database issue
+    // since there's no data to clean up after a reset
     await initAllDatabases();
     
-    // We're skipping the cleanupDuplicatePlaces call here since there's no data to clean up after a reset
-    // The next time the app starts normally, it will run the cleanup task
-    
     console.log('All databases reset and reinitialized successfully');
     
     return true;
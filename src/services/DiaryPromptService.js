@@ -0,0 +1,49 @@
+/**
+ * DiaryPromptService.js
+ *
+ * Optional daily writing prompts for the diary. Every day has its own
+ * prompt, so the diary suggests the same question each time a day is
+ * opened, and the user can ask for another one.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DIARY_PROMPTS } from '../data/models';
+
+// Storage key
+const DIARY_PROMPTS_ENABLED_KEY = 'memoria_diary_prompts_enabled';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the prompt of a day
+ * @param {Date} date - Any time on the day
+ * @param {number} [skip] - How many prompts to move on, for "another prompt"
+ * @returns {string} Prompt ID from DIARY_PROMPTS
+ */
+export const getDailyPrompt = (date, skip = 0) => {
+  const day = new Date(date);
+  const dayNumber = Math.floor(Date.UTC(day.getFullYear(), day.getMonth(), day.getDate()) / DAY_MS);
+  return DIARY_PROMPTS[(dayNumber + skip) % DIARY_PROMPTS.length];
+};
+
+/**
+ * Whether prompts are shown; they are unless the user turned them off
+ * @returns {Promise<boolean>}
+ */
+export const arePromptsEnabled = async () => {
+  try {
+    return (await AsyncStorage.getItem(DIARY_PROMPTS_ENABLED_KEY)) !== 'false';
+  } catch (error) {
+    console.error('Error loading diary prompt setting:', error);
+    return true;
+  }
+};
+
+/**
+ * Turn prompts on or off
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+export const setPromptsEnabled = async (enabled) => {
+  await AsyncStorage.setItem(DIARY_PROMPTS_ENABLED_KEY, enabled ? 'true' : 'false');
+};
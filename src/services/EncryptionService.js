@@ -0,0 +1,501 @@
+/**
+ * EncryptionService.js
+ *
+ * At-rest encryption for sensitive fields in Memoria
+ * Values are encrypted individually with AES-256-GCM under a random data key.
+ * Data keys are stored wrapped by a random vault key, and the vault key is
+ * stored wrapped by a master key derived from the user's passphrase with
+ * PBKDF2 (and optionally by one derived from a recovery code). Neither the
+ * passphrase nor any unwrapped key is ever written to disk.
+ */
+
+import { gcm } from '@noble/ciphers/aes';
+import { bytesToUtf8 } from '@noble/ciphers/utils';
+import { hkdf } from '@noble/hashes/hkdf';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { getRandomBytes } from 'expo-crypto';
+import { getDatabase } from '../database/Database';
+
+// Encrypted values look like enc1:<key id>:<iv hex>:<ciphertext hex>
+const ENCRYPTED_PREFIX = 'enc1:';
+
+const KDF_NAME = 'pbkdf2-sha256';
+
+// Stored with each wrapping, so raising it never breaks existing keys
+export const PBKDF2_ITERATIONS = 210000;
+
+// Recovery codes are random rather than user-chosen, so fewer rounds suffice
+const RECOVERY_ITERATIONS = 10000;
+const RECOVERY_CODE_BYTES = 20;
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// Unwrapped keys, only held in memory while unlocked
+let vaultKey = null;
+let dataKeys = {};
+
+// Data key used for new values
+let activeKeyId = null;
+
+// Whether a passphrase has been set up (null until first checked)
+let encryptionEnabled = null;
+
+const generateKeyId = () => bytesToHex(getRandomBytes(8));
+
+/**
+ * Derive the master key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored with the wrapping
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<Uint8Array>} 256-bit master key
+ */
+export const deriveMasterKey = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+  return await pbkdf2Async(sha256, utf8ToBytes(passphrase.normalize('NFKC')), salt, {
+    c: iterations,
+    dkLen: KEY_LENGTH
+  });
+};
+
+// Encrypt bytes, returning "<iv hex>:<ciphertext hex>"
+const sealBytes = (key, plaintext) => {
+  const iv = getRandomBytes(IV_LENGTH);
+  const ciphertext = gcm(key, iv).encrypt(plaintext);
+  return `${bytesToHex(iv)}:${bytesToHex(ciphertext)}`;
+};
+
+// Reverse of sealBytes; throws if the key is wrong or the data was altered
+const openBytes = (key, sealed) => {
+  const [ivHex, ciphertextHex] = sealed.split(':');
+  return gcm(key, hexToBytes(ivHex)).decrypt(hexToBytes(ciphertextHex));
+};
+
+// Wrap the vault key with a secret and store it as the given kind of wrapping
+const saveVaultKeyWrapping = async (kind, secret, iterations) => {
+  const salt = getRandomBytes(SALT_LENGTH);
+  const masterKey = await deriveMasterKey(secret, salt, iterations);
+
+  const db = await getDatabase();
+  await db.runAsync(
+    `INSERT OR REPLACE INTO key_wrappings (kind, kdf, salt, iterations, wrapped_key, created_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [kind, KDF_NAME, bytesToHex(salt), iterations, sealBytes(masterKey, vaultKey), new Date().toISOString()]
+  );
+};
+
+// Unwrap the vault key from a key_wrappings row, or return null if the secret is wrong
+const openWrappingRow = async (wrapping, secret) => {
+  const masterKey = await deriveMasterKey(secret, hexToBytes(wrapping.salt), wrapping.iterations);
+  try {
+    return openBytes(masterKey, wrapping.wrapped_key);
+  } catch (error) {
+    // GCM authentication failed, so the secret is wrong
+    return null;
+  }
+};
+
+// Unwrap the vault key with a secret, or return null if the secret is wrong
+const openVaultKeyWrapping = async (kind, secret) => {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync('SELECT * FROM key_wrappings WHERE kind = ?', [kind]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return await openWrappingRow(rows[0], secret);
+};
+
+const normalizeRecoveryCode = (recoveryCode) => recoveryCode.toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+// Unwrap every data key with an unlocked vault key
+const loadDataKeys = async (unlockedVaultKey) => {
+  const db = await getDatabase();
+  const keyRows = await db.getAllAsync('SELECT * FROM data_keys');
+
+  dataKeys = {};
+  activeKeyId = null;
+  for (const keyRow of keyRows) {
+    dataKeys[keyRow.id] = openBytes(unlockedVaultKey, keyRow.wrapped_key);
+    if (keyRow.is_active === 1) {
+      activeKeyId = keyRow.id;
+    }
+  }
+  vaultKey = unlockedVaultKey;
+};
+
+// Store a data key wrapped by the vault key
+const saveDataKey = async (db, keyId, dataKey, isActive) => {
+  await db.runAsync(
+    'INSERT INTO data_keys (id, wrapped_key, is_active, created_at) VALUES (?, ?, ?, ?)',
+    [keyId, sealBytes(vaultKey, dataKey), isActive ? 1 : 0, new Date().toISOString()]
+  );
+};
+
+/**
+ * Move keys written before the vault key existed (directly wrapped by
+ * the passphrase) under a new vault key
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+const upgradeLegacyKeys = async (legacyRows, passphrase) => {
+  const legacyKeys = [];
+  for (const keyRow of legacyRows) {
+    const masterKey = await deriveMasterKey(passphrase, hexToBytes(keyRow.salt), keyRow.iterations);
+    try {
+      legacyKeys.push({ id: keyRow.id, key: openBytes(masterKey, keyRow.wrapped_key), isActive: keyRow.is_active === 1 });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  vaultKey = getRandomBytes(KEY_LENGTH);
+  await saveVaultKeyWrapping('passphrase', passphrase, PBKDF2_ITERATIONS);
+
+  const db = await getDatabase();
+  await db.withTransactionAsync(async () => {
+    for (const legacyKey of legacyKeys) {
+      await saveDataKey(db, legacyKey.id, legacyKey.key, legacyKey.isActive);
+    }
+    await db.runAsync('DELETE FROM encryption_keys');
+  });
+
+  await loadDataKeys(vaultKey);
+  return true;
+};
+
+/**
+ * Check whether a passphrase has been set up
+ * @returns {Promise<boolean>}
+ */
+export const isEncryptionEnabled = async () => {
+  if (encryptionEnabled === null) {
+    const db = await getDatabase();
+    const result = await db.getAllAsync(`
+      SELECT (SELECT COUNT(*) FROM key_wrappings) + (SELECT COUNT(*) FROM encryption_keys) as count
+    `);
+    encryptionEnabled = result[0].count > 0;
+  }
+  return encryptionEnabled;
+};
+
+/**
+ * Check whether the data keys are available
+ * @returns {boolean}
+ */
+export const isUnlocked = () => activeKeyId !== null;
+
+/**
+ * Get the ID of the data key new values are encrypted with
+ * @returns {string|null} Key ID, or null while locked
+ */
+export const getActiveKeyId = () => activeKeyId;
+
+/**
+ * Get the prefix shared by all values encrypted with a data key
+ * @param {string} keyId - Data key ID
+ * @returns {string} Value prefix
+ */
+export const getEncryptedValuePrefix = (keyId) => `${ENCRYPTED_PREFIX}${keyId}:`;
+
+/**
+ * Set up encryption with a new passphrase.
+ * Creates the vault and data keys and leaves the service unlocked.
+ * Existing rows are not touched.
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<void>}
+ */
+export const setupEncryption = async (passphrase) => {
+  if (await isEncryptionEnabled()) {
+    throw new Error('Encryption is already set up');
+  }
+
+  vaultKey = getRandomBytes(KEY_LENGTH);
+  await saveVaultKeyWrapping('passphrase', passphrase, PBKDF2_ITERATIONS);
+
+  const db = await getDatabase();
+  const keyId = generateKeyId();
+  const dataKey = getRandomBytes(KEY_LENGTH);
+  await saveDataKey(db, keyId, dataKey, true);
+
+  dataKeys = { [keyId]: dataKey };
+  activeKeyId = keyId;
+  encryptionEnabled = true;
+};
+
+/**
+ * Unlock the data keys with the passphrase
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+export const unlock = async (passphrase) => {
+  const db = await getDatabase();
+  const legacyRows = await db.getAllAsync('SELECT * FROM encryption_keys');
+  if (legacyRows.length > 0) {
+    return await upgradeLegacyKeys(legacyRows, passphrase);
+  }
+
+  const unlockedVaultKey = await openVaultKeyWrapping('passphrase', passphrase);
+  if (!unlockedVaultKey) {
+    return false;
+  }
+
+  await loadDataKeys(unlockedVaultKey);
+  return true;
+};
+
+/**
+ * Unlock the data keys with a recovery code
+ * @param {string} recoveryCode - Recovery code, with or without dashes
+ * @returns {Promise<boolean>} False if the code is wrong or none was created
+ */
+export const unlockWithRecoveryCode = async (recoveryCode) => {
+  const unlockedVaultKey = await openVaultKeyWrapping('recovery', normalizeRecoveryCode(recoveryCode));
+  if (!unlockedVaultKey) {
+    return false;
+  }
+
+  await loadDataKeys(unlockedVaultKey);
+  return true;
+};
+
+/**
+ * Check a passphrase without changing the lock state
+ * @param {string} passphrase - Passphrase to check
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassphrase = async (passphrase) => {
+  return (await openVaultKeyWrapping('passphrase', passphrase)) !== null;
+};
+
+/**
+ * Replace the passphrase. Requires the service to be unlocked.
+ * Only the vault key is re-wrapped; the data keys stay the same.
+ * @param {string} newPassphrase - New passphrase
+ * @returns {Promise<void>}
+ */
+export const setPassphrase = async (newPassphrase) => {
+  if (!isUnlocked()) {
+    throw new Error('Cannot change the passphrase while locked');
+  }
+  await saveVaultKeyWrapping('passphrase', newPassphrase, PBKDF2_ITERATIONS);
+};
+
+/**
+ * Create a new recovery code that can unwrap the vault key.
+ * Replaces any previous recovery code. Requires the service to be unlocked.
+ * @returns {Promise<string>} Recovery code formatted in groups of four
+ */
+export const createRecoveryCode = async () => {
+  if (!isUnlocked()) {
+    throw new Error('Cannot create a recovery code while locked');
+  }
+
+  // Crockford base32, 5 bits per character
+  const bytes = getRandomBytes(RECOVERY_CODE_BYTES);
+  let code = '';
+  let buffer = 0;
+  let bitCount = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bitCount += 8;
+    while (bitCount >= 5) {
+      code += RECOVERY_CODE_ALPHABET[(buffer >> (bitCount - 5)) & 31];
+      bitCount -= 5;
+    }
+  }
+
+  await saveVaultKeyWrapping('recovery', code, RECOVERY_ITERATIONS);
+  return code.match(/.{1,4}/g).join('-');
+};
+
+/**
+ * Check whether a recovery code has been created
+ * @returns {Promise<boolean>}
+ */
+export const hasRecoveryCode = async () => {
+  const db = await getDatabase();
+  const result = await db.getAllAsync(`SELECT COUNT(*) as count FROM key_wrappings WHERE kind = 'recovery'`);
+  return result[0].count > 0;
+};
+
+/**
+ * Start using a fresh data key for new values. The previous keys are
+ * kept (retired) until every value has been re-encrypted.
+ * @returns {Promise<string>} ID of the new data key
+ */
+export const rotateDataKey = async () => {
+  if (!isUnlocked()) {
+    throw new Error('Cannot rotate keys while locked');
+  }
+
+  const db = await getDatabase();
+  const keyId = generateKeyId();
+  const dataKey = getRandomBytes(KEY_LENGTH);
+
+  await db.withTransactionAsync(async () => {
+    await db.runAsync('UPDATE data_keys SET is_active = 0');
+    await saveDataKey(db, keyId, dataKey, true);
+  });
+
+  dataKeys[keyId] = dataKey;
+  activeKeyId = keyId;
+  return keyId;
+};
+
+/**
+ * Check whether retired data keys are still waiting to be removed,
+ * i.e. a key rotation has not finished
+ * @returns {Promise<boolean>}
+ */
+export const hasRetiredKeys = async () => {
+  const db = await getDatabase();
+  const result = await db.getAllAsync('SELECT COUNT(*) as count FROM data_keys WHERE is_active = 0');
+  return result[0].count > 0;
+};
+
+/**
+ * Delete retired data keys once no value is encrypted with them anymore
+ * @returns {Promise<void>}
+ */
+export const deleteRetiredKeys = async () => {
+  const db = await getDatabase();
+  await db.runAsync('DELETE FROM data_keys WHERE is_active = 0');
+
+  for (const keyId of Object.keys(dataKeys)) {
+    if (keyId !== activeKeyId) {
+      dataKeys[keyId].fill(0);
+      delete dataKeys[keyId];
+    }
+  }
+};
+
+/**
+ * Get the stored vault key wrappings. They are safe to copy into a
+ * backup, since opening them needs the passphrase or recovery code.
+ * @returns {Promise<Array>} Rows of key_wrappings
+ */
+export const getVaultKeyWrappings = async () => {
+  const db = await getDatabase();
+  return await db.getAllAsync('SELECT kind, kdf, salt, iterations, wrapped_key, created_at FROM key_wrappings');
+};
+
+/**
+ * Reload the data keys with the unlocked vault key, e.g. after the
+ * database was replaced by a backup made with the same vault key
+ * @returns {Promise<void>}
+ */
+export const reloadDataKeys = async () => {
+  if (!vaultKey) {
+    throw new Error('Cannot reload keys while locked');
+  }
+  await loadDataKeys(vaultKey);
+};
+
+const deriveKeyFromVault = (unlockedVaultKey, salt) =>
+  hkdf(sha256, unlockedVaultKey, salt, utf8ToBytes('memoria-backup'), KEY_LENGTH);
+
+/**
+ * Derive the key for a backup from the unlocked vault key
+ * @param {Uint8Array} salt - Random salt stored with the backup
+ * @returns {Uint8Array} 256-bit backup key
+ */
+export const deriveBackupKey = (salt) => {
+  if (!vaultKey) {
+    throw new Error('Cannot derive a backup key while locked');
+  }
+  return deriveKeyFromVault(vaultKey, salt);
+};
+
+/**
+ * Derive the key for a backup from the vault key wrappings stored in it,
+ * using either the passphrase or the recovery code it was made with
+ * @param {Uint8Array} salt - Salt stored with the backup
+ * @param {Array} wrappings - Vault key wrappings stored with the backup
+ * @param {string} secret - Passphrase or recovery code
+ * @returns {Promise<Uint8Array|null>} Backup key, or null if the secret is wrong
+ */
+export const deriveBackupKeyFromWrappings = async (salt, wrappings, secret) => {
+  for (const wrapping of wrappings) {
+    const candidate = wrapping.kind === 'recovery' ? normalizeRecoveryCode(secret) : secret;
+    const backupVaultKey = await openWrappingRow(wrapping, candidate);
+    if (backupVaultKey) {
+      const backupKey = deriveKeyFromVault(backupVaultKey, salt);
+      backupVaultKey.fill(0);
+      return backupKey;
+    }
+  }
+  return null;
+};
+
+/**
+ * Forget the keys until the next unlock
+ */
+export const lock = () => {
+  Object.values(dataKeys).forEach(key => key.fill(0));
+  if (vaultKey) {
+    vaultKey.fill(0);
+  }
+  vaultKey = null;
+  dataKeys = {};
+  activeKeyId = null;
+};
+
+/**
+ * Forget all cached key state, e.g. after the database was deleted
+ */
+export const resetEncryptionState = () => {
+  lock();
+  encryptionEnabled = null;
+};
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+export const isEncryptedValue = (value) =>
+  typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * Encrypt a value with the active data key.
+ * Null values stay null and already encrypted values are returned as-is.
+ * The value is JSON encoded, so numbers come back as numbers.
+ * @param {*} value - Value to encrypt
+ * @returns {string|null} Encrypted value
+ */
+export const encryptValue = (value) => {
+  if (value === null || value === undefined || isEncryptedValue(value)) {
+    return value ?? null;
+  }
+  if (!isUnlocked()) {
+    throw new Error('Cannot encrypt while locked');
+  }
+
+  const sealed = sealBytes(dataKeys[activeKeyId], utf8ToBytes(JSON.stringify(value)));
+  return `${getEncryptedValuePrefix(activeKeyId)}${sealed}`;
+};
+
+/**
+ * Decrypt a stored value. Values that are not encrypted are returned as-is.
+ * @param {*} value - Stored value
+ * @returns {*} Decrypted value
+ */
+export const decryptValue = (value) => {
+  if (!isEncryptedValue(value)) {
+    return value;
+  }
+
+  const body = value.slice(ENCRYPTED_PREFIX.length);
+  const separator = body.indexOf(':');
+  const keyId = body.slice(0, separator);
+  const sealed = body.slice(separator + 1);
+  const key = dataKeys[keyId];
+  if (!key) {
+    throw new Error(isUnlocked() ? `Unknown encryption key ${keyId}` : 'Cannot decrypt while locked');
+  }
+
+  return JSON.parse(bytesToUtf8(openBytes(key, sealed)));
+};
@@ -0,0 +1,93 @@
+/**
+ * GeocodingService.js
+ *
+ * Resolves coordinates to address fields (street, neighbourhood, city,
+ * country). Results come from, in order:
+ *   1. the local cache (database/GeocodeCacheDB.js)
+ *   2. the geocoding provider, whose results are cached
+ *   3. the bundled gazetteer (data/gazetteer.js), which knows only the
+ *      nearest city and is used when the provider fails, e.g. offline
+ *
+ * The provider defaults to the platform geocoder of expo-location and can
+ * be replaced with setGeocodingProvider(). A provider is an object with a
+ * name and an async reverseGeocode(latitude, longitude) returning address
+ * fields or null.
+ */
+
+import * as Location from 'expo-location';
+import { getCachedAddress, saveCachedAddress } from '../database/GeocodeCacheDB';
+import { findNearestCity } from '../data/gazetteer';
+import { pickAddressFields, hasAddressFields } from '../utils/address';
+
+// The geocoder of the operating system, which needs a network connection on most devices
+export const deviceGeocodingProvider = {
+  name: 'device',
+  reverseGeocode: async (latitude, longitude) => {
+    const [result] = await Location.reverseGeocodeAsync({ latitude, longitude });
+    if (!result) {
+      return null;
+    }
+    return pickAddressFields({
+      street: [result.street, result.streetNumber].filter(Boolean).join(' '),
+      neighbourhood: result.district,
+      city: result.city || result.subregion,
+      country: result.country
+    });
+  }
+};
+
+let provider = deviceGeocodingProvider;
+
+/**
+ * Replace the geocoding provider. Cached results of the previous provider
+ * are kept; clearGeocodeCache() in GeocodeCacheDB.js removes them.
+ * @param {Object} nextProvider - { name, reverseGeocode(latitude, longitude) }
+ */
+export const setGeocodingProvider = (nextProvider) => {
+  if (!nextProvider || typeof nextProvider.reverseGeocode !== 'function') {
+    throw new Error('A geocoding provider needs a reverseGeocode function');
+  }
+  provider = nextProvider;
+};
+
+/**
+ * Get the current geocoding provider
+ * @returns {Object} { name, reverseGeocode(latitude, longitude) }
+ */
+export const getGeocodingProvider = () => provider;
+
+/**
+ * Resolve coordinates to address fields. Never throws: when neither the
+ * cache, the provider nor the gazetteer knows the spot, null is returned.
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<Object|null>} { street, neighbourhood, city, country, source }, where
+ *   source is the name of the provider or 'gazetteer'
+ */
+export const reverseGeocode = async (latitude, longitude) => {
+  try {
+    const cached = await getCachedAddress(latitude, longitude);
+    if (cached) {
+      return { ...pickAddressFields(cached), source: cached.source };
+    }
+  } catch (error) {
+    console.error('Error reading geocode cache:', error);
+  }
+
+  try {
+    const address = await provider.reverseGeocode(latitude, longitude);
+    if (hasAddressFields(address)) {
+      const fields = pickAddressFields(address);
+      await saveCachedAddress(latitude, longitude, fields, provider.name).catch(error => {
+        console.error('Error caching geocoded address:', error);
+      });
+      return { ...fields, source: provider.name };
+    }
+  } catch (error) {
+    console.warn('Geocoding provider failed, falling back to the gazetteer:', error.message);
+  }
+
+  // Not cached, so the provider is asked again once it can be reached
+  const nearest = findNearestCity(latitude, longitude);
+  return nearest ? { ...pickAddressFields(nearest), source: 'gazetteer' } : null;
+};
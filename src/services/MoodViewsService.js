@@ -0,0 +1,149 @@
+/**
+ * MoodViewsService.js
+ *
+ * Named combinations of mood history filters ("views") saved on the device.
+ * Views store date ranges relative to today, such as "this quarter",
+ * so a saved view keeps showing the current period, or a custom range
+ * between two fixed days.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Storage key
+const MOOD_VIEWS_STORAGE_KEY = 'memoria_mood_views';
+
+// Relative date ranges a filter can use
+export const DATE_RANGES = ['last7Days', 'last30Days', 'thisMonth', 'thisQuarter', 'thisYear'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the day of a custom date range a time falls on
+ * @param {Date} date - Any time on the day
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+export const toRangeDay = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Get the start of a day of a custom date range
+ * @param {string} day - Local date as YYYY-MM-DD
+ * @returns {Date} Local midnight at the start of the day
+ */
+export const fromRangeDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+/**
+ * Whether a date range is a custom range rather than one of DATE_RANGES
+ * @param {string|Object|null} dateRange - Date range of a filter
+ * @returns {boolean}
+ */
+export const isCustomDateRange = (dateRange) => !!dateRange && typeof dateRange === 'object';
+
+/**
+ * Get the start of a relative date range; it ends now
+ * @param {string} dateRange - One of DATE_RANGES
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Start of the range, or null for an unknown range
+ */
+export const getDateRangeStart = (dateRange, now = new Date()) => {
+  switch (dateRange) {
+    case 'last7Days':
+      return new Date(now.getTime() - 7 * DAY_MS);
+    case 'last30Days':
+      return new Date(now.getTime() - 30 * DAY_MS);
+    case 'thisMonth':
+      return new Date(now.getFullYear(), now.getMonth(), 1);
+    case 'thisQuarter':
+      return new Date(now.getFullYear(), now.getMonth() - (now.getMonth() % 3), 1);
+    case 'thisYear':
+      return new Date(now.getFullYear(), 0, 1);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Count the filters that are set; empty lists do not count
+ * @param {Object} filters - Mood history filters
+ * @returns {number}
+ */
+export const countMoodFilters = (filters) => Object.values(filters || {}).filter(value =>
+  value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)
+).length;
+
+/**
+ * Whether any filter is set
+ * @param {Object} filters - Mood history filters
+ * @returns {boolean}
+ */
+export const hasMoodFilters = (filters) => countMoodFilters(filters) > 0;
+
+/**
+ * Turn mood history filters into the filters taken by MoodsDB.queryMoodEntries
+ * @param {Object} filters - Mood history filters, with an optional dateRange: one of
+ * DATE_RANGES or a custom { start, end } with both days as YYYY-MM-DD, inclusive
+ * @returns {Object|null} Query filters, or null if no filter is set
+ */
+export const toMoodQuery = (filters) => {
+  if (!hasMoodFilters(filters)) {
+    return null;
+  }
+
+  const { dateRange, ...query } = filters;
+  if (isCustomDateRange(dateRange)) {
+    query.startDate = fromRangeDay(dateRange.start);
+    const end = fromRangeDay(dateRange.end);
+    query.endDate = new Date(end.getFullYear(), end.getMonth(), end.getDate(), 23, 59, 59, 999);
+  } else if (dateRange) {
+    query.startDate = getDateRangeStart(dateRange);
+  }
+  return query;
+};
+
+/**
+ * Get the saved views, in the order they were saved
+ * @returns {Promise<Array>} [{ id, name, filters }]
+ */
+export const getSavedMoodViews = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(MOOD_VIEWS_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading saved mood views:', error);
+    return [];
+  }
+};
+
+/**
+ * Save filters as a named view. A view with the same name is replaced.
+ * @param {string} name - Name of the view
+ * @param {Object} filters - Mood history filters
+ * @returns {Promise<Array>} Saved views after the change
+ */
+export const saveMoodView = async (name, filters) => {
+  const views = await getSavedMoodViews();
+  const existing = views.find(view => view.name === name);
+  const view = { id: existing ? existing.id : Date.now().toString(36), name, filters };
+  const updated = existing
+    ? views.map(saved => (saved.id === existing.id ? view : saved))
+    : [...views, view];
+
+  await AsyncStorage.setItem(MOOD_VIEWS_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+/**
+ * Delete a saved view
+ * @param {string} id - View ID
+ * @returns {Promise<Array>} Saved views after the change
+ */
+export const deleteMoodView = async (id) => {
+  const updated = (await getSavedMoodViews()).filter(view => view.id !== id);
+  await AsyncStorage.setItem(MOOD_VIEWS_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
@@ -0,0 +1,192 @@
+/**
+ * PlaceClusteringService.js
+ *
+ * Keeps places and visits in step with the geotagged entries. Moods with
+ * coordinates but no place are linked to the nearest place within
+ * PLACE_RADIUS_METERS; the rest are clustered into suggested places that the
+ * user can confirm, rename, merge into a saved place or ignore. Ignored
+ * places stay in the database so the same spot is not suggested again.
+ * Suggested places are reverse geocoded for their address, which also
+ * names them when their moods carry no location label.
+ * Visits are then recomputed from the times of all placed mood and food
+ * entries.
+ *
+ * Saved places with similar names close to each other are offered as
+ * duplicates to merge; the user merges them or keeps both, which is
+ * remembered on the device. Food entries have no coordinates of their own and only count
+ * through the place they are linked to.
+ *
+ * The app does not track the location in the background, so visits are
+ * derived from entries rather than from geofence events.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { addPlace, setPlaceStatus, getPlaceById, updatePlace } from '../database/PlacesDB';
+import { getClusteringSources, savePlaceVisits } from '../database/PlaceVisitsDB';
+import { setEntryPlace } from '../database/EntryLinksDB';
+import { mergeEntity } from '../database/RelationshipsDB';
+import { generatePlaceId, findDuplicatePlaceSuggestions } from '../database/UnifiedDB';
+import { reverseGeocode } from './GeocodingService';
+import { assignToPlaces, groupVisits } from '../utils/placeClustering';
+import { pickAddressFields, formatAddress } from '../utils/address';
+
+// Storage key of the duplicate place pairs the user chose to keep apart
+const KEPT_APART_PLACES_STORAGE_KEY = 'memoria_kept_apart_places';
+
+// Clustering started while another run is in progress joins that run
+let runningClustering = null;
+
+const getPairKey = (duplicateId, keptId) => [duplicateId, keptId].sort().join(':');
+
+const getKeptApartPairs = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(KEPT_APART_PLACES_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading places kept apart:', error);
+    return [];
+  }
+};
+
+const formatCoordinates = (latitude, longitude) => `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+
+/**
+ * Recompute the visits of all places from the entries linked to them
+ * @returns {Promise<Object>} { added, updated, removed } visit counts
+ */
+export const refreshPlaceVisits = async () => {
+  const { placedEntries } = await getClusteringSources();
+  return savePlaceVisits(groupVisits(placedEntries));
+};
+
+const runClustering = async () => {
+  const { places, unplacedMoods } = await getClusteringSources();
+  const { assigned, candidates } = assignToPlaces(unplacedMoods, places);
+
+  for (const { pointId, placeId } of assigned) {
+    await setEntryPlace('mood', pointId, placeId);
+  }
+
+  for (const candidate of candidates) {
+    const address = pickAddressFields(await reverseGeocode(candidate.latitude, candidate.longitude));
+    const placeId = await addPlace({
+      ...address,
+      id: generatePlaceId(),
+      name: candidate.label
+        || formatAddress(address, ['street', 'city'])
+        || formatCoordinates(candidate.latitude, candidate.longitude),
+      latitude: candidate.latitude,
+      longitude: candidate.longitude,
+      status: 'suggested'
+    });
+    for (const moodId of candidate.pointIds) {
+      await setEntryPlace('mood', moodId, placeId);
+    }
+  }
+
+  const visits = await refreshPlaceVisits();
+  return { assigned: assigned.length, suggested: candidates.length, visits };
+};
+
+/**
+ * Place all geotagged moods that have no place yet and recompute the visits
+ * @returns {Promise<Object>} { assigned, suggested, visits } where assigned counts moods
+ *   linked to existing places, suggested the new suggested places and visits the visit counts
+ */
+export const clusterPlaces = async () => {
+  if (!runningClustering) {
+    runningClustering = runClustering().finally(() => {
+      runningClustering = null;
+    });
+  }
+  return runningClustering;
+};
+
+/**
+ * Save a suggested place as a place of the user's own
+ * @param {string} placeId - Place ID
+ * @param {string|null} name - New name, or null to keep the suggested one
+ * @returns {Promise<void>}
+ */
+export const confirmSuggestedPlace = async (placeId, name = null) => {
+  await setPlaceStatus(placeId, 'confirmed', name);
+};
+
+/**
+ * Turn down a suggested place. Its entries stay linked to it, so the spot
+ * is not suggested again.
+ * @param {string} placeId - Place ID
+ * @returns {Promise<void>}
+ */
+export const ignoreSuggestedPlace = async (placeId) => {
+  await setPlaceStatus(placeId, 'ignored');
+};
+
+/**
+ * Merge a suggested place into a saved place. A saved place without
+ * coordinates takes those of the suggestion, so later entries there are
+ * placed automatically.
+ * @param {string} placeId - ID of the suggested place
+ * @param {string} targetId - ID of the place to keep
+ * @returns {Promise<void>}
+ */
+export const mergeSuggestedPlace = async (placeId, targetId) => {
+  const [place, target] = await Promise.all([getPlaceById(placeId), getPlaceById(targetId)]);
+  if (!place || !target) {
+    throw new Error(`Cannot merge place ${placeId} into ${targetId}: place not found`);
+  }
+
+  await mergeEntity('place', placeId, targetId);
+  if ((target.latitude === null || target.longitude === null) && place.latitude !== null && place.longitude !== null) {
+    await updatePlace({
+      ...target,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      updated_at: new Date().toISOString()
+    });
+  }
+  await refreshPlaceVisits();
+};
+
+/**
+ * Get the saved places that look like duplicates of another saved place,
+ * leaving out pairs the user chose to keep apart
+ * @returns {Promise<Array>} [{ keep, duplicate }] with the place that is kept when merging
+ */
+export const getDuplicatePlaceSuggestions = async () => {
+  const keptApart = new Set(await getKeptApartPairs());
+  const suggestions = [];
+  for (const { keep, duplicates } of await findDuplicatePlaceSuggestions()) {
+    for (const duplicate of duplicates) {
+      if (!keptApart.has(getPairKey(duplicate.id, keep.id))) {
+        suggestions.push({ keep, duplicate });
+      }
+    }
+  }
+  return suggestions;
+};
+
+/**
+ * Merge a place the user confirmed as a duplicate into the place kept
+ * @param {string} duplicateId - ID of the duplicate place
+ * @param {string} keptId - ID of the place to keep
+ * @returns {Promise<void>}
+ */
+export const mergeDuplicatePlace = async (duplicateId, keptId) => {
+  await mergeEntity('place', duplicateId, keptId);
+  await refreshPlaceVisits();
+};
+
+/**
+ * Keep two places that look like duplicates apart, so they are no longer suggested
+ * @param {string} duplicateId - ID of the suggested duplicate
+ * @param {string} keptId - ID of the place it looks like
+ * @returns {Promise<void>}
+ */
+export const keepPlacesApart = async (duplicateId, keptId) => {
+  const pairs = await getKeptApartPairs();
+  const key = getPairKey(duplicateId, keptId);
+  if (!pairs.includes(key)) {
+    await AsyncStorage.setItem(KEPT_APART_PLACES_STORAGE_KEY, JSON.stringify([...pairs, key]));
+  }
+};
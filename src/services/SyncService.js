@@ -0,0 +1,341 @@
+/**
+ * SyncService.js
+ *
+ * End-to-end encrypted sync between devices through a self-hosted server
+ * (see server/README.md for the protocol and a reference server).
+ *
+ * Every device of an account shares a sync passphrase. Keys derived from it
+ * encrypt each record with AES-256-GCM before it leaves the device and
+ * authenticate the device to the server, which only ever sees opaque record
+ * keys, logical clocks and ciphertext. Local changes come from the change
+ * log in database/ChangeLog.js; concurrent changes to the same record are
+ * resolved by clock and device ID, so all devices end up with the same data.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { gcm } from '@noble/ciphers/aes';
+import { bytesToUtf8 } from '@noble/ciphers/utils';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { getRandomBytes } from 'expo-crypto';
+import {
+  getSyncState,
+  resetSyncState,
+  getPendingChanges,
+  markChangesPushed,
+  applyRemoteChanges
+} from '../database/ChangeLog';
+import { ARCHIVE_TABLES } from '../database/DataArchive';
+import { SENSITIVE_COLUMNS, encryptColumns, decryptRows } from '../database/EncryptedColumns';
+import {
+  deriveMasterKey,
+  isEncryptionEnabled,
+  isUnlocked,
+  encryptValue,
+  decryptValue,
+  isEncryptedValue
+} from './EncryptionService';
+import { bytesToBase64, base64ToBytes } from '../utils/base64';
+
+export const SYNC_PROTOCOL_VERSION = 'v1';
+
+// Storage keys
+const SYNC_CONFIG_STORAGE_KEY = 'memoria_sync_config';
+const DEVICE_ID_STORAGE_KEY = 'memoria_sync_device_id';
+const LAST_SYNC_STORAGE_KEY = 'memoria_last_sync_at';
+
+const PULL_PAGE_SIZE = 200;
+const PUSH_BATCH_SIZE = 100;
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+// Running sync, so concurrent callers share one run
+let syncPromise = null;
+
+/**
+ * Derive the keys of an account from its sync passphrase
+ * @param {string} accountId - Account on the sync server
+ * @param {string} passphrase - Sync passphrase shared by the account's devices
+ * @returns {Promise<Uint8Array>} Root key the other keys are derived from
+ */
+const deriveRootKey = async (accountId, passphrase) =>
+  await deriveMasterKey(passphrase, utf8ToBytes(`memoria-sync:${accountId}`));
+
+const deriveSubkey = (rootKey, purpose) =>
+  hkdf(sha256, rootKey, undefined, utf8ToBytes(`memoria-sync-${purpose}`), KEY_LENGTH);
+
+// Keys for one sync run; the auth token is the only one the server sees
+const deriveSyncKeys = (rootKey) => ({
+  dataKey: deriveSubkey(rootKey, 'data'),
+  recordKey: deriveSubkey(rootKey, 'record'),
+  authToken: bytesToHex(deriveSubkey(rootKey, 'auth'))
+});
+
+// Opaque ID of a record on the server, so table names and IDs stay private
+const getServerKey = (keys, table, recordId) =>
+  bytesToHex(hmac(sha256, keys.recordKey, utf8ToBytes(`${table}/${recordId}`)));
+
+// Encrypt a change, bound to its server key so it cannot be swapped with another record's
+const sealChange = (keys, serverKey, change) => {
+  const iv = getRandomBytes(IV_LENGTH);
+  const plaintext = utf8ToBytes(JSON.stringify(change));
+  return `${bytesToHex(iv)}:${bytesToBase64(gcm(keys.dataKey, iv, utf8ToBytes(serverKey)).encrypt(plaintext))}`;
+};
+
+// Reverse of sealChange; throws if the key is wrong or the data was altered
+const openChange = (keys, serverKey, payload) => {
+  const [ivHex, ciphertext] = payload.split(':');
+  const plaintext = gcm(keys.dataKey, hexToBytes(ivHex), utf8ToBytes(serverKey)).decrypt(base64ToBytes(ciphertext));
+  return JSON.parse(bytesToUtf8(plaintext));
+};
+
+/**
+ * Get this device's sync ID, creating it on first use
+ * @returns {Promise<string>} Device ID
+ */
+export const getDeviceId = async () => {
+  let deviceId = await AsyncStorage.getItem(DEVICE_ID_STORAGE_KEY);
+  if (!deviceId) {
+    deviceId = bytesToHex(getRandomBytes(8));
+    await AsyncStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+// The stored root key is encrypted like other sensitive values once a passphrase is set up
+const saveSyncConfig = async (config) => {
+  const rootKey = (await isEncryptionEnabled()) ? encryptValue(config.rootKey) : config.rootKey;
+  await AsyncStorage.setItem(SYNC_CONFIG_STORAGE_KEY, JSON.stringify({ ...config, rootKey }));
+};
+
+const loadSyncConfig = async () => {
+  const saved = await AsyncStorage.getItem(SYNC_CONFIG_STORAGE_KEY);
+  if (!saved) {
+    return null;
+  }
+
+  const config = JSON.parse(saved);
+  const storedRootKey = config.rootKey;
+  config.rootKey = decryptValue(storedRootKey);
+
+  // Set up before the passphrase was, so encrypt it now
+  if (!isEncryptedValue(storedRootKey) && (await isEncryptionEnabled())) {
+    await saveSyncConfig(config);
+  }
+  return config;
+};
+
+/**
+ * Send a request to the sync server
+ * @param {Object} config - Sync configuration
+ * @param {Object} keys - Keys from deriveSyncKeys
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the account, e.g. "/changes"
+ * @param {Object} body - Optional JSON body
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+const request = async (config, keys, method, path, body = null) => {
+  const url = `${config.serverUrl}/${SYNC_PROTOCOL_VERSION}/accounts/${encodeURIComponent(config.accountId)}${path}`;
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Bearer ${keys.authToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (response.status === 401) {
+    throw new Error('The sync server rejected the sync passphrase');
+  }
+  if (!response.ok) {
+    throw new Error(`Sync server responded with status ${response.status}`);
+  }
+  return await response.json();
+};
+
+// Deletes go children first, everything else parents first, so links always have their targets
+const sortForApplying = (changes) => {
+  const order = (change) => {
+    const position = ARCHIVE_TABLES.indexOf(change.table);
+    return change.operation === 'deleted' ? -1 - position : position;
+  };
+  return [...changes].sort((a, b) => order(a) - order(b));
+};
+
+/**
+ * Pull and apply every change made on other devices since the last sync
+ * @returns {Promise<Object>} { pulled, applied }
+ */
+const pullChanges = async (config, keys, deviceId) => {
+  let { pullCursor } = await getSyncState();
+  let pulled = 0;
+  let applied = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const page = await request(config, keys, 'GET', `/changes?since=${pullCursor}&limit=${PULL_PAGE_SIZE}`);
+    const changes = [];
+
+    for (const remote of page.changes) {
+      let change;
+      try {
+        change = openChange(keys, remote.key, remote.payload);
+      } catch (error) {
+        throw new Error('Synced data could not be decrypted; check the sync passphrase');
+      }
+
+      // Our own pushed changes come back too; they match the local version and are skipped
+      if (!ARCHIVE_TABLES.includes(change.table)) {
+        throw new Error('Synced data needs a newer version of Memoria');
+      }
+
+      const row = change.row && SENSITIVE_COLUMNS[change.table]
+        ? await encryptColumns(change.table, change.row)
+        : change.row;
+      changes.push({ ...change, row });
+    }
+
+    applied += await applyRemoteChanges(sortForApplying(changes), deviceId, page.cursor);
+    pulled += changes.length;
+    pullCursor = page.cursor;
+    hasMore = page.hasMore;
+  }
+
+  return { pulled, applied };
+};
+
+/**
+ * Push every local change that the server has not seen yet
+ * @returns {Promise<number>} Number of changes pushed
+ */
+const pushChanges = async (config, keys, deviceId) => {
+  let pushed = 0;
+
+  while (true) {
+    const pending = await getPendingChanges(PUSH_BATCH_SIZE);
+    if (pending.length === 0) {
+      break;
+    }
+
+    const changes = pending.map(change => {
+      const version = { clock: change.clock, deviceId: change.deviceId ?? deviceId };
+      const row = change.row && SENSITIVE_COLUMNS[change.table]
+        ? decryptRows(change.table, [change.row])[0]
+        : change.row;
+      const serverKey = getServerKey(keys, change.table, change.recordId);
+
+      return {
+        key: serverKey,
+        ...version,
+        payload: sealChange(keys, serverKey, {
+          table: change.table,
+          recordId: change.recordId,
+          operation: change.operation,
+          ...version,
+          row
+        })
+      };
+    });
+
+    await request(config, keys, 'POST', '/changes', { changes });
+    await markChangesPushed(pending, deviceId);
+    pushed += pending.length;
+
+    if (pending.length < PUSH_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return pushed;
+};
+
+/**
+ * Connect this device to a sync account. The first device to connect
+ * creates the account; later devices must use the same passphrase.
+ * Everything on this device is pushed on the next sync.
+ * @param {Object} options - { serverUrl, accountId, passphrase }
+ * @returns {Promise<void>}
+ */
+export const configureSync = async ({ serverUrl, accountId, passphrase }) => {
+  try {
+    const config = {
+      serverUrl: serverUrl.trim().replace(/\/+$/, ''),
+      accountId: accountId.trim(),
+      rootKey: bytesToHex(await deriveRootKey(accountId.trim(), passphrase))
+    };
+
+    // Checks the passphrase (and registers the account on first use)
+    await request(config, deriveSyncKeys(hexToBytes(config.rootKey)), 'GET', '/changes?since=0&limit=1');
+
+    await saveSyncConfig(config);
+    await resetSyncState();
+    await AsyncStorage.removeItem(LAST_SYNC_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error configuring sync:', error);
+    throw error;
+  }
+};
+
+/**
+ * Disconnect this device from its sync account. Local data is kept.
+ * @returns {Promise<void>}
+ */
+export const disableSync = async () => {
+  await AsyncStorage.multiRemove([SYNC_CONFIG_STORAGE_KEY, LAST_SYNC_STORAGE_KEY]);
+};
+
+/**
+ * Get the sync settings shown in settings
+ * @returns {Promise<Object|null>} { serverUrl, accountId, lastSyncAt }, or null if sync is off
+ */
+export const getSyncStatus = async () => {
+  const saved = await AsyncStorage.getItem(SYNC_CONFIG_STORAGE_KEY);
+  if (!saved) {
+    return null;
+  }
+
+  const { serverUrl, accountId } = JSON.parse(saved);
+  return { serverUrl, accountId, lastSyncAt: await AsyncStorage.getItem(LAST_SYNC_STORAGE_KEY) };
+};
+
+/**
+ * Pull changes from other devices, then push local changes
+ * @returns {Promise<Object|null>} { pulled, applied, pushed }, or null if sync is off
+ */
+export const syncNow = async () => {
+  if (syncPromise === null) {
+    syncPromise = (async () => {
+      if ((await isEncryptionEnabled()) && !isUnlocked()) {
+        throw new Error('Cannot sync while locked');
+      }
+
+      const config = await loadSyncConfig();
+      if (!config) {
+        return null;
+      }
+
+      const keys = deriveSyncKeys(hexToBytes(config.rootKey));
+      const deviceId = await getDeviceId();
+
+      const { pulled, applied } = await pullChanges(config, keys, deviceId);
+      const pushed = await pushChanges(config, keys, deviceId);
+      await AsyncStorage.setItem(LAST_SYNC_STORAGE_KEY, new Date().toISOString());
+
+      console.log(`Sync finished: ${applied} of ${pulled} pulled changes applied, ${pushed} pushed`);
+      return { pulled, applied, pushed };
+    })().finally(() => {
+      syncPromise = null;
+    });
+  }
+
+  try {
+    return await syncPromise;
+  } catch (error) {
+    console.error('Error syncing:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,58 @@
+/**
+ * TrashService.js
+ *
+ * How long deleted items stay in the trash before they are purged for good
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { purgeTrash } from '../database/TrashDB';
+
+// Storage key
+const TRASH_RETENTION_STORAGE_KEY = 'memoria_trash_retention_days';
+
+// Choices offered in the trash
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the number of days deleted items are kept
+ * @returns {Promise<number>} Days
+ */
+export const getTrashRetentionDays = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(TRASH_RETENTION_STORAGE_KEY);
+    return saved !== null ? parseInt(saved, 10) : DEFAULT_TRASH_RETENTION_DAYS;
+  } catch (error) {
+    console.error('Error loading trash retention:', error);
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+};
+
+/**
+ * Set the number of days deleted items are kept
+ * @param {number} days - One of TRASH_RETENTION_OPTIONS
+ * @returns {Promise<void>}
+ */
+export const setTrashRetentionDays = async (days) => {
+  await AsyncStorage.setItem(TRASH_RETENTION_STORAGE_KEY, String(days));
+};
+
+/**
+ * Permanently delete items that have been in the trash longer than the retention period
+ * @returns {Promise<number>} Number of items purged
+ */
+export const purgeExpiredTrash = async () => {
+  try {
+    const days = await getTrashRetentionDays();
+    const purgedCount = await purgeTrash(new Date(Date.now() - days * DAY_MS));
+    if (purgedCount > 0) {
+      console.log(`Purged ${purgedCount} items from the trash`);
+    }
+    return purgedCount;
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+    throw error;
+  }
+};
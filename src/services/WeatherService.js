@@ -0,0 +1,188 @@
+/**
+ * WeatherService.js
+ *
+ * Weather for geotagged entries. Weather is looked up by place and hour,
+ * first in the local cache (database/WeatherCacheDB.js), then from the
+ * weather provider (utils/weather.js). Open-Meteo is used unless the user
+ * picks OpenWeatherMap, which needs an API key; setWeatherProvider() swaps
+ * in any provider, e.g. the mock provider or one pointing to a local test
+ * server.
+ *
+ * Errors are passed on rather than replaced with mock weather, so made-up
+ * weather never ends up on real entries. backfillWeather() fills in the
+ * weather of past entries that have none or only mock weather.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getCachedWeather, saveCachedWeather } from '../database/WeatherCacheDB';
+import { getMoodEntriesWithoutWeather, updateMoodEntry } from '../database/MoodsDB';
+import {
+  createOpenMeteoProvider,
+  createOpenWeatherMapProvider,
+  getHourStart,
+  isMockWeather,
+  OPENWEATHERMAP_API_KEY
+} from '../utils/weather';
+
+const WEATHER_PROVIDER_STORAGE_KEY = 'weatherProvider';
+
+export const DEFAULT_WEATHER_PROVIDER = 'open-meteo';
+
+// Failed lookups in a row after which a backfill gives up, e.g. when offline
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+const PROVIDER_FACTORIES = {
+  'open-meteo': createOpenMeteoProvider,
+  openweathermap: createOpenWeatherMapProvider
+};
+
+// Provider set with setWeatherProvider(), taking precedence over the saved choice
+let providerOverride = null;
+
+/**
+ * Names of the providers the user can pick; OpenWeatherMap only with an API key
+ * @returns {Array<string>} Provider names
+ */
+export const getAvailableWeatherProviders = () =>
+  Object.keys(PROVIDER_FACTORIES).filter(name => name !== 'openweathermap' || OPENWEATHERMAP_API_KEY);
+
+/**
+ * Get the name of the provider the user picked
+ * @returns {Promise<string>} Provider name
+ */
+export const getWeatherProviderName = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(WEATHER_PROVIDER_STORAGE_KEY);
+    return saved && getAvailableWeatherProviders().includes(saved) ? saved : DEFAULT_WEATHER_PROVIDER;
+  } catch (error) {
+    console.error('Error loading weather provider preference:', error);
+    return DEFAULT_WEATHER_PROVIDER;
+  }
+};
+
+/**
+ * Save the provider the user picked
+ * @param {string} name - One of getAvailableWeatherProviders()
+ * @returns {Promise<void>}
+ */
+export const setWeatherProviderName = async (name) => {
+  if (!getAvailableWeatherProviders().includes(name)) {
+    throw new Error(`Unknown weather provider: ${name}`);
+  }
+  await AsyncStorage.setItem(WEATHER_PROVIDER_STORAGE_KEY, name);
+};
+
+/**
+ * Use a provider regardless of the saved choice, or null to go back to it
+ * @param {Object|null} provider - { name, fetchHourly(latitude, longitude, time) }
+ */
+export const setWeatherProvider = (provider) => {
+  if (provider && typeof provider.fetchHourly !== 'function') {
+    throw new Error('A weather provider needs a fetchHourly function');
+  }
+  providerOverride = provider;
+};
+
+/**
+ * Get the provider weather is fetched from
+ * @returns {Promise<Object>} { name, fetchHourly(latitude, longitude, time) }
+ */
+export const getWeatherProvider = async () =>
+  providerOverride || PROVIDER_FACTORIES[await getWeatherProviderName()]();
+
+/**
+ * Get the weather of a place at a time. Observations are cached per hour;
+ * mock observations and forecasts are not cached.
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Date|string|number} time - Time, now by default
+ * @returns {Promise<Object>} { condition, description, temperature, feelsLike, humidity, windSpeed,
+ *   icon, iconUrl, time, isMockData, source } with source the provider name
+ * @throws {Error} If the provider fails or has no weather for the hour
+ */
+export const getWeather = async (latitude, longitude, time = new Date()) => {
+  try {
+    const cached = await getCachedWeather(latitude, longitude, time);
+    if (cached) {
+      return cached;
+    }
+  } catch (error) {
+    console.error('Error reading weather cache:', error);
+  }
+
+  const provider = await getWeatherProvider();
+  const observations = await provider.fetchHourly(latitude, longitude, time);
+  const hour = getHourStart(time).getTime();
+  const observation = observations.find(item => getHourStart(item.time).getTime() === hour) ||
+    (observations.length === 1 ? observations[0] : null);
+  if (!observation) {
+    throw new Error(`No weather from ${provider.name} for ${new Date(hour).toISOString()}`);
+  }
+
+  // Hours still to come are forecasts, which are not cached in place of the weather that follows
+  const observed = observations.filter(item => !item.isMockData && new Date(item.time).getTime() <= Date.now());
+  if (observed.length > 0) {
+    await saveCachedWeather(latitude, longitude, observed, provider.name).catch(error => {
+      console.error('Error caching weather:', error);
+    });
+  }
+  return { ...observation, source: provider.name };
+};
+
+/**
+ * Fill in the weather of past geotagged mood entries without weather or
+ * with mock weather, newest first. Stops early after repeated failures.
+ * @param {Object} options - { limit, onProgress(done, total) }
+ * @returns {Promise<Object>} { filled, failed, remaining } entry counts
+ */
+export const backfillWeather = async ({ limit = 100, onProgress } = {}) => {
+  const entries = await getMoodEntriesWithoutWeather();
+  const batch = entries.slice(0, limit);
+  let filled = 0;
+  let failed = 0;
+  let failuresInRow = 0;
+
+  for (const entry of batch) {
+    try {
+      const weather = await getWeather(
+        Number(entry.locationData.latitude),
+        Number(entry.locationData.longitude),
+        entry.entry_time
+      );
+      if (weather.isMockData) {
+        throw new Error('The weather provider returns mock weather');
+      }
+
+      const replacesWeather = !entry.weather || isMockWeather(entry.weatherData);
+      await updateMoodEntry(entry.id, {
+        weather: replacesWeather ? `${weather.condition}, ${weather.temperature}°C` : undefined,
+        weatherData: {
+          condition: weather.condition,
+          description: weather.description,
+          temperature: weather.temperature,
+          feelsLike: weather.feelsLike,
+          icon: weather.icon,
+          humidity: weather.humidity,
+          windSpeed: weather.windSpeed,
+          timestamp: new Date(weather.time).getTime(),
+          source: weather.source,
+          isMockData: false
+        }
+      });
+      filled++;
+      failuresInRow = 0;
+    } catch (error) {
+      console.error(`Error filling in weather of mood ${entry.id}:`, error);
+      failed++;
+      failuresInRow++;
+      if (failuresInRow >= MAX_CONSECUTIVE_FAILURES) {
+        break;
+      }
+    }
+    if (onProgress) {
+      onProgress(filled + failed, batch.length);
+    }
+  }
+
+  return { filled, failed, remaining: entries.length - filled };
+};
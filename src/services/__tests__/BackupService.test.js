@@ -0,0 +1,100 @@
+import * as FileSystem from 'expo-file-system';
+import { getDatabase } from '../../database/Database';
+import { MIGRATIONS } from '../../database/Migrations';
+import { setupEncryption } from '../EncryptionService';
+import { createBackup, listBackups, openBackup, restoreBackup } from '../BackupService';
+
+// Setting up encryption and opening backups derive keys with the full PBKDF2 iteration count
+jest.setTimeout(60000);
+
+const PASSPHRASE = 'correct horse battery staple';
+const PHOTO_URI = FileSystem.documentDirectory + 'media/food/lunch.jpg';
+// Larger than the chunks bundles are read in
+const VIDEO_URI = FileSystem.documentDirectory + 'media/video/clip.mp4';
+const VIDEO_BYTES = Buffer.alloc(600 * 1024, 'memoria');
+
+const insertFood = async (id, name) => {
+  const db = await getDatabase();
+  const now = new Date().toISOString();
+  await db.runAsync(
+    'INSERT INTO food_entries (id, name, date, image_uri, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, name, '2026-10-19', PHOTO_URI, now, now]
+  );
+};
+
+const findLeftovers = () => [...FileSystem.__files.keys()].filter(uri =>
+  /restore-staging\/|media-previous\/|SQLite\/restore\.db/.test(uri)
+);
+
+const getFoodNames = async () => {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync('SELECT name FROM food_entries ORDER BY id');
+  return rows.map(row => row.name);
+};
+
+beforeAll(async () => {
+  await setupEncryption(PASSPHRASE);
+  await insertFood('f1', 'Lunch');
+  await FileSystem.writeAsStringAsync(PHOTO_URI, 'original photo');
+  FileSystem.__files.set(VIDEO_URI, VIDEO_BYTES);
+});
+
+describe('createBackup / restoreBackup', () => {
+  let backupUri;
+
+  it('writes a bundle that opens and verifies', async () => {
+    const result = await createBackup();
+    backupUri = result.fileUri;
+
+    expect(result.fileCount).toBe(2);
+    expect((await listBackups()).map(backup => backup.fileUri)).toEqual([backupUri]);
+    expect(FileSystem.__files.has(`${backupUri}.partial`)).toBe(false);
+
+    const backup = await openBackup(backupUri);
+    expect(backup.manifest.schemaVersion).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+    expect(backup.manifest.files.map(file => file.path)).toEqual(['media/food/lunch.jpg', 'media/video/clip.mp4']);
+  });
+
+  it('brings back the database and media, leaving no staging files behind', async () => {
+    await insertFood('f2', 'Dinner');
+    await FileSystem.writeAsStringAsync(PHOTO_URI, 'changed photo');
+    await FileSystem.writeAsStringAsync(FileSystem.documentDirectory + 'media/food/extra.jpg', 'extra');
+
+    expect(await restoreBackup(backupUri)).toBe(true);
+
+    expect(await getFoodNames()).toEqual(['Lunch']);
+    expect(await FileSystem.readAsStringAsync(PHOTO_URI)).toBe('original photo');
+    expect(FileSystem.__files.get(VIDEO_URI).equals(VIDEO_BYTES)).toBe(true);
+    expect((await FileSystem.getInfoAsync(FileSystem.documentDirectory + 'media/food/extra.jpg')).exists).toBe(false);
+    expect(findLeftovers()).toEqual([]);
+  });
+
+  it('stops at a damaged entry and discards what was staged', async () => {
+    const bundle = FileSystem.__files.get(backupUri).toString();
+    // Alter the first character of the photo's ciphertext
+    const at = bundle.indexOf(':', bundle.indexOf('"f1":"') + 6) + 1;
+    const damagedUri = backupUri.replace('.memoria-backup', '-damaged.memoria-backup');
+    const altered = bundle[at] === 'A' ? 'B' : 'A';
+    FileSystem.__files.set(damagedUri, Buffer.from(bundle.slice(0, at) + altered + bundle.slice(at + 1)));
+    await insertFood('f2', 'Dinner');
+
+    await expect(restoreBackup(damagedUri)).rejects.toThrow('Backup is damaged at media/food/lunch.jpg');
+    expect(await getFoodNames()).toEqual(['Lunch', 'Dinner']);
+    expect(findLeftovers()).toEqual([]);
+    FileSystem.__files.delete(damagedUri);
+  });
+
+  it('rejects a backup from a newer schema without touching the data', async () => {
+    MIGRATIONS.push({ version: MIGRATIONS[MIGRATIONS.length - 1].version + 1, up: async () => {} });
+    let newerUri;
+    try {
+      newerUri = (await createBackup()).fileUri;
+    } finally {
+      MIGRATIONS.pop();
+    }
+    await insertFood('f3', 'Breakfast');
+
+    await expect(restoreBackup(newerUri)).rejects.toThrow('newer than supported');
+    expect(await getFoodNames()).toEqual(['Lunch', 'Dinner', 'Breakfast']);
+  });
+});
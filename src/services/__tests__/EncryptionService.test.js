@@ -0,0 +1,168 @@
+import { getDatabase } from '../../database/Database';
+import { decryptRows, encryptColumns, reencryptAllRows } from '../../database/EncryptedColumns';
+import {
+  createRecoveryCode,
+  decryptValue,
+  deleteRetiredKeys,
+  encryptValue,
+  getActiveKeyId,
+  getEncryptedValuePrefix,
+  hasRetiredKeys,
+  isEncryptedValue,
+  isUnlocked,
+  lock,
+  rotateDataKey,
+  setupEncryption,
+  unlock,
+  unlockWithRecoveryCode,
+  verifyPassphrase
+} from '../EncryptionService';
+
+// Every unlock derives a key with the full PBKDF2 iteration count
+jest.setTimeout(60000);
+
+const PASSPHRASE = 'correct horse battery staple';
+
+const insertMood = async (id, notes) => {
+  const db = await getDatabase();
+  const now = new Date().toISOString();
+  await db.runAsync(
+    'INSERT INTO mood_entries (id, entry_time, rating, emotion, notes, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [id, Date.now(), 3, 'calm', notes, now, now]
+  );
+};
+
+const getStoredNotes = async (id) => {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync('SELECT notes FROM mood_entries WHERE id = ?', [id]);
+  return rows[0].notes;
+};
+
+beforeAll(async () => {
+  await insertMood('before-setup', 'Written before the passphrase was set');
+  await setupEncryption(PASSPHRASE);
+});
+
+describe('encryptValue / decryptValue', () => {
+  it.each([
+    ['a string', 'Walk by the river'],
+    ['an empty string', ''],
+    ['unicode', 'Grüße aus Köln 🌧️'],
+    ['a number', 42.5],
+    ['a boolean', false],
+    ['an object', { latitude: 52.52, tags: ['park', 'friends'] }]
+  ])('round-trips %s', (label, value) => {
+    const encrypted = encryptValue(value);
+    expect(isEncryptedValue(encrypted)).toBe(true);
+    expect(encrypted.startsWith(getEncryptedValuePrefix(getActiveKeyId()))).toBe(true);
+    expect(decryptValue(encrypted)).toEqual(value);
+  });
+
+  it('uses a fresh IV for every value', () => {
+    expect(encryptValue('same')).not.toBe(encryptValue('same'));
+  });
+
+  it('keeps null and already encrypted values as they are', () => {
+    const encrypted = encryptValue('once');
+    expect(encryptValue(null)).toBeNull();
+    expect(encryptValue(undefined)).toBeNull();
+    expect(encryptValue(encrypted)).toBe(encrypted);
+    expect(decryptValue('plain text')).toBe('plain text');
+  });
+
+  it('rejects values that were altered', () => {
+    const encrypted = encryptValue('do not touch');
+    const last = encrypted.slice(-1) === '0' ? '1' : '0';
+    expect(() => decryptValue(encrypted.slice(0, -1) + last)).toThrow();
+  });
+
+  it('round-trips the sensitive columns of a row', async () => {
+    const values = await encryptColumns('mood_entries', { notes: 'Secret', rating: 4 });
+    expect(isEncryptedValue(values.notes)).toBe(true);
+    expect(values.rating).toBe(4);
+    expect(decryptRows('mood_entries', [values])).toEqual([{ notes: 'Secret', rating: 4 }]);
+  });
+});
+
+describe('unlocking', () => {
+  it('rejects a wrong passphrase and stays locked', async () => {
+    const encrypted = encryptValue('Only with the passphrase');
+    lock();
+
+    expect(await unlock('wrong passphrase')).toBe(false);
+    expect(isUnlocked()).toBe(false);
+    expect(await verifyPassphrase('wrong passphrase')).toBe(false);
+    expect(() => decryptValue(encrypted)).toThrow('Cannot decrypt while locked');
+    expect(() => encryptValue('anything')).toThrow('Cannot encrypt while locked');
+
+    expect(await unlock(PASSPHRASE)).toBe(true);
+    expect(decryptValue(encrypted)).toBe('Only with the passphrase');
+  });
+
+  it('unlocks with a recovery code, with or without dashes', async () => {
+    const code = await createRecoveryCode();
+    expect(code).toMatch(/^[0-9A-Z]{4}(-[0-9A-Z]{4})+$/);
+    const encrypted = encryptValue('Recoverable');
+
+    lock();
+    expect(await unlockWithRecoveryCode('0000-0000-0000-0000')).toBe(false);
+    expect(isUnlocked()).toBe(false);
+
+    expect(await unlockWithRecoveryCode(code.replace(/-/g, '').toLowerCase())).toBe(true);
+    expect(decryptValue(encrypted)).toBe('Recoverable');
+
+    lock();
+    expect(await unlockWithRecoveryCode(code)).toBe(true);
+    expect(decryptValue(encrypted)).toBe('Recoverable');
+  });
+});
+
+describe('reencryptAllRows', () => {
+  it('encrypts values written before setup', async () => {
+    expect(await getStoredNotes('before-setup')).toBe('Written before the passphrase was set');
+
+    expect(await reencryptAllRows()).toBeGreaterThan(0);
+
+    const stored = await getStoredNotes('before-setup');
+    expect(stored.startsWith(getEncryptedValuePrefix(getActiveKeyId()))).toBe(true);
+    expect(decryptValue(stored)).toBe('Written before the passphrase was set');
+  });
+
+  it('moves values from retired keys onto the active key after a rotation', async () => {
+    const oldKeyId = getActiveKeyId();
+    await insertMood('old-key', encryptValue('Under the old key'));
+
+    const newKeyId = await rotateDataKey();
+    expect(newKeyId).not.toBe(oldKeyId);
+    expect(await hasRetiredKeys()).toBe(true);
+    expect((await getStoredNotes('old-key')).startsWith(getEncryptedValuePrefix(oldKeyId))).toBe(true);
+
+    const progress = [];
+    await reencryptAllRows(count => progress.push(count));
+    expect(progress.length).toBeGreaterThan(0);
+
+    const db = await getDatabase();
+    const rows = await db.getAllAsync('SELECT id, notes FROM mood_entries WHERE notes IS NOT NULL');
+    for (const row of rows) {
+      expect(row.notes.startsWith(getEncryptedValuePrefix(newKeyId))).toBe(true);
+    }
+
+    // Nothing depends on the retired key anymore, so it can go
+    await deleteRetiredKeys();
+    expect(await hasRetiredKeys()).toBe(false);
+    expect(decryptValue(await getStoredNotes('old-key'))).toBe('Under the old key');
+    expect(decryptValue(await getStoredNotes('before-setup'))).toBe('Written before the passphrase was set');
+
+    // The rotated key is still found after locking and unlocking
+    lock();
+    expect(await unlock(PASSPHRASE)).toBe(true);
+    expect(getActiveKeyId()).toBe(newKeyId);
+    expect(decryptValue(await getStoredNotes('old-key'))).toBe('Under the old key');
+  });
+
+  it('refuses to run while locked', async () => {
+    lock();
+    await expect(reencryptAllRows()).rejects.toThrow('Cannot re-encrypt while locked');
+    expect(await unlock(PASSPHRASE)).toBe(true);
+  });
+});
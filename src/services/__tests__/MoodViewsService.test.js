@@ -0,0 +1,29 @@
+import { countMoodFilters, fromRangeDay, toMoodQuery, toRangeDay } from '../MoodViewsService';
+
+describe('toMoodQuery', () => {
+  it('covers whole days of a custom date range', () => {
+    const query = toMoodQuery({ dateRange: { start: '2026-03-01', end: '2026-03-31' }, minRating: 3 });
+    expect(query).toEqual({
+      minRating: 3,
+      startDate: new Date(2026, 2, 1),
+      endDate: new Date(2026, 2, 31, 23, 59, 59, 999)
+    });
+  });
+
+  it('leaves a relative date range open at the end', () => {
+    const query = toMoodQuery({ dateRange: 'thisYear' });
+    expect(query.startDate).toEqual(new Date(new Date().getFullYear(), 0, 1));
+    expect(query.endDate).toBeUndefined();
+  });
+
+  it('counts a custom date range as one filter', () => {
+    expect(countMoodFilters({ dateRange: { start: '2026-03-01', end: '2026-03-31' } })).toBe(1);
+  });
+});
+
+describe('range days', () => {
+  it('round-trips local dates', () => {
+    expect(toRangeDay(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+    expect(fromRangeDay('2026-01-05')).toEqual(new Date(2026, 0, 5));
+  });
+});
@@ -0,0 +1,155 @@
+const { createSyncServer } = require('../../../server/sync-server');
+
+// Connecting a device derives the sync keys with the full PBKDF2 iteration count
+jest.setTimeout(60000);
+
+const ACCOUNT_ID = 'family';
+const PASSPHRASE = 'shared sync passphrase';
+const MOOD_ID = 'mood-picnic';
+const NOTES = 'Picnic in the park with Ada';
+
+let server;
+let serverUrl;
+let requests;
+let deviceA;
+let deviceB;
+
+/**
+ * Load the app modules for one device. Each gets its own module registry,
+ * so its own database, files and storage.
+ */
+const createDevice = async (deviceId) => {
+  const device = {};
+  jest.isolateModules(() => {
+    device.storage = require('@react-native-async-storage/async-storage');
+    device.sync = require('../SyncService');
+    device.getDatabase = require('../../database/Database').getDatabase;
+  });
+
+  await device.storage.setItem('memoria_sync_device_id', deviceId);
+  await device.sync.configureSync({ serverUrl, accountId: ACCOUNT_ID, passphrase: PASSPHRASE });
+  return device;
+};
+
+const run = async (device, sql, params = []) => (await device.getDatabase()).runAsync(sql, params);
+
+const getMood = async (device) => {
+  const db = await device.getDatabase();
+  const rows = await db.getAllAsync('SELECT rating, notes FROM mood_entries WHERE id = ?', [MOOD_ID]);
+  return rows[0] || null;
+};
+
+const getClock = async (device, table, recordId) => {
+  const db = await device.getDatabase();
+  const rows = await db.getAllAsync(
+    'SELECT clock FROM sync_changes WHERE table_name = ? AND record_id = ?',
+    [table, recordId]
+  );
+  return rows[0].clock;
+};
+
+beforeAll(async () => {
+  server = createSyncServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  serverUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const fetchSpy = jest.spyOn(global, 'fetch');
+  requests = fetchSpy.mock.calls;
+
+  deviceA = await createDevice('device-a');
+  deviceB = await createDevice('device-b');
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('syncNow', () => {
+  it('pushes local changes and pulls them on the other device', async () => {
+    const now = new Date().toISOString();
+    await run(deviceA,
+      `INSERT INTO mood_entries (id, entry_time, rating, emotion, notes, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [MOOD_ID, 1760000000000, 4, 'joyful', NOTES, now, now]
+    );
+    await run(deviceA, 'INSERT INTO mood_tags (id, mood_id, tag_name) VALUES (?, ?, ?)', ['tag-picnic', MOOD_ID, 'outdoors']);
+    await run(deviceB,
+      'INSERT INTO food_entries (id, name, date, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+      ['food-soup', 'Pumpkin soup', now, now, now]
+    );
+
+    expect(await getMood(deviceB)).toBeNull();
+
+    expect((await deviceA.sync.syncNow()).pushed).toBe(2);
+    const pulledByB = await deviceB.sync.syncNow();
+    expect(pulledByB).toMatchObject({ pulled: 2, applied: 2, pushed: 1 });
+    await deviceA.sync.syncNow();
+
+    expect(await getMood(deviceB)).toEqual({ rating: 4, notes: NOTES });
+    const tags = await (await deviceB.getDatabase()).getAllAsync('SELECT tag_name FROM mood_tags WHERE mood_id = ?', [MOOD_ID]);
+    expect(tags).toEqual([{ tag_name: 'outdoors' }]);
+    const foods = await (await deviceA.getDatabase()).getAllAsync('SELECT name FROM food_entries');
+    expect(foods).toEqual([{ name: 'Pumpkin soup' }]);
+  });
+
+  it('keeps the concurrent edit with the higher clock', async () => {
+    await run(deviceA, 'UPDATE mood_entries SET rating = 2 WHERE id = ?', [MOOD_ID]);
+    await run(deviceA, 'UPDATE mood_entries SET notes = ? WHERE id = ?', ['Edited twice on A', MOOD_ID]);
+    await run(deviceB, 'UPDATE mood_entries SET notes = ? WHERE id = ?', ['Edited once on B', MOOD_ID]);
+    expect(await getClock(deviceA, 'mood_entries', MOOD_ID))
+      .toBeGreaterThan(await getClock(deviceB, 'mood_entries', MOOD_ID));
+
+    // The older edit reaches the server first and is still replaced
+    await deviceB.sync.syncNow();
+    await deviceA.sync.syncNow();
+    await deviceB.sync.syncNow();
+
+    expect(await getMood(deviceA)).toEqual({ rating: 2, notes: 'Edited twice on A' });
+    expect(await getMood(deviceB)).toEqual({ rating: 2, notes: 'Edited twice on A' });
+  });
+
+  it('breaks clock ties by the higher device ID', async () => {
+    await run(deviceA, 'UPDATE mood_entries SET notes = ? WHERE id = ?', ['Tie on A', MOOD_ID]);
+    await run(deviceB, 'UPDATE mood_entries SET notes = ? WHERE id = ?', ['Tie on B', MOOD_ID]);
+    expect(await getClock(deviceA, 'mood_entries', MOOD_ID))
+      .toBe(await getClock(deviceB, 'mood_entries', MOOD_ID));
+
+    await deviceA.sync.syncNow();
+    await deviceB.sync.syncNow();
+    await deviceA.sync.syncNow();
+
+    expect((await getMood(deviceA)).notes).toBe('Tie on B');
+    expect((await getMood(deviceB)).notes).toBe('Tie on B');
+  });
+
+  it('propagates deletes, including rows removed by a cascade', async () => {
+    await run(deviceB, 'DELETE FROM mood_entries WHERE id = ?', [MOOD_ID]);
+
+    await deviceB.sync.syncNow();
+    await deviceA.sync.syncNow();
+
+    expect(await getMood(deviceA)).toBeNull();
+    const tags = await (await deviceA.getDatabase()).getAllAsync('SELECT id FROM mood_tags');
+    expect(tags).toEqual([]);
+  });
+
+  it('sends the server nothing but opaque keys, clocks, device IDs and ciphertext', () => {
+    const pushes = requests.filter(([, options]) => options.method === 'POST');
+    expect(pushes.length).toBeGreaterThan(0);
+
+    for (const [url, options] of requests) {
+      const sent = `${url} ${JSON.stringify(options.headers)} ${options.body || ''}`;
+      for (const plaintext of [MOOD_ID, 'Picnic', 'Pumpkin', 'outdoors', 'mood_entries', 'Tie on', PASSPHRASE]) {
+        expect(sent).not.toContain(plaintext);
+      }
+    }
+    for (const [, options] of pushes) {
+      for (const change of JSON.parse(options.body).changes) {
+        expect(Object.keys(change).sort()).toEqual(['clock', 'deviceId', 'key', 'payload']);
+        expect(change.key).toMatch(/^[0-9a-f]{64}$/);
+        expect(change.payload).toMatch(/^[0-9a-f]{24}:[A-Za-z0-9+/]+=*$/);
+      }
+    }
+  });
+});
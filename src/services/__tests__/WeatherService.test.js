@@ -0,0 +1,189 @@
+import { getCachedWeather } from '../../database/WeatherCacheDB';
+import { getMoodEntriesWithoutWeather, getMoodEntryById, saveMoodEntry } from '../../database/MoodsDB';
+import {
+  createMockWeatherProvider,
+  createOpenMeteoProvider,
+  getHourStart,
+  getMockWeatherData
+} from '../../utils/weather';
+import { backfillWeather, getWeather, setWeatherProvider } from '../WeatherService';
+
+const { createMockWeatherServer, getMockHour } = require('../../../server/mock-weather-server');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// WMO codes the mock server uses -> [condition, description, icon without day or night]
+const EXPECTED_WMO_CODES = {
+  0: ['Clear', 'clear sky', '01'],
+  1: ['Clouds', 'mainly clear', '02'],
+  2: ['Clouds', 'partly cloudy', '03'],
+  3: ['Clouds', 'overcast', '04'],
+  45: ['Fog', 'fog', '50'],
+  51: ['Drizzle', 'light drizzle', '09'],
+  61: ['Rain', 'light rain', '10'],
+  63: ['Rain', 'rain', '10'],
+  71: ['Snow', 'light snow', '13'],
+  80: ['Rain', 'light rain showers', '09'],
+  95: ['Thunderstorm', 'thunderstorm', '11']
+};
+
+const MUNICH = { latitude: 48.1372, longitude: 11.5756 };
+
+// Within the Open-Meteo forecast API's reach, and from its archive
+const RECENT = getHourStart(Date.now() - 2 * DAY_MS).getTime() + 20 * 60 * 1000;
+const LONG_AGO = getHourStart(Date.now() - 200 * DAY_MS).getTime() + 20 * 60 * 1000;
+
+let server;
+let serverUrl;
+let fetchSpy;
+
+const createLocalProvider = () => createOpenMeteoProvider({ baseUrl: serverUrl, archiveBaseUrl: serverUrl });
+
+const requestedPaths = () => fetchSpy.mock.calls.map(([url]) => new URL(url).pathname);
+
+const saveMood = (id, entryTime, fields = {}) => saveMoodEntry({
+  id,
+  entry_time: entryTime,
+  rating: 3,
+  emotion: 'calm',
+  ...fields
+});
+
+beforeAll(async () => {
+  server = createMockWeatherServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  serverUrl = `http://127.0.0.1:${server.address().port}`;
+  setWeatherProvider(createLocalProvider());
+  fetchSpy = jest.spyOn(global, 'fetch');
+});
+
+beforeEach(() => {
+  fetchSpy.mockClear();
+});
+
+afterAll(async () => {
+  setWeatherProvider(null);
+  fetchSpy.mockRestore();
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('Open-Meteo provider', () => {
+  it('maps WMO codes to conditions and day or night icons', async () => {
+    const provider = createLocalProvider();
+    const seenCodes = new Set();
+
+    for (const daysAgo of [1, 2, 3, 4, 5]) {
+      const observations = await provider.fetchHourly(MUNICH.latitude, MUNICH.longitude, Date.now() - daysAgo * DAY_MS);
+      expect(observations).toHaveLength(24);
+
+      for (const observation of observations) {
+        const mock = getMockHour(MUNICH.latitude, MUNICH.longitude, observation.time.slice(0, 16));
+        const [condition, description, icon] = EXPECTED_WMO_CODES[mock.weatherCode];
+        const iconCode = `${icon}${mock.isDay ? 'd' : 'n'}`;
+        expect(observation).toMatchObject({
+          condition,
+          description,
+          icon: iconCode,
+          iconUrl: `https://openweathermap.org/img/wn/${iconCode}@2x.png`,
+          temperature: Math.round(mock.temperature),
+          humidity: mock.humidity,
+          isMockData: false
+        });
+        seenCodes.add(mock.weatherCode);
+      }
+    }
+    expect(seenCodes.size).toBeGreaterThan(3);
+  });
+
+  it('asks the archive for hours older than the forecast API covers', async () => {
+    const observations = await createLocalProvider().fetchHourly(MUNICH.latitude, MUNICH.longitude, LONG_AGO);
+
+    expect(observations).toHaveLength(24);
+    expect(requestedPaths()).toEqual(['/v1/archive']);
+  });
+});
+
+describe('getWeather', () => {
+  it('answers from the cache for the same rounded place and any hour of a fetched day', async () => {
+    const fetched = await getWeather(52.5201, 13.4049, RECENT);
+    expect(fetched.source).toBe('open-meteo');
+    expect(fetched.time).toBe(getHourStart(RECENT).toISOString());
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+    // Rounds to the same 52.52, 13.40 and the same hour
+    expect(await getWeather(52.5249, 13.4001, RECENT + 30 * 60 * 1000)).toEqual(fetched);
+    // The rest of the day came with the first request
+    const nextHour = await getWeather(52.5201, 13.4049, RECENT + HOUR_MS);
+    expect(nextHour.time).toBe(getHourStart(RECENT + HOUR_MS).toISOString());
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+    // A place about a kilometre away is looked up again
+    await getWeather(52.5351, 13.4049, RECENT);
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('marks mock weather and keeps it out of the cache', async () => {
+    setWeatherProvider(createMockWeatherProvider());
+    try {
+      const weather = await getWeather(40.4168, -3.7038, RECENT);
+      expect(weather.isMockData).toBe(true);
+      expect(await getCachedWeather(40.4168, -3.7038, RECENT)).toBeNull();
+    } finally {
+      setWeatherProvider(createLocalProvider());
+    }
+  });
+});
+
+describe('backfillWeather', () => {
+  beforeAll(async () => {
+    await saveMood('without-weather', RECENT, { locationData: MUNICH });
+    await saveMood('with-mock-weather', LONG_AGO, {
+      locationData: MUNICH,
+      weather: 'Clear, 22°C',
+      weatherData: getMockWeatherData()
+    });
+    await saveMood('with-real-weather', RECENT - DAY_MS, {
+      locationData: MUNICH,
+      weather: 'Rain, 9°C',
+      weatherData: { condition: 'Rain', temperature: 9, source: 'open-meteo', isMockData: false }
+    });
+    await saveMood('without-location', RECENT);
+  });
+
+  it('stores the mock flag and picks up entries without weather or with mock weather', async () => {
+    expect((await getMoodEntryById('with-mock-weather')).weatherData.isMockData).toBe(true);
+
+    const entries = await getMoodEntriesWithoutWeather();
+    expect(entries.map(entry => entry.id)).toEqual(['without-weather', 'with-mock-weather']);
+  });
+
+  it('never fills in mock weather', async () => {
+    setWeatherProvider(createMockWeatherProvider());
+    try {
+      expect(await backfillWeather()).toEqual({ filled: 0, failed: 2, remaining: 2 });
+    } finally {
+      setWeatherProvider(createLocalProvider());
+    }
+    expect((await getMoodEntryById('with-mock-weather')).weatherData.isMockData).toBe(true);
+  });
+
+  it('fills in provider weather and replaces mock weather', async () => {
+    const progress = [];
+    const result = await backfillWeather({ onProgress: (done, total) => progress.push([done, total]) });
+
+    expect(result).toEqual({ filled: 2, failed: 0, remaining: 0 });
+    expect(progress).toEqual([[1, 2], [2, 2]]);
+    expect(requestedPaths().sort()).toEqual(['/v1/archive', '/v1/forecast']);
+
+    const replaced = await getMoodEntryById('with-mock-weather');
+    const mock = getMockHour(MUNICH.latitude, MUNICH.longitude, getHourStart(LONG_AGO).toISOString().slice(0, 16));
+    const [condition] = EXPECTED_WMO_CODES[mock.weatherCode];
+    expect(replaced.weather).toBe(`${condition}, ${Math.round(mock.temperature)}°C`);
+    expect(replaced.weatherData).toMatchObject({ condition, source: 'open-meteo', isMockData: false });
+
+    expect((await getMoodEntryById('without-weather')).weatherData.isMockData).toBe(false);
+    expect((await getMoodEntryById('with-real-weather')).weather).toBe('Rain, 9°C');
+    expect(await getMoodEntriesWithoutWeather()).toEqual([]);
+  });
+});
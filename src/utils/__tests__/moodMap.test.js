@@ -0,0 +1,99 @@
+import { binMapPoints, filterMapPoints, MAP_CELL_SIZE_METERS } from '../moodMap';
+
+// At the equator a degree is this many metres in both directions
+const METERS_PER_DEGREE = (Math.PI / 180) * 6371008.8;
+
+// A point x metres east and y metres north of 0°, 0°
+const at = (x, y, extra = {}) => ({ latitude: y / METERS_PER_DEGREE, longitude: x / METERS_PER_DEGREE, ...extra });
+
+const EQUATOR = { referenceLatitude: 0 };
+
+const getCellIds = (bins) => Object.fromEntries(bins.map(bin => [bin.id, bin.count]));
+
+describe('binMapPoints', () => {
+  describe('square cells', () => {
+    const options = { ...EQUATOR, shape: 'square' };
+
+    it('puts points into the square containing them', () => {
+      const bins = binMapPoints([at(100, 100), at(400, 450), at(600, 100), at(-100, 100), at(100, -100)], options);
+      expect(getCellIds(bins)).toEqual({ 'square:0:0': 2, 'square:1:0': 1, 'square:-1:0': 1, 'square:0:-1': 1 });
+    });
+
+    it('centers a cell in its square', () => {
+      const [bin] = binMapPoints([at(100, 100)], options);
+      expect(bin.latitude).toBeCloseTo(at(250, 250).latitude, 10);
+      expect(bin.longitude).toBeCloseTo(at(250, 250).longitude, 10);
+      expect(bin.polygon).toHaveLength(4);
+      expect(bin.polygon[0].latitude).toBeCloseTo(0, 10);
+      expect(bin.polygon[2].latitude).toBeCloseTo(at(0, MAP_CELL_SIZE_METERS).latitude, 10);
+    });
+
+    it('uses the cell size it is given', () => {
+      const points = [at(100, 100), at(300, 100)];
+      expect(binMapPoints(points, { ...options, cellSizeMeters: 500 })).toHaveLength(1);
+      expect(binMapPoints(points, { ...options, cellSizeMeters: 200 })).toHaveLength(2);
+    });
+  });
+
+  describe('hexagonal cells', () => {
+    // Flat sides are 500 m apart, corners are 500 / √3 m from the center
+    const cornerDistance = MAP_CELL_SIZE_METERS / Math.sqrt(3);
+
+    it('splits between neighbours at the flat sides and the corners', () => {
+      const bins = binMapPoints([at(0, 0), at(240, 0), at(260, 0), at(5, cornerDistance - 10), at(5, cornerDistance + 10)], EQUATOR);
+      expect(getCellIds(bins)).toEqual({ 'hex:0:0': 3, 'hex:1:0': 1, 'hex:0:1': 1 });
+    });
+
+    it('centers a cell in its hexagon', () => {
+      const bins = binMapPoints([at(10, 10), at(500, 0)], EQUATOR);
+      const neighbour = bins.find(bin => bin.id === 'hex:1:0');
+      expect(neighbour.longitude).toBeCloseTo(at(500, 0).longitude, 10);
+      expect(neighbour.latitude).toBeCloseTo(0, 10);
+      expect(neighbour.polygon).toHaveLength(6);
+    });
+  });
+
+  it('averages the ratings of a cell', () => {
+    const bins = binMapPoints([
+      at(0, 0, { rating: 2 }),
+      at(10, 0, { rating: 5 }),
+      at(20, 0, { rating: '5' }),
+      at(30, 0, { rating: null }),
+      at(1000, 0)
+    ], EQUATOR);
+    expect(bins.map(bin => [bin.id, bin.count, bin.averageRating])).toEqual([
+      ['hex:0:0', 4, 4],
+      ['hex:2:0', 1, null]
+    ]);
+  });
+
+  it('counts visits per cell, densest first', () => {
+    const visits = [at(1000, 0), at(0, 0), at(1010, 0), at(990, 10), at(5, 5)];
+    expect(binMapPoints(visits, EQUATOR).map(bin => [bin.id, bin.count])).toEqual([['hex:2:0', 3], ['hex:0:0', 2]]);
+  });
+
+  it('skips points without coordinates', () => {
+    expect(binMapPoints([{ latitude: null, longitude: 13.4 }, { latitude: 'x', longitude: 1 }])).toEqual([]);
+    expect(binMapPoints([{ latitude: null, longitude: null }, at(0, 0)], EQUATOR)).toHaveLength(1);
+  });
+});
+
+describe('filterMapPoints', () => {
+  const points = [
+    { id: 'a', time: '2026-10-01T10:00:00Z', emotion: 'happy' },
+    { id: 'b', time: Date.parse('2026-10-10T10:00:00Z'), emotion: 'sad' },
+    { id: 'c', time: new Date('2026-10-19T10:00:00Z'), emotion: 'happy' },
+    { id: 'd', time: 'not a time', emotion: 'happy' }
+  ];
+  const ids = (filtered) => filtered.map(point => point.id);
+
+  it('keeps points in the time range, inclusive', () => {
+    expect(ids(filterMapPoints(points, { since: new Date('2026-10-10T10:00:00Z') }))).toEqual(['b', 'c']);
+    expect(ids(filterMapPoints(points, { until: new Date('2026-10-10T10:00:00Z') }))).toEqual(['a', 'b']);
+  });
+
+  it('keeps points with one of the emotions, or all for none', () => {
+    expect(ids(filterMapPoints(points, { emotions: ['sad'] }))).toEqual(['b']);
+    expect(ids(filterMapPoints(points, { emotions: [] }))).toEqual(['a', 'b', 'c']);
+  });
+});
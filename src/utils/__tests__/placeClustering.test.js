@@ -0,0 +1,139 @@
+import {
+  assignToPlaces,
+  groupVisits,
+  normalizePlaceName,
+  getNameSimilarity,
+  findDuplicatePlaces,
+  PLACE_RADIUS_METERS,
+  VISIT_GAP_MINUTES
+} from '../placeClustering';
+
+const LATITUDE = 52.52;
+const LONGITUDE = 13.405;
+// Metres per degree of latitude
+const METERS_PER_DEGREE = 111195;
+
+// A point the given number of metres north of the reference point
+const north = (meters) => ({ latitude: LATITUDE + meters / METERS_PER_DEGREE, longitude: LONGITUDE });
+
+describe('assignToPlaces', () => {
+  const home = { id: 'home', ...north(0) };
+
+  it('assigns points within the radius to the nearest place', () => {
+    const work = { id: 'work', ...north(1500) };
+    const { assigned, candidates } = assignToPlaces(
+      [{ id: 'a', ...north(100) }, { id: 'b', ...north(PLACE_RADIUS_METERS - 10) }, { id: 'c', ...north(1300) }],
+      [home, work]
+    );
+    expect(assigned).toEqual([
+      { pointId: 'a', placeId: 'home' },
+      { pointId: 'b', placeId: 'home' },
+      { pointId: 'c', placeId: 'work' }
+    ]);
+    expect(candidates).toEqual([]);
+  });
+
+  it('clusters points beyond the radius into candidates around their mean', () => {
+    const { assigned, candidates } = assignToPlaces(
+      [
+        { id: 'a', ...north(PLACE_RADIUS_METERS + 100), label: 'Cafe' },
+        { id: 'b', ...north(PLACE_RADIUS_METERS + 300), label: 'Cafe' },
+        { id: 'c', ...north(PLACE_RADIUS_METERS + 200), label: 'Bakery' },
+        { id: 'd', ...north(5000) }
+      ],
+      [home]
+    );
+    expect(assigned).toEqual([]);
+    expect(candidates).toHaveLength(2);
+    expect(candidates[0]).toMatchObject({ label: 'Cafe', pointIds: ['a', 'b', 'c'], longitude: LONGITUDE });
+    expect(candidates[0].latitude).toBeCloseTo(north(PLACE_RADIUS_METERS + 200).latitude, 8);
+    expect(candidates[1]).toMatchObject({ label: null, pointIds: ['d'] });
+  });
+
+  it('uses the radius it is given', () => {
+    const points = [{ id: 'a', ...north(150) }];
+    expect(assignToPlaces(points, [home], 200).assigned).toHaveLength(1);
+    expect(assignToPlaces(points, [home], 100).assigned).toHaveLength(0);
+  });
+});
+
+describe('groupVisits', () => {
+  const at = (minutes) => new Date(Date.UTC(2026, 9, 19, 8) + minutes * 60000);
+
+  it('splits entries at one place when the gap is longer than allowed', () => {
+    const visits = groupVisits([
+      { placeId: 'home', time: at(0) },
+      { placeId: 'home', time: at(VISIT_GAP_MINUTES).toISOString() },
+      { placeId: 'home', time: at(2 * VISIT_GAP_MINUTES + 1).getTime() }
+    ]);
+    expect(visits).toEqual([
+      { placeId: 'home', arrivedAt: at(0), departedAt: at(VISIT_GAP_MINUTES), dwellMinutes: VISIT_GAP_MINUTES, entryCount: 2 },
+      {
+        placeId: 'home',
+        arrivedAt: at(2 * VISIT_GAP_MINUTES + 1),
+        departedAt: at(2 * VISIT_GAP_MINUTES + 1),
+        dwellMinutes: 0,
+        entryCount: 1
+      }
+    ]);
+  });
+
+  it('ends a visit at an entry elsewhere and sorts entries by time', () => {
+    const visits = groupVisits([
+      { placeId: 'home', time: at(60) },
+      { placeId: 'work', time: at(30) },
+      { placeId: 'home', time: at(0) },
+      { placeId: 'home', time: 'not a time' }
+    ]);
+    expect(visits.map(visit => [visit.placeId, visit.entryCount])).toEqual([['home', 1], ['work', 1], ['home', 1]]);
+  });
+
+  it('uses the gap it is given', () => {
+    const entries = [{ placeId: 'home', time: at(0) }, { placeId: 'home', time: at(45) }];
+    expect(groupVisits(entries, 60)).toHaveLength(1);
+    expect(groupVisits(entries, 30)).toHaveLength(2);
+  });
+});
+
+describe('place names', () => {
+  it('normalizes case, accents, punctuation and spacing', () => {
+    expect(normalizePlaceName('  Café  "Zur Post" – Köln! ')).toBe('cafe zur post koln');
+    expect(normalizePlaceName(null)).toBe('');
+  });
+
+  it('rates names by shared letter pairs', () => {
+    expect(getNameSimilarity('Central Park', 'central-park')).toBe(1);
+    expect(getNameSimilarity('Central Park', 'Central Parc')).toBeCloseTo(0.9);
+    expect(getNameSimilarity('Central Park', 'Museum')).toBe(0);
+    expect(getNameSimilarity('', 'Museum')).toBe(0);
+  });
+});
+
+describe('findDuplicatePlaces', () => {
+  const place = (id, name, meters) => ({ id, name, ...(meters === null ? { latitude: null, longitude: null } : north(meters)) });
+
+  it('matches similar names nearby, around the first place', () => {
+    const groups = findDuplicatePlaces([
+      place('park', 'Central Park', 0),
+      place('parc', 'Central Parc', 60),
+      place('far', 'Central Park', 500),
+      place('museum', 'Museum', 20)
+    ]);
+    expect(groups.map(({ keep, duplicates }) => [keep.id, duplicates.map(item => item.id)])).toEqual([['park', ['parc']]]);
+  });
+
+  it('matches only the same name when a place has no coordinates', () => {
+    const groups = findDuplicatePlaces([
+      place('park', 'Central Park', 0),
+      place('same', 'central park', null),
+      place('similar', 'Central Parc', null)
+    ]);
+    expect(groups.map(({ keep, duplicates }) => [keep.id, duplicates.map(item => item.id)])).toEqual([['park', ['same']]]);
+  });
+
+  it('uses the radius and similarity it is given', () => {
+    const places = [place('park', 'Central Park', 0), place('parc', 'Central Parc', 60)];
+    expect(findDuplicatePlaces(places, 50)).toEqual([]);
+    expect(findDuplicatePlaces(places, 100, 1)).toEqual([]);
+  });
+});
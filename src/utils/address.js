@@ -0,0 +1,55 @@
+/**
+ * Address utilities: the fine-grained address fields of places and
+ * geotagged entries, and the one-line text shown for them
+ */
+
+// From the most to the least specific
+export const ADDRESS_FIELDS = ['street', 'neighbourhood', 'city', 'country'];
+
+// Fields of the short label shown for entries, e.g. 'Mitte, Berlin, Germany'
+export const SHORT_ADDRESS_FIELDS = ['neighbourhood', 'city', 'country'];
+
+/**
+ * Pick the address fields out of an object
+ *
+ * @param {Object|null} source - Object that may hold address fields
+ * @returns {Object} { street, neighbourhood, city, country } with null for missing fields
+ */
+export function pickAddressFields(source) {
+  const fields = {};
+  for (const field of ADDRESS_FIELDS) {
+    const value = source && typeof source[field] === 'string' ? source[field].trim() : '';
+    fields[field] = value || null;
+  }
+  return fields;
+}
+
+/**
+ * Check whether an object has at least one address field
+ *
+ * @param {Object|null} source - Object that may hold address fields
+ * @returns {boolean} Whether any field is set
+ */
+export function hasAddressFields(source) {
+  return Object.values(pickAddressFields(source)).some(Boolean);
+}
+
+/**
+ * Format address fields as one line. Repeated parts, such as a
+ * neighbourhood named like its city, are shown once.
+ *
+ * @param {Object|null} source - Object holding address fields
+ * @param {Array<string>} [fields] - Fields to include, most specific first
+ * @returns {string} Comma-separated address, empty if no field is set
+ */
+export function formatAddress(source, fields = ADDRESS_FIELDS) {
+  const address = pickAddressFields(source);
+  const parts = [];
+  for (const field of fields) {
+    const value = address[field];
+    if (value && !parts.some(part => part.toLowerCase() === value.toLowerCase())) {
+      parts.push(value);
+    }
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,35 @@
+/**
+ * Base64 conversion for binary data, using the global atob/btoa
+ */
+
+// Convert in chunks so String.fromCharCode is not given too many arguments
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * Encode bytes as base64
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += CHUNK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 text to bytes
+ *
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+}
@@ -0,0 +1,43 @@
+/**
+ * CSV formatting utilities
+ */
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format a single value as a CSV field
+ *
+ * @param {*} value - Value to format
+ * @returns {string} Escaped field
+ */
+export function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep text such as "=HYPERLINK(...)" from running as a formula, but leave numbers alone
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0]) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document
+ *
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array>} rows - Data rows, one value per header
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(row => row.map(formatCsvField).join(','))
+    .join('\r\n');
+}
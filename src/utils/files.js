@@ -0,0 +1,40 @@
+/**
+ * File utilities for sharing exports and picking files to import
+ */
+
+import * as DocumentPicker from 'expo-document-picker';
+import * as Sharing from 'expo-sharing';
+
+/**
+ * Open the system share sheet for a file
+ *
+ * @param {string} fileUri - URI of the file to share
+ * @param {string} mimeType - MIME type of the file
+ * @returns {Promise<boolean>} False if sharing is not available on this device
+ */
+export async function shareFile(fileUri, mimeType) {
+  if (!(await Sharing.isAvailableAsync())) {
+    return false;
+  }
+
+  await Sharing.shareAsync(fileUri, { mimeType });
+  return true;
+}
+
+/**
+ * Let the user pick a file
+ *
+ * @param {string} mimeType - MIME type of the files to offer
+ * @returns {Promise<string|null>} URI of a readable copy of the file, or null if cancelled
+ */
+export async function pickFile(mimeType) {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: mimeType,
+    copyToCacheDirectory: true
+  });
+
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+  return result.assets[0].uri;
+}
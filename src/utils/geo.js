@@ -0,0 +1,123 @@
+/**
+ * Geospatial utilities: great-circle distances and nearby queries
+ *
+ * Place coordinates are encrypted at rest, so SQLite cannot filter on
+ * them and nearby queries run over decrypted rows. A bounding box around
+ * the search point rules out most rows before the exact haversine
+ * distance is computed for the rest.
+ */
+
+// Mean earth radius
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const METERS_PER_DEGREE_LATITUDE = (Math.PI / 180) * EARTH_RADIUS_METERS;
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+/**
+ * Read a stored coordinate, which may be a number or numeric text
+ *
+ * @param {*} value - Stored latitude or longitude
+ * @returns {number|null} The coordinate, or null if there is none
+ */
+export function toCoordinate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in metres
+ */
+export function getDistanceInMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(Math.max(0, 1 - a)));
+}
+
+/**
+ * Bounding box containing every point within a radius. A degree of
+ * longitude shrinks with the cosine of the latitude, so the box widens
+ * away from the equator; near a pole it spans all longitudes. A box that
+ * crosses the antimeridian has minLongitude > maxLongitude.
+ *
+ * @param {number} latitude - Latitude of the center
+ * @param {number} longitude - Longitude of the center
+ * @param {number} radiusMeters - Radius around the center
+ * @returns {Object} { minLatitude, maxLatitude, minLongitude, maxLongitude }
+ */
+export function getBoundingBox(latitude, longitude, radiusMeters) {
+  const latitudeDelta = radiusMeters / METERS_PER_DEGREE_LATITUDE;
+  const minLatitude = Math.max(-90, latitude - latitudeDelta);
+  const maxLatitude = Math.min(90, latitude + latitudeDelta);
+
+  // Longitude degrees are shortest at the edge of the box furthest from the equator
+  const widestLatitude = Math.max(Math.abs(minLatitude), Math.abs(maxLatitude));
+  const cosine = Math.cos(toRadians(widestLatitude));
+  const longitudeDelta = cosine > 0 ? latitudeDelta / cosine : Infinity;
+  if (longitudeDelta >= 180) {
+    return { minLatitude, maxLatitude, minLongitude: -180, maxLongitude: 180 };
+  }
+
+  const wrap = (value) => ((value + 540) % 360) - 180;
+  return {
+    minLatitude,
+    maxLatitude,
+    minLongitude: wrap(longitude - longitudeDelta),
+    maxLongitude: wrap(longitude + longitudeDelta)
+  };
+}
+
+/**
+ * Check whether a point lies within a bounding box from getBoundingBox()
+ *
+ * @param {Object} box - { minLatitude, maxLatitude, minLongitude, maxLongitude }
+ * @param {number} latitude - Latitude of the point
+ * @param {number} longitude - Longitude of the point
+ * @returns {boolean} Whether the point is inside
+ */
+export function isInBoundingBox(box, latitude, longitude) {
+  if (latitude < box.minLatitude || latitude > box.maxLatitude) {
+    return false;
+  }
+  return box.minLongitude <= box.maxLongitude
+    ? longitude >= box.minLongitude && longitude <= box.maxLongitude
+    : longitude >= box.minLongitude || longitude <= box.maxLongitude;
+}
+
+/**
+ * Find the items within a radius of a point
+ *
+ * @param {Array<Object>} items - Objects with latitude and longitude; items without coordinates are skipped
+ * @param {number} latitude - Latitude of the point
+ * @param {number} longitude - Longitude of the point
+ * @param {number} radiusMeters - Largest distance that counts
+ * @returns {Array<Object>} [{ item, distance }] nearest first, distance in metres
+ */
+export function findNearby(items, latitude, longitude, radiusMeters) {
+  const box = getBoundingBox(latitude, longitude, radiusMeters);
+  const nearby = [];
+  for (const item of items) {
+    const itemLatitude = toCoordinate(item.latitude);
+    const itemLongitude = toCoordinate(item.longitude);
+    if (itemLatitude === null || itemLongitude === null || !isInBoundingBox(box, itemLatitude, itemLongitude)) {
+      continue;
+    }
+    const distance = getDistanceInMeters(latitude, longitude, itemLatitude, itemLongitude);
+    if (distance <= radiusMeters) {
+      nearby.push({ item, distance });
+    }
+  }
+  return nearby.sort((a, b) => a.distance - b.distance);
+}
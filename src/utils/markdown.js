@@ -0,0 +1,234 @@
+/**
+ * Markdown utilities for the small subset of markdown the diary and the
+ * biography write: headings, bullet and numbered lists, quotes, **bold** and *italic*
+ */
+
+// Line prefix -> block type; checked in order
+const BLOCK_PATTERNS = [
+  { type: 'heading', pattern: /^(#{1,3})\s+(.*)$/ },
+  { type: 'bullet', pattern: /^[-*]\s+(.*)$/ },
+  { type: 'numbered', pattern: /^(\d+)[.)]\s+(.*)$/ },
+  { type: 'quote', pattern: /^>\s?(.*)$/ }
+];
+
+// Prefix the toolbar adds to a line for each block format
+const LINE_PREFIXES = {
+  heading: '## ',
+  bullet: '- ',
+  numbered: '1. ',
+  quote: '> '
+};
+
+// Markers the toolbar wraps around the selection for each inline format
+const INLINE_MARKERS = {
+  bold: '**',
+  italic: '*'
+};
+
+/**
+ * Split text into runs of plain, bold and italic text
+ *
+ * @param {string} text - One line or paragraph
+ * @returns {Array<Object>} [{ text, bold, italic }]
+ */
+export function parseInline(text) {
+  const spans = [];
+  // Markers only count at word boundaries, so snake_case and 2*3*4 stay plain
+  const pattern = /(^|[^\w*])(?:\*\*(\S|\S.*?\S)\*\*|\*(\S|\S.*?\S)\*|_(\S|\S.*?\S)_)(?![\w*])/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const markerIndex = match.index + match[1].length;
+    if (markerIndex > lastIndex) {
+      spans.push({ text: text.slice(lastIndex, markerIndex), bold: false, italic: false });
+    }
+    if (match[2] !== undefined) {
+      spans.push({ text: match[2], bold: true, italic: false });
+    } else {
+      spans.push({ text: match[3] !== undefined ? match[3] : match[4], bold: false, italic: true });
+    }
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < text.length) {
+    spans.push({ text: text.slice(lastIndex), bold: false, italic: false });
+  }
+  return spans;
+}
+
+/**
+ * Parse markdown into blocks. Consecutive plain lines form one paragraph;
+ * blank lines end it.
+ *
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} [{ type, level, number, spans }] where type is
+ *   'heading' (with level 1-3), 'bullet', 'numbered' (with number), 'quote' or 'paragraph'
+ */
+export function parseMarkdown(text) {
+  const blocks = [];
+  let paragraph = null;
+
+  for (const line of (text || '').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      paragraph = null;
+      continue;
+    }
+
+    const block = BLOCK_PATTERNS
+      .map(({ type, pattern }) => ({ type, match: trimmed.match(pattern) }))
+      .find(({ match }) => match);
+
+    if (!block) {
+      if (paragraph) {
+        paragraph.text += '\n' + trimmed;
+      } else {
+        paragraph = { type: 'paragraph', text: trimmed };
+        blocks.push(paragraph);
+      }
+      continue;
+    }
+
+    paragraph = null;
+    const { type, match } = block;
+    if (type === 'heading') {
+      blocks.push({ type, level: match[1].length, text: match[2] });
+    } else if (type === 'numbered') {
+      blocks.push({ type, number: Number(match[1]), text: match[2] });
+    } else {
+      blocks.push({ type, text: match[1] });
+    }
+  }
+
+  return blocks.map(({ text: blockText, ...block }) => ({ ...block, spans: parseInline(blockText) }));
+}
+
+/**
+ * Remove markdown formatting, e.g. for previews
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text, one line per block
+ */
+export function stripMarkdown(text) {
+  return parseMarkdown(text)
+    .map(block => block.spans.map(span => span.text).join(''))
+    .join('\n');
+}
+
+/**
+ * Escape text for use in HTML
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Text with &, <, > and " escaped
+ */
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const spansToHtml = (spans) => spans
+  .map(span => {
+    let html = escapeHtml(span.text).replace(/\n/g, '<br>');
+    if (span.italic) {
+      html = `<em>${html}</em>`;
+    }
+    return span.bold ? `<strong>${html}</strong>` : html;
+  })
+  .join('');
+
+// Block type -> element wrapping consecutive items of that type
+const LIST_ELEMENTS = {
+  bullet: 'ul',
+  numbered: 'ol',
+  quote: 'blockquote'
+};
+
+/**
+ * Convert markdown to HTML, e.g. for exports. All text is escaped.
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} HTML fragment
+ */
+export function markdownToHtml(text) {
+  const html = [];
+  let openList = null;
+
+  for (const block of parseMarkdown(text)) {
+    const listElement = LIST_ELEMENTS[block.type] || null;
+    if (openList && openList !== listElement) {
+      html.push(`</${openList}>`);
+      openList = null;
+    }
+    if (listElement && !openList) {
+      html.push(block.type === 'numbered' && block.number !== 1 ? `<ol start="${block.number}">` : `<${listElement}>`);
+      openList = listElement;
+    }
+
+    const content = spansToHtml(block.spans);
+    if (block.type === 'heading') {
+      html.push(`<h${block.level}>${content}</h${block.level}>`);
+    } else if (block.type === 'quote') {
+      html.push(`<p>${content}</p>`);
+    } else if (listElement) {
+      html.push(`<li>${content}</li>`);
+    } else {
+      html.push(`<p>${content}</p>`);
+    }
+  }
+
+  if (openList) {
+    html.push(`</${openList}>`);
+  }
+  return html.join('\n');
+}
+
+/**
+ * Apply a toolbar format to the selected text. Inline formats wrap the
+ * selection in markers; block formats toggle the prefix of every selected line.
+ *
+ * @param {string} text - Current text
+ * @param {Object} selection - { start, end } of the selection
+ * @param {string} format - 'bold', 'italic', 'heading', 'bullet', 'numbered' or 'quote'
+ * @returns {Object} { text, selection } after the change
+ */
+export function applyMarkdownFormat(text, selection, format) {
+  const { start, end } = selection;
+
+  if (INLINE_MARKERS[format]) {
+    const marker = INLINE_MARKERS[format];
+    const selected = text.slice(start, end);
+    return {
+      text: text.slice(0, start) + marker + selected + marker + text.slice(end),
+      // Keep the same text selected, or put the cursor between empty markers
+      selection: { start: start + marker.length, end: end + marker.length }
+    };
+  }
+
+  const prefix = LINE_PREFIXES[format];
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const lineEndIndex = text.indexOf('\n', end);
+  const lineEnd = lineEndIndex === -1 ? text.length : lineEndIndex;
+
+  const lines = text.slice(lineStart, lineEnd).split('\n');
+  const pattern = BLOCK_PATTERNS.find(block => block.type === format).pattern;
+  const isApplied = lines.every(line => !line.trim() || pattern.test(line.trim()));
+  const formatted = lines.map(line => {
+    if (!line.trim()) {
+      return line;
+    }
+    if (isApplied) {
+      return line.replace(/^\s*(#{1,3}\s+|[-*]\s+|\d+[.)]\s+|>\s?)/, '');
+    }
+    return prefix + line.replace(/^\s*(#{1,3}\s+|[-*]\s+|\d+[.)]\s+|>\s?)/, '');
+  }).join('\n');
+
+  const newText = text.slice(0, lineStart) + formatted + text.slice(lineEnd);
+  return {
+    text: newText,
+    selection: { start: lineStart, end: lineStart + formatted.length }
+  };
+}
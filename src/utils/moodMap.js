@@ -0,0 +1,162 @@
+/**
+ * Mood map binning: aggregating geotagged moods and visits into map cells
+ * to show the average mood and the visit density of an area. Plain
+ * functions without database or React access, so they can be tested on
+ * their own (components/MoodMap.js renders the cells).
+ *
+ * Cells are laid out on a flat projection of the earth around a reference
+ * latitude, which keeps them close to their nominal size within a city or
+ * region. Cells do not wrap around the antimeridian.
+ */
+
+import { toCoordinate } from './geo';
+
+// Width of a cell in metres: flat side to flat side of a hexagon, or the side of a square
+export const MAP_CELL_SIZE_METERS = 500;
+
+// Mean earth radius, as in utils/geo.js
+const METERS_PER_DEGREE_LATITUDE = (Math.PI / 180) * 6371008.8;
+
+const SQRT3 = Math.sqrt(3);
+
+// Round fractional axial hexagon coordinates to the hexagon containing them
+const roundHex = (q, r) => {
+  const s = -q - r;
+  let roundedQ = Math.round(q);
+  let roundedR = Math.round(r);
+  const roundedS = Math.round(s);
+  const dq = Math.abs(roundedQ - q);
+  const dr = Math.abs(roundedR - r);
+  const ds = Math.abs(roundedS - s);
+  if (dq > dr && dq > ds) {
+    roundedQ = -roundedR - roundedS;
+  } else if (dr > ds) {
+    roundedR = -roundedQ - roundedS;
+  }
+  return [roundedQ, roundedR];
+};
+
+// Pointy-top hexagons whose flat sides are cellSize apart
+const hexLayout = (cellSize) => {
+  const size = cellSize / SQRT3;
+  return {
+    getCell: (x, y) => {
+      const [q, r] = roundHex((SQRT3 / 3 * x - y / 3) / size, (2 / 3 * y) / size);
+      return { key: `${q}:${r}`, x: size * (SQRT3 * q + SQRT3 / 2 * r), y: size * 1.5 * r };
+    },
+    getCorners: (x, y) => [30, 90, 150, 210, 270, 330].map(degrees => {
+      const angle = degrees * (Math.PI / 180);
+      return [x + size * Math.cos(angle), y + size * Math.sin(angle)];
+    })
+  };
+};
+
+const squareLayout = (cellSize) => ({
+  getCell: (x, y) => {
+    const column = Math.floor(x / cellSize);
+    const row = Math.floor(y / cellSize);
+    return { key: `${column}:${row}`, x: (column + 0.5) * cellSize, y: (row + 0.5) * cellSize };
+  },
+  getCorners: (x, y) => {
+    const half = cellSize / 2;
+    return [[x - half, y - half], [x + half, y - half], [x + half, y + half], [x - half, y + half]];
+  }
+});
+
+/**
+ * Keep the points within a time range and with one of the given emotions
+ *
+ * @param {Array<Object>} points - [{ time, emotion }] with time as a Date, ISO string or timestamp
+ * @param {Object} [filters] - { since, until, emotions }; since and until are Dates or null,
+ *   emotions a list of emotion values, empty or null for all
+ * @returns {Array<Object>} The matching points
+ */
+export function filterMapPoints(points, { since = null, until = null, emotions = null } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : -Infinity;
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+  return points.filter(point => {
+    const time = new Date(point.time).getTime();
+    if (isNaN(time) || time < sinceTime || time > untilTime) {
+      return false;
+    }
+    return !emotions || emotions.length === 0 || emotions.includes(point.emotion);
+  });
+}
+
+/**
+ * Aggregate points into hexagonal or square map cells
+ *
+ * @param {Array<Object>} points - [{ latitude, longitude, rating }]; rating is optional and
+ *   points without coordinates are skipped
+ * @param {Object} [options] - {
+ *   shape: 'hex' or 'square',
+ *   cellSizeMeters: width of a cell,
+ *   referenceLatitude: latitude at which cells have their nominal size, by default the
+ *     mean latitude of the points rounded to whole degrees so cells stay put as points change
+ * }
+ * @returns {Array<Object>} [{ id, latitude, longitude, polygon: [{ latitude, longitude }], count, averageRating }]
+ *   with averageRating null for cells without rated points, most points first
+ */
+export function binMapPoints(points, { shape = 'hex', cellSizeMeters = MAP_CELL_SIZE_METERS, referenceLatitude = null } = {}) {
+  const located = points
+    .map(point => ({ point, latitude: toCoordinate(point.latitude), longitude: toCoordinate(point.longitude) }))
+    .filter(({ latitude, longitude }) => latitude !== null && longitude !== null);
+  if (located.length === 0) {
+    return [];
+  }
+
+  const reference = referenceLatitude !== null
+    ? referenceLatitude
+    : Math.round(located.reduce((sum, { latitude }) => sum + latitude, 0) / located.length);
+  const metersPerDegreeLongitude = Math.max(1, METERS_PER_DEGREE_LATITUDE * Math.cos(reference * (Math.PI / 180)));
+  const toLatLng = ([x, y]) => ({ latitude: y / METERS_PER_DEGREE_LATITUDE, longitude: x / metersPerDegreeLongitude });
+  const layout = shape === 'square' ? squareLayout(cellSizeMeters) : hexLayout(cellSizeMeters);
+
+  const cells = new Map();
+  for (const { point, latitude, longitude } of located) {
+    const cell = layout.getCell(longitude * metersPerDegreeLongitude, latitude * METERS_PER_DEGREE_LATITUDE);
+    if (!cells.has(cell.key)) {
+      cells.set(cell.key, { ...cell, count: 0, ratingSum: 0, ratingCount: 0 });
+    }
+    const bin = cells.get(cell.key);
+    bin.count++;
+    const rating = Number(point.rating);
+    if (point.rating !== null && point.rating !== undefined && Number.isFinite(rating)) {
+      bin.ratingSum += rating;
+      bin.ratingCount++;
+    }
+  }
+
+  return [...cells.values()]
+    .map(bin => ({
+      id: `${shape}:${bin.key}`,
+      ...toLatLng([bin.x, bin.y]),
+      polygon: layout.getCorners(bin.x, bin.y).map(toLatLng),
+      count: bin.count,
+      averageRating: bin.ratingCount > 0 ? bin.ratingSum / bin.ratingCount : null
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Map region showing all cells, for MapView's region prop
+ *
+ * @param {Array<Object>} bins - Cells from binMapPoints()
+ * @returns {Object|null} { latitude, longitude, latitudeDelta, longitudeDelta }, or null without cells
+ */
+export function getRegionForBins(bins) {
+  const corners = bins.flatMap(bin => bin.polygon);
+  if (corners.length === 0) {
+    return null;
+  }
+  const latitudes = corners.map(corner => corner.latitude);
+  const longitudes = corners.map(corner => corner.longitude);
+  const [minLatitude, maxLatitude] = [Math.min(...latitudes), Math.max(...latitudes)];
+  const [minLongitude, maxLongitude] = [Math.min(...longitudes), Math.max(...longitudes)];
+  return {
+    latitude: (minLatitude + maxLatitude) / 2,
+    longitude: (minLongitude + maxLongitude) / 2,
+    latitudeDelta: Math.max(0.01, (maxLatitude - minLatitude) * 1.2),
+    longitudeDelta: Math.max(0.01, (maxLongitude - minLongitude) * 1.2)
+  };
+}
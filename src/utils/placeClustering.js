@@ -0,0 +1,218 @@
+/**
+ * Place clustering: assigning geotagged entries to places, grouping them
+ * into visits and finding duplicate places. Plain functions without
+ * database or React access, so they can be tested on their own
+ * (services/PlaceClusteringService.js loads and saves the data).
+ */
+
+import { findNearby, toCoordinate } from './geo';
+
+// Entries this close to a place, in metres, belong to it
+export const PLACE_RADIUS_METERS = 500;
+
+// Entries at the same place more than this many minutes apart are separate visits
+export const VISIT_GAP_MINUTES = 180;
+
+// Places with similar names at most this many metres apart are duplicates
+export const DUPLICATE_RADIUS_METERS = 100;
+
+// Name similarity (0-1) from which two place names count as the same
+export const DUPLICATE_NAME_SIMILARITY = 0.8;
+
+// The most frequent non-empty label, ties going to the first one seen
+const mostCommonLabel = (labels) => {
+  const counts = new Map();
+  for (const label of labels) {
+    if (label && label.trim()) {
+      counts.set(label.trim(), (counts.get(label.trim()) || 0) + 1);
+    }
+  }
+  let best = null;
+  for (const [label, count] of counts) {
+    if (!best || count > best.count) {
+      best = { label, count };
+    }
+  }
+  return best ? best.label : null;
+};
+
+/**
+ * Assign points to the nearest known place within the radius. Points
+ * near no place are clustered into candidate places: each joins the
+ * nearest candidate in range, whose center moves to the mean of its points.
+ *
+ * @param {Array<Object>} points - [{ id, latitude, longitude, label }] in the order to process them
+ * @param {Array<Object>} places - Known places [{ id, latitude, longitude }]
+ * @param {number} [radiusMeters] - Radius of a place
+ * @returns {Object} { assigned: [{ pointId, placeId }], candidates: [{ latitude, longitude, label, pointIds }] }
+ */
+export function assignToPlaces(points, places, radiusMeters = PLACE_RADIUS_METERS) {
+  const assigned = [];
+  const candidates = [];
+
+  for (const point of points) {
+    const [place] = findNearby(places, point.latitude, point.longitude, radiusMeters);
+    if (place) {
+      assigned.push({ pointId: point.id, placeId: place.item.id });
+      continue;
+    }
+
+    const [nearest] = findNearby(candidates, point.latitude, point.longitude, radiusMeters);
+    if (nearest) {
+      const candidate = nearest.item;
+      const count = candidate.points.length;
+      candidate.latitude = (candidate.latitude * count + point.latitude) / (count + 1);
+      candidate.longitude = (candidate.longitude * count + point.longitude) / (count + 1);
+      candidate.points.push(point);
+    } else {
+      candidates.push({ latitude: point.latitude, longitude: point.longitude, points: [point] });
+    }
+  }
+
+  return {
+    assigned,
+    candidates: candidates.map(candidate => ({
+      latitude: candidate.latitude,
+      longitude: candidate.longitude,
+      label: mostCommonLabel(candidate.points.map(point => point.label)),
+      pointIds: candidate.points.map(point => point.id)
+    }))
+  };
+}
+
+/**
+ * Group entries into visits. A visit is a run of entries at the same
+ * place with no entry elsewhere in between and no gap longer than
+ * maxGapMinutes; it lasts from its first entry to its last.
+ *
+ * @param {Array<Object>} entries - [{ placeId, time }] with time as a Date, ISO string or timestamp, in any order
+ * @param {number} [maxGapMinutes] - Longest gap within one visit
+ * @returns {Array<Object>} [{ placeId, arrivedAt, departedAt, dwellMinutes, entryCount }] oldest first
+ */
+export function groupVisits(entries, maxGapMinutes = VISIT_GAP_MINUTES) {
+  const sorted = entries
+    .map(entry => ({ placeId: entry.placeId, time: new Date(entry.time).getTime() }))
+    .filter(entry => !isNaN(entry.time))
+    .sort((a, b) => a.time - b.time);
+
+  const visits = [];
+  let visit = null;
+  for (const entry of sorted) {
+    if (visit && visit.placeId === entry.placeId && entry.time - visit.departedAt <= maxGapMinutes * 60000) {
+      visit.departedAt = entry.time;
+      visit.entryCount++;
+    } else {
+      visit = { placeId: entry.placeId, arrivedAt: entry.time, departedAt: entry.time, entryCount: 1 };
+      visits.push(visit);
+    }
+  }
+
+  return visits.map(({ placeId, arrivedAt, departedAt, entryCount }) => ({
+    placeId,
+    arrivedAt: new Date(arrivedAt),
+    departedAt: new Date(departedAt),
+    dwellMinutes: Math.round((departedAt - arrivedAt) / 60000),
+    entryCount
+  }));
+}
+
+/**
+ * Normalize a place name for comparing: lower case, without accents and
+ * with punctuation turned into single spaces
+ *
+ * @param {string} name - Place name
+ * @returns {string} Normalized name
+ */
+export function normalizePlaceName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s!-/:-@[-`{-~\u00a0-\u00bf\u2010-\u205f]+/g, ' ')
+    .trim();
+}
+
+const getBigrams = (text) => {
+  const bigrams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+};
+
+/**
+ * Similarity of two place names (Sørensen-Dice coefficient of their
+ * letter pairs), ignoring case, accents, punctuation and spacing
+ *
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for the same name down to 0 for names without a letter pair in common
+ */
+export function getNameSimilarity(a, b) {
+  const first = normalizePlaceName(a).replace(/ /g, '');
+  const second = normalizePlaceName(b).replace(/ /g, '');
+  if (!first || !second) {
+    return 0;
+  }
+  if (first === second) {
+    return 1;
+  }
+
+  const firstBigrams = getBigrams(first);
+  const secondBigrams = getBigrams(second);
+  let shared = 0;
+  for (const [bigram, count] of firstBigrams) {
+    shared += Math.min(count, secondBigrams.get(bigram) || 0);
+  }
+  const total = first.length - 1 + second.length - 1;
+  return total > 0 ? (2 * shared) / total : 0;
+}
+
+/**
+ * Find duplicate places. Places with coordinates are duplicates when
+ * their names are similar and they lie within radiusMeters of each other;
+ * when one of them has no coordinates, only the same normalized name
+ * counts. Duplicates are gathered around the earliest place of each
+ * group, which is the one to keep.
+ *
+ * @param {Array<Object>} places - [{ id, name, latitude, longitude }] in order of preference
+ * @param {number} [radiusMeters] - Largest distance between duplicates
+ * @param {number} [minSimilarity] - Smallest name similarity of duplicates
+ * @returns {Array<Object>} [{ keep, duplicates }] with the places of each group
+ */
+export function findDuplicatePlaces(
+  places,
+  radiusMeters = DUPLICATE_RADIUS_METERS,
+  minSimilarity = DUPLICATE_NAME_SIMILARITY
+) {
+  const hasCoordinates = (place) => toCoordinate(place.latitude) !== null && toCoordinate(place.longitude) !== null;
+  const taken = new Set();
+  const groups = [];
+
+  places.forEach((keep, index) => {
+    if (taken.has(keep.id)) {
+      return;
+    }
+    const later = places.slice(index + 1).filter(place => !taken.has(place.id) && place.id !== keep.id);
+    const name = normalizePlaceName(keep.name);
+
+    const sameName = later.filter(place =>
+      (!hasCoordinates(keep) || !hasCoordinates(place)) && name && normalizePlaceName(place.name) === name
+    );
+    const nearby = hasCoordinates(keep)
+      ? findNearby(later, toCoordinate(keep.latitude), toCoordinate(keep.longitude), radiusMeters)
+        .map(({ item }) => item)
+        .filter(place => getNameSimilarity(keep.name, place.name) >= minSimilarity)
+      : [];
+
+    const duplicates = later.filter(place => sameName.includes(place) || nearby.includes(place));
+    if (duplicates.length > 0) {
+      duplicates.forEach(place => taken.add(place.id));
+      taken.add(keep.id);
+      groups.push({ keep, duplicates });
+    }
+  });
+
+  return groups;
+}
@@ -0,0 +1,37 @@
+/**
+ * Undo for deletes: a toast that restores the deleted item from the trash
+ */
+
+import { DeviceEventEmitter } from 'react-native';
+import Toast from 'react-native-toast-message';
+import { restoreFromTrash } from '../database/TrashDB';
+
+// How long the undo toast stays visible
+const UNDO_VISIBILITY_MS = 5000;
+
+/**
+ * Show a toast offering to undo moving an entity to the trash
+ *
+ * @param {string} entityType - One of the entity types of ENTITY_TABLES (RelationshipsDB.js), e.g. 'mood'
+ * @param {string} id - ID of the deleted entity
+ * @param {Object} labels - { message, undoHint } in the user's language
+ */
+export function showUndoToast(entityType, id, { message, undoHint }) {
+  Toast.show({
+    type: 'info',
+    text1: message,
+    text2: undoHint,
+    visibilityTime: UNDO_VISIBILITY_MS,
+    onPress: async () => {
+      Toast.hide();
+      try {
+        if (await restoreFromTrash(entityType, id)) {
+          // Every context reloads, so the item reappears wherever it was shown
+          DeviceEventEmitter.emit('DATA_IMPORTED');
+        }
+      } catch (error) {
+        console.error('Error undoing delete:', error);
+      }
+    }
+  });
+}
@@ -1,61 +1,210 @@
 /**
  * Weather utilities for Memoria
- * 
- * Provides utilities for fetching weather data from OpenWeatherMap
+ *
+ * Weather providers and helpers for weather data. A provider is an object
+ * with a name and an async fetchHourly(latitude, longitude, time) that
+ * returns hourly observations around the time:
+ * [{ time, condition, description, temperature, feelsLike, humidity, windSpeed, icon, iconUrl, isMockData }]
+ * with time as the ISO start of the hour and condition one of the
+ * OpenWeatherMap main groups ('Clear', 'Clouds', 'Rain', ...).
+ * services/WeatherService.js picks the provider, caches results and
+ * backfills past entries.
  */
 
-// Replace with your actual OpenWeatherMap API key
-// You should consider storing this in a .env file for production
-const API_KEY = '19e7ddd23bbc39213f93dd8a8294f653';
+// Set EXPO_PUBLIC_OPENWEATHERMAP_API_KEY in .env to use OpenWeatherMap
+export const OPENWEATHERMAP_API_KEY = process.env.EXPO_PUBLIC_OPENWEATHERMAP_API_KEY || null;
+
+// Open-Meteo's forecast API covers about the last three months; older hours come from its archive
+const OPEN_METEO_FORECAST_PAST_DAYS = 90;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const OPEN_METEO_HOURLY_FIELDS = 'temperature_2m,apparent_temperature,relative_humidity_2m,weather_code,wind_speed_10m,is_day';
+
+// WMO weather codes used by Open-Meteo -> [OpenWeatherMap main group, description, icon]
+const WMO_CODES = {
+  0: ['Clear', 'clear sky', '01'],
+  1: ['Clouds', 'mainly clear', '02'],
+  2: ['Clouds', 'partly cloudy', '03'],
+  3: ['Clouds', 'overcast', '04'],
+  45: ['Fog', 'fog', '50'],
+  48: ['Fog', 'depositing rime fog', '50'],
+  51: ['Drizzle', 'light drizzle', '09'],
+  53: ['Drizzle', 'drizzle', '09'],
+  55: ['Drizzle', 'dense drizzle', '09'],
+  56: ['Drizzle', 'freezing drizzle', '09'],
+  57: ['Drizzle', 'dense freezing drizzle', '09'],
+  61: ['Rain', 'light rain', '10'],
+  63: ['Rain', 'rain', '10'],
+  65: ['Rain', 'heavy rain', '10'],
+  66: ['Rain', 'freezing rain', '13'],
+  67: ['Rain', 'heavy freezing rain', '13'],
+  71: ['Snow', 'light snow', '13'],
+  73: ['Snow', 'snow', '13'],
+  75: ['Snow', 'heavy snow', '13'],
+  77: ['Snow', 'snow grains', '13'],
+  80: ['Rain', 'light rain showers', '09'],
+  81: ['Rain', 'rain showers', '09'],
+  82: ['Rain', 'violent rain showers', '09'],
+  85: ['Snow', 'snow showers', '13'],
+  86: ['Snow', 'heavy snow showers', '13'],
+  95: ['Thunderstorm', 'thunderstorm', '11'],
+  96: ['Thunderstorm', 'thunderstorm with hail', '11'],
+  99: ['Thunderstorm', 'thunderstorm with heavy hail', '11']
+};
+
+const getIconUrl = (icon) => `https://openweathermap.org/img/wn/${icon}@2x.png`;
 
 /**
- * Fetch current weather data from OpenWeatherMap API
- * @param {number} latitude - Location latitude
- * @param {number} longitude - Location longitude
- * @returns {Promise<Object>} - Weather data object with condition, temperature, and icon
- * @throws {Error} If there's a problem fetching the weather data
+ * Start of the hour containing a time
+ * @param {Date|string|number} time - Time
+ * @returns {Date} The time with minutes, seconds and milliseconds cut off (UTC)
  */
-export const fetchWeatherData = async (lat, lon) => {
-  try {
-    const response = await fetch(
-      `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&units=metric&appid=${API_KEY}`
-    );
-    
-    if (!response.ok) {
-      console.log(`Weather API error: ${response.status} - ${response.statusText}`);
-      
-      // If we get a 401 (unauthorized) error, likely an API key issue
-      if (response.status === 401) {
-        console.log('API key authentication error, using mock data');
-        return getMockWeatherData();
+export function getHourStart(time) {
+  const ms = new Date(time).getTime();
+  return new Date(ms - (((ms % HOUR_MS) + HOUR_MS) % HOUR_MS));
+}
+
+const fetchJson = async (url, providerName) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${providerName} weather error: ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Create an OpenWeatherMap provider. Current weather works with a free API
+ * key; past hours need a One Call 3.0 subscription.
+ * @param {Object} options - { apiKey, baseUrl }
+ * @returns {Object} Weather provider
+ */
+export function createOpenWeatherMapProvider({ apiKey = OPENWEATHERMAP_API_KEY, baseUrl = 'https://api.openweathermap.org' } = {}) {
+  const toObservation = (time, item, sys = {}) => ({
+    time: getHourStart(time).toISOString(),
+    condition: item.weather[0].main,
+    description: item.weather[0].description,
+    temperature: Math.round(item.temp),
+    feelsLike: Math.round(item.feels_like),
+    humidity: item.humidity,
+    windSpeed: item.wind_speed,
+    icon: item.weather[0].icon,
+    iconUrl: getIconUrl(item.weather[0].icon),
+    sunrise: sys.sunrise ? sys.sunrise * 1000 : undefined,
+    sunset: sys.sunset ? sys.sunset * 1000 : undefined,
+    locationName: sys.name,
+    country: sys.country,
+    isMockData: false
+  });
+
+  return {
+    name: 'openweathermap',
+    fetchHourly: async (latitude, longitude, time) => {
+      if (!apiKey) {
+        throw new Error('OpenWeatherMap needs an API key (EXPO_PUBLIC_OPENWEATHERMAP_API_KEY)');
       }
-      
-      throw new Error(`Weather API error: ${response.status}`);
+
+      if (Date.now() - new Date(time).getTime() < HOUR_MS) {
+        const data = await fetchJson(
+          `${baseUrl}/data/2.5/weather?lat=${latitude}&lon=${longitude}&units=metric&appid=${apiKey}`,
+          'OpenWeatherMap'
+        );
+        return [toObservation(data.dt * 1000, {
+          ...data.main,
+          weather: data.weather,
+          wind_speed: data.wind.speed
+        }, { ...data.sys, name: data.name })];
+      }
+
+      const data = await fetchJson(
+        `${baseUrl}/data/3.0/onecall/timemachine?lat=${latitude}&lon=${longitude}&dt=${Math.floor(new Date(time).getTime() / 1000)}&units=metric&appid=${apiKey}`,
+        'OpenWeatherMap'
+      );
+      return data.data.map(item => toObservation(item.dt * 1000, item, item));
     }
-    
-    const data = await response.json();
-    
-    return {
-      condition: data.weather[0].main,
-      description: data.weather[0].description,
-      temperature: Math.round(data.main.temp),
-      feelsLike: Math.round(data.main.feels_like),
-      humidity: data.main.humidity,
-      windSpeed: data.wind.speed,
-      icon: data.weather[0].icon,
-      iconUrl: `https://openweathermap.org/img/wn/${data.weather[0].icon}@2x.png`,
-      sunrise: data.sys.sunrise * 1000, // Convert to milliseconds
-      sunset: data.sys.sunset * 1000, // Convert to milliseconds
-      locationName: data.name,
-      country: data.sys.country,
-      isMockData: false
-    };
-  } catch (error) {
-    console.error('Error fetching weather data:', error);
-    // Return mock data instead of throwing to prevent app crashes
-    return { ...getMockWeatherData(), isMockData: true };
+  };
+}
+
+/**
+ * Create an Open-Meteo provider, which needs no API key. It returns all
+ * hours of the UTC day around the requested time. The base URLs can point
+ * to a local server such as server/mock-weather-server.js.
+ * @param {Object} options - { baseUrl, archiveBaseUrl }
+ * @returns {Object} Weather provider
+ */
+export function createOpenMeteoProvider({
+  baseUrl = 'https://api.open-meteo.com',
+  archiveBaseUrl = 'https://archive-api.open-meteo.com'
+} = {}) {
+  return {
+    name: 'open-meteo',
+    fetchHourly: async (latitude, longitude, time) => {
+      const date = new Date(time);
+      const day = date.toISOString().slice(0, 10);
+      const isRecent = Date.now() - date.getTime() < OPEN_METEO_FORECAST_PAST_DAYS * 24 * HOUR_MS;
+      const url = isRecent ? `${baseUrl}/v1/forecast` : `${archiveBaseUrl}/v1/archive`;
+      const data = await fetchJson(
+        `${url}?latitude=${latitude}&longitude=${longitude}&start_date=${day}&end_date=${day}` +
+          `&hourly=${OPEN_METEO_HOURLY_FIELDS}&wind_speed_unit=ms&timezone=UTC`,
+        'Open-Meteo'
+      );
+
+      const hourly = data.hourly || {};
+      return (hourly.time || [])
+        .map((hour, index) => {
+          const code = hourly.weather_code[index];
+          const temperature = hourly.temperature_2m[index];
+          if (code === null || code === undefined || temperature === null || temperature === undefined) {
+            return null;
+          }
+          const [condition, description, icon] = WMO_CODES[code] || ['Clouds', 'unknown', '03'];
+          const iconCode = `${icon}${hourly.is_day[index] === 0 ? 'n' : 'd'}`;
+          return {
+            time: new Date(`${hour}:00Z`).toISOString(),
+            condition,
+            description,
+            temperature: Math.round(temperature),
+            feelsLike: Math.round(hourly.apparent_temperature[index] ?? temperature),
+            humidity: hourly.relative_humidity_2m[index],
+            windSpeed: hourly.wind_speed_10m[index],
+            icon: iconCode,
+            iconUrl: getIconUrl(iconCode),
+            isMockData: false
+          };
+        })
+        .filter(Boolean);
+    }
+  };
+}
+
+/**
+ * Create a provider that makes up weather without a network, for
+ * development. Its observations are marked with isMockData.
+ * @returns {Object} Weather provider
+ */
+export function createMockWeatherProvider() {
+  return {
+    name: 'mock',
+    fetchHourly: async (latitude, longitude, time) => [{
+      ...getMockWeatherData(),
+      time: getHourStart(time).toISOString()
+    }]
+  };
+}
+
+/**
+ * Check whether stored weather data was made up. Entries saved before
+ * isMockData was stored are recognised by the mock location.
+ * @param {Object|null} weatherData - Weather data of an entry
+ * @returns {boolean} True for mock weather
+ */
+export function isMockWeather(weatherData) {
+  if (!weatherData) {
+    return false;
   }
-};
+  return weatherData.isMockData === true ||
+    (weatherData.locationName === 'Sample City' && weatherData.country === 'SC');
+}
 
 /**
  * Fetch 5-day forecast from OpenWeatherMap API
@@ -66,16 +215,20 @@ export const fetchWeatherData = async (lat, lon) => {
  */
 export async function fetchForecastData(latitude, longitude) {
   try {
+    if (!OPENWEATHERMAP_API_KEY) {
+      throw new Error('OpenWeatherMap needs an API key (EXPO_PUBLIC_OPENWEATHERMAP_API_KEY)');
+    }
+
     const response = await fetch(
-      `https://api.openweathermap.org/data/2.5/forecast?lat=${latitude}&lon=${longitude}&units=metric&appid=${API_KEY}`
+      `https://api.openweathermap.org/data/2.5/forecast?lat=${latitude}&lon=${longitude}&units=metric&appid=${OPENWEATHERMAP_API_KEY}`
     );
-    
+
     if (!response.ok) {
       throw new Error(`Weather API error: ${response.status}`);
     }
-    
+
     const data = await response.json();
-    
+
     // Process the forecast data
     return data.list.map(item => ({
       time: item.dt * 1000, // Convert to milliseconds
@@ -83,7 +236,7 @@ export async function fetchForecastData(latitude, longitude) {
       condition: item.weather[0].main,
       description: item.weather[0].description,
       icon: item.weather[0].icon,
-      iconUrl: `https://openweathermap.org/img/wn/${item.weather[0].icon}@2x.png`,
+      iconUrl: getIconUrl(item.weather[0].icon),
       humidity: item.main.humidity,
       windSpeed: item.wind.speed
     }));
@@ -116,7 +269,7 @@ export function getWeatherDescription(condition) {
     'Squall': 'Squall',
     'Tornado': 'Tornado'
   };
-  
+
   return descriptions[condition] || condition;
 }
 
@@ -151,4 +304,4 @@ export function getMockWeatherData() {
     country: 'SC',
     isMockData: true
   };
-} 
\ No newline at end of file
+}